@@ -145,6 +145,26 @@ export default {
         process.env.VITE_SUPABASE_ANON_KEY ||
         "",
       ENABLE_LOGGING: String(process.env.ENABLE_LOGGING || "true") === "true",
+      PAYMENT_GATEWAY:
+        process.env.PAYMENT_GATEWAY ||
+        process.env.EXPO_PUBLIC_PAYMENT_GATEWAY ||
+        "remote",
+      ROUTING_PROVIDER:
+        process.env.ROUTING_PROVIDER ||
+        process.env.EXPO_PUBLIC_ROUTING_PROVIDER ||
+        "osrm",
+      ROUTING_URLS:
+        process.env.ROUTING_URLS || process.env.EXPO_PUBLIC_ROUTING_URLS || "",
+      ROUTING_PROFILE:
+        process.env.ROUTING_PROFILE ||
+        process.env.EXPO_PUBLIC_ROUTING_PROFILE ||
+        "motorbike",
+      ROUTING_API_KEY:
+        process.env.ROUTING_API_KEY ||
+        process.env.EXPO_PUBLIC_ROUTING_API_KEY ||
+        "",
+      MAP_TILE_URL:
+        process.env.MAP_TILE_URL || process.env.EXPO_PUBLIC_MAP_TILE_URL || "",
       eas: {
         projectId: "ae8e5d23-1d5a-4b87-81bf-feb46fe5dedb",
       },
@@ -38,11 +38,18 @@ import { mobileQueryClient } from "../lib/queryClient";
 import RootNavigator from "../navigation/RootNavigator";
 import orderTrackingService from "../services/orderTrackingService";
 import pushNotificationService from "../services/pushNotificationService";
+import {
+  expireOffer,
+  getOfferExpiry,
+  getOfferTimeoutMs,
+  recordOfferOutcome,
+} from "../services/deliveryOfferService";
 import {
   DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY,
   getCurrentDriverScopedCacheKey,
 } from "../utils/driverRequestCache";
 import { AuthProvider, useAuth } from "./providers/AuthProvider";
+import { LocaleProvider } from "./providers/LocaleProvider";
 import { NotificationProvider } from "./providers/NotificationProvider";
 import { ThemeProvider } from "./providers/ThemeProvider";
 import { MetaAnalytics } from "../services/MetaAnalytics";
@@ -57,7 +64,6 @@ LogBox.ignoreLogs([
 
 const ADMIN_ORDER_STATUS_EVENT = "admin:order_status_changed";
 const DRIVER_DELIVERY_ACTION_EVENT = "driver:delivery_notification_action";
-const DRIVER_POPUP_SOUND_SECONDS = 30;
 const DISABLE_DRIVER_DELIVERY_POPUP = true;
 
 const normalizeDeliveries = (deliveries) => {
@@ -213,10 +219,6 @@ function DriverNotificationLayer({ navigationRef }) {
     isDriverOnline,
   } = useDriverDeliveryNotifications();
   const [driverLocation, setDriverLocation] = useState(null);
-  const [timeRemaining, setTimeRemaining] = useState(
-    DRIVER_POPUP_SOUND_SECONDS,
-  );
-  const countdownHandledForIdRef = useRef(null);
 
   useEffect(() => {
     let mounted = true;
@@ -260,39 +262,38 @@ function DriverNotificationLayer({ navigationRef }) {
     ? String(topNotification.delivery_id)
     : null;
 
-  useEffect(() => {
-    if (!topDeliveryId) {
-      setTimeRemaining(DRIVER_POPUP_SOUND_SECONDS);
-      countdownHandledForIdRef.current = null;
-      return;
-    }
-
-    setTimeRemaining(DRIVER_POPUP_SOUND_SECONDS);
-    countdownHandledForIdRef.current = null;
-
-    const countdownInterval = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          clearInterval(countdownInterval);
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => clearInterval(countdownInterval);
-  }, [topDeliveryId]);
+  const offerExpiresAt = topNotification
+    ? getOfferExpiry(topNotification, topNotification.notifiedAt)
+    : null;
+  const isDeliveryOffer = topNotification?.type !== "delivery_milestone";
 
+  // Auto-decline the offer on screen once its timer runs out.
   useEffect(() => {
-    if (!topDeliveryId || timeRemaining > 0) return;
-    if (countdownHandledForIdRef.current === topDeliveryId) return;
+    if (!topDeliveryId || !offerExpiresAt) return;
+
+    const timer = setTimeout(
+      () => {
+        stopNotificationSound();
+        declineDelivery(topDeliveryId);
+        if (!isDeliveryOffer) return;
+        void expireOffer(topDeliveryId, "driver_overlay");
+        DeviceEventEmitter.emit(DRIVER_DELIVERY_ACTION_EVENT, {
+          deliveryId: topDeliveryId,
+          action: "expired",
+          source: "driver_overlay",
+        });
+      },
+      Math.max(0, offerExpiresAt - Date.now()),
+    );
 
-    countdownHandledForIdRef.current = topDeliveryId;
-    stopNotificationSound();
-    if (pushNotificationService?.stopAlarm) {
-      pushNotificationService.stopAlarm().catch(() => {});
-    }
-  }, [stopNotificationSound, timeRemaining, topDeliveryId]);
+    return () => clearTimeout(timer);
+  }, [
+    declineDelivery,
+    isDeliveryOffer,
+    offerExpiresAt,
+    stopNotificationSound,
+    topDeliveryId,
+  ]);
 
   const handleAccept = useCallback(async () => {
     if (!topNotification?.delivery_id) return;
@@ -302,6 +303,11 @@ function DriverNotificationLayer({ navigationRef }) {
     );
 
     if (result?.success) {
+      void recordOfferOutcome(
+        topNotification.delivery_id,
+        "accepted",
+        "driver_overlay",
+      );
       DeviceEventEmitter.emit(DRIVER_DELIVERY_ACTION_EVENT, {
         deliveryId: String(topNotification.delivery_id),
         action: "accepted",
@@ -355,7 +361,8 @@ function DriverNotificationLayer({ navigationRef }) {
       }}
       onAccept={handleAccept}
       onViewDelivery={handleViewDelivery}
-      timeRemaining={timeRemaining}
+      expiresAt={offerExpiresAt}
+      durationMs={getOfferTimeoutMs(topNotification)}
     />
   );
 }
@@ -886,36 +893,38 @@ export default function App() {
           />
           <ThemeProvider>
             <AuthProvider>
-              <ManagerNotificationProvider>
-                <NotificationProvider>
-                  <OrderProvider>
-                    <RealtimeProviders>
-                      <AppErrorBoundary scope="Navigation tree">
-                        <NavigationContainer ref={navigationRef}>
-                          <RootNavigator />
-                          <ManagerSocketConnector />
-                          <ManagerNotificationLayer
-                            navigationRef={navigationRef}
-                          />
-                          <DriverNotificationLayer
-                            navigationRef={navigationRef}
-                          />
-                          {/* Urgent notification modal - renders above everything */}
-                          <UrgentNotificationModal
-                            visible={shouldShowUrgentModal}
-                            title={urgentNotification?.title}
-                            body={urgentNotification?.body}
-                            data={urgentNotification?.data}
-                            onAccept={handleAcceptUrgent}
-                            onReject={handleRejectUrgent}
-                            onDismiss={handleDismissUrgent}
-                          />
-                        </NavigationContainer>
-                      </AppErrorBoundary>
-                    </RealtimeProviders>
-                  </OrderProvider>
-                </NotificationProvider>
-              </ManagerNotificationProvider>
+              <LocaleProvider>
+                <ManagerNotificationProvider>
+                  <NotificationProvider>
+                    <OrderProvider>
+                      <RealtimeProviders>
+                        <AppErrorBoundary scope="Navigation tree">
+                          <NavigationContainer ref={navigationRef}>
+                            <RootNavigator />
+                            <ManagerSocketConnector />
+                            <ManagerNotificationLayer
+                              navigationRef={navigationRef}
+                            />
+                            <DriverNotificationLayer
+                              navigationRef={navigationRef}
+                            />
+                            {/* Urgent notification modal - renders above everything */}
+                            <UrgentNotificationModal
+                              visible={shouldShowUrgentModal}
+                              title={urgentNotification?.title}
+                              body={urgentNotification?.body}
+                              data={urgentNotification?.data}
+                              onAccept={handleAcceptUrgent}
+                              onReject={handleRejectUrgent}
+                              onDismiss={handleDismissUrgent}
+                            />
+                          </NavigationContainer>
+                        </AppErrorBoundary>
+                      </RealtimeProviders>
+                    </OrderProvider>
+                  </NotificationProvider>
+                </ManagerNotificationProvider>
+              </LocaleProvider>
             </AuthProvider>
           </ThemeProvider>
         </CustomAlertProvider>
@@ -8,6 +8,9 @@ import React, {
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { API_URL } from "../../config/env";
 import orderTrackingService from "../../services/orderTrackingService";
+import { clearDriverActionQueue } from "../../services/driverActionQueue";
+import { clearTileCache } from "../../services/offlineTileService";
+import { clearShiftSession } from "../../services/shiftService";
 import pushNotificationService from "../../services/pushNotificationService";
 import { clearAuthSession, getAccessToken } from "../../lib/authStorage";
 import {
@@ -45,6 +48,10 @@ export function AuthProvider({ children }) {
   const [adminStatusLoading, setAdminStatusLoading] = useState(false);
 
   const resetToLoggedOutState = useCallback(async () => {
+    // Scheduled reminders and tile files outlive storage, so clear them for
+    // any logout.
+    void clearShiftSession();
+    void clearTileCache();
     try {
       await clearAuthSession();
       await AsyncStorage.setItem("hasLoggedOut", "true");
@@ -246,6 +253,7 @@ export function AuthProvider({ children }) {
 
     // Fire-and-forget cleanup tasks.
     void orderTrackingService.clearAll();
+    void clearDriverActionQueue();
 
     // Unregister push notification token before logout
     if (token) {
@@ -0,0 +1,81 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { useAuth } from "./AuthProvider";
+import {
+  SUPPORTED_LOCALES,
+  detectDeviceLocale,
+  formatCurrency,
+  formatDate,
+  formatNumber,
+  formatTime,
+  loadStoredLocale,
+  setCurrentLocale,
+  storeLocale,
+  translate,
+} from "../../i18n";
+
+const LocaleContext = createContext(null);
+
+export function useLocale() {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error("useLocale must be used within a LocaleProvider");
+  }
+  return context;
+}
+
+/**
+ * Holds the active language. Restores the signed-in user's saved choice,
+ * otherwise follows the device language.
+ */
+export function LocaleProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id || null;
+  const [locale, setLocaleState] = useState(() =>
+    setCurrentLocale(detectDeviceLocale()),
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const stored = await loadStoredLocale(userId);
+      if (cancelled) return;
+      setLocaleState(setCurrentLocale(stored || detectDeviceLocale()));
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const setLocale = useCallback(
+    async (nextLocale) => {
+      setLocaleState(setCurrentLocale(nextLocale));
+      await storeLocale(userId, nextLocale);
+    },
+    [userId],
+  );
+
+  const value = useMemo(
+    () => ({
+      locale,
+      locales: SUPPORTED_LOCALES,
+      setLocale,
+      t: (key, params) => translate(key, params, locale),
+      formatNumber: (amount, options) => formatNumber(amount, options, locale),
+      formatCurrency: (amount) => formatCurrency(amount, locale),
+      formatDate: (date, options) => formatDate(date, options, locale),
+      formatTime: (date, options) => formatTime(date, options, locale),
+    }),
+    [locale, setLocale],
+  );
+
+  return (
+    <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+  );
+}
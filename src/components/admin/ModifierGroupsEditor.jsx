@@ -0,0 +1,366 @@
+import { Feather } from "@expo/vector-icons";
+import {
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { createModifierLocalId } from "../../utils/foodModifiers";
+
+const newOption = () => ({
+  id: createModifierLocalId("opt"),
+  name: "",
+  price: "",
+  is_available: true,
+});
+
+const newGroup = () => ({
+  id: createModifierLocalId("grp"),
+  name: "",
+  required: false,
+  min_select: "0",
+  max_select: "1",
+  options: [newOption()],
+});
+
+/**
+ * Form-state shape for the product modal: numbers are kept as strings while
+ * editing and converted by toModifierGroupsPayload on save.
+ */
+export function toModifierGroupsFormState(groups) {
+  if (!Array.isArray(groups)) return [];
+  return groups.map((group) => ({
+    id: String(group?.id || createModifierLocalId("grp")),
+    name: group?.name || "",
+    required: Boolean(group?.required),
+    min_select: String(group?.min_select ?? (group?.required ? 1 : 0)),
+    max_select: String(group?.max_select ?? 1),
+    options: (Array.isArray(group?.options) ? group.options : []).map(
+      (option) => ({
+        id: String(option?.id || createModifierLocalId("opt")),
+        name: option?.name || "",
+        price: option?.price != null ? String(option.price) : "",
+        is_available: option?.is_available !== false,
+      }),
+    ),
+  }));
+}
+
+export function toModifierGroupsPayload(groups) {
+  return (groups || []).map((group) => {
+    const minSelect = Number.parseInt(group.min_select, 10) || 0;
+    return {
+      id: group.id,
+      name: group.name.trim(),
+      required: group.required || minSelect > 0,
+      min_select: group.required ? Math.max(1, minSelect) : minSelect,
+      max_select: Math.max(1, Number.parseInt(group.max_select, 10) || 1),
+      options: group.options.map((option) => ({
+        id: option.id,
+        name: option.name.trim(),
+        price: option.price ? Number.parseFloat(option.price) : 0,
+        is_available: option.is_available !== false,
+      })),
+    };
+  });
+}
+
+export default function ModifierGroupsEditor({ groups, onChange }) {
+  const updateGroup = (groupId, patch) => {
+    onChange(groups.map((g) => (g.id === groupId ? { ...g, ...patch } : g)));
+  };
+
+  const updateOption = (groupId, optionId, patch) => {
+    onChange(
+      groups.map((g) =>
+        g.id === groupId
+          ? {
+              ...g,
+              options: g.options.map((o) =>
+                o.id === optionId ? { ...o, ...patch } : o,
+              ),
+            }
+          : g,
+      ),
+    );
+  };
+
+  const removeOption = (groupId, optionId) => {
+    onChange(
+      groups.map((g) =>
+        g.id === groupId
+          ? { ...g, options: g.options.filter((o) => o.id !== optionId) }
+          : g,
+      ),
+    );
+  };
+
+  const toggleRequired = (group) => {
+    const required = !group.required;
+    updateGroup(group.id, {
+      required,
+      min_select: required
+        ? String(Math.max(1, Number.parseInt(group.min_select, 10) || 0))
+        : "0",
+    });
+  };
+
+  return (
+    <View>
+      {groups.map((group, groupIndex) => (
+        <View key={group.id} style={styles.groupCard}>
+          <View style={styles.groupHeader}>
+            <Text style={styles.groupIndex}>Group {groupIndex + 1}</Text>
+            <TouchableOpacity
+              onPress={() => onChange(groups.filter((g) => g.id !== group.id))}
+              hitSlop={8}
+            >
+              <Feather name="trash-2" size={16} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+
+          <TextInput
+            style={styles.input}
+            value={group.name}
+            onChangeText={(value) => updateGroup(group.id, { name: value })}
+            placeholder="eg: Choose spice level"
+            placeholderTextColor="#9ca3af"
+          />
+
+          <View style={styles.rulesRow}>
+            <TouchableOpacity
+              style={styles.requiredToggle}
+              onPress={() => toggleRequired(group)}
+            >
+              <View
+                style={[
+                  styles.checkbox,
+                  group.required && styles.checkboxSelected,
+                ]}
+              >
+                {group.required && (
+                  <Feather name="check" size={12} color="#ffffff" />
+                )}
+              </View>
+              <Text style={styles.ruleLabel}>Required</Text>
+            </TouchableOpacity>
+
+            <View style={styles.ruleField}>
+              <Text style={styles.ruleLabel}>Min</Text>
+              <TextInput
+                style={styles.ruleInput}
+                value={group.min_select}
+                onChangeText={(value) =>
+                  updateGroup(group.id, { min_select: value })
+                }
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+
+            <View style={styles.ruleField}>
+              <Text style={styles.ruleLabel}>Max</Text>
+              <TextInput
+                style={styles.ruleInput}
+                value={group.max_select}
+                onChangeText={(value) =>
+                  updateGroup(group.id, { max_select: value })
+                }
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+            </View>
+          </View>
+
+          {group.options.map((option) => (
+            <View key={option.id} style={styles.optionRow}>
+              <TextInput
+                style={[styles.input, styles.optionName]}
+                value={option.name}
+                onChangeText={(value) =>
+                  updateOption(group.id, option.id, { name: value })
+                }
+                placeholder="Option name"
+                placeholderTextColor="#9ca3af"
+              />
+              <TextInput
+                style={[styles.input, styles.optionPrice]}
+                value={option.price}
+                onChangeText={(value) =>
+                  updateOption(group.id, option.id, { price: value })
+                }
+                placeholder="+Rs. 0"
+                placeholderTextColor="#9ca3af"
+                keyboardType="numeric"
+              />
+              <TouchableOpacity
+                onPress={() =>
+                  updateOption(group.id, option.id, {
+                    is_available: !option.is_available,
+                  })
+                }
+                hitSlop={6}
+              >
+                <Feather
+                  name={option.is_available ? "eye" : "eye-off"}
+                  size={16}
+                  color={option.is_available ? "#06C168" : "#9ca3af"}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => removeOption(group.id, option.id)}
+                hitSlop={6}
+                disabled={group.options.length <= 1}
+              >
+                <Feather
+                  name="x"
+                  size={16}
+                  color={group.options.length <= 1 ? "#d1d5db" : "#6B7280"}
+                />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TouchableOpacity
+            style={styles.addOptionButton}
+            onPress={() =>
+              updateGroup(group.id, {
+                options: [...group.options, newOption()],
+              })
+            }
+          >
+            <Feather name="plus" size={14} color="#06C168" />
+            <Text style={styles.addOptionText}>Add option</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={styles.addGroupButton}
+        onPress={() => onChange([...groups, newGroup()])}
+      >
+        <Feather name="plus-circle" size={16} color="#ffffff" />
+        <Text style={styles.addGroupText}>Add add-on group</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  groupCard: {
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+    borderRadius: 14,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: "#ffffff",
+  },
+  groupHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  groupIndex: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#6B7280",
+    textTransform: "uppercase",
+    letterSpacing: 0.4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: "#111827",
+    backgroundColor: "#ffffff",
+  },
+  rulesRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  requiredToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    flex: 1,
+  },
+  checkbox: {
+    width: 18,
+    height: 18,
+    borderRadius: 5,
+    borderWidth: 1.5,
+    borderColor: "#d1d5db",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  checkboxSelected: {
+    backgroundColor: "#06C168",
+    borderColor: "#06C168",
+  },
+  ruleField: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  ruleLabel: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  ruleInput: {
+    width: 44,
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    borderRadius: 10,
+    paddingVertical: 6,
+    textAlign: "center",
+    fontSize: 13,
+    color: "#111827",
+  },
+  optionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8,
+  },
+  optionName: {
+    flex: 1,
+  },
+  optionPrice: {
+    width: 90,
+  },
+  addOptionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    alignSelf: "flex-start",
+  },
+  addOptionText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#06C168",
+  },
+  addGroupButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#06C168",
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  addGroupText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#ffffff",
+  },
+});
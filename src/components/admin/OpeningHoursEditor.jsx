@@ -0,0 +1,393 @@
+import { Feather } from "@expo/vector-icons";
+import {
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import {
+  MAX_SHIFTS_PER_DAY,
+  WEEKDAYS,
+  formatClock,
+  normalizeClosures,
+  normalizeWeeklyHours,
+  toDateKey,
+} from "../../utils/restaurantHours";
+
+// Monday-first for the editor; WEEKDAYS follows Date.getDay().
+const EDITOR_DAYS = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+
+let localIdCounter = 0;
+const createLocalId = (prefix) => {
+  localIdCounter += 1;
+  return `${prefix}_${Date.now().toString(36)}_${localIdCounter}`;
+};
+
+const newShift = (open = "09:00", close = "22:00") => ({
+  id: createLocalId("shift"),
+  open,
+  close,
+});
+
+/** Form-state shape for setting.jsx: every shift and closure gets a key. */
+export function toOpeningHoursFormState(restaurant) {
+  const weekly = normalizeWeeklyHours(restaurant);
+  const weeklyHours = {};
+  WEEKDAYS.forEach((day) => {
+    weeklyHours[day.key] = weekly[day.key].map((shift) =>
+      newShift(shift.open, shift.close),
+    );
+  });
+
+  return {
+    weeklyHours,
+    closures: normalizeClosures(restaurant?.closures).map((closure) => ({
+      id: createLocalId("closure"),
+      ...closure,
+    })),
+  };
+}
+
+export function toOpeningHoursPayload({ weeklyHours, closures }) {
+  const weekly_hours = {};
+  WEEKDAYS.forEach((day) => {
+    weekly_hours[day.key] = (weeklyHours?.[day.key] || []).map((shift) => ({
+      open: shift.open.trim(),
+      close: shift.close.trim(),
+    }));
+  });
+
+  return {
+    weekly_hours,
+    closures: (closures || []).map((closure) => ({
+      date: closure.date.trim(),
+      reason: closure.reason.trim(),
+    })),
+  };
+}
+
+export default function OpeningHoursEditor({
+  weeklyHours,
+  closures,
+  onChangeWeeklyHours,
+  onChangeClosures,
+  disabled,
+}) {
+  const updateDay = (dayKey, shifts) => {
+    onChangeWeeklyHours({ ...weeklyHours, [dayKey]: shifts });
+  };
+
+  const updateShift = (dayKey, shiftId, patch) => {
+    updateDay(
+      dayKey,
+      weeklyHours[dayKey].map((s) => (s.id === shiftId ? { ...s, ...patch } : s)),
+    );
+  };
+
+  const copyToAllDays = (dayKey) => {
+    const next = {};
+    WEEKDAYS.forEach((day) => {
+      next[day.key] = weeklyHours[dayKey].map((s) => newShift(s.open, s.close));
+    });
+    onChangeWeeklyHours(next);
+  };
+
+  const updateClosure = (closureId, patch) => {
+    onChangeClosures(
+      closures.map((c) => (c.id === closureId ? { ...c, ...patch } : c)),
+    );
+  };
+
+  if (disabled) {
+    return (
+      <View>
+        {EDITOR_DAYS.map((day) => {
+          const shifts = weeklyHours[day.key] || [];
+          return (
+            <View key={day.key} style={styles.readOnlyRow}>
+              <Text style={styles.dayLabel}>{day.short}</Text>
+              <Text
+                style={[
+                  styles.readOnlyValue,
+                  shifts.length === 0 && styles.closedText,
+                ]}
+              >
+                {shifts.length === 0
+                  ? "Closed"
+                  : shifts
+                      .map((s) => `${formatClock(s.open)} - ${formatClock(s.close)}`)
+                      .join(", ")}
+              </Text>
+            </View>
+          );
+        })}
+
+        {closures.length > 0 && (
+          <View style={styles.closuresBlock}>
+            <Text style={styles.subheading}>Closures & holidays</Text>
+            {closures.map((closure) => (
+              <Text key={closure.id} style={styles.readOnlyValue}>
+                {closure.date}
+                {closure.reason ? ` · ${closure.reason}` : ""}
+              </Text>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      {EDITOR_DAYS.map((day) => {
+        const shifts = weeklyHours[day.key] || [];
+        return (
+          <View key={day.key} style={styles.dayCard}>
+            <View style={styles.dayHeader}>
+              <Text style={styles.dayLabel}>{day.label}</Text>
+              <View style={styles.dayActions}>
+                {shifts.length > 0 && (
+                  <TouchableOpacity
+                    onPress={() => copyToAllDays(day.key)}
+                    hitSlop={6}
+                  >
+                    <Text style={styles.linkText}>Copy to all</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  onPress={() =>
+                    updateDay(day.key, shifts.length > 0 ? [] : [newShift()])
+                  }
+                  hitSlop={6}
+                >
+                  <Text
+                    style={[
+                      styles.linkText,
+                      shifts.length > 0 && styles.closeDayText,
+                    ]}
+                  >
+                    {shifts.length > 0 ? "Mark closed" : "Open this day"}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {shifts.length === 0 ? (
+              <Text style={styles.closedText}>Closed</Text>
+            ) : (
+              shifts.map((shift) => (
+                <View key={shift.id} style={styles.shiftRow}>
+                  <TextInput
+                    style={styles.timeInput}
+                    value={shift.open}
+                    onChangeText={(value) =>
+                      updateShift(day.key, shift.id, { open: value })
+                    }
+                    placeholder="09:00"
+                    placeholderTextColor="#9ca3af"
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                  />
+                  <Text style={styles.shiftDash}>to</Text>
+                  <TextInput
+                    style={styles.timeInput}
+                    value={shift.close}
+                    onChangeText={(value) =>
+                      updateShift(day.key, shift.id, { close: value })
+                    }
+                    placeholder="22:00"
+                    placeholderTextColor="#9ca3af"
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                  />
+                  <TouchableOpacity
+                    onPress={() =>
+                      updateDay(
+                        day.key,
+                        shifts.filter((s) => s.id !== shift.id),
+                      )
+                    }
+                    hitSlop={6}
+                  >
+                    <Feather name="x" size={16} color="#6B7280" />
+                  </TouchableOpacity>
+                </View>
+              ))
+            )}
+
+            {shifts.length > 0 && shifts.length < MAX_SHIFTS_PER_DAY && (
+              <TouchableOpacity
+                style={styles.addShiftButton}
+                onPress={() =>
+                  updateDay(day.key, [...shifts, newShift("18:00", "22:00")])
+                }
+              >
+                <Feather name="plus" size={14} color="#06C168" />
+                <Text style={styles.linkText}>Add shift</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      <Text style={[styles.subheading, { marginTop: 8 }]}>
+        Closures & holidays
+      </Text>
+      <Text style={styles.hint}>
+        The restaurant stays closed all day on these dates.
+      </Text>
+
+      {closures.map((closure) => (
+        <View key={closure.id} style={styles.shiftRow}>
+          <TextInput
+            style={[styles.timeInput, styles.dateInput]}
+            value={closure.date}
+            onChangeText={(value) => updateClosure(closure.id, { date: value })}
+            placeholder="YYYY-MM-DD"
+            placeholderTextColor="#9ca3af"
+            keyboardType="numbers-and-punctuation"
+            maxLength={10}
+          />
+          <TextInput
+            style={[styles.timeInput, styles.reasonInput]}
+            value={closure.reason}
+            onChangeText={(value) =>
+              updateClosure(closure.id, { reason: value })
+            }
+            placeholder="Reason (optional)"
+            placeholderTextColor="#9ca3af"
+          />
+          <TouchableOpacity
+            onPress={() =>
+              onChangeClosures(closures.filter((c) => c.id !== closure.id))
+            }
+            hitSlop={6}
+          >
+            <Feather name="trash-2" size={16} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity
+        style={styles.addShiftButton}
+        onPress={() =>
+          onChangeClosures([
+            ...closures,
+            {
+              id: createLocalId("closure"),
+              date: toDateKey(new Date()),
+              reason: "",
+            },
+          ])
+        }
+      >
+        <Feather name="calendar" size={14} color="#06C168" />
+        <Text style={styles.linkText}>Add closure</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  dayCard: {
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+    borderRadius: 14,
+    padding: 12,
+    marginBottom: 10,
+    backgroundColor: "#ffffff",
+  },
+  dayHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  dayActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 14,
+  },
+  dayLabel: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#111827",
+    minWidth: 44,
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#06C168",
+  },
+  closeDayText: {
+    color: "#ef4444",
+  },
+  closedText: {
+    fontSize: 13,
+    color: "#9ca3af",
+    marginTop: 6,
+  },
+  shiftRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8,
+  },
+  timeInput: {
+    width: 76,
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    textAlign: "center",
+    fontSize: 14,
+    color: "#111827",
+    backgroundColor: "#ffffff",
+  },
+  dateInput: {
+    width: 112,
+  },
+  reasonInput: {
+    flex: 1,
+    textAlign: "left",
+  },
+  shiftDash: {
+    fontSize: 13,
+    color: "#6B7280",
+  },
+  addShiftButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    alignSelf: "flex-start",
+  },
+  subheading: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  hint: {
+    fontSize: 12,
+    color: "#6B7280",
+    marginTop: 2,
+  },
+  readOnlyRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f3f4f6",
+  },
+  readOnlyValue: {
+    flex: 1,
+    fontSize: 13,
+    color: "#374151",
+    marginTop: 2,
+  },
+  closuresBlock: {
+    marginTop: 12,
+    gap: 4,
+  },
+});
@@ -0,0 +1,81 @@
+import { Ionicons } from "@expo/vector-icons";
+import { StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  ISSUE_STATUS_LABELS,
+  ISSUE_STATUSES,
+  getIssueTimeline,
+} from "../../services/orderIssueService";
+
+const STATUS_ICONS = {
+  submitted: "document-text-outline",
+  restaurant_responded: "chatbubble-ellipses-outline",
+  approved: "checkmark-circle",
+  partially_approved: "checkmark-circle-outline",
+  rejected: "close-circle",
+  refunded: "wallet-outline",
+};
+
+const formatTimelineDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+};
+
+/** Status history of an order issue, oldest first. */
+export default function IssueTimeline({ issue }) {
+  const { t } = useLocale();
+  const entries = getIssueTimeline(issue);
+  if (!entries.length) return null;
+
+  return (
+    <View style={styles.timeline}>
+      {entries.map((entry, index) => {
+        const last = index === entries.length - 1;
+        const rejected = entry.status === ISSUE_STATUSES.REJECTED;
+        const color = rejected ? "#DC2626" : last ? "#06C168" : "#94A3B8";
+        return (
+          <View key={`${entry.status}-${index}`} style={styles.row}>
+            <View style={styles.rail}>
+              <Ionicons
+                name={STATUS_ICONS[entry.status] || "ellipse"}
+                size={18}
+                color={color}
+              />
+              {!last && <View style={styles.line} />}
+            </View>
+            <View style={styles.body}>
+              <Text style={[styles.status, last && { color }]}>
+                {ISSUE_STATUS_LABELS[entry.status]
+                  ? t(`orderIssue.statuses.${entry.status}`)
+                  : entry.status}
+              </Text>
+              {entry.note ? (
+                <Text style={styles.note}>{entry.note}</Text>
+              ) : null}
+              <Text style={styles.date}>
+                {formatTimelineDate(entry.created_at)}
+              </Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  timeline: { marginTop: 8 },
+  row: { flexDirection: "row", gap: 10 },
+  rail: { alignItems: "center", width: 18 },
+  line: { flex: 1, width: 2, marginVertical: 2, backgroundColor: "#E2E8F0" },
+  body: { flex: 1, paddingBottom: 14 },
+  status: { fontSize: 14, fontWeight: "700", color: "#334155" },
+  note: { marginTop: 2, fontSize: 13, color: "#475569", lineHeight: 18 },
+  date: { marginTop: 2, fontSize: 11, color: "#94A3B8" },
+});
@@ -0,0 +1,118 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import { Pressable, StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import useOrderChat from "../../hooks/useOrderChat";
+import OrderChatSheet from "./OrderChatSheet";
+
+/**
+ * Chat trigger with an unread badge that owns the order's chat sheet. Hidden
+ * (and the sheet dismissed) as soon as the chat closes, e.g. on DELIVERED.
+ */
+export default function OrderChatButton({
+  orderId,
+  role,
+  orderStatus,
+  title,
+  subtitle,
+  quickReplies,
+  label,
+  style,
+}) {
+  const { t, formatNumber } = useLocale();
+  const [visible, setVisible] = useState(false);
+  const chat = useOrderChat({ orderId, role, orderStatus, active: visible });
+
+  useEffect(() => {
+    if (chat.closed) setVisible(false);
+  }, [chat.closed]);
+
+  if (!orderId || chat.closed) return null;
+
+  return (
+    <>
+      <Pressable
+        onPress={() => setVisible(true)}
+        style={({ pressed }) => [
+          label ? styles.labelButton : styles.iconButton,
+          style,
+          pressed && { opacity: 0.8 },
+        ]}
+        hitSlop={6}
+        accessibilityLabel={label || t("orderChat.open")}
+      >
+        <Ionicons
+          name="chatbubble-ellipses"
+          size={16}
+          color={label ? "#06C168" : "#FFFFFF"}
+        />
+        {label ? <Text style={styles.labelText}>{label}</Text> : null}
+        {chat.unreadCount > 0 && (
+          <View style={styles.badge}>
+            <Text style={styles.badgeText}>
+              {chat.unreadCount > 9
+                ? t("orderChat.unreadMany", { count: formatNumber(9) })
+                : formatNumber(chat.unreadCount)}
+            </Text>
+          </View>
+        )}
+      </Pressable>
+
+      <OrderChatSheet
+        visible={visible}
+        onClose={() => setVisible(false)}
+        title={title}
+        subtitle={subtitle}
+        role={role}
+        chat={chat}
+        quickReplies={quickReplies}
+      />
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  iconButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: "#0F172A",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  labelButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1.5,
+    borderColor: "#06C168",
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+  },
+  labelText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#06C168",
+  },
+  badge: {
+    position: "absolute",
+    top: -5,
+    right: -5,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: "#EF4444",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1.5,
+    borderColor: "#FFFFFF",
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: "800",
+    color: "#FFFFFF",
+  },
+});
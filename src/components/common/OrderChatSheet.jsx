@@ -0,0 +1,347 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  FlatList,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { MAX_CHAT_MESSAGE_LENGTH } from "../../services/orderChatService";
+
+/**
+ * Bottom sheet for an order chat. `chat` is the useOrderChat result; the
+ * sheet only renders it, so the unread badge keeps counting while closed.
+ */
+export default function OrderChatSheet({
+  visible,
+  onClose,
+  title,
+  subtitle,
+  role,
+  chat,
+  quickReplies = [],
+}) {
+  const { t, formatTime } = useLocale();
+  const insets = useSafeAreaInsets();
+  const listRef = useRef(null);
+  const [draft, setDraft] = useState("");
+  const { messages, closed, loading, send, retry } = chat;
+
+  useEffect(() => {
+    if (!visible || messages.length === 0) return undefined;
+    const timer = setTimeout(
+      () => listRef.current?.scrollToEnd({ animated: true }),
+      50,
+    );
+    return () => clearTimeout(timer);
+  }, [visible, messages.length]);
+
+  const handleSend = () => {
+    if (!draft.trim()) return;
+    send(draft);
+    setDraft("");
+  };
+
+  const renderMessage = ({ item }) => {
+    const isMine = item.sender_role === role;
+    const failed = item.status === "failed";
+    return (
+      <View style={[styles.bubbleRow, isMine && styles.bubbleRowMine]}>
+        <Pressable
+          disabled={!failed}
+          onPress={() => retry(item.client_id)}
+          style={[
+            styles.bubble,
+            isMine ? styles.bubbleMine : styles.bubbleTheirs,
+            failed && styles.bubbleFailed,
+          ]}
+        >
+          <Text style={[styles.bubbleText, isMine && styles.bubbleTextMine]}>
+            {item.body}
+          </Text>
+          <Text style={[styles.bubbleMeta, isMine && styles.bubbleMetaMine]}>
+            {failed
+              ? t("orderChat.notSent")
+              : item.status === "sending"
+                ? t("orderChat.sending")
+                : formatTime(item.created_at)}
+          </Text>
+        </Pressable>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <Pressable style={styles.backdrop} onPress={onClose} />
+        <View style={[styles.sheet, { paddingBottom: insets.bottom + 12 }]}>
+          <View style={styles.handle} />
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.title} numberOfLines={1}>
+                {title}
+              </Text>
+              {subtitle ? (
+                <Text style={styles.subtitle} numberOfLines={1}>
+                  {subtitle}
+                </Text>
+              ) : null}
+            </View>
+            <Pressable onPress={onClose} hitSlop={10}>
+              <Ionicons name="close" size={24} color="#0F172A" />
+            </Pressable>
+          </View>
+
+          {loading && messages.length === 0 ? (
+            <View style={styles.centerBox}>
+              <ActivityIndicator size="small" color="#06C168" />
+            </View>
+          ) : (
+            <FlatList
+              ref={listRef}
+              data={messages}
+              keyExtractor={(item) => String(item.client_id || item.id)}
+              renderItem={renderMessage}
+              contentContainerStyle={styles.listContent}
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>{t("orderChat.empty")}</Text>
+              }
+            />
+          )}
+
+          {closed ? (
+            <View style={styles.closedBanner}>
+              <Ionicons name="lock-closed" size={14} color="#64748B" />
+              <Text style={styles.closedText}>{t("orderChat.closed")}</Text>
+            </View>
+          ) : (
+            <>
+              {quickReplies.length > 0 && (
+                <ScrollView
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.quickReplies}
+                  keyboardShouldPersistTaps="handled"
+                >
+                  {quickReplies.map((reply) => (
+                    <Pressable
+                      key={reply}
+                      style={({ pressed }) => [
+                        styles.quickReply,
+                        pressed && { opacity: 0.7 },
+                      ]}
+                      onPress={() => send(reply, { quickReply: true })}
+                    >
+                      <Text style={styles.quickReplyText}>{reply}</Text>
+                    </Pressable>
+                  ))}
+                </ScrollView>
+              )}
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  value={draft}
+                  onChangeText={setDraft}
+                  placeholder={t("orderChat.placeholder")}
+                  placeholderTextColor="#94A3B8"
+                  multiline
+                  maxLength={MAX_CHAT_MESSAGE_LENGTH}
+                />
+                <Pressable
+                  onPress={handleSend}
+                  disabled={!draft.trim()}
+                  style={[
+                    styles.sendBtn,
+                    !draft.trim() && styles.sendBtnDisabled,
+                  ]}
+                >
+                  <Ionicons name="send" size={18} color="#FFFFFF" />
+                </Pressable>
+              </View>
+            </>
+          )}
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: "rgba(15,23,42,0.45)",
+  },
+  sheet: {
+    height: "75%",
+    backgroundColor: "#FFFFFF",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 16,
+  },
+  handle: {
+    alignSelf: "center",
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: "#E2E8F0",
+    marginTop: 8,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: "800",
+    color: "#0F172A",
+  },
+  subtitle: {
+    marginTop: 2,
+    fontSize: 12,
+    color: "#64748B",
+  },
+  centerBox: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  listContent: {
+    paddingVertical: 12,
+    flexGrow: 1,
+  },
+  emptyText: {
+    textAlign: "center",
+    marginTop: 32,
+    fontSize: 13,
+    color: "#94A3B8",
+  },
+  bubbleRow: {
+    flexDirection: "row",
+    marginBottom: 8,
+  },
+  bubbleRowMine: {
+    justifyContent: "flex-end",
+  },
+  bubble: {
+    maxWidth: "80%",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  bubbleMine: {
+    backgroundColor: "#06C168",
+    borderBottomRightRadius: 4,
+  },
+  bubbleTheirs: {
+    backgroundColor: "#F1F5F9",
+    borderBottomLeftRadius: 4,
+  },
+  bubbleFailed: {
+    backgroundColor: "#FCA5A5",
+  },
+  bubbleText: {
+    fontSize: 14,
+    color: "#0F172A",
+  },
+  bubbleTextMine: {
+    color: "#FFFFFF",
+  },
+  bubbleMeta: {
+    marginTop: 4,
+    fontSize: 10,
+    color: "#64748B",
+    alignSelf: "flex-end",
+  },
+  bubbleMetaMine: {
+    color: "rgba(255,255,255,0.85)",
+  },
+  closedBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    paddingVertical: 14,
+    borderTopWidth: 1,
+    borderTopColor: "#F1F5F9",
+  },
+  closedText: {
+    fontSize: 13,
+    color: "#64748B",
+    fontWeight: "600",
+  },
+  quickReplies: {
+    gap: 8,
+    paddingVertical: 8,
+  },
+  quickReply: {
+    borderWidth: 1,
+    borderColor: "#BBF7D0",
+    backgroundColor: "#F0FDF4",
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+  },
+  quickReplyText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#047857",
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+    gap: 8,
+    paddingTop: 8,
+  },
+  input: {
+    flex: 1,
+    minHeight: 44,
+    maxHeight: 110,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 22,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 12,
+    fontSize: 14,
+    color: "#0F172A",
+  },
+  sendBtn: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: "#06C168",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  sendBtnDisabled: {
+    backgroundColor: "#A7E9C6",
+  },
+});
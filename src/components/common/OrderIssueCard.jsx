@@ -0,0 +1,155 @@
+import { ScrollView, StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  ISSUE_REASONS,
+  ISSUE_RESOLUTIONS,
+  ISSUE_STATUS_LABELS,
+} from "../../services/orderIssueService";
+import IssueTimeline from "./IssueTimeline";
+import OptimizedImage from "./OptimizedImage";
+
+/**
+ * An order issue as the restaurant and the manager see it: reason, items,
+ * the customer's note and photos, the request and the restaurant's reply.
+ * `footer` renders the viewer's actions.
+ */
+export default function OrderIssueCard({
+  issue,
+  showTimeline = false,
+  footer,
+}) {
+  const { t, formatNumber } = useLocale();
+  const response = issue.restaurant_response;
+
+  const formatAmount = (value) =>
+    t("orderIssue.lineAmount", {
+      amount: formatNumber(Number(value) || 0, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      }),
+    });
+  const reasonLabel = ISSUE_REASONS.some((entry) => entry.key === issue.reason)
+    ? t(`orderIssue.reasons.${issue.reason}`)
+    : t("orderIssue.otherReason");
+  const resolutionKey = ISSUE_RESOLUTIONS.some(
+    (entry) => entry.key === issue.requested_resolution,
+  )
+    ? issue.requested_resolution
+    : "refund";
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.reason}>{reasonLabel}</Text>
+        <View style={styles.statusBadge}>
+          <Text style={styles.statusText}>
+            {ISSUE_STATUS_LABELS[issue.status]
+              ? t(`orderIssue.statuses.${issue.status}`)
+              : issue.status}
+          </Text>
+        </View>
+      </View>
+      <Text style={styles.meta} numberOfLines={1}>
+        #{issue.order_number || issue.order_id}
+        {issue.restaurant_name ? ` · ${issue.restaurant_name}` : ""}
+        {issue.customer_name ? ` · ${issue.customer_name}` : ""}
+      </Text>
+
+      {issue.items?.length > 0 && (
+        <Text style={styles.items}>
+          {issue.items
+            .map((item) => `${item.quantity || 1}× ${item.name}`)
+            .join(", ")}
+        </Text>
+      )}
+      {issue.description ? (
+        <Text style={styles.description}>{issue.description}</Text>
+      ) : null}
+
+      {issue.photos?.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.photoRow}
+        >
+          {issue.photos.map((url) => (
+            <OptimizedImage
+              key={url}
+              uri={url}
+              style={styles.photo}
+              cloudinaryPreset="thumbnail"
+            />
+          ))}
+        </ScrollView>
+      )}
+
+      <Text style={styles.request}>
+        {t(`orderIssue.resolutions.${resolutionKey}`)} ·{" "}
+        {formatAmount(issue.requested_amount)}
+        {Number(issue.approved_amount) > 0
+          ? ` · ${t("orderIssue.approvedAmount", {
+              amount: formatAmount(issue.approved_amount),
+            })}`
+          : ""}
+      </Text>
+
+      {response?.body ? (
+        <View style={styles.responseBox}>
+          <Text style={styles.responseLabel}>
+            {response.accepts_fault
+              ? t("orderIssue.restaurantAcceptsFault")
+              : t("orderIssue.restaurant")}
+          </Text>
+          <Text style={styles.responseText}>{response.body}</Text>
+        </View>
+      ) : null}
+
+      {showTimeline && <IssueTimeline issue={issue} />}
+      {footer}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+  },
+  reason: { flex: 1, fontSize: 15, fontWeight: "800", color: "#1f2937" },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 6,
+    backgroundColor: "#EEF2FF",
+  },
+  statusText: { fontSize: 11, fontWeight: "700", color: "#4F46E5" },
+  meta: { marginTop: 4, fontSize: 12, color: "#6b7280" },
+  items: { marginTop: 8, fontSize: 13, fontWeight: "600", color: "#374151" },
+  description: {
+    marginTop: 6,
+    fontSize: 13,
+    color: "#4b5563",
+    lineHeight: 18,
+  },
+  photoRow: { gap: 8, marginTop: 10 },
+  photo: { width: 72, height: 72, borderRadius: 10 },
+  request: { marginTop: 10, fontSize: 13, fontWeight: "700", color: "#111827" },
+  responseBox: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: "#f9fafb",
+  },
+  responseLabel: { fontSize: 11, fontWeight: "700", color: "#6b7280" },
+  responseText: { marginTop: 2, fontSize: 13, color: "#1f2937" },
+});
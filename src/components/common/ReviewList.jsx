@@ -0,0 +1,284 @@
+import { Ionicons } from "@expo/vector-icons";
+import { ScrollView, StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { formatRatingAverage } from "../../services/reviewService";
+import OptimizedImage from "./OptimizedImage";
+import StarRating from "./StarRating";
+
+/** Average, review count and a per-star bar breakdown. */
+export function ReviewSummary({ summary }) {
+  const { t, formatNumber } = useLocale();
+  if (!summary) return null;
+  const max = Math.max(1, ...Object.values(summary.breakdown || {}));
+
+  return (
+    <View style={styles.summary}>
+      <View style={styles.summaryScore}>
+        <Text style={styles.summaryAverage}>
+          {formatRatingAverage(summary.average)}
+        </Text>
+        <StarRating value={summary.average} size={14} />
+        <Text style={styles.summaryCount}>
+          {t("reviews.count", { count: summary.count })}
+        </Text>
+      </View>
+      <View style={styles.summaryBars}>
+        {[5, 4, 3, 2, 1].map((star) => (
+          <View key={star} style={styles.barRow}>
+            <Text style={styles.barLabel}>{formatNumber(star)}</Text>
+            <View style={styles.barTrack}>
+              <View
+                style={[
+                  styles.barFill,
+                  {
+                    width: `${((summary.breakdown?.[star] || 0) / max) * 100}%`,
+                  },
+                ]}
+              />
+            </View>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+/** One review with its photos and the restaurant reply, if any. */
+export function ReviewItem({ review, footer }) {
+  const { t, formatDate } = useLocale();
+  const photos = Array.isArray(review?.photos) ? review.photos : [];
+
+  return (
+    <View style={styles.item}>
+      <View style={styles.itemHeader}>
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>
+            {(review.customer_name || t("reviews.customerFallback"))
+              .charAt(0)
+              .toUpperCase()}
+          </Text>
+        </View>
+        <View style={styles.itemMeta}>
+          <Text style={styles.itemName} numberOfLines={1}>
+            {review.customer_name || t("reviews.customerFallback")}
+          </Text>
+          <View style={styles.itemRatingRow}>
+            <StarRating value={review.rating} size={12} />
+            <Text style={styles.itemDate}>
+              {formatDate(review.created_at)}
+            </Text>
+          </View>
+        </View>
+      </View>
+
+      {review.target_name ? (
+        <Text style={styles.itemTarget}>{review.target_name}</Text>
+      ) : null}
+      {review.comment ? (
+        <Text style={styles.itemComment}>{review.comment}</Text>
+      ) : null}
+
+      {photos.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.photoRow}
+        >
+          {photos.map((uri) => (
+            <OptimizedImage
+              key={uri}
+              uri={uri}
+              style={styles.photo}
+              cloudinaryPreset="thumbnail"
+            />
+          ))}
+        </ScrollView>
+      )}
+
+      {review.reply?.body ? (
+        <View style={styles.reply}>
+          <View style={styles.replyHeader}>
+            <Ionicons name="storefront-outline" size={13} color="#047857" />
+            <Text style={styles.replyTitle}>{t("reviews.replyTitle")}</Text>
+          </View>
+          <Text style={styles.replyBody}>{review.reply.body}</Text>
+        </View>
+      ) : null}
+
+      {footer}
+    </View>
+  );
+}
+
+/**
+ * Summary plus review cards, rendered inline (not virtualized) so it can sit
+ * inside a screen's existing ScrollView or list header/footer.
+ */
+export default function ReviewList({
+  reviews = [],
+  summary,
+  emptyText,
+  renderFooter,
+}) {
+  const { t } = useLocale();
+  return (
+    <View>
+      <ReviewSummary summary={summary} />
+      {reviews.length === 0 ? (
+        <Text style={styles.emptyText}>
+          {emptyText || t("reviews.empty")}
+        </Text>
+      ) : (
+        reviews.map((review) => (
+          <ReviewItem
+            key={String(review.id)}
+            review={review}
+            footer={renderFooter ? renderFooter(review) : null}
+          />
+        ))
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  summary: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 16,
+    paddingVertical: 12,
+    marginBottom: 4,
+  },
+  summaryScore: {
+    alignItems: "center",
+    minWidth: 84,
+  },
+  summaryAverage: {
+    fontSize: 30,
+    fontWeight: "800",
+    color: "#0F172A",
+  },
+  summaryCount: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#64748B",
+  },
+  summaryBars: {
+    flex: 1,
+    gap: 4,
+  },
+  barRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  barLabel: {
+    width: 10,
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#64748B",
+  },
+  barTrack: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#F1F5F9",
+    overflow: "hidden",
+  },
+  barFill: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#F59E0B",
+  },
+  emptyText: {
+    paddingVertical: 16,
+    textAlign: "center",
+    fontSize: 13,
+    color: "#94A3B8",
+  },
+  item: {
+    paddingVertical: 14,
+    borderTopWidth: 1,
+    borderTopColor: "#F1F5F9",
+  },
+  itemHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  avatar: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    backgroundColor: "#E6F9EE",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  avatarText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#06C168",
+  },
+  itemMeta: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#0F172A",
+  },
+  itemRatingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 2,
+  },
+  itemDate: {
+    fontSize: 11,
+    color: "#94A3B8",
+  },
+  itemTarget: {
+    marginTop: 8,
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#64748B",
+  },
+  itemComment: {
+    marginTop: 8,
+    fontSize: 14,
+    lineHeight: 20,
+    color: "#334155",
+  },
+  photoRow: {
+    gap: 8,
+    paddingTop: 10,
+  },
+  photo: {
+    width: 72,
+    height: 72,
+    borderRadius: 10,
+    backgroundColor: "#F1F5F9",
+  },
+  reply: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: "#F0FDF4",
+  },
+  replyHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 4,
+  },
+  replyTitle: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#047857",
+  },
+  replyBody: {
+    fontSize: 13,
+    lineHeight: 18,
+    color: "#334155",
+  },
+});
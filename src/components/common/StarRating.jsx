@@ -0,0 +1,63 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Pressable, StyleSheet, View } from "react-native";
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Five-star row. Read-only unless `onChange` is given; read-only values may be
+ * fractional and round to the nearest half star.
+ */
+export default function StarRating({
+  value = 0,
+  onChange,
+  size = 16,
+  color = "#F59E0B",
+  emptyColor = "#D1D5DB",
+  style,
+}) {
+  const rating = Number(value) || 0;
+  const iconFor = (star) => {
+    if (rating >= star) return "star";
+    if (!onChange && rating >= star - 0.5) return "star-half";
+    return "star-outline";
+  };
+
+  return (
+    <View style={[styles.row, style]}>
+      {STARS.map((star) => {
+        const icon = (
+          <Ionicons
+            name={iconFor(star)}
+            size={size}
+            color={rating >= star - 0.5 ? color : emptyColor}
+          />
+        );
+        return onChange ? (
+          <Pressable
+            key={star}
+            onPress={() => onChange(star)}
+            hitSlop={4}
+            style={styles.starBtn}
+            accessibilityRole="button"
+            accessibilityLabel={`${star} star${star > 1 ? "s" : ""}`}
+          >
+            {icon}
+          </Pressable>
+        ) : (
+          <View key={star}>{icon}</View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 2,
+  },
+  starBtn: {
+    padding: 2,
+  },
+});
@@ -0,0 +1,74 @@
+import { StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { getFoodDietaryBadges } from "../../utils/dietaryTags";
+
+const BADGE_COLORS = {
+  diet: { backgroundColor: "#DCFCE7", color: "#166534" },
+  spice: { backgroundColor: "#FEE2E2", color: "#B91C1C" },
+  allergen: { backgroundColor: "#FEF3C7", color: "#92400E" },
+};
+
+/**
+ * Diet, spice and allergen badges for a food. `compact` uses short labels
+ * and hides allergens, for menu rows; the detail screen shows everything.
+ */
+export default function DietaryBadges({ food, compact = false, style }) {
+  const { t } = useLocale();
+  const badges = getFoodDietaryBadges(food, { short: compact }).filter(
+    (badge) => !compact || badge.type !== "allergen",
+  );
+  if (badges.length === 0) return null;
+
+  return (
+    <View style={[styles.row, style]}>
+      {badges.map((badge) => {
+        const colors = BADGE_COLORS[badge.type];
+        return (
+          <View
+            key={badge.key}
+            style={[
+              styles.badge,
+              compact && styles.badgeCompact,
+              { backgroundColor: colors.backgroundColor },
+            ]}
+          >
+            <Text
+              style={[
+                styles.text,
+                compact && styles.textCompact,
+                { color: colors.color },
+              ]}
+            >
+              {badge.type === "allergen"
+                ? t("dietary.contains", { allergen: badge.label })
+                : badge.label}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+/** One-line warning under a food that conflicts with the customer's diet. */
+export function DietaryConflictNote({ conflicts, style }) {
+  if (!conflicts?.length) return null;
+  return (
+    <Text style={[styles.conflict, style]} numberOfLines={1}>
+      ⚠ {conflicts.join(" · ")}
+    </Text>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: { flexDirection: "row", flexWrap: "wrap", gap: 6 },
+  badge: {
+    borderRadius: 999,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  badgeCompact: { paddingHorizontal: 6, paddingVertical: 2 },
+  text: { fontSize: 12, fontWeight: "700" },
+  textCompact: { fontSize: 10 },
+  conflict: { fontSize: 11, fontWeight: "700", color: "#B45309" },
+});
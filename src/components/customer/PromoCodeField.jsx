@@ -0,0 +1,193 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { isPromoCodeFormatValid, normalizePromoCode } from "../../utils/promoCodes";
+
+/**
+ * "Apply code" input shared by the cart and checkout. The parent owns the
+ * applied code; `result` is the quote's promo result (see getQuotePromo) or
+ * null while the code has not been checked yet.
+ */
+export default function PromoCodeField({
+  appliedCode,
+  result,
+  checking,
+  onApply,
+  onRemove,
+  pendingHint,
+}) {
+  const { t, formatCurrency } = useLocale();
+  const [input, setInput] = useState(appliedCode || "");
+  const [formatError, setFormatError] = useState("");
+
+  useEffect(() => {
+    setInput(appliedCode || "");
+  }, [appliedCode]);
+
+  const handleApply = () => {
+    const code = normalizePromoCode(input);
+    if (!isPromoCodeFormatValid(code)) {
+      setFormatError(t("promoCode.invalidFormat"));
+      return;
+    }
+    setFormatError("");
+    onApply(code);
+  };
+
+  if (appliedCode) {
+    const rejected = result && !result.applied;
+    return (
+      <View style={[styles.appliedRow, rejected && styles.appliedRowRejected]}>
+        <Ionicons
+          name={rejected ? "alert-circle" : "pricetag"}
+          size={16}
+          color={rejected ? "#DC2626" : "#065F46"}
+        />
+        <View style={styles.appliedTextWrap}>
+          <Text style={[styles.appliedCode, rejected && styles.rejectedText]}>
+            {appliedCode}
+          </Text>
+          <Text style={[styles.appliedHint, rejected && styles.rejectedText]}>
+            {checking
+              ? t("promoCode.checking")
+              : rejected
+                ? result.message
+                : result?.applied
+                  ? t("promoCode.youSave", {
+                      amount: formatCurrency(result.discountAmount),
+                    })
+                  : pendingHint || t("promoCode.pendingHint")}
+          </Text>
+        </View>
+        {checking ? (
+          <ActivityIndicator size="small" color="#06C168" />
+        ) : (
+          <Pressable onPress={onRemove} hitSlop={8}>
+            <Text style={styles.removeText}>{t("promoCode.remove")}</Text>
+          </Pressable>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={input}
+          onChangeText={(value) => {
+            setInput(value);
+            if (formatError) setFormatError("");
+          }}
+          placeholder={t("promoCode.placeholder")}
+          placeholderTextColor="#94A3B8"
+          autoCapitalize="characters"
+          autoCorrect={false}
+          returnKeyType="done"
+          onSubmitEditing={handleApply}
+          maxLength={20}
+        />
+        <Pressable
+          onPress={handleApply}
+          disabled={!input.trim()}
+          style={({ pressed }) => [
+            styles.applyBtn,
+            !input.trim() && styles.applyBtnDisabled,
+            pressed && { opacity: 0.85 },
+          ]}
+        >
+          <Text style={styles.applyBtnText}>{t("promoCode.apply")}</Text>
+        </Pressable>
+      </View>
+      {formatError ? <Text style={styles.errorText}>{formatError}</Text> : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    height: 44,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#0F172A",
+    backgroundColor: "#FFFFFF",
+    letterSpacing: 0.5,
+  },
+  applyBtn: {
+    height: 44,
+    paddingHorizontal: 18,
+    borderRadius: 12,
+    backgroundColor: "#06C168",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  applyBtnDisabled: {
+    backgroundColor: "#A7E9C6",
+  },
+  applyBtnText: {
+    color: "#FFFFFF",
+    fontWeight: "700",
+    fontSize: 14,
+  },
+  errorText: {
+    marginTop: 6,
+    fontSize: 12,
+    color: "#DC2626",
+  },
+  appliedRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    borderWidth: 1,
+    borderColor: "#A7F3D0",
+    backgroundColor: "#ECFDF5",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  appliedRowRejected: {
+    borderColor: "#FECACA",
+    backgroundColor: "#FEF2F2",
+  },
+  appliedTextWrap: {
+    flex: 1,
+  },
+  appliedCode: {
+    fontSize: 14,
+    fontWeight: "800",
+    color: "#065F46",
+    letterSpacing: 0.5,
+  },
+  appliedHint: {
+    marginTop: 2,
+    fontSize: 12,
+    color: "#047857",
+  },
+  rejectedText: {
+    color: "#B91C1C",
+  },
+  removeText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#64748B",
+  },
+});
@@ -0,0 +1,85 @@
+import { useEffect, useState } from "react";
+import { ActivityIndicator, StyleSheet, Text, View } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import ReviewList from "../common/ReviewList";
+import { fetchTargetReviews } from "../../services/reviewService";
+
+const PREVIEW_LIMIT = 10;
+
+/** Public reviews for a restaurant or food, loaded when the id changes. */
+export default function ReviewsSection({ targetType, targetId, style }) {
+  const { t } = useLocale();
+  const [state, setState] = useState({
+    loading: true,
+    error: "",
+    reviews: [],
+    summary: null,
+  });
+
+  useEffect(() => {
+    if (!targetId) return undefined;
+    let cancelled = false;
+    setState((current) => ({ ...current, loading: true, error: "" }));
+
+    fetchTargetReviews(targetType, targetId, { limit: PREVIEW_LIMIT })
+      .then(({ reviews, summary }) => {
+        if (!cancelled) {
+          setState({ loading: false, error: "", reviews, summary });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState((current) => ({
+            ...current,
+            loading: false,
+            error: error?.message || "Failed to load reviews",
+          }));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [targetType, targetId]);
+
+  return (
+    <View style={[styles.section, style]}>
+      <Text style={styles.heading}>{t("reviews.heading")}</Text>
+      {state.loading ? (
+        <ActivityIndicator
+          size="small"
+          color="#06C168"
+          style={styles.loader}
+        />
+      ) : state.error ? (
+        <Text style={styles.errorText}>{t("reviews.unavailable")}</Text>
+      ) : (
+        <ReviewList
+          reviews={state.reviews}
+          summary={state.summary.count > 0 ? state.summary : null}
+          emptyText={t("reviews.emptyInvite")}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    paddingTop: 8,
+  },
+  heading: {
+    fontSize: 18,
+    fontWeight: "800",
+    color: "#0F172A",
+  },
+  loader: {
+    paddingVertical: 20,
+  },
+  errorText: {
+    paddingVertical: 16,
+    textAlign: "center",
+    fontSize: 13,
+    color: "#94A3B8",
+  },
+});
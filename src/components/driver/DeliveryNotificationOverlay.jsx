@@ -6,18 +6,21 @@ import {
   TouchableOpacity,
   Dimensions,
 } from "react-native";
+import OfferCountdownRing from "./OfferCountdownRing";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
 /**
  * DeliveryNotificationOverlay - Full-screen overlay for incoming delivery requests
+ * with a countdown ring until the offer expires at `expiresAt`.
  */
 const DeliveryNotificationOverlay = ({
   visible = false,
   delivery = {},
   onAccept,
   onViewDelivery,
-  timeRemaining = 30,
+  expiresAt,
+  durationMs,
 }) => {
   if (!visible) return null;
 
@@ -44,9 +47,13 @@ const DeliveryNotificationOverlay = ({
             : "🛵 New Delivery Request!"}
         </Text>
 
-        <View style={styles.timer}>
-          <Text style={styles.timerText}>{timeRemaining}s</Text>
-        </View>
+        <OfferCountdownRing
+          expiresAt={expiresAt}
+          durationMs={durationMs}
+          size={64}
+          strokeWidth={5}
+          style={styles.timer}
+        />
 
         <View style={styles.details}>
           <View style={styles.row}>
@@ -118,15 +125,8 @@ const styles = StyleSheet.create({
   },
   timer: {
     alignSelf: "center",
-    width: 60,
-    height: 60,
-    borderRadius: 30,
-    backgroundColor: "#FEF3C7",
-    justifyContent: "center",
-    alignItems: "center",
     marginBottom: 16,
   },
-  timerText: { fontSize: 20, fontWeight: "800", color: "#D97706" },
   details: { marginBottom: 20 },
   row: {
     flexDirection: "row",
@@ -0,0 +1,229 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import {
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  DELIVERY_PIN_LENGTH,
+  isCompleteDeliveryPin,
+  PIN_FALLBACK_REASONS,
+  sanitizeDeliveryPin,
+} from "../../utils/deliveryPin";
+import DeliveryProofUpload from "./DeliveryProofUpload";
+
+/**
+ * Asks the driver for the customer's delivery PIN before an order can be
+ * marked delivered. "Customer can't be reached" switches to a photo plus
+ * a reason instead.
+ * @param {Object} props - { visible, deliveryId, existingProofUrl,
+ *   onConfirm({ pin } | { fallback: { reason, proofUrl, proofActionId } }),
+ *   onClose }
+ */
+export default function DeliveryPinSheet({
+  visible,
+  deliveryId,
+  existingProofUrl = null,
+  onConfirm,
+  onClose,
+}) {
+  const { t } = useLocale();
+  const [mode, setMode] = useState("pin");
+  const [pin, setPin] = useState("");
+  const [reason, setReason] = useState(null);
+  const [proofUrl, setProofUrl] = useState(existingProofUrl);
+  const [proofActionId, setProofActionId] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode("pin");
+    setPin("");
+    setReason(null);
+    setProofUrl(existingProofUrl);
+    setProofActionId(null);
+  }, [visible, existingProofUrl]);
+
+  const canConfirm =
+    mode === "pin" ? isCompleteDeliveryPin(pin) : Boolean(reason && proofUrl);
+
+  const handleConfirm = () => {
+    if (!canConfirm) return;
+    onConfirm?.(
+      mode === "pin"
+        ? { pin }
+        : { fallback: { reason, proofUrl, proofActionId } },
+    );
+  };
+
+  const handleProofUploaded = (url, { queuedActionId } = {}) => {
+    setProofUrl(url);
+    setProofActionId(queuedActionId || null);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.headerRow}>
+            <Text style={styles.title}>
+              {mode === "pin"
+                ? t("deliveryPin.enterTitle")
+                : t("deliveryPin.unreachableTitle")}
+            </Text>
+            <Pressable onPress={onClose} hitSlop={10}>
+              <Ionicons name="close" size={22} color="#6B7280" />
+            </Pressable>
+          </View>
+
+          {mode === "pin" ? (
+            <>
+              <Text style={styles.hint}>
+                {t("deliveryPin.enterHint", { length: DELIVERY_PIN_LENGTH })}
+              </Text>
+              <TextInput
+                style={styles.pinInput}
+                value={pin}
+                onChangeText={(text) => setPin(sanitizeDeliveryPin(text))}
+                keyboardType="number-pad"
+                maxLength={DELIVERY_PIN_LENGTH}
+                placeholder={"•".repeat(DELIVERY_PIN_LENGTH)}
+                placeholderTextColor="#D1D5DB"
+                autoFocus
+              />
+              <Pressable
+                onPress={() => setMode("fallback")}
+                style={styles.linkBtn}
+              >
+                <Text style={styles.linkText}>
+                  {t("deliveryPin.cantReach")}
+                </Text>
+              </Pressable>
+            </>
+          ) : (
+            <>
+              <Text style={styles.hint}>{t("deliveryPin.fallbackHint")}</Text>
+              <View style={styles.reasonList}>
+                {PIN_FALLBACK_REASONS.map((entry) => {
+                  const selected = reason === entry.key;
+                  return (
+                    <Pressable
+                      key={entry.key}
+                      onPress={() => setReason(entry.key)}
+                      style={[
+                        styles.reasonRow,
+                        selected && styles.reasonRowSelected,
+                      ]}
+                    >
+                      <Ionicons
+                        name={
+                          selected ? "radio-button-on" : "radio-button-off"
+                        }
+                        size={18}
+                        color={selected ? "#EF4444" : "#9CA3AF"}
+                      />
+                      <Text style={styles.reasonText}>
+                        {t(`deliveryPin.reasons.${entry.key}`)}
+                      </Text>
+                    </Pressable>
+                  );
+                })}
+              </View>
+              <DeliveryProofUpload
+                deliveryId={deliveryId}
+                existingProofUrl={proofUrl}
+                onUploaded={handleProofUploaded}
+              />
+              <Pressable onPress={() => setMode("pin")} style={styles.linkBtn}>
+                <Text style={styles.linkText}>{t("deliveryPin.usePin")}</Text>
+              </Pressable>
+            </>
+          )}
+
+          <Pressable
+            onPress={handleConfirm}
+            disabled={!canConfirm}
+            style={[styles.confirmBtn, !canConfirm && styles.confirmDisabled]}
+          >
+            <Text style={styles.confirmText}>{t("deliveryPin.confirm")}</Text>
+          </Pressable>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: "flex-end",
+    backgroundColor: "rgba(0,0,0,0.45)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  title: { fontSize: 18, fontWeight: "800", color: "#111827" },
+  hint: { fontSize: 13, color: "#6B7280", lineHeight: 18 },
+  pinInput: {
+    marginTop: 16,
+    height: 64,
+    borderRadius: 14,
+    borderWidth: 1.5,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#F9FAFB",
+    textAlign: "center",
+    fontSize: 30,
+    fontWeight: "800",
+    letterSpacing: 16,
+    color: "#111827",
+  },
+  linkBtn: { alignSelf: "center", paddingVertical: 12 },
+  linkText: { fontSize: 13, fontWeight: "700", color: "#EF4444" },
+  reasonList: { marginTop: 12, gap: 8 },
+  reasonRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  reasonRowSelected: { borderColor: "#EF4444", backgroundColor: "#FEF2F2" },
+  reasonText: { fontSize: 14, color: "#111827" },
+  confirmBtn: {
+    height: 50,
+    borderRadius: 12,
+    backgroundColor: "#EF4444",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: 4,
+  },
+  confirmDisabled: { opacity: 0.5 },
+  confirmText: { color: "#fff", fontSize: 15, fontWeight: "800" },
+});
@@ -1,4 +1,3 @@
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as ImagePicker from "expo-image-picker";
 import { useState } from "react";
 import {
@@ -9,7 +8,8 @@ import {
   Text,
   View,
 } from "react-native";
-import { API_BASE_URL } from "../../constants/api";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { submitDriverAction } from "../../services/driverActionQueue";
 import OptimizedImage from "../common/OptimizedImage";
 
 export default function DeliveryProofUpload({
@@ -17,13 +17,18 @@ export default function DeliveryProofUpload({
   existingProofUrl = null,
   onUploaded,
 }) {
+  const { t } = useLocale();
   const [proofUrl, setProofUrl] = useState(existingProofUrl);
   const [uploading, setUploading] = useState(false);
+  const [pendingSync, setPendingSync] = useState(false);
 
   const handleCapture = async () => {
     const { status } = await ImagePicker.requestCameraPermissionsAsync();
     if (status !== "granted") {
-      Alert.alert("Permission", "Camera permission is required.");
+      Alert.alert(
+        t("deliveryProof.permissionTitle"),
+        t("deliveryProof.permissionBody"),
+      );
       return;
     }
 
@@ -45,35 +50,30 @@ export default function DeliveryProofUpload({
 
     setUploading(true);
     try {
-      const token = await AsyncStorage.getItem("token");
-      const formData = new FormData();
-      formData.append("file", {
-        uri: asset.uri,
-        name: `delivery_proof_${deliveryId}.jpg`,
-        type: asset.mimeType || "image/jpeg",
+      // Offline uploads are kept in the driver action queue with the local
+      // photo and sent when the connection comes back.
+      const result = await submitDriverAction({
+        type: "proof",
+        deliveryId,
+        payload: { uri: asset.uri, mimeType: asset.mimeType || "image/jpeg" },
       });
-
-      const res = await fetch(
-        `${API_BASE_URL}/driver/deliveries/${deliveryId}/proof`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-          body: formData,
-        },
-      );
-
-      const data = await res.json().catch(() => ({}));
-      if (!res.ok) {
-        throw new Error(data?.message || "Upload failed");
+      if (!result.ok) {
+        throw new Error(result.message || t("deliveryProof.uploadFailed"));
       }
 
-      const nextUrl = data?.url || asset.uri;
+      // A queued photo only has its local uri; the action id lets the server
+      // link the proof once the upload goes through.
+      const nextUrl = result.data?.url || asset.uri;
       setProofUrl(nextUrl);
-      onUploaded?.(nextUrl);
+      setPendingSync(Boolean(result.queued));
+      onUploaded?.(nextUrl, {
+        queuedActionId: result.queued ? result.action.id : null,
+      });
     } catch (error) {
-      Alert.alert("Upload failed", error?.message || "Please try again");
+      Alert.alert(
+        t("deliveryProof.uploadFailed"),
+        error?.message || t("deliveryProof.tryAgain"),
+      );
     } finally {
       setUploading(false);
     }
@@ -82,15 +82,24 @@ export default function DeliveryProofUpload({
   return (
     <View style={styles.card}>
       <View style={styles.headerRow}>
-        <Text style={styles.title}>Delivery Proof</Text>
-        <Text style={styles.optional}>Optional</Text>
+        <Text style={styles.title}>{t("deliveryProof.title")}</Text>
+        <Text style={styles.optional}>{t("deliveryProof.optional")}</Text>
       </View>
 
       {proofUrl ? (
-        <OptimizedImage uri={proofUrl} style={styles.preview} />
+        <>
+          <OptimizedImage uri={proofUrl} style={styles.preview} />
+          {pendingSync && (
+            <Text style={styles.pendingSyncText}>
+              {t("deliveryProof.savedOffline")}
+            </Text>
+          )}
+        </>
       ) : (
         <View style={styles.placeholder}>
-          <Text style={styles.placeholderText}>No photo uploaded</Text>
+          <Text style={styles.placeholderText}>
+            {t("deliveryProof.noPhoto")}
+          </Text>
         </View>
       )}
 
@@ -103,7 +112,9 @@ export default function DeliveryProofUpload({
           <ActivityIndicator color="#fff" />
         ) : (
           <Text style={styles.captureBtnText}>
-            {proofUrl ? "Retake Photo" : "Take Photo"}
+            {proofUrl
+              ? t("deliveryProof.retakePhoto")
+              : t("deliveryProof.takePhoto")}
           </Text>
         )}
       </Pressable>
@@ -153,6 +164,13 @@ const styles = StyleSheet.create({
     backgroundColor: "#fff",
   },
   placeholderText: { color: "#6B7280", fontSize: 12 },
+  pendingSyncText: {
+    color: "#B45309",
+    fontSize: 12,
+    fontWeight: "600",
+    marginTop: -6,
+    marginBottom: 10,
+  },
   captureBtn: {
     height: 44,
     borderRadius: 10,
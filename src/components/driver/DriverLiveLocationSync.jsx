@@ -5,6 +5,7 @@ import * as Location from "expo-location";
 import { useCallback, useEffect, useRef, useState } from "react";
 import { AppState, Modal, View, Text, TouchableOpacity, StyleSheet, Alert, DeviceEventEmitter } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import { API_BASE_URL } from "../../constants/api";
 import { getAccessToken } from "../../lib/authStorage";
 import {
@@ -14,6 +15,11 @@ import {
   stopDriverBackgroundLocationTracking,
 } from "../../services/driverBackgroundLocationService";
 import { fetchDriverActiveDeliveryIds } from "../../services/driverActiveDeliveriesService";
+import {
+  DRIVER_ACTION_AUTH_FAILED_EVENT,
+  DRIVER_ACTION_CONFLICT_EVENT,
+  flushDriverActionQueue,
+} from "../../services/driverActionQueue";
 import {
   DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY,
   getCurrentDriverScopedCacheKey,
@@ -135,6 +141,7 @@ async function patchAvailableDeliveryCacheLocation(location) {
 
 export default function DriverLiveLocationSync() {
   const queryClient = useQueryClient();
+  const { t } = useLocale();
   const { emit, isConnected } = useSocket();
   const locationWatchRef = useRef(null);
   const appStateRef = useRef(AppState.currentState);
@@ -514,6 +521,7 @@ export default function DriverLiveLocationSync() {
       appStateRef.current = nextAppState;
 
       if (previous.match(/inactive|background/) && nextAppState === "active") {
+        flushDriverActionQueue().catch(() => {});
         // App returned to foreground:
         // 1. Restart foreground watch
         // 2. Re-sync lifecycle (checks for new deliveries, flushes queue)
@@ -545,6 +553,7 @@ export default function DriverLiveLocationSync() {
     const networkSub = NetInfo.addEventListener((state) => {
       if (state?.isConnected) {
         flushQueuedDriverLocationUpdates().catch(() => {});
+        flushDriverActionQueue().catch(() => {});
       }
     });
 
@@ -579,6 +588,39 @@ export default function DriverLiveLocationSync() {
     syncTrackingLifecycle,
   ]);
 
+  // Offline status updates replay here; a rejected (stale) transition means
+  // the optimistic UI is wrong, so tell the driver and refetch. A replay
+  // whose session could not be renewed waits until the driver signs in.
+  useEffect(() => {
+    flushDriverActionQueue().catch(() => {});
+
+    const conflictSub = DeviceEventEmitter.addListener(
+      DRIVER_ACTION_CONFLICT_EVENT,
+      ({ action, message }) => {
+        queryClient.invalidateQueries({ queryKey: ["driver"] });
+        Alert.alert(
+          t("driverSync.conflictTitle"),
+          t("driverSync.conflictBody", {
+            message,
+            deliveryId: String(action?.deliveryId ?? ""),
+          }),
+        );
+      },
+    );
+
+    const authFailedSub = DeviceEventEmitter.addListener(
+      DRIVER_ACTION_AUTH_FAILED_EVENT,
+      ({ message }) => {
+        Alert.alert(t("driverSync.sessionExpiredTitle"), message);
+      },
+    );
+
+    return () => {
+      conflictSub.remove();
+      authFailedSub.remove();
+    };
+  }, [queryClient, t]);
+
   return (
     <Modal
       visible={showDisclosure}
@@ -2,6 +2,7 @@ import React, { useEffect } from "react";
 import { DeviceEventEmitter } from "react-native";
 import { useSocket } from "../../context/SocketContext";
 import { useDriverDeliveryNotifications } from "../../context/DriverDeliveryNotificationContext";
+import { isScheduledOrderReleased } from "../../utils/deliverySchedule";
 
 /**
  * DriverSocketConnector - Manages socket connection for driver
@@ -42,6 +43,7 @@ const DriverSocketConnector = ({ driverId, location }) => {
 
     const handleNewDelivery = (data) => {
       console.log("[DriverSocket] Received delivery:new:", data);
+      if (!isScheduledOrderReleased(data)) return;
       addNotification({
         id: data.delivery_id || data.deliveryId,
         title: "New Delivery! 🛵",
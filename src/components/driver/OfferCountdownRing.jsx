@@ -0,0 +1,101 @@
+import { useEffect, useState } from "react";
+import { StyleSheet, Text, View } from "react-native";
+import Svg, { Circle } from "react-native-svg";
+
+const TICK_MS = 250;
+
+function ringColor(fraction) {
+  if (fraction > 0.5) return "#13ec37";
+  if (fraction > 0.2) return "#F59E0B";
+  return "#EF4444";
+}
+
+/**
+ * OfferCountdownRing - seconds left on a delivery offer inside a ring that
+ * drains as the offer runs out. Purely visual; the owner expires the offer.
+ */
+export default function OfferCountdownRing({
+  expiresAt,
+  durationMs,
+  size = 48,
+  strokeWidth = 4,
+  trackColor = "#E5E7EB",
+  style,
+}) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= expiresAt) clearInterval(interval);
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+
+  if (!expiresAt) return null;
+
+  const remainingMs = Math.max(0, expiresAt - now);
+  const fraction = durationMs
+    ? Math.min(1, remainingMs / durationMs)
+    : remainingMs > 0
+      ? 1
+      : 0;
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const color = ringColor(fraction);
+
+  return (
+    <View style={[{ width: size, height: size }, style]}>
+      <Svg width={size} height={size} style={styles.ring}>
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={trackColor}
+          strokeWidth={strokeWidth}
+          fill="none"
+        />
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeLinecap="round"
+          strokeDasharray={`${circumference} ${circumference}`}
+          strokeDashoffset={circumference * (1 - fraction)}
+          fill="none"
+        />
+      </Svg>
+      <View style={styles.center}>
+        <Text
+          style={[
+            styles.seconds,
+            { fontSize: size * 0.32 },
+            fraction <= 0.2 && { color },
+          ]}
+        >
+          {Math.ceil(remainingMs / 1000)}
+        </Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  ring: {
+    transform: [{ rotate: "-90deg" }],
+  },
+  center: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  seconds: {
+    fontWeight: "800",
+    color: "#111827",
+  },
+});
@@ -0,0 +1,70 @@
+import { Ionicons } from "@expo/vector-icons";
+import {
+  ActivityIndicator,
+  Pressable,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import useDriverActionQueue from "../../hooks/useDriverActionQueue";
+
+/**
+ * PendingSyncBadge - shows how many driver updates are waiting for
+ * connectivity. Tapping it retries the queue. Renders nothing when synced.
+ */
+export default function PendingSyncBadge({ style }) {
+  const { t } = useLocale();
+  const { pendingCount, syncing, syncNow } = useDriverActionQueue();
+
+  if (pendingCount === 0) return null;
+
+  return (
+    <Pressable
+      style={[styles.badge, style]}
+      onPress={() => syncNow().catch(() => {})}
+      disabled={syncing}
+    >
+      {syncing ? (
+        <ActivityIndicator size="small" color="#B45309" />
+      ) : (
+        <Ionicons name="cloud-offline-outline" size={16} color="#B45309" />
+      )}
+      <View style={styles.textWrap}>
+        <Text style={styles.title}>
+          {t("driverSync.pendingCount", { count: pendingCount })}
+        </Text>
+        <Text style={styles.subtitle}>
+          {syncing ? t("driverSync.syncing") : t("driverSync.pendingHint")}
+        </Text>
+      </View>
+    </Pressable>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 12,
+    backgroundColor: "#FEF3C7",
+    borderWidth: 1,
+    borderColor: "#FCD34D",
+  },
+  textWrap: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#92400E",
+  },
+  subtitle: {
+    fontSize: 12,
+    color: "#B45309",
+    marginTop: 1,
+  },
+});
@@ -7,6 +7,7 @@ import {
   Animated,
   Dimensions,
 } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 const KNOB_SIZE = 60;
@@ -15,15 +16,18 @@ const SWIPE_THRESHOLD = SCREEN_WIDTH * 0.62;
 
 /**
  * SwipeToDeliver - Swipe button to confirm delivery actions
- * @param {Object} props - { onSwipeComplete, text, color }
+ * @param {Object} props - { onSwipeComplete, text, color, pendingSync }
+ *   pendingSync: this delivery has an update waiting in the offline queue
  */
 const SwipeToDeliver = ({
   onSwipeComplete,
-  text = "Swipe to Deliver",
+  text,
   color = "#06C168",
   disabled = false,
+  pendingSync = false,
   textStyle,
 }) => {
+  const { t } = useLocale();
   const pan = useRef(new Animated.Value(0)).current;
   const [containerWidth, setContainerWidth] = useState(SWIPE_THRESHOLD);
 
@@ -116,40 +120,49 @@ const SwipeToDeliver = ({
   });
 
   return (
-    <View
-      style={[styles.container, { opacity: disabled ? 0.6 : 1 }]}
-      onLayout={(event) => {
-        const nextWidth = event?.nativeEvent?.layout?.width;
-        if (Number.isFinite(nextWidth) && nextWidth > 0) {
-          setContainerWidth(nextWidth);
-        }
-      }}
-    >
-      <Animated.View
-        style={[
-          styles.track,
-          {
-            backgroundColor: color,
-            opacity: progress.interpolate({
-              inputRange: [0, 1],
-              outputRange: [0.18, 1],
-            }),
-            width: fillWidth,
-          },
-        ]}
-      />
-      <Animated.View
-        style={[
-          styles.thumb,
-          { backgroundColor: "#fff" },
-          { transform: [{ translateX: pan }] },
-        ]}
-        {...panResponder.panHandlers}
+    <View>
+      <View
+        style={[styles.container, { opacity: disabled ? 0.6 : 1 }]}
+        onLayout={(event) => {
+          const nextWidth = event?.nativeEvent?.layout?.width;
+          if (Number.isFinite(nextWidth) && nextWidth > 0) {
+            setContainerWidth(nextWidth);
+          }
+        }}
       >
-        <Text style={[styles.thumbText, { color }]}>›</Text>
-      </Animated.View>
-      <Text style={[styles.text, textStyle]}>{text}</Text>
-      <Text style={[styles.chevrons, { color }]}>› › ›</Text>
+        <Animated.View
+          style={[
+            styles.track,
+            {
+              backgroundColor: color,
+              opacity: progress.interpolate({
+                inputRange: [0, 1],
+                outputRange: [0.18, 1],
+              }),
+              width: fillWidth,
+            },
+          ]}
+        />
+        <Animated.View
+          style={[
+            styles.thumb,
+            { backgroundColor: "#fff" },
+            { transform: [{ translateX: pan }] },
+          ]}
+          {...panResponder.panHandlers}
+        >
+          <Text style={[styles.thumbText, { color }]}>›</Text>
+        </Animated.View>
+        <Text style={[styles.text, textStyle]}>
+          {text ?? t("driverSync.swipeToDeliver")}
+        </Text>
+        <Text style={[styles.chevrons, { color }]}>› › ›</Text>
+      </View>
+      {pendingSync && (
+        <Text style={styles.pendingSyncText}>
+          {t("driverSync.savedOffline")}
+        </Text>
+      )}
     </View>
   );
 };
@@ -198,6 +211,14 @@ const styles = StyleSheet.create({
     color: "#06C168",
     fontWeight: "700",
   },
+  pendingSyncText: {
+    textAlign: "center",
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#B45309",
+    marginTop: -4,
+    marginBottom: 6,
+  },
 });
 
 export default SwipeToDeliver;
@@ -0,0 +1,267 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { formatStepDistance } from "../../utils/turnByTurn";
+
+const toMinutes = (seconds) =>
+  Math.max(1, Math.round((Number(seconds) || 0) / 60));
+
+/**
+ * Navigation-mode overlay for DriverMapScreen: the current maneuver banner
+ * with the distance to the turn, the step after it, an expandable list of
+ * the remaining steps and which stop of the route is next.
+ * @param {Object} props - { guidance: useTurnByTurnNavigation() result,
+ *   stopCount, muted, onToggleMute, onOpenExternal, onExit, topInset }
+ */
+export default function TurnByTurnPanel({
+  guidance,
+  stopCount,
+  muted,
+  onToggleMute,
+  onOpenExternal,
+  onExit,
+  topInset = 0,
+}) {
+  const { t } = useLocale();
+  const [showSteps, setShowSteps] = useState(false);
+  const {
+    currentStep,
+    nextStep,
+    steps,
+    stepIndex,
+    distanceToManeuver,
+    remainingMeters,
+    remainingSeconds,
+    currentStop,
+    stopIndex,
+    loading,
+    rerouting,
+    error,
+  } = guidance;
+
+  const upcomingSteps = steps.slice(stepIndex + 1);
+
+  return (
+    <View style={[styles.container, { paddingTop: topInset + 8 }]}>
+      <View style={styles.banner}>
+        {loading && !currentStep ? (
+          <View style={styles.bannerRow}>
+            <ActivityIndicator color="#fff" />
+            <Text style={styles.instruction}>
+              {t("navigation.findingRoute")}
+            </Text>
+          </View>
+        ) : currentStep ? (
+          <View style={styles.bannerRow}>
+            <View style={styles.maneuverIcon}>
+              <Ionicons name={currentStep.icon} size={30} color="#fff" />
+              <Text style={styles.maneuverDistance}>
+                {formatStepDistance(distanceToManeuver)}
+              </Text>
+            </View>
+            <Text style={styles.instruction} numberOfLines={3}>
+              {currentStep.instruction}
+            </Text>
+          </View>
+        ) : (
+          <Text style={styles.instruction}>
+            {error || t("navigation.noRoute")}
+          </Text>
+        )}
+
+        {rerouting && (
+          <View style={styles.reroutingRow}>
+            <ActivityIndicator size="small" color="#BFDBFE" />
+            <Text style={styles.reroutingText}>
+              {t("navigation.rerouting")}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {nextStep && !showSteps && (
+        <View style={styles.thenRow}>
+          <Text style={styles.thenLabel}>{t("navigation.then")}</Text>
+          <Ionicons name={nextStep.icon} size={16} color="#1E3A8A" />
+          <Text style={styles.thenText} numberOfLines={1}>
+            {nextStep.instruction}
+          </Text>
+        </View>
+      )}
+
+      {showSteps && (
+        <ScrollView style={styles.stepList} nestedScrollEnabled>
+          {upcomingSteps.map((step) => (
+            <View key={step.id} style={styles.stepRow}>
+              <Ionicons name={step.icon} size={18} color="#334155" />
+              <Text style={styles.stepText} numberOfLines={2}>
+                {step.instruction}
+              </Text>
+              <Text style={styles.stepDistance}>
+                {formatStepDistance(step.distance)}
+              </Text>
+            </View>
+          ))}
+        </ScrollView>
+      )}
+
+      <View style={styles.footer}>
+        <View style={styles.summary}>
+          <Text style={styles.summaryMain}>
+            {t("navigation.minutes", { count: toMinutes(remainingSeconds) })}
+            {" · "}
+            {formatStepDistance(remainingMeters)}
+          </Text>
+          {currentStop ? (
+            <Text style={styles.summarySub} numberOfLines={1}>
+              {t("navigation.stopOf", {
+                index: stopIndex + 1,
+                count: stopCount,
+                label: currentStop.label,
+              })}
+            </Text>
+          ) : null}
+        </View>
+        <Pressable
+          style={styles.iconBtn}
+          onPress={() => setShowSteps((value) => !value)}
+          hitSlop={6}
+        >
+          <Ionicons
+            name={showSteps ? "chevron-up" : "list"}
+            size={20}
+            color="#1E3A8A"
+          />
+        </Pressable>
+        <Pressable style={styles.iconBtn} onPress={onToggleMute} hitSlop={6}>
+          <Ionicons
+            name={muted ? "volume-mute" : "volume-high"}
+            size={20}
+            color="#1E3A8A"
+          />
+        </Pressable>
+        <Pressable style={styles.iconBtn} onPress={onOpenExternal} hitSlop={6}>
+          <Ionicons name="open-outline" size={20} color="#1E3A8A" />
+        </Pressable>
+        <Pressable style={styles.exitBtn} onPress={onExit}>
+          <Text style={styles.exitText}>{t("navigation.exit")}</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    right: 0,
+    paddingHorizontal: 12,
+    zIndex: 20,
+  },
+  banner: {
+    backgroundColor: "#1D4ED8",
+    borderRadius: 16,
+    padding: 14,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  bannerRow: { flexDirection: "row", alignItems: "center", gap: 14 },
+  maneuverIcon: { alignItems: "center", minWidth: 56 },
+  maneuverDistance: {
+    marginTop: 2,
+    fontSize: 15,
+    fontWeight: "800",
+    color: "#fff",
+  },
+  instruction: {
+    flex: 1,
+    fontSize: 19,
+    fontWeight: "700",
+    color: "#fff",
+    lineHeight: 24,
+  },
+  reroutingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 8,
+  },
+  reroutingText: { fontSize: 12, fontWeight: "600", color: "#BFDBFE" },
+  thenRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    alignSelf: "flex-start",
+    maxWidth: "100%",
+    marginTop: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 10,
+    backgroundColor: "#DBEAFE",
+  },
+  thenLabel: { fontSize: 12, fontWeight: "700", color: "#1E3A8A" },
+  thenText: { flexShrink: 1, fontSize: 13, color: "#1E3A8A" },
+  stepList: {
+    maxHeight: 240,
+    marginTop: 6,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    paddingHorizontal: 12,
+  },
+  stepRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  stepText: { flex: 1, fontSize: 13, color: "#1E293B" },
+  stepDistance: { fontSize: 12, fontWeight: "600", color: "#64748B" },
+  footer: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 6,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summary: { flex: 1 },
+  summaryMain: { fontSize: 15, fontWeight: "800", color: "#0F172A" },
+  summarySub: { marginTop: 1, fontSize: 12, color: "#64748B" },
+  iconBtn: {
+    width: 36,
+    height: 36,
+    borderRadius: 10,
+    backgroundColor: "#EFF6FF",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  exitBtn: {
+    paddingHorizontal: 12,
+    height: 36,
+    borderRadius: 10,
+    backgroundColor: "#FEE2E2",
+    justifyContent: "center",
+  },
+  exitText: { fontSize: 13, fontWeight: "800", color: "#B91C1C" },
+});
@@ -0,0 +1,255 @@
+import * as Location from "expo-location";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Pressable,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  callUnreachableCustomer,
+  getUnreachableCase,
+  getUnreachableWaitMs,
+  markUndeliverable,
+  startUnreachableCase,
+} from "../../services/unreachableDeliveryService";
+import DeliveryProofUpload from "./DeliveryProofUpload";
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
+
+async function getProofLocation(fallback) {
+  try {
+    const position = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.High,
+    });
+    return {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+    };
+  } catch {
+    return fallback || null;
+  }
+}
+
+/**
+ * "Arrived – customer unreachable" controls for one delivery: flag the
+ * customer, wait out the timer while calling, then mark the order
+ * undeliverable with a photo and the driver's GPS position.
+ * @param {Object} props - { delivery, driverLocation, onUndeliverable }
+ */
+export default function UnreachableCustomerPanel({
+  delivery,
+  driverLocation,
+  onUndeliverable,
+}) {
+  const { t } = useLocale();
+  const [unreachableCase, setUnreachableCase] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [busy, setBusy] = useState(false);
+  const [proofUrl, setProofUrl] = useState(null);
+
+  const phone =
+    delivery?.customer?.phone || delivery?.customer_phone || delivery?.phone;
+  const waitMs = getUnreachableWaitMs(delivery);
+  const remainingMs = unreachableCase
+    ? unreachableCase.startedAt + waitMs - now
+    : waitMs;
+  const waitOver = Boolean(unreachableCase) && remainingMs <= 0;
+
+  useEffect(() => {
+    let mounted = true;
+    getUnreachableCase(delivery).then((found) => {
+      if (mounted) setUnreachableCase(found);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, [delivery]);
+
+  useEffect(() => {
+    if (!unreachableCase || waitOver) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [unreachableCase, waitOver]);
+
+  const handleStart = async () => {
+    try {
+      setBusy(true);
+      const location = await getProofLocation(driverLocation);
+      setUnreachableCase(await startUnreachableCase(delivery, location));
+      setNow(Date.now());
+    } catch (error) {
+      Alert.alert(
+        t("unreachable.startFailed"),
+        error?.message || t("unreachable.tryAgain"),
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCall = async () => {
+    if (!phone) {
+      Alert.alert(
+        t("unreachable.noPhoneTitle"),
+        t("unreachable.noPhoneBody"),
+      );
+      return;
+    }
+    setUnreachableCase(await callUnreachableCustomer(delivery, phone));
+  };
+
+  const handleUndeliverable = () => {
+    Alert.alert(
+      t("unreachable.confirmTitle"),
+      t("unreachable.confirmBody"),
+      [
+        { text: t("common.cancel"), style: "cancel" },
+        {
+          text: t("common.confirm"),
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setBusy(true);
+              const location = await getProofLocation(driverLocation);
+              await markUndeliverable(delivery, { proofUrl, location });
+              onUndeliverable?.(delivery);
+            } catch (error) {
+              Alert.alert(
+                t("unreachable.failed"),
+                error?.message || t("unreachable.tryAgain"),
+              );
+            } finally {
+              setBusy(false);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  if (!unreachableCase) {
+    return (
+      <Pressable
+        style={styles.startBtn}
+        onPress={handleStart}
+        disabled={busy}
+      >
+        {busy ? (
+          <ActivityIndicator size="small" color="#B45309" />
+        ) : (
+          <Text style={styles.startBtnText}>{t("unreachable.start")}</Text>
+        )}
+      </Pressable>
+    );
+  }
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>{t("unreachable.title")}</Text>
+        <Text style={styles.timer}>
+          {waitOver ? t("unreachable.waitOver") : formatCountdown(remainingMs)}
+        </Text>
+      </View>
+      <Text style={styles.hint}>
+        {waitOver
+          ? t("unreachable.waitOverHint")
+          : t("unreachable.waitingHint")}
+      </Text>
+
+      <Pressable style={styles.callBtn} onPress={handleCall}>
+        <Text style={styles.callBtnText}>
+          {unreachableCase.callAttempts > 0
+            ? t("unreachable.callAttempts", {
+                count: unreachableCase.callAttempts,
+              })
+            : t("unreachable.call")}
+        </Text>
+      </Pressable>
+
+      {waitOver && (
+        <>
+          <DeliveryProofUpload
+            deliveryId={delivery.delivery_id}
+            onUploaded={setProofUrl}
+          />
+          <Pressable
+            style={[
+              styles.undeliverableBtn,
+              (!proofUrl || busy) && styles.disabled,
+            ]}
+            onPress={handleUndeliverable}
+            disabled={!proofUrl || busy}
+          >
+            {busy ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.undeliverableText}>
+                {t("unreachable.markUndeliverable")}
+              </Text>
+            )}
+          </Pressable>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  startBtn: {
+    marginTop: 10,
+    paddingVertical: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#FCD34D",
+    backgroundColor: "#FFFBEB",
+    alignItems: "center",
+  },
+  startBtnText: { fontSize: 14, fontWeight: "700", color: "#B45309" },
+  panel: {
+    marginTop: 10,
+    padding: 14,
+    borderRadius: 12,
+    backgroundColor: "#FFFBEB",
+    borderWidth: 1,
+    borderColor: "#FCD34D",
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  title: { fontSize: 14, fontWeight: "800", color: "#92400E" },
+  timer: { fontSize: 18, fontWeight: "800", color: "#B45309" },
+  hint: { marginTop: 4, fontSize: 12, color: "#92400E", lineHeight: 17 },
+  callBtn: {
+    marginTop: 12,
+    paddingVertical: 11,
+    borderRadius: 10,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#FCD34D",
+    alignItems: "center",
+  },
+  callBtnText: { fontSize: 14, fontWeight: "700", color: "#92400E" },
+  undeliverableBtn: {
+    marginTop: 12,
+    height: 46,
+    borderRadius: 10,
+    backgroundColor: "#DC2626",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  undeliverableText: { color: "#fff", fontSize: 14, fontWeight: "800" },
+  disabled: { opacity: 0.5 },
+});
@@ -0,0 +1,239 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Linking,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { calculateDistance } from "../../utils/locationUtils";
+import OptimizedImage from "../common/OptimizedImage";
+
+export const UNDELIVERABLE_RESOLUTIONS = [
+  { key: "redeliver", label: "Re-attempt delivery" },
+  { key: "return_to_restaurant", label: "Return to restaurant" },
+  { key: "cancel", label: "Cancel order" },
+];
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const FeeToggle = ({ label, value, onChange }) => (
+  <TouchableOpacity
+    style={styles.toggleRow}
+    onPress={() => onChange(!value)}
+    activeOpacity={0.7}
+  >
+    <Ionicons
+      name={value ? "checkbox" : "square-outline"}
+      size={20}
+      color={value ? "#06C168" : "#9CA3AF"}
+    />
+    <Text style={styles.toggleText}>{label}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * A delivery the driver marked undeliverable after the customer could not
+ * be reached: the driver's proof (photo, GPS, wait and call attempts) and
+ * the manager's resolution with fee handling.
+ * @param {Object} props - { delivery, resolving,
+ *   onResolve({ resolution, charge_customer, pay_driver }) }
+ */
+export default function UndeliverableCaseCard({
+  delivery,
+  resolving = false,
+  onResolve,
+}) {
+  const [resolution, setResolution] = useState(null);
+  const [chargeCustomer, setChargeCustomer] = useState(true);
+  const [payDriver, setPayDriver] = useState(true);
+
+  const order = Array.isArray(delivery.orders)
+    ? delivery.orders[0]
+    : delivery.orders || delivery.order || {};
+  const proof = delivery.undeliverable_proof || {};
+  const orderTotal = parseFloat(order.total_amount || 0).toFixed(0);
+  const waitedMinutes = Math.round((Number(proof.waited_seconds) || 0) / 60);
+
+  const driverLat = toNumber(proof.latitude);
+  const driverLng = toNumber(proof.longitude);
+  const dropLat = toNumber(order.delivery_latitude);
+  const dropLng = toNumber(order.delivery_longitude);
+  const distanceFromDropoffM =
+    driverLat !== null && dropLat !== null
+      ? Math.round(
+          calculateDistance(driverLat, driverLng, dropLat, dropLng) * 1000,
+        )
+      : null;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.orderNum}>
+          #{order.order_number || delivery.id}
+        </Text>
+        <View style={styles.badge}>
+          <Text style={styles.badgeText}>UNDELIVERABLE</Text>
+        </View>
+      </View>
+      <Text style={styles.meta} numberOfLines={1}>
+        {order.restaurant_name} → {order.customer_name || "Customer"}
+      </Text>
+
+      <View style={styles.factsRow}>
+        <Text style={styles.fact}>⏱ Waited {waitedMinutes} min</Text>
+        <Text style={styles.fact}>
+          📞 {Number(proof.call_attempts) || 0} calls
+        </Text>
+        {distanceFromDropoffM !== null && (
+          <Text style={styles.fact}>
+            📍 {distanceFromDropoffM} m from drop
+          </Text>
+        )}
+      </View>
+
+      {proof.proof_url ? (
+        <OptimizedImage uri={proof.proof_url} style={styles.proofImage} />
+      ) : null}
+
+      {order.customer_phone ? (
+        <TouchableOpacity
+          onPress={() => Linking.openURL(`tel:${order.customer_phone}`)}
+        >
+          <Text style={styles.phoneLink}>Call {order.customer_phone}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      <Text style={styles.label}>RESOLUTION</Text>
+      <View style={styles.chipRow}>
+        {UNDELIVERABLE_RESOLUTIONS.map((option) => {
+          const selected = resolution === option.key;
+          return (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.chip, selected && styles.chipSelected]}
+              onPress={() => setResolution(option.key)}
+            >
+              <Text
+                style={[styles.chipText, selected && styles.chipTextSelected]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <Text style={styles.label}>FEES</Text>
+      <FeeToggle
+        label={`Charge customer (Rs.${orderTotal})`}
+        value={chargeCustomer}
+        onChange={setChargeCustomer}
+      />
+      <FeeToggle
+        label="Pay driver for the attempt"
+        value={payDriver}
+        onChange={setPayDriver}
+      />
+
+      <TouchableOpacity
+        style={[styles.resolveBtn, (!resolution || resolving) && styles.dim]}
+        disabled={!resolution || resolving}
+        onPress={() =>
+          onResolve?.({
+            resolution,
+            charge_customer: chargeCustomer,
+            pay_driver: payDriver,
+          })
+        }
+      >
+        {resolving ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.resolveText}>Resolve</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#FECACA",
+    padding: 16,
+    marginBottom: 12,
+  },
+  headerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  orderNum: { fontSize: 16, fontWeight: "800", color: "#111816" },
+  badge: {
+    backgroundColor: "#FEE2E2",
+    borderRadius: 999,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+  },
+  badgeText: { fontSize: 10, fontWeight: "800", color: "#B91C1C" },
+  meta: { marginTop: 4, fontSize: 13, color: "#618980" },
+  factsRow: { flexDirection: "row", flexWrap: "wrap", gap: 12, marginTop: 10 },
+  fact: { fontSize: 12, fontWeight: "600", color: "#374151" },
+  proofImage: {
+    width: "100%",
+    height: 150,
+    borderRadius: 10,
+    marginTop: 10,
+  },
+  phoneLink: {
+    marginTop: 10,
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#06C168",
+  },
+  label: {
+    marginTop: 14,
+    marginBottom: 6,
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#618980",
+    letterSpacing: 0.5,
+  },
+  chipRow: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#F9FAFB",
+  },
+  chipSelected: { borderColor: "#06C168", backgroundColor: "#E6F9EE" },
+  chipText: { fontSize: 12, fontWeight: "600", color: "#374151" },
+  chipTextSelected: { color: "#046B4D" },
+  toggleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingVertical: 4,
+  },
+  toggleText: { fontSize: 13, color: "#111816" },
+  resolveBtn: {
+    marginTop: 14,
+    height: 44,
+    borderRadius: 10,
+    backgroundColor: "#111816",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  resolveText: { color: "#fff", fontSize: 14, fontWeight: "800" },
+  dim: { opacity: 0.4 },
+});
@@ -2,7 +2,8 @@
  * FreeMapView Component — Leaflet WebView (NO Google Maps / react-native-maps)
  *
  * Drop-in replacement: same props & ref API as the old react-native-maps version.
- * Uses OpenStreetMap tiles via Leaflet loaded inside a WebView.
+ * Uses OpenStreetMap tiles via Leaflet loaded inside a WebView; tiles saved
+ * for offline use are served from the offline tile cache first.
  */
 
 import React, {
@@ -14,6 +15,10 @@ import React, {
 } from "react";
 import { View, StyleSheet, ActivityIndicator } from "react-native";
 import { WebView } from "react-native-webview";
+import useOfflineTileBridge, {
+  OFFLINE_TILE_LAYER_SCRIPT,
+} from "../../hooks/useOfflineTileBridge";
+import { TILE_URL_TEMPLATE } from "../../services/offlineTileService";
 
 // ─── Leaflet HTML ──────────────────────────────────────────────────────────
 const LEAFLET_HTML = `
@@ -43,17 +48,18 @@ const LEAFLET_HTML = `
 <body>
 <div id="map"></div>
 <script>
+  ${OFFLINE_TILE_LAYER_SCRIPT}
   var map, markers={}, polylines={}, userLocMarker=null, dashTicker=null, dashPhase=0;
   var tileLayer=null, tileProviderIndex=0, tileErrorCount=0;
   var tileProviders=[
-    {url:'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',opts:{maxZoom:19,subdomains:'abc'}}
+    {url:'${TILE_URL_TEMPLATE}',opts:{maxZoom:19,subdomains:'abc'}}
   ];
 
   function attachTileProvider(){
     if(!map) return;
     if(tileLayer){map.removeLayer(tileLayer);tileLayer=null;}
     var p=tileProviders[tileProviderIndex]||tileProviders[0];
-    tileLayer=L.tileLayer(p.url,p.opts||{});
+    tileLayer=createTileLayer(p.url,p.opts||{});
     tileLayer.on('tileerror',function(){
       tileErrorCount++;
       if(tileErrorCount>=4&&tileProviderIndex<tileProviders.length-1){
@@ -263,6 +269,7 @@ const FreeMapView = forwardRef(
     ref,
   ) => {
     const webRef = useRef(null);
+    const handleTileMessage = useOfflineTileBridge(webRef);
     const [ready, setReady] = useState(false);
     const pendingFitRef = useRef(null);
     const prevMarkerIdsRef = useRef([]);
@@ -431,6 +438,7 @@ const FreeMapView = forwardRef(
     const handleMessage = (e) => {
       try {
         const data = JSON.parse(e.nativeEvent.data);
+        if (handleTileMessage(data)) return;
         if (data.type === "mapPress") {
           const evt = { nativeEvent: { coordinate: data.coordinate } };
           onPress?.(evt);
@@ -4,7 +4,8 @@
  * Shows:
  *   - Driver marker moving in real-time (route-aligned heading)
  *   - Customer destination marker (pin tip anchored to coordinate)
- *   - Shortest black route polyline (OSRM driving profile)
+ *   - Shortest black route polyline (configured routing provider, fetched
+ *     on the native side and passed back to the WebView)
  *
  * Receives driver location from parent polling updates.
  * Marker moves smoothly using ease-in-out animation.
@@ -20,6 +21,7 @@ import React, {
 } from "react";
 import { ActivityIndicator, StyleSheet, View } from "react-native";
 import { WebView } from "react-native-webview";
+import { fetchRoute } from "../../services/routingProvider";
 
 // ─── Generate Leaflet HTML with customer location ─────────────────────────────
 const generateLeafletHTML = (customerLat, customerLng) => `
@@ -158,6 +160,9 @@ const generateLeafletHTML = (customerLat, customerLng) => `
 
     const ROUTE_REFRESH_MS = 2500;
     const ROUTE_REFRESH_DISTANCE_M = 8;
+    const ROUTE_RESPONSE_TIMEOUT_MS = 20000;
+    const pendingRoutes = {};
+    let routeRequestId = 0;
 
     function toRad(deg) {
       return (deg * Math.PI) / 180;
@@ -195,30 +200,39 @@ const generateLeafletHTML = (customerLat, customerLng) => `
       return bearing;
     }
 
-    async function fetchDrivingRoute(driverLat, driverLng) {
-      if (!customerLat || !customerLng) return null;
+    // Routes come from the app's routing provider; React Native answers
+    // with ROUTE_RESULT ([lat, lng] pairs, or null when unroutable).
+    function fetchDrivingRoute(driverLat, driverLng) {
+      if (!customerLat || !customerLng || !window.ReactNativeWebView) {
+        return Promise.resolve(null);
+      }
 
-      const url =
-        'https://router.project-osrm.org/route/v1/driving/' +
-        driverLng + ',' + driverLat + ';' + customerLng + ',' + customerLat +
-        '?overview=full&geometries=geojson&steps=false';
+      routeRequestId += 1;
+      const id = routeRequestId;
 
-      try {
-        const res = await fetch(url);
-        if (!res.ok) return null;
-        const data = await res.json();
-        if (data?.code !== 'Ok' || !data?.routes?.[0]?.geometry?.coordinates) {
-          return null;
-        }
-
-        const coords = data.routes[0].geometry.coordinates.map(function(c) {
-          return [c[1], c[0]];
-        });
+      return new Promise(function(resolve) {
+        pendingRoutes[id] = resolve;
+        setTimeout(function() {
+          if (pendingRoutes[id]) {
+            delete pendingRoutes[id];
+            resolve(null);
+          }
+        }, ROUTE_RESPONSE_TIMEOUT_MS);
+
+        window.ReactNativeWebView.postMessage(JSON.stringify({
+          type: 'ROUTE_REQUEST',
+          id: id,
+          from: { lat: driverLat, lng: driverLng },
+          to: { lat: customerLat, lng: customerLng },
+        }));
+      });
+    }
 
-        return coords.length > 1 ? coords : null;
-      } catch {
-        return null;
-      }
+    function resolveRoute(id, coords) {
+      const resolve = pendingRoutes[id];
+      if (!resolve) return;
+      delete pendingRoutes[id];
+      resolve(Array.isArray(coords) && coords.length > 1 ? coords : null);
     }
 
     function shouldRefreshRoute(driverLat, driverLng) {
@@ -339,7 +353,9 @@ const generateLeafletHTML = (customerLat, customerLng) => `
     window.addEventListener('message', async function(event) {
       try {
         var data = JSON.parse(event.data);
-        if (data.type === 'UPDATE_DRIVER') {
+        if (data.type === 'ROUTE_RESULT') {
+          resolveRoute(data.id, data.coords);
+        } else if (data.type === 'UPDATE_DRIVER') {
           var lat = data.lat, lng = data.lng;
           var heading = Number.isFinite(Number(data.heading)) ? Number(data.heading) : null;
           if (Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))) {
@@ -412,14 +428,41 @@ const LiveDriverMap = forwardRef(
         sendLocation(lat, lng, heading),
     }));
 
-    // ── WebView message handler ──
-    const handleMessage = useCallback((event) => {
-      try {
-        const data = JSON.parse(event.nativeEvent.data);
-        if (data.type === "MAP_READY") setMapReady(true);
-      } catch {}
+    // ── Answer the WebView's route requests ──
+    const answerRouteRequest = useCallback(async ({ id, from, to }) => {
+      const route = await fetchRoute({
+        points: [
+          { latitude: Number(from?.lat), longitude: Number(from?.lng) },
+          { latitude: Number(to?.lat), longitude: Number(to?.lng) },
+        ],
+        timeoutMs: 8000,
+        retries: 1,
+      });
+      const coords =
+        route?.geometry?.coordinates?.map(([lng, lat]) => [lat, lng]) || null;
+
+      webViewRef.current?.injectJavaScript(`
+        window.dispatchEvent(new MessageEvent('message', {
+          data: ${JSON.stringify(
+            JSON.stringify({ type: "ROUTE_RESULT", id, coords }),
+          )}
+        }));
+        true;
+      `);
     }, []);
 
+    // ── WebView message handler ──
+    const handleMessage = useCallback(
+      (event) => {
+        try {
+          const data = JSON.parse(event.nativeEvent.data);
+          if (data.type === "MAP_READY") setMapReady(true);
+          if (data.type === "ROUTE_REQUEST") answerRouteRequest(data);
+        } catch {}
+      },
+      [answerRouteRequest],
+    );
+
     return (
       <View style={[styles.container, style]}>
         <WebView
@@ -1,6 +1,7 @@
 /**
  * OSMMapView - Pure OpenStreetMap using WebView + Leaflet
  * NO Google Maps API key required!
+ * Tiles saved for offline use are served from the offline tile cache first.
  */
 
 import React, {
@@ -12,6 +13,10 @@ import React, {
 } from "react";
 import { View, StyleSheet, Platform, ActivityIndicator } from "react-native";
 import { WebView } from "react-native-webview";
+import useOfflineTileBridge, {
+  OFFLINE_TILE_LAYER_SCRIPT,
+} from "../../hooks/useOfflineTileBridge";
+import { TILE_URL_TEMPLATE } from "../../services/offlineTileService";
 
 const LEAFLET_HTML = `
 <!DOCTYPE html>
@@ -59,6 +64,7 @@ const LEAFLET_HTML = `
 <body>
   <div id="map"></div>
   <script>
+    ${OFFLINE_TILE_LAYER_SCRIPT}
     let map;
     let markers = {};
     let polylines = {};
@@ -70,8 +76,9 @@ const LEAFLET_HTML = `
         attributionControl: false
       }).setView([lat, lng], zoom);
 
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      createTileLayer('${TILE_URL_TEMPLATE}', {
         maxZoom: 19,
+        subdomains: 'abc',
       }).addTo(map);
 
       map.on('click', function(e) {
@@ -264,6 +271,7 @@ const OSMMapView = forwardRef(
     ref,
   ) => {
     const webViewRef = useRef(null);
+    const handleTileMessage = useOfflineTileBridge(webViewRef);
     const [isReady, setIsReady] = useState(false);
     const syncedMarkerIdsRef = useRef(new Set());
     const syncedPolylineIdsRef = useRef(new Set());
@@ -448,6 +456,7 @@ const OSMMapView = forwardRef(
     const handleMessage = (event) => {
       try {
         const data = JSON.parse(event.nativeEvent.data);
+        if (handleTileMessage(data)) return;
         if (data.type === "mapPress" && onPress) {
           onPress({ nativeEvent: { coordinate: data.coordinate } });
         } else if (data.type === "regionChange") {
@@ -1,32 +1,53 @@
 import React from "react";
 import { View, Text, StyleSheet } from "react-native";
+import { useLocale } from "../../app/providers/LocaleProvider";
 
-export default function OrderOnTheWayCard({ etaMinutes, distanceKm }) {
+/** The handover PIN the customer reads out to the driver. */
+export function DeliveryPinBlock({ pin, style }) {
+  const { t } = useLocale();
+  if (!pin) return null;
+  return (
+    <View style={[styles.pinBlock, style]}>
+      <Text style={styles.pinLabel}>{t("deliveryPin.label")}</Text>
+      <Text style={styles.pinValue}>{String(pin)}</Text>
+      <Text style={styles.pinHint}>{t("deliveryPin.customerHint")}</Text>
+    </View>
+  );
+}
+
+export default function OrderOnTheWayCard({
+  etaMinutes,
+  distanceKm,
+  deliveryPin,
+}) {
+  const { t } = useLocale();
   return (
     <View style={styles.card}>
-      <Text style={styles.title}>On The Way 🚗</Text>
+      <Text style={styles.title}>{t("orderStatus.onTheWayTitle")}</Text>
+
+      <Text style={styles.subtitle}>{t("orderStatus.onTheWayBody")}</Text>
 
-      <Text style={styles.subtitle}>
-        Driver is heading to your location.
-      </Text>
+      <DeliveryPinBlock pin={deliveryPin} style={styles.pinSpacing} />
 
       <View style={styles.row}>
-        <Text style={styles.label}>ETA:</Text>
+        <Text style={styles.label}>{t("orderStatus.eta")}</Text>
         <Text style={styles.value}>
-          {etaMinutes != null ? `${etaMinutes} mins` : "Updating..."}
+          {etaMinutes != null
+            ? t("orderStatus.minutes", { count: etaMinutes })
+            : t("orderStatus.updating")}
         </Text>
       </View>
 
       <View style={styles.row}>
-        <Text style={styles.label}>Distance:</Text>
+        <Text style={styles.label}>{t("orderStatus.distance")}</Text>
         <Text style={styles.value}>
-          {distanceKm != null ? `${distanceKm} km` : "Updating..."}
+          {distanceKm != null
+            ? t("orderStatus.kilometers", { distance: distanceKm })
+            : t("orderStatus.updating")}
         </Text>
       </View>
 
-      <Text style={styles.smallText}>
-        You can track driver location on the map.
-      </Text>
+      <Text style={styles.smallText}>{t("orderStatus.trackHint")}</Text>
     </View>
   );
 }
@@ -51,4 +72,28 @@ const styles = StyleSheet.create({
   value: { fontSize: 14, fontWeight: "700", color: "#000" },
 
   smallText: { marginTop: 12, fontSize: 12, color: "#777" },
+
+  pinSpacing: { marginTop: 16 },
+  pinBlock: {
+    alignItems: "center",
+    padding: 14,
+    borderRadius: 12,
+    backgroundColor: "#ECFDF5",
+    borderWidth: 1,
+    borderColor: "#A7F3D0",
+  },
+  pinLabel: { fontSize: 12, fontWeight: "700", color: "#047857" },
+  pinValue: {
+    marginTop: 4,
+    fontSize: 30,
+    fontWeight: "800",
+    letterSpacing: 10,
+    color: "#065F46",
+  },
+  pinHint: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#047857",
+    textAlign: "center",
+  },
 });
\ No newline at end of file
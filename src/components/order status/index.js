@@ -3,4 +3,4 @@ export { default as DriverAcceptedCard } from "./DriverAcceptedCard";
 export { default as OrderReceivedCard } from "./OrderReceivedCard";
 export { default as OrderPickedUpCard } from "./OrderPickedUpCard";
 export { default as OrderOnTheWayCard } from "./OrderOnTheWayCard";
-export { default as OrderDeliveredCard } from "./OrderDeliveredCard";
\ No newline at end of file
+export { default as OrderDeliveredCard } from "./OrderDeliveredCard";export { DeliveryPinBlock } from "./OrderOnTheWayCard";
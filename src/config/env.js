@@ -4,19 +4,33 @@ import Constants from "expo-constants";
 const DEFAULT_API_URL = "https://api.meezo.lk";
 const DEV_API_URL = process.env.EXPO_PUBLIC_API_URL || DEFAULT_API_URL;
 
+// Public routing servers tried in order when ROUTING_URLS is not set.
+const DEFAULT_ROUTING_URLS = {
+  osrm: [
+    "https://router.project-osrm.org",
+    "https://routing.openstreetmap.de/routed-car",
+  ],
+  valhalla: ["https://valhalla1.openstreetmap.de"],
+  graphhopper: ["https://graphhopper.com/api/1"],
+};
+
 const ENV = {
   development: {
     // Use explicit env override when provided; otherwise default to the hosted backend.
     API_URL: DEV_API_URL,
     ENABLE_LOGGING: true,
+    // "mock" runs payments through the in-app mock gateway (no real charges).
+    PAYMENT_GATEWAY: "remote",
   },
   staging: {
     API_URL: DEFAULT_API_URL,
     ENABLE_LOGGING: true,
+    PAYMENT_GATEWAY: "remote",
   },
   production: {
     API_URL: DEFAULT_API_URL,
     ENABLE_LOGGING: false,
+    PAYMENT_GATEWAY: "remote",
   },
 };
 
@@ -36,6 +50,11 @@ function parseBoolean(value, fallback) {
   return fallback;
 }
 
+function parseUrlList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map(normalizeUrl).filter(Boolean);
+}
+
 function getExpoExtra() {
   return Constants?.expoConfig?.extra || Constants?.manifest?.extra || {};
 }
@@ -51,14 +70,64 @@ const getEnvVars = () => {
     extra.API_URL ||
     defaults.API_URL;
 
+  const paymentGateway =
+    process.env.EXPO_PUBLIC_PAYMENT_GATEWAY ||
+    extra.PAYMENT_GATEWAY ||
+    defaults.PAYMENT_GATEWAY;
+
   const enableLogging = parseBoolean(
     process.env.ENABLE_LOGGING ?? extra.ENABLE_LOGGING,
     defaults.ENABLE_LOGGING,
   );
 
+  // osrm | valhalla | graphhopper; ROUTING_URLS is a comma-separated
+  // failover list, e.g. a self-hosted server first and a public one after.
+  const routingProvider = String(
+    process.env.ROUTING_PROVIDER ||
+      process.env.EXPO_PUBLIC_ROUTING_PROVIDER ||
+      extra.ROUTING_PROVIDER ||
+      "osrm",
+  )
+    .trim()
+    .toLowerCase();
+
+  const routingUrls = parseUrlList(
+    process.env.ROUTING_URLS ||
+      process.env.EXPO_PUBLIC_ROUTING_URLS ||
+      extra.ROUTING_URLS,
+  );
+
+  const routingProfile =
+    process.env.ROUTING_PROFILE ||
+    process.env.EXPO_PUBLIC_ROUTING_PROFILE ||
+    extra.ROUTING_PROFILE ||
+    "motorbike";
+
+  const routingApiKey =
+    process.env.ROUTING_API_KEY ||
+    process.env.EXPO_PUBLIC_ROUTING_API_KEY ||
+    extra.ROUTING_API_KEY ||
+    "";
+
+  // Raster tile template ({z}/{x}/{y}) for the maps and the offline tile
+  // cache; empty means the public OpenStreetMap tiles from mapService.
+  const mapTileUrl =
+    process.env.MAP_TILE_URL ||
+    process.env.EXPO_PUBLIC_MAP_TILE_URL ||
+    extra.MAP_TILE_URL ||
+    "";
+
   return {
     API_URL: normalizeUrl(apiUrl),
     ENABLE_LOGGING: enableLogging,
+    PAYMENT_GATEWAY: String(paymentGateway || "remote").trim().toLowerCase(),
+    ROUTING_PROVIDER: routingProvider,
+    ROUTING_URLS: routingUrls.length
+      ? routingUrls
+      : DEFAULT_ROUTING_URLS[routingProvider] || DEFAULT_ROUTING_URLS.osrm,
+    ROUTING_PROFILE: String(routingProfile).trim().toLowerCase(),
+    ROUTING_API_KEY: String(routingApiKey).trim(),
+    MAP_TILE_URL: String(mapTileUrl).trim(),
   };
 };
 
@@ -66,5 +135,11 @@ const config = getEnvVars();
 
 export const API_URL = config.API_URL;
 export const ENABLE_LOGGING = config.ENABLE_LOGGING;
+export const PAYMENT_GATEWAY = config.PAYMENT_GATEWAY;
+export const ROUTING_PROVIDER = config.ROUTING_PROVIDER;
+export const ROUTING_URLS = config.ROUTING_URLS;
+export const ROUTING_PROFILE = config.ROUTING_PROFILE;
+export const ROUTING_API_KEY = config.ROUTING_API_KEY;
+export const MAP_TILE_URL = config.MAP_TILE_URL;
 
 export default config;
@@ -1,76 +1,7 @@
-export const Strings = {
-  app: {
-    name: 'NearMe',
-    tagline: 'Fast & Reliable Delivery',
-  },
-  
-  auth: {
-    login: 'Login',
-    signup: 'Sign Up',
-    logout: 'Logout',
-    email: 'Email',
-    password: 'Password',
-    confirmPassword: 'Confirm Password',
-    fullName: 'Full Name',
-    forgotPassword: 'Forgot Password?',
-    noAccount: "Don't have an account?",
-    haveAccount: 'Already have an account?',
-    verifyEmail: 'Verify Your Email',
-    verifyEmailMessage: "We've sent a verification link to your email address.",
-  },
-  
-  driver: {
-    dashboard: 'Driver Dashboard',
-    activeDeliveries: 'Active Deliveries',
-    availableDeliveries: 'Available Deliveries',
-    deliveryHistory: 'Delivery History',
-    noActiveDeliveries: 'No active deliveries',
-    noAvailableDeliveries: 'No available deliveries nearby',
-    acceptDelivery: 'Accept Delivery',
-    completeDelivery: 'Complete Delivery',
-  },
-  
-  customer: {
-    home: 'Home',
-    orders: 'Orders',
-    profile: 'Profile',
-    cart: 'Cart',
-    checkout: 'Checkout',
-    placeOrder: 'Place Order',
-    trackOrder: 'Track Order',
-    noOrders: 'No orders yet',
-    emptyCart: 'Your cart is empty',
-  },
-  
-  manager: {
-    dashboard: 'Manager Dashboard',
-    manageDeliveries: 'Manage Deliveries',
-    activeDrivers: 'Active Drivers',
-  },
-  
-  common: {
-    loading: 'Loading...',
-    error: 'An error occurred',
-    retry: 'Retry',
-    cancel: 'Cancel',
-    confirm: 'Confirm',
-    save: 'Save',
-    delete: 'Delete',
-    edit: 'Edit',
-    done: 'Done',
-    next: 'Next',
-    back: 'Back',
-    search: 'Search',
-    noResults: 'No results found',
-  },
-  
-  errors: {
-    required: 'This field is required',
-    invalidEmail: 'Please enter a valid email',
-    passwordMismatch: 'Passwords do not match',
-    networkError: 'Network error. Please try again.',
-    serverError: 'Server error. Please try again later.',
-  },
-};
+// English strings now live in the i18n layer; use `t()` / `useLocale()` for
+// translated text. Kept for existing `Strings.x.y` imports.
+import en from '../i18n/locales/en';
+
+export const Strings = en;
 
 export default Strings;
@@ -22,6 +22,9 @@ import {
 } from "react";
 import { DeviceEventEmitter } from "react-native";
 import { API_BASE_URL } from "../constants/api";
+import { translate } from "../i18n";
+import { watchShiftCheckIn } from "../services/shiftService";
+import { isScheduledOrderReleased } from "../utils/deliverySchedule";
 import {
   DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY,
   getCurrentDriverScopedCacheKey,
@@ -313,6 +316,13 @@ export function DriverDeliveryNotificationProvider({ children }) {
     }
   }, [notifications.length, scheduleSoundAutoStop, stopNotificationSound]);
 
+  // ──────────────────────────────────────────────
+  // Shift check-in follows the online state, whichever screen is open
+  // ──────────────────────────────────────────────
+  useEffect(() => {
+    watchShiftCheckIn(isDriverOnline);
+  }, [isDriverOnline]);
+
   // ──────────────────────────────────────────────
   // setDriverOnline: clear notifications if going offline
   // ──────────────────────────────────────────────
@@ -361,7 +371,7 @@ export function DriverDeliveryNotificationProvider({ children }) {
   const declineDelivery = useCallback(
     (deliveryId) => {
       const remaining = notificationsRef.current.filter(
-        (n) => n.delivery_id !== deliveryId,
+        (n) => String(n.delivery_id) !== String(deliveryId),
       );
       if (remaining.length === 0) {
         stopNotificationSound();
@@ -389,6 +399,12 @@ export function DriverDeliveryNotificationProvider({ children }) {
 
       if (!notification)
         return { success: false, message: "Notification not found" };
+      if (!isScheduledOrderReleased(notification)) {
+        return {
+          success: false,
+          message: translate("driverRequests.notReleased"),
+        };
+      }
 
       try {
         const token = await AsyncStorage.getItem("token");
@@ -502,10 +518,13 @@ export function DriverDeliveryNotificationProvider({ children }) {
     const handleNewDelivery = (data) => {
       console.log("[DeliveryNotification] 🚨 New delivery:", data.delivery_id);
       if (!isDriverOnlineRef.current) return;
+      // Pre-orders are not offered (or alarmed) before their release time.
+      if (!isScheduledOrderReleased(data)) return;
       addNotification({
         delivery_id: data.delivery_id,
         order_id: data.order_id,
         order_number: data.order_number,
+        scheduled_for: data.scheduled_for || data.order?.scheduled_for || null,
         type: "new_delivery",
         restaurant_name: data.restaurant?.name || "Restaurant",
         restaurant_address: data.restaurant?.address || "",
@@ -542,10 +561,12 @@ export function DriverDeliveryNotificationProvider({ children }) {
     const handleTipUpdate = (data) => {
       console.log("[DeliveryNotification] 💰 Tip update:", data.delivery_id);
       if (!isDriverOnlineRef.current) return;
+      if (!isScheduledOrderReleased(data)) return;
       addNotification({
         delivery_id: data.delivery_id,
         order_id: data.order_id,
         order_number: data.order_number,
+        scheduled_for: data.scheduled_for || data.order?.scheduled_for || null,
         type: "tip_update",
         restaurant_name: data.restaurant_name || "Restaurant",
         restaurant_address: data.restaurant_address || "",
@@ -6,9 +6,22 @@ import React, {
   useRef,
   useCallback,
 } from "react";
-import { AppState } from "react-native";
+import { AppState, DeviceEventEmitter } from "react-native";
 import config from "../config/config";
 import { io } from "socket.io-client";
+import {
+  AUTH_TOKEN_REFRESHED_EVENT,
+  refreshAccessToken,
+} from "../lib/apiAuthFetch";
+
+const isExpiredTokenError = (message = "") => {
+  const normalized = String(message).toLowerCase();
+  return (
+    normalized.includes("jwt expired") ||
+    normalized.includes("token expired") ||
+    normalized.includes("invalid or expired token")
+  );
+};
 
 const SocketContext = createContext({
   socket: null,
@@ -24,6 +37,12 @@ export const SocketProvider = ({ children, userId, userRole, authToken }) => {
   const socketRef = useRef(null);
   const reconnectTimerRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
+  // Latest access token; silent refreshes update it without a re-render.
+  const authTokenRef = useRef(authToken);
+
+  useEffect(() => {
+    authTokenRef.current = authToken;
+  }, [authToken]);
 
   const connect = useCallback(() => {
     if (socketRef.current?.connected || socketRef.current?.active) {
@@ -49,11 +68,10 @@ export const SocketProvider = ({ children, userId, userRole, authToken }) => {
         .trim()
         .replace(/\/$/, "");
 
-      // Create socket connection with auth
+      // Create socket connection with auth. The callback form is read on
+      // every (re)connect, so reconnects pick up refreshed tokens.
       const newSocket = io(socketUrl, {
-        auth: {
-          token: authToken,
-        },
+        auth: (cb) => cb({ token: authTokenRef.current }),
         query: { userId, userRole },
         // Prefer websocket on production URLs; keep polling as fallback.
         transports: ["websocket", "polling"],
@@ -120,6 +138,11 @@ export const SocketProvider = ({ children, userId, userRole, authToken }) => {
           console.warn("[SocketContext] Connection error:", message);
         }
         setIsConnected(false);
+
+        // The refresh event below reconnects with the new token.
+        if (isExpiredTokenError(message)) {
+          refreshAccessToken().catch(() => {});
+        }
       });
 
       // Acknowledgement handlers
@@ -223,6 +246,23 @@ export const SocketProvider = ({ children, userId, userRole, authToken }) => {
     return () => subscription?.remove();
   }, [userId, userRole, connect, disconnect]);
 
+  // Reconnect with the rotated token after apiAuthFetch refreshes it.
+  useEffect(() => {
+    const sub = DeviceEventEmitter.addListener(
+      AUTH_TOKEN_REFRESHED_EVENT,
+      ({ token } = {}) => {
+        if (!token || token === authTokenRef.current) return;
+        authTokenRef.current = token;
+        const socket = socketRef.current;
+        if (!socket) return;
+        console.log("[SocketContext] Token refreshed, reconnecting...");
+        socket.disconnect();
+        socket.connect();
+      },
+    );
+    return () => sub.remove();
+  }, []);
+
   // Connect on mount
   useEffect(() => {
     if (userId && authToken) {
@@ -0,0 +1,67 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useCallback, useEffect, useState } from 'react';
+import { DeviceEventEmitter } from 'react-native';
+import { useAuth } from '../app/providers/AuthProvider';
+import {
+  DIETARY_PREFERENCES_CHANGED_EVENT,
+  EMPTY_DIETARY_PREFERENCES,
+  normalizeDietaryPreferences,
+} from '../utils/dietaryTags';
+
+const storageKeyFor = (userId) =>
+  userId ? `@dietary_prefs:${userId}` : '@dietary_prefs';
+
+/**
+ * The signed-in customer's dietary preferences. Every screen using the hook
+ * stays in sync: saving broadcasts DIETARY_PREFERENCES_CHANGED_EVENT.
+ * @returns {Object} { preferences, loading, savePreferences }
+ */
+const useDietaryPreferences = () => {
+  const { user } = useAuth();
+  const storageKey = storageKeyFor(user?.id);
+  const [preferences, setPreferences] = useState(EMPTY_DIETARY_PREFERENCES);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const raw = await AsyncStorage.getItem(storageKey);
+        const stored = raw ? JSON.parse(raw) : {};
+        if (!cancelled) setPreferences(normalizeDietaryPreferences(stored));
+      } catch (error) {
+        console.warn('[Dietary] Could not read preferences:', error?.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    const sub = DeviceEventEmitter.addListener(
+      DIETARY_PREFERENCES_CHANGED_EVENT,
+      (next) => setPreferences(normalizeDietaryPreferences(next))
+    );
+
+    return () => {
+      cancelled = true;
+      sub.remove();
+    };
+  }, [storageKey]);
+
+  const savePreferences = useCallback(
+    async (next) => {
+      const normalized = normalizeDietaryPreferences(next);
+      setPreferences(normalized);
+      DeviceEventEmitter.emit(DIETARY_PREFERENCES_CHANGED_EVENT, normalized);
+      try {
+        await AsyncStorage.setItem(storageKey, JSON.stringify(normalized));
+      } catch (error) {
+        console.warn('[Dietary] Could not save preferences:', error?.message);
+      }
+    },
+    [storageKey]
+  );
+
+  return { preferences, loading, savePreferences };
+};
+
+export default useDietaryPreferences;
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DeviceEventEmitter } from 'react-native';
+import {
+  DRIVER_ACTION_QUEUE_EVENT,
+  flushDriverActionQueue,
+  getQueuedDriverActions,
+} from '../services/driverActionQueue';
+
+/**
+ * Hook for the driver's offline action outbox
+ * @returns {Object} { actions, pendingCount, syncing, syncNow }
+ */
+const useDriverActionQueue = () => {
+  const [actions, setActions] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    getQueuedDriverActions().then((queued) => {
+      if (active) setActions(queued);
+    });
+
+    const sub = DeviceEventEmitter.addListener(
+      DRIVER_ACTION_QUEUE_EVENT,
+      (event) => setActions(Array.isArray(event?.actions) ? event.actions : [])
+    );
+
+    return () => {
+      active = false;
+      sub.remove();
+    };
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    setSyncing(true);
+    try {
+      await flushDriverActionQueue();
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  return { actions, pendingCount: actions.length, syncing, syncNow };
+};
+
+export default useDriverActionQueue;
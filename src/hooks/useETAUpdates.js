@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { formatETA } from '../utils/etaFormatter';
+import { fetchRoute } from '../services/routingProvider';
 
 /**
  * Hook for real-time ETA updates
@@ -23,14 +24,12 @@ const useETAUpdates = (options = {}) => {
       setLoading(true);
       setError(null);
 
-      // Use OSRM for route estimation
-      const url = `https://router.project-osrm.org/route/v1/foot/${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}?overview=false`;
+      const route = await fetchRoute({
+        points: [origin, destination],
+        overview: 'false',
+      });
 
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.routes && data.routes.length > 0) {
-        const route = data.routes[0];
+      if (route) {
         const durationMins = route.duration / 60;
         const distanceKm = route.distance / 1000;
 
@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../app/providers/AuthProvider';
+import { useSocket } from '../context/SocketContext';
+import {
+  GROUP_CART_EVENTS,
+  GROUP_CART_STATUS,
+  addGroupCartItem,
+  checkoutGroupCart,
+  fetchGroupCart,
+  groupItemsByParticipant,
+  isGroupCartEditable,
+  joinGroupCart,
+  removeGroupCartItem,
+  setActiveGroupCartCode,
+  setGroupCartLocked,
+  updateGroupCartItem,
+} from '../services/groupCartService';
+
+/**
+ * Hook for one shared group cart
+ * @param {string} code - Invite code of the group cart
+ * @returns {Object} { groupCart, groups, me, isHost, editable, loading, error,
+ *   busy, refresh, join, addItem, setQuantity, removeItem, setLocked, checkout }
+ */
+const useGroupCart = (code) => {
+  const { user } = useAuth();
+  const { on, off, emit, isConnected } = useSocket();
+  const [groupCart, setGroupCart] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    if (!code) return;
+    try {
+      const next = await fetchGroupCart(code);
+      setGroupCart(next);
+      setError('');
+    } catch (err) {
+      setError(err?.message || 'Could not load the group cart');
+    } finally {
+      setLoading(false);
+    }
+  }, [code]);
+
+  useEffect(() => {
+    setLoading(true);
+    setGroupCart(null);
+    refresh();
+  }, [refresh]);
+
+  // Live updates while the cart is open or locked.
+  useEffect(() => {
+    if (!isConnected || !code) return undefined;
+
+    const handleUpdated = (data) => {
+      const next = data?.group_cart || data;
+      if (String(next?.code) !== String(code)) return;
+      setGroupCart(next);
+    };
+
+    const handleClosed = (data) => {
+      if (String(data?.code) !== String(code)) return;
+      const status = data?.status || GROUP_CART_STATUS.CHECKED_OUT;
+      setGroupCart((current) => (current ? { ...current, status } : current));
+    };
+
+    emit(GROUP_CART_EVENTS.JOIN, { code });
+    on(GROUP_CART_EVENTS.UPDATED, handleUpdated);
+    on(GROUP_CART_EVENTS.CLOSED, handleClosed);
+
+    // Catch up on anything missed while the socket was down.
+    refresh();
+
+    return () => {
+      off(GROUP_CART_EVENTS.UPDATED, handleUpdated);
+      off(GROUP_CART_EVENTS.CLOSED, handleClosed);
+      emit(GROUP_CART_EVENTS.LEAVE, { code });
+    };
+  }, [isConnected, code, on, off, emit, refresh]);
+
+  useEffect(() => {
+    if (!groupCart?.code) return;
+    setActiveGroupCartCode(
+      groupCart.status === GROUP_CART_STATUS.CHECKED_OUT ? null : groupCart.code
+    );
+  }, [groupCart?.code, groupCart?.status]);
+
+  const me = useMemo(
+    () =>
+      (groupCart?.participants || []).find(
+        (participant) => String(participant.user_id) === String(user?.id)
+      ) || null,
+    [groupCart?.participants, user?.id]
+  );
+
+  const isHost =
+    Boolean(me?.is_host) ||
+    (groupCart?.host_user_id != null &&
+      String(groupCart.host_user_id) === String(user?.id));
+
+  const groups = useMemo(() => groupItemsByParticipant(groupCart), [groupCart]);
+
+  // Every mutation returns the updated cart; the socket echo is idempotent.
+  const run = useCallback(async (action) => {
+    setBusy(true);
+    try {
+      const next = await action();
+      if (next) setGroupCart(next);
+      setError('');
+      return next;
+    } catch (err) {
+      setError(err?.message || 'Group cart request failed');
+      throw err;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const join = useCallback(
+    (displayName) => run(() => joinGroupCart(code, displayName)),
+    [code, run]
+  );
+
+  const addItem = useCallback(
+    (food) => run(() => addGroupCartItem(code, { foodId: food.id })),
+    [code, run]
+  );
+
+  const setQuantity = useCallback(
+    (itemId, quantity) =>
+      run(() =>
+        quantity > 0
+          ? updateGroupCartItem(code, itemId, quantity)
+          : removeGroupCartItem(code, itemId)
+      ),
+    [code, run]
+  );
+
+  const removeItem = useCallback(
+    (itemId) => run(() => removeGroupCartItem(code, itemId)),
+    [code, run]
+  );
+
+  const setLocked = useCallback(
+    (locked) => run(() => setGroupCartLocked(code, locked)),
+    [code, run]
+  );
+
+  const checkout = useCallback(async () => {
+    setBusy(true);
+    try {
+      const result = await checkoutGroupCart(code);
+      if (result.groupCart) setGroupCart(result.groupCart);
+      setError('');
+      return result;
+    } catch (err) {
+      setError(err?.message || 'Could not check out the group cart');
+      throw err;
+    } finally {
+      setBusy(false);
+    }
+  }, [code]);
+
+  return {
+    groupCart,
+    groups,
+    me,
+    isHost,
+    editable: isGroupCartEditable(groupCart),
+    loading,
+    error,
+    busy,
+    refresh,
+    join,
+    addItem,
+    setQuantity,
+    removeItem,
+    setLocked,
+    checkout,
+  };
+};
+
+export default useGroupCart;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import * as ExpoLinking from 'expo-linking';
+import { getGroupCartCodeFromUrl } from '../services/groupCartService';
+
+/**
+ * Calls onCode when the app is opened (cold or warm) from a group cart
+ * invite link.
+ */
+export default function useGroupCartInviteLink(onCode) {
+  const onCodeRef = useRef(onCode);
+  const lastCodeRef = useRef(null);
+
+  useEffect(() => {
+    onCodeRef.current = onCode;
+  }, [onCode]);
+
+  useEffect(() => {
+    const consumeUrl = (url) => {
+      const code = getGroupCartCodeFromUrl(url);
+      if (!code || code === lastCodeRef.current) return;
+      lastCodeRef.current = code;
+      onCodeRef.current?.(code);
+    };
+
+    ExpoLinking.getInitialURL()
+      .then(consumeUrl)
+      .catch(() => {});
+
+    const sub = ExpoLinking.addEventListener('url', ({ url }) => {
+      consumeUrl(url);
+    });
+
+    return () => sub.remove();
+  }, []);
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { calculateDistance } from '../utils/locationUtils';
-import { optimizeRouteOrder } from '../utils/routeOptimization';
+import { calculateOptimalRoute } from '../utils/routeOptimization';
+import { fetchRoute } from '../services/routingProvider';
 
 /**
  * Hook for calculating multi-stop delivery routes
@@ -24,22 +25,16 @@ const useMultiDeliveryRoute = (options = {}) => {
       setLoading(true);
       setError(null);
 
-      // Optimize stop order
-      const allStops = [...pickups.map(p => ({ ...p, type: 'pickup' })), ...dropoffs.map(d => ({ ...d, type: 'dropoff' }))];
-      const ordered = optimizeRouteOrder(driverLocation, allStops);
+      // Optimize stop order (each dropoff stays after its pickup)
+      const ordered = calculateOptimalRoute(driverLocation, pickups, dropoffs).sequence;
       setOptimizedStops(ordered);
 
-      // Build OSRM route with all waypoints
-      const coords = [driverLocation, ...ordered]
-        .map((s) => `${s.longitude},${s.latitude}`)
-        .join(';');
+      // Route through all waypoints
+      const routeData = await fetchRoute({
+        points: [driverLocation, ...ordered],
+      });
 
-      const url = `https://router.project-osrm.org/route/v1/foot/${coords}?overview=full&geometries=geojson&steps=false`;
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.routes && data.routes.length > 0) {
-        const routeData = data.routes[0];
+      if (routeData) {
         setRoute(routeData.geometry);
         setTotalDistance(Math.round((routeData.distance / 1000) * 10) / 10);
         setTotalTime(Math.ceil(routeData.duration / 60));
@@ -1,4 +1,5 @@
 import { useState, useCallback } from 'react';
+import { fetchRoute } from '../services/routingProvider';
 
 /**
  * Hook for getting OSRM turn-by-turn directions
@@ -19,13 +20,12 @@ const useOSRMDirections = () => {
       setLoading(true);
       setError(null);
 
-      const url = `https://router.project-osrm.org/route/v1/foot/${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}?overview=full&geometries=geojson&steps=true`;
+      const routeData = await fetchRoute({
+        points: [origin, destination],
+        steps: true,
+      });
 
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.routes && data.routes.length > 0) {
-        const routeData = data.routes[0];
+      if (routeData) {
         setRoute(routeData.geometry);
         setDistance(Math.round((routeData.distance / 1000) * 10) / 10);
         setDuration(Math.ceil(routeData.duration / 60));
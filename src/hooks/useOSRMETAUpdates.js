@@ -1,8 +1,9 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import { formatETA } from "../utils/etaFormatter";
+import { fetchRoute } from "../services/routingProvider";
 
 /**
- * Hook for OSRM-based real-time ETA updates (uses OSRM routing backend)
+ * Hook for real-time ETA updates (uses the configured routing provider)
  * @param {Object} options - { origin, destination, refreshInterval, enabled }
  * @returns {Object} { eta, etaText, distance, routeCoordinates, loading, error, refresh }
  */
@@ -29,13 +30,9 @@ const useOSRMETAUpdates = (options = {}) => {
       setLoading(true);
       setError(null);
 
-      const url = `https://router.project-osrm.org/route/v1/foot/${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}?overview=full&geometries=geojson`;
+      const route = await fetchRoute({ points: [origin, destination] });
 
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.routes && data.routes.length > 0) {
-        const route = data.routes[0];
+      if (route) {
         const durationMins = route.duration / 60;
         const distanceKm = route.distance / 1000;
 
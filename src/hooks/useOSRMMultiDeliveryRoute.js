@@ -1,46 +1,61 @@
 import { useState, useEffect, useCallback } from 'react';
-import { optimizeRouteOrder } from '../utils/routeOptimization';
+import { optimizeRouteOrder, planDeliveryRoute } from '../utils/routeOptimization';
+import { fetchRoute } from '../services/routingProvider';
 
 /**
- * Hook for OSRM-based multi-delivery route calculation
- * @param {Object} options - { driverLocation, stops, profile }
- * @returns {Object} { route, optimizedStops, legs, totalDistance, totalDuration, loading, error, recalculate }
+ * Hook for OSRM-based multi-delivery route calculation.
+ * Pass `deliveries` (or stops tagged with type/deliveryId) to get a
+ * pickup-before-dropoff plan that respects promised ETAs; plain stops are
+ * ordered by nearest neighbour.
+ * @param {Object} options - { driverLocation, stops, deliveries, profile }
+ * @returns {Object} { route, optimizedStops, legs, totalDistance, totalDuration, lateStops, loading, error, recalculate }
  */
 const useOSRMMultiDeliveryRoute = (options = {}) => {
-  const { driverLocation, stops = [], profile = 'driving' } = options;
+  const { driverLocation, stops = [], deliveries, profile } = options;
 
   const [route, setRoute] = useState(null);
   const [optimizedStops, setOptimizedStops] = useState([]);
   const [legs, setLegs] = useState([]);
   const [totalDistance, setTotalDistance] = useState(0);
   const [totalDuration, setTotalDuration] = useState(0);
+  const [lateStops, setLateStops] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   const calculateRoute = useCallback(async () => {
-    if (!driverLocation || stops.length === 0) return;
+    const constrained =
+      Array.isArray(deliveries) || stops.some((stop) => stop?.type && stop?.deliveryId);
+    if (!driverLocation || (stops.length === 0 && !deliveries?.length)) return;
 
     try {
       setLoading(true);
       setError(null);
 
-      // Optimize order
-      const ordered = optimizeRouteOrder(driverLocation, stops);
+      // Optimize order; tagged stops keep each dropoff after its pickup
+      let ordered;
+      if (constrained) {
+        const plan = await planDeliveryRoute({
+          origin: driverLocation,
+          deliveries,
+          stops: Array.isArray(deliveries) ? undefined : stops,
+          profile,
+        });
+        ordered = plan.sequence;
+        setLateStops(plan.lateStops);
+      } else {
+        ordered = optimizeRouteOrder(driverLocation, stops);
+        setLateStops([]);
+      }
+      if (ordered.length === 0) return;
       setOptimizedStops(ordered);
 
-      // Build waypoints string
-      const allPoints = [driverLocation, ...ordered];
-      const coordsStr = allPoints
-        .map((p) => `${p.longitude},${p.latitude}`)
-        .join(';');
-
-      const url = `https://router.project-osrm.org/route/v1/${profile}/${coordsStr}?overview=full&geometries=geojson&steps=true`;
-
-      const response = await fetch(url);
-      const data = await response.json();
+      const routeData = await fetchRoute({
+        points: [driverLocation, ...ordered],
+        profile,
+        steps: true,
+      });
 
-      if (data.routes && data.routes.length > 0) {
-        const routeData = data.routes[0];
+      if (routeData) {
         setRoute(routeData.geometry);
         setTotalDistance(Math.round((routeData.distance / 1000) * 10) / 10);
         setTotalDuration(Math.ceil(routeData.duration / 60));
@@ -64,7 +79,7 @@ const useOSRMMultiDeliveryRoute = (options = {}) => {
     } finally {
       setLoading(false);
     }
-  }, [driverLocation, stops, profile]);
+  }, [driverLocation, stops, deliveries, profile]);
 
   const recalculate = useCallback(() => {
     calculateRoute();
@@ -80,6 +95,7 @@ const useOSRMMultiDeliveryRoute = (options = {}) => {
     legs,
     totalDistance,
     totalDuration,
+    lateStops,
     loading,
     error,
     recalculate,
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { DeviceEventEmitter } from 'react-native';
+import {
+  OFFLINE_TILES_EVENT,
+  hasCachedTiles,
+  readCachedTile,
+} from '../services/offlineTileService';
+
+/**
+ * Leaflet tile layer for the WebView maps. Each tile is first requested from
+ * the app with a `tileRequest` message; the app answers through
+ * `settleTile(id, dataUri)` with the cached tile or null, and a miss (or no
+ * answer in time) loads the tile from the network as before. Every answer
+ * also says whether anything is cached; while nothing is, tiles go straight
+ * to the network without the round trip.
+ * Include in the map HTML after leaflet.js and use
+ * `createTileLayer(url, options)` instead of `L.tileLayer`.
+ */
+export const OFFLINE_TILE_LAYER_SCRIPT = `
+  var tileRequests = {}, tileRequestSeq = 0;
+  // null until the app first answers, then whether any tile is cached.
+  var offlineTilesAvailable = null;
+
+  function setOfflineTilesAvailable(available) {
+    offlineTilesAvailable = Boolean(available);
+  }
+
+  function settleTile(id, dataUri, available) {
+    if (available !== undefined) setOfflineTilesAvailable(available);
+    var apply = tileRequests[id];
+    if (!apply) return;
+    delete tileRequests[id];
+    apply(dataUri);
+  }
+
+  var OfflineTileLayer = L.TileLayer.extend({
+    createTile: function(coords, done) {
+      var tile = document.createElement('img');
+      var url = this.getTileUrl(coords);
+      tile.alt = '';
+      tile.setAttribute('role', 'presentation');
+      L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+      L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+
+      if (!window.ReactNativeWebView || offlineTilesAvailable === false) {
+        tile.src = url;
+        return tile;
+      }
+
+      tileRequestSeq += 1;
+      var id = tileRequestSeq;
+      tileRequests[id] = function(dataUri) { tile.src = dataUri || url; };
+      setTimeout(function() { settleTile(id, null); }, 4000);
+      window.ReactNativeWebView.postMessage(JSON.stringify({
+        type: 'tileRequest', id: id, z: coords.z, x: coords.x, y: coords.y
+      }));
+      return tile;
+    }
+  });
+
+  function createTileLayer(url, options) {
+    return new OfflineTileLayer(url, options);
+  }
+`;
+
+/**
+ * Answers the tile layer's `tileRequest` messages from the offline tile
+ * cache.
+ * @param {Object} webViewRef - ref to the map WebView
+ * @returns {Function} handleTileMessage(data) -> true when the message was a
+ *   tile request
+ */
+const useOfflineTileBridge = (webViewRef) => {
+  const availableRef = useRef(null);
+
+  // Turn the bridge on once a download lands, and off after a clear.
+  useEffect(() => {
+    const subscription = DeviceEventEmitter.addListener(
+      OFFLINE_TILES_EVENT,
+      () => {
+        hasCachedTiles()
+          .then((available) => {
+            if (available === availableRef.current) return;
+            availableRef.current = available;
+            webViewRef.current?.injectJavaScript(
+              `setOfflineTilesAvailable(${available});true;`
+            );
+          })
+          .catch(() => {});
+      }
+    );
+    return () => subscription.remove();
+  }, [webViewRef]);
+
+  return useCallback(
+    (data) => {
+      if (data?.type !== 'tileRequest') return false;
+
+      hasCachedTiles()
+        .then(async (available) => {
+          availableRef.current = available;
+          const dataUri = available
+            ? await readCachedTile(data.z, data.x, data.y)
+            : null;
+          return [dataUri, available];
+        })
+        .catch(() => [null, availableRef.current !== false])
+        .then(([dataUri, available]) => {
+          webViewRef.current?.injectJavaScript(
+            `settleTile(${Number(data.id)}, ${JSON.stringify(dataUri)}, ` +
+              `${Boolean(available)});true;`
+          );
+        });
+      return true;
+    },
+    [webViewRef]
+  );
+};
+
+export default useOfflineTileBridge;
@@ -0,0 +1,214 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useSocket } from '../context/SocketContext';
+import {
+  MAX_CHAT_MESSAGE_LENGTH,
+  ORDER_CHAT_EVENTS,
+  clearCachedChat,
+  countUnreadMessages,
+  createChatClientId,
+  fetchOrderChat,
+  isOrderChatOpen,
+  mergeChatMessages,
+  postOrderChatMessage,
+  readCachedChat,
+  writeCachedChat,
+} from '../services/orderChatService';
+
+// A socket send with no echo from the server after this long is marked failed.
+const SEND_TIMEOUT_MS = 15000;
+
+/**
+ * Hook for one order's customer/driver chat
+ * @param {Object} options - { orderId, role: 'customer' | 'driver', orderStatus, active }
+ *   `active` is true while the chat sheet is on screen (messages count as read).
+ * @returns {Object} { messages, unreadCount, closed, loading, send, retry, markRead }
+ */
+const useOrderChat = ({ orderId, role, orderStatus, active = false }) => {
+  const { on, off, emit, isConnected } = useSocket();
+  const [messages, setMessages] = useState([]);
+  const [lastReadAt, setLastReadAt] = useState(null);
+  const [serverClosed, setServerClosed] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const loadedRef = useRef(false);
+  const sendTimersRef = useRef(new Map());
+
+  const closed = serverClosed || !isOrderChatOpen(orderStatus);
+
+  // Cached thread first, then the server copy.
+  useEffect(() => {
+    if (!orderId) return undefined;
+    let cancelled = false;
+    loadedRef.current = false;
+    setLoading(true);
+
+    (async () => {
+      const cached = await readCachedChat(orderId);
+      if (cancelled) return;
+      setMessages(cached.messages);
+      setLastReadAt(cached.lastReadAt);
+
+      try {
+        const remote = await fetchOrderChat(orderId);
+        if (cancelled) return;
+        setMessages((current) => mergeChatMessages(current, remote.messages));
+        if (remote.closed) setServerClosed(true);
+      } catch (error) {
+        console.warn('[useOrderChat] History fetch failed:', error?.message);
+      } finally {
+        if (!cancelled) {
+          loadedRef.current = true;
+          setLoading(false);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  useEffect(() => {
+    if (!orderId || !loadedRef.current) return;
+    if (closed) {
+      clearCachedChat(orderId);
+      return;
+    }
+    writeCachedChat(orderId, { messages, lastReadAt });
+  }, [orderId, messages, lastReadAt, closed]);
+
+  useEffect(() => {
+    if (!isConnected || !orderId || closed) return undefined;
+
+    const handleMessage = (message) => {
+      if (String(message?.order_id) !== String(orderId)) return;
+      const timer = sendTimersRef.current.get(message.client_id);
+      if (timer) {
+        clearTimeout(timer);
+        sendTimersRef.current.delete(message.client_id);
+      }
+      setMessages((current) => mergeChatMessages(current, [message]));
+    };
+
+    const handleClosed = (data) => {
+      if (String(data?.order_id) === String(orderId)) setServerClosed(true);
+    };
+
+    emit(ORDER_CHAT_EVENTS.JOIN, { order_id: orderId });
+    on(ORDER_CHAT_EVENTS.MESSAGE, handleMessage);
+    on(ORDER_CHAT_EVENTS.CLOSED, handleClosed);
+
+    return () => {
+      off(ORDER_CHAT_EVENTS.MESSAGE, handleMessage);
+      off(ORDER_CHAT_EVENTS.CLOSED, handleClosed);
+      emit(ORDER_CHAT_EVENTS.LEAVE, { order_id: orderId });
+    };
+  }, [isConnected, orderId, closed, on, off, emit]);
+
+  useEffect(() => {
+    const timers = sendTimersRef.current;
+    return () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  const setMessageStatus = useCallback((clientId, status) => {
+    setMessages((current) =>
+      current.map((message) =>
+        message.client_id === clientId ? { ...message, status } : message
+      )
+    );
+  }, []);
+
+  const deliver = useCallback(
+    async (message) => {
+      if (isConnected) {
+        emit(ORDER_CHAT_EVENTS.SEND, {
+          order_id: orderId,
+          client_id: message.client_id,
+          body: message.body,
+          quick_reply: message.quick_reply,
+        });
+        sendTimersRef.current.set(
+          message.client_id,
+          setTimeout(() => {
+            sendTimersRef.current.delete(message.client_id);
+            setMessageStatus(message.client_id, 'failed');
+          }, SEND_TIMEOUT_MS)
+        );
+        return;
+      }
+
+      try {
+        const saved = await postOrderChatMessage(orderId, message);
+        setMessages((current) =>
+          mergeChatMessages(current, [
+            { ...message, ...(saved || {}), status: undefined },
+          ])
+        );
+      } catch (error) {
+        console.warn('[useOrderChat] Send failed:', error?.message);
+        setMessageStatus(message.client_id, 'failed');
+      }
+    },
+    [emit, isConnected, orderId, setMessageStatus]
+  );
+
+  const send = useCallback(
+    (text, { quickReply = false } = {}) => {
+      const body = String(text || '').trim().slice(0, MAX_CHAT_MESSAGE_LENGTH);
+      if (!body || !orderId || closed) return;
+
+      const message = {
+        client_id: createChatClientId(),
+        order_id: orderId,
+        sender_role: role,
+        body,
+        quick_reply: quickReply,
+        created_at: new Date().toISOString(),
+        status: 'sending',
+      };
+      setMessages((current) => mergeChatMessages(current, [message]));
+      deliver(message);
+    },
+    [closed, deliver, orderId, role]
+  );
+
+  const retry = useCallback(
+    (clientId) => {
+      const message = messages.find((m) => m.client_id === clientId);
+      if (!message || closed) return;
+      setMessageStatus(clientId, 'sending');
+      deliver(message);
+    },
+    [closed, deliver, messages, setMessageStatus]
+  );
+
+  const markRead = useCallback(() => {
+    const latest = messages[messages.length - 1];
+    if (!latest) return;
+    if (lastReadAt && new Date(lastReadAt) >= new Date(latest.created_at)) {
+      return;
+    }
+    setLastReadAt(latest.created_at);
+    if (isConnected) {
+      emit(ORDER_CHAT_EVENTS.READ, {
+        order_id: orderId,
+        last_read_at: latest.created_at,
+      });
+    }
+  }, [emit, isConnected, lastReadAt, messages, orderId]);
+
+  useEffect(() => {
+    if (active) markRead();
+  }, [active, markRead]);
+
+  const unreadCount = useMemo(
+    () => (closed ? 0 : countUnreadMessages(messages, role, lastReadAt)),
+    [closed, lastReadAt, messages, role]
+  );
+
+  return { messages, unreadCount, closed, loading, send, retry, markRead };
+};
+
+export default useOrderChat;
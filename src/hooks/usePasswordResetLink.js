@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import * as ExpoLinking from 'expo-linking';
+
+/**
+ * Pull the reset token out of an emailed link, e.g.
+ * nearmemobile://reset-password?token=abc or
+ * https://<site>/reset-password?token=abc
+ * @returns {string|null}
+ */
+export function getResetTokenFromUrl(url) {
+  if (!url) return null;
+  const parsed = ExpoLinking.parse(url);
+  const path = String(parsed?.path || parsed?.hostname || '').toLowerCase();
+  if (!path.includes('reset-password')) return null;
+  const token = parsed?.queryParams?.token || parsed?.queryParams?.code;
+  return token ? String(token) : null;
+}
+
+/**
+ * Calls onToken when the app is opened (cold or warm) from a
+ * password-reset link.
+ */
+export default function usePasswordResetLink(onToken) {
+  const onTokenRef = useRef(onToken);
+  const lastTokenRef = useRef(null);
+
+  useEffect(() => {
+    onTokenRef.current = onToken;
+  }, [onToken]);
+
+  useEffect(() => {
+    const consumeUrl = (url) => {
+      const token = getResetTokenFromUrl(url);
+      if (!token || token === lastTokenRef.current) return;
+      lastTokenRef.current = token;
+      onTokenRef.current?.(token);
+    };
+
+    ExpoLinking.getInitialURL()
+      .then(consumeUrl)
+      .catch(() => {});
+
+    const sub = ExpoLinking.addEventListener('url', ({ url }) => {
+      consumeUrl(url);
+    });
+
+    return () => sub.remove();
+  }, []);
+}
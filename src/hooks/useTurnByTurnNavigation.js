@@ -0,0 +1,231 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as Speech from 'expo-speech';
+import { translate } from '../i18n';
+import { fetchOSRMRoute } from '../utils/osrmClient';
+import {
+  buildNavigationSteps,
+  getUpcomingStep,
+  locateOnRoute,
+  speakStepDistance,
+  toRoutePath,
+} from '../utils/turnByTurn';
+import useDriverLocation from './useDriverLocation';
+
+const OFF_ROUTE_METERS = 45;
+const OFF_ROUTE_FIXES = 2;
+const REROUTE_COOLDOWN_MS = 15000;
+const PREPARE_ANNOUNCE_METERS = 250;
+const NOW_ANNOUNCE_METERS = 40;
+
+const EMPTY_PATH = { coords: [], cumulative: [] };
+
+const toStopKey = (stops) =>
+  stops
+    .map((stop) => `${stop.latitude.toFixed(5)},${stop.longitude.toFixed(5)}`)
+    .join('|');
+
+/**
+ * In-app turn-by-turn navigation through every remaining stop.
+ * Follows live useDriverLocation fixes, reroutes when the driver leaves the
+ * route and speaks the upcoming maneuver with on-device text-to-speech.
+ * @param {Object} options - { enabled, muted,
+ *   stops: [{ latitude, longitude, label }] }
+ * @returns {Object} { location, steps, currentStep, nextStep, stepIndex,
+ *   distanceToManeuver, remainingMeters, remainingSeconds, routeCoords,
+ *   currentStop, stopIndex, loading, rerouting, error, reroute }
+ */
+const useTurnByTurnNavigation = ({
+  enabled = false,
+  stops = [],
+  muted = false,
+} = {}) => {
+  const { location } = useDriverLocation({
+    enabled,
+    interval: 2000,
+    distanceFilter: 5,
+  });
+
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [rerouting, setRerouting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hintIndexRef = useRef(0);
+  const offRouteFixesRef = useRef(0);
+  const lastRouteAtRef = useRef(0);
+  const requestIdRef = useRef(0);
+  const announcedRef = useRef(new Set());
+  const locationRef = useRef(null);
+  const stopsRef = useRef(stops);
+
+  const stopKey = toStopKey(stops);
+  const hasLocation = Boolean(location);
+
+  useEffect(() => {
+    locationRef.current = location;
+  }, [location]);
+
+  useEffect(() => {
+    stopsRef.current = stops;
+  }, [stops]);
+
+  const requestRoute = useCallback(async (isReroute = false) => {
+    const from = locationRef.current;
+    const targets = stopsRef.current;
+    if (!from || !targets.length) return;
+
+    const requestId = requestIdRef.current + 1;
+    requestIdRef.current = requestId;
+    lastRouteAtRef.current = Date.now();
+    offRouteFixesRef.current = 0;
+    if (isReroute) setRerouting(true);
+    else setLoading(true);
+
+    try {
+      const result = await fetchOSRMRoute({
+        from,
+        via: targets.slice(0, -1),
+        to: targets[targets.length - 1],
+        steps: true,
+      });
+      if (requestId !== requestIdRef.current) return;
+      if (!result) {
+        setError(translate('navigation.noRoute'));
+        return;
+      }
+      const path = toRoutePath(result);
+      hintIndexRef.current = 0;
+      announcedRef.current = new Set();
+      setRoute({
+        path,
+        steps: buildNavigationSteps(
+          result,
+          path.coords,
+          targets.map((stop) => stop.label),
+        ),
+        distance: result.distance || 0,
+        duration: result.duration || 0,
+      });
+      setError(null);
+    } catch (err) {
+      if (requestId === requestIdRef.current) setError(err.message);
+      console.warn('[useTurnByTurnNavigation] Route error:', err.message);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setRerouting(false);
+      }
+    }
+  }, []);
+
+  // Route once a fix is available, and again whenever the stop list changes
+  // (a stop was completed or a delivery was added).
+  useEffect(() => {
+    if (!enabled || !hasLocation || !stopKey) return;
+    requestRoute(false);
+  }, [enabled, hasLocation, stopKey, requestRoute]);
+
+  useEffect(() => {
+    if (enabled) return;
+    requestIdRef.current += 1;
+    setRoute(null);
+    setLoading(false);
+    setRerouting(false);
+    Speech.stop();
+  }, [enabled]);
+
+  const progress = useMemo(() => {
+    const path = route?.path || EMPTY_PATH;
+    if (!route || !location || path.coords.length < 2) return null;
+    const position = locateOnRoute(location, path, hintIndexRef.current);
+    const upcoming = getUpcomingStep(route.steps, path, position.along);
+    const total = path.cumulative[path.cumulative.length - 1] || 0;
+    const remainingMeters = Math.max(0, total - position.along);
+    return {
+      ...position,
+      ...upcoming,
+      remainingMeters,
+      remainingSeconds: total
+        ? (route.duration * remainingMeters) / total
+        : 0,
+    };
+  }, [route, location]);
+
+  // Off-route detection: a few consecutive fixes away from the line, with
+  // a cooldown so a bad GPS patch does not hammer the routing server.
+  useEffect(() => {
+    if (!progress) return;
+    hintIndexRef.current = progress.index;
+    const accuracy = Number(location?.accuracy) || 0;
+    if (progress.offRouteMeters > OFF_ROUTE_METERS + Math.min(accuracy, 30)) {
+      offRouteFixesRef.current += 1;
+    } else {
+      offRouteFixesRef.current = 0;
+    }
+    if (
+      offRouteFixesRef.current >= OFF_ROUTE_FIXES &&
+      Date.now() - lastRouteAtRef.current > REROUTE_COOLDOWN_MS
+    ) {
+      requestRoute(true);
+    }
+  }, [progress, location, requestRoute]);
+
+  const steps = route?.steps || [];
+  const currentStep = progress ? steps[progress.stepIndex] : steps[0];
+  const nextStep = progress ? steps[progress.stepIndex + 1] : steps[1];
+
+  // Voice prompts: once when the maneuver comes up, once just before it.
+  useEffect(() => {
+    if (!enabled || muted || !currentStep || !progress) return;
+    const distance = progress.distanceToManeuver;
+    const announced = announcedRef.current;
+    const nowKey = `${currentStep.id}:now`;
+    const prepareKey = `${currentStep.id}:prepare`;
+
+    if (distance <= NOW_ANNOUNCE_METERS && !announced.has(nowKey)) {
+      announced.add(nowKey);
+      announced.add(prepareKey);
+      Speech.speak(currentStep.instruction);
+    } else if (
+      distance <= PREPARE_ANNOUNCE_METERS &&
+      !announced.has(prepareKey)
+    ) {
+      announced.add(prepareKey);
+      Speech.speak(
+        translate('navigation.inDistance', {
+          distance: speakStepDistance(distance),
+          instruction: currentStep.instruction,
+        }),
+      );
+    }
+  }, [enabled, muted, currentStep, progress]);
+
+  useEffect(() => {
+    if (muted) Speech.stop();
+  }, [muted]);
+
+  useEffect(() => () => Speech.stop(), []);
+
+  const stopIndex = currentStep?.legIndex ?? 0;
+
+  return {
+    location,
+    steps,
+    currentStep: currentStep || null,
+    nextStep: nextStep || null,
+    stepIndex: progress?.stepIndex ?? 0,
+    distanceToManeuver:
+      progress?.distanceToManeuver ?? currentStep?.distance ?? 0,
+    remainingMeters: progress?.remainingMeters ?? route?.distance ?? 0,
+    remainingSeconds: progress?.remainingSeconds ?? route?.duration ?? 0,
+    routeCoords: route?.path.coords || [],
+    currentStop: stops[stopIndex] || null,
+    stopIndex,
+    loading,
+    rerouting,
+    error,
+    reroute: () => requestRoute(true),
+  };
+};
+
+export default useTurnByTurnNavigation;
@@ -0,0 +1,215 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { NativeModules, Platform } from "react-native";
+import en from "./locales/en";
+import si from "./locales/si";
+import ta from "./locales/ta";
+
+/**
+ * Translation layer for English, Sinhala and Tamil.
+ *
+ * Keys are dot paths into the locale tables (`"orders.title"`). Values may
+ * interpolate `{{name}}` params and may be plural objects keyed by CLDR
+ * category (`{ one, other }`) chosen with `params.count`. Missing keys fall
+ * back to English, then to the key itself.
+ *
+ * The active locale is module state so non-React utils (e.g. etaFormatter)
+ * format the same way as screens; LocaleProvider keeps it in sync.
+ */
+
+export const SUPPORTED_LOCALES = [
+  { code: "en", label: "English", nativeLabel: "English", intlTag: "en-LK" },
+  { code: "si", label: "Sinhala", nativeLabel: "සිංහල", intlTag: "si-LK" },
+  { code: "ta", label: "Tamil", nativeLabel: "தமிழ்", intlTag: "ta-LK" },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+const TRANSLATIONS = { en, si, ta };
+const LOCALE_STORAGE_KEY = "@app_locale";
+
+// Used when the engine has no Intl.PluralRules (older Hermes builds).
+const FALLBACK_PLURAL_RULES = {
+  en: (n) => (n === 1 ? "one" : "other"),
+  si: (n) => (n === 0 || n === 1 ? "one" : "other"),
+  ta: (n) => (n === 1 ? "one" : "other"),
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+export function isSupportedLocale(locale) {
+  return SUPPORTED_LOCALES.some((entry) => entry.code === locale);
+}
+
+/** Reduce a device/BCP-47 tag ("si_LK", "ta-IN") to a supported code. */
+export function resolveLocale(tag) {
+  const base = String(tag || "")
+    .replace("_", "-")
+    .split("-")[0]
+    .toLowerCase();
+  return isSupportedLocale(base) ? base : DEFAULT_LOCALE;
+}
+
+export function detectDeviceLocale() {
+  try {
+    const intlLocale =
+      typeof Intl !== "undefined"
+        ? Intl.DateTimeFormat().resolvedOptions().locale
+        : "";
+    if (intlLocale) return resolveLocale(intlLocale);
+  } catch {
+    // Fall through to native settings.
+  }
+
+  const nativeLocale =
+    Platform.OS === "ios"
+      ? NativeModules.SettingsManager?.settings?.AppleLocale ||
+        NativeModules.SettingsManager?.settings?.AppleLanguages?.[0]
+      : NativeModules.I18nManager?.localeIdentifier;
+  return resolveLocale(nativeLocale);
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function setCurrentLocale(locale) {
+  currentLocale = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  return currentLocale;
+}
+
+const getIntlTag = (locale) =>
+  SUPPORTED_LOCALES.find((entry) => entry.code === locale)?.intlTag || "en-LK";
+
+const lookup = (table, key) =>
+  String(key)
+    .split(".")
+    .reduce(
+      (node, part) =>
+        node && typeof node === "object" ? node[part] : undefined,
+      table,
+    );
+
+export function getPluralCategory(count, locale = currentLocale) {
+  const n = Math.abs(Number(count) || 0);
+  try {
+    if (typeof Intl !== "undefined" && typeof Intl.PluralRules === "function") {
+      return new Intl.PluralRules(getIntlTag(locale)).select(n);
+    }
+  } catch {
+    // Use the fallback rules below.
+  }
+  return (FALLBACK_PLURAL_RULES[locale] || FALLBACK_PLURAL_RULES.en)(n);
+}
+
+export function interpolate(template, params = {}, locale = currentLocale) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number"
+      ? formatNumber(value, {}, locale)
+      : String(value ?? "");
+  });
+}
+
+function resolveEntry(key, locale) {
+  const value = lookup(TRANSLATIONS[locale], key);
+  if (value !== undefined) return value;
+  return locale === DEFAULT_LOCALE
+    ? undefined
+    : lookup(TRANSLATIONS[DEFAULT_LOCALE], key);
+}
+
+/**
+ * Translate a key.
+ * @param {string} key - Dot path, e.g. "orders.items"
+ * @param {Object} [params] - Interpolation values; `count` selects the plural form
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string}
+ */
+export function translate(key, params = {}, locale = currentLocale) {
+  let entry = resolveEntry(key, locale);
+  if (entry && typeof entry === "object" && params.count !== undefined) {
+    const category = getPluralCategory(params.count, locale);
+    entry = entry[category] ?? entry.other;
+  }
+  if (typeof entry !== "string") return key;
+  return interpolate(entry, params, locale);
+}
+
+export const t = translate;
+
+export function formatNumber(value, options = {}, locale = currentLocale) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return "";
+  try {
+    return number.toLocaleString(getIntlTag(locale), options);
+  } catch {
+    return number.toLocaleString("en-US", options);
+  }
+}
+
+/** LKR amount in the app's "Rs. 1,250.00" style. */
+export function formatCurrency(amount, locale = currentLocale) {
+  const value = formatNumber(
+    Number(amount) || 0,
+    { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+    locale,
+  );
+  return translate("common.currency", { amount: value }, locale);
+}
+
+function formatDateValue(value, method, options, locale) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  try {
+    return date[method](getIntlTag(locale), options);
+  } catch {
+    return date[method]("en-US", options);
+  }
+}
+
+export function formatDate(
+  value,
+  options = { month: "short", day: "numeric", year: "numeric" },
+  locale = currentLocale,
+) {
+  return formatDateValue(value, "toLocaleDateString", options, locale);
+}
+
+export function formatTime(
+  value,
+  options = { hour: "numeric", minute: "2-digit", hour12: true },
+  locale = currentLocale,
+) {
+  return formatDateValue(value, "toLocaleTimeString", options, locale);
+}
+
+const storageKeyFor = (userId) =>
+  userId ? `${LOCALE_STORAGE_KEY}:${userId}` : LOCALE_STORAGE_KEY;
+
+/**
+ * Saved language for a user; signed-out devices use the shared key.
+ * @returns {Promise<string|null>}
+ */
+export async function loadStoredLocale(userId) {
+  try {
+    const stored =
+      (await AsyncStorage.getItem(storageKeyFor(userId))) ||
+      (userId ? await AsyncStorage.getItem(LOCALE_STORAGE_KEY) : null);
+    return isSupportedLocale(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function storeLocale(userId, locale) {
+  if (!isSupportedLocale(locale)) return;
+  try {
+    await AsyncStorage.multiSet([
+      [storageKeyFor(userId), locale],
+      [LOCALE_STORAGE_KEY, locale],
+    ]);
+  } catch {
+    // Ignore storage errors; the choice still applies for this session.
+  }
+}
@@ -0,0 +1,1420 @@
+/**
+ * English strings. This is the reference table: every key must exist here,
+ * and the other locales fall back to it.
+ */
+const en = {
+  app: {
+    name: "NearMe",
+    tagline: "Fast & Reliable Delivery",
+  },
+
+  auth: {
+    login: "Login",
+    signup: "Sign Up",
+    logout: "Logout",
+    email: "Email",
+    password: "Password",
+    confirmPassword: "Confirm Password",
+    fullName: "Full Name",
+    forgotPassword: "Forgot Password?",
+    noAccount: "Don't have an account?",
+    haveAccount: "Already have an account?",
+    verifyEmail: "Verify Your Email",
+    verifyEmailMessage: "We've sent a verification link to your email address.",
+    recovery: {
+      forgotTitle: "Reset your password",
+      forgotBody:
+        "Enter the email or phone number on your account. " +
+        "We'll send you a way back in.",
+      identifierLabel: "Email or Phone",
+      identifierPlaceholder: "Eg: 07XXXXXXXX or email@test.com",
+      sendLink: "Send reset link",
+      sendCode: "Send code",
+      sending: "Sending...",
+      invalidIdentifier: "Enter a valid email or Sri Lankan phone number",
+      linkSentTitle: "Check your email",
+      linkSentBody:
+        "If an account exists for {{email}}, a reset link is on its way. " +
+        "Open it on this phone to choose a new password.",
+      openMail: "Open Mail App",
+      resend: "Resend link",
+      resendIn: "Resend in {{seconds}}s",
+      haveToken: "I have a reset code",
+      rateLimited: {
+        one: "Too many requests. Try again in {{count}} second.",
+        other: "Too many requests. Try again in {{count}} seconds.",
+      },
+      requestFailed: "We could not send the reset request. Please try again.",
+      backToLogin: "Back to login",
+      resetTitle: "Choose a new password",
+      resetBody: "Your new password replaces the old one on every device.",
+      tokenLabel: "Reset code",
+      tokenPlaceholder: "Paste the code from your email",
+      newPassword: "New password",
+      confirmPassword: "Confirm new password",
+      passwordMismatch: "Passwords do not match",
+      passwordTooWeak: "Your password does not meet the requirements",
+      missingToken: "Open the link from your email, or paste the reset code.",
+      resetting: "Updating...",
+      resetCta: "Update password",
+      resetInvalid:
+        "This reset link is invalid or has expired. Request a new one.",
+      resetFailed: "We could not update your password. Please try again.",
+      resetSuccessTitle: "Password updated",
+      resetSuccessBody: "Sign in with your new password.",
+      strength: "Strength: {{level}}",
+      strengthWeak: "Weak",
+      strengthFair: "Fair",
+      strengthStrong: "Strong",
+      ruleLength: "At least 8 characters",
+      ruleLetter: "Contains a letter",
+      ruleNumber: "Contains a number",
+      ruleMixedCase: "Upper and lower case letters",
+      ruleSymbol: "Contains a symbol",
+    },
+  },
+
+  driver: {
+    dashboard: "Driver Dashboard",
+    activeDeliveries: "Active Deliveries",
+    availableDeliveries: "Available Deliveries",
+    deliveryHistory: "Delivery History",
+    noActiveDeliveries: "No active deliveries",
+    noAvailableDeliveries: "No available deliveries nearby",
+    acceptDelivery: "Accept Delivery",
+    completeDelivery: "Complete Delivery",
+  },
+
+  customer: {
+    home: "Home",
+    orders: "Orders",
+    profile: "Profile",
+    cart: "Cart",
+    checkout: "Checkout",
+    placeOrder: "Place Order",
+    trackOrder: "Track Order",
+    noOrders: "No orders yet",
+    emptyCart: "Your cart is empty",
+  },
+
+  manager: {
+    dashboard: "Manager Dashboard",
+    manageDeliveries: "Manage Deliveries",
+    activeDrivers: "Active Drivers",
+  },
+
+  common: {
+    loading: "Loading...",
+    error: "An error occurred",
+    retry: "Retry",
+    cancel: "Cancel",
+    confirm: "Confirm",
+    save: "Save",
+    delete: "Delete",
+    edit: "Edit",
+    done: "Done",
+    next: "Next",
+    back: "Back",
+    search: "Search",
+    noResults: "No results found",
+    notProvided: "Not provided",
+    notSet: "Not Set",
+    change: "Change",
+    add: "Add",
+    currency: "Rs. {{amount}}",
+  },
+
+  errors: {
+    required: "This field is required",
+    invalidEmail: "Please enter a valid email",
+    passwordMismatch: "Passwords do not match",
+    networkError: "Network error. Please try again.",
+    serverError: "Server error. Please try again later.",
+  },
+
+  tabs: {
+    home: "Home",
+    orders: "Orders",
+    cart: "Cart",
+    profile: "Profile",
+    available: "Available",
+    active: "Active",
+    earnings: "Earnings",
+    payment: "Payment",
+  },
+
+  profile: {
+    title: "Profile",
+    defaultName: "User",
+    editProfile: "Edit Profile",
+    savedAddress: "Saved Address",
+    deliveryLocation: "Delivery Location",
+    locationPinned: "Location pinned",
+    notifications: "Notifications",
+    helpSupport: "Help & Support",
+    terms: "Terms & Conditions",
+    privacy: "Privacy Policy",
+    language: "Language",
+    languageHint: "Choose the language used across the app",
+    dietary: "Dietary Preferences",
+    dietaryHint: "We'll flag dishes that don't fit",
+    dietaryDiets: "I eat",
+    dietaryAllergens: "Avoid",
+    dietarySpice: "Max spice",
+    dietaryAnySpice: "Any",
+    logout: "Logout",
+    logoutTitle: "Logout",
+    logoutMessage: "Are you sure you want to logout?",
+    version: "Version {{version}}",
+  },
+
+  orders: {
+    title: "My Orders",
+    tabActive: "Active",
+    tabScheduled: "Scheduled",
+    tabPast: "Past",
+    restaurantFallback: "Restaurant",
+    orderNumber: "Order #{{number}}",
+    itemCount: {
+      one: "{{count}} item",
+      other: "{{count}} items",
+    },
+    scheduledFor: "Scheduled for {{slot}}",
+    track: "Track Order",
+    viewDetails: "View Details",
+    delivered: "Delivered",
+    cancelled: "Cancelled",
+    emptyActiveTitle: "No Active Orders",
+    emptyScheduledTitle: "No Scheduled Orders",
+    emptyPastTitle: "No Past Orders",
+    emptyActiveBody: "You don't have any ongoing orders",
+    emptyScheduledBody: 'Choose "Deliver later" at checkout to pre-order',
+    emptyPastBody: "Your order history will appear here",
+    browse: "Browse Restaurants",
+    loginTitle: "Please Log In",
+    loginBody: "Sign in to view your orders and track deliveries",
+    loginCta: "Log In",
+    progress: {
+      placed: "Order placed",
+      preparing: "Preparing your order",
+      ready: "Ready for pickup",
+      driverAssigned: "Driver assigned",
+      pickedUp: "Order picked up",
+      onTheWay: "On the way to you",
+      delivered: "Delivered",
+    },
+  },
+
+  driverProfile: {
+    title: "My Profile",
+    subtitle: "Account Details",
+    defaultName: "Driver",
+    myRating: "My Rating",
+    ratingEmpty: "No ratings yet. Customers can rate you after each delivery.",
+    ratingUnavailable: "Rating is unavailable right now.",
+    personalInfo: "Personal Information",
+    fullName: "Full Name",
+    email: "Email Address",
+    phone: "Phone Number",
+    workInfo: "Work Information",
+    workingTime: "Working Time",
+    status: "Status",
+    vehicleNumber: "Vehicle Number",
+    loading: "Loading profile...",
+    workingTimes: {
+      full_time: "Full Time",
+      day: "Day Shift (5AM - 7PM)",
+      night: "Night Shift (6PM - 6AM)",
+      part_time_morning: "Morning Shift",
+      part_time_evening: "Evening Shift",
+    },
+  },
+
+  eta: {
+    arrivingSoon: "Arriving soon",
+    lessThanMinute: "Less than a minute",
+    minutes: {
+      one: "{{count}} min",
+      other: "{{count}} mins",
+    },
+    hours: {
+      one: "{{count}} hr",
+      other: "{{count}} hrs",
+    },
+    hoursAndMinutes: "{{hours}} {{minutes}}",
+    range: "{{min}}-{{max}} mins",
+    clockRange: "{{start}} - {{end}}",
+  },
+
+  time: {
+    justNow: "Just now",
+    minutesAgo: "{{count}}m ago",
+    hoursAgo: "{{count}}h ago",
+    daysAgo: "{{count}}d ago",
+  },
+
+  groupCart: {
+    title: "Group order",
+    notFound: "This group order is no longer available.",
+    statusOpen: "Open",
+    statusLocked: "Locked",
+    statusCheckedOut: "Ordered",
+    inviteCode: "Invite code",
+    invite: "Invite",
+    inviteMessage:
+      "Join my group order from {{restaurant}} and add what you'd like: " +
+      "{{link}}",
+    joinTitle: "Add your name to join",
+    namePlaceholder: "Your name",
+    join: "Join group order",
+    you: "(you)",
+    host: "HOST",
+    noItems: "Nothing added yet",
+    addItems: "Add items",
+    itemsTotal: {
+      one: "{{count}} item",
+      other: "{{count}} items",
+    },
+    lock: "Lock cart",
+    unlock: "Unlock",
+    lockHint: "Lock the cart when everyone is done to check out.",
+    lockedByHost: "The host has locked the cart.",
+    hostChecksOut: "The host will check out for everyone.",
+    checkout: "Check out",
+    checkoutTitle: "Check out for the group?",
+    checkoutBody:
+      "Everyone's items move into your cart and you pay for the whole order.",
+    checkoutFailed: "Could not check out the group cart.",
+    checkedOutNotice: "The host has placed this order.",
+  },
+
+  reorder: {
+    title: "Reorder",
+    reviewHint: "Some things changed since you last ordered. Check them below.",
+    unavailable: "No longer available",
+    sizeChanged: "Now only available as {{size}}",
+    priceChanged: "Price changed from {{from}} to {{to}}",
+    addOnsRemoved: "Add-ons no longer offered: {{names}}",
+    substituteTitle: "Try instead",
+    skip: "Remove",
+    include: "Add back",
+    itemCount: {
+      one: "{{count}} item",
+      other: "{{count}} items",
+    },
+    addToCart: "Add to cart",
+    addFailed: "Could not add these items to your cart.",
+    partialTitle: "Some items were not added",
+    partialBody: "We could not add: {{items}}",
+  },
+
+  deliveryPin: {
+    label: "Delivery PIN",
+    customerHint:
+      "Share this with your driver only when you receive your order.",
+    required: "Customer PIN required at handover",
+    enterTitle: "Enter delivery PIN",
+    unreachableTitle: "Customer unreachable",
+    enterHint:
+      "Ask the customer for the {{length}}-digit PIN shown in their app.",
+    cantReach: "Customer can't be reached?",
+    fallbackHint:
+      "Take a photo of the handover and pick a reason. " +
+      "The order is flagged for review.",
+    usePin: "Enter PIN instead",
+    confirm: "Confirm Delivery",
+    reasons: {
+      no_answer: "Customer not answering",
+      left_at_door: "Left at door as instructed",
+      handed_to_other: "Handed to someone else",
+      pin_unknown: "Customer doesn't have the PIN",
+    },
+  },
+
+  unreachable: {
+    start: "Arrived – customer unreachable",
+    title: "Customer unreachable",
+    waitOver: "Wait over",
+    waitOverHint: "You can now mark this order undeliverable.",
+    waitingHint: "Customer notified. Keep calling until the timer ends.",
+    call: "📞 Call customer",
+    callAttempts: "📞 Call customer ({{count}} tried)",
+    markUndeliverable: "Mark undeliverable",
+    startFailed: "Couldn't start",
+    tryAgain: "Please try again",
+    noPhoneTitle: "No phone number",
+    noPhoneBody: "This customer has no phone on file.",
+    confirmTitle: "Mark as undeliverable?",
+    confirmBody: "The order goes to the operations team to resolve.",
+    failed: "Failed",
+    sentToOperations: "Order sent to operations for review",
+  },
+
+  orderIssue: {
+    title: "Report an issue",
+    reportLink: "Report an issue",
+    yourReport: "YOUR REPORT",
+    requested: "Requested LKR {{amount}}",
+    requestedApproved:
+      "Requested LKR {{requested}} · Approved LKR {{approved}}",
+    restaurant: "Restaurant",
+    openNote:
+      "Your report is being reviewed. You can report another issue " +
+      "once it is resolved.",
+    whatWentWrong: "WHAT WENT WRONG?",
+    affectedItems: "AFFECTED ITEMS",
+    details: "DETAILS",
+    detailsPlaceholder: "Tell us what happened",
+    addPhoto: "Add photo",
+    whatWouldYouLike: "WHAT WOULD YOU LIKE?",
+    amount: "Amount (LKR)",
+    upTo: "Up to LKR {{amount}}",
+    lineAmount: "LKR {{amount}}",
+    submit: "Submit Report",
+    almostThere: "Almost there",
+    reportedTitle: "Issue reported",
+    reportedBody:
+      "We have let the restaurant know. You can follow the status here.",
+    errorTitle: "Error",
+    submitFailed: "Failed to report the issue. Please try again.",
+    permissionTitle: "Permission needed",
+    permissionBody: "Please allow access to your photos to attach them.",
+    otherReason: "Issue",
+    approvedAmount: "approved {{amount}}",
+    restaurantAcceptsFault: "Restaurant · accepts fault",
+    reasons: {
+      missing_item: "Missing item",
+      wrong_item: "Wrong item",
+      damaged: "Damaged or spilled",
+      quality: "Poor food quality",
+      late: "Arrived very late",
+    },
+    resolutions: {
+      refund: "Refund to payment method",
+      credit: "Wallet credit",
+    },
+    statuses: {
+      submitted: "Submitted",
+      restaurant_responded: "Restaurant responded",
+      approved: "Approved",
+      partially_approved: "Partially approved",
+      rejected: "Rejected",
+      refunded: "Refunded",
+    },
+    validation: {
+      reason: "Please choose what went wrong.",
+      items: "Please select the affected items.",
+      resolution: "Please choose a refund or credit.",
+      amount: "Please enter the amount to request.",
+    },
+  },
+
+  shifts: {
+    title: "Shifts",
+    menuSubtitle: "Book delivery shifts by zone",
+    today: "Today",
+    tomorrow: "Tomorrow",
+    loadFailed: "Could not load shifts",
+    bookTitle: "Book shift",
+    bookFailed: "Could not book this shift",
+    cancelTitle: "Cancel shift",
+    cancelZoneBody: "Cancel {{zone}} shift on {{day}}, {{time}}?",
+    cancelBody: "Cancel this shift on {{day}}, {{time}}?",
+    cancelFailed: "Could not cancel this shift",
+    keep: "Keep",
+    cancel: "Cancel",
+    myShifts: "My shifts",
+    noShows: {
+      one: "{{count}} no-show",
+      other: "{{count}} no-shows",
+    },
+    noBookings: "No shifts booked. Pick a day and zone below.",
+    zoneFallback: "Zone",
+    checkInHint:
+      "Go online within {{minutes}} min of a shift starting to check in. " +
+      "Missed shifts are marked as no-shows.",
+    availableSlots: "Available slots",
+    noSlots: "No slots open for this day in this zone yet.",
+    peak: "{{peak}} peak",
+    driversOpen: "{{booked}} / {{capacity}} drivers · {{open}} open",
+    driversFull: "{{booked}} / {{capacity}} drivers · Full",
+    full: "Full",
+    book: "Book",
+    booked: "Booked",
+    peaks: {
+      lunch: "Lunch",
+      dinner: "Dinner",
+    },
+    statuses: {
+      booked: "Booked",
+      checked_in: "Checked in",
+      completed: "Completed",
+      no_show: "No-show",
+      cancelled: "Cancelled",
+    },
+    reminderTitle: "Shift in {{lead}}",
+    reminderBody:
+      "{{zone}} · {{time}}. Go online within {{minutes}} min of the start " +
+      "to avoid a no-show.",
+    reminderZoneFallback: "Your zone",
+  },
+
+  cart: {
+    loginBody: "Please login to view your cart",
+    loginContinue: "Please login to continue",
+    customersOnly: "Only customers can view cart",
+    loadFailed: "Failed to fetch cart",
+    updateFailed: "Failed to update quantity",
+    removeTitle: "Remove item",
+    removeBody: "Remove this item from cart?",
+    remove: "Remove",
+    removeFailed: "Failed to remove item",
+    clearTitle: "Clear cart",
+    clearBody: "Remove all items from this restaurant?",
+    clear: "Clear",
+    clearFailed: "Failed to clear cart",
+    emptyTitle: "Your Cart is Empty",
+    emptyBody: "Add items from restaurants to get started",
+    backToList: "Back to restaurants",
+    unavailable: "Unavailable",
+    subtotal: "Subtotal",
+    addMore: "Add More Items",
+    clearThis: "Clear this cart",
+    activeRestaurants: "Active Restaurants",
+    location: "Location",
+    viewItems: "View items",
+    unavailableTitle: "Items Unavailable",
+    unavailableBody:
+      "Some items are currently not available ({{items}}). " +
+      "Please remove them to proceed with checkout.",
+  },
+
+  basket: {
+    fullTitle: "Basket is full",
+    fullBody: "You can combine up to {{count}} restaurants.",
+    blockedTitle: "Can't deliver together",
+    toggle: "Deliver together with other restaurants",
+    summary: "{{count}} restaurants • {{total}} • one delivery fee",
+    checkout: "Checkout together",
+    cartMissing: "One of the restaurant carts is no longer available",
+    routeMeta: "{{count}} pickups • {{km}} km route",
+    pickTwo: "Pick at least two restaurants.",
+    noLocation: "One of these restaurants has no location yet.",
+    tooFar: "{{first}} and {{second}} are too far apart to deliver together.",
+    closed: "{{name}} is closed right now.",
+    someRestaurant: "A restaurant",
+    anotherRestaurant: "another restaurant",
+    pickedUp: "Picked up",
+    ready: "Ready",
+    preparing: "Preparing",
+    driverPickup: "Pickup {{index}}/{{total}}: ",
+    collected: "Collected",
+  },
+
+  search: {
+    placeholder: "Search restaurants or food...",
+    restaurantsTab: "Restaurants ({{count}})",
+    foodsTab: "Food Items ({{count}})",
+    clear: "Clear",
+    openNow: "Open now",
+    withinKm: "Within {{km}} km",
+    prices: {
+      under500: "Under Rs.500",
+      "500to1000": "Rs.500 - 1000",
+      over1000: "Rs.1000+",
+    },
+    recentTitle: "Recent searches",
+    searching: "Searching...",
+    tryAnother: "Try another keyword.",
+    matchesDiet: "Matches my diet",
+  },
+
+  dietary: {
+    tags: {
+      vegetarian: "Vegetarian",
+      vegan: "Vegan",
+      halal: "Halal",
+      gluten_free: "Gluten-free",
+    },
+    short: {
+      vegetarian: "Veg",
+      vegan: "Vegan",
+      halal: "Halal",
+      gluten_free: "GF",
+    },
+    spice: {
+      0: "Not spicy",
+      1: "Mild",
+      2: "Medium",
+      3: "Hot",
+    },
+    allergens: {
+      nuts: "Nuts",
+      dairy: "Dairy",
+      egg: "Egg",
+      gluten: "Gluten",
+      seafood: "Seafood",
+      soy: "Soy",
+      sesame: "Sesame",
+    },
+    contains: "Contains {{allergen}}",
+    notMarked: "Not marked {{diet}}",
+    tooSpicy: "Spicier than you like ({{level}})",
+  },
+
+  navigation: {
+    navigate: "Navigate",
+    findingRoute: "Finding route…",
+    noRoute: "No route found",
+    rerouting: "Rerouting…",
+    then: "Then",
+    exit: "Exit",
+    minutes: "{{count}} min",
+    stopOf: "Stop {{index}} of {{count}}: {{label}}",
+    restaurant: "Restaurant",
+    customer: "Customer",
+    meters: "{{value}} m",
+    kilometers: "{{value}} km",
+    metersSpoken: "{{value}} meters",
+    kilometersSpoken: "{{value}} kilometers",
+    inDistance: "In {{distance}}, {{instruction}}",
+    onto: "{{instruction}} onto {{name}}",
+    depart: "Head out",
+    departOn: "Head out on {{name}}",
+    arrived: "You have arrived",
+    arriveAt: "Arrive at {{stop}}",
+    roundabout: "Go through the roundabout",
+    roundaboutExit: "At the roundabout, take the {{ordinal}} exit",
+    continueOn: "Continue on {{name}}",
+    forkLeft: "Keep left at the fork",
+    forkRight: "Keep right at the fork",
+    merge: "Merge",
+    endOfRoad: "At the end of the road, {{maneuver}}",
+    modifiers: {
+      uturn: "Make a U-turn",
+      sharpRight: "Turn sharp right",
+      right: "Turn right",
+      slightRight: "Bear right",
+      straight: "Continue straight",
+      slightLeft: "Bear left",
+      left: "Turn left",
+      sharpLeft: "Turn sharp left",
+      continue: "Continue",
+      turn: "Turn",
+    },
+    ordinals: {
+      1: "1st",
+      2: "2nd",
+      3: "3rd",
+      4: "4th",
+      5: "5th",
+      6: "6th",
+      7: "7th",
+      8: "8th",
+      other: "{{exit}}th",
+    },
+  },
+
+  offlineMaps: {
+    title: "Offline Maps",
+    menuSubtitle: "Saved map areas for weak coverage",
+    unavailable:
+      "Map downloads are unavailable in this build. They need a dedicated " +
+      "map tile server; the public OpenStreetMap servers do not allow " +
+      "saving maps for offline use.",
+    errorTitle: "Error",
+    loadFailed: "Unable to load offline maps.",
+    saveFailed: "Unable to save settings.",
+    incompleteTitle: "Download incomplete",
+    incompleteBody:
+      "{{failed}} of {{total}} tiles could not be saved. Try updating the " +
+      "area on a better connection.",
+    failedTitle: "Download failed",
+    tryAgain: "Please try again.",
+    pickZoomsTitle: "Pick zoom levels",
+    pickZoomsBody: "Select at least one zoom level.",
+    locationTitle: "Location unavailable",
+    locationPermission: "Location permission is needed to find your zone.",
+    deleteTitle: "Delete area",
+    deleteBody: 'Remove "{{name}}" from this device?',
+    clearTitle: "Clear offline maps",
+    clearBody: "Delete every saved map tile?",
+    clear: "Clear",
+    downloading: "Downloading map tiles",
+    progress: "{{done}} / {{total}} tiles",
+    progressFailed: "{{done}} / {{total}} tiles · {{failed}} failed",
+    storage: "Storage",
+    storageHint: {
+      one:
+        "{{count}} tile saved. The least recently used tiles are removed " +
+        "when the limit is reached.",
+      other:
+        "{{count}} tiles saved. The least recently used tiles are removed " +
+        "when the limit is reached.",
+    },
+    storageLimit: "Storage limit",
+    clearAll: "Clear all",
+    corridor: "Delivery corridor",
+    autoCorridor: "Save route automatically",
+    autoCorridorHint:
+      "Tiles along the route to your active pickups and drop-offs.",
+    wifiOnly: "Wi-Fi only",
+    wifiOnlyHint: "Skip automatic downloads on mobile data.",
+    corridorZooms: "Corridor zoom levels",
+    zone: "Usual zone",
+    zoneHint:
+      "Save the area around where you are now for places with weak coverage.",
+    radius: "Radius",
+    zooms: "Zoom levels",
+    estimate: "About {{count}} tiles, ~{{size}}",
+    downloadZone: "Download around my location",
+    savedAreas: "Saved areas",
+    noAreas: "No map areas saved yet.",
+    areaMeta: "{{cached}}/{{total}} tiles · {{size}} · zoom {{zooms}}",
+    updated: "Updated {{date}}",
+    corridorArea: "Active delivery corridor",
+    zoneName: "Usual zone · {{km}} km",
+    errors: {
+      tooLarge:
+        "This area is too large to save. Pick fewer zoom levels or a " +
+        "smaller radius.",
+      noSpace: "This area would not fit in the offline map storage.",
+      noTileServer: "Offline maps need a dedicated map tile server",
+      busy: "Another map download is in progress",
+    },
+  },
+
+  offers: {
+    live: "Live",
+    expiredToast: { one: "Offer expired", other: "Offers expired" },
+    acceptanceTitle: "Acceptance Rate",
+    lastDays: "Last 30 Days",
+    acceptedOf: {
+      one: "{{accepted}} of {{count}} offer accepted",
+      other: "{{accepted}} of {{count}} offers accepted",
+    },
+    noneAnswered: "No delivery offers answered yet",
+    accepted: "Accepted",
+    declined: "Declined",
+    expired: "Expired",
+  },
+
+  menu: {
+    restaurant: "Restaurant",
+    restaurantNotFound: "Restaurant not found",
+    foodNotFound: "Food not found",
+    genericError: "Something went wrong",
+    errorTitle: "Error",
+    oops: "Oops!",
+    goBack: "Go Back",
+    loginRequiredTitle: "Login required",
+    loginRequiredBody: "Please login to add items to cart",
+    goToLogin: "Go to Login",
+    notAllowedTitle: "Not allowed",
+    customersOnly: "Only customers can add items to cart",
+    chooseAddOnsTitle: "Choose your add-ons",
+    addFailed: "Failed to add to cart",
+    priceUnknown: "N/A",
+    notAvailable: "Currently Not Available",
+    availableIn: "Available in {{time}}",
+    availableDuring: "Available during: {{times}}",
+    selectSize: "SELECT SIZE",
+    sizeRegular: "Regular",
+    sizeLarge: "Large",
+    portion: "Portion {{portion}}",
+    requiredExact: "Required • choose {{count}}",
+    requiredRange: "Required • choose {{min}}-{{max}}",
+    optional: "Optional",
+    optionalUpTo: "Optional • up to {{max}}",
+    soldOut: "(sold out)",
+    quantity: "Quantity",
+    buying: "Buying...",
+    buyNow: "Buy Now",
+    adding: "Adding...",
+    addToCartTotal: "Add to Cart • {{price}}",
+    loadFailed: "Failed to load menu",
+    thisRestaurant: "This restaurant",
+    closedTitle: "Closed",
+    closedBody: "{{name}} is currently closed",
+    closedUntil: "{{name}} is currently closed. {{opens}}.",
+    groupLoginBody: "Please login to start a group order",
+    groupStartFailed: "Could not start a group order",
+    prepTime: "Prep {{time}}",
+    searchPlaceholder: "Search menu items...",
+    distanceAway: "{{distance}} away",
+    closedBanner: "Restaurant is currently closed",
+    checkBackLater: "Check back later",
+    title: "Menu",
+    resultCount: {
+      one: "{{count}} result",
+      other: "{{count}} results",
+    },
+    groupOrder: "Group order",
+    emptyTitle: "No items found",
+    emptySearch: "Try a different search term",
+    emptyMenu: "This restaurant hasn't added menu items yet",
+    viewCart: "View cart",
+    cartCount: {
+      one: "{{count}} item from this restaurant",
+      other: "{{count}} items from this restaurant",
+    },
+    modifiers: {
+      chooseOne: 'Choose an option for "{{group}}"',
+      chooseAtLeast: 'Choose at least {{count}} for "{{group}}"',
+      chooseUpTo: 'Choose up to {{count}} for "{{group}}"',
+    },
+  },
+
+  hours: {
+    closed: "Closed",
+    closedToday: "Closed today",
+    closedTodayReason: "Closed today · {{reason}}",
+    opensAt: "Opens at {{time}}",
+    opensTomorrow: "Opens tomorrow at {{time}}",
+    opensOn: "Opens {{day}} at {{time}}",
+  },
+
+  home: {
+    category: "Category",
+    popularDishes: "Popular Dishes",
+    restaurantsTab: "Restaurants",
+    foodsTab: "Food Items",
+    allFoods: "All Food Items",
+    searchPlaceholder: "Search...",
+    noMatchesTitle: "No matches yet",
+    noMatchesBody: "Try another keyword, item name, or category.",
+    comingSoonTitle: "Coming soon to your region!",
+    comingSoonBody:
+      "We will be offering our services in your area very soon. Stay tuned!",
+    promo: {
+      kicker: "Launch Offer",
+      title: "Welcome to Meezo",
+      subtitle: "Your first delivery gets a special offer.",
+      feesTag: "Delivery fees",
+      only: "Only",
+      rate: "Rs.{{rate}}",
+      perKm: " / per km",
+      terms: "Up to {{km}}km. This offer applies only to your first order.",
+      saving: "Saving...",
+      cta: "Get Started",
+    },
+  },
+
+  service: {
+    unavailableTitle: "We'll Be Right Back",
+    unavailableBody:
+      "We're currently taking a short break or performing maintenance.",
+    reopeningAt: "Reopening at {{time}}",
+  },
+
+  checkout: {
+    pinRequired: "Pin your delivery location on the map.",
+    locationDeniedTitle: "Permission Denied",
+    locationDeniedBody:
+      "Please enable location permission to use this feature",
+    ok: "OK",
+    locationFailed: "Failed to get your location. Please try again.",
+    loginBody: "Please login to checkout",
+    customersOnly: "Only customers can checkout",
+    profileLoadFailed: "Failed to fetch profile",
+    cartNotFound: "Cart not found",
+    loadFailed: "Checkout load failed",
+    saveAddressFailed: "Failed to save address",
+    saveFailed: "Save failed",
+    saving: "Saving...",
+    slotUnavailable:
+      "That delivery time is no longer available. Please pick another slot.",
+    cardPayment: "Card Payment",
+    priceChanged:
+      "Order amount changed while placing the order. " +
+      "Please review checkout and place again.",
+    alreadyPlaced:
+      "This order has already been placed. Please check your orders.",
+    placeFailed: "Failed to place order",
+    chooseSlot: "Choose a delivery time for your pre-order.",
+    closedPreorder:
+      'Restaurant is closed. {{opens}} - choose "Deliver later" to pre-order.',
+    closedNow: "Restaurant is closed right now.",
+    phoneRequired: "Phone number is required",
+    addressRequired: "Delivery address is required",
+    cityRequired: "City is required",
+    locationMissing:
+      "Location not provided. Pin your delivery location on the map.",
+    beyondDistance: "Delivery is not available beyond {{km}} km.",
+    minimumOrder: "Minimum order amount is {{amount}}.",
+    feeUnavailable:
+      "Delivery fee is unavailable. Please verify your location pin.",
+    calculatingPricing: "Calculating pricing...",
+    deliveryLocation: "Delivery Location",
+    editPin: "Edit Pin",
+    priceDetails: "Price Details",
+    calculatingCharges: "Calculating delivery charges...",
+    launchOfferTitle: "Launch Offer Applied",
+    launchOfferBody: "delivery fees offer activated for this order.",
+    promoPending: "Checking code against your order...",
+    promoRow: "Promo ({{code}})",
+    deliveryFee: "Delivery fee",
+    serviceFee: "Service fee",
+    total: "Total",
+    deliveryAddress: "Delivery Address",
+    addAddress: "Add delivery address",
+    phoneNumber: "Phone Number",
+    noPhone: "No phone number",
+    orderSummary: "Order Summary",
+    kmAway: "{{km}} km away",
+    calculating: "Calculating...",
+    locationNotProvided: "Location not provided",
+    itemFallback: "Item {{number}}",
+    quantityPrice: "{{quantity}} x {{price}}",
+    noItems: "No items found in this cart.",
+    deliveryTime: "Delivery Time",
+    deliverNow: "Deliver now",
+    deliverNowHint: "As soon as the restaurant prepares it",
+    deliverLater: "Deliver later",
+    deliverLaterHint: "Pre-order for a time that suits you",
+    paymentMethod: "Payment Method",
+    methods: {
+      cash: "Cash on Delivery",
+      card: "Credit / Debit Card",
+      wallet: "Meezo Wallet",
+    },
+    methodHints: {
+      cash: "Pay when your order arrives",
+      card: "Pay securely online before we send your order",
+      wallet: "Pay from your wallet balance",
+    },
+    walletBalance: "Balance {{amount}}",
+    walletShort: "Balance {{amount}} • not enough for this order",
+    paymentRetryHint: "Try again or choose another payment method.",
+    processingPayment: "Processing payment...",
+    placing: "Placing...",
+    addCity: "Add city to continue",
+    unavailableBeyond: "Not available beyond {{km}} km",
+    addMore: "Add {{amount}} more",
+    placeOrder: "Place Order",
+    scheduleOrder: "Schedule Order",
+    payAndPlaceOrder: "Pay & Place Order",
+    payAndScheduleOrder: "Pay & Schedule Order",
+    actionWithTotal: "{{action}} • {{total}}",
+    backToCart: "Back to Cart",
+    editAddressTitle: "Edit Delivery Address",
+    streetAddress: "Street Address",
+    addressPlaceholder: "Enter full address",
+    city: "City",
+    cityPlaceholder: "Enter city",
+    addressFieldRequired: "Address is required",
+    pinFirst: "Please set delivery pin first using Edit Pin",
+    chooseTime: "Choose delivery time",
+    slotsHint:
+      "Slots follow the restaurant opening hours and the menu times of " +
+      "the items in your cart.",
+    noSlots: "No delivery slots are available in the next few days.",
+    today: "Today",
+    tomorrow: "Tomorrow",
+    slot: "{{day}}, {{time}}",
+    errors: {
+      requestFailed: "Payment request failed",
+      startFailed: "Could not start the payment. Please try again.",
+      cardUnavailable: "Card checkout is not available right now.",
+      cancelled: "Payment was cancelled.",
+      declined: "Your payment was declined.",
+    },
+  },
+
+  orderStatus: {
+    titles: {
+      placed: "Order Placed!",
+      preparing: "Preparing Your Order",
+      ready: "Order Ready",
+      driverAccepted: "Driver Accepted",
+      driverAssigned: "Driver Assigned",
+      pickedUp: "Order Picked Up",
+      onTheWay: "On The Way",
+      arrived: "Driver Has Arrived",
+      delivered: "Delivered!",
+    },
+    messages: {
+      placed:
+        "Your order has been placed successfully. " +
+        "We're notifying the restaurant.",
+      preparing: "Your delicious meal is being prepared with care.",
+      ready: "Your order is ready and waiting for pickup.",
+      driverAccepted: "Your driver is on the way to pick up your order.",
+      driverAssigned:
+        "A driver has been assigned and is heading to the restaurant.",
+      pickedUp: "The driver will head towards you soon",
+      onTheWay: "Your driver is on the way to your location.",
+      arrived:
+        "Your driver has arrived but can't reach you. " +
+        "Please answer your phone.",
+      delivered: "Your order has been delivered. Bon app\u00e9tit!",
+    },
+    nextSteps: {
+      placed:
+        "We sent your order to the restaurant. " +
+        "We'll notify once accepted In shaa Allah",
+      preparing:
+        "restaurant is preparing your order. we are searching nearby drivers",
+      driverAccepted: "Driver is on the way to restaurant.",
+      pickedUp:
+        "The driver picked your food and have one more stops to deliver you.",
+      onTheWay: "Your driver is on the way to your location.",
+      arrived: "Your driver is waiting outside. Please answer your phone.",
+      delivered: "Your order is successfully delivered.",
+      finalizing: "We are finalizing your order updates.",
+      upcoming: "{{title}}. We will update this screen automatically.",
+    },
+    etaArrival: "Estimated Arrival : {{time}} Insha Allah",
+    etaRange: "Estimated Arrival : {{start}} - {{end}}",
+    assignedDriver: "Assigned Driver",
+    yourDriver: "Your Driver",
+    driverDetails: "Driver details",
+    driverPending: "We will show driver info shortly.",
+    vehicle: "Vehicle",
+    defaultVehicle: "Motorbike",
+    plate: "Plate",
+    color: "Color",
+    total: "TOTAL",
+    viewDetails: "View Details",
+    item: "Item",
+    itemQuantity: "{{quantity}}x {{name}}",
+    loading: "Loading order...",
+    thankYou: "Thank you for your order!",
+    deliveryComplete: "Your delivery is complete and successfully delivered.",
+    goodNote:
+      "We hope your meal brought a smile to your day. " +
+      "We look forward to serving you again soon.",
+    deliveredBody:
+      "Your food has been successfully delivered.\n" +
+      "We hope you enjoyed your meal and look forward to serving you again.",
+    report: "Delivery Report",
+    status: "Status",
+    restaurant: "Restaurant",
+    orderNumber: "Order Number",
+    notAvailable: "Not available",
+    totalPaid: "Total Paid",
+    deliveredTo: "Delivered To",
+    orderAgain: "Order Again",
+    backHome: "Back to Home",
+    delivery: "Delivery",
+    phoneCopied: "Phone number copied!",
+    deliveryAddress: "DELIVERY ADDRESS",
+    addressFallback: "Your delivery address",
+    cancelOrder: "Cancel Order",
+    cancelTitle: "Cancel Order?",
+    cancelSubtitle: "Please tell us why you want to cancel",
+    cancelReasons: {
+      changedMind: "Changed my mind",
+      betterOption: "Found better option",
+      mistake: "Ordered by mistake",
+      tooLong: "Delivery taking too long",
+      wrongItems: "Wrong items selected",
+      other: "Other",
+    },
+    reasonPlaceholder: "Type your reason...",
+    keepOrder: "Keep Order",
+    confirmCancel: "Confirm Cancel",
+    reasonRequiredTitle: "Reason Required",
+    reasonRequiredBody: "Please select or type a cancellation reason.",
+    missingOrderId:
+      "Order ID is missing. Please try again or contact support.",
+    cancelledTitle: "Order Cancelled",
+    cancelledBody: "Your order has been successfully cancelled.",
+    notFoundTitle: "Order Not Found",
+    notFoundBody:
+      "The order could not be found in the system. It may have already " +
+      "been cancelled or processed. Please refresh and try again.",
+    cannotCancelTitle: "Cannot Cancel",
+    cannotCancelBody: "The restaurant has already accepted your order.",
+    invalidRequestTitle: "Invalid Request",
+    invalidRequestBody: "Unable to cancel order. Please check and try again.",
+    cancelFailed:
+      "Failed to cancel order (Error: {{status}}). Please try again.",
+    networkError: "Network error. Please check your connection and try again.",
+    onTheWayTitle: "On The Way 🚗",
+    onTheWayBody: "Driver is heading to your location.",
+    eta: "ETA:",
+    distance: "Distance:",
+    minutes: "{{count}} mins",
+    kilometers: "{{distance}} km",
+    updating: "Updating...",
+    trackHint: "You can track driver location on the map.",
+    reviewThanks: "Thanks for your feedback!",
+    reviewTitle: "How was your order?",
+    reviewBody: "Rate {{restaurant}}, your items and {{driver}}.",
+    reviewRestaurantFallback: "the restaurant",
+    reviewDriverFallback: "your driver",
+    rateOrder: "Rate your order",
+  },
+
+  driverRequests: {
+    notReleased: "This pre-order is not open for drivers yet",
+    savedOffline: "Saved offline - will accept when you're back online",
+    suspendedTitle: "Account Suspended",
+    suspendedBody:
+      "Deposit the collected money to the Meezo platform before " +
+      "accepting new deliveries.",
+    acceptFailed: "Failed to accept delivery",
+    accepted: "Delivery accepted!",
+    accepting: "Accepting...",
+    updating: "Updating...",
+    accept: "Accept Request",
+    newOrder: "NEW ORDER",
+    bulkOrder: "BULK ORDER",
+    dropoff: "Drop-off: {{address}}",
+    pickupUnavailable: "Pickup address unavailable",
+    dropoffUnavailable: "Drop-off address unavailable",
+    restaurantCity: "{{name}}, {{city}}",
+    deliveryChip: "Delivery {{amount}}",
+    tipChip: "Tip {{amount}}",
+    bonusChip: "Bonus {{amount}}",
+    km: "{{distance}} km",
+    minutes: "{{count}} min",
+  },
+
+  dashboard: {
+    driverFallback: "Driver",
+    statusChangedByHours: "Status changed due to working hours",
+    locationUnconfirmed: "Unable to confirm your location.",
+    syncFailed: "Available deliveries sync failed ({{status}})",
+    serverBusy:
+      "Server is busy. Showing cached requests and retrying with backoff...",
+    updateRequestsFailed: "Failed to update nearby requests",
+    cannotToggle: "Cannot toggle status at this time",
+    sessionUnavailable: "Session unavailable. Please wait and try again.",
+    statusUpdated: "Status updated to {{status}}",
+    statusUpdateFailed: "Failed to update status",
+    outsideHoursTitle: "Outside Working Hours",
+    workingTimeIs: "Your working time is set to {{workingTime}}.",
+    outsideHoursBody: "You are currently outside your scheduled working hours.",
+    unknownWorkingTime: "Unknown",
+    goOnlineAnyway: "Do you want to go online anyway?",
+    goOnline: "Go Online",
+    statusOnline: "Status: Online",
+    statusOffline: "Status: Offline",
+    receivingRequests: "Receiving requests nearby",
+    notReceivingRequests: "Not receiving requests",
+    outsideHoursNotice:
+      "⏰ You are currently outside your working hours. You'll be able to " +
+      "accept deliveries during your scheduled time.",
+    withinHoursNotice:
+      "💡 You're within your working hours. Activate your status to start " +
+      "receiving delivery requests.",
+    activeNotice: "✅ You are active and can receive delivery requests!",
+    withinHours: "Within working hours",
+    manualOverride: "Manual override active (outside working hours)",
+    outsideHours: "Outside working hours",
+    nextStatusChange: "Next automatic status change: {{time}}",
+    todayEarnings: "Today's Earnings",
+    todayDeliveries: "Today's Deliveries",
+    balanceToReceive: "Balance to Receive",
+    activeDeliveries: "Active Deliveries ({{count}})",
+    viewAll: "View All",
+    customerAddress: "Customer Address",
+    orderNumber: "Order #{{number}}",
+    notAvailable: "N/A",
+    statuses: {
+      accepted: "accepted",
+      picked_up: "picked up",
+      on_the_way: "on the way",
+      at_customer: "at customer",
+    },
+    offlineWithActive:
+      "You're offline but have active deliveries. Complete these " +
+      "deliveries to receive your earnings.",
+    nearbyRequests: "Nearby Requests ({{count}})",
+    completeActiveTitle: "Complete your active deliveries",
+    completeActiveBody:
+      "You can go online after completing current deliveries",
+    offlineTitle: "You're currently offline",
+    offlineBody: "Go online to receive delivery requests",
+    syncingLatest:
+      "Updating nearby requests with latest available deliveries...",
+    updateFailedTitle: "Unable to update requests",
+    retryUpdate: "Retry update",
+    noRequestsTitle: "No requests nearby",
+    noRequestsBody: "New orders will appear here",
+    syncing: "Updating nearby requests...",
+    showMore: "Show More (+{{count}})",
+    monthlyPerformance: "Monthly Performance",
+    monthEarnings: "Month Earnings",
+    monthDeliveries: "Month Deliveries",
+    recentDeliveries: "Recent Deliveries",
+  },
+
+  availableDeliveries: {
+    activeBlock: "Complete your picked up delivery first.",
+    location: {
+      loading: "Loading available deliveries...",
+      permission: "Location permission is required",
+      confirming: "Confirming your current location ({{attempt}}/{{max}})...",
+      confirmed: "Location confirmed",
+      recent: "Using recently confirmed location",
+      failed: "Unable to confirm location",
+      turnOnGps:
+        "Unable to confirm your current location. Turn on GPS and try again.",
+      enableGps:
+        "Unable to confirm your location. Please enable GPS and retry.",
+    },
+    noDriverLocation:
+      "Cannot fetch deliveries without a valid driver location.",
+    errors: {
+      offline: "No internet connection. Retrying...",
+      server: "Server error. Please try again.",
+      auth: "Authentication failed. Please log in again.",
+      fetchFailed: "Failed to fetch deliveries",
+    },
+    updatingRequests: "Updating requests...",
+    syncing: "Updating delivery requests...",
+    deliveringTitle: "Currently Delivering",
+    goToActive: "Go to Active Deliveries",
+    emptyTitle: "No Deliveries Near You",
+    maxReached:
+      "You've reached the maximum of {{max}} deliveries. " +
+      "Complete some deliveries first.",
+    emptyBody:
+      "No delivery requests available in your area right now. " +
+      "We'll notify you when new orders come in!",
+    refresh: "Refresh",
+    viewActive: "View Active ({{count}})",
+    card: {
+      noPickup: "No pickup address",
+      noDropoff: "No drop-off address",
+      totalEarnings: "Total Earnings",
+      pickup: "Pickup:",
+      dropoff: "Drop-off:",
+      customer: "Customer",
+      orderItems: "Order Items:",
+      cannotAccept: "Cannot Accept",
+      acceptStacked: "Accept Stacked Delivery",
+      accept: "Accept Delivery",
+    },
+  },
+
+  activeDeliveries: {
+    title: "Active Deliveries",
+    calculating: "Calculating...",
+    eta: {
+      one: "~{{count}} min",
+      other: "~{{count}} mins",
+    },
+    nextPickup: "Next Pickup",
+    pickupNumber: "Pickup #{{number}}",
+    nextDelivery: "Next Delivery",
+    deliveryNumber: "Delivery #{{number}}",
+    unknownRestaurant: "Unknown Restaurant",
+    noAddress: "No address",
+    customer: "Customer",
+    chatWithCustomer: "Chat with customer",
+    startDelivery: "Start Delivery",
+    deliverNow: "Deliver Now",
+    startBadge: "START",
+    errors: {
+      loadPickups: "Failed to load pickups: {{message}}",
+      loadDeliveries: "Failed to load deliveries: {{message}}",
+      network: "Network error: {{message}}",
+      unreachable: "Unable to connect to server",
+    },
+    noPickups: "No pickups available",
+    noDeliveries: "No deliveries available",
+    pickupsReady: {
+      one: "{{count}} pickup ready",
+      other: "{{count}} pickups ready",
+    },
+    deliveriesReady: {
+      one: "{{count}} delivery ready",
+      other: "{{count}} deliveries ready",
+    },
+    mode: "Mode: {{mode}}",
+    modes: {
+      pickup: "Pick-up",
+      deliver: "Delivering",
+    },
+    available: "Available",
+    connectionError: "Connection Error",
+    checkConnection: "Please check your internet connection and try again",
+    empty: {
+      pickupsTitle: "No Active Pickups",
+      deliveriesTitle: "No Active Deliveries",
+      pickupsBody: "Accept deliveries to start picking up orders",
+      deliveriesBody: "Pick up orders to start delivering to customers",
+      viewAvailable: "View Available Deliveries",
+    },
+    startPickup: "START PICK-UP",
+    startDelivering: "START DELIVERY",
+    route: {
+      title: "Full Route Overview",
+      summary: "Driver → {{restaurants}} → {{customers}}",
+      restaurantCount: {
+        one: "{{count}} Restaurant",
+        other: "{{count}} Restaurants",
+      },
+      customerCount: {
+        one: "{{count}} Customer",
+        other: "{{count}} Customers",
+      },
+      kmTotal: "km Total",
+      minEta: "min ETA",
+      stops: "Stops",
+      startNavigation: "Start Navigation to First Stop",
+      orderedStops: "Ordered Stops",
+      startingPoint: "Your Location (Starting Point)",
+      driverPosition: "Driver Position",
+      pickupOrder: "Pick up order #{{number}}",
+      deliverOrder: "Deliver order #{{number}}",
+      eta: "ETA {{time}}",
+      late: "~{{count}} min past promised time",
+      legendDriver: "Driver (D)",
+      legendRestaurant: "Restaurant (R)",
+      legendCustomer: "Customer (C)",
+      legendRoute: "Route Path",
+    },
+  },
+
+  driverMap: {
+    noOrderNumber: "N/A",
+    errorTitle: "Error",
+    errors: {
+      statusUpdate: "Failed to update delivery status",
+      pickupNotSaved:
+        "Backend validation failed: delivery status is {{status}}, " +
+        "expected picked_up or on_the_way. " +
+        "Database may not have been updated.",
+      deliveryNotSaved:
+        "Backend validation failed: delivery status is {{status}}, " +
+        "expected delivered. Database may not have been updated.",
+      pickupFailed: "Pickup status update failed",
+      deliveryFailed: "Delivery status update failed",
+      openMaps: "Could not open maps app",
+      call: "Could not make call",
+    },
+    emptyTitle: "No active deliveries found",
+    goBack: "Go Back",
+    upcomingPickups: "Upcoming Pickups ({{count}})",
+    upcomingDeliveries: "Upcoming Deliveries ({{count}})",
+    startDelivery: "START DELIVERY",
+    orderId: "ORDER ID",
+    orderItems: "ORDER ITEMS",
+    item: "Item",
+    customerToDeliver: "CUSTOMER TO DELIVER",
+    swipeToPickUp: "SWIPE TO PICK UP",
+    specialInstructions: "Special Instructions",
+    totalAmount: "TOTAL AMOUNT",
+    swipeToDeliver: "SWIPE TO DELIVER",
+  },
+
+  driverSync: {
+    conflictTitle: "Update not applied",
+    conflictBody:
+      "{{message}}. Delivery #{{deliveryId}} has been refreshed with the " +
+      "latest status.",
+    queueFull:
+      "Too many updates are waiting to sync. Reconnect to the internet " +
+      "before making more changes.",
+    sessionExpired:
+      "Your session has expired. Sign in again to sync pending updates.",
+    sessionExpiredTitle: "Sign in again",
+    rejected: "The server rejected this update",
+    pendingCount: {
+      one: "{{count}} update pending sync",
+      other: "{{count}} updates pending sync",
+    },
+    syncing: "Syncing...",
+    pendingHint: "Will send when you're back online · Tap to retry",
+    savedOffline: "Saved offline · syncs once you are online",
+    swipeToDeliver: "Swipe to Deliver",
+  },
+
+  deliveryProof: {
+    title: "Delivery Proof",
+    optional: "Optional",
+    savedOffline: "Saved offline · uploads once you are online",
+    noPhoto: "No photo uploaded",
+    takePhoto: "Take Photo",
+    retakePhoto: "Retake Photo",
+    permissionTitle: "Permission",
+    permissionBody: "Camera permission is required.",
+    uploadFailed: "Upload failed",
+    tryAgain: "Please try again",
+  },
+
+  orderChat: {
+    open: "Open chat",
+    unreadMany: "{{count}}+",
+    notSent: "Not sent · tap to retry",
+    sending: "Sending...",
+    empty: "No messages yet. Say hello!",
+    closed: "Chat closed · this order is complete",
+    placeholder: "Type a message",
+    quickReplies: {
+      outside: "I'm outside",
+      cantFindGate: "Can't find the gate",
+      atRestaurant: "I'm at the restaurant",
+      runningLate: "Running a few minutes late",
+      mainEntrance: "Please come to the main entrance",
+    },
+  },
+
+  promoCode: {
+    placeholder: "Promo code",
+    apply: "Apply",
+    remove: "Remove",
+    checking: "Checking code...",
+    youSave: "You save {{amount}}",
+    pendingHint: "Checked against your order at checkout",
+    invalidFormat: "Enter a valid promo code",
+    notApplicable: "This code cannot be applied to this order.",
+  },
+
+  reviews: {
+    heading: "Ratings & Reviews",
+    new: "New",
+    count: {
+      one: "{{count}} review",
+      other: "{{count}} reviews",
+    },
+    empty: "No reviews yet.",
+    emptyInvite: "No reviews yet. Be the first to order and review!",
+    unavailable: "Reviews are unavailable right now.",
+    customerFallback: "Customer",
+    replyTitle: "Response from the restaurant",
+    itemFallback: "Item",
+    restaurantFallback: "Restaurant",
+    driverFallback: "Your driver",
+    rateTitle: "Rate your order",
+    alreadyReviewedTitle: "Already reviewed",
+    alreadyReviewedBody: "You have already reviewed this order.",
+    thanksTitle: "Thanks for your feedback!",
+    submittedTitle: "Thank you!",
+    submittedBody: "Your review has been submitted.",
+    ok: "OK",
+    almostThere: "Almost there",
+    errorTitle: "Error",
+    submitFailed: "Failed to submit your review. Please try again.",
+    permissionTitle: "Permission needed",
+    permissionBody:
+      "Please allow access to your photos to add them to your review.",
+    restaurantLabel: "RESTAURANT",
+    itemsLabel: "YOUR ITEMS",
+    deliveryLabel: "DELIVERY",
+    tapToRate: "Tap to rate",
+    ratingLabels: {
+      1: "Poor",
+      2: "Fair",
+      3: "Good",
+      4: "Very good",
+      5: "Excellent",
+    },
+    restaurantPlaceholder: "Tell others about the food and packaging",
+    driverPlaceholder: "How was the delivery?",
+    addPhoto: "Add photo",
+    submit: "Submit Review",
+    validation: {
+      restaurant: "Please rate the restaurant.",
+      driver: "Please rate your driver.",
+      foods: "Please rate each item you ordered.",
+    },
+  },
+};
+
+export default en;
@@ -0,0 +1,1439 @@
+/** Sinhala strings. Missing keys fall back to English. */
+const si = {
+  app: {
+    name: "NearMe",
+    tagline: "වේගවත් සහ විශ්වාසදායී බෙදාහැරීම",
+  },
+
+  auth: {
+    login: "පිවිසෙන්න",
+    signup: "ලියාපදිංචි වන්න",
+    logout: "ඉවත් වන්න",
+    email: "විද්‍යුත් තැපෑල",
+    password: "මුරපදය",
+    confirmPassword: "මුරපදය තහවුරු කරන්න",
+    fullName: "සම්පූර්ණ නම",
+    forgotPassword: "මුරපදය අමතකද?",
+    noAccount: "ගිණුමක් නැද්ද?",
+    haveAccount: "දැනටමත් ගිණුමක් තිබේද?",
+    verifyEmail: "ඔබගේ විද්‍යුත් තැපෑල තහවුරු කරන්න",
+    verifyEmailMessage:
+      "අපි ඔබගේ විද්‍යුත් තැපැල් ලිපිනයට තහවුරු කිරීමේ සබැඳියක් යවා ඇත.",
+    recovery: {
+      forgotTitle: "ඔබගේ මුරපදය යළි සකසන්න",
+      forgotBody:
+        "ඔබගේ ගිණුමේ ඇති විද්‍යුත් තැපෑල හෝ දුරකථන අංකය ඇතුළත් කරන්න. නැවත " +
+        "පිවිසීමට ක්‍රමයක් අපි ඔබට එවන්නෙමු.",
+      identifierLabel: "විද්‍යුත් තැපෑල හෝ දුරකථනය",
+      identifierPlaceholder: "උදා: 07XXXXXXXX හෝ email@test.com",
+      sendLink: "යළි සැකසීමේ සබැඳිය යවන්න",
+      sendCode: "කේතය යවන්න",
+      sending: "යවමින්...",
+      invalidIdentifier:
+        "වලංගු විද්‍යුත් තැපෑලක් හෝ ශ්‍රී ලංකා දුරකථන අංකයක් ඇතුළත් කරන්න",
+      linkSentTitle: "ඔබගේ විද්‍යුත් තැපෑල පරීක්ෂා කරන්න",
+      linkSentBody:
+        "{{email}} සඳහා ගිණුමක් ඇත්නම්, යළි සැකසීමේ සබැඳියක් එවා ඇත. නව " +
+        "මුරපදයක් තෝරා ගැනීමට එය මෙම දුරකථනයෙන් විවෘත කරන්න.",
+      openMail: "තැපැල් යෙදුම විවෘත කරන්න",
+      resend: "සබැඳිය නැවත යවන්න",
+      resendIn: "තත්පර {{seconds}}කින් නැවත යවන්න",
+      haveToken: "මා සතුව යළි සැකසීමේ කේතයක් ඇත",
+      rateLimited: {
+        one: "ඉල්ලීම් වැඩියි. තත්පර {{count}}කින් නැවත උත්සාහ කරන්න.",
+        other: "ඉල්ලීම් වැඩියි. තත්පර {{count}}කින් නැවත උත්සාහ කරන්න.",
+      },
+      requestFailed:
+        "යළි සැකසීමේ ඉල්ලීම යැවීමට නොහැකි විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+      backToLogin: "පිවිසුම වෙත ආපසු",
+      resetTitle: "නව මුරපදයක් තෝරන්න",
+      resetBody: "ඔබගේ නව මුරපදය සෑම උපාංගයකම පැරණි මුරපදය වෙනුවට යෙදේ.",
+      tokenLabel: "යළි සැකසීමේ කේතය",
+      tokenPlaceholder: "ඔබගේ විද්‍යුත් තැපෑලේ ඇති කේතය අලවන්න",
+      newPassword: "නව මුරපදය",
+      confirmPassword: "නව මුරපදය තහවුරු කරන්න",
+      passwordMismatch: "මුරපද නොගැළපේ",
+      passwordTooWeak: "ඔබගේ මුරපදය අවශ්‍යතා සපුරාලන්නේ නැත",
+      missingToken:
+        "ඔබගේ විද්‍යුත් තැපෑලේ ඇති සබැඳිය විවෘත කරන්න, නැතහොත් යළි සැකසීමේ " +
+        "කේතය අලවන්න.",
+      resetting: "යාවත්කාලීන කරමින්...",
+      resetCta: "මුරපදය යාවත්කාලීන කරන්න",
+      resetInvalid:
+        "මෙම යළි සැකසීමේ සබැඳිය වලංගු නැත හෝ කල් ඉකුත් වී ඇත. නව එකක් ඉල්ලන්න.",
+      resetFailed:
+        "ඔබගේ මුරපදය යාවත්කාලීන කිරීමට නොහැකි විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+      resetSuccessTitle: "මුරපදය යාවත්කාලීන කළා",
+      resetSuccessBody: "ඔබගේ නව මුරපදයෙන් පිවිසෙන්න.",
+      strength: "ශක්තිය: {{level}}",
+      strengthWeak: "දුර්වල",
+      strengthFair: "සාමාන්‍ය",
+      strengthStrong: "ශක්තිමත්",
+      ruleLength: "අවම වශයෙන් අක්ෂර 8ක්",
+      ruleLetter: "අකුරක් අඩංගුයි",
+      ruleNumber: "අංකයක් අඩංගුයි",
+      ruleMixedCase: "කැපිටල් සහ සිම්පල් අකුරු",
+      ruleSymbol: "සංකේතයක් අඩංගුයි",
+    },
+  },
+
+  driver: {
+    dashboard: "රියදුරු පුවරුව",
+    activeDeliveries: "සක්‍රිය බෙදාහැරීම්",
+    availableDeliveries: "ලබා ගත හැකි බෙදාහැරීම්",
+    deliveryHistory: "බෙදාහැරීම් ඉතිහාසය",
+    noActiveDeliveries: "සක්‍රිය බෙදාහැරීම් නැත",
+    noAvailableDeliveries: "අසල ලබා ගත හැකි බෙදාහැරීම් නැත",
+    acceptDelivery: "බෙදාහැරීම භාර ගන්න",
+    completeDelivery: "බෙදාහැරීම සම්පූර්ණ කරන්න",
+  },
+
+  customer: {
+    home: "මුල් පිටුව",
+    orders: "ඇණවුම්",
+    profile: "පැතිකඩ",
+    cart: "කරත්තය",
+    checkout: "ගෙවීමට යන්න",
+    placeOrder: "ඇණවුම කරන්න",
+    trackOrder: "ඇණවුම ලුහුබඳින්න",
+    noOrders: "තවම ඇණවුම් නැත",
+    emptyCart: "ඔබගේ කරත්තය හිස්ය",
+  },
+
+  manager: {
+    dashboard: "කළමනාකරු පුවරුව",
+    manageDeliveries: "බෙදාහැරීම් කළමනාකරණය",
+    activeDrivers: "සක්‍රිය රියදුරන්",
+  },
+
+  common: {
+    loading: "පූරණය වෙමින්...",
+    error: "දෝෂයක් ඇති විය",
+    retry: "නැවත උත්සාහ කරන්න",
+    cancel: "අවලංගු කරන්න",
+    confirm: "තහවුරු කරන්න",
+    save: "සුරකින්න",
+    delete: "මකන්න",
+    edit: "සංස්කරණය",
+    done: "හරි",
+    next: "ඊළඟ",
+    back: "ආපසු",
+    search: "සොයන්න",
+    noResults: "ප්‍රතිඵල හමු නොවීය",
+    notProvided: "ලබා දී නැත",
+    notSet: "සකසා නැත",
+    change: "වෙනස් කරන්න",
+    add: "එක් කරන්න",
+    currency: "රු. {{amount}}",
+  },
+
+  errors: {
+    required: "මෙම ක්ෂේත්‍රය අවශ්‍යයි",
+    invalidEmail: "වලංගු විද්‍යුත් තැපෑලක් ඇතුළත් කරන්න",
+    passwordMismatch: "මුරපද නොගැළපේ",
+    networkError: "ජාල දෝෂයකි. කරුණාකර නැවත උත්සාහ කරන්න.",
+    serverError: "සේවාදායක දෝෂයකි. කරුණාකර පසුව නැවත උත්සාහ කරන්න.",
+  },
+
+  tabs: {
+    home: "මුල් පිටුව",
+    orders: "ඇණවුම්",
+    cart: "කරත්තය",
+    profile: "පැතිකඩ",
+    available: "ලබා ගත හැකි",
+    active: "සක්‍රිය",
+    earnings: "ඉපැයීම්",
+    payment: "ගෙවීම්",
+  },
+
+  profile: {
+    title: "පැතිකඩ",
+    defaultName: "පරිශීලක",
+    editProfile: "පැතිකඩ සංස්කරණය",
+    savedAddress: "සුරකින ලද ලිපිනය",
+    deliveryLocation: "බෙදාහැරීමේ ස්ථානය",
+    locationPinned: "ස්ථානය සලකුණු කර ඇත",
+    notifications: "දැනුම්දීම්",
+    helpSupport: "උදව් සහ සහාය",
+    terms: "නියම සහ කොන්දේසි",
+    privacy: "රහස්‍යතා ප්‍රතිපත්තිය",
+    language: "භාෂාව",
+    languageHint: "යෙදුම පුරා භාවිත වන භාෂාව තෝරන්න",
+    dietary: "ආහාර මනාපයන්",
+    dietaryHint: "ඔබට නොගැළපෙන කෑම අපි සලකුණු කරන්නෙමු",
+    dietaryDiets: "මම කන්නේ",
+    dietaryAllergens: "වළකින්න",
+    dietarySpice: "උපරිම සැර",
+    dietaryAnySpice: "ඕනෑම",
+    logout: "ඉවත් වන්න",
+    logoutTitle: "ඉවත් වන්න",
+    logoutMessage: "ඔබට ඉවත් වීමට අවශ්‍ය බව විශ්වාසද?",
+    version: "අනුවාදය {{version}}",
+  },
+
+  orders: {
+    title: "මගේ ඇණවුම්",
+    tabActive: "සක්‍රිය",
+    tabScheduled: "සැලසුම් කළ",
+    tabPast: "පැරණි",
+    restaurantFallback: "අවන්හල",
+    orderNumber: "ඇණවුම #{{number}}",
+    itemCount: {
+      one: "අයිතම {{count}}",
+      other: "අයිතම {{count}}",
+    },
+    scheduledFor: "{{slot}} සඳහා සැලසුම් කර ඇත",
+    track: "ඇණවුම ලුහුබඳින්න",
+    viewDetails: "විස්තර බලන්න",
+    delivered: "බෙදා හරින ලදී",
+    cancelled: "අවලංගු කරන ලදී",
+    emptyActiveTitle: "සක්‍රිය ඇණවුම් නැත",
+    emptyScheduledTitle: "සැලසුම් කළ ඇණවුම් නැත",
+    emptyPastTitle: "පැරණි ඇණවුම් නැත",
+    emptyActiveBody: "ඔබට දැනට සිදුවන ඇණවුම් නැත",
+    emptyScheduledBody:
+      "පෙර ඇණවුම් කිරීමට ගෙවීමේදී \"පසුව බෙදාහරින්න\" තෝරන්න",
+    emptyPastBody: "ඔබගේ ඇණවුම් ඉතිහාසය මෙහි දිස්වේ",
+    browse: "අවන්හල් බලන්න",
+    loginTitle: "කරුණාකර පිවිසෙන්න",
+    loginBody: "ඔබගේ ඇණවුම් බැලීමට සහ ලුහුබැඳීමට පිවිසෙන්න",
+    loginCta: "පිවිසෙන්න",
+    progress: {
+      placed: "ඇණවුම ලැබුණි",
+      preparing: "ඔබගේ ඇණවුම සූදානම් වෙමින්",
+      ready: "රැගෙන යාමට සූදානම්",
+      driverAssigned: "රියදුරෙකු පවරා ඇත",
+      pickedUp: "ඇණවුම රැගෙන ගියා",
+      onTheWay: "ඔබ වෙත පැමිණෙමින්",
+      delivered: "බෙදා හරින ලදී",
+    },
+  },
+
+  driverProfile: {
+    title: "මගේ පැතිකඩ",
+    subtitle: "ගිණුම් විස්තර",
+    defaultName: "රියදුරු",
+    myRating: "මගේ ශ්‍රේණිගත කිරීම",
+    ratingEmpty:
+      "තවම ශ්‍රේණිගත කිරීම් නැත. සෑම බෙදාහැරීමකින් පසුව පාරිභෝගිකයින්ට ඔබව ශ්‍රේණිගත කළ හැක.",
+    ratingUnavailable: "ශ්‍රේණිගත කිරීම දැනට ලබා ගත නොහැක.",
+    personalInfo: "පුද්ගලික තොරතුරු",
+    fullName: "සම්පූර්ණ නම",
+    email: "විද්‍යුත් තැපැල් ලිපිනය",
+    phone: "දුරකථන අංකය",
+    workInfo: "රැකියා තොරතුරු",
+    workingTime: "වැඩ කරන වේලාව",
+    status: "තත්ත්වය",
+    vehicleNumber: "වාහන අංකය",
+    loading: "පැතිකඩ පූරණය වෙමින්...",
+    workingTimes: {
+      full_time: "පූර්ණ කාලීන",
+      day: "දිවා මුරය (පෙ.ව. 5 - ප.ව. 7)",
+      night: "රාත්‍රී මුරය (ප.ව. 6 - පෙ.ව. 6)",
+      part_time_morning: "උදෑසන මුරය",
+      part_time_evening: "සවස මුරය",
+    },
+  },
+
+  eta: {
+    arrivingSoon: "ඉක්මනින් පැමිණේ",
+    lessThanMinute: "මිනිත්තුවකට අඩු",
+    minutes: {
+      one: "මිනිත්තු {{count}}",
+      other: "මිනිත්තු {{count}}",
+    },
+    hours: {
+      one: "පැය {{count}}",
+      other: "පැය {{count}}",
+    },
+    hoursAndMinutes: "{{hours}} {{minutes}}",
+    range: "මිනිත්තු {{min}}-{{max}}",
+    clockRange: "{{start}} - {{end}}",
+  },
+
+  time: {
+    justNow: "දැන්",
+    minutesAgo: "මිනිත්තු {{count}}කට පෙර",
+    hoursAgo: "පැය {{count}}කට පෙර",
+    daysAgo: "දින {{count}}කට පෙර",
+  },
+
+  groupCart: {
+    title: "කණ්ඩායම් ඇණවුම",
+    notFound: "මෙම කණ්ඩායම් ඇණවුම තවදුරටත් ලබා ගත නොහැක.",
+    statusOpen: "විවෘතයි",
+    statusLocked: "අගුළු දමා ඇත",
+    statusCheckedOut: "ඇණවුම් කළා",
+    inviteCode: "ආරාධනා කේතය",
+    invite: "ආරාධනා කරන්න",
+    inviteMessage:
+      "{{restaurant}} වෙතින් මගේ කණ්ඩායම් ඇණවුමට එක්වී ඔබට අවශ්‍ය දේ එක් " +
+      "කරන්න: {{link}}",
+    joinTitle: "එක්වීමට ඔබගේ නම එක් කරන්න",
+    namePlaceholder: "ඔබගේ නම",
+    join: "කණ්ඩායම් ඇණවුමට එක්වන්න",
+    you: "(ඔබ)",
+    host: "සංවිධායක",
+    noItems: "තවම කිසිවක් එක් කර නැත",
+    addItems: "අයිතම එක් කරන්න",
+    itemsTotal: {
+      one: "අයිතම {{count}}",
+      other: "අයිතම {{count}}",
+    },
+    lock: "කරත්තය අගුළු දමන්න",
+    unlock: "අගුළු හරින්න",
+    lockHint: "ගෙවීමට යාමට සැමදෙනා අවසන් වූ පසු කරත්තය අගුළු දමන්න.",
+    lockedByHost: "සංවිධායක කරත්තය අගුළු දමා ඇත.",
+    hostChecksOut: "සංවිධායක සැමදෙනා වෙනුවෙන් ගෙවීම කරයි.",
+    checkout: "ගෙවීමට යන්න",
+    checkoutTitle: "කණ්ඩායම වෙනුවෙන් ගෙවීමට යනවාද?",
+    checkoutBody:
+      "සැමගේ අයිතම ඔබගේ කරත්තයට එක් වන අතර මුළු ඇණවුම සඳහාම ඔබ ගෙවයි.",
+    checkoutFailed: "කණ්ඩායම් කරත්තය සඳහා ගෙවීමට යාමට නොහැකි විය.",
+    checkedOutNotice: "සංවිධායක මෙම ඇණවුම කර ඇත.",
+  },
+
+  reorder: {
+    title: "නැවත ඇණවුම් කරන්න",
+    reviewHint:
+      "ඔබ අවසන් වරට ඇණවුම් කළ පසු සමහර දේ වෙනස් වී ඇත. පහතින් ඒවා පරීක්ෂා " +
+      "කරන්න.",
+    unavailable: "තවදුරටත් ලබා ගත නොහැක",
+    sizeChanged: "දැන් ලබා ගත හැක්කේ {{size}} ලෙස පමණි",
+    priceChanged: "මිල {{from}} සිට {{to}} දක්වා වෙනස් විය",
+    addOnsRemoved: "තවදුරටත් ලබා නොදෙන අමතර දෑ: {{names}}",
+    substituteTitle: "මේ වෙනුවට උත්සාහ කරන්න",
+    skip: "ඉවත් කරන්න",
+    include: "නැවත එක් කරන්න",
+    itemCount: {
+      one: "අයිතම {{count}}",
+      other: "අයිතම {{count}}",
+    },
+    addToCart: "කරත්තයට එක් කරන්න",
+    addFailed: "මෙම අයිතම ඔබගේ කරත්තයට එක් කිරීමට නොහැකි විය.",
+    partialTitle: "සමහර අයිතම එක් නොකෙරිණි",
+    partialBody: "එක් කිරීමට නොහැකි වූයේ: {{items}}",
+  },
+
+  deliveryPin: {
+    label: "බෙදාහැරීමේ PIN",
+    customerHint: "ඔබගේ ඇණවුම ලැබුණු විට පමණක් මෙය ඔබගේ රියදුරු සමඟ බෙදා ගන්න.",
+    required: "භාර දීමේදී පාරිභෝගික PIN අවශ්‍යයි",
+    enterTitle: "බෙදාහැරීමේ PIN ඇතුළත් කරන්න",
+    unreachableTitle: "පාරිභෝගිකයා සම්බන්ධ කර ගත නොහැක",
+    enterHint:
+      "පාරිභෝගිකයාගේ යෙදුමේ පෙන්වන ඉලක්කම් {{length}} PIN අංකය ඔවුන්ගෙන් " +
+      "අසන්න.",
+    cantReach: "පාරිභෝගිකයා සම්බන්ධ කර ගත නොහැකිද?",
+    fallbackHint:
+      "භාර දීමේ ඡායාරූපයක් ගෙන හේතුවක් තෝරන්න. ඇණවුම සමාලෝචනය සඳහා සලකුණු වේ.",
+    usePin: "ඒ වෙනුවට PIN ඇතුළත් කරන්න",
+    confirm: "බෙදාහැරීම තහවුරු කරන්න",
+    reasons: {
+      no_answer: "පාරිභෝගිකයා පිළිතුරු නොදේ",
+      left_at_door: "උපදෙස් පරිදි දොර අසල තැබුවා",
+      handed_to_other: "වෙනත් අයෙකුට භාර දුන්නා",
+      pin_unknown: "පාරිභෝගිකයා සතුව PIN නැත",
+    },
+  },
+
+  unreachable: {
+    start: "පැමිණියා – පාරිභෝගිකයා සම්බන්ධ කර ගත නොහැක",
+    title: "පාරිභෝගිකයා සම්බන්ධ කර ගත නොහැක",
+    waitOver: "රැඳී සිටීම අවසන්",
+    waitOverHint: "දැන් ඔබට මෙම ඇණවුම බෙදාහැරිය නොහැකි ලෙස සලකුණු කළ හැක.",
+    waitingHint:
+      "පාරිභෝගිකයාට දැනුම් දී ඇත. ටයිමරය අවසන් වන තුරු ඇමතුම් දිගටම ගන්න.",
+    call: "📞 පාරිභෝගිකයා අමතන්න",
+    callAttempts: "📞 පාරිභෝගිකයා අමතන්න (වාර {{count}}ක් උත්සාහ කළා)",
+    markUndeliverable: "බෙදාහැරිය නොහැකි ලෙස සලකුණු කරන්න",
+    startFailed: "ආරම්භ කිරීමට නොහැකි විය",
+    tryAgain: "කරුණාකර නැවත උත්සාහ කරන්න",
+    noPhoneTitle: "දුරකථන අංකයක් නැත",
+    noPhoneBody: "මෙම පාරිභෝගිකයාගේ දුරකථන අංකයක් සටහන් කර නැත.",
+    confirmTitle: "බෙදාහැරිය නොහැකි ලෙස සලකුණු කරනවාද?",
+    confirmBody: "විසඳීම සඳහා ඇණවුම මෙහෙයුම් කණ්ඩායම වෙත යයි.",
+    failed: "අසාර්ථකයි",
+    sentToOperations: "සමාලෝචනය සඳහා ඇණවුම මෙහෙයුම් කණ්ඩායමට යැවිණි",
+  },
+
+  orderIssue: {
+    title: "ගැටලුවක් වාර්තා කරන්න",
+    reportLink: "ගැටලුවක් වාර්තා කරන්න",
+    yourReport: "ඔබගේ වාර්තාව",
+    requested: "ඉල්ලූ මුදල රු. {{amount}}",
+    requestedApproved:
+      "ඉල්ලූ මුදල රු. {{requested}} · අනුමත මුදල රු. {{approved}}",
+    restaurant: "අවන්හල",
+    openNote:
+      "ඔබගේ වාර්තාව සමාලෝචනය වෙමින් පවතී. එය විසඳූ පසු ඔබට වෙනත් ගැටලුවක් " +
+      "වාර්තා කළ හැක.",
+    whatWentWrong: "සිදු වූ වරද කුමක්ද?",
+    affectedItems: "බලපෑමට ලක් වූ අයිතම",
+    details: "විස්තර",
+    detailsPlaceholder: "සිදු වූ දේ අපට කියන්න",
+    addPhoto: "ඡායාරූපයක් එක් කරන්න",
+    whatWouldYouLike: "ඔබට අවශ්‍ය කුමක්ද?",
+    amount: "මුදල (රු.)",
+    upTo: "රු. {{amount}} දක්වා",
+    lineAmount: "රු. {{amount}}",
+    submit: "වාර්තාව යවන්න",
+    almostThere: "තව ටිකයි",
+    reportedTitle: "ගැටලුව වාර්තා කළා",
+    reportedBody: "අපි අවන්හලට දැනුම් දී ඇත. ඔබට තත්ත්වය මෙහි බලා ගත හැක.",
+    errorTitle: "දෝෂයකි",
+    submitFailed: "ගැටලුව වාර්තා කිරීම අසාර්ථක විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+    permissionTitle: "අවසරය අවශ්‍යයි",
+    permissionBody:
+      "ඡායාරූප අමුණා යැවීමට කරුණාකර ඔබගේ ඡායාරූප වෙත ප්‍රවේශය ලබා දෙන්න.",
+    otherReason: "ගැටලුව",
+    approvedAmount: "අනුමත {{amount}}",
+    restaurantAcceptsFault: "අවන්හල · වරද පිළිගනී",
+    reasons: {
+      missing_item: "අයිතමයක් අඩුයි",
+      wrong_item: "වැරදි අයිතමයක්",
+      damaged: "හානි වී හෝ හැලී ඇත",
+      quality: "ආහාරයේ ගුණාත්මකභාවය අඩුයි",
+      late: "ඉතා ප්‍රමාද වී පැමිණියා",
+    },
+    resolutions: {
+      refund: "ගෙවීම් ක්‍රමයට මුදල් ආපසු",
+      credit: "පසුම්බි ණය මුදල",
+    },
+    statuses: {
+      submitted: "යවන ලදී",
+      restaurant_responded: "අවන්හල ප්‍රතිචාර දැක්වීය",
+      approved: "අනුමතයි",
+      partially_approved: "අර්ධ වශයෙන් අනුමතයි",
+      rejected: "ප්‍රතික්ෂේපිතයි",
+      refunded: "මුදල් ආපසු ගෙවා ඇත",
+    },
+    validation: {
+      reason: "කරුණාකර සිදු වූ වරද තෝරන්න.",
+      items: "කරුණාකර බලපෑමට ලක් වූ අයිතම තෝරන්න.",
+      resolution: "කරුණාකර මුදල් ආපසු ගැනීම හෝ ණය මුදල තෝරන්න.",
+      amount: "කරුණාකර ඉල්ලන මුදල ඇතුළත් කරන්න.",
+    },
+  },
+
+  shifts: {
+    title: "මුර",
+    menuSubtitle: "කලාපය අනුව බෙදාහැරීමේ මුර වෙන් කරන්න",
+    today: "අද",
+    tomorrow: "හෙට",
+    loadFailed: "මුර පූරණය කිරීමට නොහැකි විය",
+    bookTitle: "මුරය වෙන් කරන්න",
+    bookFailed: "මෙම මුරය වෙන් කිරීමට නොහැකි විය",
+    cancelTitle: "මුරය අවලංගු කරන්න",
+    cancelZoneBody: "{{day}}, {{time}} {{zone}} මුරය අවලංගු කරනවාද?",
+    cancelBody: "{{day}}, {{time}} මෙම මුරය අවලංගු කරනවාද?",
+    cancelFailed: "මෙම මුරය අවලංගු කිරීමට නොහැකි විය",
+    keep: "තබා ගන්න",
+    cancel: "අවලංගු කරන්න",
+    myShifts: "මගේ මුර",
+    noShows: {
+      one: "නොපැමිණීම් {{count}}",
+      other: "නොපැමිණීම් {{count}}",
+    },
+    noBookings: "කිසිදු මුරයක් වෙන් කර නැත. පහතින් දිනයක් සහ කලාපයක් තෝරන්න.",
+    zoneFallback: "කලාපය",
+    checkInHint:
+      "පැමිණීම සටහන් කිරීමට මුරය ආරම්භ වී මිනිත්තු {{minutes}}ක් ඇතුළත සබැඳි " +
+      "වන්න. මග හැරුණු මුර නොපැමිණීම් ලෙස සලකුණු වේ.",
+    availableSlots: "ලබා ගත හැකි කාල පරාස",
+    noSlots: "මෙම කලාපයේ මෙම දිනය සඳහා තවම කාල පරාස විවෘත කර නැත.",
+    peak: "{{peak}} කාර්යබහුල කාලය",
+    driversOpen: "රියදුරන් {{booked}} / {{capacity}} · {{open}} ක් විවෘතයි",
+    driversFull: "රියදුරන් {{booked}} / {{capacity}} · පිරී ඇත",
+    full: "පිරී ඇත",
+    book: "වෙන් කරන්න",
+    booked: "වෙන් කළා",
+    peaks: {
+      lunch: "දිවා ආහාරය",
+      dinner: "රාත්‍රී ආහාරය",
+    },
+    statuses: {
+      booked: "වෙන් කළා",
+      checked_in: "පැමිණීම සටහන් කළා",
+      completed: "සම්පූර්ණයි",
+      no_show: "නොපැමිණියා",
+      cancelled: "අවලංගුයි",
+    },
+    reminderTitle: "{{lead}}කින් මුරය",
+    reminderBody:
+      "{{zone}} · {{time}}. නොපැමිණීමක් වළක්වා ගැනීමට ආරම්භයේ සිට මිනිත්තු " +
+      "{{minutes}}ක් ඇතුළත සබැඳි වන්න.",
+    reminderZoneFallback: "ඔබගේ කලාපය",
+  },
+
+  cart: {
+    loginBody: "ඔබගේ කරත්තය බැලීමට කරුණාකර පිවිසෙන්න",
+    loginContinue: "ඉදිරියට යාමට කරුණාකර පිවිසෙන්න",
+    customersOnly: "කරත්තය බැලිය හැක්කේ පාරිභෝගිකයින්ට පමණි",
+    loadFailed: "කරත්තය ලබා ගැනීම අසාර්ථක විය",
+    updateFailed: "ප්‍රමාණය යාවත්කාලීන කිරීම අසාර්ථක විය",
+    removeTitle: "අයිතමය ඉවත් කරන්න",
+    removeBody: "මෙම අයිතමය කරත්තයෙන් ඉවත් කරනවාද?",
+    remove: "ඉවත් කරන්න",
+    removeFailed: "අයිතමය ඉවත් කිරීම අසාර්ථක විය",
+    clearTitle: "කරත්තය හිස් කරන්න",
+    clearBody: "මෙම අවන්හලේ සියලු අයිතම ඉවත් කරනවාද?",
+    clear: "හිස් කරන්න",
+    clearFailed: "කරත්තය හිස් කිරීම අසාර්ථක විය",
+    emptyTitle: "ඔබගේ කරත්තය හිස්ය",
+    emptyBody: "ආරම්භ කිරීමට අවන්හල්වලින් අයිතම එක් කරන්න",
+    backToList: "අවන්හල් වෙත ආපසු",
+    unavailable: "ලබා ගත නොහැක",
+    subtotal: "උප එකතුව",
+    addMore: "තවත් අයිතම එක් කරන්න",
+    clearThis: "මෙම කරත්තය හිස් කරන්න",
+    activeRestaurants: "සක්‍රිය අවන්හල්",
+    location: "ස්ථානය",
+    viewItems: "අයිතම බලන්න",
+    unavailableTitle: "අයිතම ලබා ගත නොහැක",
+    unavailableBody:
+      "සමහර අයිතම දැනට ලබා ගත නොහැක ({{items}}). ගෙවීමට යාමට කරුණාකර ඒවා " +
+      "ඉවත් කරන්න.",
+  },
+
+  basket: {
+    fullTitle: "කූඩය පිරී ඇත",
+    fullBody: "ඔබට අවන්හල් {{count}}ක් දක්වා එකතු කළ හැක.",
+    blockedTitle: "එකට බෙදාහැරිය නොහැක",
+    toggle: "වෙනත් අවන්හල් සමඟ එකට බෙදාහරින්න",
+    summary: "අවන්හල් {{count}} • {{total}} • එක් බෙදාහැරීමේ ගාස්තුවක්",
+    checkout: "එකට ගෙවීමට යන්න",
+    cartMissing: "එක් අවන්හලක කරත්තයක් තවදුරටත් ලබා ගත නොහැක",
+    routeMeta: "රැගෙන යාම් {{count}} • කි.මී. {{km}} මාර්ගය",
+    pickTwo: "අවම වශයෙන් අවන්හල් දෙකක් තෝරන්න.",
+    noLocation: "මෙම අවන්හල් වලින් එකක ස්ථානය තවම නැත.",
+    tooFar:
+      "{{first}} සහ {{second}} එකට බෙදාහැරීමට නොහැකි තරම් දුරින් පිහිටා ඇත.",
+    closed: "{{name}} දැනට වසා ඇත.",
+    someRestaurant: "අවන්හලක්",
+    anotherRestaurant: "වෙනත් අවන්හලක්",
+    pickedUp: "රැගෙන ගියා",
+    ready: "සූදානම්",
+    preparing: "සූදානම් වෙමින්",
+    driverPickup: "රැගෙන යාම {{index}}/{{total}}: ",
+    collected: "එකතු කළා",
+  },
+
+  search: {
+    placeholder: "අවන්හල් හෝ ආහාර සොයන්න...",
+    restaurantsTab: "අවන්හල් ({{count}})",
+    foodsTab: "ආහාර අයිතම ({{count}})",
+    clear: "හිස් කරන්න",
+    openNow: "දැන් විවෘතයි",
+    withinKm: "කි.මී. {{km}} ඇතුළත",
+    prices: {
+      under500: "රු.500ට අඩු",
+      "500to1000": "රු.500 - 1000",
+      over1000: "රු.1000+",
+    },
+    recentTitle: "මෑත සෙවීම්",
+    searching: "සොයමින්...",
+    tryAnother: "වෙනත් මූල පදයක් උත්සාහ කරන්න.",
+    matchesDiet: "මගේ ආහාර රටාවට ගැළපේ",
+  },
+
+  dietary: {
+    tags: {
+      vegetarian: "නිර්මාංශ",
+      vegan: "වීගන්",
+      halal: "හලාල්",
+      gluten_free: "ග්ලූටන් රහිත",
+    },
+    short: {
+      vegetarian: "නිර්මාංශ",
+      vegan: "වීගන්",
+      halal: "හලාල්",
+      gluten_free: "GF",
+    },
+    spice: {
+      0: "සැර නැත",
+      1: "මඳ සැර",
+      2: "මධ්‍යම සැර",
+      3: "සැරයි",
+    },
+    allergens: {
+      nuts: "ඇට වර්ග",
+      dairy: "කිරි නිෂ්පාදන",
+      egg: "බිත්තර",
+      gluten: "ග්ලූටන්",
+      seafood: "මුහුදු ආහාර",
+      soy: "සෝයා",
+      sesame: "තල",
+    },
+    contains: "{{allergen}} අඩංගුයි",
+    notMarked: "{{diet}} ලෙස සලකුණු කර නැත",
+    tooSpicy: "ඔබ කැමති ප්‍රමාණයට වඩා සැරයි ({{level}})",
+  },
+
+  navigation: {
+    navigate: "මඟ පෙන්වන්න",
+    findingRoute: "මාර්ගය සොයමින්…",
+    noRoute: "මාර්ගයක් හමු නොවීය",
+    rerouting: "නැවත මාර්ගගත කරමින්…",
+    then: "ඉන්පසු",
+    exit: "පිටවන්න",
+    minutes: "මිනි. {{count}}",
+    stopOf: "නැවතුම {{count}} න් {{index}}: {{label}}",
+    restaurant: "අවන්හල",
+    customer: "පාරිභෝගිකයා",
+    meters: "මී. {{value}}",
+    kilometers: "කි.මී. {{value}}",
+    metersSpoken: "මීටර් {{value}}",
+    kilometersSpoken: "කිලෝමීටර් {{value}}",
+    inDistance: "{{distance}}කින්, {{instruction}}",
+    onto: "{{instruction}}, {{name}} වෙතට",
+    depart: "පිටත් වන්න",
+    departOn: "{{name}} ඔස්සේ පිටත් වන්න",
+    arrived: "ඔබ ගමනාන්තයට පැමිණියා",
+    arriveAt: "{{stop}} වෙත ළඟා වන්න",
+    roundabout: "වටරවුම හරහා යන්න",
+    roundaboutExit: "වටරවුමේදී {{ordinal}} පිටවීම ගන්න",
+    continueOn: "{{name}} ඔස්සේ දිගටම යන්න",
+    forkLeft: "මංසන්ධියේදී වමට තබා ගන්න",
+    forkRight: "මංසන්ධියේදී දකුණට තබා ගන්න",
+    merge: "ඒකාබද්ධ වන්න",
+    endOfRoad: "පාර අවසානයේදී, {{maneuver}}",
+    modifiers: {
+      uturn: "U-හැරවුමක් ගන්න",
+      sharpRight: "තියුණු ලෙස දකුණට හැරෙන්න",
+      right: "දකුණට හැරෙන්න",
+      slightRight: "මඳක් දකුණට යන්න",
+      straight: "කෙළින්ම යන්න",
+      slightLeft: "මඳක් වමට යන්න",
+      left: "වමට හැරෙන්න",
+      sharpLeft: "තියුණු ලෙස වමට හැරෙන්න",
+      continue: "දිගටම යන්න",
+      turn: "හැරෙන්න",
+    },
+    ordinals: {
+      1: "1 වන",
+      2: "2 වන",
+      3: "3 වන",
+      4: "4 වන",
+      5: "5 වන",
+      6: "6 වන",
+      7: "7 වන",
+      8: "8 වන",
+      other: "{{exit}} වන",
+    },
+  },
+
+  offlineMaps: {
+    title: "නොබැඳි සිතියම්",
+    menuSubtitle: "දුර්වල ආවරණය සඳහා සුරකින ලද සිතියම් ප්‍රදේශ",
+    unavailable:
+      "මෙම අනුවාදයේ සිතියම් බාගත කිරීම් ලබා ගත නොහැක. ඒ සඳහා වෙනම සිතියම් " +
+      "ටයිල් සේවාදායකයක් අවශ්‍යයි; පොදු OpenStreetMap සේවාදායක නොබැඳි භාවිතය " +
+      "සඳහා සිතියම් සුරැකීමට ඉඩ නොදේ.",
+    errorTitle: "දෝෂයකි",
+    loadFailed: "නොබැඳි සිතියම් පූරණය කළ නොහැක.",
+    saveFailed: "සැකසුම් සුරැකිය නොහැක.",
+    incompleteTitle: "බාගත කිරීම අසම්පූර්ණයි",
+    incompleteBody:
+      "ටයිල් {{total}} න් {{failed}}ක් සුරැකිය නොහැකි විය. වඩා හොඳ " +
+      "සම්බන්ධතාවයකින් ප්‍රදේශය යාවත්කාලීන කිරීමට උත්සාහ කරන්න.",
+    failedTitle: "බාගත කිරීම අසාර්ථකයි",
+    tryAgain: "කරුණාකර නැවත උත්සාහ කරන්න.",
+    pickZoomsTitle: "විශාලන මට්ටම් තෝරන්න",
+    pickZoomsBody: "අවම වශයෙන් එක් විශාලන මට්ටමක් තෝරන්න.",
+    locationTitle: "ස්ථානය ලබා ගත නොහැක",
+    locationPermission: "ඔබගේ කලාපය සොයා ගැනීමට ස්ථාන අවසරය අවශ්‍යයි.",
+    deleteTitle: "ප්‍රදේශය මකන්න",
+    deleteBody: '"{{name}}" මෙම උපාංගයෙන් ඉවත් කරනවාද?',
+    clearTitle: "නොබැඳි සිතියම් හිස් කරන්න",
+    clearBody: "සුරකින ලද සියලු සිතියම් ටයිල් මකනවාද?",
+    clear: "හිස් කරන්න",
+    downloading: "සිතියම් ටයිල් බාගත කරමින්",
+    progress: "ටයිල් {{done}} / {{total}}",
+    progressFailed: "ටයිල් {{done}} / {{total}} · {{failed}}ක් අසාර්ථකයි",
+    storage: "ගබඩාව",
+    storageHint: {
+      one:
+        "ටයිල් {{count}}ක් සුරකින ලදී. සීමාවට ළඟා වූ විට අවම වශයෙන් මෑතකදී " +
+        "භාවිත කළ ටයිල් ඉවත් කෙරේ.",
+      other:
+        "ටයිල් {{count}}ක් සුරකින ලදී. සීමාවට ළඟා වූ විට අවම වශයෙන් මෑතකදී " +
+        "භාවිත කළ ටයිල් ඉවත් කෙරේ.",
+    },
+    storageLimit: "ගබඩා සීමාව",
+    clearAll: "සියල්ල හිස් කරන්න",
+    corridor: "බෙදාහැරීමේ මාර්ගය",
+    autoCorridor: "මාර්ගය ස්වයංක්‍රීයව සුරකින්න",
+    autoCorridorHint:
+      "ඔබගේ සක්‍රිය රැගෙන යාම් සහ භාර දීම් වෙත යන මාර්ගය දිගේ ටයිල්.",
+    wifiOnly: "Wi-Fi පමණි",
+    wifiOnlyHint: "ජංගම දත්ත මත ස්වයංක්‍රීය බාගත කිරීම් මග හරින්න.",
+    corridorZooms: "මාර්ගයේ විශාලන මට්ටම්",
+    zone: "සාමාන්‍ය කලාපය",
+    zoneHint: "දුර්වල ආවරණය ඇති ස්ථාන සඳහා ඔබ දැන් සිටින ප්‍රදේශය සුරකින්න.",
+    radius: "අරය",
+    zooms: "විශාලන මට්ටම්",
+    estimate: "ටයිල් {{count}}ක් පමණ, ~{{size}}",
+    downloadZone: "මගේ ස්ථානය අවට බාගත කරන්න",
+    savedAreas: "සුරකින ලද ප්‍රදේශ",
+    noAreas: "තවම සිතියම් ප්‍රදේශ සුරකා නැත.",
+    areaMeta: "ටයිල් {{cached}}/{{total}} · {{size}} · විශාලනය {{zooms}}",
+    updated: "{{date}} යාවත්කාලීන කළා",
+    corridorArea: "සක්‍රිය බෙදාහැරීමේ මාර්ගය",
+    zoneName: "සාමාන්‍ය කලාපය · කි.මී. {{km}}",
+    errors: {
+      tooLarge:
+        "මෙම ප්‍රදේශය සුරැකීමට තරම් විශාල වැඩියි. විශාලන මට්ටම් අඩුවෙන් හෝ " +
+        "කුඩා අරයක් තෝරන්න.",
+      noSpace: "මෙම ප්‍රදේශය නොබැඳි සිතියම් ගබඩාවට නොගැළපේ.",
+      noTileServer:
+        "නොබැඳි සිතියම් සඳහා වෙනම සිතියම් ටයිල් සේවාදායකයක් අවශ්‍යයි",
+      busy: "තවත් සිතියම් බාගත කිරීමක් සිදු වෙමින් පවතී",
+    },
+  },
+
+  offers: {
+    live: "සජීවී",
+    expiredToast: {
+      one: "දීමනාව කල් ඉකුත් විය",
+      other: "දීමනා කල් ඉකුත් විය",
+    },
+    acceptanceTitle: "පිළිගැනීමේ අනුපාතය",
+    lastDays: "පසුගිය දින 30",
+    acceptedOf: {
+      one: "දීමනා {{count}} න් {{accepted}}ක් පිළිගත්තා",
+      other: "දීමනා {{count}} න් {{accepted}}ක් පිළිගත්තා",
+    },
+    noneAnswered: "තවම කිසිදු බෙදාහැරීමේ දීමනාවකට පිළිතුරු දී නැත",
+    accepted: "පිළිගත්",
+    declined: "ප්‍රතික්ෂේප කළ",
+    expired: "කල් ඉකුත් වූ",
+  },
+
+  menu: {
+    restaurant: "අවන්හල",
+    restaurantNotFound: "අවන්හල හමු නොවීය",
+    foodNotFound: "ආහාරය හමු නොවීය",
+    genericError: "යම් දෙයක් වැරදී ඇත",
+    errorTitle: "දෝෂයකි",
+    oops: "අපොයි!",
+    goBack: "ආපසු යන්න",
+    loginRequiredTitle: "පිවිසීම අවශ්‍යයි",
+    loginRequiredBody: "කරත්තයට අයිතම එක් කිරීමට කරුණාකර පිවිසෙන්න",
+    goToLogin: "පිවිසුමට යන්න",
+    notAllowedTitle: "ඉඩ නොදේ",
+    customersOnly: "කරත්තයට අයිතම එක් කළ හැක්කේ පාරිභෝගිකයින්ට පමණි",
+    chooseAddOnsTitle: "ඔබගේ අමතර දෑ තෝරන්න",
+    addFailed: "කරත්තයට එක් කිරීම අසාර්ථක විය",
+    priceUnknown: "නැත",
+    notAvailable: "දැනට ලබා ගත නොහැක",
+    availableIn: "{{time}}කින් ලබා ගත හැක",
+    availableDuring: "ලබා ගත හැකි කාලය: {{times}}",
+    selectSize: "ප්‍රමාණය තෝරන්න",
+    sizeRegular: "සාමාන්‍ය",
+    sizeLarge: "විශාල",
+    portion: "කොටස {{portion}}",
+    requiredExact: "අනිවාර්යයි • {{count}}ක් තෝරන්න",
+    requiredRange: "අනිවාර්යයි • {{min}}-{{max}}ක් තෝරන්න",
+    optional: "අත්‍යවශ්‍ය නොවේ",
+    optionalUpTo: "අත්‍යවශ්‍ය නොවේ • {{max}}ක් දක්වා",
+    soldOut: "(විකිණී අවසන්)",
+    quantity: "ප්‍රමාණය",
+    buying: "මිලදී ගනිමින්...",
+    buyNow: "දැන් මිලදී ගන්න",
+    adding: "එක් කරමින්...",
+    addToCartTotal: "කරත්තයට එක් කරන්න • {{price}}",
+    loadFailed: "මෙනුව පූරණය කිරීම අසාර්ථක විය",
+    thisRestaurant: "මෙම අවන්හල",
+    closedTitle: "වසා ඇත",
+    closedBody: "{{name}} දැනට වසා ඇත",
+    closedUntil: "{{name}} දැනට වසා ඇත. {{opens}}.",
+    groupLoginBody: "කණ්ඩායම් ඇණවුමක් ආරම්භ කිරීමට කරුණාකර පිවිසෙන්න",
+    groupStartFailed: "කණ්ඩායම් ඇණවුමක් ආරම්භ කිරීමට නොහැකි විය",
+    prepTime: "සූදානම් කිරීම {{time}}",
+    searchPlaceholder: "මෙනු අයිතම සොයන්න...",
+    distanceAway: "{{distance}} දුරින්",
+    closedBanner: "අවන්හල දැනට වසා ඇත",
+    checkBackLater: "පසුව නැවත බලන්න",
+    title: "මෙනුව",
+    resultCount: {
+      one: "ප්‍රතිඵල {{count}}",
+      other: "ප්‍රතිඵල {{count}}",
+    },
+    groupOrder: "කණ්ඩායම් ඇණවුම",
+    emptyTitle: "අයිතම හමු නොවීය",
+    emptySearch: "වෙනත් සෙවුම් පදයක් උත්සාහ කරන්න",
+    emptyMenu: "මෙම අවන්හල තවම මෙනු අයිතම එක් කර නැත",
+    viewCart: "කරත්තය බලන්න",
+    cartCount: {
+      one: "මෙම අවන්හලෙන් අයිතම {{count}}",
+      other: "මෙම අවන්හලෙන් අයිතම {{count}}",
+    },
+    modifiers: {
+      chooseOne: '"{{group}}" සඳහා විකල්පයක් තෝරන්න',
+      chooseAtLeast: '"{{group}}" සඳහා අවම වශයෙන් {{count}}ක් තෝරන්න',
+      chooseUpTo: '"{{group}}" සඳහා {{count}}ක් දක්වා තෝරන්න',
+    },
+  },
+
+  hours: {
+    closed: "වසා ඇත",
+    closedToday: "අද වසා ඇත",
+    closedTodayReason: "අද වසා ඇත · {{reason}}",
+    opensAt: "{{time}} ට විවෘත වේ",
+    opensTomorrow: "හෙට {{time}} ට විවෘත වේ",
+    opensOn: "{{day}} {{time}} ට විවෘත වේ",
+  },
+
+  home: {
+    category: "ප්‍රවර්ගය",
+    popularDishes: "ජනප්‍රිය කෑම",
+    restaurantsTab: "අවන්හල්",
+    foodsTab: "ආහාර අයිතම",
+    allFoods: "සියලු ආහාර අයිතම",
+    searchPlaceholder: "සොයන්න...",
+    noMatchesTitle: "තවම ගැළපීම් නැත",
+    noMatchesBody: "වෙනත් මූල පදයක්, අයිතම නාමයක් හෝ ප්‍රවර්ගයක් උත්සාහ කරන්න.",
+    comingSoonTitle: "ඉක්මනින් ඔබගේ ප්‍රදේශයට!",
+    comingSoonBody:
+      "ඉතා ඉක්මනින් අපි ඔබගේ ප්‍රදේශයේ සේවා ලබා දෙන්නෙමු. රැඳී සිටින්න!",
+    promo: {
+      kicker: "දියත් කිරීමේ දීමනාව",
+      title: "Meezo වෙත සාදරයෙන් පිළිගනිමු",
+      subtitle: "ඔබගේ පළමු බෙදාහැරීමට විශේෂ දීමනාවක්.",
+      feesTag: "බෙදාහැරීමේ ගාස්තු",
+      only: "පමණි",
+      rate: "රු.{{rate}}",
+      perKm: " / කි.මී. එකකට",
+      terms: "කි.මී. {{km}} දක්වා. මෙම දීමනාව ඔබගේ පළමු ඇණවුමට පමණක් අදාළ වේ.",
+      saving: "සුරකිමින්...",
+      cta: "ආරම්භ කරන්න",
+    },
+  },
+
+  service: {
+    unavailableTitle: "අපි ඉක්මනින් නැවත එන්නෙමු",
+    unavailableBody:
+      "අපි දැනට කෙටි විවේකයක් ගනිමින් හෝ නඩත්තු කටයුතු කරමින් සිටිමු.",
+    reopeningAt: "{{time}} ට නැවත විවෘත වේ",
+  },
+
+  checkout: {
+    pinRequired: "සිතියමේ ඔබගේ බෙදාහැරීමේ ස්ථානය සලකුණු කරන්න.",
+    locationDeniedTitle: "අවසරය ප්‍රතික්ෂේප විය",
+    locationDeniedBody:
+      "මෙම විශේෂාංගය භාවිත කිරීමට කරුණාකර ස්ථාන අවසරය සක්‍රිය කරන්න",
+    ok: "හරි",
+    locationFailed:
+      "ඔබගේ ස්ථානය ලබා ගැනීම අසාර්ථක විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+    loginBody: "ගෙවීමට යාමට කරුණාකර පිවිසෙන්න",
+    customersOnly: "ගෙවීමට යා හැක්කේ පාරිභෝගිකයින්ට පමණි",
+    profileLoadFailed: "පැතිකඩ ලබා ගැනීම අසාර්ථක විය",
+    cartNotFound: "කරත්තය හමු නොවීය",
+    loadFailed: "ගෙවීමේ පිටුව පූරණය අසාර්ථක විය",
+    saveAddressFailed: "ලිපිනය සුරැකීම අසාර්ථක විය",
+    saveFailed: "සුරැකීම අසාර්ථක විය",
+    saving: "සුරකිමින්...",
+    slotUnavailable:
+      "එම බෙදාහැරීමේ වේලාව තවදුරටත් ලබා ගත නොහැක. කරුණාකර වෙනත් කාල පරාසයක් " +
+      "තෝරන්න.",
+    cardPayment: "කාඩ්පත් ගෙවීම",
+    priceChanged:
+      "ඇණවුම කරන අතරතුර ඇණවුම් මුදල වෙනස් විය. කරුණාකර ගෙවීමේ විස්තර " +
+      "සමාලෝචනය කර නැවත ඇණවුම් කරන්න.",
+    alreadyPlaced:
+      "මෙම ඇණවුම දැනටමත් කර ඇත. කරුණාකර ඔබගේ ඇණවුම් පරීක්ෂා කරන්න.",
+    placeFailed: "ඇණවුම කිරීම අසාර්ථක විය",
+    chooseSlot: "ඔබගේ පෙර ඇණවුම සඳහා බෙදාහැරීමේ වේලාවක් තෝරන්න.",
+    closedPreorder:
+      'අවන්හල වසා ඇත. {{opens}} - පෙර ඇණවුම් කිරීමට "පසුව බෙදාහරින්න" තෝරන්න.',
+    closedNow: "අවන්හල දැනට වසා ඇත.",
+    phoneRequired: "දුරකථන අංකය අවශ්‍යයි",
+    addressRequired: "බෙදාහැරීමේ ලිපිනය අවශ්‍යයි",
+    cityRequired: "නගරය අවශ්‍යයි",
+    locationMissing:
+      "ස්ථානය ලබා දී නැත. සිතියමේ ඔබගේ බෙදාහැරීමේ ස්ථානය සලකුණු කරන්න.",
+    beyondDistance: "කි.මී. {{km}}ට ඔබ්බෙන් බෙදාහැරීම ලබා ගත නොහැක.",
+    minimumOrder: "අවම ඇණවුම් මුදල {{amount}} වේ.",
+    feeUnavailable:
+      "බෙදාහැරීමේ ගාස්තුව ලබා ගත නොහැක. කරුණාකර ඔබගේ ස්ථාන සලකුණ තහවුරු කරන්න.",
+    calculatingPricing: "මිල ගණනය කරමින්...",
+    deliveryLocation: "බෙදාහැරීමේ ස්ථානය",
+    editPin: "සලකුණ සංස්කරණය",
+    priceDetails: "මිල විස්තර",
+    calculatingCharges: "බෙදාහැරීමේ ගාස්තු ගණනය කරමින්...",
+    launchOfferTitle: "දියත් කිරීමේ දීමනාව යොදන ලදී",
+    launchOfferBody: "මෙම ඇණවුම සඳහා බෙදාහැරීමේ ගාස්තු දීමනාව සක්‍රිය කළා.",
+    promoPending: "කේතය ඔබගේ ඇණවුමට එරෙහිව පරීක්ෂා කරමින්...",
+    promoRow: "ප්‍රවර්ධන කේතය ({{code}})",
+    deliveryFee: "බෙදාහැරීමේ ගාස්තුව",
+    serviceFee: "සේවා ගාස්තුව",
+    total: "එකතුව",
+    deliveryAddress: "බෙදාහැරීමේ ලිපිනය",
+    addAddress: "බෙදාහැරීමේ ලිපිනය එක් කරන්න",
+    phoneNumber: "දුරකථන අංකය",
+    noPhone: "දුරකථන අංකයක් නැත",
+    orderSummary: "ඇණවුම් සාරාංශය",
+    kmAway: "කි.මී. {{km}} දුරින්",
+    calculating: "ගණනය කරමින්...",
+    locationNotProvided: "ස්ථානය ලබා දී නැත",
+    itemFallback: "අයිතමය {{number}}",
+    quantityPrice: "{{quantity}} x {{price}}",
+    noItems: "මෙම කරත්තයේ අයිතම හමු නොවීය.",
+    deliveryTime: "බෙදාහැරීමේ වේලාව",
+    deliverNow: "දැන් බෙදාහරින්න",
+    deliverNowHint: "අවන්හල සූදානම් කළ වහාම",
+    deliverLater: "පසුව බෙදාහරින්න",
+    deliverLaterHint: "ඔබට ගැළපෙන වේලාවකට පෙර ඇණවුම් කරන්න",
+    paymentMethod: "ගෙවීමේ ක්‍රමය",
+    methods: {
+      cash: "භාර ගැනීමේදී මුදල් ගෙවීම",
+      card: "ක්‍රෙඩිට් / ඩෙබිට් කාඩ්පත",
+      wallet: "Meezo පසුම්බිය",
+    },
+    methodHints: {
+      cash: "ඔබගේ ඇණවුම පැමිණි විට ගෙවන්න",
+      card: "අපි ඔබගේ ඇණවුම යැවීමට පෙර සබැඳිව ආරක්ෂිතව ගෙවන්න",
+      wallet: "ඔබගේ පසුම්බි ශේෂයෙන් ගෙවන්න",
+    },
+    walletBalance: "ශේෂය {{amount}}",
+    walletShort: "ශේෂය {{amount}} • මෙම ඇණවුමට ප්‍රමාණවත් නැත",
+    paymentRetryHint: "නැවත උත්සාහ කරන්න හෝ වෙනත් ගෙවීම් ක්‍රමයක් තෝරන්න.",
+    processingPayment: "ගෙවීම සකසමින්...",
+    placing: "ඇණවුම කරමින්...",
+    addCity: "ඉදිරියට යාමට නගරය එක් කරන්න",
+    unavailableBeyond: "කි.මී. {{km}}ට ඔබ්බෙන් ලබා ගත නොහැක",
+    addMore: "තවත් {{amount}}ක් එක් කරන්න",
+    placeOrder: "ඇණවුම කරන්න",
+    scheduleOrder: "ඇණවුම සැලසුම් කරන්න",
+    payAndPlaceOrder: "ගෙවා ඇණවුම කරන්න",
+    payAndScheduleOrder: "ගෙවා ඇණවුම සැලසුම් කරන්න",
+    actionWithTotal: "{{action}} • {{total}}",
+    backToCart: "කරත්තයට ආපසු",
+    editAddressTitle: "බෙදාහැරීමේ ලිපිනය සංස්කරණය",
+    streetAddress: "වීදි ලිපිනය",
+    addressPlaceholder: "සම්පූර්ණ ලිපිනය ඇතුළත් කරන්න",
+    city: "නගරය",
+    cityPlaceholder: "නගරය ඇතුළත් කරන්න",
+    addressFieldRequired: "ලිපිනය අවශ්‍යයි",
+    pinFirst: "කරුණාකර පළමුව සලකුණ සංස්කරණය භාවිතයෙන් බෙදාහැරීමේ සලකුණ සකසන්න",
+    chooseTime: "බෙදාහැරීමේ වේලාව තෝරන්න",
+    slotsHint:
+      "කාල පරාස අවන්හලේ විවෘත වේලාවන් සහ ඔබගේ කරත්තයේ අයිතමවල මෙනු වේලාවන් " +
+      "අනුගමනය කරයි.",
+    noSlots: "ඉදිරි දින කිහිපය තුළ බෙදාහැරීමේ කාල පරාස ලබා ගත නොහැක.",
+    today: "අද",
+    tomorrow: "හෙට",
+    slot: "{{day}}, {{time}}",
+    errors: {
+      requestFailed: "ගෙවීමේ ඉල්ලීම අසාර්ථක විය",
+      startFailed: "ගෙවීම ආරම්භ කිරීමට නොහැකි විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+      cardUnavailable: "කාඩ්පත් ගෙවීම දැනට ලබා ගත නොහැක.",
+      cancelled: "ගෙවීම අවලංගු කරන ලදී.",
+      declined: "ඔබගේ ගෙවීම ප්‍රතික්ෂේප විය.",
+    },
+  },
+
+  orderStatus: {
+    titles: {
+      placed: "ඇණවුම කළා!",
+      preparing: "ඔබගේ ඇණවුම සූදානම් කරමින්",
+      ready: "ඇණවුම සූදානම්",
+      driverAccepted: "රියදුරු භාර ගත්තා",
+      driverAssigned: "රියදුරෙකු පවරා ඇත",
+      pickedUp: "ඇණවුම රැගෙන ගියා",
+      onTheWay: "පැමිණෙමින්",
+      arrived: "රියදුරු පැමිණ ඇත",
+      delivered: "බෙදා හරින ලදී!",
+    },
+    messages: {
+      placed: "ඔබගේ ඇණවුම සාර්ථකව කළා. අපි අවන්හලට දැනුම් දෙමින් සිටිමු.",
+      preparing: "ඔබගේ රසවත් ආහාරය සැලකිල්ලෙන් සූදානම් කරමින් පවතී.",
+      ready: "ඔබගේ ඇණවුම සූදානම් වී රැගෙන යාම සඳහා රැඳී ඇත.",
+      driverAccepted: "ඔබගේ ඇණවුම රැගෙන යාමට රියදුරු පැමිණෙමින් සිටී.",
+      driverAssigned: "රියදුරෙකු පවරා ඇති අතර ඔහු අවන්හල වෙත යමින් සිටී.",
+      pickedUp: "රියදුරු ඉක්මනින් ඔබ වෙත පැමිණෙනු ඇත",
+      onTheWay: "ඔබගේ රියදුරු ඔබගේ ස්ථානය වෙත පැමිණෙමින් සිටී.",
+      arrived:
+        "ඔබගේ රියදුරු පැමිණ ඇති නමුත් ඔබව සම්බන්ධ කර ගත නොහැක. කරුණාකර ඔබගේ " +
+        "දුරකථනයට පිළිතුරු දෙන්න.",
+      delivered: "ඔබගේ ඇණවුම බෙදා හරින ලදී. රසවිඳින්න!",
+    },
+    nextSteps: {
+      placed:
+        "අපි ඔබගේ ඇණවුම අවන්හලට යැව්වා. පිළිගත් පසු අපි දැනුම් දෙන්නෙමු " +
+        "ඉන්ශා අල්ලාහ්",
+      preparing:
+        "අවන්හල ඔබගේ ඇණවුම සූදානම් කරමින් සිටී. අපි අසල රියදුරන් සොයමින් " +
+        "සිටිමු",
+      driverAccepted: "රියදුරු අවන්හල වෙත යමින් සිටී.",
+      pickedUp:
+        "රියදුරු ඔබගේ ආහාරය රැගෙන ඇති අතර ඔබට බෙදාහැරීමට පෙර තවත් නැවතුමක් ඇත.",
+      onTheWay: "ඔබගේ රියදුරු ඔබගේ ස්ථානය වෙත පැමිණෙමින් සිටී.",
+      arrived:
+        "ඔබගේ රියදුරු පිටත රැඳී සිටී. කරුණාකර ඔබගේ දුරකථනයට පිළිතුරු දෙන්න.",
+      delivered: "ඔබගේ ඇණවුම සාර්ථකව බෙදා හරින ලදී.",
+      finalizing: "අපි ඔබගේ ඇණවුම් යාවත්කාලීන කිරීම් අවසන් කරමින් සිටිමු.",
+      upcoming: "{{title}}. අපි මෙම තිරය ස්වයංක්‍රීයව යාවත්කාලීන කරන්නෙමු.",
+    },
+    etaArrival: "ඇස්තමේන්තුගත පැමිණීම : {{time}} ඉන්ශා අල්ලාහ්",
+    etaRange: "ඇස්තමේන්තුගත පැමිණීම : {{start}} - {{end}}",
+    assignedDriver: "පවරා ඇති රියදුරු",
+    yourDriver: "ඔබගේ රියදුරු",
+    driverDetails: "රියදුරුගේ විස්තර",
+    driverPending: "අපි ඉක්මනින් රියදුරුගේ තොරතුරු පෙන්වන්නෙමු.",
+    vehicle: "වාහනය",
+    defaultVehicle: "යතුරුපැදිය",
+    plate: "අංක තහඩුව",
+    color: "වර්ණය",
+    total: "එකතුව",
+    viewDetails: "විස්තර බලන්න",
+    item: "අයිතමය",
+    itemQuantity: "{{quantity}}x {{name}}",
+    loading: "ඇණවුම පූරණය වෙමින්...",
+    thankYou: "ඔබගේ ඇණවුමට ස්තූතියි!",
+    deliveryComplete: "ඔබගේ බෙදාහැරීම අවසන් වී සාර්ථකව බෙදා හරින ලදී.",
+    goodNote:
+      "ඔබගේ ආහාරය ඔබගේ දවසට සිනහවක් ගෙන ආවා යැයි අපි බලාපොරොත්තු වෙමු. නැවත " +
+      "ඉක්මනින් ඔබට සේවය කිරීමට අපි බලාපොරොත්තු වෙමු.",
+    deliveredBody:
+      "ඔබගේ ආහාරය සාර්ථකව බෙදා හරින ලදී.\nඔබ ඔබගේ ආහාරය රසවින්දා යැයි " +
+      "බලාපොරොත්තු වන අතර නැවත ඔබට සේවය කිරීමට බලාපොරොත්තු වෙමු.",
+    report: "බෙදාහැරීමේ වාර්තාව",
+    status: "තත්ත්වය",
+    restaurant: "අවන්හල",
+    orderNumber: "ඇණවුම් අංකය",
+    notAvailable: "ලබා ගත නොහැක",
+    totalPaid: "ගෙවූ මුළු මුදල",
+    deliveredTo: "බෙදා හැරියේ",
+    orderAgain: "නැවත ඇණවුම් කරන්න",
+    backHome: "මුල් පිටුවට ආපසු",
+    delivery: "බෙදාහැරීම",
+    phoneCopied: "දුරකථන අංකය පිටපත් කළා!",
+    deliveryAddress: "බෙදාහැරීමේ ලිපිනය",
+    addressFallback: "ඔබගේ බෙදාහැරීමේ ලිපිනය",
+    cancelOrder: "ඇණවුම අවලංගු කරන්න",
+    cancelTitle: "ඇණවුම අවලංගු කරනවාද?",
+    cancelSubtitle: "ඔබට අවලංගු කිරීමට අවශ්‍ය ඇයිදැයි කරුණාකර අපට කියන්න",
+    cancelReasons: {
+      changedMind: "මගේ අදහස වෙනස් විය",
+      betterOption: "වඩා හොඳ විකල්පයක් හමු විය",
+      mistake: "වැරදීමකින් ඇණවුම් කළා",
+      tooLong: "බෙදාහැරීමට වැඩි කාලයක් ගතවේ",
+      wrongItems: "වැරදි අයිතම තෝරා ගත්තා",
+      other: "වෙනත්",
+    },
+    reasonPlaceholder: "ඔබගේ හේතුව ටයිප් කරන්න...",
+    keepOrder: "ඇණවුම තබා ගන්න",
+    confirmCancel: "අවලංගු කිරීම තහවුරු කරන්න",
+    reasonRequiredTitle: "හේතුවක් අවශ්‍යයි",
+    reasonRequiredBody: "කරුණාකර අවලංගු කිරීමේ හේතුවක් තෝරන්න හෝ ටයිප් කරන්න.",
+    missingOrderId:
+      "ඇණවුම් හැඳුනුම්පත නැත. කරුණාකර නැවත උත්සාහ කරන්න හෝ සහාය අමතන්න.",
+    cancelledTitle: "ඇණවුම අවලංගු කළා",
+    cancelledBody: "ඔබගේ ඇණවුම සාර්ථකව අවලංගු කරන ලදී.",
+    notFoundTitle: "ඇණවුම හමු නොවීය",
+    notFoundBody:
+      "පද්ධතියේ ඇණවුම සොයා ගත නොහැකි විය. එය දැනටමත් අවලංගු කර හෝ සකසා ඇති " +
+      "විය හැක. කරුණාකර නැවුම් කර නැවත උත්සාහ කරන්න.",
+    cannotCancelTitle: "අවලංගු කළ නොහැක",
+    cannotCancelBody: "අවන්හල දැනටමත් ඔබගේ ඇණවුම පිළිගෙන ඇත.",
+    invalidRequestTitle: "වලංගු නොවන ඉල්ලීමකි",
+    invalidRequestBody:
+      "ඇණවුම අවලංගු කළ නොහැක. කරුණාකර පරීක්ෂා කර නැවත උත්සාහ කරන්න.",
+    cancelFailed:
+      "ඇණවුම අවලංගු කිරීම අසාර්ථක විය (දෝෂය: {{status}}). කරුණාකර නැවත " +
+      "උත්සාහ කරන්න.",
+    networkError:
+      "ජාල දෝෂයකි. කරුණාකර ඔබගේ සම්බන්ධතාවය පරීක්ෂා කර නැවත උත්සාහ කරන්න.",
+    onTheWayTitle: "පැමිණෙමින් 🚗",
+    onTheWayBody: "රියදුරු ඔබගේ ස්ථානය වෙත යමින් සිටී.",
+    eta: "පැමිණීම:",
+    distance: "දුර:",
+    minutes: "මිනි. {{count}}",
+    kilometers: "කි.මී. {{distance}}",
+    updating: "යාවත්කාලීන කරමින්...",
+    trackHint: "ඔබට සිතියමේ රියදුරුගේ ස්ථානය ලුහුබැඳිය හැක.",
+    reviewThanks: "ඔබගේ ප්‍රතිචාරයට ස්තූතියි!",
+    reviewTitle: "ඔබගේ ඇණවුම කෙසේද?",
+    reviewBody: "{{restaurant}}, ඔබගේ අයිතම සහ {{driver}} ශ්‍රේණිගත කරන්න.",
+    reviewRestaurantFallback: "අවන්හල",
+    reviewDriverFallback: "ඔබගේ රියදුරු",
+    rateOrder: "ඔබගේ ඇණවුම ශ්‍රේණිගත කරන්න",
+  },
+
+  driverRequests: {
+    notReleased: "මෙම පෙර-ඇණවුම තවම රියදුරන්ට විවෘත කර නැත",
+    savedOffline: "නොබැඳිව සුරැකිණි - ඔබ නැවත සබැඳි වූ විට භාර ගනු ඇත",
+    suspendedTitle: "ගිණුම අත්හිටුවා ඇත",
+    suspendedBody:
+      "නව බෙදාහැරීම් භාර ගැනීමට පෙර එකතු කළ මුදල Meezo වේදිකාවට තැන්පත් කරන්න.",
+    acceptFailed: "බෙදාහැරීම භාර ගැනීම අසාර්ථක විය",
+    accepted: "බෙදාහැරීම භාර ගත්තා!",
+    accepting: "භාර ගනිමින්...",
+    updating: "යාවත්කාලීන කරමින්...",
+    accept: "ඉල්ලීම භාර ගන්න",
+    newOrder: "නව ඇණවුම",
+    bulkOrder: "තොග ඇණවුම",
+    dropoff: "භාර දෙන ස්ථානය: {{address}}",
+    pickupUnavailable: "රැගෙන යන ලිපිනය ලබා ගත නොහැක",
+    dropoffUnavailable: "භාර දෙන ලිපිනය ලබා ගත නොහැක",
+    restaurantCity: "{{name}}, {{city}}",
+    deliveryChip: "බෙදාහැරීම {{amount}}",
+    tipChip: "තෑග්ග {{amount}}",
+    bonusChip: "ප්‍රසාද දීමනාව {{amount}}",
+    km: "කි.මී. {{distance}}",
+    minutes: "මිනි. {{count}}",
+  },
+
+  dashboard: {
+    driverFallback: "රියදුරු",
+    statusChangedByHours: "වැඩ කරන වේලාව නිසා තත්ත්වය වෙනස් විය",
+    locationUnconfirmed: "ඔබගේ ස්ථානය තහවුරු කළ නොහැක.",
+    syncFailed:
+      "ලබා ගත හැකි බෙදාහැරීම් සමමුහුර්ත කිරීම අසාර්ථක විය ({{status}})",
+    serverBusy:
+      "සේවාදායකය කාර්යබහුලයි. හැඹිලිගත ඉල්ලීම් පෙන්වමින් ප්‍රමාදයකින් නැවත " +
+      "උත්සාහ කරමින්...",
+    updateRequestsFailed: "අසල ඉල්ලීම් යාවත්කාලීන කිරීම අසාර්ථක විය",
+    cannotToggle: "මෙම අවස්ථාවේ තත්ත්වය වෙනස් කළ නොහැක",
+    sessionUnavailable:
+      "සැසිය ලබා ගත නොහැක. කරුණාකර රැඳී සිට නැවත උත්සාහ කරන්න.",
+    statusUpdated: "තත්ත්වය {{status}} ලෙස යාවත්කාලීන විය",
+    statusUpdateFailed: "තත්ත්වය යාවත්කාලීන කිරීම අසාර්ථක විය",
+    outsideHoursTitle: "වැඩ කරන වේලාවෙන් පිටත",
+    workingTimeIs: "ඔබගේ වැඩ කරන වේලාව {{workingTime}} ලෙස සකසා ඇත.",
+    outsideHoursBody: "ඔබ දැනට ඔබගේ සැලසුම් කළ වැඩ කරන වේලාවෙන් පිටත සිටී.",
+    unknownWorkingTime: "නොදනී",
+    goOnlineAnyway: "කෙසේ වෙතත් සබැඳි වීමට ඔබට අවශ්‍යද?",
+    goOnline: "සබැඳි වන්න",
+    statusOnline: "තත්ත්වය: සබැඳි",
+    statusOffline: "තත්ත්වය: නොබැඳි",
+    receivingRequests: "අසල ඉල්ලීම් ලැබෙමින්",
+    notReceivingRequests: "ඉල්ලීම් නොලැබේ",
+    outsideHoursNotice:
+      "⏰ ඔබ දැනට ඔබගේ වැඩ කරන වේලාවෙන් පිටත සිටී. ඔබගේ සැලසුම් කළ වේලාව තුළ " +
+      "බෙදාහැරීම් භාර ගත හැක.",
+    withinHoursNotice:
+      "💡 ඔබ ඔබගේ වැඩ කරන වේලාව තුළ සිටී. බෙදාහැරීමේ ඉල්ලීම් ලබා ගැනීම ආරම්භ " +
+      "කිරීමට ඔබගේ තත්ත්වය සක්‍රිය කරන්න.",
+    activeNotice: "✅ ඔබ සක්‍රියයි, බෙදාහැරීමේ ඉල්ලීම් ලබා ගත හැක!",
+    withinHours: "වැඩ කරන වේලාව තුළ",
+    manualOverride: "අතින් සබැඳි කිරීම සක්‍රියයි (වැඩ කරන වේලාවෙන් පිටත)",
+    outsideHours: "වැඩ කරන වේලාවෙන් පිටත",
+    nextStatusChange: "ඊළඟ ස්වයංක්‍රීය තත්ත්ව වෙනස: {{time}}",
+    todayEarnings: "අද ඉපැයීම්",
+    todayDeliveries: "අද බෙදාහැරීම්",
+    balanceToReceive: "ලැබිය යුතු ශේෂය",
+    activeDeliveries: "සක්‍රිය බෙදාහැරීම් ({{count}})",
+    viewAll: "සියල්ල බලන්න",
+    customerAddress: "පාරිභෝගික ලිපිනය",
+    orderNumber: "ඇණවුම #{{number}}",
+    notAvailable: "නොමැත",
+    statuses: {
+      accepted: "භාර ගත්",
+      picked_up: "රැගෙන ගිය",
+      on_the_way: "පැමිණෙමින්",
+      at_customer: "පාරිභෝගිකයා වෙත",
+    },
+    offlineWithActive:
+      "ඔබ නොබැඳිව සිටින නමුත් සක්‍රිය බෙදාහැරීම් ඇත. ඔබගේ ඉපැයීම් ලබා ගැනීමට " +
+      "මෙම බෙදාහැරීම් සම්පූර්ණ කරන්න.",
+    nearbyRequests: "අසල ඉල්ලීම් ({{count}})",
+    completeActiveTitle: "ඔබගේ සක්‍රිය බෙදාහැරීම් සම්පූර්ණ කරන්න",
+    completeActiveBody: "වත්මන් බෙදාහැරීම් සම්පූර්ණ කළ පසු ඔබට සබැඳි විය හැක",
+    offlineTitle: "ඔබ දැනට නොබැඳිව සිටී",
+    offlineBody: "බෙදාහැරීමේ ඉල්ලීම් ලබා ගැනීමට සබැඳි වන්න",
+    syncingLatest:
+      "නවතම ලබා ගත හැකි බෙදාහැරීම් සමඟ අසල ඉල්ලීම් යාවත්කාලීන කරමින්...",
+    updateFailedTitle: "ඉල්ලීම් යාවත්කාලීන කළ නොහැක",
+    retryUpdate: "නැවත යාවත්කාලීන කරන්න",
+    noRequestsTitle: "අසල ඉල්ලීම් නැත",
+    noRequestsBody: "නව ඇණවුම් මෙහි දිස්වේ",
+    syncing: "අසල ඉල්ලීම් යාවත්කාලීන කරමින්...",
+    showMore: "තවත් පෙන්වන්න (+{{count}})",
+    monthlyPerformance: "මාසික කාර්යසාධනය",
+    monthEarnings: "මාසික ඉපැයීම්",
+    monthDeliveries: "මාසික බෙදාහැරීම්",
+    recentDeliveries: "මෑත බෙදාහැරීම්",
+  },
+
+  availableDeliveries: {
+    activeBlock: "පළමුව ඔබ රැගෙන ගිය බෙදාහැරීම සම්පූර්ණ කරන්න.",
+    location: {
+      loading: "ලබා ගත හැකි බෙදාහැරීම් පූරණය වෙමින්...",
+      permission: "ස්ථාන අවසරය අවශ්‍යයි",
+      confirming: "ඔබගේ වත්මන් ස්ථානය තහවුරු කරමින් ({{attempt}}/{{max}})...",
+      confirmed: "ස්ථානය තහවුරු විය",
+      recent: "මෑතකදී තහවුරු කළ ස්ථානය භාවිත කරමින්",
+      failed: "ස්ථානය තහවුරු කළ නොහැක",
+      turnOnGps:
+        "ඔබගේ වත්මන් ස්ථානය තහවුරු කළ නොහැක. GPS සක්‍රිය කර නැවත උත්සාහ කරන්න.",
+      enableGps:
+        "ඔබගේ ස්ථානය තහවුරු කළ නොහැක. කරුණාකර GPS සක්‍රිය කර නැවත උත්සාහ " +
+        "කරන්න.",
+    },
+    noDriverLocation: "වලංගු රියදුරු ස්ථානයක් නොමැතිව බෙදාහැරීම් ලබා ගත නොහැක.",
+    errors: {
+      offline: "අන්තර්ජාල සම්බන්ධතාවයක් නැත. නැවත උත්සාහ කරමින්...",
+      server: "සේවාදායක දෝෂයකි. කරුණාකර නැවත උත්සාහ කරන්න.",
+      auth: "සත්‍යාපනය අසාර්ථක විය. කරුණාකර නැවත පිවිසෙන්න.",
+      fetchFailed: "බෙදාහැරීම් ලබා ගැනීම අසාර්ථක විය",
+    },
+    updatingRequests: "ඉල්ලීම් යාවත්කාලීන කරමින්...",
+    syncing: "බෙදාහැරීමේ ඉල්ලීම් යාවත්කාලීන කරමින්...",
+    deliveringTitle: "දැනට බෙදාහරිමින්",
+    goToActive: "සක්‍රිය බෙදාහැරීම් වෙත යන්න",
+    emptyTitle: "ඔබ අසල බෙදාහැරීම් නැත",
+    maxReached:
+      "ඔබ උපරිම බෙදාහැරීම් {{max}} කරා ළඟා වී ඇත. පළමුව බෙදාහැරීම් කිහිපයක් " +
+      "සම්පූර්ණ කරන්න.",
+    emptyBody:
+      "දැනට ඔබගේ ප්‍රදේශයේ බෙදාහැරීමේ ඉල්ලීම් නැත. නව ඇණවුම් පැමිණි විට අපි " +
+      "ඔබට දැනුම් දෙන්නෙමු!",
+    refresh: "නැවුම් කරන්න",
+    viewActive: "සක්‍රිය බලන්න ({{count}})",
+    card: {
+      noPickup: "රැගෙන යන ලිපිනයක් නැත",
+      noDropoff: "භාර දෙන ලිපිනයක් නැත",
+      totalEarnings: "මුළු ඉපැයීම්",
+      pickup: "රැගෙන යාම:",
+      dropoff: "භාර දීම:",
+      customer: "පාරිභෝගිකයා",
+      orderItems: "ඇණවුම් අයිතම:",
+      cannotAccept: "භාර ගත නොහැක",
+      acceptStacked: "අමතර බෙදාහැරීම භාර ගන්න",
+      accept: "බෙදාහැරීම භාර ගන්න",
+    },
+  },
+
+  activeDeliveries: {
+    title: "සක්‍රිය බෙදාහැරීම්",
+    calculating: "ගණනය කරමින්...",
+    eta: {
+      one: "~මිනි. {{count}}",
+      other: "~මිනි. {{count}}",
+    },
+    nextPickup: "ඊළඟ රැගෙන යාම",
+    pickupNumber: "රැගෙන යාම #{{number}}",
+    nextDelivery: "ඊළඟ බෙදාහැරීම",
+    deliveryNumber: "බෙදාහැරීම #{{number}}",
+    unknownRestaurant: "නොදන්නා අවන්හල",
+    noAddress: "ලිපිනයක් නැත",
+    customer: "පාරිභෝගිකයා",
+    chatWithCustomer: "පාරිභෝගිකයා සමඟ කතාබස් කරන්න",
+    startDelivery: "බෙදාහැරීම අරඹන්න",
+    deliverNow: "දැන් බෙදාහරින්න",
+    startBadge: "අරඹන්න",
+    errors: {
+      loadPickups: "රැගෙන යාම් පූරණය කිරීම අසාර්ථක විය: {{message}}",
+      loadDeliveries: "බෙදාහැරීම් පූරණය කිරීම අසාර්ථක විය: {{message}}",
+      network: "ජාල දෝෂය: {{message}}",
+      unreachable: "සේවාදායකයට සම්බන්ධ විය නොහැක",
+    },
+    noPickups: "රැගෙන යාම් නැත",
+    noDeliveries: "බෙදාහැරීම් නැත",
+    pickupsReady: {
+      one: "රැගෙන යාම් {{count}} සූදානම්",
+      other: "රැගෙන යාම් {{count}} සූදානම්",
+    },
+    deliveriesReady: {
+      one: "බෙදාහැරීම් {{count}} සූදානම්",
+      other: "බෙදාහැරීම් {{count}} සූදානම්",
+    },
+    mode: "ප්‍රකාරය: {{mode}}",
+    modes: {
+      pickup: "රැගෙන යාම",
+      deliver: "බෙදාහරිමින්",
+    },
+    available: "ලබා ගත හැකි",
+    connectionError: "සම්බන්ධතා දෝෂය",
+    checkConnection:
+      "කරුණාකර ඔබගේ අන්තර්ජාල සම්බන්ධතාවය පරීක්ෂා කර නැවත උත්සාහ කරන්න",
+    empty: {
+      pickupsTitle: "සක්‍රිය රැගෙන යාම් නැත",
+      deliveriesTitle: "සක්‍රිය බෙදාහැරීම් නැත",
+      pickupsBody: "ඇණවුම් රැගෙන යාම ආරම්භ කිරීමට බෙදාහැරීම් භාර ගන්න",
+      deliveriesBody: "පාරිභෝගිකයින්ට බෙදාහැරීම ආරම්භ කිරීමට ඇණවුම් රැගෙන යන්න",
+      viewAvailable: "ලබා ගත හැකි බෙදාහැරීම් බලන්න",
+    },
+    startPickup: "රැගෙන යාම අරඹන්න",
+    startDelivering: "බෙදාහැරීම අරඹන්න",
+    route: {
+      title: "සම්පූර්ණ මාර්ග දළ විශ්ලේෂණය",
+      summary: "රියදුරු → {{restaurants}} → {{customers}}",
+      restaurantCount: {
+        one: "අවන්හල් {{count}}",
+        other: "අවන්හල් {{count}}",
+      },
+      customerCount: {
+        one: "පාරිභෝගිකයින් {{count}}",
+        other: "පාරිභෝගිකයින් {{count}}",
+      },
+      kmTotal: "මුළු කි.මී.",
+      minEta: "මිනි. පැමිණීම",
+      stops: "නැවතුම්",
+      startNavigation: "පළමු නැවතුම වෙත සංචාලනය අරඹන්න",
+      orderedStops: "පිළිවෙළට නැවතුම්",
+      startingPoint: "ඔබගේ ස්ථානය (ආරම්භක ලක්ෂ්‍යය)",
+      driverPosition: "රියදුරුගේ ස්ථානය",
+      pickupOrder: "ඇණවුම #{{number}} රැගෙන යන්න",
+      deliverOrder: "ඇණවුම #{{number}} බෙදාහරින්න",
+      eta: "පැමිණීම {{time}}",
+      late: "පොරොන්දු වූ වේලාවට වඩා ~මිනි. {{count}} ප්‍රමාදයි",
+      legendDriver: "රියදුරු (D)",
+      legendRestaurant: "අවන්හල (R)",
+      legendCustomer: "පාරිභෝගිකයා (C)",
+      legendRoute: "මාර්ගය",
+    },
+  },
+
+  driverMap: {
+    noOrderNumber: "නොමැත",
+    errorTitle: "දෝෂය",
+    errors: {
+      statusUpdate: "බෙදාහැරීමේ තත්ත්වය යාවත්කාලීන කිරීම අසාර්ථක විය",
+      pickupNotSaved:
+        "සේවාදායක තහවුරු කිරීම අසාර්ථක විය: බෙදාහැරීමේ තත්ත්වය {{status}}, " +
+        "අපේක්ෂිත picked_up හෝ on_the_way. දත්ත සමුදාය යාවත්කාලීන නොවී තිබිය " +
+        "හැක.",
+      deliveryNotSaved:
+        "සේවාදායක තහවුරු කිරීම අසාර්ථක විය: බෙදාහැරීමේ තත්ත්වය {{status}}, " +
+        "අපේක්ෂිත delivered. දත්ත සමුදාය යාවත්කාලීන නොවී තිබිය හැක.",
+      pickupFailed: "රැගෙන යාමේ තත්ත්වය යාවත්කාලීන කිරීම අසාර්ථක විය",
+      deliveryFailed: "බෙදාහැරීමේ තත්ත්වය යාවත්කාලීන කිරීම අසාර්ථක විය",
+      openMaps: "සිතියම් යෙදුම විවෘත කළ නොහැකි විය",
+      call: "ඇමතුම ගත නොහැකි විය",
+    },
+    emptyTitle: "සක්‍රිය බෙදාහැරීම් හමු නොවීය",
+    goBack: "ආපසු යන්න",
+    upcomingPickups: "ඉදිරි රැගෙන යාම් ({{count}})",
+    upcomingDeliveries: "ඉදිරි බෙදාහැරීම් ({{count}})",
+    startDelivery: "බෙදාහැරීම අරඹන්න",
+    orderId: "ඇණවුම් හැඳුනුම්පත",
+    orderItems: "ඇණවුම් අයිතම",
+    item: "අයිතමය",
+    customerToDeliver: "බෙදාහැරිය යුතු පාරිභෝගිකයා",
+    swipeToPickUp: "රැගෙන යාමට ස්වයිප් කරන්න",
+    specialInstructions: "විශේෂ උපදෙස්",
+    totalAmount: "මුළු මුදල",
+    swipeToDeliver: "බෙදාහැරීමට ස්වයිප් කරන්න",
+  },
+
+  driverSync: {
+    conflictTitle: "යාවත්කාලීනය යෙදුණේ නැත",
+    conflictBody:
+      "{{message}}. බෙදාහැරීම #{{deliveryId}} නවතම තත්ත්වය සමඟ නැවුම් කර ඇත.",
+    queueFull:
+      "සමමුහුර්ත වීමට බොහෝ යාවත්කාලීන රැඳී ඇත. තවත් වෙනස්කම් කිරීමට පෙර " +
+      "අන්තර්ජාලයට නැවත සම්බන්ධ වන්න.",
+    sessionExpired:
+      "ඔබගේ සැසිය කල් ඉකුත් වී ඇත. රැඳී ඇති යාවත්කාලීන සමමුහුර්ත කිරීමට නැවත " +
+      "පිවිසෙන්න.",
+    sessionExpiredTitle: "නැවත පිවිසෙන්න",
+    rejected: "සේවාදායකය මෙම යාවත්කාලීනය ප්‍රතික්ෂේප කළේය",
+    pendingCount: {
+      one: "යාවත්කාලීන {{count}}ක් සමමුහුර්ත වීමට රැඳී ඇත",
+      other: "යාවත්කාලීන {{count}}ක් සමමුහුර්ත වීමට රැඳී ඇත",
+    },
+    syncing: "සමමුහුර්ත කරමින්...",
+    pendingHint:
+      "ඔබ නැවත සබැඳි වූ විට යවනු ඇත · නැවත උත්සාහ කිරීමට තට්ටු කරන්න",
+    savedOffline: "නොබැඳිව සුරැකිණි · ඔබ සබැඳි වූ පසු සමමුහුර්ත වේ",
+    swipeToDeliver: "බෙදාහැරීමට ස්වයිප් කරන්න",
+  },
+
+  deliveryProof: {
+    title: "බෙදාහැරීමේ සාක්ෂිය",
+    optional: "විකල්ප",
+    savedOffline: "නොබැඳිව සුරැකිණි · ඔබ සබැඳි වූ පසු උඩුගත වේ",
+    noPhoto: "ඡායාරූපයක් උඩුගත කර නැත",
+    takePhoto: "ඡායාරූපයක් ගන්න",
+    retakePhoto: "නැවත ඡායාරූපය ගන්න",
+    permissionTitle: "අවසරය",
+    permissionBody: "කැමරා අවසරය අවශ්‍යයි.",
+    uploadFailed: "උඩුගත කිරීම අසාර්ථක විය",
+    tryAgain: "කරුණාකර නැවත උත්සාහ කරන්න",
+  },
+
+  orderChat: {
+    open: "කතාබස් විවෘත කරන්න",
+    unreadMany: "{{count}}+",
+    notSent: "යැවුණේ නැත · නැවත උත්සාහ කිරීමට තට්ටු කරන්න",
+    sending: "යවමින්...",
+    empty: "තවම පණිවිඩ නැත. ආයුබෝවන් කියන්න!",
+    closed: "කතාබස් වසා ඇත · මෙම ඇණවුම සම්පූර්ණයි",
+    placeholder: "පණිවිඩයක් ටයිප් කරන්න",
+    quickReplies: {
+      outside: "මම පිටත සිටිමි",
+      cantFindGate: "ගේට්ටුව සොයා ගත නොහැක",
+      atRestaurant: "මම අවන්හලේ සිටිමි",
+      runningLate: "මිනිත්තු කිහිපයක් ප්‍රමාදයි",
+      mainEntrance: "කරුණාකර ප්‍රධාන දොරටුවට එන්න",
+    },
+  },
+
+  promoCode: {
+    placeholder: "ප්‍රවර්ධන කේතය",
+    apply: "යොදන්න",
+    remove: "ඉවත් කරන්න",
+    checking: "කේතය පරීක්ෂා කරමින්...",
+    youSave: "ඔබ {{amount}} ඉතිරි කරයි",
+    pendingHint: "ගෙවීමේදී ඔබගේ ඇණවුම සමඟ පරීක්ෂා කෙරේ",
+    invalidFormat: "වලංගු ප්‍රවර්ධන කේතයක් ඇතුළත් කරන්න",
+    notApplicable: "මෙම කේතය මෙම ඇණවුමට යෙදිය නොහැක.",
+  },
+
+  reviews: {
+    heading: "ශ්‍රේණිගත කිරීම් සහ සමාලෝචන",
+    new: "නව",
+    count: {
+      one: "සමාලෝචන {{count}}",
+      other: "සමාලෝචන {{count}}",
+    },
+    empty: "තවම සමාලෝචන නැත.",
+    emptyInvite: "තවම සමාලෝචන නැත. පළමුව ඇණවුම් කර සමාලෝචනය කරන්න!",
+    unavailable: "සමාලෝචන දැනට ලබා ගත නොහැක.",
+    customerFallback: "පාරිභෝගිකයා",
+    replyTitle: "අවන්හලේ ප්‍රතිචාරය",
+    itemFallback: "අයිතමය",
+    restaurantFallback: "අවන්හල",
+    driverFallback: "ඔබගේ රියදුරු",
+    rateTitle: "ඔබගේ ඇණවුම ශ්‍රේණිගත කරන්න",
+    alreadyReviewedTitle: "දැනටමත් සමාලෝචනය කර ඇත",
+    alreadyReviewedBody: "ඔබ මෙම ඇණවුම දැනටමත් සමාලෝචනය කර ඇත.",
+    thanksTitle: "ඔබගේ ප්‍රතිචාරයට ස්තූතියි!",
+    submittedTitle: "ස්තූතියි!",
+    submittedBody: "ඔබගේ සමාලෝචනය ඉදිරිපත් කරන ලදී.",
+    ok: "හරි",
+    almostThere: "තව ටිකයි",
+    errorTitle: "දෝෂය",
+    submitFailed:
+      "ඔබගේ සමාලෝචනය ඉදිරිපත් කිරීම අසාර්ථක විය. කරුණාකර නැවත උත්සාහ කරන්න.",
+    permissionTitle: "අවසරය අවශ්‍යයි",
+    permissionBody:
+      "ඔබගේ සමාලෝචනයට ඡායාරූප එක් කිරීමට කරුණාකර ඒවාට ප්‍රවේශය ඉඩ දෙන්න.",
+    restaurantLabel: "අවන්හල",
+    itemsLabel: "ඔබගේ අයිතම",
+    deliveryLabel: "බෙදාහැරීම",
+    tapToRate: "ශ්‍රේණිගත කිරීමට තට්ටු කරන්න",
+    ratingLabels: {
+      1: "දුර්වල",
+      2: "සාමාන්‍ය",
+      3: "හොඳයි",
+      4: "ඉතා හොඳයි",
+      5: "විශිෂ්ටයි",
+    },
+    restaurantPlaceholder: "ආහාරය සහ ඇසුරුම ගැන අන් අයට කියන්න",
+    driverPlaceholder: "බෙදාහැරීම කෙසේද?",
+    addPhoto: "ඡායාරූපයක් එක් කරන්න",
+    submit: "සමාලෝචනය ඉදිරිපත් කරන්න",
+    validation: {
+      restaurant: "කරුණාකර අවන්හල ශ්‍රේණිගත කරන්න.",
+      driver: "කරුණාකර ඔබගේ රියදුරු ශ්‍රේණිගත කරන්න.",
+      foods: "කරුණාකර ඔබ ඇණවුම් කළ සෑම අයිතමයක්ම ශ්‍රේණිගත කරන්න.",
+    },
+  },
+};
+
+export default si;
@@ -0,0 +1,1487 @@
+/** Tamil strings. Missing keys fall back to English. */
+const ta = {
+  app: {
+    name: "NearMe",
+    tagline: "வேகமான மற்றும் நம்பகமான டெலிவரி",
+  },
+
+  auth: {
+    login: "உள்நுழை",
+    signup: "பதிவு செய்",
+    logout: "வெளியேறு",
+    email: "மின்னஞ்சல்",
+    password: "கடவுச்சொல்",
+    confirmPassword: "கடவுச்சொல்லை உறுதிப்படுத்து",
+    fullName: "முழு பெயர்",
+    forgotPassword: "கடவுச்சொல் மறந்துவிட்டதா?",
+    noAccount: "கணக்கு இல்லையா?",
+    haveAccount: "ஏற்கனவே கணக்கு உள்ளதா?",
+    verifyEmail: "உங்கள் மின்னஞ்சலைச் சரிபார்க்கவும்",
+    verifyEmailMessage:
+      "உங்கள் மின்னஞ்சல் முகவரிக்கு சரிபார்ப்பு இணைப்பை அனுப்பியுள்ளோம்.",
+    recovery: {
+      forgotTitle: "உங்கள் கடவுச்சொல்லை மீட்டமைக்கவும்",
+      forgotBody:
+        "உங்கள் கணக்கில் உள்ள மின்னஞ்சல் அல்லது தொலைபேசி எண்ணை உள்ளிடவும். " +
+        "மீண்டும் உள்நுழைய ஒரு வழியை அனுப்புவோம்.",
+      identifierLabel: "மின்னஞ்சல் அல்லது தொலைபேசி",
+      identifierPlaceholder: "எ.கா: 07XXXXXXXX அல்லது email@test.com",
+      sendLink: "மீட்டமைப்பு இணைப்பை அனுப்பு",
+      sendCode: "குறியீட்டை அனுப்பு",
+      sending: "அனுப்புகிறது...",
+      invalidIdentifier:
+        "சரியான மின்னஞ்சல் அல்லது இலங்கை தொலைபேசி எண்ணை உள்ளிடவும்",
+      linkSentTitle: "உங்கள் மின்னஞ்சலைச் சரிபார்க்கவும்",
+      linkSentBody:
+        "{{email}} க்கு கணக்கு இருந்தால், மீட்டமைப்பு இணைப்பு " +
+        "அனுப்பப்பட்டுள்ளது. புதிய கடவுச்சொல்லைத் தேர்ந்தெடுக்க இந்தத் " +
+        "தொலைபேசியில் அதைத் திறக்கவும்.",
+      openMail: "மின்னஞ்சல் செயலியைத் திற",
+      resend: "இணைப்பை மீண்டும் அனுப்பு",
+      resendIn: "{{seconds}} வி. இல் மீண்டும் அனுப்பலாம்",
+      haveToken: "என்னிடம் மீட்டமைப்புக் குறியீடு உள்ளது",
+      rateLimited: {
+        one:
+          "அதிகமான கோரிக்கைகள். {{count}} விநாடியில் மீண்டும் முயற்சிக்கவும்.",
+        other:
+          "அதிகமான கோரிக்கைகள். {{count}} விநாடிகளில் மீண்டும் முயற்சிக்கவும்.",
+      },
+      requestFailed:
+        "மீட்டமைப்புக் கோரிக்கையை அனுப்ப முடியவில்லை. மீண்டும் முயற்சிக்கவும்.",
+      backToLogin: "உள்நுழைவுக்குத் திரும்பு",
+      resetTitle: "புதிய கடவுச்சொல்லைத் தேர்ந்தெடுக்கவும்",
+      resetBody: "உங்கள் புதிய கடவுச்சொல் எல்லா சாதனங்களிலும் பழையதை மாற்றும்.",
+      tokenLabel: "மீட்டமைப்புக் குறியீடு",
+      tokenPlaceholder: "உங்கள் மின்னஞ்சலில் உள்ள குறியீட்டை ஒட்டவும்",
+      newPassword: "புதிய கடவுச்சொல்",
+      confirmPassword: "புதிய கடவுச்சொல்லை உறுதிப்படுத்தவும்",
+      passwordMismatch: "கடவுச்சொற்கள் பொருந்தவில்லை",
+      passwordTooWeak: "உங்கள் கடவுச்சொல் தேவைகளைப் பூர்த்தி செய்யவில்லை",
+      missingToken:
+        "உங்கள் மின்னஞ்சலில் உள்ள இணைப்பைத் திறக்கவும், அல்லது மீட்டமைப்புக் " +
+        "குறியீட்டை ஒட்டவும்.",
+      resetting: "புதுப்பிக்கிறது...",
+      resetCta: "கடவுச்சொல்லைப் புதுப்பி",
+      resetInvalid:
+        "இந்த மீட்டமைப்பு இணைப்பு தவறானது அல்லது காலாவதியானது. புதியதைக் " +
+        "கோரவும்.",
+      resetFailed:
+        "உங்கள் கடவுச்சொல்லைப் புதுப்பிக்க முடியவில்லை. மீண்டும் " +
+        "முயற்சிக்கவும்.",
+      resetSuccessTitle: "கடவுச்சொல் புதுப்பிக்கப்பட்டது",
+      resetSuccessBody: "உங்கள் புதிய கடவுச்சொல்லுடன் உள்நுழையவும்.",
+      strength: "வலிமை: {{level}}",
+      strengthWeak: "பலவீனம்",
+      strengthFair: "சுமார்",
+      strengthStrong: "வலிமையானது",
+      ruleLength: "குறைந்தது 8 எழுத்துகள்",
+      ruleLetter: "ஒரு எழுத்து உள்ளது",
+      ruleNumber: "ஒரு எண் உள்ளது",
+      ruleMixedCase: "பெரிய மற்றும் சிறிய எழுத்துகள்",
+      ruleSymbol: "ஒரு குறியீடு உள்ளது",
+    },
+  },
+
+  driver: {
+    dashboard: "ஓட்டுநர் பலகை",
+    activeDeliveries: "செயலில் உள்ள டெலிவரிகள்",
+    availableDeliveries: "கிடைக்கும் டெலிவரிகள்",
+    deliveryHistory: "டெலிவரி வரலாறு",
+    noActiveDeliveries: "செயலில் உள்ள டெலிவரிகள் இல்லை",
+    noAvailableDeliveries: "அருகில் கிடைக்கும் டெலிவரிகள் இல்லை",
+    acceptDelivery: "டெலிவரியை ஏற்கவும்",
+    completeDelivery: "டெலிவரியை முடிக்கவும்",
+  },
+
+  customer: {
+    home: "முகப்பு",
+    orders: "ஆர்டர்கள்",
+    profile: "சுயவிவரம்",
+    cart: "கூடை",
+    checkout: "செலுத்துக",
+    placeOrder: "ஆர்டர் செய்",
+    trackOrder: "ஆர்டரைக் கண்காணி",
+    noOrders: "இதுவரை ஆர்டர்கள் இல்லை",
+    emptyCart: "உங்கள் கூடை காலியாக உள்ளது",
+  },
+
+  manager: {
+    dashboard: "மேலாளர் பலகை",
+    manageDeliveries: "டெலிவரிகளை நிர்வகி",
+    activeDrivers: "செயலில் உள்ள ஓட்டுநர்கள்",
+  },
+
+  common: {
+    loading: "ஏற்றுகிறது...",
+    error: "பிழை ஏற்பட்டது",
+    retry: "மீண்டும் முயற்சி",
+    cancel: "ரத்து செய்",
+    confirm: "உறுதிப்படுத்து",
+    save: "சேமி",
+    delete: "நீக்கு",
+    edit: "திருத்து",
+    done: "முடிந்தது",
+    next: "அடுத்து",
+    back: "பின்செல்",
+    search: "தேடு",
+    noResults: "முடிவுகள் எதுவும் இல்லை",
+    notProvided: "வழங்கப்படவில்லை",
+    notSet: "அமைக்கப்படவில்லை",
+    change: "மாற்று",
+    add: "சேர்",
+    currency: "ரூ. {{amount}}",
+  },
+
+  errors: {
+    required: "இந்த புலம் அவசியம்",
+    invalidEmail: "சரியான மின்னஞ்சலை உள்ளிடவும்",
+    passwordMismatch: "கடவுச்சொற்கள் பொருந்தவில்லை",
+    networkError: "நெட்வொர்க் பிழை. மீண்டும் முயற்சிக்கவும்.",
+    serverError: "சர்வர் பிழை. பின்னர் மீண்டும் முயற்சிக்கவும்.",
+  },
+
+  tabs: {
+    home: "முகப்பு",
+    orders: "ஆர்டர்கள்",
+    cart: "கூடை",
+    profile: "சுயவிவரம்",
+    available: "கிடைப்பவை",
+    active: "செயலில்",
+    earnings: "வருமானம்",
+    payment: "கட்டணம்",
+  },
+
+  profile: {
+    title: "சுயவிவரம்",
+    defaultName: "பயனர்",
+    editProfile: "சுயவிவரத்தைத் திருத்து",
+    savedAddress: "சேமித்த முகவரி",
+    deliveryLocation: "டெலிவரி இடம்",
+    locationPinned: "இடம் குறிக்கப்பட்டது",
+    notifications: "அறிவிப்புகள்",
+    helpSupport: "உதவி மற்றும் ஆதரவு",
+    terms: "விதிமுறைகள் மற்றும் நிபந்தனைகள்",
+    privacy: "தனியுரிமைக் கொள்கை",
+    language: "மொழி",
+    languageHint: "செயலி முழுவதும் பயன்படுத்தும் மொழியைத் தேர்ந்தெடுக்கவும்",
+    dietary: "உணவு விருப்பங்கள்",
+    dietaryHint: "உங்களுக்குப் பொருந்தாத உணவுகளைக் குறிப்போம்",
+    dietaryDiets: "நான் சாப்பிடுவது",
+    dietaryAllergens: "தவிர்க்கவும்",
+    dietarySpice: "அதிகபட்ச காரம்",
+    dietaryAnySpice: "ஏதேனும்",
+    logout: "வெளியேறு",
+    logoutTitle: "வெளியேறு",
+    logoutMessage: "நிச்சயமாக வெளியேற விரும்புகிறீர்களா?",
+    version: "பதிப்பு {{version}}",
+  },
+
+  orders: {
+    title: "என் ஆர்டர்கள்",
+    tabActive: "செயலில்",
+    tabScheduled: "திட்டமிட்டவை",
+    tabPast: "முந்தையவை",
+    restaurantFallback: "உணவகம்",
+    orderNumber: "ஆர்டர் #{{number}}",
+    itemCount: {
+      one: "{{count}} பொருள்",
+      other: "{{count}} பொருட்கள்",
+    },
+    scheduledFor: "{{slot}} க்கு திட்டமிடப்பட்டது",
+    track: "ஆர்டரைக் கண்காணி",
+    viewDetails: "விவரங்களைக் காண்க",
+    delivered: "டெலிவரி செய்யப்பட்டது",
+    cancelled: "ரத்து செய்யப்பட்டது",
+    emptyActiveTitle: "செயலில் உள்ள ஆர்டர்கள் இல்லை",
+    emptyScheduledTitle: "திட்டமிட்ட ஆர்டர்கள் இல்லை",
+    emptyPastTitle: "முந்தைய ஆர்டர்கள் இல்லை",
+    emptyActiveBody: "நடப்பில் உள்ள ஆர்டர்கள் எதுவும் இல்லை",
+    emptyScheduledBody:
+      "முன்கூட்டியே ஆர்டர் செய்ய செலுத்தும்போது \"பின்னர் டெலிவரி\" என்பதைத் தேர்ந்தெடுக்கவும்",
+    emptyPastBody: "உங்கள் ஆர்டர் வரலாறு இங்கே தோன்றும்",
+    browse: "உணவகங்களைப் பார்",
+    loginTitle: "தயவுசெய்து உள்நுழையவும்",
+    loginBody:
+      "உங்கள் ஆர்டர்களைப் பார்க்கவும் டெலிவரிகளைக் கண்காணிக்கவும் உள்நுழையவும்",
+    loginCta: "உள்நுழை",
+    progress: {
+      placed: "ஆர்டர் செய்யப்பட்டது",
+      preparing: "உங்கள் ஆர்டர் தயாராகிறது",
+      ready: "எடுத்துச் செல்லத் தயார்",
+      driverAssigned: "ஓட்டுநர் நியமிக்கப்பட்டார்",
+      pickedUp: "ஆர்டர் எடுக்கப்பட்டது",
+      onTheWay: "உங்களை நோக்கி வருகிறது",
+      delivered: "டெலிவரி செய்யப்பட்டது",
+    },
+  },
+
+  driverProfile: {
+    title: "என் சுயவிவரம்",
+    subtitle: "கணக்கு விவரங்கள்",
+    defaultName: "ஓட்டுநர்",
+    myRating: "என் மதிப்பீடு",
+    ratingEmpty:
+      "இதுவரை மதிப்பீடுகள் இல்லை. ஒவ்வொரு டெலிவரிக்குப் பிறகும் வாடிக்கையாளர்கள் உங்களை மதிப்பிடலாம்.",
+    ratingUnavailable: "மதிப்பீடு தற்போது கிடைக்கவில்லை.",
+    personalInfo: "தனிப்பட்ட தகவல்",
+    fullName: "முழு பெயர்",
+    email: "மின்னஞ்சல் முகவரி",
+    phone: "தொலைபேசி எண்",
+    workInfo: "பணித் தகவல்",
+    workingTime: "பணி நேரம்",
+    status: "நிலை",
+    vehicleNumber: "வாகன எண்",
+    loading: "சுயவிவரம் ஏற்றுகிறது...",
+    workingTimes: {
+      full_time: "முழு நேரம்",
+      day: "பகல் பணி (காலை 5 - மாலை 7)",
+      night: "இரவுப் பணி (மாலை 6 - காலை 6)",
+      part_time_morning: "காலைப் பணி",
+      part_time_evening: "மாலைப் பணி",
+    },
+  },
+
+  eta: {
+    arrivingSoon: "விரைவில் வந்துவிடும்",
+    lessThanMinute: "ஒரு நிமிடத்திற்கும் குறைவு",
+    minutes: {
+      one: "{{count}} நிமிடம்",
+      other: "{{count}} நிமிடங்கள்",
+    },
+    hours: {
+      one: "{{count}} மணி",
+      other: "{{count}} மணிநேரம்",
+    },
+    hoursAndMinutes: "{{hours}} {{minutes}}",
+    range: "{{min}}-{{max}} நிமிடங்கள்",
+    clockRange: "{{start}} - {{end}}",
+  },
+
+  time: {
+    justNow: "இப்போது",
+    minutesAgo: "{{count}} நிமி. முன்பு",
+    hoursAgo: "{{count}} மணி. முன்பு",
+    daysAgo: "{{count}} நாள் முன்பு",
+  },
+
+  groupCart: {
+    title: "குழு ஆர்டர்",
+    notFound: "இந்தக் குழு ஆர்டர் இனி கிடைக்காது.",
+    statusOpen: "திறந்துள்ளது",
+    statusLocked: "பூட்டப்பட்டது",
+    statusCheckedOut: "ஆர்டர் செய்யப்பட்டது",
+    inviteCode: "அழைப்புக் குறியீடு",
+    invite: "அழை",
+    inviteMessage:
+      "{{restaurant}} இலிருந்து என் குழு ஆர்டரில் சேர்ந்து உங்களுக்கு " +
+      "வேண்டியதைச் சேர்க்கவும்: {{link}}",
+    joinTitle: "சேர உங்கள் பெயரைச் சேர்க்கவும்",
+    namePlaceholder: "உங்கள் பெயர்",
+    join: "குழு ஆர்டரில் சேர்",
+    you: "(நீங்கள்)",
+    host: "ஏற்பாட்டாளர்",
+    noItems: "இதுவரை எதுவும் சேர்க்கப்படவில்லை",
+    addItems: "பொருட்களைச் சேர்",
+    itemsTotal: {
+      one: "{{count}} பொருள்",
+      other: "{{count}} பொருட்கள்",
+    },
+    lock: "கூடையைப் பூட்டு",
+    unlock: "திற",
+    lockHint: "அனைவரும் முடித்ததும் செலுத்துவதற்குக் கூடையைப் பூட்டவும்.",
+    lockedByHost: "ஏற்பாட்டாளர் கூடையைப் பூட்டியுள்ளார்.",
+    hostChecksOut: "ஏற்பாட்டாளர் அனைவருக்குமாகச் செலுத்துவார்.",
+    checkout: "செலுத்துக",
+    checkoutTitle: "குழுவுக்காகச் செலுத்தவா?",
+    checkoutBody:
+      "அனைவரின் பொருட்களும் உங்கள் கூடைக்கு மாறும், முழு ஆர்டருக்கும் " +
+      "நீங்கள் செலுத்துவீர்கள்.",
+    checkoutFailed: "குழுக் கூடைக்குச் செலுத்த முடியவில்லை.",
+    checkedOutNotice: "ஏற்பாட்டாளர் இந்த ஆர்டரைச் செய்துள்ளார்.",
+  },
+
+  reorder: {
+    title: "மீண்டும் ஆர்டர் செய்",
+    reviewHint:
+      "நீங்கள் கடைசியாக ஆர்டர் செய்த பிறகு சில மாறியுள்ளன. கீழே அவற்றைச் " +
+      "சரிபார்க்கவும்.",
+    unavailable: "இனி கிடைக்காது",
+    sizeChanged: "இப்போது {{size}} ஆக மட்டுமே கிடைக்கும்",
+    priceChanged: "விலை {{from}} இலிருந்து {{to}} ஆக மாறியது",
+    addOnsRemoved: "இனி வழங்கப்படாத கூடுதல்கள்: {{names}}",
+    substituteTitle: "இதற்குப் பதிலாக முயற்சிக்கவும்",
+    skip: "நீக்கு",
+    include: "மீண்டும் சேர்",
+    itemCount: {
+      one: "{{count}} பொருள்",
+      other: "{{count}} பொருட்கள்",
+    },
+    addToCart: "கூடையில் சேர்",
+    addFailed: "இந்தப் பொருட்களை உங்கள் கூடையில் சேர்க்க முடியவில்லை.",
+    partialTitle: "சில பொருட்கள் சேர்க்கப்படவில்லை",
+    partialBody: "சேர்க்க முடியாதவை: {{items}}",
+  },
+
+  deliveryPin: {
+    label: "டெலிவரி PIN",
+    customerHint:
+      "உங்கள் ஆர்டரைப் பெறும்போது மட்டுமே இதை உங்கள் ஓட்டுநருடன் பகிரவும்.",
+    required: "ஒப்படைக்கும்போது வாடிக்கையாளர் PIN தேவை",
+    enterTitle: "டெலிவரி PIN ஐ உள்ளிடவும்",
+    unreachableTitle: "வாடிக்கையாளரைத் தொடர்பு கொள்ள முடியவில்லை",
+    enterHint:
+      "வாடிக்கையாளரின் செயலியில் காட்டப்படும் {{length}} இலக்க PIN ஐக் " +
+      "கேட்கவும்.",
+    cantReach: "வாடிக்கையாளரைத் தொடர்பு கொள்ள முடியவில்லையா?",
+    fallbackHint:
+      "ஒப்படைப்பின் புகைப்படம் எடுத்து ஒரு காரணத்தைத் தேர்ந்தெடுக்கவும். " +
+      "ஆர்டர் மதிப்பாய்வுக்காகக் குறிக்கப்படும்.",
+    usePin: "அதற்குப் பதிலாக PIN ஐ உள்ளிடு",
+    confirm: "டெலிவரியை உறுதிப்படுத்து",
+    reasons: {
+      no_answer: "வாடிக்கையாளர் பதிலளிக்கவில்லை",
+      left_at_door: "அறிவுறுத்தியபடி வாசலில் வைக்கப்பட்டது",
+      handed_to_other: "வேறொருவரிடம் ஒப்படைக்கப்பட்டது",
+      pin_unknown: "வாடிக்கையாளரிடம் PIN இல்லை",
+    },
+  },
+
+  unreachable: {
+    start: "வந்தடைந்தேன் – வாடிக்கையாளரைத் தொடர்பு கொள்ள முடியவில்லை",
+    title: "வாடிக்கையாளரைத் தொடர்பு கொள்ள முடியவில்லை",
+    waitOver: "காத்திருப்பு முடிந்தது",
+    waitOverHint:
+      "இப்போது இந்த ஆர்டரை டெலிவரி செய்ய முடியாதது எனக் குறிக்கலாம்.",
+    waitingHint:
+      "வாடிக்கையாளருக்கு அறிவிக்கப்பட்டது. நேரம் முடியும் வரை " +
+      "அழைத்துக்கொண்டே இருங்கள்.",
+    call: "📞 வாடிக்கையாளரை அழை",
+    callAttempts: "📞 வாடிக்கையாளரை அழை ({{count}} முறை முயன்றது)",
+    markUndeliverable: "டெலிவரி செய்ய முடியாதது எனக் குறி",
+    startFailed: "தொடங்க முடியவில்லை",
+    tryAgain: "மீண்டும் முயற்சிக்கவும்",
+    noPhoneTitle: "தொலைபேசி எண் இல்லை",
+    noPhoneBody: "இந்த வாடிக்கையாளரின் தொலைபேசி எண் பதிவில் இல்லை.",
+    confirmTitle: "டெலிவரி செய்ய முடியாதது எனக் குறிக்கவா?",
+    confirmBody: "தீர்வுக்காக ஆர்டர் செயல்பாட்டுக் குழுவுக்குச் செல்லும்.",
+    failed: "தோல்வியடைந்தது",
+    sentToOperations:
+      "மதிப்பாய்வுக்காக ஆர்டர் செயல்பாட்டுக் குழுவுக்கு அனுப்பப்பட்டது",
+  },
+
+  orderIssue: {
+    title: "சிக்கலைப் புகாரளி",
+    reportLink: "சிக்கலைப் புகாரளி",
+    yourReport: "உங்கள் புகார்",
+    requested: "கோரியது ரூ. {{amount}}",
+    requestedApproved:
+      "கோரியது ரூ. {{requested}} · அங்கீகரித்தது ரூ. {{approved}}",
+    restaurant: "உணவகம்",
+    openNote:
+      "உங்கள் புகார் மதிப்பாய்வு செய்யப்படுகிறது. அது தீர்க்கப்பட்டதும் " +
+      "வேறொரு சிக்கலைப் புகாரளிக்கலாம்.",
+    whatWentWrong: "என்ன தவறு நடந்தது?",
+    affectedItems: "பாதிக்கப்பட்ட பொருட்கள்",
+    details: "விவரங்கள்",
+    detailsPlaceholder: "என்ன நடந்தது என்று சொல்லுங்கள்",
+    addPhoto: "புகைப்படம் சேர்",
+    whatWouldYouLike: "உங்களுக்கு என்ன வேண்டும்?",
+    amount: "தொகை (ரூ.)",
+    upTo: "ரூ. {{amount}} வரை",
+    lineAmount: "ரூ. {{amount}}",
+    submit: "புகாரைச் சமர்ப்பி",
+    almostThere: "கிட்டத்தட்ட முடிந்தது",
+    reportedTitle: "சிக்கல் புகாரளிக்கப்பட்டது",
+    reportedBody: "உணவகத்திற்குத் தெரிவித்துள்ளோம். நிலையை இங்கே பின்தொடரலாம்.",
+    errorTitle: "பிழை",
+    submitFailed: "சிக்கலைப் புகாரளிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.",
+    permissionTitle: "அனுமதி தேவை",
+    permissionBody:
+      "புகைப்படங்களை இணைக்க உங்கள் புகைப்படங்களுக்கான அணுகலை அனுமதிக்கவும்.",
+    otherReason: "சிக்கல்",
+    approvedAmount: "அங்கீகரித்தது {{amount}}",
+    restaurantAcceptsFault: "உணவகம் · தவறை ஏற்கிறது",
+    reasons: {
+      missing_item: "பொருள் இல்லை",
+      wrong_item: "தவறான பொருள்",
+      damaged: "சேதமடைந்தது அல்லது சிந்தியது",
+      quality: "உணவின் தரம் குறைவு",
+      late: "மிகவும் தாமதமாக வந்தது",
+    },
+    resolutions: {
+      refund: "கட்டண முறைக்குத் திருப்பிச் செலுத்து",
+      credit: "வாலட் கிரெடிட்",
+    },
+    statuses: {
+      submitted: "சமர்ப்பிக்கப்பட்டது",
+      restaurant_responded: "உணவகம் பதிலளித்தது",
+      approved: "அங்கீகரிக்கப்பட்டது",
+      partially_approved: "பகுதியளவு அங்கீகரிக்கப்பட்டது",
+      rejected: "நிராகரிக்கப்பட்டது",
+      refunded: "திருப்பிச் செலுத்தப்பட்டது",
+    },
+    validation: {
+      reason: "என்ன தவறு நடந்தது என்பதைத் தேர்ந்தெடுக்கவும்.",
+      items: "பாதிக்கப்பட்ட பொருட்களைத் தேர்ந்தெடுக்கவும்.",
+      resolution:
+        "திருப்பிச் செலுத்துதல் அல்லது கிரெடிட்டைத் தேர்ந்தெடுக்கவும்.",
+      amount: "கோரும் தொகையை உள்ளிடவும்.",
+    },
+  },
+
+  shifts: {
+    title: "ஷிஃப்டுகள்",
+    menuSubtitle: "மண்டல வாரியாக டெலிவரி ஷிஃப்டுகளை முன்பதிவு செய்",
+    today: "இன்று",
+    tomorrow: "நாளை",
+    loadFailed: "ஷிஃப்டுகளை ஏற்ற முடியவில்லை",
+    bookTitle: "ஷிஃப்டை முன்பதிவு செய்",
+    bookFailed: "இந்த ஷிஃப்டை முன்பதிவு செய்ய முடியவில்லை",
+    cancelTitle: "ஷிஃப்டை ரத்து செய்",
+    cancelZoneBody: "{{day}}, {{time}} அன்று {{zone}} ஷிஃப்டை ரத்து செய்யவா?",
+    cancelBody: "{{day}}, {{time}} அன்று இந்த ஷிஃப்டை ரத்து செய்யவா?",
+    cancelFailed: "இந்த ஷிஃப்டை ரத்து செய்ய முடியவில்லை",
+    keep: "வைத்திரு",
+    cancel: "ரத்து செய்",
+    myShifts: "என் ஷிஃப்டுகள்",
+    noShows: {
+      one: "{{count}} வருகையின்மை",
+      other: "{{count}} வருகையின்மைகள்",
+    },
+    noBookings:
+      "ஷிஃப்டுகள் எதுவும் முன்பதிவு செய்யப்படவில்லை. கீழே ஒரு நாளையும் " +
+      "மண்டலத்தையும் தேர்ந்தெடுக்கவும்.",
+    zoneFallback: "மண்டலம்",
+    checkInHint:
+      "வருகையைப் பதிவு செய்ய ஷிஃப்ட் தொடங்கி {{minutes}} நிமிடங்களுக்குள் " +
+      "ஆன்லைனில் வரவும். தவறவிட்ட ஷிஃப்டுகள் வருகையின்மையாகக் குறிக்கப்படும்.",
+    availableSlots: "கிடைக்கும் நேர இடங்கள்",
+    noSlots:
+      "இந்த மண்டலத்தில் இந்த நாளுக்கு இதுவரை நேர இடங்கள் திறக்கப்படவில்லை.",
+    peak: "{{peak}} உச்ச நேரம்",
+    driversOpen: "{{booked}} / {{capacity}} ஓட்டுநர்கள் · {{open}} காலி",
+    driversFull: "{{booked}} / {{capacity}} ஓட்டுநர்கள் · நிரம்பியது",
+    full: "நிரம்பியது",
+    book: "முன்பதிவு செய்",
+    booked: "முன்பதிவு செய்யப்பட்டது",
+    peaks: {
+      lunch: "மதிய உணவு",
+      dinner: "இரவு உணவு",
+    },
+    statuses: {
+      booked: "முன்பதிவு செய்யப்பட்டது",
+      checked_in: "வருகை பதிவானது",
+      completed: "முடிந்தது",
+      no_show: "வரவில்லை",
+      cancelled: "ரத்து செய்யப்பட்டது",
+    },
+    reminderTitle: "{{lead}} இல் ஷிஃப்ட்",
+    reminderBody:
+      "{{zone}} · {{time}}. வருகையின்மையைத் தவிர்க்கத் தொடக்கத்திலிருந்து " +
+      "{{minutes}} நிமிடங்களுக்குள் ஆன்லைனில் வரவும்.",
+    reminderZoneFallback: "உங்கள் மண்டலம்",
+  },
+
+  cart: {
+    loginBody: "உங்கள் கூடையைப் பார்க்க உள்நுழையவும்",
+    loginContinue: "தொடர உள்நுழையவும்",
+    customersOnly: "வாடிக்கையாளர்கள் மட்டுமே கூடையைப் பார்க்கலாம்",
+    loadFailed: "கூடையைப் பெற முடியவில்லை",
+    updateFailed: "அளவைப் புதுப்பிக்க முடியவில்லை",
+    removeTitle: "பொருளை நீக்கு",
+    removeBody: "இந்தப் பொருளைக் கூடையிலிருந்து நீக்கவா?",
+    remove: "நீக்கு",
+    removeFailed: "பொருளை நீக்க முடியவில்லை",
+    clearTitle: "கூடையை அழி",
+    clearBody: "இந்த உணவகத்தின் எல்லாப் பொருட்களையும் நீக்கவா?",
+    clear: "அழி",
+    clearFailed: "கூடையை அழிக்க முடியவில்லை",
+    emptyTitle: "உங்கள் கூடை காலியாக உள்ளது",
+    emptyBody: "தொடங்க உணவகங்களிலிருந்து பொருட்களைச் சேர்க்கவும்",
+    backToList: "உணவகங்களுக்குத் திரும்பு",
+    unavailable: "கிடைக்கவில்லை",
+    subtotal: "துணைத் தொகை",
+    addMore: "மேலும் பொருட்களைச் சேர்",
+    clearThis: "இந்தக் கூடையை அழி",
+    activeRestaurants: "செயலில் உள்ள உணவகங்கள்",
+    location: "இடம்",
+    viewItems: "பொருட்களைக் காண்க",
+    unavailableTitle: "பொருட்கள் கிடைக்கவில்லை",
+    unavailableBody:
+      "சில பொருட்கள் தற்போது கிடைக்கவில்லை ({{items}}). செலுத்தத் தொடர " +
+      "அவற்றை நீக்கவும்.",
+  },
+
+  basket: {
+    fullTitle: "கூடை நிரம்பியது",
+    fullBody: "{{count}} உணவகங்கள் வரை இணைக்கலாம்.",
+    blockedTitle: "ஒன்றாக டெலிவரி செய்ய முடியாது",
+    toggle: "பிற உணவகங்களுடன் ஒன்றாக டெலிவரி செய்",
+    summary: "{{count}} உணவகங்கள் • {{total}} • ஒரே டெலிவரி கட்டணம்",
+    checkout: "ஒன்றாகச் செலுத்து",
+    cartMissing: "உணவகக் கூடைகளில் ஒன்று இனி கிடைக்காது",
+    routeMeta: "{{count}} பிக்கப்கள் • {{km}} கி.மீ. பாதை",
+    pickTwo: "குறைந்தது இரண்டு உணவகங்களைத் தேர்ந்தெடுக்கவும்.",
+    noLocation: "இந்த உணவகங்களில் ஒன்றுக்கு இன்னும் இடம் இல்லை.",
+    tooFar:
+      "{{first}} மற்றும் {{second}} ஒன்றாக டெலிவரி செய்ய முடியாத அளவு " +
+      "தொலைவில் உள்ளன.",
+    closed: "{{name}} தற்போது மூடப்பட்டுள்ளது.",
+    someRestaurant: "ஒரு உணவகம்",
+    anotherRestaurant: "மற்றொரு உணவகம்",
+    pickedUp: "எடுக்கப்பட்டது",
+    ready: "தயார்",
+    preparing: "தயாராகிறது",
+    driverPickup: "பிக்கப் {{index}}/{{total}}: ",
+    collected: "சேகரிக்கப்பட்டது",
+  },
+
+  search: {
+    placeholder: "உணவகங்கள் அல்லது உணவைத் தேடு...",
+    restaurantsTab: "உணவகங்கள் ({{count}})",
+    foodsTab: "உணவுப் பொருட்கள் ({{count}})",
+    clear: "அழி",
+    openNow: "இப்போது திறந்துள்ளது",
+    withinKm: "{{km}} கி.மீ. க்குள்",
+    prices: {
+      under500: "ரூ.500 க்குக் கீழ்",
+      "500to1000": "ரூ.500 - 1000",
+      over1000: "ரூ.1000+",
+    },
+    recentTitle: "சமீபத்திய தேடல்கள்",
+    searching: "தேடுகிறது...",
+    tryAnother: "வேறொரு சொல்லை முயற்சிக்கவும்.",
+    matchesDiet: "என் உணவு முறைக்குப் பொருந்தும்",
+  },
+
+  dietary: {
+    tags: {
+      vegetarian: "சைவம்",
+      vegan: "வீகன்",
+      halal: "ஹலால்",
+      gluten_free: "குளுட்டன் இல்லாதது",
+    },
+    short: {
+      vegetarian: "சைவம்",
+      vegan: "வீகன்",
+      halal: "ஹலால்",
+      gluten_free: "GF",
+    },
+    spice: {
+      0: "காரமில்லை",
+      1: "லேசான காரம்",
+      2: "நடுத்தரக் காரம்",
+      3: "அதிகக் காரம்",
+    },
+    allergens: {
+      nuts: "கொட்டைகள்",
+      dairy: "பால் பொருட்கள்",
+      egg: "முட்டை",
+      gluten: "குளுட்டன்",
+      seafood: "கடல் உணவு",
+      soy: "சோயா",
+      sesame: "எள்",
+    },
+    contains: "{{allergen}} உள்ளது",
+    notMarked: "{{diet}} எனக் குறிக்கப்படவில்லை",
+    tooSpicy: "நீங்கள் விரும்புவதை விடக் காரம் ({{level}})",
+  },
+
+  navigation: {
+    navigate: "வழிகாட்டு",
+    findingRoute: "பாதையைத் தேடுகிறது…",
+    noRoute: "பாதை கிடைக்கவில்லை",
+    rerouting: "மாற்றுப் பாதை தேடுகிறது…",
+    then: "பின்னர்",
+    exit: "வெளியேறு",
+    minutes: "{{count}} நிமி.",
+    stopOf: "நிறுத்தம் {{index}} / {{count}}: {{label}}",
+    restaurant: "உணவகம்",
+    customer: "வாடிக்கையாளர்",
+    meters: "{{value}} மீ.",
+    kilometers: "{{value}} கி.மீ.",
+    metersSpoken: "{{value}} மீட்டர்",
+    kilometersSpoken: "{{value}} கிலோமீட்டர்",
+    inDistance: "{{distance}} இல், {{instruction}}",
+    onto: "{{instruction}}, {{name}} இல்",
+    depart: "புறப்படுங்கள்",
+    departOn: "{{name}} வழியாகப் புறப்படுங்கள்",
+    arrived: "நீங்கள் வந்தடைந்துவிட்டீர்கள்",
+    arriveAt: "{{stop}} ஐ அடையுங்கள்",
+    roundabout: "சுற்றுவட்டத்தின் வழியாகச் செல்லுங்கள்",
+    roundaboutExit: "சுற்றுவட்டத்தில் {{ordinal}} வெளியேற்றத்தை எடுங்கள்",
+    continueOn: "{{name}} வழியாகத் தொடருங்கள்",
+    forkLeft: "பிரிவில் இடதுபுறம் இருங்கள்",
+    forkRight: "பிரிவில் வலதுபுறம் இருங்கள்",
+    merge: "இணையுங்கள்",
+    endOfRoad: "சாலையின் முடிவில், {{maneuver}}",
+    modifiers: {
+      uturn: "U-திருப்பம் எடுங்கள்",
+      sharpRight: "கூர்மையாக வலதுபுறம் திரும்புங்கள்",
+      right: "வலதுபுறம் திரும்புங்கள்",
+      slightRight: "சற்று வலதுபுறம் செல்லுங்கள்",
+      straight: "நேராகச் செல்லுங்கள்",
+      slightLeft: "சற்று இடதுபுறம் செல்லுங்கள்",
+      left: "இடதுபுறம் திரும்புங்கள்",
+      sharpLeft: "கூர்மையாக இடதுபுறம் திரும்புங்கள்",
+      continue: "தொடருங்கள்",
+      turn: "திரும்புங்கள்",
+    },
+    ordinals: {
+      1: "1வது",
+      2: "2வது",
+      3: "3வது",
+      4: "4வது",
+      5: "5வது",
+      6: "6வது",
+      7: "7வது",
+      8: "8வது",
+      other: "{{exit}}வது",
+    },
+  },
+
+  offlineMaps: {
+    title: "ஆஃப்லைன் வரைபடங்கள்",
+    menuSubtitle: "பலவீனமான கவரேஜுக்காகச் சேமித்த வரைபடப் பகுதிகள்",
+    unavailable:
+      "இந்தப் பதிப்பில் வரைபடப் பதிவிறக்கங்கள் கிடைக்காது. அவற்றுக்குத் தனி " +
+      "வரைபட டைல் சர்வர் தேவை; பொது OpenStreetMap சர்வர்கள் ஆஃப்லைன் " +
+      "பயன்பாட்டிற்காக வரைபடங்களைச் சேமிக்க அனுமதிப்பதில்லை.",
+    errorTitle: "பிழை",
+    loadFailed: "ஆஃப்லைன் வரைபடங்களை ஏற்ற முடியவில்லை.",
+    saveFailed: "அமைப்புகளைச் சேமிக்க முடியவில்லை.",
+    incompleteTitle: "பதிவிறக்கம் முழுமையடையவில்லை",
+    incompleteBody:
+      "{{total}} டைல்களில் {{failed}} ஐச் சேமிக்க முடியவில்லை. சிறந்த " +
+      "இணைப்பில் பகுதியைப் புதுப்பிக்க முயற்சிக்கவும்.",
+    failedTitle: "பதிவிறக்கம் தோல்வியடைந்தது",
+    tryAgain: "மீண்டும் முயற்சிக்கவும்.",
+    pickZoomsTitle: "ஜூம் நிலைகளைத் தேர்ந்தெடுக்கவும்",
+    pickZoomsBody: "குறைந்தது ஒரு ஜூம் நிலையைத் தேர்ந்தெடுக்கவும்.",
+    locationTitle: "இடம் கிடைக்கவில்லை",
+    locationPermission: "உங்கள் மண்டலத்தைக் கண்டறிய இட அனுமதி தேவை.",
+    deleteTitle: "பகுதியை நீக்கு",
+    deleteBody: '"{{name}}" ஐ இந்தச் சாதனத்திலிருந்து நீக்கவா?',
+    clearTitle: "ஆஃப்லைன் வரைபடங்களை அழி",
+    clearBody: "சேமித்த எல்லா வரைபட டைல்களையும் நீக்கவா?",
+    clear: "அழி",
+    downloading: "வரைபட டைல்களைப் பதிவிறக்குகிறது",
+    progress: "{{done}} / {{total}} டைல்கள்",
+    progressFailed: "{{done}} / {{total}} டைல்கள் · {{failed}} தோல்வி",
+    storage: "சேமிப்பகம்",
+    storageHint: {
+      one:
+        "{{count}} டைல் சேமிக்கப்பட்டது. வரம்பை அடைந்ததும் குறைவாகப் " +
+        "பயன்படுத்திய டைல்கள் நீக்கப்படும்.",
+      other:
+        "{{count}} டைல்கள் சேமிக்கப்பட்டன. வரம்பை அடைந்ததும் குறைவாகப் " +
+        "பயன்படுத்திய டைல்கள் நீக்கப்படும்.",
+    },
+    storageLimit: "சேமிப்பக வரம்பு",
+    clearAll: "அனைத்தையும் அழி",
+    corridor: "டெலிவரி பாதை",
+    autoCorridor: "பாதையைத் தானாகச் சேமி",
+    autoCorridorHint:
+      "உங்கள் செயலில் உள்ள பிக்கப் மற்றும் டிராப்-ஆஃப் இடங்களுக்கான பாதையில் " +
+      "உள்ள டைல்கள்.",
+    wifiOnly: "Wi-Fi மட்டும்",
+    wifiOnlyHint: "மொபைல் டேட்டாவில் தானியங்கு பதிவிறக்கங்களைத் தவிர்.",
+    corridorZooms: "பாதை ஜூம் நிலைகள்",
+    zone: "வழக்கமான மண்டலம்",
+    zoneHint:
+      "பலவீனமான கவரேஜ் உள்ள இடங்களுக்காக நீங்கள் இப்போது இருக்கும் பகுதியைச் " +
+      "சேமிக்கவும்.",
+    radius: "ஆரம்",
+    zooms: "ஜூம் நிலைகள்",
+    estimate: "சுமார் {{count}} டைல்கள், ~{{size}}",
+    downloadZone: "என் இருப்பிடத்தைச் சுற்றிப் பதிவிறக்கு",
+    savedAreas: "சேமித்த பகுதிகள்",
+    noAreas: "இதுவரை வரைபடப் பகுதிகள் எதுவும் சேமிக்கப்படவில்லை.",
+    areaMeta: "{{cached}}/{{total}} டைல்கள் · {{size}} · ஜூம் {{zooms}}",
+    updated: "{{date}} அன்று புதுப்பிக்கப்பட்டது",
+    corridorArea: "செயலில் உள்ள டெலிவரி பாதை",
+    zoneName: "வழக்கமான மண்டலம் · {{km}} கி.மீ.",
+    errors: {
+      tooLarge:
+        "இந்தப் பகுதி சேமிக்க மிகப் பெரியது. குறைவான ஜூம் நிலைகள் அல்லது " +
+        "சிறிய ஆரத்தைத் தேர்ந்தெடுக்கவும்.",
+      noSpace: "இந்தப் பகுதி ஆஃப்லைன் வரைபடச் சேமிப்பகத்தில் பொருந்தாது.",
+      noTileServer: "ஆஃப்லைன் வரைபடங்களுக்குத் தனி வரைபட டைல் சர்வர் தேவை",
+      busy: "மற்றொரு வரைபடப் பதிவிறக்கம் நடந்துகொண்டிருக்கிறது",
+    },
+  },
+
+  offers: {
+    live: "நேரலை",
+    expiredToast: {
+      one: "சலுகை காலாவதியானது",
+      other: "சலுகைகள் காலாவதியாயின",
+    },
+    acceptanceTitle: "ஏற்பு விகிதம்",
+    lastDays: "கடந்த 30 நாட்கள்",
+    acceptedOf: {
+      one: "{{count}} சலுகையில் {{accepted}} ஏற்கப்பட்டது",
+      other: "{{count}} சலுகைகளில் {{accepted}} ஏற்கப்பட்டன",
+    },
+    noneAnswered: "இதுவரை எந்த டெலிவரி சலுகைக்கும் பதிலளிக்கவில்லை",
+    accepted: "ஏற்கப்பட்டவை",
+    declined: "நிராகரிக்கப்பட்டவை",
+    expired: "காலாவதியானவை",
+  },
+
+  menu: {
+    restaurant: "உணவகம்",
+    restaurantNotFound: "உணவகம் கிடைக்கவில்லை",
+    foodNotFound: "உணவு கிடைக்கவில்லை",
+    genericError: "ஏதோ தவறு நடந்தது",
+    errorTitle: "பிழை",
+    oops: "அச்சச்சோ!",
+    goBack: "பின்செல்",
+    loginRequiredTitle: "உள்நுழைவு தேவை",
+    loginRequiredBody: "கூடையில் பொருட்களைச் சேர்க்க உள்நுழையவும்",
+    goToLogin: "உள்நுழைவுக்குச் செல்",
+    notAllowedTitle: "அனுமதி இல்லை",
+    customersOnly: "வாடிக்கையாளர்கள் மட்டுமே கூடையில் பொருட்களைச் சேர்க்கலாம்",
+    chooseAddOnsTitle: "உங்கள் கூடுதல்களைத் தேர்ந்தெடுக்கவும்",
+    addFailed: "கூடையில் சேர்க்க முடியவில்லை",
+    priceUnknown: "இல்லை",
+    notAvailable: "தற்போது கிடைக்கவில்லை",
+    availableIn: "{{time}} இல் கிடைக்கும்",
+    availableDuring: "கிடைக்கும் நேரம்: {{times}}",
+    selectSize: "அளவைத் தேர்ந்தெடு",
+    sizeRegular: "சாதாரணம்",
+    sizeLarge: "பெரியது",
+    portion: "பகுதி {{portion}}",
+    requiredExact: "அவசியம் • {{count}} தேர்ந்தெடுக்கவும்",
+    requiredRange: "அவசியம் • {{min}}-{{max}} தேர்ந்தெடுக்கவும்",
+    optional: "விருப்பத்தேர்வு",
+    optionalUpTo: "விருப்பத்தேர்வு • {{max}} வரை",
+    soldOut: "(விற்றுத் தீர்ந்தது)",
+    quantity: "அளவு",
+    buying: "வாங்குகிறது...",
+    buyNow: "இப்போது வாங்கு",
+    adding: "சேர்க்கிறது...",
+    addToCartTotal: "கூடையில் சேர் • {{price}}",
+    loadFailed: "மெனுவை ஏற்ற முடியவில்லை",
+    thisRestaurant: "இந்த உணவகம்",
+    closedTitle: "மூடப்பட்டுள்ளது",
+    closedBody: "{{name}} தற்போது மூடப்பட்டுள்ளது",
+    closedUntil: "{{name}} தற்போது மூடப்பட்டுள்ளது. {{opens}}.",
+    groupLoginBody: "குழு ஆர்டரைத் தொடங்க உள்நுழையவும்",
+    groupStartFailed: "குழு ஆர்டரைத் தொடங்க முடியவில்லை",
+    prepTime: "தயாரிப்பு {{time}}",
+    searchPlaceholder: "மெனு பொருட்களைத் தேடு...",
+    distanceAway: "{{distance}} தொலைவில்",
+    closedBanner: "உணவகம் தற்போது மூடப்பட்டுள்ளது",
+    checkBackLater: "பின்னர் மீண்டும் பார்க்கவும்",
+    title: "மெனு",
+    resultCount: {
+      one: "{{count}} முடிவு",
+      other: "{{count}} முடிவுகள்",
+    },
+    groupOrder: "குழு ஆர்டர்",
+    emptyTitle: "பொருட்கள் எதுவும் இல்லை",
+    emptySearch: "வேறொரு தேடல் சொல்லை முயற்சிக்கவும்",
+    emptyMenu: "இந்த உணவகம் இன்னும் மெனு பொருட்களைச் சேர்க்கவில்லை",
+    viewCart: "கூடையைக் காண்க",
+    cartCount: {
+      one: "இந்த உணவகத்திலிருந்து {{count}} பொருள்",
+      other: "இந்த உணவகத்திலிருந்து {{count}} பொருட்கள்",
+    },
+    modifiers: {
+      chooseOne: '"{{group}}" க்கு ஒரு விருப்பத்தைத் தேர்ந்தெடுக்கவும்',
+      chooseAtLeast: '"{{group}}" க்குக் குறைந்தது {{count}} தேர்ந்தெடுக்கவும்',
+      chooseUpTo: '"{{group}}" க்கு {{count}} வரை தேர்ந்தெடுக்கவும்',
+    },
+  },
+
+  hours: {
+    closed: "மூடப்பட்டுள்ளது",
+    closedToday: "இன்று மூடப்பட்டுள்ளது",
+    closedTodayReason: "இன்று மூடப்பட்டுள்ளது · {{reason}}",
+    opensAt: "{{time}} க்குத் திறக்கும்",
+    opensTomorrow: "நாளை {{time}} க்குத் திறக்கும்",
+    opensOn: "{{day}} {{time}} க்குத் திறக்கும்",
+  },
+
+  home: {
+    category: "வகை",
+    popularDishes: "பிரபலமான உணவுகள்",
+    restaurantsTab: "உணவகங்கள்",
+    foodsTab: "உணவுப் பொருட்கள்",
+    allFoods: "எல்லா உணவுப் பொருட்களும்",
+    searchPlaceholder: "தேடு...",
+    noMatchesTitle: "இதுவரை பொருத்தங்கள் இல்லை",
+    noMatchesBody: "வேறொரு சொல், பொருள் பெயர் அல்லது வகையை முயற்சிக்கவும்.",
+    comingSoonTitle: "விரைவில் உங்கள் பகுதிக்கு!",
+    comingSoonBody:
+      "மிக விரைவில் உங்கள் பகுதியில் எங்கள் சேவைகளை வழங்குவோம். காத்திருங்கள்!",
+    promo: {
+      kicker: "அறிமுகச் சலுகை",
+      title: "Meezo க்கு வரவேற்கிறோம்",
+      subtitle: "உங்கள் முதல் டெலிவரிக்குச் சிறப்புச் சலுகை.",
+      feesTag: "டெலிவரி கட்டணம்",
+      only: "மட்டும்",
+      rate: "ரூ.{{rate}}",
+      perKm: " / ஒரு கி.மீ.",
+      terms: "{{km}} கி.மீ. வரை. இந்தச் சலுகை உங்கள் முதல் ஆர்டருக்கு மட்டுமே.",
+      saving: "சேமிக்கிறது...",
+      cta: "தொடங்குங்கள்",
+    },
+  },
+
+  service: {
+    unavailableTitle: "விரைவில் திரும்புவோம்",
+    unavailableBody:
+      "நாங்கள் தற்போது சிறிய இடைவேளையில் அல்லது பராமரிப்பில் உள்ளோம்.",
+    reopeningAt: "{{time}} க்கு மீண்டும் திறக்கும்",
+  },
+
+  checkout: {
+    pinRequired: "வரைபடத்தில் உங்கள் டெலிவரி இடத்தைக் குறிக்கவும்.",
+    locationDeniedTitle: "அனுமதி மறுக்கப்பட்டது",
+    locationDeniedBody: "இந்த அம்சத்தைப் பயன்படுத்த இட அனுமதியை இயக்கவும்",
+    ok: "சரி",
+    locationFailed: "உங்கள் இடத்தைப் பெற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.",
+    loginBody: "செலுத்த உள்நுழையவும்",
+    customersOnly: "வாடிக்கையாளர்கள் மட்டுமே செலுத்த முடியும்",
+    profileLoadFailed: "சுயவிவரத்தைப் பெற முடியவில்லை",
+    cartNotFound: "கூடை கிடைக்கவில்லை",
+    loadFailed: "செலுத்தும் பக்கத்தை ஏற்ற முடியவில்லை",
+    saveAddressFailed: "முகவரியைச் சேமிக்க முடியவில்லை",
+    saveFailed: "சேமிக்க முடியவில்லை",
+    saving: "சேமிக்கிறது...",
+    slotUnavailable:
+      "அந்த டெலிவரி நேரம் இனி கிடைக்காது. வேறொரு நேரத்தைத் தேர்ந்தெடுக்கவும்.",
+    cardPayment: "அட்டைக் கட்டணம்",
+    priceChanged:
+      "ஆர்டர் செய்யும்போது ஆர்டர் தொகை மாறியது. செலுத்தும் விவரங்களை " +
+      "மதிப்பாய்வு செய்து மீண்டும் ஆர்டர் செய்யவும்.",
+    alreadyPlaced:
+      "இந்த ஆர்டர் ஏற்கனவே செய்யப்பட்டது. உங்கள் ஆர்டர்களைச் சரிபார்க்கவும்.",
+    placeFailed: "ஆர்டர் செய்ய முடியவில்லை",
+    chooseSlot:
+      "உங்கள் முன்கூட்டிய ஆர்டருக்கு டெலிவரி நேரத்தைத் தேர்ந்தெடுக்கவும்.",
+    closedPreorder:
+      "உணவகம் மூடப்பட்டுள்ளது. {{opens}} - முன்கூட்டியே ஆர்டர் செய்ய " +
+      '"பின்னர் டெலிவரி" என்பதைத் தேர்ந்தெடுக்கவும்.',
+    closedNow: "உணவகம் தற்போது மூடப்பட்டுள்ளது.",
+    phoneRequired: "தொலைபேசி எண் அவசியம்",
+    addressRequired: "டெலிவரி முகவரி அவசியம்",
+    cityRequired: "நகரம் அவசியம்",
+    locationMissing:
+      "இடம் வழங்கப்படவில்லை. வரைபடத்தில் உங்கள் டெலிவரி இடத்தைக் குறிக்கவும்.",
+    beyondDistance: "{{km}} கி.மீ. க்கு அப்பால் டெலிவரி கிடைக்காது.",
+    minimumOrder: "குறைந்தபட்ச ஆர்டர் தொகை {{amount}}.",
+    feeUnavailable:
+      "டெலிவரி கட்டணம் கிடைக்கவில்லை. உங்கள் இடக் குறியைச் சரிபார்க்கவும்.",
+    calculatingPricing: "விலையைக் கணக்கிடுகிறது...",
+    deliveryLocation: "டெலிவரி இடம்",
+    editPin: "குறியைத் திருத்து",
+    priceDetails: "விலை விவரங்கள்",
+    calculatingCharges: "டெலிவரி கட்டணங்களைக் கணக்கிடுகிறது...",
+    launchOfferTitle: "அறிமுகச் சலுகை பயன்படுத்தப்பட்டது",
+    launchOfferBody:
+      "இந்த ஆர்டருக்கு டெலிவரி கட்டணச் சலுகை செயல்படுத்தப்பட்டது.",
+    promoPending: "உங்கள் ஆர்டருக்கு எதிராகக் குறியீட்டைச் சரிபார்க்கிறது...",
+    promoRow: "புரோமோ ({{code}})",
+    deliveryFee: "டெலிவரி கட்டணம்",
+    serviceFee: "சேவைக் கட்டணம்",
+    total: "மொத்தம்",
+    deliveryAddress: "டெலிவரி முகவரி",
+    addAddress: "டெலிவரி முகவரியைச் சேர்",
+    phoneNumber: "தொலைபேசி எண்",
+    noPhone: "தொலைபேசி எண் இல்லை",
+    orderSummary: "ஆர்டர் சுருக்கம்",
+    kmAway: "{{km}} கி.மீ. தொலைவில்",
+    calculating: "கணக்கிடுகிறது...",
+    locationNotProvided: "இடம் வழங்கப்படவில்லை",
+    itemFallback: "பொருள் {{number}}",
+    quantityPrice: "{{quantity}} x {{price}}",
+    noItems: "இந்தக் கூடையில் பொருட்கள் எதுவும் இல்லை.",
+    deliveryTime: "டெலிவரி நேரம்",
+    deliverNow: "இப்போது டெலிவரி",
+    deliverNowHint: "உணவகம் தயாரித்தவுடன்",
+    deliverLater: "பின்னர் டெலிவரி",
+    deliverLaterHint:
+      "உங்களுக்கு ஏற்ற நேரத்திற்கு முன்கூட்டியே ஆர்டர் செய்யுங்கள்",
+    paymentMethod: "கட்டண முறை",
+    methods: {
+      cash: "டெலிவரியின்போது பணம்",
+      card: "கிரெடிட் / டெபிட் அட்டை",
+      wallet: "Meezo வாலட்",
+    },
+    methodHints: {
+      cash: "உங்கள் ஆர்டர் வந்ததும் செலுத்துங்கள்",
+      card:
+        "உங்கள் ஆர்டரை அனுப்பும் முன் ஆன்லைனில் பாதுகாப்பாகச் செலுத்துங்கள்",
+      wallet: "உங்கள் வாலட் இருப்பிலிருந்து செலுத்துங்கள்",
+    },
+    walletBalance: "இருப்பு {{amount}}",
+    walletShort: "இருப்பு {{amount}} • இந்த ஆர்டருக்குப் போதாது",
+    paymentRetryHint:
+      "மீண்டும் முயற்சிக்கவும் அல்லது வேறொரு கட்டண முறையைத் தேர்ந்தெடுக்கவும்.",
+    processingPayment: "கட்டணத்தைச் செயலாக்குகிறது...",
+    placing: "ஆர்டர் செய்கிறது...",
+    addCity: "தொடர நகரத்தைச் சேர்க்கவும்",
+    unavailableBeyond: "{{km}} கி.மீ. க்கு அப்பால் கிடைக்காது",
+    addMore: "மேலும் {{amount}} சேர்க்கவும்",
+    placeOrder: "ஆர்டர் செய்",
+    scheduleOrder: "ஆர்டரைத் திட்டமிடு",
+    payAndPlaceOrder: "செலுத்தி ஆர்டர் செய்",
+    payAndScheduleOrder: "செலுத்தி ஆர்டரைத் திட்டமிடு",
+    actionWithTotal: "{{action}} • {{total}}",
+    backToCart: "கூடைக்குத் திரும்பு",
+    editAddressTitle: "டெலிவரி முகவரியைத் திருத்து",
+    streetAddress: "தெரு முகவரி",
+    addressPlaceholder: "முழு முகவரியை உள்ளிடவும்",
+    city: "நகரம்",
+    cityPlaceholder: "நகரத்தை உள்ளிடவும்",
+    addressFieldRequired: "முகவரி அவசியம்",
+    pinFirst: "முதலில் குறியைத் திருத்து மூலம் டெலிவரி குறியை அமைக்கவும்",
+    chooseTime: "டெலிவரி நேரத்தைத் தேர்ந்தெடுக்கவும்",
+    slotsHint:
+      "நேர இடங்கள் உணவகத்தின் திறப்பு நேரங்களையும் உங்கள் கூடையில் உள்ள " +
+      "பொருட்களின் மெனு நேரங்களையும் பின்பற்றுகின்றன.",
+    noSlots: "அடுத்த சில நாட்களில் டெலிவரி நேர இடங்கள் எதுவும் இல்லை.",
+    today: "இன்று",
+    tomorrow: "நாளை",
+    slot: "{{day}}, {{time}}",
+    errors: {
+      requestFailed: "கட்டணக் கோரிக்கை தோல்வியடைந்தது",
+      startFailed: "கட்டணத்தைத் தொடங்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.",
+      cardUnavailable: "அட்டைக் கட்டணம் தற்போது கிடைக்கவில்லை.",
+      cancelled: "கட்டணம் ரத்து செய்யப்பட்டது.",
+      declined: "உங்கள் கட்டணம் நிராகரிக்கப்பட்டது.",
+    },
+  },
+
+  orderStatus: {
+    titles: {
+      placed: "ஆர்டர் செய்யப்பட்டது!",
+      preparing: "உங்கள் ஆர்டர் தயாராகிறது",
+      ready: "ஆர்டர் தயார்",
+      driverAccepted: "ஓட்டுநர் ஏற்றுக்கொண்டார்",
+      driverAssigned: "ஓட்டுநர் நியமிக்கப்பட்டார்",
+      pickedUp: "ஆர்டர் எடுக்கப்பட்டது",
+      onTheWay: "வழியில் உள்ளது",
+      arrived: "ஓட்டுநர் வந்துவிட்டார்",
+      delivered: "டெலிவரி செய்யப்பட்டது!",
+    },
+    messages: {
+      placed:
+        "உங்கள் ஆர்டர் வெற்றிகரமாகச் செய்யப்பட்டது. உணவகத்திற்குத் " +
+        "தெரிவிக்கிறோம்.",
+      preparing: "உங்கள் சுவையான உணவு கவனத்துடன் தயாரிக்கப்படுகிறது.",
+      ready: "உங்கள் ஆர்டர் தயாராகி எடுத்துச் செல்லக் காத்திருக்கிறது.",
+      driverAccepted: "உங்கள் ஆர்டரை எடுக்க ஓட்டுநர் வந்துகொண்டிருக்கிறார்.",
+      driverAssigned: "ஓட்டுநர் நியமிக்கப்பட்டு உணவகத்தை நோக்கிச் செல்கிறார்.",
+      pickedUp: "ஓட்டுநர் விரைவில் உங்களை நோக்கி வருவார்",
+      onTheWay: "உங்கள் ஓட்டுநர் உங்கள் இடத்திற்கு வந்துகொண்டிருக்கிறார்.",
+      arrived:
+        "உங்கள் ஓட்டுநர் வந்துவிட்டார், ஆனால் உங்களைத் தொடர்பு கொள்ள " +
+        "முடியவில்லை. உங்கள் தொலைபேசிக்குப் பதிலளிக்கவும்.",
+      delivered: "உங்கள் ஆர்டர் டெலிவரி செய்யப்பட்டது. சுவைத்து மகிழுங்கள்!",
+    },
+    nextSteps: {
+      placed:
+        "உங்கள் ஆர்டரை உணவகத்திற்கு அனுப்பியுள்ளோம். ஏற்கப்பட்டதும் " +
+        "தெரிவிப்போம் இன்ஷா அல்லாஹ்",
+      preparing:
+        "உணவகம் உங்கள் ஆர்டரைத் தயாரிக்கிறது. அருகிலுள்ள ஓட்டுநர்களைத் " +
+        "தேடுகிறோம்",
+      driverAccepted: "ஓட்டுநர் உணவகத்திற்குச் சென்றுகொண்டிருக்கிறார்.",
+      pickedUp:
+        "ஓட்டுநர் உங்கள் உணவை எடுத்துவிட்டார், உங்களுக்கு டெலிவரி செய்யும் " +
+        "முன் இன்னும் ஒரு நிறுத்தம் உள்ளது.",
+      onTheWay: "உங்கள் ஓட்டுநர் உங்கள் இடத்திற்கு வந்துகொண்டிருக்கிறார்.",
+      arrived:
+        "உங்கள் ஓட்டுநர் வெளியே காத்திருக்கிறார். உங்கள் தொலைபேசிக்குப் " +
+        "பதிலளிக்கவும்.",
+      delivered: "உங்கள் ஆர்டர் வெற்றிகரமாக டெலிவரி செய்யப்பட்டது.",
+      finalizing: "உங்கள் ஆர்டர் புதுப்பிப்புகளை இறுதி செய்கிறோம்.",
+      upcoming: "{{title}}. இந்தத் திரையைத் தானாகப் புதுப்பிப்போம்.",
+    },
+    etaArrival: "எதிர்பார்க்கப்படும் வருகை : {{time}} இன்ஷா அல்லாஹ்",
+    etaRange: "எதிர்பார்க்கப்படும் வருகை : {{start}} - {{end}}",
+    assignedDriver: "நியமிக்கப்பட்ட ஓட்டுநர்",
+    yourDriver: "உங்கள் ஓட்டுநர்",
+    driverDetails: "ஓட்டுநர் விவரங்கள்",
+    driverPending: "ஓட்டுநர் தகவலை விரைவில் காட்டுவோம்.",
+    vehicle: "வாகனம்",
+    defaultVehicle: "மோட்டார் சைக்கிள்",
+    plate: "பதிவு எண்",
+    color: "நிறம்",
+    total: "மொத்தம்",
+    viewDetails: "விவரங்களைக் காண்க",
+    item: "பொருள்",
+    itemQuantity: "{{quantity}}x {{name}}",
+    loading: "ஆர்டர் ஏற்றுகிறது...",
+    thankYou: "உங்கள் ஆர்டருக்கு நன்றி!",
+    deliveryComplete: "உங்கள் டெலிவரி முடிந்து வெற்றிகரமாக வழங்கப்பட்டது.",
+    goodNote:
+      "உங்கள் உணவு உங்கள் நாளில் புன்னகையைக் கொண்டு வந்திருக்கும் என " +
+      "நம்புகிறோம். விரைவில் மீண்டும் உங்களுக்குச் சேவை செய்ய ஆவலாக உள்ளோம்.",
+    deliveredBody:
+      "உங்கள் உணவு வெற்றிகரமாக டெலிவரி செய்யப்பட்டது.\nநீங்கள் உணவை " +
+      "ரசித்திருப்பீர்கள் என நம்புகிறோம், மீண்டும் உங்களுக்குச் சேவை செய்ய " +
+      "ஆவலாக உள்ளோம்.",
+    report: "டெலிவரி அறிக்கை",
+    status: "நிலை",
+    restaurant: "உணவகம்",
+    orderNumber: "ஆர்டர் எண்",
+    notAvailable: "கிடைக்கவில்லை",
+    totalPaid: "செலுத்திய மொத்தம்",
+    deliveredTo: "டெலிவரி செய்த இடம்",
+    orderAgain: "மீண்டும் ஆர்டர் செய்",
+    backHome: "முகப்புக்குத் திரும்பு",
+    delivery: "டெலிவரி",
+    phoneCopied: "தொலைபேசி எண் நகலெடுக்கப்பட்டது!",
+    deliveryAddress: "டெலிவரி முகவரி",
+    addressFallback: "உங்கள் டெலிவரி முகவரி",
+    cancelOrder: "ஆர்டரை ரத்து செய்",
+    cancelTitle: "ஆர்டரை ரத்து செய்யவா?",
+    cancelSubtitle: "ஏன் ரத்து செய்ய விரும்புகிறீர்கள் என்று சொல்லுங்கள்",
+    cancelReasons: {
+      changedMind: "என் மனம் மாறியது",
+      betterOption: "சிறந்த தேர்வு கிடைத்தது",
+      mistake: "தவறுதலாக ஆர்டர் செய்தேன்",
+      tooLong: "டெலிவரிக்கு அதிக நேரம் ஆகிறது",
+      wrongItems: "தவறான பொருட்கள் தேர்ந்தெடுக்கப்பட்டன",
+      other: "மற்றவை",
+    },
+    reasonPlaceholder: "உங்கள் காரணத்தைத் தட்டச்சு செய்யவும்...",
+    keepOrder: "ஆர்டரை வைத்திரு",
+    confirmCancel: "ரத்தை உறுதிப்படுத்து",
+    reasonRequiredTitle: "காரணம் தேவை",
+    reasonRequiredBody:
+      "ரத்து செய்வதற்கான காரணத்தைத் தேர்ந்தெடுக்கவும் அல்லது தட்டச்சு " +
+      "செய்யவும்.",
+    missingOrderId:
+      "ஆர்டர் ஐடி இல்லை. மீண்டும் முயற்சிக்கவும் அல்லது ஆதரவைத் தொடர்பு " +
+      "கொள்ளவும்.",
+    cancelledTitle: "ஆர்டர் ரத்து செய்யப்பட்டது",
+    cancelledBody: "உங்கள் ஆர்டர் வெற்றிகரமாக ரத்து செய்யப்பட்டது.",
+    notFoundTitle: "ஆர்டர் கிடைக்கவில்லை",
+    notFoundBody:
+      "கணினியில் ஆர்டரைக் கண்டுபிடிக்க முடியவில்லை. அது ஏற்கனவே ரத்து " +
+      "செய்யப்பட்டிருக்கலாம் அல்லது செயலாக்கப்பட்டிருக்கலாம். புதுப்பித்து " +
+      "மீண்டும் முயற்சிக்கவும்.",
+    cannotCancelTitle: "ரத்து செய்ய முடியாது",
+    cannotCancelBody: "உணவகம் ஏற்கனவே உங்கள் ஆர்டரை ஏற்றுக்கொண்டது.",
+    invalidRequestTitle: "தவறான கோரிக்கை",
+    invalidRequestBody:
+      "ஆர்டரை ரத்து செய்ய முடியவில்லை. சரிபார்த்து மீண்டும் முயற்சிக்கவும்.",
+    cancelFailed:
+      "ஆர்டரை ரத்து செய்ய முடியவில்லை (பிழை: {{status}}). மீண்டும் " +
+      "முயற்சிக்கவும்.",
+    networkError:
+      "நெட்வொர்க் பிழை. உங்கள் இணைப்பைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.",
+    onTheWayTitle: "வழியில் உள்ளது 🚗",
+    onTheWayBody: "ஓட்டுநர் உங்கள் இடத்திற்குச் சென்றுகொண்டிருக்கிறார்.",
+    eta: "வருகை:",
+    distance: "தூரம்:",
+    minutes: "{{count}} நிமி.",
+    kilometers: "{{distance}} கி.மீ.",
+    updating: "புதுப்பிக்கிறது...",
+    trackHint: "வரைபடத்தில் ஓட்டுநரின் இருப்பிடத்தைக் கண்காணிக்கலாம்.",
+    reviewThanks: "உங்கள் கருத்துக்கு நன்றி!",
+    reviewTitle: "உங்கள் ஆர்டர் எப்படி இருந்தது?",
+    reviewBody:
+      "{{restaurant}}, உங்கள் பொருட்கள் மற்றும் {{driver}} ஐ மதிப்பிடுங்கள்.",
+    reviewRestaurantFallback: "உணவகம்",
+    reviewDriverFallback: "உங்கள் ஓட்டுநர்",
+    rateOrder: "உங்கள் ஆர்டரை மதிப்பிடுங்கள்",
+  },
+
+  driverRequests: {
+    notReleased: "இந்த முன்-ஆர்டர் இன்னும் ஓட்டுநர்களுக்குத் திறக்கப்படவில்லை",
+    savedOffline:
+      "ஆஃப்லைனில் சேமிக்கப்பட்டது - நீங்கள் மீண்டும் ஆன்லைனுக்கு வந்ததும் " +
+      "ஏற்கப்படும்",
+    suspendedTitle: "கணக்கு இடைநிறுத்தப்பட்டது",
+    suspendedBody:
+      "புதிய டெலிவரிகளை ஏற்கும் முன் வசூலித்த பணத்தை Meezo தளத்தில் " +
+      "செலுத்தவும்.",
+    acceptFailed: "டெலிவரியை ஏற்க முடியவில்லை",
+    accepted: "டெலிவரி ஏற்கப்பட்டது!",
+    accepting: "ஏற்கிறது...",
+    updating: "புதுப்பிக்கிறது...",
+    accept: "கோரிக்கையை ஏற்கவும்",
+    newOrder: "புதிய ஆர்டர்",
+    bulkOrder: "மொத்த ஆர்டர்",
+    dropoff: "ஒப்படைக்கும் இடம்: {{address}}",
+    pickupUnavailable: "எடுக்கும் முகவரி கிடைக்கவில்லை",
+    dropoffUnavailable: "ஒப்படைக்கும் முகவரி கிடைக்கவில்லை",
+    restaurantCity: "{{name}}, {{city}}",
+    deliveryChip: "டெலிவரி {{amount}}",
+    tipChip: "டிப் {{amount}}",
+    bonusChip: "போனஸ் {{amount}}",
+    km: "{{distance}} கி.மீ.",
+    minutes: "{{count}} நிமி.",
+  },
+
+  dashboard: {
+    driverFallback: "ஓட்டுநர்",
+    statusChangedByHours: "பணி நேரம் காரணமாக நிலை மாற்றப்பட்டது",
+    locationUnconfirmed: "உங்கள் இருப்பிடத்தை உறுதிப்படுத்த முடியவில்லை.",
+    syncFailed: "கிடைக்கும் டெலிவரிகளை ஒத்திசைக்க முடியவில்லை ({{status}})",
+    serverBusy:
+      "சர்வர் பரபரப்பாக உள்ளது. சேமித்த கோரிக்கைகளைக் காட்டி, இடைவெளியுடன் " +
+      "மீண்டும் முயற்சிக்கிறது...",
+    updateRequestsFailed: "அருகிலுள்ள கோரிக்கைகளைப் புதுப்பிக்க முடியவில்லை",
+    cannotToggle: "இப்போது நிலையை மாற்ற முடியாது",
+    sessionUnavailable:
+      "அமர்வு கிடைக்கவில்லை. காத்திருந்து மீண்டும் முயற்சிக்கவும்.",
+    statusUpdated: "நிலை {{status}} ஆகப் புதுப்பிக்கப்பட்டது",
+    statusUpdateFailed: "நிலையைப் புதுப்பிக்க முடியவில்லை",
+    outsideHoursTitle: "பணி நேரத்திற்கு வெளியே",
+    workingTimeIs: "உங்கள் பணி நேரம் {{workingTime}} என அமைக்கப்பட்டுள்ளது.",
+    outsideHoursBody:
+      "நீங்கள் தற்போது திட்டமிட்ட பணி நேரத்திற்கு வெளியே உள்ளீர்கள்.",
+    unknownWorkingTime: "தெரியவில்லை",
+    goOnlineAnyway: "இருந்தாலும் ஆன்லைனுக்குச் செல்ல விரும்புகிறீர்களா?",
+    goOnline: "ஆன்லைனுக்குச் செல்",
+    statusOnline: "நிலை: ஆன்லைன்",
+    statusOffline: "நிலை: ஆஃப்லைன்",
+    receivingRequests: "அருகிலுள்ள கோரிக்கைகளைப் பெறுகிறது",
+    notReceivingRequests: "கோரிக்கைகளைப் பெறவில்லை",
+    outsideHoursNotice:
+      "⏰ நீங்கள் தற்போது பணி நேரத்திற்கு வெளியே உள்ளீர்கள். திட்டமிட்ட " +
+      "நேரத்தில் டெலிவரிகளை ஏற்கலாம்.",
+    withinHoursNotice:
+      "💡 நீங்கள் பணி நேரத்திற்குள் உள்ளீர்கள். டெலிவரி கோரிக்கைகளைப் பெறத் " +
+      "தொடங்க உங்கள் நிலையைச் செயல்படுத்தவும்.",
+    activeNotice:
+      "✅ நீங்கள் செயலில் உள்ளீர்கள், டெலிவரி கோரிக்கைகளைப் பெறலாம்!",
+    withinHours: "பணி நேரத்திற்குள்",
+    manualOverride: "கைமுறை மாற்றம் செயலில் (பணி நேரத்திற்கு வெளியே)",
+    outsideHours: "பணி நேரத்திற்கு வெளியே",
+    nextStatusChange: "அடுத்த தானியங்கி நிலை மாற்றம்: {{time}}",
+    todayEarnings: "இன்றைய வருமானம்",
+    todayDeliveries: "இன்றைய டெலிவரிகள்",
+    balanceToReceive: "பெற வேண்டிய இருப்பு",
+    activeDeliveries: "செயலில் உள்ள டெலிவரிகள் ({{count}})",
+    viewAll: "அனைத்தையும் காண்க",
+    customerAddress: "வாடிக்கையாளர் முகவரி",
+    orderNumber: "ஆர்டர் #{{number}}",
+    notAvailable: "இல்லை",
+    statuses: {
+      accepted: "ஏற்கப்பட்டது",
+      picked_up: "எடுக்கப்பட்டது",
+      on_the_way: "வழியில்",
+      at_customer: "வாடிக்கையாளரிடம்",
+    },
+    offlineWithActive:
+      "நீங்கள் ஆஃப்லைனில் உள்ளீர்கள், ஆனால் செயலில் உள்ள டெலிவரிகள் உள்ளன. " +
+      "உங்கள் வருமானத்தைப் பெற இந்த டெலிவரிகளை முடிக்கவும்.",
+    nearbyRequests: "அருகிலுள்ள கோரிக்கைகள் ({{count}})",
+    completeActiveTitle: "உங்கள் செயலில் உள்ள டெலிவரிகளை முடிக்கவும்",
+    completeActiveBody:
+      "தற்போதைய டெலிவரிகளை முடித்த பிறகு ஆன்லைனுக்குச் செல்லலாம்",
+    offlineTitle: "நீங்கள் தற்போது ஆஃப்லைனில் உள்ளீர்கள்",
+    offlineBody: "டெலிவரி கோரிக்கைகளைப் பெற ஆன்லைனுக்குச் செல்லவும்",
+    syncingLatest:
+      "சமீபத்திய டெலிவரிகளுடன் அருகிலுள்ள கோரிக்கைகளைப் புதுப்பிக்கிறது...",
+    updateFailedTitle: "கோரிக்கைகளைப் புதுப்பிக்க முடியவில்லை",
+    retryUpdate: "மீண்டும் புதுப்பி",
+    noRequestsTitle: "அருகில் கோரிக்கைகள் இல்லை",
+    noRequestsBody: "புதிய ஆர்டர்கள் இங்கே தோன்றும்",
+    syncing: "அருகிலுள்ள கோரிக்கைகளைப் புதுப்பிக்கிறது...",
+    showMore: "மேலும் காட்டு (+{{count}})",
+    monthlyPerformance: "மாதாந்திர செயல்திறன்",
+    monthEarnings: "மாத வருமானம்",
+    monthDeliveries: "மாத டெலிவரிகள்",
+    recentDeliveries: "சமீபத்திய டெலிவரிகள்",
+  },
+
+  availableDeliveries: {
+    activeBlock: "முதலில் நீங்கள் எடுத்த டெலிவரியை முடிக்கவும்.",
+    location: {
+      loading: "கிடைக்கும் டெலிவரிகள் ஏற்றுகிறது...",
+      permission: "இருப்பிட அனுமதி தேவை",
+      confirming:
+        "உங்கள் தற்போதைய இருப்பிடத்தை உறுதிப்படுத்துகிறது " +
+        "({{attempt}}/{{max}})...",
+      confirmed: "இருப்பிடம் உறுதிப்படுத்தப்பட்டது",
+      recent: "சமீபத்தில் உறுதிப்படுத்திய இருப்பிடத்தைப் பயன்படுத்துகிறது",
+      failed: "இருப்பிடத்தை உறுதிப்படுத்த முடியவில்லை",
+      turnOnGps:
+        "உங்கள் தற்போதைய இருப்பிடத்தை உறுதிப்படுத்த முடியவில்லை. GPS ஐ " +
+        "இயக்கி மீண்டும் முயற்சிக்கவும்.",
+      enableGps:
+        "உங்கள் இருப்பிடத்தை உறுதிப்படுத்த முடியவில்லை. GPS ஐ இயக்கி " +
+        "மீண்டும் முயற்சிக்கவும்.",
+    },
+    noDriverLocation:
+      "சரியான ஓட்டுநர் இருப்பிடம் இல்லாமல் டெலிவரிகளைப் பெற முடியாது.",
+    errors: {
+      offline: "இணைய இணைப்பு இல்லை. மீண்டும் முயற்சிக்கிறது...",
+      server: "சர்வர் பிழை. மீண்டும் முயற்சிக்கவும்.",
+      auth: "அங்கீகாரம் தோல்வியடைந்தது. மீண்டும் உள்நுழையவும்.",
+      fetchFailed: "டெலிவரிகளைப் பெற முடியவில்லை",
+    },
+    updatingRequests: "கோரிக்கைகளைப் புதுப்பிக்கிறது...",
+    syncing: "டெலிவரி கோரிக்கைகளைப் புதுப்பிக்கிறது...",
+    deliveringTitle: "தற்போது டெலிவரி செய்கிறது",
+    goToActive: "செயலில் உள்ள டெலிவரிகளுக்குச் செல்",
+    emptyTitle: "உங்கள் அருகில் டெலிவரிகள் இல்லை",
+    maxReached:
+      "அதிகபட்சம் {{max}} டெலிவரிகளை அடைந்துவிட்டீர்கள். முதலில் சில " +
+      "டெலிவரிகளை முடிக்கவும்.",
+    emptyBody:
+      "இப்போது உங்கள் பகுதியில் டெலிவரி கோரிக்கைகள் இல்லை. புதிய ஆர்டர்கள் " +
+      "வரும்போது தெரிவிப்போம்!",
+    refresh: "புதுப்பி",
+    viewActive: "செயலில் உள்ளவை ({{count}})",
+    card: {
+      noPickup: "எடுக்கும் முகவரி இல்லை",
+      noDropoff: "ஒப்படைக்கும் முகவரி இல்லை",
+      totalEarnings: "மொத்த வருமானம்",
+      pickup: "எடுக்கும் இடம்:",
+      dropoff: "ஒப்படைக்கும் இடம்:",
+      customer: "வாடிக்கையாளர்",
+      orderItems: "ஆர்டர் பொருட்கள்:",
+      cannotAccept: "ஏற்க முடியாது",
+      acceptStacked: "கூடுதல் டெலிவரியை ஏற்கவும்",
+      accept: "டெலிவரியை ஏற்கவும்",
+    },
+  },
+
+  activeDeliveries: {
+    title: "செயலில் உள்ள டெலிவரிகள்",
+    calculating: "கணக்கிடுகிறது...",
+    eta: {
+      one: "~{{count}} நிமி.",
+      other: "~{{count}} நிமி.",
+    },
+    nextPickup: "அடுத்த எடுப்பு",
+    pickupNumber: "எடுப்பு #{{number}}",
+    nextDelivery: "அடுத்த டெலிவரி",
+    deliveryNumber: "டெலிவரி #{{number}}",
+    unknownRestaurant: "தெரியாத உணவகம்",
+    noAddress: "முகவரி இல்லை",
+    customer: "வாடிக்கையாளர்",
+    chatWithCustomer: "வாடிக்கையாளருடன் அரட்டை",
+    startDelivery: "டெலிவரியைத் தொடங்கு",
+    deliverNow: "இப்போது டெலிவரி செய்",
+    startBadge: "தொடங்கு",
+    errors: {
+      loadPickups: "எடுப்புகளை ஏற்ற முடியவில்லை: {{message}}",
+      loadDeliveries: "டெலிவரிகளை ஏற்ற முடியவில்லை: {{message}}",
+      network: "நெட்வொர்க் பிழை: {{message}}",
+      unreachable: "சர்வருடன் இணைக்க முடியவில்லை",
+    },
+    noPickups: "எடுப்புகள் இல்லை",
+    noDeliveries: "டெலிவரிகள் இல்லை",
+    pickupsReady: {
+      one: "{{count}} எடுப்பு தயார்",
+      other: "{{count}} எடுப்புகள் தயார்",
+    },
+    deliveriesReady: {
+      one: "{{count}} டெலிவரி தயார்",
+      other: "{{count}} டெலிவரிகள் தயார்",
+    },
+    mode: "பயன்முறை: {{mode}}",
+    modes: {
+      pickup: "எடுப்பு",
+      deliver: "டெலிவரி செய்கிறது",
+    },
+    available: "கிடைப்பவை",
+    connectionError: "இணைப்புப் பிழை",
+    checkConnection:
+      "உங்கள் இணைய இணைப்பைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்",
+    empty: {
+      pickupsTitle: "செயலில் உள்ள எடுப்புகள் இல்லை",
+      deliveriesTitle: "செயலில் உள்ள டெலிவரிகள் இல்லை",
+      pickupsBody: "ஆர்டர்களை எடுக்கத் தொடங்க டெலிவரிகளை ஏற்கவும்",
+      deliveriesBody:
+        "வாடிக்கையாளர்களுக்கு டெலிவரி செய்யத் தொடங்க ஆர்டர்களை எடுக்கவும்",
+      viewAvailable: "கிடைக்கும் டெலிவரிகளைக் காண்க",
+    },
+    startPickup: "எடுப்பைத் தொடங்கு",
+    startDelivering: "டெலிவரியைத் தொடங்கு",
+    route: {
+      title: "முழு வழித்தட மேலோட்டம்",
+      summary: "ஓட்டுநர் → {{restaurants}} → {{customers}}",
+      restaurantCount: {
+        one: "{{count}} உணவகம்",
+        other: "{{count}} உணவகங்கள்",
+      },
+      customerCount: {
+        one: "{{count}} வாடிக்கையாளர்",
+        other: "{{count}} வாடிக்கையாளர்கள்",
+      },
+      kmTotal: "மொத்த கி.மீ.",
+      minEta: "நிமி. வருகை",
+      stops: "நிறுத்தங்கள்",
+      startNavigation: "முதல் நிறுத்தத்திற்கு வழிசெலுத்தலைத் தொடங்கு",
+      orderedStops: "வரிசைப்படுத்திய நிறுத்தங்கள்",
+      startingPoint: "உங்கள் இருப்பிடம் (தொடக்கப் புள்ளி)",
+      driverPosition: "ஓட்டுநர் இருப்பிடம்",
+      pickupOrder: "ஆர்டர் #{{number}} ஐ எடு",
+      deliverOrder: "ஆர்டர் #{{number}} ஐ டெலிவரி செய்",
+      eta: "வருகை {{time}}",
+      late: "உறுதியளித்த நேரத்தை விட ~{{count}} நிமி. தாமதம்",
+      legendDriver: "ஓட்டுநர் (D)",
+      legendRestaurant: "உணவகம் (R)",
+      legendCustomer: "வாடிக்கையாளர் (C)",
+      legendRoute: "வழித்தடம்",
+    },
+  },
+
+  driverMap: {
+    noOrderNumber: "இல்லை",
+    errorTitle: "பிழை",
+    errors: {
+      statusUpdate: "டெலிவரி நிலையைப் புதுப்பிக்க முடியவில்லை",
+      pickupNotSaved:
+        "சர்வர் சரிபார்ப்பு தோல்வியடைந்தது: டெலிவரி நிலை {{status}}, " +
+        "எதிர்பார்த்தது picked_up அல்லது on_the_way. தரவுத்தளம் " +
+        "புதுப்பிக்கப்படாமல் இருக்கலாம்.",
+      deliveryNotSaved:
+        "சர்வர் சரிபார்ப்பு தோல்வியடைந்தது: டெலிவரி நிலை {{status}}, " +
+        "எதிர்பார்த்தது delivered. தரவுத்தளம் புதுப்பிக்கப்படாமல் இருக்கலாம்.",
+      pickupFailed: "எடுப்பு நிலையைப் புதுப்பிக்க முடியவில்லை",
+      deliveryFailed: "டெலிவரி நிலையைப் புதுப்பிக்க முடியவில்லை",
+      openMaps: "வரைபடச் செயலியைத் திறக்க முடியவில்லை",
+      call: "அழைப்பை மேற்கொள்ள முடியவில்லை",
+    },
+    emptyTitle: "செயலில் உள்ள டெலிவரிகள் எதுவும் இல்லை",
+    goBack: "பின்செல்",
+    upcomingPickups: "வரவிருக்கும் எடுப்புகள் ({{count}})",
+    upcomingDeliveries: "வரவிருக்கும் டெலிவரிகள் ({{count}})",
+    startDelivery: "டெலிவரியைத் தொடங்கு",
+    orderId: "ஆர்டர் ஐடி",
+    orderItems: "ஆர்டர் பொருட்கள்",
+    item: "பொருள்",
+    customerToDeliver: "டெலிவரி செய்ய வேண்டிய வாடிக்கையாளர்",
+    swipeToPickUp: "எடுக்க ஸ்வைப் செய்",
+    specialInstructions: "சிறப்பு வழிமுறைகள்",
+    totalAmount: "மொத்தத் தொகை",
+    swipeToDeliver: "டெலிவரி செய்ய ஸ்வைப் செய்",
+  },
+
+  driverSync: {
+    conflictTitle: "புதுப்பிப்பு பயன்படுத்தப்படவில்லை",
+    conflictBody:
+      "{{message}}. டெலிவரி #{{deliveryId}} சமீபத்திய நிலையுடன் " +
+      "புதுப்பிக்கப்பட்டது.",
+    queueFull:
+      "ஒத்திசைக்கக் காத்திருக்கும் புதுப்பிப்புகள் அதிகம். மேலும் " +
+      "மாற்றங்களைச் செய்யும் முன் இணையத்துடன் மீண்டும் இணைக்கவும்.",
+    sessionExpired:
+      "உங்கள் அமர்வு காலாவதியானது. நிலுவையில் உள்ள புதுப்பிப்புகளை " +
+      "ஒத்திசைக்க மீண்டும் உள்நுழையவும்.",
+    sessionExpiredTitle: "மீண்டும் உள்நுழையவும்",
+    rejected: "சர்வர் இந்தப் புதுப்பிப்பை நிராகரித்தது",
+    pendingCount: {
+      one: "{{count}} புதுப்பிப்பு ஒத்திசைக்கக் காத்திருக்கிறது",
+      other: "{{count}} புதுப்பிப்புகள் ஒத்திசைக்கக் காத்திருக்கின்றன",
+    },
+    syncing: "ஒத்திசைக்கிறது...",
+    pendingHint:
+      "நீங்கள் மீண்டும் ஆன்லைனுக்கு வந்ததும் அனுப்பப்படும் · மீண்டும் " +
+      "முயற்சிக்கத் தட்டவும்",
+    savedOffline:
+      "ஆஃப்லைனில் சேமிக்கப்பட்டது · ஆன்லைனுக்கு வந்ததும் ஒத்திசைக்கும்",
+    swipeToDeliver: "டெலிவரி செய்ய ஸ்வைப் செய்",
+  },
+
+  deliveryProof: {
+    title: "டெலிவரி சான்று",
+    optional: "விருப்பத்தேர்வு",
+    savedOffline:
+      "ஆஃப்லைனில் சேமிக்கப்பட்டது · ஆன்லைனுக்கு வந்ததும் பதிவேற்றப்படும்",
+    noPhoto: "புகைப்படம் பதிவேற்றப்படவில்லை",
+    takePhoto: "புகைப்படம் எடு",
+    retakePhoto: "மீண்டும் புகைப்படம் எடு",
+    permissionTitle: "அனுமதி",
+    permissionBody: "கேமரா அனுமதி தேவை.",
+    uploadFailed: "பதிவேற்றம் தோல்வியடைந்தது",
+    tryAgain: "மீண்டும் முயற்சிக்கவும்",
+  },
+
+  orderChat: {
+    open: "அரட்டையைத் திற",
+    unreadMany: "{{count}}+",
+    notSent: "அனுப்பப்படவில்லை · மீண்டும் முயற்சிக்கத் தட்டவும்",
+    sending: "அனுப்புகிறது...",
+    empty: "இதுவரை செய்திகள் இல்லை. வணக்கம் சொல்லுங்கள்!",
+    closed: "அரட்டை மூடப்பட்டது · இந்த ஆர்டர் முடிந்தது",
+    placeholder: "ஒரு செய்தியைத் தட்டச்சு செய்யவும்",
+    quickReplies: {
+      outside: "நான் வெளியே இருக்கிறேன்",
+      cantFindGate: "வாயிலைக் கண்டுபிடிக்க முடியவில்லை",
+      atRestaurant: "நான் உணவகத்தில் இருக்கிறேன்",
+      runningLate: "சில நிமிடங்கள் தாமதமாகிறது",
+      mainEntrance: "தயவுசெய்து பிரதான நுழைவாயிலுக்கு வாருங்கள்",
+    },
+  },
+
+  promoCode: {
+    placeholder: "விளம்பரக் குறியீடு",
+    apply: "பயன்படுத்து",
+    remove: "நீக்கு",
+    checking: "குறியீட்டைச் சரிபார்க்கிறது...",
+    youSave: "நீங்கள் {{amount}} சேமிக்கிறீர்கள்",
+    pendingHint: "செலுத்தும்போது உங்கள் ஆர்டருடன் சரிபார்க்கப்படும்",
+    invalidFormat: "சரியான விளம்பரக் குறியீட்டை உள்ளிடவும்",
+    notApplicable: "இந்தக் குறியீட்டை இந்த ஆர்டருக்குப் பயன்படுத்த முடியாது.",
+  },
+
+  reviews: {
+    heading: "மதிப்பீடுகள் மற்றும் விமர்சனங்கள்",
+    new: "புதியது",
+    count: {
+      one: "{{count}} விமர்சனம்",
+      other: "{{count}} விமர்சனங்கள்",
+    },
+    empty: "இதுவரை விமர்சனங்கள் இல்லை.",
+    emptyInvite:
+      "இதுவரை விமர்சனங்கள் இல்லை. முதலில் ஆர்டர் செய்து விமர்சியுங்கள்!",
+    unavailable: "விமர்சனங்கள் தற்போது கிடைக்கவில்லை.",
+    customerFallback: "வாடிக்கையாளர்",
+    replyTitle: "உணவகத்தின் பதில்",
+    itemFallback: "பொருள்",
+    restaurantFallback: "உணவகம்",
+    driverFallback: "உங்கள் ஓட்டுநர்",
+    rateTitle: "உங்கள் ஆர்டரை மதிப்பிடுங்கள்",
+    alreadyReviewedTitle: "ஏற்கனவே விமர்சிக்கப்பட்டது",
+    alreadyReviewedBody: "இந்த ஆர்டரை ஏற்கனவே விமர்சித்துள்ளீர்கள்.",
+    thanksTitle: "உங்கள் கருத்துக்கு நன்றி!",
+    submittedTitle: "நன்றி!",
+    submittedBody: "உங்கள் விமர்சனம் சமர்ப்பிக்கப்பட்டது.",
+    ok: "சரி",
+    almostThere: "கிட்டத்தட்ட முடிந்தது",
+    errorTitle: "பிழை",
+    submitFailed:
+      "உங்கள் விமர்சனத்தைச் சமர்ப்பிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.",
+    permissionTitle: "அனுமதி தேவை",
+    permissionBody:
+      "உங்கள் விமர்சனத்தில் புகைப்படங்களைச் சேர்க்க அவற்றை அணுக அனுமதிக்கவும்.",
+    restaurantLabel: "உணவகம்",
+    itemsLabel: "உங்கள் பொருட்கள்",
+    deliveryLabel: "டெலிவரி",
+    tapToRate: "மதிப்பிடத் தட்டவும்",
+    ratingLabels: {
+      1: "மோசம்",
+      2: "பரவாயில்லை",
+      3: "நன்று",
+      4: "மிக நன்று",
+      5: "அருமை",
+    },
+    restaurantPlaceholder:
+      "உணவு மற்றும் பொதியிடல் பற்றி மற்றவர்களுக்குச் சொல்லுங்கள்",
+    driverPlaceholder: "டெலிவரி எப்படி இருந்தது?",
+    addPhoto: "புகைப்படம் சேர்",
+    submit: "விமர்சனத்தைச் சமர்ப்பி",
+    validation: {
+      restaurant: "உணவகத்தை மதிப்பிடவும்.",
+      driver: "உங்கள் ஓட்டுநரை மதிப்பிடவும்.",
+      foods: "நீங்கள் ஆர்டர் செய்த ஒவ்வொரு பொருளையும் மதிப்பிடவும்.",
+    },
+  },
+};
+
+export default ta;
@@ -1,6 +1,16 @@
+import { DeviceEventEmitter } from "react-native";
 import { API_URL } from "../config/env";
 import { API_BASE_URL } from "../constants/api";
-import { clearAuthSession, getAccessToken } from "./authStorage";
+import authService from "../services/authService";
+import {
+  clearAuthSession,
+  getAccessToken,
+  getRefreshToken,
+  persistRefreshedTokens,
+} from "./authStorage";
+
+/** Emitted with `{ token }` after a successful silent refresh. */
+export const AUTH_TOKEN_REFRESHED_EVENT = "auth:token_refreshed";
 
 const NETWORK_MESSAGES = [
   "Network request failed",
@@ -19,10 +29,12 @@ const AUTH_BYPASS_PATHS = [
   "/auth/verify-otp",
   "/auth/resend-verification-email",
   "/auth/check-email-verified",
+  "/auth/refresh-token",
 ];
 
 let initialized = false;
 let authFailureHandler = null;
+let refreshPromise = null;
 
 const EXPLICIT_AUTH_FAILURE_CODES = new Set([
   "auth_token_invalid",
@@ -133,6 +145,53 @@ export function setAuthFailureHandler(handler) {
   authFailureHandler = handler;
 }
 
+function pickRefreshedTokens(payload = {}) {
+  const root =
+    payload?.data && typeof payload.data === "object"
+      ? payload.data
+      : payload || {};
+  return {
+    accessToken: root.token || root.accessToken || root.access_token || null,
+    refreshToken: root.refreshToken || root.refresh_token || null,
+  };
+}
+
+async function runTokenRefresh() {
+  const refreshToken = await getRefreshToken();
+  if (!refreshToken) return { ok: false, definitive: true };
+
+  try {
+    const { data } = await authService.refreshToken(refreshToken);
+    const tokens = pickRefreshedTokens(data);
+    if (!tokens.accessToken) return { ok: false, definitive: true };
+
+    await persistRefreshedTokens(tokens);
+    DeviceEventEmitter.emit(AUTH_TOKEN_REFRESHED_EVENT, {
+      token: tokens.accessToken,
+    });
+    return { ok: true, token: tokens.accessToken };
+  } catch (error) {
+    // No response means the network dropped; keep the session and let the
+    // next request try again instead of logging the user out.
+    const status = error?.response?.status;
+    return { ok: false, definitive: Boolean(status && status < 500) };
+  }
+}
+
+/**
+ * Exchange the stored refresh token for a new token pair. Concurrent
+ * callers share one in-flight refresh.
+ * @returns {Promise<{ok: boolean, token?: string, definitive?: boolean}>}
+ */
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = runTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
 export function initializeApiAuthFetch() {
   if (initialized || typeof global.fetch !== "function") return;
 
@@ -152,6 +211,10 @@ export function initializeApiAuthFetch() {
     const method = String(requestInit?.method || "GET").toUpperCase();
 
     if (!bypassAuth) {
+      // Requests started mid-refresh wait for the rotated token.
+      if (refreshPromise) {
+        await refreshPromise.catch(() => null);
+      }
       token = await getAccessToken();
       if (token) {
         headers.set("Authorization", `Bearer ${token}`);
@@ -211,7 +274,25 @@ export function initializeApiAuthFetch() {
       );
     }
 
-    const shouldLogout = await shouldForceLogoutFor401(response);
+    if (!token || isMissingTokenMessage(errorMessage)) {
+      return response;
+    }
+
+    // Another request may already have rotated the token while this one was
+    // in flight; replay with the current token before refreshing again.
+    const latestToken = await getAccessToken();
+    const refreshed =
+      latestToken && latestToken !== token
+        ? { ok: true, token: latestToken }
+        : await refreshAccessToken();
+
+    if (refreshed.ok) {
+      headers.set("Authorization", `Bearer ${refreshed.token}`);
+      return nativeFetch(url, { ...requestInit, headers });
+    }
+
+    const shouldLogout =
+      refreshed.definitive && (await shouldForceLogoutFor401(response));
     if (!shouldLogout) {
       return response;
     }
@@ -0,0 +1,52 @@
+import { API_BASE_URL } from "../constants/api";
+import { getAccessToken } from "./authStorage";
+
+/**
+ * Signed-in JSON request to the backend. FormData bodies are sent without
+ * a JSON Content-Type so fetch sets the multipart boundary. A non-2xx
+ * answer throws an Error with the server's message and `status`.
+ * @param {string} path - path after API_BASE_URL, e.g. "/orders/12/chat"
+ * @param {Object} options - fetch options, plus `errorMessage` used when
+ *   the server sends none
+ * @returns {Promise<Object>} the parsed response body
+ */
+export async function apiRequest(path, options = {}) {
+  const { errorMessage = "Request failed", ...init } = options;
+  const token = await getAccessToken();
+  if (!token) throw new Error("Not signed in");
+
+  const isFormData =
+    typeof FormData !== "undefined" && init.body instanceof FormData;
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    ...init,
+    headers: {
+      ...(isFormData ? {} : { "Content-Type": "application/json" }),
+      Authorization: `Bearer ${token}`,
+      ...(init.headers || {}),
+    },
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data?.message || errorMessage);
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Attach image-picker assets to a multipart body, one `field` part each.
+ * @param {FormData} formData
+ * @param {Array} photos - assets with { uri, fileName?, mimeType? }
+ * @param {Object} options - { field, namePrefix, max }
+ */
+export function appendPhotos(formData, photos, options = {}) {
+  const { field = "photos", namePrefix = "photo", max } = options;
+  (photos || []).slice(0, max).forEach((photo, index) => {
+    formData.append(field, {
+      uri: photo.uri,
+      name: photo.fileName || `${namePrefix}_${index + 1}.jpg`,
+      type: photo.mimeType || "image/jpeg",
+    });
+  });
+}
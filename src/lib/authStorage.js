@@ -20,6 +20,16 @@ const USER_NAME_KEY = "userName";
 const USER_EMAIL_KEY = "userEmail";
 const PROFILE_COMPLETED_KEY = "profileCompleted";
 
+// Per-user preferences kept across logout: "<prefix>" or "<prefix>:<userId>".
+// They are scoped by user id, so a different login never reads them.
+const KEPT_ON_LOGOUT_PREFIXES = ["@app_locale", "@dietary_prefs"];
+
+function isKeptOnLogout(key) {
+  return KEPT_ON_LOGOUT_PREFIXES.some(
+    (prefix) => key === prefix || String(key).startsWith(`${prefix}:`),
+  );
+}
+
 let secureStoreAvailabilityChecked = false;
 let authStorageShimInstalled = false;
 let secureStoreInitErrorMessage = null;
@@ -113,6 +123,61 @@ async function clearAccessToken() {
   ]);
 }
 
+export async function getRefreshToken() {
+  const secureStore = getSecureStoreApi();
+
+  try {
+    const secureToken = secureStore
+      ? await secureStore.getItemAsync(REFRESH_TOKEN_KEY)
+      : null;
+    if (secureToken) return secureToken;
+  } catch {
+    // Ignore secure store read failures and fallback to AsyncStorage.
+  }
+
+  return AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+async function setRefreshToken(token) {
+  if (!token) return;
+
+  const secureStore = getSecureStoreApi();
+
+  try {
+    if (secureStore) {
+      await secureStore.setItemAsync(REFRESH_TOKEN_KEY, String(token));
+    } else {
+      throw new Error("SecureStore unavailable");
+    }
+  } catch {
+    await AsyncStorage.setItem(REFRESH_TOKEN_KEY, String(token));
+    return;
+  }
+
+  // Remove the plain-text copy older builds kept in AsyncStorage.
+  await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+async function clearRefreshToken() {
+  const secureStore = getSecureStoreApi();
+
+  await Promise.allSettled([
+    secureStore
+      ? secureStore.deleteItemAsync(REFRESH_TOKEN_KEY)
+      : Promise.resolve(),
+    AsyncStorage.removeItem(REFRESH_TOKEN_KEY),
+  ]);
+}
+
+/**
+ * Store the token pair returned by /auth/refresh-token. Refresh tokens
+ * rotate, so the new one replaces the one that was just used.
+ */
+export async function persistRefreshedTokens({ accessToken, refreshToken }) {
+  await setAccessToken(accessToken);
+  await setRefreshToken(refreshToken);
+}
+
 export async function persistAuthSession(session = {}, options = {}) {
   const writes = [];
 
@@ -123,6 +188,11 @@ export async function persistAuthSession(session = {}, options = {}) {
     await setAccessToken(resolvedAccessToken);
   }
 
+  const resolvedRefreshToken = session.refreshToken || session.refresh_token;
+  if (resolvedRefreshToken) {
+    await setRefreshToken(resolvedRefreshToken);
+  }
+
   if (session.role) writes.push([ROLE_KEY, String(session.role)]);
   if (session.userId != null)
     writes.push([USER_ID_KEY, String(session.userId)]);
@@ -142,25 +212,25 @@ export async function persistAuthSession(session = {}, options = {}) {
   if (writes.length) {
     await AsyncStorage.multiSet(writes);
   }
-
-  // Remove legacy refresh token if it exists from older app builds.
-  await AsyncStorage.removeItem(REFRESH_TOKEN_KEY);
 }
 
 export async function clearAuthSession() {
   const currentUserId = await AsyncStorage.getItem(USER_ID_KEY);
 
-  await clearAccessToken();
+  await Promise.all([clearAccessToken(), clearRefreshToken()]);
 
-  // Clear all AsyncStorage data so a different login on the same device
-  // cannot hydrate stale user-specific cache (any role).
+  // Clear all other AsyncStorage data so a different login on the same
+  // device cannot hydrate stale user-specific cache (any role).
   try {
-    await AsyncStorage.clear();
-  } catch {
     const keys = await AsyncStorage.getAllKeys();
-    if (Array.isArray(keys) && keys.length > 0) {
-      await AsyncStorage.multiRemove(keys);
+    const removable = (Array.isArray(keys) ? keys : []).filter(
+      (key) => !isKeptOnLogout(key),
+    );
+    if (removable.length > 0) {
+      await AsyncStorage.multiRemove(removable);
     }
+  } catch {
+    await AsyncStorage.clear();
   }
 
   await clearDriverRequestCaches(currentUserId);
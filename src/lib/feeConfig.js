@@ -1,4 +1,8 @@
 import { API_BASE_URL } from "../constants/api";
+import {
+  DEFAULT_MENU_HOURS,
+  normalizeMenuHours,
+} from "../utils/deliverySchedule";
 
 const DEFAULT_SERVICE_FEE_TIERS = [
   { min: 0, fee: 0 },
@@ -26,6 +30,7 @@ export const DEFAULT_FEE_CONFIG = {
   delivery_fee_tiers: DEFAULT_DELIVERY_FEE_TIERS,
   order_distance_constraints: DEFAULT_DISTANCE_CONSTRAINTS,
   max_order_distance_km: 25,
+  menu_hours: DEFAULT_MENU_HOURS,
 };
 
 export async function fetchPublicFeeConfig() {
@@ -109,6 +114,7 @@ export function normalizeFeeConfig(config = {}) {
     max_order_distance_km: Number.isFinite(Number(config.max_order_distance_km))
       ? Number(config.max_order_distance_km)
       : 25,
+    menu_hours: normalizeMenuHours(config),
   };
 }
 
@@ -6,10 +6,12 @@ import { useAuth } from "../app/providers/AuthProvider";
 
 // Admin Screens
 import AdminNotifications from "../screens/admin/AdminNotifications";
+import AdminOrderIssues from "../screens/admin/AdminOrderIssues";
 import AdminBankDetailsScreen from "../screens/admin/AdminBankDetailsScreen";
 import AdminContractScreen from "../screens/admin/AdminContractScreen";
 import AdminPersonalInfoScreen from "../screens/admin/AdminPersonalInfoScreen";
 import AdminProfile from "../screens/admin/AdminProfile";
+import AdminReviews from "../screens/admin/AdminReviews";
 import AdminWithdrawals from "../screens/admin/AdminWithdrawals";
 import Categories from "../screens/admin/Categories";
 import Earnings from "../screens/admin/Earnings";
@@ -134,6 +136,8 @@ export default function AdminNavigator() {
       />
       <Stack.Screen name="AdminContract" component={AdminContractScreen} />
       <Stack.Screen name="AdminProfile" component={AdminProfile} />
+      <Stack.Screen name="AdminReviews" component={AdminReviews} />
+      <Stack.Screen name="AdminOrderIssues" component={AdminOrderIssues} />
       <Stack.Screen name="AdminWithdrawals" component={AdminWithdrawals} />
       <Stack.Screen name="Categories" component={Categories} />
       <Stack.Screen name="Earnings" component={Earnings} />
@@ -5,6 +5,8 @@ import SignupScreen from "../screens/auth/SignupScreen";
 import VerifyEmailScreen from "../screens/auth/VerifyEmailScreen";
 import CompleteProfileScreen from "../screens/auth/CompleteProfileScreen";
 import VerifyOtpScreen from "../screens/auth/VerifyOtpScreen";
+import ForgotPasswordScreen from "../screens/auth/ForgotPasswordScreen";
+import ResetPasswordScreen from "../screens/auth/ResetPasswordScreen";
 import WebViewScreen from "../screens/common/WebViewScreen";
 import AddressPickerScreen from "../screens/customer/AddressPickerScreen";
 
@@ -33,6 +35,8 @@ export default function AuthNavigator({
         options={{ gestureEnabled: false, fullScreenGestureEnabled: false }}
       />
       <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
+      <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+      <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
       <Stack.Screen
         name="CompleteProfile"
         component={CompleteProfileScreen}
@@ -8,7 +8,12 @@ import DriverAcceptedScreen from "../screens/customer/DriverAcceptedScreen";
 import OrderPickedUpScreen from "../screens/customer/OrderPickedUpScreen";
 import OrderOnTheWayScreen from "../screens/customer/OrderOnTheWayScreen";
 import OrderDeliveredScreen from "../screens/customer/OrderDeliveredScreen";
+import OrderReviewScreen from "../screens/customer/OrderReviewScreen";
+import OrderIssueScreen from "../screens/customer/OrderIssueScreen";
 import AddressPickerScreen from "../screens/customer/AddressPickerScreen";
+import GroupCartScreen from "../screens/customer/GroupCartScreen";
+import ReorderScreen from "../screens/customer/ReorderScreen";
+import WebViewScreen from "../screens/common/WebViewScreen";
 import CustomerTabs from "./CustomerTabs";
 import wrapCustomerScreen from "./wrapCustomerScreen";
 
@@ -21,8 +26,12 @@ const DriverAcceptedScreenAnimated = wrapCustomerScreen(DriverAcceptedScreen);
 const OrderPickedUpScreenAnimated = wrapCustomerScreen(OrderPickedUpScreen);
 const OrderOnTheWayScreenAnimated = wrapCustomerScreen(OrderOnTheWayScreen);
 const OrderDeliveredScreenAnimated = wrapCustomerScreen(OrderDeliveredScreen);
+const OrderReviewScreenAnimated = wrapCustomerScreen(OrderReviewScreen);
+const OrderIssueScreenAnimated = wrapCustomerScreen(OrderIssueScreen);
 const OrderTrackingScreenAnimated = wrapCustomerScreen(OrderTrackingScreen);
 const AddressPickerScreenAnimated = wrapCustomerScreen(AddressPickerScreen);
+const GroupCartScreenAnimated = wrapCustomerScreen(GroupCartScreen);
+const ReorderScreenAnimated = wrapCustomerScreen(ReorderScreen);
 
 const customerRootStackScreenOptions = {
   headerShown: false,
@@ -62,6 +71,8 @@ export default function CustomerStack() {
         name="OrderDelivered"
         component={OrderDeliveredScreenAnimated}
       />
+      <Stack.Screen name="OrderReview" component={OrderReviewScreenAnimated} />
+      <Stack.Screen name="OrderIssue" component={OrderIssueScreenAnimated} />
       <Stack.Screen
         name="OrderTracking"
         component={OrderTrackingScreenAnimated}
@@ -70,6 +81,13 @@ export default function CustomerStack() {
         name="AddressPicker"
         component={AddressPickerScreenAnimated}
       />
+      <Stack.Screen name="GroupCart" component={GroupCartScreenAnimated} />
+      <Stack.Screen name="Reorder" component={ReorderScreenAnimated} />
+      <Stack.Screen
+        name="PaymentCheckout"
+        component={WebViewScreen}
+        options={{ gestureEnabled: false }}
+      />
     </Stack.Navigator>
   );
 }
@@ -14,6 +14,7 @@ import {
   View,
 } from "react-native";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { useLocale } from "../app/providers/LocaleProvider";
 
 import CartScreen from "../screens/customer/CartScreen";
 import FoodDetailScreen from "../screens/customer/FoodDetailScreen";
@@ -37,6 +38,7 @@ import FavouritesScreen from "../screens/customer/FavouritesScreen";
 import RestaurantFoodsScreen from "../screens/customer/RestaurantFoodsScreen";
 import WebViewScreen from "../screens/common/WebViewScreen";
 import { API_BASE_URL } from "../constants/api";
+import useGroupCartInviteLink from "../hooks/useGroupCartInviteLink";
 import { getAccessToken } from "../lib/authStorage";
 import wrapCustomerScreen from "./wrapCustomerScreen";
 
@@ -378,10 +380,18 @@ function UberEatsTabBar({ state, descriptors, navigation, insets }) {
   );
 }
 
-export default function CustomerTabs() {
+export default function CustomerTabs({ navigation }) {
   const insets = useSafeAreaInsets();
+  const { t } = useLocale();
   const [cartCount, setCartCount] = useState(0);
 
+  useGroupCartInviteLink(
+    useCallback(
+      (code) => navigation.navigate("GroupCart", { code }),
+      [navigation],
+    ),
+  );
+
   const fetchCartCount = useCallback(async () => {
     try {
       const [token, role] = await Promise.all([
@@ -450,7 +460,11 @@ export default function CustomerTabs() {
         component={HomeStackScreen}
         options={{
           tabBarIcon: ({ focused }) => (
-            <TabIcon iconName="home-outline" label="Home" focused={focused} />
+            <TabIcon
+              iconName="home-outline"
+              label={t("tabs.home")}
+              focused={focused}
+            />
           ),
         }}
       />
@@ -461,7 +475,7 @@ export default function CustomerTabs() {
           tabBarIcon: ({ focused }) => (
             <TabIcon
               iconName="receipt-outline"
-              label="Orders"
+              label={t("tabs.orders")}
               focused={focused}
             />
           ),
@@ -479,7 +493,7 @@ export default function CustomerTabs() {
           tabBarIcon: ({ focused }) => (
             <TabIcon
               iconName="cart-outline"
-              label="Cart"
+              label={t("tabs.cart")}
               focused={focused}
               badge={cartCount}
             />
@@ -493,7 +507,7 @@ export default function CustomerTabs() {
           tabBarIcon: ({ focused }) => (
             <TabIcon
               iconName="person-outline"
-              label="Profile"
+              label={t("tabs.profile")}
               focused={focused}
             />
           ),
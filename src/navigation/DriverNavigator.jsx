@@ -22,6 +22,8 @@ import DriverPersonalInfoScreen from "../screens/driver/DriverPersonalInfoScreen
 import DriverProfileScreen from "../screens/driver/DriverProfileScreen";
 import DriverVehicleDetailsScreen from "../screens/driver/DriverVehicleDetailsScreen";
 import DriverWithdrawalsScreen from "../screens/driver/DriverWithdrawalsScreen";
+import OfflineMapsScreen from "../screens/driver/OfflineMapsScreen";
+import DriverShiftsScreen from "../screens/driver/DriverShiftsScreen";
 import DriverLiveLocationSync from "../components/driver/DriverLiveLocationSync";
 import WebViewScreen from "../screens/common/WebViewScreen";
 import OnboardingStep1Screen from "../screens/driver/onboarding/OnboardingStep1Screen";
@@ -38,6 +40,7 @@ import { fetchDriverActiveDeliveries } from "../services/driverActiveDeliveriesS
 import { getAccessToken } from "../lib/authStorage";
 import { API_URL } from "../config/env";
 import { useAuth } from "../app/providers/AuthProvider";
+import { useLocale } from "../app/providers/LocaleProvider";
 
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
@@ -126,6 +129,7 @@ function TabIcon({ label, focused, badge = 0 }) {
 
 function DriverTabs() {
   const insets = useSafeAreaInsets();
+  const { t } = useLocale();
   const { notifications } = useDriverDeliveryNotifications();
   const [userId, setUserId] = useState("default");
   const [availableBadgeCount, setAvailableBadgeCount] = useState(0);
@@ -149,9 +153,12 @@ function DriverTabs() {
       const normalizedStatus = String(delivery?.status || "")
         .trim()
         .toLowerCase();
-      return ["picked_up", "on_the_way", "at_customer"].includes(
-        normalizedStatus,
-      );
+      return [
+        "picked_up",
+        "on_the_way",
+        "at_customer",
+        "customer_unreachable",
+      ].includes(normalizedStatus);
     });
 
     if (!restrictedDelivery) {
@@ -246,7 +253,7 @@ function DriverTabs() {
         component={DashboardScreen}
         options={{
           tabBarIcon: ({ focused }) => (
-            <TabIcon label="Home" focused={focused} />
+            <TabIcon label={t("tabs.home")} focused={focused} />
           ),
         }}
       />
@@ -269,7 +276,7 @@ function DriverTabs() {
         options={{
           tabBarIcon: ({ focused }) => (
             <TabIcon
-              label="Available"
+              label={t("tabs.available")}
               focused={focused}
               badge={focused ? 0 : availableBadgeCount}
             />
@@ -288,7 +295,7 @@ function DriverTabs() {
         })}
         options={{
           tabBarIcon: ({ focused }) => (
-            <TabIcon label="Active" focused={focused} />
+            <TabIcon label={t("tabs.active")} focused={focused} />
           ),
         }}
       />
@@ -297,7 +304,7 @@ function DriverTabs() {
         component={DriverEarningsScreen}
         options={{
           tabBarIcon: ({ focused }) => (
-            <TabIcon label="Earnings" focused={focused} />
+            <TabIcon label={t("tabs.earnings")} focused={focused} />
           ),
         }}
       />
@@ -306,7 +313,7 @@ function DriverTabs() {
         component={PaymentStack}
         options={{
           tabBarIcon: ({ focused }) => (
-            <TabIcon label="Payment" focused={focused} />
+            <TabIcon label={t("tabs.payment")} focused={focused} />
           ),
         }}
       />
@@ -437,6 +444,8 @@ export default function DriverNavigator() {
           component={DriverDocumentsScreen}
         />
         <Stack.Screen name="DriverContract" component={DriverContractScreen} />
+        <Stack.Screen name="OfflineMaps" component={OfflineMapsScreen} />
+        <Stack.Screen name="DriverShifts" component={DriverShiftsScreen} />
         <Stack.Screen name="DriverProfile" component={DriverProfileScreen} />
         <Stack.Screen name="WebView" component={WebViewScreen} />
         <Stack.Screen
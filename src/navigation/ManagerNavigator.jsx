@@ -28,6 +28,7 @@ import DriverPaymentsScreen from "../screens/manager/drivers/DriverPaymentsScree
 import DriverRenewedDocumentsScreen from "../screens/manager/drivers/DriverRenewedDocumentsScreen";
 import DriverVerificationScreen from "../screens/manager/drivers/DriverVerificationScreen";
 import ProcessDriverPaymentScreen from "../screens/manager/drivers/ProcessDriverPaymentScreen";
+import ShiftCoverageScreen from "../screens/manager/drivers/ShiftCoverageScreen";
 
 // Restaurant Screens
 import AddAdminScreen from "../screens/manager/restaurants/AddAdminScreen";
@@ -47,6 +48,10 @@ import SalesReportsScreen from "../screens/manager/reports/SalesReportsScreen";
 import TimeAnalyticsScreen from "../screens/manager/reports/TimeAnalyticsScreen";
 import OfferManagementScreen from "../screens/manager/offers/OfferManagementScreen";
 import CreateOfferScreen from "../screens/manager/offers/CreateOfferScreen";
+import PromoCodeManagementScreen from "../screens/manager/offers/PromoCodeManagementScreen";
+import PromoCodeFormScreen from "../screens/manager/offers/PromoCodeFormScreen";
+import ReviewModerationScreen from "../screens/manager/reports/ReviewModerationScreen";
+import OrderIssuesScreen from "../screens/manager/reports/OrderIssuesScreen";
 
 const Tab = createBottomTabNavigator();
 const HomeStackNav = createNativeStackNavigator();
@@ -105,6 +110,10 @@ function DriversStack() {
         name="DriverPayments"
         component={DriverPaymentsScreen}
       />
+      <DriversStackNav.Screen
+        name="ShiftCoverage"
+        component={ShiftCoverageScreen}
+      />
       <DriversStackNav.Screen name="AddDriver" component={AddDriverScreen} />
       <DriversStackNav.Screen
         name="ProcessDriverPayment"
@@ -220,6 +229,22 @@ function ReportsStack() {
         name="CreateOffer"
         component={CreateOfferScreen}
       />
+      <ReportsStackNav.Screen
+        name="PromoCodeManagement"
+        component={PromoCodeManagementScreen}
+      />
+      <ReportsStackNav.Screen
+        name="PromoCodeForm"
+        component={PromoCodeFormScreen}
+      />
+      <ReportsStackNav.Screen
+        name="ReviewModeration"
+        component={ReviewModerationScreen}
+      />
+      <ReportsStackNav.Screen
+        name="OrderIssues"
+        component={OrderIssuesScreen}
+      />
       <ReportsStackNav.Screen
         name="OperationsConfig"
         component={OperationsConfigScreen}
@@ -0,0 +1,380 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import OrderIssueCard from "../../components/common/OrderIssueCard";
+import {
+  MAX_ISSUE_RESPONSE_LENGTH,
+  fetchAdminIssues,
+  respondToIssue,
+} from "../../services/orderIssueService";
+
+const FILTERS = [
+  { key: "open", label: "Needs response" },
+  { key: "all", label: "All" },
+];
+
+export default function AdminOrderIssues() {
+  const navigation = useNavigation();
+  const queryClient = useQueryClient();
+  const [filter, setFilter] = useState("open");
+  const [refreshing, setRefreshing] = useState(false);
+  const [respondingId, setRespondingId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [acceptsFault, setAcceptsFault] = useState(false);
+
+  const issuesQuery = useQuery({
+    queryKey: ["admin", "order-issues", filter],
+    queryFn: () => fetchAdminIssues({ openOnly: filter === "open" }),
+    staleTime: 30 * 1000,
+  });
+
+  const respondMutation = useMutation({
+    mutationFn: ({ issueId, body, fault }) =>
+      respondToIssue(issueId, { body, acceptsFault: fault }),
+    onSuccess: () => {
+      setRespondingId(null);
+      setDraft("");
+      queryClient.invalidateQueries({ queryKey: ["admin", "order-issues"] });
+    },
+    onError: (error) => {
+      Alert.alert("Error", error?.message || "Failed to send response");
+    },
+  });
+
+  const issues = issuesQuery.data || [];
+  const loading = issuesQuery.isLoading && !issuesQuery.data;
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await queryClient.invalidateQueries({
+        queryKey: ["admin", "order-issues"],
+      });
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const startResponse = (issueId) => {
+    setRespondingId(issueId);
+    setDraft("");
+    setAcceptsFault(false);
+  };
+
+  const renderResponseFooter = (issue) => {
+    if (issue.restaurant_response?.body) return null;
+    if (respondingId !== issue.id) {
+      return (
+        <TouchableOpacity
+          style={styles.respondButton}
+          onPress={() => startResponse(issue.id)}
+        >
+          <Ionicons name="chatbubble-outline" size={14} color="#06C168" />
+          <Text style={styles.respondButtonText}>Respond</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    const sending = respondMutation.isPending;
+    return (
+      <View style={styles.composer}>
+        <TextInput
+          style={styles.input}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder="Explain what happened for the operations team"
+          placeholderTextColor="#9ca3af"
+          multiline
+          maxLength={MAX_ISSUE_RESPONSE_LENGTH}
+          autoFocus
+        />
+        <TouchableOpacity
+          style={styles.faultRow}
+          onPress={() => setAcceptsFault((value) => !value)}
+        >
+          <Ionicons
+            name={acceptsFault ? "checkbox" : "square-outline"}
+            size={20}
+            color={acceptsFault ? "#06C168" : "#9ca3af"}
+          />
+          <Text style={styles.faultText}>
+            The restaurant is at fault for this issue
+          </Text>
+        </TouchableOpacity>
+        <View style={styles.actions}>
+          <TouchableOpacity
+            onPress={() => setRespondingId(null)}
+            disabled={sending}
+          >
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.sendButton,
+              (!draft.trim() || sending) && styles.sendButtonDisabled,
+            ]}
+            onPress={() =>
+              respondMutation.mutate({
+                issueId: issue.id,
+                body: draft,
+                fault: acceptsFault,
+              })
+            }
+            disabled={!draft.trim() || sending}
+          >
+            {sending ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.sendButtonText}>Send response</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top"]}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={["#06C168"]}
+            tintColor="#06C168"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={20} color="#1f2937" />
+          </TouchableOpacity>
+          <View>
+            <Text style={styles.headerTitle}>Order Issues</Text>
+            <Text style={styles.headerSubtitle}>
+              Missing, wrong or damaged orders reported by customers
+            </Text>
+          </View>
+        </View>
+
+        <View style={styles.filterTabs}>
+          {FILTERS.map((tab) => {
+            const active = filter === tab.key;
+            return (
+              <TouchableOpacity
+                key={tab.key}
+                onPress={() => setFilter(tab.key)}
+                style={[
+                  styles.filterTab,
+                  active ? styles.filterTabActive : null,
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.filterTabText,
+                    active ? styles.filterTabTextActive : null,
+                  ]}
+                >
+                  {tab.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {loading ? (
+          <ActivityIndicator
+            size="large"
+            color="#06C168"
+            style={styles.loader}
+          />
+        ) : issuesQuery.isError && !issuesQuery.data ? (
+          <Text style={styles.emptyText}>Failed to load issues</Text>
+        ) : issues.length === 0 ? (
+          <Text style={styles.emptyText}>
+            {filter === "open"
+              ? "All caught up. No issues waiting for a response."
+              : "No issues reported"}
+          </Text>
+        ) : (
+          issues.map((issue) => (
+            <OrderIssueCard
+              key={String(issue.id)}
+              issue={issue}
+              footer={renderResponseFooter(issue)}
+            />
+          ))
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f9fafb",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+
+  // Header
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 16,
+  },
+  backButton: {
+    width: 38,
+    height: 38,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#1f2937",
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: "#6b7280",
+    marginTop: 2,
+  },
+
+  filterTabs: {
+    flexDirection: "row",
+    gap: 10,
+    marginBottom: 14,
+  },
+  filterTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  filterTabActive: {
+    backgroundColor: "#06C168",
+    borderColor: "#06C168",
+  },
+  filterTabText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4b5563",
+  },
+  filterTabTextActive: {
+    color: "#fff",
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyText: {
+    marginTop: 40,
+    textAlign: "center",
+    fontSize: 14,
+    color: "#6b7280",
+  },
+
+  // Response
+  respondButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    gap: 6,
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#bbf7d0",
+    backgroundColor: "#f0fdf4",
+  },
+  respondButtonText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#06C168",
+  },
+  composer: {
+    marginTop: 10,
+  },
+  input: {
+    minHeight: 70,
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+    borderRadius: 12,
+    padding: 10,
+    fontSize: 14,
+    color: "#1f2937",
+    textAlignVertical: "top",
+  },
+  faultRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+  },
+  faultText: {
+    fontSize: 13,
+    color: "#374151",
+  },
+  actions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    gap: 16,
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#6b7280",
+  },
+  sendButton: {
+    minWidth: 120,
+    alignItems: "center",
+    paddingHorizontal: 14,
+    paddingVertical: 9,
+    borderRadius: 10,
+    backgroundColor: "#06C168",
+  },
+  sendButtonDisabled: {
+    backgroundColor: "#a7e9c6",
+  },
+  sendButtonText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#fff",
+  },
+});
@@ -0,0 +1,368 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { ReviewItem, ReviewSummary } from "../../components/common/ReviewList";
+import {
+  MAX_REVIEW_REPLY_LENGTH,
+  fetchAdminReviews,
+  replyToReview,
+} from "../../services/reviewService";
+
+const FILTERS = [
+  { key: "all", label: "All" },
+  { key: "unreplied", label: "Needs reply" },
+];
+
+export default function AdminReviews() {
+  const navigation = useNavigation();
+  const queryClient = useQueryClient();
+  const [filter, setFilter] = useState("all");
+  const [refreshing, setRefreshing] = useState(false);
+  const [replyingId, setReplyingId] = useState(null);
+  const [draft, setDraft] = useState("");
+
+  const reviewsQuery = useQuery({
+    queryKey: ["admin", "reviews", filter],
+    queryFn: () => fetchAdminReviews({ unrepliedOnly: filter === "unreplied" }),
+    staleTime: 30 * 1000,
+  });
+
+  const replyMutation = useMutation({
+    mutationFn: ({ reviewId, body }) => replyToReview(reviewId, body),
+    onSuccess: () => {
+      setReplyingId(null);
+      setDraft("");
+      queryClient.invalidateQueries({ queryKey: ["admin", "reviews"] });
+    },
+    onError: (error) => {
+      Alert.alert("Error", error?.message || "Failed to send reply");
+    },
+  });
+
+  const reviews = reviewsQuery.data?.reviews || [];
+  const summary = reviewsQuery.data?.summary;
+  const loading = reviewsQuery.isLoading && !reviewsQuery.data;
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await queryClient.invalidateQueries({ queryKey: ["admin", "reviews"] });
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const startReply = (reviewId) => {
+    setReplyingId(reviewId);
+    setDraft("");
+  };
+
+  const sendReply = (reviewId) => {
+    if (!draft.trim()) return;
+    replyMutation.mutate({ reviewId, body: draft });
+  };
+
+  const renderReplyFooter = (review) => {
+    if (review.reply?.body) return null;
+    if (replyingId !== review.id) {
+      return (
+        <TouchableOpacity
+          style={styles.replyButton}
+          onPress={() => startReply(review.id)}
+        >
+          <Ionicons name="chatbubble-outline" size={14} color="#06C168" />
+          <Text style={styles.replyButtonText}>Reply</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    const sending = replyMutation.isPending;
+    return (
+      <View style={styles.replyComposer}>
+        <TextInput
+          style={styles.replyInput}
+          value={draft}
+          onChangeText={setDraft}
+          placeholder="Write a public reply"
+          placeholderTextColor="#9ca3af"
+          multiline
+          maxLength={MAX_REVIEW_REPLY_LENGTH}
+          autoFocus
+        />
+        <View style={styles.replyActions}>
+          <TouchableOpacity
+            onPress={() => setReplyingId(null)}
+            disabled={sending}
+          >
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.sendButton,
+              (!draft.trim() || sending) && styles.sendButtonDisabled,
+            ]}
+            onPress={() => sendReply(review.id)}
+            disabled={!draft.trim() || sending}
+          >
+            {sending ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.sendButtonText}>Send reply</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top"]}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            colors={["#06C168"]}
+            tintColor="#06C168"
+          />
+        }
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Ionicons name="arrow-back" size={20} color="#1f2937" />
+          </TouchableOpacity>
+          <View>
+            <Text style={styles.headerTitle}>Reviews</Text>
+            <Text style={styles.headerSubtitle}>
+              What customers say about your restaurant
+            </Text>
+          </View>
+        </View>
+
+        {summary?.count > 0 && (
+          <View style={styles.card}>
+            <ReviewSummary summary={summary} />
+          </View>
+        )}
+
+        <View style={styles.filterTabs}>
+          {FILTERS.map((tab) => {
+            const active = filter === tab.key;
+            return (
+              <TouchableOpacity
+                key={tab.key}
+                onPress={() => setFilter(tab.key)}
+                style={[
+                  styles.filterTab,
+                  active ? styles.filterTabActive : null,
+                ]}
+              >
+                <Text
+                  style={[
+                    styles.filterTabText,
+                    active ? styles.filterTabTextActive : null,
+                  ]}
+                >
+                  {tab.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {loading ? (
+          <ActivityIndicator
+            size="large"
+            color="#06C168"
+            style={styles.loader}
+          />
+        ) : reviewsQuery.isError && !reviewsQuery.data ? (
+          <Text style={styles.emptyText}>Failed to load reviews</Text>
+        ) : reviews.length === 0 ? (
+          <Text style={styles.emptyText}>
+            {filter === "unreplied"
+              ? "All caught up. Every review has a reply."
+              : "No reviews yet"}
+          </Text>
+        ) : (
+          <View style={styles.card}>
+            {reviews.map((review) => (
+              <ReviewItem
+                key={String(review.id)}
+                review={review}
+                footer={renderReplyFooter(review)}
+              />
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f9fafb",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+
+  // Header
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 16,
+  },
+  backButton: {
+    width: 38,
+    height: 38,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#1f2937",
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: "#6b7280",
+    marginTop: 2,
+  },
+
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    marginBottom: 14,
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  filterTabs: {
+    flexDirection: "row",
+    gap: 10,
+    marginBottom: 14,
+  },
+  filterTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+  },
+  filterTabActive: {
+    backgroundColor: "#06C168",
+    borderColor: "#06C168",
+  },
+  filterTabText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4b5563",
+  },
+  filterTabTextActive: {
+    color: "#fff",
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyText: {
+    marginTop: 40,
+    textAlign: "center",
+    fontSize: 14,
+    color: "#6b7280",
+  },
+
+  // Reply
+  replyButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    gap: 6,
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#bbf7d0",
+    backgroundColor: "#f0fdf4",
+  },
+  replyButtonText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#06C168",
+  },
+  replyComposer: {
+    marginTop: 10,
+  },
+  replyInput: {
+    minHeight: 70,
+    borderWidth: 1,
+    borderColor: "#e5e7eb",
+    borderRadius: 12,
+    padding: 10,
+    fontSize: 14,
+    color: "#1f2937",
+    textAlignVertical: "top",
+  },
+  replyActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    gap: 16,
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#6b7280",
+  },
+  sendButton: {
+    minWidth: 100,
+    alignItems: "center",
+    paddingHorizontal: 14,
+    paddingVertical: 9,
+    borderRadius: 10,
+    backgroundColor: "#06C168",
+  },
+  sendButtonDisabled: {
+    backgroundColor: "#a7e9c6",
+  },
+  sendButtonText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#fff",
+  },
+});
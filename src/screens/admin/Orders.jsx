@@ -28,6 +28,12 @@ import { useSocket } from "../../context/SocketContext";
 import usePageEnterAnimation from "../../hooks/usePageEnterAnimation";
 import { getAccessToken } from "../../lib/authStorage";
 import supabaseClient from "../../services/supabaseClient";
+import { formatModifiersSummary } from "../../utils/foodModifiers";
+import {
+  formatScheduledSlot,
+  isScheduledOrder,
+  isScheduledOrderReleased,
+} from "../../utils/deliverySchedule";
 
 const ADMIN_ORDER_STATUS_EVENT = "admin:order_status_changed";
 
@@ -44,6 +50,7 @@ const STATUS_FILTERS = [
   { key: "pending", label: "New" },
   { key: "accepted", label: "Active" },
   { key: "delivered", label: "Done" },
+  { key: "scheduled", label: "Scheduled" },
 ];
 
 const SUCCESS_EARNING_STATUSES = new Set([
@@ -183,8 +190,15 @@ const getOrderPeriodAnchor = (order) => {
   );
 };
 
+// Pre-orders stay in the Scheduled tab until they are released to drivers.
+const isHeldScheduledOrder = (order) =>
+  isScheduledOrder(order) &&
+  !isScheduledOrderReleased(order) &&
+  getDeliveryStatus(order) !== "cancelled";
+
 const computeCounts = (list) => {
-  const allOrders = list || [];
+  const scheduled = (list || []).filter(isHeldScheduledOrder).length;
+  const allOrders = (list || []).filter((o) => !isHeldScheduledOrder(o));
 
   const pending = allOrders.filter(
     (o) => getDeliveryStatus(o) === "placed",
@@ -204,10 +218,11 @@ const computeCounts = (list) => {
   }).length;
 
   return {
-    all: allOrders.length,
+    all: allOrders.length + scheduled,
     pending,
     accepted,
     delivered,
+    scheduled,
   };
 };
 
@@ -375,7 +390,9 @@ export default function Orders() {
 
     if (
       requestedFilter &&
-      ["all", "pending", "accepted", "delivered"].includes(requestedFilter)
+      ["all", "pending", "accepted", "delivered", "scheduled"].includes(
+        requestedFilter,
+      )
     ) {
       setStatusFilter(requestedFilter);
     }
@@ -675,6 +692,9 @@ export default function Orders() {
           return true;
         }
 
+        // Upcoming pre-orders are listed whatever the period.
+        if (isHeldScheduledOrder(o)) return true;
+
         return false;
       }),
     [orders, period],
@@ -696,6 +716,8 @@ export default function Orders() {
         }
         
         if (statusFilter === "all") return true;
+        if (statusFilter === "scheduled") return isHeldScheduledOrder(order);
+        if (isHeldScheduledOrder(order)) return false;
         if (statusFilter === "pending") return deliveryStatus === "placed";
         if (statusFilter === "accepted") {
           return deliveryStatus === "pending" || deliveryStatus === "accepted";
@@ -1036,7 +1058,9 @@ export default function Orders() {
               ? "New Orders"
               : statusFilter === "accepted"
                 ? "Active Orders"
-                : "Completed Orders"}
+                : statusFilter === "scheduled"
+                  ? "Scheduled Orders"
+                  : "Completed Orders"}
         </Text>
 
         <ScrollView
@@ -1122,6 +1146,11 @@ export default function Orders() {
                         <Text style={styles.orderTimeText}>
                           {formatTime(order.placed_at || order.created_at)}
                         </Text>
+                        {isScheduledOrder(order) ? (
+                          <Text style={styles.scheduledForText}>
+                            Deliver {formatScheduledSlot(order.scheduled_for)}
+                          </Text>
+                        ) : null}
                       </View>
 
                       <Text style={styles.orderAmountText}>
@@ -1203,6 +1232,12 @@ export default function Orders() {
                                 </Text>
                               ) : null}
 
+                              {item.modifiers?.length > 0 ? (
+                                <Text style={styles.itemModifiersText}>
+                                  {formatModifiersSummary(item.modifiers)}
+                                </Text>
+                              ) : null}
+
                               <Text style={styles.itemUnitPrice}>
                                 Rs.
                                 {Number.parseFloat(
@@ -1649,6 +1684,12 @@ function OrderDetailsModal({
                           </Text>
                         </View>
 
+                        {item.modifiers?.length > 0 ? (
+                          <Text style={styles.itemModifiersText}>
+                            {formatModifiersSummary(item.modifiers)}
+                          </Text>
+                        ) : null}
+
                         <Text style={styles.detailItemUnitPrice}>
                           Rs.
                           {Number.parseFloat(item.unit_price || 0).toFixed(
@@ -2041,6 +2082,12 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     marginTop: 4,
   },
+  scheduledForText: {
+    color: "#7c3aed",
+    fontSize: 11,
+    fontWeight: "700",
+    marginTop: 2,
+  },
   orderAmountText: {
     color: "#4ade80",
     fontSize: 16,
@@ -2139,6 +2186,12 @@ const styles = StyleSheet.create({
     borderRadius: 999,
     textTransform: "uppercase",
   },
+  itemModifiersText: {
+    marginTop: 3,
+    fontSize: 11,
+    color: "#4b5563",
+    fontWeight: "600",
+  },
   itemUnitPrice: {
     marginTop: 2,
     color: "#6b7280",
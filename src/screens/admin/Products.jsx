@@ -23,6 +23,19 @@ import { API_URL } from "../../config/env";
 import usePageEnterAnimation from "../../hooks/usePageEnterAnimation";
 import { getAccessToken } from "../../lib/authStorage";
 import OptimizedImage from "../../components/common/OptimizedImage";
+import ModifierGroupsEditor, {
+  toModifierGroupsFormState,
+  toModifierGroupsPayload,
+} from "../../components/admin/ModifierGroupsEditor";
+import DietaryBadges from "../../components/customer/DietaryBadges";
+import { validateModifierGroupsDefinition } from "../../utils/foodModifiers";
+import {
+  ALLERGENS,
+  DIETARY_TAGS,
+  SPICE_LEVELS,
+  normalizeFoodDietary,
+  toDietaryPayload,
+} from "../../utils/dietaryTags";
 
 const FOOD_CATEGORIES = [
   "Koththu",
@@ -313,6 +326,11 @@ export default function Products() {
               <Text style={styles.productCategory} numberOfLines={1}>
                 {food.category || "others"}
               </Text>
+              <DietaryBadges
+                food={food}
+                compact
+                style={styles.productBadges}
+              />
             </View>
 
             <TouchableOpacity
@@ -375,6 +393,13 @@ export default function Products() {
                 ) : null}
               </View>
             ) : null}
+
+            {food.modifier_groups?.length > 0 ? (
+              <Text style={styles.addonCountText}>
+                {food.modifier_groups.length} add-on group
+                {food.modifier_groups.length !== 1 ? "s" : ""}
+              </Text>
+            ) : null}
           </View>
         </View>
       </View>
@@ -572,6 +597,10 @@ function AddProductModal({ visible, food, onClose, onSave }) {
     extra_price: "",
     extra_offer_price: "",
     is_available: true,
+    modifier_groups: [],
+    dietary_tags: [],
+    spice_level: null,
+    allergens: [],
   });
 
   const [, setError] = useState(null);
@@ -604,6 +633,7 @@ function AddProductModal({ visible, food, onClose, onSave }) {
 
   useEffect(() => {
     if (visible) {
+      const dietary = normalizeFoodDietary(food);
       setFormData({
         name: food?.name || "",
         category: food?.category || "others",
@@ -619,6 +649,10 @@ function AddProductModal({ visible, food, onClose, onSave }) {
         extra_price: food?.extra_price?.toString() || "",
         extra_offer_price: food?.extra_offer_price?.toString() || "",
         is_available: food?.is_available ?? true,
+        modifier_groups: toModifierGroupsFormState(food?.modifier_groups),
+        dietary_tags: dietary.dietaryTags,
+        spice_level: dietary.spiceLevel,
+        allergens: dietary.allergens,
       });
 
       setError(null);
@@ -638,6 +672,15 @@ function AddProductModal({ visible, food, onClose, onSave }) {
     }));
   };
 
+  const handleListToggle = (name, key) => {
+    setFormData((prev) => ({
+      ...prev,
+      [name]: prev[name].includes(key)
+        ? prev[name].filter((entry) => entry !== key)
+        : [...prev[name], key],
+    }));
+  };
+
   const handleImagePick = async () => {
     try {
       setError(null);
@@ -741,6 +784,15 @@ function AddProductModal({ visible, food, onClose, onSave }) {
       return;
     }
 
+    const modifierError = validateModifierGroupsDefinition(
+      formData.modifier_groups,
+    );
+    if (modifierError) {
+      setError(modifierError);
+      Alert.alert("Validation Error", modifierError);
+      return;
+    }
+
     try {
       const payload = {
         name: formData.name.trim(),
@@ -761,6 +813,12 @@ function AddProductModal({ visible, food, onClose, onSave }) {
         extra_offer_price: formData.extra_offer_price
           ? parseFloat(formData.extra_offer_price)
           : null,
+        modifier_groups: toModifierGroupsPayload(formData.modifier_groups),
+        ...toDietaryPayload({
+          dietaryTags: formData.dietary_tags,
+          spiceLevel: formData.spice_level,
+          allergens: formData.allergens,
+        }),
       };
 
       await saveFoodMutation.mutateAsync({ foodId: food?.id, payload });
@@ -1128,6 +1186,120 @@ function AddProductModal({ visible, food, onClose, onSave }) {
               />
             </View>
 
+            <View style={modalStyles.sectionDivider}>
+              <Text style={modalStyles.sectionTitle}>
+                Dietary & Allergens (Optional)
+              </Text>
+            </View>
+
+            <View style={modalStyles.section}>
+              <Text style={modalStyles.sectionLabel}>Suitable for</Text>
+              <View style={modalStyles.categoryOptionsRow}>
+                {DIETARY_TAGS.map((tag) => {
+                  const selected = formData.dietary_tags.includes(tag.key);
+                  return (
+                    <TouchableOpacity
+                      key={tag.key}
+                      style={[
+                        modalStyles.categoryOption,
+                        selected && modalStyles.categoryOptionSelected,
+                      ]}
+                      onPress={() => handleListToggle("dietary_tags", tag.key)}
+                    >
+                      <Text
+                        style={[
+                          modalStyles.categoryOptionText,
+                          selected && modalStyles.categoryOptionTextSelected,
+                        ]}
+                      >
+                        {tag.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+
+            <View style={modalStyles.section}>
+              <Text style={modalStyles.sectionLabel}>Spice level</Text>
+              <View style={modalStyles.categoryOptionsRow}>
+                {SPICE_LEVELS.map((level) => {
+                  const selected = formData.spice_level === level.value;
+                  return (
+                    <TouchableOpacity
+                      key={level.value}
+                      style={[
+                        modalStyles.categoryOption,
+                        selected && modalStyles.categoryOptionSelected,
+                      ]}
+                      onPress={() =>
+                        handleInputChange(
+                          "spice_level",
+                          selected ? null : level.value,
+                        )
+                      }
+                    >
+                      <Text
+                        style={[
+                          modalStyles.categoryOptionText,
+                          selected && modalStyles.categoryOptionTextSelected,
+                        ]}
+                      >
+                        {level.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+
+            <View style={modalStyles.section}>
+              <Text style={modalStyles.sectionLabel}>Contains</Text>
+              <View style={modalStyles.categoryOptionsRow}>
+                {ALLERGENS.map((allergen) => {
+                  const selected = formData.allergens.includes(allergen.key);
+                  return (
+                    <TouchableOpacity
+                      key={allergen.key}
+                      style={[
+                        modalStyles.categoryOption,
+                        selected && modalStyles.allergenOptionSelected,
+                      ]}
+                      onPress={() =>
+                        handleListToggle("allergens", allergen.key)
+                      }
+                    >
+                      <Text
+                        style={[
+                          modalStyles.categoryOptionText,
+                          selected && modalStyles.allergenOptionTextSelected,
+                        ]}
+                      >
+                        {allergen.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+
+            <View style={modalStyles.sectionDivider}>
+              <Text style={modalStyles.sectionTitle}>Add-ons (Optional)</Text>
+            </View>
+
+            <View style={modalStyles.section}>
+              <Text style={[modalStyles.helperText, { marginTop: 0, marginBottom: 10 }]}>
+                Spice level, extra cheese and similar choices. Prices are
+                added on top of the selected size.
+              </Text>
+              <ModifierGroupsEditor
+                groups={formData.modifier_groups}
+                onChange={(groups) =>
+                  handleInputChange("modifier_groups", groups)
+                }
+              />
+            </View>
+
             <View style={{ height: 100 }} />
           </ScrollView>
         </KeyboardAvoidingView>
@@ -1435,6 +1607,9 @@ const styles = StyleSheet.create({
     marginTop: 4,
     fontWeight: "700",
   },
+  productBadges: {
+    marginTop: 4,
+  },
   availabilityToggle: {
     flexDirection: "row",
     alignItems: "center",
@@ -1469,6 +1644,12 @@ const styles = StyleSheet.create({
     alignItems: "center",
     gap: 6,
   },
+  addonCountText: {
+    fontSize: 10,
+    textTransform: "uppercase",
+    color: "#06C168",
+    fontWeight: "700",
+  },
   sizeLabel: {
     width: 52,
     fontSize: 10,
@@ -1685,6 +1866,13 @@ const modalStyles = StyleSheet.create({
   categoryOptionTextSelected: {
     color: "#047857",
   },
+  allergenOptionSelected: {
+    borderColor: "#F59E0B",
+    backgroundColor: "#FFFBEB",
+  },
+  allergenOptionTextSelected: {
+    color: "#B45309",
+  },
   timeOptionsRow: {
     marginTop: 2,
   },
@@ -224,6 +224,18 @@ export default function Profile({ navigation }) {
             subtitle="Restaurant profile and business details"
             onPress={() => navigation.navigate("RestaurantDetail")}
           />
+          <SectionRow
+            icon="star-outline"
+            title="Reviews"
+            subtitle="Customer ratings and your replies"
+            onPress={() => navigation.navigate("AdminReviews")}
+          />
+          <SectionRow
+            icon="alert-circle-outline"
+            title="Order Issues"
+            subtitle="Respond to missing, wrong or damaged orders"
+            onPress={() => navigation.navigate("AdminOrderIssues")}
+          />
           <SectionRow
             icon="card-outline"
             title="Bank Account Details"
@@ -23,6 +23,14 @@ import FreeMapView from "../../components/maps/FreeMapView";
 import { API_URL } from "../../config/env";
 import { getAccessToken } from "../../lib/authStorage";
 import OptimizedImage from "../../components/common/OptimizedImage";
+import OpeningHoursEditor, {
+  toOpeningHoursFormState,
+  toOpeningHoursPayload,
+} from "../../components/admin/OpeningHoursEditor";
+import {
+  summarizeWeeklyHours,
+  validateOpeningHours,
+} from "../../utils/restaurantHours";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
@@ -77,115 +85,6 @@ function TabButton({ title, active, onPress }) {
   );
 }
 
-// Time Picker Component
-function TimePicker({ label, value, onChange, disabled }) {
-  const hours = Array.from({ length: 24 }, (_, i) =>
-    String(i).padStart(2, "0"),
-  );
-  const minutes = ["00", "15", "30", "45"];
-
-  const [selectedHour, setSelectedHour] = useState(
-    value ? value.split(":")[0] : "",
-  );
-  const [selectedMinute, setSelectedMinute] = useState(
-    value ? value.split(":")[1] : "",
-  );
-  const [showPicker, setShowPicker] = useState(false);
-
-  useEffect(() => {
-    if (selectedHour && selectedMinute) {
-      onChange(`${selectedHour}:${selectedMinute}`);
-    }
-  }, [selectedHour, selectedMinute]);
-
-  useEffect(() => {
-    if (value) {
-      const [h, m] = value.split(":");
-      setSelectedHour(h);
-      setSelectedMinute(m);
-    }
-  }, [value]);
-
-  if (disabled) {
-    return (
-      <View style={styles.inputGroup}>
-        <Text style={styles.inputLabel}>{label}</Text>
-        <View style={[styles.input, styles.inputDisabled]}>
-          <Text style={styles.inputText}>{value || "Not set"}</Text>
-        </View>
-      </View>
-    );
-  }
-
-  return (
-    <View style={styles.inputGroup}>
-      <Text style={styles.inputLabel}>{label}</Text>
-      <TouchableOpacity
-        style={styles.timePickerButton}
-        onPress={() => setShowPicker(!showPicker)}
-      >
-        <Text style={styles.timePickerText}>{value || "Select time"}</Text>
-        <Text style={styles.timePickerIcon}>🕐</Text>
-      </TouchableOpacity>
-
-      {showPicker && (
-        <View style={styles.timePickerDropdown}>
-          <View style={styles.timePickerRow}>
-            <ScrollView style={styles.timePickerColumn} nestedScrollEnabled>
-              {hours.map((hour) => (
-                <TouchableOpacity
-                  key={hour}
-                  style={[
-                    styles.timePickerItem,
-                    selectedHour === hour && styles.timePickerItemSelected,
-                  ]}
-                  onPress={() => setSelectedHour(hour)}
-                >
-                  <Text
-                    style={[
-                      styles.timePickerItemText,
-                      selectedHour === hour &&
-                        styles.timePickerItemTextSelected,
-                    ]}
-                  >
-                    {hour}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </ScrollView>
-            <Text style={styles.timePickerSeparator}>:</Text>
-            <ScrollView style={styles.timePickerColumn} nestedScrollEnabled>
-              {minutes.map((minute) => (
-                <TouchableOpacity
-                  key={minute}
-                  style={[
-                    styles.timePickerItem,
-                    selectedMinute === minute && styles.timePickerItemSelected,
-                  ]}
-                  onPress={() => {
-                    setSelectedMinute(minute);
-                    setShowPicker(false);
-                  }}
-                >
-                  <Text
-                    style={[
-                      styles.timePickerItemText,
-                      selectedMinute === minute &&
-                        styles.timePickerItemTextSelected,
-                    ]}
-                  >
-                    {minute}
-                  </Text>
-                </TouchableOpacity>
-              ))}
-            </ScrollView>
-          </View>
-        </View>
-      )}
-    </View>
-  );
-}
-
 export default function Settings() {
   const navigation = useNavigation();
   const queryClient = useQueryClient();
@@ -230,6 +129,10 @@ export default function Settings() {
     longitude: null,
   });
 
+  const [openingHours, setOpeningHours] = useState(() =>
+    toOpeningHoursFormState(null),
+  );
+
   const [mapPosition, setMapPosition] = useState(null);
   const [mapRegion, setMapRegion] = useState({
     latitude: 7.8731,
@@ -289,6 +192,7 @@ export default function Settings() {
       latitude: restaurant.latitude || null,
       longitude: restaurant.longitude || null,
     });
+    setOpeningHours(toOpeningHoursFormState(restaurant));
 
     if (restaurant.latitude && restaurant.longitude) {
       const lat = Number(restaurant.latitude);
@@ -444,7 +348,22 @@ export default function Settings() {
   };
 
   const handleRestaurantSave = async () => {
-    saveRestaurantMutation.mutate(restaurantFormData);
+    const hoursPayload = toOpeningHoursPayload(openingHours);
+    const hoursError = validateOpeningHours(
+      hoursPayload.weekly_hours,
+      hoursPayload.closures,
+    );
+    if (hoursError) {
+      Alert.alert("Opening Hours", hoursError);
+      return;
+    }
+
+    saveRestaurantMutation.mutate({
+      ...restaurantFormData,
+      ...hoursPayload,
+      // Kept in sync for screens that still read the single pair.
+      ...summarizeWeeklyHours(hoursPayload.weekly_hours),
+    });
   };
 
   const handleCancelEdit = () => {
@@ -462,6 +381,7 @@ export default function Settings() {
         latitude: restaurant.latitude || null,
         longitude: restaurant.longitude || null,
       });
+      setOpeningHours(toOpeningHoursFormState(restaurant));
       if (restaurant.latitude && restaurant.longitude) {
         setMapPosition({
           latitude: Number(restaurant.latitude),
@@ -686,27 +606,19 @@ export default function Settings() {
           </View>
         </View>
 
-        <View style={styles.row}>
-          <View style={{ flex: 1, marginRight: 8 }}>
-            <TimePicker
-              label="Opening Time"
-              value={restaurantFormData.opening_time}
-              onChange={(value) =>
-                handleRestaurantInputChange("opening_time", value)
-              }
-              disabled={!editingRestaurant}
-            />
-          </View>
-          <View style={{ flex: 1 }}>
-            <TimePicker
-              label="Closing Time"
-              value={restaurantFormData.close_time}
-              onChange={(value) =>
-                handleRestaurantInputChange("close_time", value)
-              }
-              disabled={!editingRestaurant}
-            />
-          </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.inputLabel}>Opening Hours</Text>
+          <OpeningHoursEditor
+            weeklyHours={openingHours.weeklyHours}
+            closures={openingHours.closures}
+            onChangeWeeklyHours={(weeklyHours) =>
+              setOpeningHours((prev) => ({ ...prev, weeklyHours }))
+            }
+            onChangeClosures={(closures) =>
+              setOpeningHours((prev) => ({ ...prev, closures }))
+            }
+            disabled={!editingRestaurant}
+          />
         </View>
 
         {/* Map Section */}
@@ -1265,10 +1177,6 @@ const styles = StyleSheet.create({
     backgroundColor: "#f3f4f6",
     color: "#6b7280",
   },
-  inputText: {
-    fontSize: 16,
-    color: "#6b7280",
-  },
   textArea: {
     minHeight: 70,
     textAlignVertical: "top",
@@ -1277,65 +1185,6 @@ const styles = StyleSheet.create({
     flexDirection: "row",
     marginBottom: 16,
   },
-  timePickerButton: {
-    flexDirection: "row",
-    alignItems: "center",
-    justifyContent: "space-between",
-    borderWidth: 1,
-    borderColor: "#d1d5db",
-    borderRadius: 12,
-    paddingHorizontal: 16,
-    paddingVertical: 12,
-    backgroundColor: "#ffffff",
-  },
-  timePickerText: {
-    fontSize: 16,
-    color: "#111827",
-  },
-  timePickerIcon: {
-    fontSize: 16,
-  },
-  timePickerDropdown: {
-    position: "absolute",
-    top: 80,
-    left: 0,
-    right: 0,
-    backgroundColor: "#ffffff",
-    borderRadius: 12,
-    borderWidth: 1,
-    borderColor: "#e5e7eb",
-    zIndex: 100,
-    maxHeight: 200,
-  },
-  timePickerRow: {
-    flexDirection: "row",
-    alignItems: "center",
-  },
-  timePickerColumn: {
-    flex: 1,
-    maxHeight: 200,
-  },
-  timePickerSeparator: {
-    fontSize: 20,
-    fontWeight: "bold",
-    color: "#06C168",
-  },
-  timePickerItem: {
-    paddingVertical: 10,
-    paddingHorizontal: 16,
-    alignItems: "center",
-  },
-  timePickerItemSelected: {
-    backgroundColor: "#dcfce7",
-  },
-  timePickerItemText: {
-    fontSize: 16,
-    color: "#374151",
-  },
-  timePickerItemTextSelected: {
-    color: "#06C168",
-    fontWeight: "600",
-  },
   mapSection: {
     marginTop: 16,
   },
@@ -0,0 +1,288 @@
+import { LinearGradient } from "expo-linear-gradient";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Linking,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import FloatingLabelInput from "../../components/common/FloatingLabelInput";
+import authService, {
+  getRateLimitRetrySeconds,
+} from "../../services/authService";
+import {
+  isPhoneLikeIdentifier,
+  normalizeSriLankaPhone,
+} from "../../utils/phone";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+export default function ForgotPasswordScreen({ navigation, route }) {
+  const { t } = useLocale();
+  const [identifier, setIdentifier] = useState(
+    route?.params?.identifier || "",
+  );
+  const [sentTo, setSentTo] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+
+  const trimmed = identifier.trim();
+  const isPhone = isPhoneLikeIdentifier(trimmed);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const interval = setInterval(() => {
+      setCooldown((prev) => Math.max(prev - 1, 0));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [cooldown]);
+
+  const handleRequestError = (err) => {
+    const retrySeconds = getRateLimitRetrySeconds(err);
+    if (retrySeconds) {
+      setCooldown(retrySeconds);
+      setError(t("auth.recovery.rateLimited", { count: retrySeconds }));
+      return;
+    }
+    setError(
+      err?.response?.data?.message || t("auth.recovery.requestFailed"),
+    );
+  };
+
+  const requestPhoneRecovery = async () => {
+    const phone = normalizeSriLankaPhone(trimmed);
+    if (!phone) {
+      setError(t("auth.recovery.invalidIdentifier"));
+      return;
+    }
+
+    const { data } = await authService.requestPhoneOtp(phone);
+    const resolvedPhone =
+      normalizeSriLankaPhone(data?.phone || phone) || phone;
+    navigation.replace("VerifyOtp", {
+      phone: resolvedPhone,
+      prefillPhone: resolvedPhone,
+      nextScreen: "CompleteProfile",
+    });
+  };
+
+  const requestEmailReset = async () => {
+    const email = trimmed.toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      setError(t("auth.recovery.invalidIdentifier"));
+      return;
+    }
+
+    await authService.forgotPassword(email);
+    setSentTo(email);
+    setCooldown(RESEND_COOLDOWN_SECONDS);
+  };
+
+  const handleSubmit = async () => {
+    if (loading || cooldown > 0) return;
+    setError("");
+    setLoading(true);
+    try {
+      if (isPhone) {
+        await requestPhoneRecovery();
+      } else {
+        await requestEmailReset();
+      }
+    } catch (err) {
+      handleRequestError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitLabel = loading
+    ? t("auth.recovery.sending")
+    : cooldown > 0
+      ? t("auth.recovery.resendIn", { seconds: cooldown })
+      : sentTo
+        ? t("auth.recovery.resend")
+        : isPhone
+          ? t("auth.recovery.sendCode")
+          : t("auth.recovery.sendLink");
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={["top", "bottom"]}>
+      <LinearGradient
+        colors={["#123321", "#1db95b", "#0a1f14"]}
+        style={styles.container}
+      >
+        <KeyboardAvoidingView
+          style={styles.container}
+          behavior={Platform.OS === "ios" ? "padding" : "height"}
+        >
+          <ScrollView
+            contentContainerStyle={styles.scrollContent}
+            keyboardShouldPersistTaps="handled"
+            bounces={false}
+          >
+            <View style={styles.card}>
+              <Pressable
+                onPress={() => navigation.goBack()}
+                style={styles.backBtn}
+                hitSlop={10}
+              >
+                <Ionicons name="chevron-back" size={22} color="#111827" />
+              </Pressable>
+
+              <Text style={styles.title}>
+                {sentTo
+                  ? t("auth.recovery.linkSentTitle")
+                  : t("auth.recovery.forgotTitle")}
+              </Text>
+              <Text style={styles.text}>
+                {sentTo
+                  ? t("auth.recovery.linkSentBody", { email: sentTo })
+                  : t("auth.recovery.forgotBody")}
+              </Text>
+
+              {!sentTo ? (
+                <FloatingLabelInput
+                  label={t("auth.recovery.identifierLabel")}
+                  value={identifier}
+                  onChangeText={(value) => {
+                    setIdentifier(value);
+                    setError("");
+                  }}
+                  inactivePlaceholder={t("auth.recovery.identifierLabel")}
+                  activePlaceholder={t("auth.recovery.identifierPlaceholder")}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              ) : (
+                <Pressable
+                  onPress={() => Linking.openURL("mailto:")}
+                  style={({ pressed }) => [
+                    styles.primaryBtn,
+                    pressed && { opacity: 0.9 },
+                  ]}
+                >
+                  <Text style={styles.primaryBtnText}>
+                    {t("auth.recovery.openMail")}
+                  </Text>
+                </Pressable>
+              )}
+
+              {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+              <Pressable
+                onPress={handleSubmit}
+                disabled={loading || cooldown > 0 || !trimmed}
+                style={({ pressed }) => [
+                  sentTo ? styles.secondaryBtn : styles.primaryBtn,
+                  (pressed || loading || cooldown > 0 || !trimmed) && {
+                    opacity: 0.7,
+                  },
+                ]}
+              >
+                {loading ? (
+                  <ActivityIndicator color={sentTo ? "#374151" : "#fff"} />
+                ) : (
+                  <Text
+                    style={
+                      sentTo ? styles.secondaryBtnText : styles.primaryBtnText
+                    }
+                  >
+                    {submitLabel}
+                  </Text>
+                )}
+              </Pressable>
+
+              {!isPhone ? (
+                <Pressable
+                  onPress={() => navigation.navigate("ResetPassword")}
+                  style={styles.linkBtn}
+                >
+                  <Text style={styles.linkText}>
+                    {t("auth.recovery.haveToken")}
+                  </Text>
+                </Pressable>
+              ) : null}
+
+              <Pressable
+                onPress={() => navigation.navigate("Login")}
+                style={styles.linkBtn}
+              >
+                <Text style={styles.linkMuted}>
+                  {t("auth.recovery.backToLogin")}
+                </Text>
+              </Pressable>
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </LinearGradient>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: { flex: 1, backgroundColor: "#123321" },
+  container: { flex: 1 },
+  scrollContent: { flexGrow: 1, justifyContent: "center", padding: 18 },
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 22,
+    padding: 20,
+    shadowColor: "#000",
+    shadowOpacity: 0.14,
+    shadowRadius: 18,
+    shadowOffset: { width: 0, height: 12 },
+    elevation: 6,
+  },
+  backBtn: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: "#F3F4F6",
+    alignItems: "center",
+    justifyContent: "center",
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: "900",
+    color: "#111827",
+    marginBottom: 10,
+  },
+  text: { fontSize: 14, color: "#374151", marginBottom: 16 },
+  errorText: {
+    fontSize: 13,
+    color: "#DC2626",
+    marginTop: 8,
+    fontWeight: "600",
+  },
+  primaryBtn: {
+    backgroundColor: "#059669",
+    borderRadius: 12,
+    paddingVertical: 13,
+    alignItems: "center",
+    marginTop: 14,
+  },
+  primaryBtnText: { color: "#fff", fontWeight: "800" },
+  secondaryBtn: {
+    marginTop: 10,
+    backgroundColor: "#F3F4F6",
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  secondaryBtnText: { color: "#374151", fontWeight: "700" },
+  linkBtn: { alignItems: "center", paddingVertical: 10, marginTop: 4 },
+  linkText: { color: "#059669", fontWeight: "700" },
+  linkMuted: { color: "#6B7280", fontWeight: "600" },
+});
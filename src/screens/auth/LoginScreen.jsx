@@ -1,5 +1,5 @@
 import { LinearGradient } from "expo-linear-gradient";
-import { useRef, useState } from "react";
+import { useCallback, useRef, useState } from "react";
 import {
   ActivityIndicator,
   Alert,
@@ -20,10 +20,12 @@ import {
 } from "react-native-safe-area-context";
 import Svg, { G, Path, Rect } from "react-native-svg";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import { API_BASE_URL } from "../../constants/api";
 import FloatingLabelInput from "../../components/common/FloatingLabelInput";
 import pushNotificationService from "../../services/pushNotificationService";
 import { persistAuthSession } from "../../lib/authStorage";
+import usePasswordResetLink from "../../hooks/usePasswordResetLink";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 const IS_WEB = Platform.OS === "web";
@@ -79,6 +81,7 @@ const UserPlusIcon = ({ size = 20, color = "#FFFFFF" }) => (
 
 export default function LoginScreen({ navigation }) {
   const { refreshAuthState, preparePostLoginTransition } = useAuth();
+  const { t } = useLocale();
   const insets = useSafeAreaInsets();
 
   const [email, setEmail] = useState("");
@@ -87,6 +90,14 @@ export default function LoginScreen({ navigation }) {
 
   const [isLoading, setIsLoading] = useState(false);
 
+  // Reset links from the forgot-password email open the reset screen.
+  usePasswordResetLink(
+    useCallback(
+      (token) => navigation.navigate("ResetPassword", { token }),
+      [navigation],
+    ),
+  );
+
   // shake animation
   const shakeX = useRef(new Animated.Value(0)).current;
 
@@ -509,6 +520,20 @@ export default function LoginScreen({ navigation }) {
                     }
                   />
 
+                  <Pressable
+                    onPress={() =>
+                      navigation.navigate("ForgotPassword", {
+                        identifier: email.trim(),
+                      })
+                    }
+                    style={styles.forgotBtn}
+                    hitSlop={8}
+                  >
+                    <Text style={styles.forgotText}>
+                      {t("auth.forgotPassword")}
+                    </Text>
+                  </Pressable>
+
                   {/* Login Button */}
                   <Pressable
                     onPress={handleLogin}
@@ -768,6 +793,15 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     alignItems: "center",
   },
+  forgotBtn: {
+    alignSelf: "flex-end",
+    marginTop: 10,
+  },
+  forgotText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#06C168",
+  },
 
   /* Login button */
   loginBtn: {
@@ -0,0 +1,362 @@
+import { LinearGradient } from "expo-linear-gradient";
+import { useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import FloatingLabelInput from "../../components/common/FloatingLabelInput";
+import authService, {
+  getRateLimitRetrySeconds,
+} from "../../services/authService";
+import { evaluatePassword } from "../../utils/passwordRules";
+
+const STRENGTH_COLORS = {
+  weak: "#DC2626",
+  fair: "#F59E0B",
+  strong: "#059669",
+};
+
+const STRENGTH_LABEL_KEYS = {
+  weak: "auth.recovery.strengthWeak",
+  fair: "auth.recovery.strengthFair",
+  strong: "auth.recovery.strengthStrong",
+};
+
+// Expired, used or malformed reset tokens.
+const INVALID_TOKEN_STATUSES = new Set([400, 401, 404, 410]);
+
+export default function ResetPasswordScreen({ navigation, route }) {
+  const { t } = useLocale();
+  const [token, setToken] = useState(route?.params?.token || "");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const linkedToken = route?.params?.token || "";
+  const evaluation = useMemo(() => evaluatePassword(password), [password]);
+
+  // A newer link opened while this screen is mounted replaces the token.
+  useEffect(() => {
+    if (linkedToken) setToken(linkedToken);
+  }, [linkedToken]);
+
+  const handleSubmit = async () => {
+    if (loading) return;
+    const resetToken = token.trim();
+
+    if (!resetToken) {
+      setError(t("auth.recovery.missingToken"));
+      return;
+    }
+    if (!evaluation.isValid) {
+      setError(t("auth.recovery.passwordTooWeak"));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError(t("auth.recovery.passwordMismatch"));
+      return;
+    }
+
+    setError("");
+    setLoading(true);
+    try {
+      await authService.resetPassword(resetToken, password);
+      setDone(true);
+    } catch (err) {
+      const retrySeconds = getRateLimitRetrySeconds(err);
+      const status = err?.response?.status;
+      if (retrySeconds) {
+        setError(t("auth.recovery.rateLimited", { count: retrySeconds }));
+      } else if (INVALID_TOKEN_STATUSES.has(status)) {
+        setError(t("auth.recovery.resetInvalid"));
+      } else {
+        setError(
+          err?.response?.data?.message || t("auth.recovery.resetFailed"),
+        );
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const eyeToggle = (
+    <Pressable
+      onPress={() => setShowPassword((value) => !value)}
+      style={styles.eyeBtn}
+      hitSlop={10}
+    >
+      <Ionicons
+        name={showPassword ? "eye-off-outline" : "eye-outline"}
+        size={22}
+        color="#9CA3AF"
+      />
+    </Pressable>
+  );
+
+  if (done) {
+    return (
+      <SafeAreaView style={styles.safeArea} edges={["top", "bottom"]}>
+        <View style={styles.successOverlay}>
+          <View style={styles.successCircle}>
+            <Text style={styles.successTick}>✓</Text>
+          </View>
+          <Text style={styles.successTitle}>
+            {t("auth.recovery.resetSuccessTitle")}
+          </Text>
+          <Text style={styles.successSub}>
+            {t("auth.recovery.resetSuccessBody")}
+          </Text>
+          <Pressable
+            onPress={() =>
+              navigation.reset({ index: 0, routes: [{ name: "Login" }] })
+            }
+            style={({ pressed }) => [
+              styles.successBtn,
+              pressed && { opacity: 0.9 },
+            ]}
+          >
+            <Text style={styles.successBtnText}>{t("auth.login")}</Text>
+          </Pressable>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={["top", "bottom"]}>
+      <LinearGradient
+        colors={["#123321", "#1db95b", "#0a1f14"]}
+        style={styles.container}
+      >
+        <KeyboardAvoidingView
+          style={styles.container}
+          behavior={Platform.OS === "ios" ? "padding" : "height"}
+        >
+          <ScrollView
+            contentContainerStyle={styles.scrollContent}
+            keyboardShouldPersistTaps="handled"
+            bounces={false}
+          >
+            <View style={styles.card}>
+              <Text style={styles.title}>
+                {t("auth.recovery.resetTitle")}
+              </Text>
+              <Text style={styles.text}>{t("auth.recovery.resetBody")}</Text>
+
+              {!linkedToken ? (
+                <FloatingLabelInput
+                  label={t("auth.recovery.tokenLabel")}
+                  value={token}
+                  onChangeText={setToken}
+                  inactivePlaceholder={t("auth.recovery.tokenLabel")}
+                  activePlaceholder={t("auth.recovery.tokenPlaceholder")}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  containerStyle={styles.inputGap}
+                />
+              ) : null}
+
+              <FloatingLabelInput
+                label={t("auth.recovery.newPassword")}
+                value={password}
+                onChangeText={setPassword}
+                inactivePlaceholder={t("auth.recovery.newPassword")}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoCorrect={false}
+                rightAccessory={eyeToggle}
+                containerStyle={styles.inputGap}
+              />
+
+              <FloatingLabelInput
+                label={t("auth.recovery.confirmPassword")}
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                inactivePlaceholder={t("auth.recovery.confirmPassword")}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              {password ? (
+                <View style={styles.strengthWrap}>
+                  <View style={styles.strengthTrack}>
+                    <View
+                      style={[
+                        styles.strengthFill,
+                        {
+                          width:
+                            evaluation.strength === "strong"
+                              ? "100%"
+                              : evaluation.strength === "fair"
+                                ? "66%"
+                                : "33%",
+                          backgroundColor:
+                            STRENGTH_COLORS[evaluation.strength],
+                        },
+                      ]}
+                    />
+                  </View>
+                  <Text
+                    style={[
+                      styles.strengthText,
+                      { color: STRENGTH_COLORS[evaluation.strength] },
+                    ]}
+                  >
+                    {t("auth.recovery.strength", {
+                      level: t(STRENGTH_LABEL_KEYS[evaluation.strength]),
+                    })}
+                  </Text>
+                </View>
+              ) : null}
+
+              <View style={styles.rules}>
+                {evaluation.rules.map((rule) => (
+                  <View key={rule.key} style={styles.ruleRow}>
+                    <Ionicons
+                      name={
+                        rule.passed ? "checkmark-circle" : "ellipse-outline"
+                      }
+                      size={16}
+                      color={rule.passed ? "#059669" : "#9CA3AF"}
+                    />
+                    <Text
+                      style={[
+                        styles.ruleText,
+                        rule.passed && styles.ruleTextPassed,
+                      ]}
+                    >
+                      {t(rule.labelKey)}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+              <Pressable
+                onPress={handleSubmit}
+                disabled={loading}
+                style={({ pressed }) => [
+                  styles.primaryBtn,
+                  (pressed || loading) && { opacity: 0.85 },
+                ]}
+              >
+                {loading ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.primaryBtnText}>
+                    {t("auth.recovery.resetCta")}
+                  </Text>
+                )}
+              </Pressable>
+
+              <Pressable
+                onPress={() => navigation.navigate("ForgotPassword")}
+                style={styles.linkBtn}
+              >
+                <Text style={styles.linkText}>
+                  {t("auth.recovery.resend")}
+                </Text>
+              </Pressable>
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </LinearGradient>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: { flex: 1, backgroundColor: "#123321" },
+  container: { flex: 1 },
+  scrollContent: { flexGrow: 1, justifyContent: "center", padding: 18 },
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 22,
+    padding: 20,
+    shadowColor: "#000",
+    shadowOpacity: 0.14,
+    shadowRadius: 18,
+    shadowOffset: { width: 0, height: 12 },
+    elevation: 6,
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: "900",
+    color: "#111827",
+    marginBottom: 10,
+  },
+  text: { fontSize: 14, color: "#374151", marginBottom: 16 },
+  inputGap: { marginBottom: 12 },
+  eyeBtn: { paddingHorizontal: 4 },
+  strengthWrap: { marginTop: 12 },
+  strengthTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#E5E7EB",
+    overflow: "hidden",
+  },
+  strengthFill: { height: 6, borderRadius: 3 },
+  strengthText: { fontSize: 12, fontWeight: "700", marginTop: 6 },
+  rules: { marginTop: 10, gap: 6 },
+  ruleRow: { flexDirection: "row", alignItems: "center", gap: 8 },
+  ruleText: { fontSize: 12, color: "#6B7280" },
+  ruleTextPassed: { color: "#065F46" },
+  errorText: {
+    fontSize: 13,
+    color: "#DC2626",
+    marginTop: 12,
+    fontWeight: "600",
+  },
+  primaryBtn: {
+    backgroundColor: "#059669",
+    borderRadius: 12,
+    paddingVertical: 13,
+    alignItems: "center",
+    marginTop: 16,
+  },
+  primaryBtnText: { color: "#fff", fontWeight: "800" },
+  linkBtn: { alignItems: "center", paddingVertical: 10, marginTop: 4 },
+  linkText: { color: "#059669", fontWeight: "700" },
+  successOverlay: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#06C168",
+    padding: 24,
+  },
+  successCircle: {
+    width: 110,
+    height: 110,
+    borderRadius: 999,
+    borderWidth: 3,
+    borderColor: "rgba(255,255,255,0.25)",
+    alignItems: "center",
+    justifyContent: "center",
+    marginBottom: 16,
+  },
+  successTick: { fontSize: 56, color: "#fff", fontWeight: "900" },
+  successTitle: { color: "#fff", fontSize: 28, fontWeight: "900" },
+  successSub: { color: "rgba(255,255,255,0.85)", marginTop: 6 },
+  successBtn: {
+    marginTop: 24,
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    paddingVertical: 13,
+    paddingHorizontal: 40,
+  },
+  successBtnText: { color: "#059669", fontWeight: "800" },
+});
@@ -238,6 +238,7 @@ export default function VerifyOtpScreen({ navigation, route }) {
       }
 
       let appAccessToken = supabaseAccessToken;
+      let appRefreshToken = null;
       let resolvedRole = fallbackRole;
       let resolvedProfileCompleted = fallbackProfileCompleted;
       let resolvedUserId = fallbackUserId;
@@ -264,6 +265,7 @@ export default function VerifyOtpScreen({ navigation, route }) {
 
           if (exchangedToken) {
             appAccessToken = exchangedToken;
+            appRefreshToken = exchangeData?.data?.refreshToken || null;
           }
           if (exchangedUser?.role) {
             resolvedRole = exchangedUser.role;
@@ -293,6 +295,7 @@ export default function VerifyOtpScreen({ navigation, route }) {
       await persistAuthSession(
         {
           token: appAccessToken,
+          refreshToken: appRefreshToken,
           role: resolvedRole,
           userId: resolvedUserId,
           userName: resolvedUserName,
@@ -1,7 +1,8 @@
 import { Ionicons } from "@expo/vector-icons";
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
   ActivityIndicator,
+  DeviceEventEmitter,
   Platform,
   Pressable,
   StatusBar,
@@ -13,9 +14,28 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { WebView } from "react-native-webview";
 
 export default function WebViewScreen({ navigation, route }) {
-  const { url, title } = route.params;
+  // returnUrl/resultEvent turn the screen into a hosted-checkout host: the
+  // first navigation to returnUrl is reported on resultEvent and closes it.
+  const { url, html, title, returnUrl, resultEvent, resultPayload } =
+    route.params;
   const [isLoading, setIsLoading] = useState(true);
   const [hasError, setHasError] = useState(false);
+  const resultSentRef = useRef(false);
+
+  const sendResult = useCallback(
+    (resultUrl) => {
+      if (!resultEvent || resultSentRef.current) return;
+      resultSentRef.current = true;
+      DeviceEventEmitter.emit(resultEvent, {
+        ...(resultPayload || {}),
+        url: resultUrl,
+      });
+    },
+    [resultEvent, resultPayload],
+  );
+
+  // Leaving without reaching returnUrl counts as a cancelled checkout.
+  useEffect(() => () => sendResult(null), [sendResult]);
 
   const handleGoBack = () => {
     if (navigation.canGoBack()) {
@@ -23,6 +43,21 @@ export default function WebViewScreen({ navigation, route }) {
     }
   };
 
+  const handleShouldStartLoad = (request) => {
+    if (returnUrl && String(request?.url || "").startsWith(returnUrl)) {
+      sendResult(request.url);
+      handleGoBack();
+      return false;
+    }
+    return true;
+  };
+
+  // Pages stay on the WebView's default http(s) whitelist. Hosted checkout
+  // also has to reach its app-scheme returnUrl to report the result.
+  const originWhitelist = returnUrl
+    ? ["http://*", "https://*", `${returnUrl.split("://")[0]}://*`]
+    : undefined;
+
   const handleRetry = () => {
     setHasError(false);
     setIsLoading(true);
@@ -63,8 +98,10 @@ export default function WebViewScreen({ navigation, route }) {
           </View>
         ) : (
           <WebView
-            source={{ uri: url }}
+            source={html ? { html } : { uri: url }}
             style={styles.webView}
+            onShouldStartLoadWithRequest={handleShouldStartLoad}
+            {...(originWhitelist ? { originWhitelist } : {})}
             onLoadStart={() => setIsLoading(true)}
             onLoadEnd={() => setIsLoading(false)}
             onError={() => {
@@ -15,11 +15,26 @@ import {
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import SkeletonBlock from "../../components/common/SkeletonBlock";
 import { API_BASE_URL } from "../../constants/api";
 import { getAccessToken } from "../../lib/authStorage";
 import { prefetchImageUrls } from "../../lib/imageCache";
+import {
+  calculateCartSubtotal,
+  formatModifiersSummary,
+  getCartItemUnitPrice,
+} from "../../utils/foodModifiers";
+import PromoCodeField from "../../components/customer/PromoCodeField";
+import {
+  getAppliedPromoCode,
+  setAppliedPromoCode,
+} from "../../utils/promoCodes";
+import {
+  MAX_BASKET_RESTAURANTS,
+  getBasketBlockReason,
+} from "../../utils/multiRestaurantBasket";
 
 const PRIMARY = "#06C168";
 const TEXT_DARK = "#0F172A";
@@ -59,20 +74,49 @@ function hasValidCoordinates(latitude, longitude) {
 }
 
 export default function CartScreen({ navigation, route }) {
+  const { t, formatCurrency } = useLocale();
   const [carts, setCarts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [updatingItem, setUpdatingItem] = useState(null);
   const [selectedCartId, setSelectedCartId] = useState(null);
+  const [promoCode, setPromoCode] = useState("");
+  // Carts picked for a combined multi-restaurant checkout.
+  const [basketCartIds, setBasketCartIds] = useState([]);
 
   const safeCarts = asArray(carts);
 
+  const basketCarts = useMemo(
+    () =>
+      basketCartIds
+        .map((id) => safeCarts.find((c) => String(c?.id) === String(id)))
+        .filter(Boolean),
+    [basketCartIds, safeCarts],
+  );
+
   const selectedCart = useMemo(
     () =>
       safeCarts.find((c) => String(c?.id) === String(selectedCartId)) || null,
     [safeCarts, selectedCartId],
   );
 
+  useEffect(() => {
+    let cancelled = false;
+    setPromoCode("");
+    if (!selectedCartId) return undefined;
+    getAppliedPromoCode(selectedCartId).then((code) => {
+      if (!cancelled) setPromoCode(code);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedCartId]);
+
+  const updatePromoCode = (code) => {
+    setPromoCode(code);
+    setAppliedPromoCode(selectedCartId, code);
+  };
+
   const cartCount = useMemo(() => {
     return safeCarts.reduce((sum, cart) => {
       return (
@@ -140,16 +184,19 @@ export default function CartScreen({ navigation, route }) {
 
       if (!token || token === "null" || token === "undefined") {
         setLoading(false);
-        Alert.alert("Login required", "Please login to view your cart", [
-          { text: "Cancel", style: "cancel" },
-          { text: "Go to Login", onPress: () => navigation.navigate("Login") },
+        Alert.alert(t("menu.loginRequiredTitle"), t("cart.loginBody"), [
+          { text: t("common.cancel"), style: "cancel" },
+          {
+            text: t("menu.goToLogin"),
+            onPress: () => navigation.navigate("Login"),
+          },
         ]);
         return;
       }
 
       if (role !== "customer") {
         setLoading(false);
-        Alert.alert("Not allowed", "Only customers can view cart");
+        Alert.alert(t("menu.notAllowedTitle"), t("cart.customersOnly"));
         return;
       }
 
@@ -158,7 +205,7 @@ export default function CartScreen({ navigation, route }) {
       });
       const data = await res.json().catch(() => ({}));
 
-      if (!res.ok) throw new Error(data.message || "Failed to fetch cart");
+      if (!res.ok) throw new Error(data.message || t("cart.loadFailed"));
 
       const fetchedCarts = asArray(data.carts);
       setCarts(fetchedCarts);
@@ -215,7 +262,7 @@ export default function CartScreen({ navigation, route }) {
         }
       }
     } catch (e) {
-      setError(e.message || "Failed to fetch cart");
+      setError(e.message || t("cart.loadFailed"));
     } finally {
       setLoading(false);
     }
@@ -223,8 +270,14 @@ export default function CartScreen({ navigation, route }) {
 
   const formatPrice = (price) => {
     const n = Number(price);
-    if (Number.isNaN(n)) return "N/A";
-    return `Rs. ${n.toFixed(2)}`;
+    if (Number.isNaN(n)) return t("menu.priceUnknown");
+    return formatCurrency(n);
+  };
+
+  const formatSize = (size) => {
+    if (!size || size === "regular") return t("menu.sizeRegular");
+    if (size === "large") return t("menu.sizeLarge");
+    return String(size).charAt(0).toUpperCase() + String(size).slice(1);
   };
 
   // Debounced API sync for quantity updates
@@ -243,29 +296,35 @@ export default function CartScreen({ navigation, route }) {
         body: JSON.stringify({ quantity: qty }),
       });
       const data = await res.json().catch(() => ({}));
-      if (!res.ok) throw new Error(data.message || "Failed to update quantity");
+      if (!res.ok) throw new Error(data.message || t("cart.updateFailed"));
       // Silent background sync
       await fetchCarts(false);
       DeviceEventEmitter.emit("cart:changed");
     } catch (e) {
-      Alert.alert("Error", e.message || "Update failed");
+      Alert.alert(t("menu.errorTitle"), e.message || t("cart.updateFailed"));
       // Refetch to revert to server state
       await fetchCarts(false);
     }
-  }, []);
+  }, [t]);
 
   const updateQuantity = useCallback(
     (itemId, newQty) => {
       if (newQty < 1) return;
 
-      // Instant optimistic UI update
+      // Instant optimistic UI update. The server cart_total is stale until
+      // the sync refetches, so the subtotal is recomputed from items.
       setCarts((prev) =>
-        asArray(prev).map((cart) => ({
-          ...cart,
-          items: asArray(cart?.items).map((item) =>
-            item.id === itemId ? { ...item, quantity: newQty } : item,
-          ),
-        })),
+        asArray(prev).map((cart) =>
+          asArray(cart?.items).some((item) => item.id === itemId)
+            ? {
+                ...cart,
+                cart_total: null,
+                items: asArray(cart?.items).map((item) =>
+                  item.id === itemId ? { ...item, quantity: newQty } : item,
+                ),
+              }
+            : cart,
+        ),
       );
 
       // Store the latest value and debounce the API call
@@ -318,10 +377,10 @@ export default function CartScreen({ navigation, route }) {
   );
 
   const removeItem = async (itemId) => {
-    Alert.alert("Remove item", "Remove this item from cart?", [
-      { text: "Cancel", style: "cancel" },
+    Alert.alert(t("cart.removeTitle"), t("cart.removeBody"), [
+      { text: t("common.cancel"), style: "cancel" },
       {
-        text: "Remove",
+        text: t("cart.remove"),
         style: "destructive",
         onPress: async () => {
           // Optimistic update: remove the item from UI instantly
@@ -343,12 +402,15 @@ export default function CartScreen({ navigation, route }) {
             });
             const data = await res.json().catch(() => ({}));
             if (!res.ok)
-              throw new Error(data.message || "Failed to remove item");
+              throw new Error(data.message || t("cart.removeFailed"));
             await fetchCarts(false);
             DeviceEventEmitter.emit("cart:changed");
           } catch (e) {
             setCarts(previousCarts);
-            Alert.alert("Error", e.message || "Remove failed");
+            Alert.alert(
+              t("menu.errorTitle"),
+              e.message || t("cart.removeFailed"),
+            );
           }
         },
       },
@@ -356,10 +418,10 @@ export default function CartScreen({ navigation, route }) {
   };
 
   const removeCart = async (cartId) => {
-    Alert.alert("Clear cart", "Remove all items from this restaurant?", [
-      { text: "Cancel", style: "cancel" },
+    Alert.alert(t("cart.clearTitle"), t("cart.clearBody"), [
+      { text: t("common.cancel"), style: "cancel" },
       {
-        text: "Clear",
+        text: t("cart.clear"),
         style: "destructive",
         onPress: async () => {
           // Optimistic update: remove the cart from UI instantly
@@ -375,23 +437,66 @@ export default function CartScreen({ navigation, route }) {
             });
             const data = await res.json().catch(() => ({}));
             if (!res.ok)
-              throw new Error(data.message || "Failed to clear cart");
+              throw new Error(data.message || t("cart.clearFailed"));
             await fetchCarts(false);
             DeviceEventEmitter.emit("cart:changed");
           } catch (e) {
             setCarts(previousCarts);
-            Alert.alert("Error", e.message || "Clear failed");
+            Alert.alert(
+              t("menu.errorTitle"),
+              e.message || t("cart.clearFailed"),
+            );
           }
         },
       },
     ]);
   };
 
+  const toggleBasketCart = (cartId) => {
+    setBasketCartIds((prev) => {
+      if (prev.some((id) => String(id) === String(cartId))) {
+        return prev.filter((id) => String(id) !== String(cartId));
+      }
+      if (prev.length >= MAX_BASKET_RESTAURANTS) {
+        Alert.alert(
+          t("basket.fullTitle"),
+          t("basket.fullBody", { count: MAX_BASKET_RESTAURANTS }),
+        );
+        return prev;
+      }
+      return [...prev, cartId];
+    });
+  };
+
+  const goBasketCheckout = () => {
+    const blockReason = getBasketBlockReason(basketCarts);
+    if (blockReason) {
+      Alert.alert(t("basket.blockedTitle"), blockReason);
+      return;
+    }
+
+    const unavailableItems = basketCarts
+      .flatMap((cart) => asArray(cart.items))
+      .filter((item) => item.is_available === false);
+    if (unavailableItems.length > 0) {
+      Alert.alert(
+        t("cart.unavailableTitle"),
+        t("cart.unavailableBody", {
+          items: unavailableItems.map((i) => i.food_name).join(", "),
+        }),
+      );
+      return;
+    }
+
+    const cartIds = basketCarts.map((cart) => cart.id);
+    navigation.navigate("Checkout", { cartId: cartIds[0], cartIds });
+  };
+
   const goCheckout = async (cartId) => {
     try {
       const token = await getAccessToken();
       if (!token) {
-        Alert.alert("Login required", "Please login to continue");
+        Alert.alert(t("menu.loginRequiredTitle"), t("cart.loginContinue"));
         return;
       }
 
@@ -400,14 +505,21 @@ export default function CartScreen({ navigation, route }) {
         const unavailableItems = asArray(cart.items).filter(item => item.is_available === false);
         if (unavailableItems.length > 0) {
           Alert.alert(
-            "Items Unavailable",
-            `Some items in your cart are currently not available (${unavailableItems.map(i => i.food_name).join(", ")}). Please remove them to proceed with checkout.`
+            t("cart.unavailableTitle"),
+            t("cart.unavailableBody", {
+              items: unavailableItems.map((i) => i.food_name).join(", "),
+            }),
           );
           return;
         }
       }
 
-      navigation.navigate("Checkout", { cartId });
+      const appliedPromoCode =
+        String(cartId) === String(selectedCartId) ? promoCode : "";
+      navigation.navigate("Checkout", {
+        cartId,
+        promoCode: appliedPromoCode || undefined,
+      });
     } catch (checkoutNavError) {
       console.error("Checkout navigation failed:", checkoutNavError);
     }
@@ -507,10 +619,10 @@ export default function CartScreen({ navigation, route }) {
           <View style={styles.errorIcon}>
             <Ionicons name="alert-circle" size={40} color="#EF4444" />
           </View>
-          <Text style={styles.errTitle}>Oops!</Text>
+          <Text style={styles.errTitle}>{t("menu.oops")}</Text>
           <Text style={styles.errText}>{error}</Text>
           <Pressable onPress={fetchCarts} style={styles.primaryBtn}>
-            <Text style={styles.primaryBtnText}>Retry</Text>
+            <Text style={styles.primaryBtnText}>{t("common.retry")}</Text>
           </Pressable>
         </View>
       </SafeAreaView>
@@ -536,10 +648,8 @@ export default function CartScreen({ navigation, route }) {
           <View style={styles.emptyIconWrap}>
             <Ionicons name="cart-outline" size={56} color="#CBD5E1" />
           </View>
-          <Text style={styles.emptyTitle}>Your Cart is Empty</Text>
-          <Text style={styles.emptySubtitle}>
-            Add items from restaurants to get started
-          </Text>
+          <Text style={styles.emptyTitle}>{t("cart.emptyTitle")}</Text>
+          <Text style={styles.emptySubtitle}>{t("cart.emptyBody")}</Text>
           <Pressable
             onPress={() =>
               navigation.navigate("MainTabs", {
@@ -555,7 +665,7 @@ export default function CartScreen({ navigation, route }) {
               color="#fff"
               style={{ marginRight: 6 }}
             />
-            <Text style={styles.primaryBtnText}>Browse Restaurants</Text>
+            <Text style={styles.primaryBtnText}>{t("orders.browse")}</Text>
           </Pressable>
         </View>
       </SafeAreaView>
@@ -568,7 +678,7 @@ export default function CartScreen({ navigation, route }) {
   if (selectedCart) {
     const itemCount =
       selectedCart?.item_count || selectedCart?.items?.length || 0;
-    const itemSubtotal = Number(selectedCart?.cart_total) || 0;
+    const itemSubtotal = calculateCartSubtotal(selectedCart);
     const selectedItems = asArray(selectedCart?.items);
 
     return (
@@ -593,7 +703,7 @@ export default function CartScreen({ navigation, route }) {
             style={styles.backRow}
           >
             <Ionicons name="arrow-back" size={16} color={PRIMARY} />
-            <Text style={styles.backLabel}>Back to restaurants</Text>
+            <Text style={styles.backLabel}>{t("cart.backToList")}</Text>
           </Pressable>
 
           {/* Restaurant Summary Card (Green) */}
@@ -603,8 +713,9 @@ export default function CartScreen({ navigation, route }) {
                 {selectedCart?.restaurant?.restaurant_name}
               </Text>
               <Text style={styles.summaryMeta}>
-                {selectedCart?.restaurant?.city || "Restaurant"} • {itemCount}{" "}
-                item{itemCount !== 1 ? "s" : ""}
+                {selectedCart?.restaurant?.city || t("menu.restaurant")}
+                {" • "}
+                {t("orders.itemCount", { count: itemCount })}
               </Text>
             </View>
           </View>
@@ -647,21 +758,27 @@ export default function CartScreen({ navigation, route }) {
                       <View style={{ flexDirection: "row", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
                         <View style={styles.sizeTag}>
                           <Text style={styles.sizeTagText}>
-                            {String(item.size || "Regular")
-                              .charAt(0)
-                              .toUpperCase() +
-                              String(item.size || "Regular").slice(1)}
+                            {formatSize(item.size)}
                           </Text>
                         </View>
                         {item.is_available === false && (
                           <View style={[styles.sizeTag, { backgroundColor: "#FEE2E2", borderColor: "#FEE2E2" }]}>
-                            <Text style={[styles.sizeTagText, { color: "#EF4444" }]}>Unavailable</Text>
+                            <Text
+                              style={[styles.sizeTagText, { color: "#EF4444" }]}
+                            >
+                              {t("cart.unavailable")}
+                            </Text>
                           </View>
                         )}
                       </View>
+                      {item.modifiers?.length > 0 && (
+                        <Text style={styles.itemModifiers} numberOfLines={2}>
+                          {formatModifiersSummary(item.modifiers)}
+                        </Text>
+                      )}
                     </View>
                     <Text style={styles.itemPrice}>
-                      {formatPrice(item.unit_price)}
+                      {formatPrice(getCartItemUnitPrice(item))}
                     </Text>
                   </View>
 
@@ -721,11 +838,18 @@ export default function CartScreen({ navigation, route }) {
           {/* Pricing Summary */}
           <View style={styles.pricingSection}>
             <View style={styles.pricingRow}>
-              <Text style={styles.pricingTotalLabel}>Subtotal</Text>
+              <Text style={styles.pricingTotalLabel}>
+                {t("cart.subtotal")}
+              </Text>
               <Text style={styles.pricingTotalValue}>
                 {formatPrice(itemSubtotal)}
               </Text>
             </View>
+            <PromoCodeField
+              appliedCode={promoCode}
+              onApply={updatePromoCode}
+              onRemove={() => updatePromoCode("")}
+            />
           </View>
 
           {/* Action Buttons */}
@@ -737,7 +861,9 @@ export default function CartScreen({ navigation, route }) {
                 pressed && { opacity: 0.9 },
               ]}
             >
-              <Text style={styles.checkoutBtnText}>Checkout</Text>
+              <Text style={styles.checkoutBtnText}>
+                {t("customer.checkout")}
+              </Text>
             </Pressable>
 
             <Pressable
@@ -751,7 +877,7 @@ export default function CartScreen({ navigation, route }) {
                 pressed && { opacity: 0.8 },
               ]}
             >
-              <Text style={styles.addMoreBtnText}>Add More Items</Text>
+              <Text style={styles.addMoreBtnText}>{t("cart.addMore")}</Text>
             </Pressable>
 
             <Pressable
@@ -764,7 +890,7 @@ export default function CartScreen({ navigation, route }) {
                 color="#EF4444"
                 style={{ marginRight: 4 }}
               />
-              <Text style={styles.clearCartText}>Clear this cart</Text>
+              <Text style={styles.clearCartText}>{t("cart.clearThis")}</Text>
             </Pressable>
           </View>
         </ScrollView>
@@ -788,7 +914,7 @@ export default function CartScreen({ navigation, route }) {
       />
 
       <View style={styles.page}>
-        <Text style={styles.sectionTitle}>Active Restaurants</Text>
+        <Text style={styles.sectionTitle}>{t("cart.activeRestaurants")}</Text>
 
         <FlatList
           data={safeCarts}
@@ -798,7 +924,10 @@ export default function CartScreen({ navigation, route }) {
           showsVerticalScrollIndicator={false}
           renderItem={({ item }) => {
             const count = item?.item_count || item?.items?.length || 0;
-            const cartTotal = Number(item?.cart_total) || 0;
+            const cartTotal = calculateCartSubtotal(item);
+            const inBasket = basketCartIds.some(
+              (id) => String(id) === String(item.id),
+            );
             return (
               <View style={styles.restaurantCard}>
                 <View style={styles.restaurantCardRow}>
@@ -832,11 +961,11 @@ export default function CartScreen({ navigation, route }) {
                     </View>
                     <View style={styles.locationRow}>
                       <Text style={styles.restaurantCardCity}>
-                        {item?.restaurant?.city || "Location"}
+                        {item?.restaurant?.city || t("cart.location")}
                       </Text>
                     </View>
                     <Text style={styles.restaurantCardMeta}>
-                      {count} item{count !== 1 ? "s" : ""} •{" "}
+                      {t("orders.itemCount", { count })} •{" "}
                       {formatPrice(cartTotal)}
                     </Text>
                   </View>
@@ -850,7 +979,9 @@ export default function CartScreen({ navigation, route }) {
                       pressed && { opacity: 0.9 },
                     ]}
                   >
-                    <Text style={styles.viewItemsText}>View items</Text>
+                    <Text style={styles.viewItemsText}>
+                      {t("cart.viewItems")}
+                    </Text>
                   </Pressable>
 
                   <Pressable
@@ -860,14 +991,57 @@ export default function CartScreen({ navigation, route }) {
                       pressed && { backgroundColor: "rgba(16,185,129,0.08)" },
                     ]}
                   >
-                    <Text style={styles.clearOutlineText}>Clear</Text>
+                    <Text style={styles.clearOutlineText}>
+                      {t("cart.clear")}
+                    </Text>
                   </Pressable>
                 </View>
+
+                {safeCarts.length > 1 ? (
+                  <Pressable
+                    onPress={() => toggleBasketCart(item.id)}
+                    style={styles.basketToggle}
+                  >
+                    <Ionicons
+                      name={inBasket ? "checkbox" : "square-outline"}
+                      size={20}
+                      color={inBasket ? PRIMARY : MUTED}
+                    />
+                    <Text style={styles.basketToggleText}>
+                      {t("basket.toggle")}
+                    </Text>
+                  </Pressable>
+                ) : null}
               </View>
             );
           }}
         />
       </View>
+
+      {basketCarts.length > 1 ? (
+        <View style={styles.basketBar}>
+          <Text style={styles.basketBarMeta}>
+            {t("basket.summary", {
+              count: basketCarts.length,
+              total: formatPrice(
+                basketCarts.reduce(
+                  (sum, cart) => sum + calculateCartSubtotal(cart),
+                  0,
+                ),
+              ),
+            })}
+          </Text>
+          <Pressable
+            onPress={goBasketCheckout}
+            style={({ pressed }) => [
+              styles.checkoutBtn,
+              pressed && { opacity: 0.9 },
+            ]}
+          >
+            <Text style={styles.checkoutBtnText}>{t("basket.checkout")}</Text>
+          </Pressable>
+        </View>
+      ) : null}
     </SafeAreaView>
   );
 }
@@ -1110,6 +1284,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "600",
   },
+  basketToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 12,
+  },
+  basketToggleText: {
+    fontSize: 13,
+    color: TEXT_DARK,
+    fontWeight: "500",
+  },
+  basketBar: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 16,
+    gap: 10,
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderTopColor: BORDER,
+  },
+  basketBarMeta: {
+    fontSize: 13,
+    color: MUTED,
+    fontWeight: "600",
+    textAlign: "center",
+  },
   viewBtn: {
     flexDirection: "row",
     alignItems: "center",
@@ -1194,6 +1394,7 @@ const styles = StyleSheet.create({
     textTransform: "uppercase",
     letterSpacing: 0.5,
   },
+  itemModifiers: { fontSize: 12, color: "#64748B", marginTop: 4 },
   itemPrice: { fontSize: 15, fontWeight: "700", color: TEXT_DARK },
   itemBottomRow: {
     flexDirection: "row",
@@ -40,6 +40,42 @@ import {
   useSafeAreaInsets,
 } from "react-native-safe-area-context";
 import { MetaAnalytics } from "../../services/MetaAnalytics";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_OPTIONS,
+  PAYMENT_RESULT_EVENT,
+  PAYMENT_RETURN_URL,
+  PaymentError,
+  authorizePayment,
+  fetchAvailablePaymentMethods,
+  fetchWalletBalance,
+  paymentMethodRequiresIntent,
+} from "../../services/paymentService";
+import { setActiveGroupCartCode } from "../../services/groupCartService";
+import {
+  formatBasketRestaurantNames,
+  getBasketBlockReason,
+  orderBasketPickups,
+} from "../../utils/multiRestaurantBasket";
+import {
+  calculateCartSubtotal,
+  formatModifiersSummary,
+  getCartItemUnitPrice,
+} from "../../utils/foodModifiers";
+import {
+  buildScheduleSlots,
+  formatScheduledSlot,
+  isScheduleSlotValid,
+} from "../../utils/deliverySchedule";
+import { getRestaurantOpenState } from "../../utils/restaurantHours";
+import PromoCodeField from "../../components/customer/PromoCodeField";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  getAppliedPromoCode,
+  getQuotePromo,
+  normalizePromoCode,
+  setAppliedPromoCode,
+} from "../../utils/promoCodes";
 
 const { height: SCREEN_HEIGHT } = Dimensions.get("window");
 const CHECKOUT_ADDRESS_PIN_HTML =
@@ -49,7 +85,6 @@ const CHECKOUT_ADDRESS_PIN_HTML =
   "<circle cx='12' cy='9' r='3' fill='#FFFFFF'/>" +
   "</svg>" +
   "</div>";
-const PIN_REQUIRED_ALERT_MESSAGE = "Pin your delivery location on the map.";
 
 function hasValidCoordinates(latitude, longitude) {
   if (
@@ -96,11 +131,9 @@ async function calculateRouteDistance(lat1, lon1, lat2, lon2) {
     const route = await fetchOSRMRoute({
       from: { latitude: lat1, longitude: lon1 },
       to: { latitude: lat2, longitude: lon2 },
-      profile: "foot",
       retries: 2,
       timeoutMs: 10000,
       overview: "false",
-      geometries: "geojson",
     });
 
     if (
@@ -120,6 +153,33 @@ async function calculateRouteDistance(lat1, lon1, lat2, lon2) {
   }
 }
 
+// Basket route: every restaurant in pickup order, then the customer. Legs
+// are summed so the fee covers the whole trip the driver makes.
+async function calculateMultiStopRouteDistance(pickups, dropoff) {
+  const stops = [
+    ...pickups.map((restaurant) => ({
+      latitude: parseFloat(restaurant.latitude),
+      longitude: parseFloat(restaurant.longitude),
+    })),
+    dropoff,
+  ];
+
+  let distance = 0;
+  let duration = 0;
+  for (let i = 1; i < stops.length; i += 1) {
+    const leg = await calculateRouteDistance(
+      stops[i - 1].latitude,
+      stops[i - 1].longitude,
+      stops[i].latitude,
+      stops[i].longitude,
+    );
+    if (!leg.success) return leg;
+    distance += leg.distance;
+    duration += leg.duration;
+  }
+  return { success: true, distance, duration };
+}
+
 const ORDER_TOTAL_CACHE_KEY = "@order_display_totals";
 
 function isValidDisplayTotal(value) {
@@ -188,7 +248,22 @@ function resolveOrderDisplayTotal(orderLike, fallback = 0) {
 
 export default function CheckoutScreen({ route, navigation }) {
   const insets = useSafeAreaInsets();
-  const { cartId } = route.params || {};
+  const { t, formatCurrency } = useLocale();
+  const {
+    cartId,
+    cartIds: cartIdsParam,
+    promoCode: promoCodeParam,
+    groupCartCode,
+  } = route.params || {};
+  // Multi-restaurant basket: several carts, one order and one delivery.
+  const basketCartIds = useMemo(
+    () =>
+      Array.isArray(cartIdsParam) && cartIdsParam.length > 1
+        ? cartIdsParam.map(String)
+        : [],
+    [cartIdsParam],
+  );
+  const isBasket = basketCartIds.length > 1;
   const mapRef = useRef(null);
   const hasShownMissingPinAlertRef = useRef(false);
   const latestQuoteRequestRef = useRef(0);
@@ -196,6 +271,7 @@ export default function CheckoutScreen({ route, navigation }) {
 
   // Cart + profile
   const [cart, setCart] = useState(null);
+  const [basketCarts, setBasketCarts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
@@ -227,9 +303,25 @@ export default function CheckoutScreen({ route, navigation }) {
   const [launchPromoStatus, setLaunchPromoStatus] = useState(null);
   const [orderQuote, setOrderQuote] = useState(null);
   const [quoteLoading, setQuoteLoading] = useState(false);
+  const [promoCode, setPromoCode] = useState(() =>
+    normalizePromoCode(promoCodeParam),
+  );
 
   // Payment
-  const [paymentMethod] = useState("cash");
+  const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS.CASH);
+  const [availablePaymentMethods, setAvailablePaymentMethods] = useState([
+    PAYMENT_METHODS.CASH,
+  ]);
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [paymentStage, setPaymentStage] = useState(""); // "" | authorizing
+  const [paymentError, setPaymentError] = useState("");
+  // Keeps a succeeded payment so a failed /orders/place retry never charges twice.
+  const authorizedPaymentRef = useRef(null);
+
+  // Delivery time: "now" or a pre-order slot (ISO string)
+  const [deliveryTiming, setDeliveryTiming] = useState("now");
+  const [scheduledFor, setScheduledFor] = useState(null);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
 
   // Order
   const [placing, setPlacing] = useState(false);
@@ -243,6 +335,20 @@ export default function CheckoutScreen({ route, navigation }) {
       .catch((err) => console.error("Failed to load fee config:", err));
   }, []);
 
+  useEffect(() => {
+    let active = true;
+    Promise.all([fetchAvailablePaymentMethods(), fetchWalletBalance()]).then(
+      ([methods, balance]) => {
+        if (!active) return;
+        setAvailablePaymentMethods(methods);
+        setWalletBalance(balance);
+      },
+    );
+    return () => {
+      active = false;
+    };
+  }, []);
+
   useEffect(() => {
     if (cart && cart.cart_total) {
       MetaAnalytics.logInitiateCheckout({
@@ -298,30 +404,54 @@ export default function CheckoutScreen({ route, navigation }) {
 
   const formatPrice = (p) => {
     const n = Number(p);
-    if (Number.isNaN(n)) return "Rs. 0.00";
-    return `Rs. ${n.toFixed(2)}`;
+    return formatCurrency(Number.isNaN(n) ? 0 : n);
   };
 
   const getQuoteInputSignature = useCallback(() => {
     const lat = Number(position?.latitude);
     const lng = Number(position?.longitude);
     return [
-      String(cartId || ""),
+      isBasket ? basketCartIds.join(",") : String(cartId || ""),
       String(paymentMethod || "cash"),
       String(address || "").trim(),
       String(city || "").trim(),
       Number.isFinite(lat) ? lat.toFixed(6) : "",
       Number.isFinite(lng) ? lng.toFixed(6) : "",
+      deliveryTiming === "later" ? String(scheduledFor || "") : "now",
+      promoCode,
     ].join("|");
   }, [
     address,
+    basketCartIds,
     cartId,
     city,
+    deliveryTiming,
+    isBasket,
     paymentMethod,
     position?.latitude,
     position?.longitude,
+    promoCode,
+    scheduledFor,
   ]);
 
+  // Codes entered in the cart arrive as a param; fall back to the stored one
+  // when checkout is reopened from elsewhere (e.g. the address picker).
+  useEffect(() => {
+    if (!cartId || promoCodeParam) return undefined;
+    let cancelled = false;
+    getAppliedPromoCode(cartId).then((code) => {
+      if (!cancelled && code) setPromoCode(code);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [cartId, promoCodeParam]);
+
+  const updatePromoCode = (code) => {
+    setPromoCode(code);
+    setAppliedPromoCode(cartId, code);
+  };
+
   useEffect(() => {
     if (!cartId) {
       navigation.navigate("MainTabs", { screen: "Cart" });
@@ -416,9 +546,9 @@ export default function CheckoutScreen({ route, navigation }) {
       const { status } = await Location.requestForegroundPermissionsAsync();
       if (status !== "granted") {
         Alert.alert(
-          "Permission Denied",
-          "Please enable location permission to use this feature",
-          [{ text: "OK" }],
+          t("checkout.locationDeniedTitle"),
+          t("checkout.locationDeniedBody"),
+          [{ text: t("checkout.ok") }],
         );
         setFetchingLocation(false);
         return;
@@ -476,7 +606,7 @@ export default function CheckoutScreen({ route, navigation }) {
       setFetchingLocation(false);
     } catch (err) {
       console.log("Location error:", err);
-      Alert.alert("Error", "Failed to get your location. Please try again.");
+      Alert.alert(t("menu.errorTitle"), t("checkout.locationFailed"));
       setFetchingLocation(false);
     }
   };
@@ -504,12 +634,20 @@ export default function CheckoutScreen({ route, navigation }) {
       }
 
       setRouteLoading(true);
-      const result = await calculateRouteDistance(
-        position.latitude,
-        position.longitude,
-        parseFloat(cart.restaurant.latitude),
-        parseFloat(cart.restaurant.longitude),
-      );
+      const pickupCarts = isBasket
+        ? orderBasketPickups(basketCarts, position)
+        : [];
+      const result = isBasket
+        ? await calculateMultiStopRouteDistance(
+            pickupCarts.map((c) => c.restaurant),
+            position,
+          )
+        : await calculateRouteDistance(
+            position.latitude,
+            position.longitude,
+            parseFloat(cart.restaurant.latitude),
+            parseFloat(cart.restaurant.longitude),
+          );
 
       if (result.success) {
         setRouteInfo({
@@ -517,6 +655,7 @@ export default function CheckoutScreen({ route, navigation }) {
           duration: result.duration,
           latitude: position.latitude,
           longitude: position.longitude,
+          pickupCartIds: pickupCarts.map((c) => c.id),
         });
       } else {
         setRouteInfo(null);
@@ -531,6 +670,8 @@ export default function CheckoutScreen({ route, navigation }) {
     position,
     cart?.restaurant?.latitude,
     cart?.restaurant?.longitude,
+    isBasket,
+    basketCarts,
   ]);
 
 
@@ -544,15 +685,18 @@ export default function CheckoutScreen({ route, navigation }) {
       const role = await AsyncStorage.getItem("role");
 
       if (!token || token === "null" || token === "undefined") {
-        Alert.alert("Login required", "Please login to checkout", [
-          { text: "Cancel", style: "cancel" },
-          { text: "Go to Login", onPress: () => navigation.navigate("Login") },
+        Alert.alert(t("menu.loginRequiredTitle"), t("checkout.loginBody"), [
+          { text: t("common.cancel"), style: "cancel" },
+          {
+            text: t("menu.goToLogin"),
+            onPress: () => navigation.navigate("Login"),
+          },
         ]);
         return;
       }
 
       if (role !== "customer") {
-        Alert.alert("Not allowed", "Only customers can checkout");
+        Alert.alert(t("menu.notAllowedTitle"), t("checkout.customersOnly"));
         return;
       }
 
@@ -580,16 +724,29 @@ export default function CheckoutScreen({ route, navigation }) {
       }
 
       if (!cartRes.ok)
-        throw new Error(cartData.message || "Failed to fetch cart");
+        throw new Error(cartData.message || t("cart.loadFailed"));
       if (!profileRes.ok)
-        throw new Error(profileData.message || "Failed to fetch profile");
+        throw new Error(
+          profileData.message || t("checkout.profileLoadFailed"),
+        );
 
       // cartId match (string vs number fix)
       const selected = (cartData.carts || []).find(
         (c) => String(c.id) === String(cartId),
       );
-      if (!selected) throw new Error("Cart not found");
-
+      if (!selected) throw new Error(t("checkout.cartNotFound"));
+
+      if (isBasket) {
+        const selectedBasket = basketCartIds
+          .map((id) => (cartData.carts || []).find((c) => String(c.id) === id))
+          .filter(Boolean);
+        if (selectedBasket.length !== basketCartIds.length) {
+          throw new Error(t("basket.cartMissing"));
+        }
+        setBasketCarts(selectedBasket);
+      } else {
+        setBasketCarts([selected]);
+      }
       setCart(selected);
 
       if (profileData.customer) {
@@ -622,7 +779,7 @@ export default function CheckoutScreen({ route, navigation }) {
         }
       }
     } catch (e) {
-      setError(e.message || "Checkout load failed");
+      setError(e.message || t("checkout.loadFailed"));
     } finally {
       setLoading(false);
     }
@@ -673,11 +830,17 @@ export default function CheckoutScreen({ route, navigation }) {
           },
           body: JSON.stringify({
             cartId,
+            cart_ids: isBasket ? basketCartIds : undefined,
             payment_method: paymentMethod,
             delivery_latitude: position.latitude,
             delivery_longitude: position.longitude,
             delivery_address: deliveryAddress,
             delivery_city: deliveryCity,
+            scheduled_for:
+              deliveryTiming === "later" && scheduledFor
+                ? scheduledFor
+                : undefined,
+            promo_code: promoCode || undefined,
           }),
         });
 
@@ -719,13 +882,18 @@ export default function CheckoutScreen({ route, navigation }) {
     },
     [
       address,
+      basketCartIds,
       cartId,
       city,
+      deliveryTiming,
       hasExplicitDeliveryLocation,
+      isBasket,
       paymentMethod,
       position?.latitude,
       position?.longitude,
       getQuoteInputSignature,
+      promoCode,
+      scheduledFor,
     ],
   );
 
@@ -796,7 +964,9 @@ export default function CheckoutScreen({ route, navigation }) {
       });
 
       const data = await res.json().catch(() => ({}));
-      if (!res.ok) throw new Error(data.message || "Failed to save address");
+      if (!res.ok) {
+        throw new Error(data.message || t("checkout.saveAddressFailed"));
+      }
 
       setAddress(newAddress);
       setCity(newCity);
@@ -805,7 +975,7 @@ export default function CheckoutScreen({ route, navigation }) {
       setIsProfilePinMissing(false);
       setError("");
     } catch (e) {
-      setError(e.message || "Save failed");
+      setError(e.message || t("checkout.saveFailed"));
     } finally {
       setSavingAddress(false);
     }
@@ -844,7 +1014,15 @@ export default function CheckoutScreen({ route, navigation }) {
       if (checkoutBlockReason) {
         return;
       }
-      if (!cart) throw new Error("Cart missing");
+      if (!cart) throw new Error(t("basket.cartMissing"));
+      if (
+        deliveryTiming === "later" &&
+        !isScheduleSlotValid(scheduledFor, scheduleOptions)
+      ) {
+        setScheduledFor(null);
+        setError(t("checkout.slotUnavailable"));
+        return;
+      }
       const activeQuote = orderQuote;
 
       setPlacing(true);
@@ -866,6 +1044,7 @@ export default function CheckoutScreen({ route, navigation }) {
           Number.isFinite(effectiveDistanceKm) && effectiveDistanceKm > 0
             ? Number(Number(effectiveDistanceKm).toFixed(2))
             : undefined,
+        scheduled_for: deliveryTiming === "later" ? scheduledFor : undefined,
       };
 
       if (activeQuote?.quote_token) {
@@ -875,6 +1054,55 @@ export default function CheckoutScreen({ route, navigation }) {
         placeOrderPayload.quote_token = activeQuote.quote_token;
       }
 
+      if (promoResult?.applied) {
+        placeOrderPayload.promo_code = promoResult.code;
+      }
+
+      if (groupCartCode) {
+        // Links the order to the group cart so the receipt can split it.
+        placeOrderPayload.group_cart_code = groupCartCode;
+      }
+
+      if (isBasket) {
+        placeOrderPayload.cart_ids = basketCartIds;
+        placeOrderPayload.pickup_order = routeInfo?.pickupCartIds;
+      }
+
+      if (paymentMethodRequiresIntent(paymentMethod)) {
+        const paymentSignature = `${getQuoteInputSignature()}|${finalTotal}`;
+        let paymentIntent =
+          authorizedPaymentRef.current?.signature === paymentSignature
+            ? authorizedPaymentRef.current.intent
+            : null;
+
+        if (!paymentIntent) {
+          setPaymentStage("authorizing");
+          setPaymentError("");
+          paymentIntent = await authorizePayment({
+            cartId,
+            method: paymentMethod,
+            amount: finalTotal,
+            quoteToken: activeQuote?.quote_token,
+            openHostedCheckout: (intent) =>
+              navigation.navigate("PaymentCheckout", {
+                title: t("checkout.cardPayment"),
+                url: intent.checkout_url,
+                html: intent.checkout_html,
+                returnUrl: PAYMENT_RETURN_URL,
+                resultEvent: PAYMENT_RESULT_EVENT,
+                resultPayload: { intentId: intent.id },
+              }),
+          });
+          authorizedPaymentRef.current = {
+            signature: paymentSignature,
+            intent: paymentIntent,
+          };
+        }
+
+        setPaymentStage("");
+        placeOrderPayload.payment_intent_id = paymentIntent.id;
+      }
+
       const res = await fetch(`${API_BASE_URL}/orders/place`, {
         method: "POST",
         headers: {
@@ -888,9 +1116,7 @@ export default function CheckoutScreen({ route, navigation }) {
       if (!res.ok) {
         if (res.status === 409 && data?.error_type === "price_mismatch") {
           await fetchCheckoutData();
-          setError(
-            "Order amount changed while placing the order. Please review checkout and place again.",
-          );
+          setError(t("checkout.priceChanged"));
           return;
         }
 
@@ -930,7 +1156,7 @@ export default function CheckoutScreen({ route, navigation }) {
                     restaurantName:
                       cart?.restaurant?.restaurant_name ||
                       existingOrder.restaurant_name ||
-                      "Restaurant",
+                      t("menu.restaurant"),
                     restaurantLogoUrl,
                     statusScreenMode: true,
                   },
@@ -940,23 +1166,24 @@ export default function CheckoutScreen({ route, navigation }) {
             return;
           }
 
-          throw new Error(
-            "This order has already been placed. Please check your orders.",
-          );
+          throw new Error(t("checkout.alreadyPlaced"));
         }
 
-        throw new Error(data.message || "Failed to place order");
+        throw new Error(data.message || t("checkout.placeFailed"));
       }
 
       // Navigate to Order Tracking — reset stack so user can't go back to checkout
       const order = data.order;
+      authorizedPaymentRef.current = null;
       if (order?.id) {
         DeviceEventEmitter.emit("cart:changed");
+        setAppliedPromoCode(cartId, "");
+        if (groupCartCode) setActiveGroupCartCode(null);
         // Log Purchase event
         MetaAnalytics.logPurchase({
           orderId: order.id,
           totalValue: finalTotal,
-          numItems: cart?.items?.length || 1,
+          numItems: summaryItemCount || 1,
         });
 
         const displayTotal = resolveOrderDisplayTotal(order, finalTotal);
@@ -983,8 +1210,9 @@ export default function CheckoutScreen({ route, navigation }) {
                 status: "placed",
                 order: order,
                 totalAmount: displayTotal,
-                restaurantName:
-                  cart?.restaurant?.restaurant_name || order.restaurant_name,
+                restaurantName: isBasket
+                  ? formatBasketRestaurantNames(basketCarts)
+                  : cart?.restaurant?.restaurant_name || order.restaurant_name,
                 restaurantLogoUrl,
                 statusScreenMode: true,
               },
@@ -993,12 +1221,55 @@ export default function CheckoutScreen({ route, navigation }) {
         });
       }
     } catch (e) {
-      setError(e.message || "Place order failed");
+      if (e instanceof PaymentError) {
+        setPaymentError(e.message);
+        if (paymentMethod === PAYMENT_METHODS.WALLET) {
+          fetchWalletBalance().then(setWalletBalance);
+        }
+      } else {
+        setError(e.message || t("checkout.placeFailed"));
+      }
     } finally {
+      setPaymentStage("");
       setPlacing(false);
     }
   };
 
+  const handleSelectPaymentMethod = (methodId) => {
+    if (placing || methodId === paymentMethod) return;
+    setPaymentMethod(methodId);
+    setPaymentError("");
+  };
+
+  const scheduleOptions = useMemo(
+    () => ({
+      restaurant: cart?.restaurant,
+      items: isBasket
+        ? basketCarts.flatMap((basketCart) => basketCart.items || [])
+        : cart?.items || [],
+      menuHours: feeConfig?.menu_hours,
+    }),
+    [basketCarts, cart, feeConfig, isBasket],
+  );
+  const [scheduleSlots, setScheduleSlots] = useState([]);
+
+  const openSchedulePicker = () => {
+    if (placing) return;
+    // Rebuilt on every open so slots inside the lead time drop off.
+    setScheduleSlots(buildScheduleSlots(scheduleOptions));
+    setShowSchedulePicker(true);
+  };
+
+  const handleSelectDeliveryTiming = (timing) => {
+    if (placing) return;
+    setDeliveryTiming(timing);
+    if (timing === "now") {
+      setScheduledFor(null);
+      return;
+    }
+    openSchedulePicker();
+  };
+
   const quoteSubtotal = Number(orderQuote?.pricing?.subtotal);
   const quoteServiceFee = Number(orderQuote?.pricing?.service_fee);
   const quoteDeliveryFee = Number(orderQuote?.pricing?.delivery_fee);
@@ -1009,10 +1280,31 @@ export default function CheckoutScreen({ route, navigation }) {
   );
   const quotePromoSavings = Number(orderQuote?.launch_promo?.discount_amount);
 
+  // Only trust a promo result that belongs to the code currently entered.
+  const promoResult = useMemo(() => {
+    const result = getQuotePromo(orderQuote);
+    return result && promoCode && result.code === promoCode ? result : null;
+  }, [orderQuote, promoCode]);
+
   const subtotal = useMemo(() => {
     if (Number.isFinite(quoteSubtotal)) return quoteSubtotal;
-    return cart ? Number(cart.cart_total) || 0 : 0;
-  }, [cart, quoteSubtotal]);
+    if (isBasket) {
+      return basketCarts.reduce(
+        (sum, basketCart) => sum + calculateCartSubtotal(basketCart),
+        0,
+      );
+    }
+    return cart ? calculateCartSubtotal(cart) : 0;
+  }, [basketCarts, cart, isBasket, quoteSubtotal]);
+
+  const summaryCarts = useMemo(
+    () => (isBasket ? basketCarts : cart ? [cart] : []),
+    [basketCarts, cart, isBasket],
+  );
+  const summaryItemCount = summaryCarts.reduce(
+    (count, summaryCart) => count + (summaryCart?.items?.length || 0),
+    0,
+  );
 
   const serviceFee = useMemo(() => {
     if (Number.isFinite(quoteServiceFee)) return quoteServiceFee;
@@ -1141,19 +1433,42 @@ export default function CheckoutScreen({ route, navigation }) {
     [phone, address, city, hasExplicitDeliveryLocation, position],
   );
 
+  const restaurantOpenState = useMemo(
+    () => getRestaurantOpenState(cart?.restaurant),
+    [cart?.restaurant],
+  );
+
+  const basketBlockReason = useMemo(
+    () =>
+      isBasket
+        ? getBasketBlockReason(basketCarts, {
+            ignoreHours: deliveryTiming === "later",
+          })
+        : "",
+    [basketCarts, deliveryTiming, isBasket],
+  );
+
   const checkoutBlockReason = useMemo(() => {
-    if (!phone) return "Phone number is required";
-    if (!String(address || "").trim()) return "Delivery address is required";
-    if (!String(city || "").trim()) return "City is required";
-    if (!isLocationDetailsComplete) return PIN_REQUIRED_ALERT_MESSAGE;
+    if (deliveryTiming === "later" && !scheduledFor)
+      return t("checkout.chooseSlot");
+    if (basketBlockReason) return basketBlockReason;
+    if (deliveryTiming === "now" && cart?.restaurant && !restaurantOpenState.isOpen)
+      return restaurantOpenState.opensAt || restaurantOpenState.closure
+        ? t("checkout.closedPreorder", { opens: restaurantOpenState.label })
+        : t("checkout.closedNow");
+    if (!phone) return t("checkout.phoneRequired");
+    if (!String(address || "").trim()) return t("checkout.addressRequired");
+    if (!String(city || "").trim()) return t("checkout.cityRequired");
+    if (!isLocationDetailsComplete) return t("checkout.pinRequired");
     if (!Number.isFinite(effectiveDistanceKm))
-      return "Location not provided. Pin your delivery location on the map.";
+      return t("checkout.locationMissing");
     if (!isDistanceWithinLimit)
-      return `Delivery is not available beyond ${maxOrderDistanceKm} km.`;
+      return t("checkout.beyondDistance", { km: maxOrderDistanceKm });
     if (!isSubtotalValid)
-      return `Minimum order amount is Rs. ${requiredMinSubtotal}.`;
-    if (deliveryFee === null)
-      return "Delivery fee is unavailable. Please verify your location pin.";
+      return t("checkout.minimumOrder", {
+        amount: formatCurrency(requiredMinSubtotal),
+      });
+    if (deliveryFee === null) return t("checkout.feeUnavailable");
     return "";
   }, [
     phone,
@@ -1167,19 +1482,26 @@ export default function CheckoutScreen({ route, navigation }) {
     isSubtotalValid,
     requiredMinSubtotal,
     deliveryFee,
+    deliveryTiming,
+    scheduledFor,
+    cart?.restaurant,
+    restaurantOpenState,
+    basketBlockReason,
+    t,
+    formatCurrency,
   ]);
 
   const ctaAlertMessage = useMemo(() => {
     if (checkoutBlockReason && !routeLoading && !isRouteStale && !isProfileSyncing && !placing) {
       // Don't show "Calculating pricing..." as an error — it's a loading state
-      if (checkoutBlockReason === "Calculating pricing...") return "";
+      if (checkoutBlockReason === t("checkout.calculatingPricing")) return "";
       return checkoutBlockReason;
     }
 
     if (error) return error;
 
     return "";
-  }, [error, checkoutBlockReason, routeLoading, isRouteStale, isProfileSyncing, placing]);
+  }, [error, checkoutBlockReason, routeLoading, isRouteStale, isProfileSyncing, placing, t]);
 
   const isPricingReady = useMemo(() => {
     return (
@@ -1205,6 +1527,14 @@ export default function CheckoutScreen({ route, navigation }) {
     getQuoteInputSignature,
   ]);
 
+  const placeOrderActionKey = paymentMethodRequiresIntent(paymentMethod)
+    ? deliveryTiming === "later"
+      ? "checkout.payAndScheduleOrder"
+      : "checkout.payAndPlaceOrder"
+    : deliveryTiming === "later"
+      ? "checkout.scheduleOrder"
+      : "checkout.placeOrder";
+
   const isPlaceOrderDisabled =
     !isPricingReady ||
     placing ||
@@ -1267,13 +1597,13 @@ export default function CheckoutScreen({ route, navigation }) {
   if (error && !cart) {
     return (
       <View style={[styles.page, styles.center]}>
-        <Text style={styles.errTitle}>Error</Text>
+        <Text style={styles.errTitle}>{t("menu.errorTitle")}</Text>
         <Text style={styles.errText}>{error}</Text>
         <Pressable
           onPress={() => navigation.navigate("MainTabs", { screen: "Cart" })}
           style={styles.primaryBtn}
         >
-          <Text style={styles.primaryText}>Back to Cart</Text>
+          <Text style={styles.primaryText}>{t("checkout.backToCart")}</Text>
         </Pressable>
       </View>
     );
@@ -1326,7 +1656,7 @@ export default function CheckoutScreen({ route, navigation }) {
                       id: "delivery",
                       coordinate: position,
                       type: "customer",
-                      title: "Delivery Location",
+                      title: t("checkout.deliveryLocation"),
                       emoji: "",
                       customHtml: CHECKOUT_ADDRESS_PIN_HTML,
                       iconOnly: true,
@@ -1340,7 +1670,7 @@ export default function CheckoutScreen({ route, navigation }) {
           ) : (
             <View style={styles.mapFallbackWrap}>
               <Text style={styles.mapFallbackText}>
-                Location not provided. Pin your delivery location on the map.
+                {t("checkout.locationMissing")}
               </Text>
             </View>
           )}
@@ -1356,7 +1686,7 @@ export default function CheckoutScreen({ route, navigation }) {
             }}
             style={styles.mapBtn}
           >
-            <Text style={styles.mapBtnText}>Edit Pin</Text>
+            <Text style={styles.mapBtnText}>{t("checkout.editPin")}</Text>
           </Pressable>
         </View>
 
@@ -1376,11 +1706,15 @@ export default function CheckoutScreen({ route, navigation }) {
                 color="#06C168"
                 style={{ marginRight: 8 }}
               />
-              <Text style={styles.sectionTitleNoMargin}>Price Details</Text>
+              <Text style={styles.sectionTitleNoMargin}>
+                {t("checkout.priceDetails")}
+              </Text>
             </View>
             <View style={{ flexDirection: "row", alignItems: "center", justifyContent: "center", paddingVertical: 24 }}>
               <ActivityIndicator size="small" color="#06C168" style={{ marginRight: 8 }} />
-              <Text style={[styles.value, { color: "#6b7280" }]}>Calculating delivery charges...</Text>
+              <Text style={[styles.value, { color: "#6b7280" }]}>
+                {t("checkout.calculatingCharges")}
+              </Text>
             </View>
           </View>
         ) : (
@@ -1398,7 +1732,9 @@ export default function CheckoutScreen({ route, navigation }) {
                 color="#06C168"
                 style={{ marginRight: 8 }}
               />
-              <Text style={styles.sectionTitleNoMargin}>Price Details</Text>
+              <Text style={styles.sectionTitleNoMargin}>
+                {t("checkout.priceDetails")}
+              </Text>
             </View>
 
             {isLaunchPromoApplied && (
@@ -1407,33 +1743,52 @@ export default function CheckoutScreen({ route, navigation }) {
                   <View style={styles.launchPromoBadgeTitleWrap}>
                     <Ionicons name="pricetag" size={14} color="#065F46" />
                     <Text style={styles.launchPromoBadgeTitle}>
-                      Launch Offer Applied
+                      {t("checkout.launchOfferTitle")}
                     </Text>
                   </View>
                 </View>
                 <Text style={styles.launchPromoBadgeSubText}>
-                  delivery fees offer activated for this order.
+                  {t("checkout.launchOfferBody")}
                 </Text>
               </View>
             )}
 
+            <View style={styles.promoFieldWrap}>
+              <PromoCodeField
+                appliedCode={promoCode}
+                result={promoResult}
+                checking={quoteLoading}
+                onApply={updatePromoCode}
+                onRemove={() => updatePromoCode("")}
+                pendingHint={t("checkout.promoPending")}
+              />
+            </View>
+
             <Row
-              label="Subtotal"
+              label={t("cart.subtotal")}
               value={subtotal !== null ? formatPrice(subtotal) : "--"}
             />
 
+            {promoResult?.applied && promoResult.discountAmount > 0 && (
+              <Row
+                label={t("checkout.promoRow", { code: promoResult.code })}
+                value={`- ${formatPrice(promoResult.discountAmount)}`}
+                isDiscount
+              />
+            )}
+
             <Row
-              label="Delivery fee"
+              label={t("checkout.deliveryFee")}
               value={deliveryFee !== null ? formatPrice(deliveryFee) : "--"}
             />
             <Row
-              label="Service fee"
+              label={t("checkout.serviceFee")}
               value={serviceFee !== null ? formatPrice(serviceFee) : "--"}
             />
 
             <View style={styles.divider} />
             <Row
-              label="Total"
+              label={t("checkout.total")}
               value={finalTotal !== null ? formatPrice(finalTotal) : "--"}
               isBold
               isTotal
@@ -1448,9 +1803,9 @@ export default function CheckoutScreen({ route, navigation }) {
               <Feather name="map-pin" size={20} color="#06C168" />
             </View>
             <View style={{ flex: 1 }}>
-              <Text style={styles.label}>Delivery Address</Text>
+              <Text style={styles.label}>{t("checkout.deliveryAddress")}</Text>
               <Text style={styles.value}>
-                {address || "Add delivery address"}
+                {address || t("checkout.addAddress")}
               </Text>
             </View>
 
@@ -1474,8 +1829,10 @@ export default function CheckoutScreen({ route, navigation }) {
               <Feather name="phone-call" size={20} color="#06C168" />
             </View>
             <View style={{ flex: 1 }}>
-              <Text style={styles.label}>Phone Number</Text>
-              <Text style={styles.value}>{phone || "No phone number"}</Text>
+              <Text style={styles.label}>{t("checkout.phoneNumber")}</Text>
+              <Text style={styles.value}>
+                {phone || t("checkout.noPhone")}
+              </Text>
             </View>
           </View>
         </View>
@@ -1489,13 +1846,17 @@ export default function CheckoutScreen({ route, navigation }) {
               marginBottom: 12,
             }}
           >
-            <Text style={styles.sectionTitleNoMargin}>Order Summary</Text>
+            <Text style={styles.sectionTitleNoMargin}>
+              {t("checkout.orderSummary")}
+            </Text>
           </View>
 
           <View style={styles.summaryBox}>
             <View style={{ flex: 1 }}>
               <Text style={styles.value}>
-                {cart?.restaurant?.restaurant_name || "Restaurant"}
+                {isBasket
+                  ? formatBasketRestaurantNames(basketCarts)
+                  : cart?.restaurant?.restaurant_name || t("menu.restaurant")}
               </Text>
               <View
                 style={{
@@ -1512,15 +1873,21 @@ export default function CheckoutScreen({ route, navigation }) {
                   ]}
                 >
                   {Number.isFinite(effectiveDistanceKm)
-                    ? `${Number(effectiveDistanceKm).toFixed(1)} km away`
+                    ? isBasket
+                      ? t("basket.routeMeta", {
+                          count: basketCarts.length,
+                          km: Number(effectiveDistanceKm).toFixed(1),
+                        })
+                      : t("checkout.kmAway", {
+                          km: Number(effectiveDistanceKm).toFixed(1),
+                        })
                     : hasExplicitDeliveryLocation
-                      ? "Calculating..."
-                      : "Location not provided"}
+                      ? t("checkout.calculating")
+                      : t("checkout.locationNotProvided")}
                 </Text>
               </View>
               <Text style={[styles.muted, { fontSize: 13, marginTop: 4 }]}>
-                {cart?.items?.length || 0} item
-                {cart?.items?.length !== 1 ? "s" : ""} •{" "}
+                {t("orders.itemCount", { count: summaryItemCount })} •{" "}
                 {subtotal !== null ? formatPrice(subtotal) : "--"}
               </Text>
             </View>
@@ -1538,47 +1905,132 @@ export default function CheckoutScreen({ route, navigation }) {
 
           {isOrderSummaryExpanded && (
             <View style={styles.orderItemsWrap}>
-              {(cart?.items || []).length > 0 ? (
-                (cart?.items || []).map((item, idx) => {
-                  const itemName =
-                    item?.food_name || item?.name || `Item ${idx + 1}`;
-                  const qty = Number(item?.quantity) || 1;
-                  const unitPrice = Number(
-                    item?.unit_price ?? item?.price ?? 0,
-                  );
-
-                  return (
-                    <View
-                      key={item?.id || `${itemName}-${idx}`}
-                      style={[
-                        styles.orderItemRow,
-                        idx === (cart?.items || []).length - 1 &&
-                        styles.orderItemLastRow,
-                      ]}
-                    >
-                      <View style={styles.orderItemInfo}>
-                        <Text numberOfLines={1} style={styles.orderItemName}>
-                          {itemName}
-                        </Text>
-                        <Text style={styles.orderItemMeta}>
-                          {qty} x {formatPrice(unitPrice)}
-                        </Text>
-                      </View>
-                      <Text style={styles.orderItemTotal}>
-                        {formatPrice(unitPrice * qty)}
+              {summaryItemCount > 0 ? (
+                summaryCarts.map((summaryCart) => (
+                  <View key={summaryCart.id}>
+                    {isBasket ? (
+                      <Text style={styles.orderGroupTitle}>
+                        {summaryCart.restaurant?.restaurant_name ||
+                          t("menu.restaurant")}
                       </Text>
-                    </View>
-                  );
-                })
+                    ) : null}
+                    {(summaryCart.items || []).map((item, idx) => {
+                      const itemName =
+                        item?.food_name ||
+                        item?.name ||
+                        t("checkout.itemFallback", { number: idx + 1 });
+                      const qty = Number(item?.quantity) || 1;
+                      const unitPrice = getCartItemUnitPrice(item);
+                      const modifiersSummary = formatModifiersSummary(
+                        item?.modifiers,
+                      );
+
+                      return (
+                        <View
+                          key={item?.id || `${itemName}-${idx}`}
+                          style={[
+                            styles.orderItemRow,
+                            idx === (summaryCart.items || []).length - 1 &&
+                            styles.orderItemLastRow,
+                          ]}
+                        >
+                          <View style={styles.orderItemInfo}>
+                            <Text
+                              numberOfLines={1}
+                              style={styles.orderItemName}
+                            >
+                              {itemName}
+                            </Text>
+                            {!!modifiersSummary && (
+                              <Text
+                                numberOfLines={2}
+                                style={styles.orderItemMeta}
+                              >
+                                {modifiersSummary}
+                              </Text>
+                            )}
+                            <Text style={styles.orderItemMeta}>
+                              {t("checkout.quantityPrice", {
+                                quantity: qty,
+                                price: formatPrice(unitPrice),
+                              })}
+                            </Text>
+                          </View>
+                          <Text style={styles.orderItemTotal}>
+                            {formatPrice(unitPrice * qty)}
+                          </Text>
+                        </View>
+                      );
+                    })}
+                  </View>
+                ))
               ) : (
                 <Text style={styles.orderItemEmpty}>
-                  No items found in this cart.
+                  {t("checkout.noItems")}
                 </Text>
               )}
             </View>
           )}
         </View>
 
+        {/* ✅ Delivery Time */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t("checkout.deliveryTime")}</Text>
+
+          {[
+            {
+              id: "now",
+              title: t("checkout.deliverNow"),
+              subtitle: t("checkout.deliverNowHint"),
+              icon: "flash-outline",
+            },
+            {
+              id: "later",
+              title: t("checkout.deliverLater"),
+              subtitle:
+                deliveryTiming === "later" && scheduledFor
+                  ? formatScheduledSlot(scheduledFor)
+                  : t("checkout.deliverLaterHint"),
+              icon: "calendar-outline",
+            },
+          ].map((option) => {
+            const isSelected = option.id === deliveryTiming;
+            return (
+              <Pressable
+                key={option.id}
+                onPress={() => handleSelectDeliveryTiming(option.id)}
+                disabled={placing}
+                style={[
+                  styles.summaryBox,
+                  styles.paymentOption,
+                  isSelected && styles.paymentOptionSelected,
+                ]}
+              >
+                <View style={styles.iconContainer}>
+                  <Ionicons name={option.icon} size={22} color="#06C168" />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.value}>{option.title}</Text>
+                  <Text style={[styles.muted, { fontSize: 12 }]}>
+                    {option.subtitle}
+                  </Text>
+                </View>
+                {option.id === "later" && isSelected ? (
+                  <Text style={styles.scheduleChangeText}>
+                    {t("common.change")}
+                  </Text>
+                ) : (
+                  <Ionicons
+                    name={isSelected ? "radio-button-on" : "radio-button-off"}
+                    size={20}
+                    color={isSelected ? "#06C168" : "#9CA3AF"}
+                  />
+                )}
+              </Pressable>
+            );
+          })}
+        </View>
+
         {/* ✅ Payment Method */}
         <View style={styles.card}>
           <View
@@ -1588,20 +2040,82 @@ export default function CheckoutScreen({ route, navigation }) {
               marginBottom: 12,
             }}
           >
-            <Text style={styles.sectionTitleNoMargin}>Payment Method</Text>
+            <Text style={styles.sectionTitleNoMargin}>
+              {t("checkout.paymentMethod")}
+            </Text>
           </View>
 
-          <View style={styles.summaryBox}>
-            <View style={styles.iconContainer}>
-              <Ionicons name="cash-outline" size={24} color="#06C168" />
-            </View>
-            <View style={{ flex: 1 }}>
-              <Text style={styles.value}>Cash on Delivery</Text>
-              <Text style={[styles.muted, { fontSize: 12 }]}>
-                Pay when your order arrives
-              </Text>
+          {PAYMENT_METHOD_OPTIONS.filter((option) =>
+            availablePaymentMethods.includes(option.id),
+          ).map((option) => {
+            const isSelected = option.id === paymentMethod;
+            const isWallet = option.id === PAYMENT_METHODS.WALLET;
+            const walletShort =
+              isWallet &&
+              Number.isFinite(walletBalance) &&
+              finalTotal !== null &&
+              walletBalance < finalTotal;
+            const isDisabled = placing || walletShort;
+
+            return (
+              <Pressable
+                key={option.id}
+                onPress={() => handleSelectPaymentMethod(option.id)}
+                disabled={isDisabled}
+                style={[
+                  styles.summaryBox,
+                  styles.paymentOption,
+                  isSelected && styles.paymentOptionSelected,
+                  walletShort && { opacity: 0.55 },
+                ]}
+              >
+                <View style={styles.iconContainer}>
+                  <Ionicons name={option.icon} size={24} color="#06C168" />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.value}>
+                    {t(`checkout.methods.${option.id}`)}
+                  </Text>
+                  <Text style={[styles.muted, { fontSize: 12 }]}>
+                    {isWallet && Number.isFinite(walletBalance)
+                      ? t(
+                          walletShort
+                            ? "checkout.walletShort"
+                            : "checkout.walletBalance",
+                          { amount: formatPrice(walletBalance) },
+                        )
+                      : t(`checkout.methodHints.${option.id}`)}
+                  </Text>
+                </View>
+                <Ionicons
+                  name={isSelected ? "radio-button-on" : "radio-button-off"}
+                  size={20}
+                  color={isSelected ? "#06C168" : "#9CA3AF"}
+                />
+              </Pressable>
+            );
+          })}
+
+          {!!paymentError && (
+            <View style={styles.paymentErrorBox}>
+              <Ionicons name="alert-circle" size={16} color="#B91C1C" />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.ctaAlertText}>{paymentError}</Text>
+                <Text style={styles.paymentErrorHint}>
+                  {t("checkout.paymentRetryHint")}
+                </Text>
+              </View>
+              <Pressable
+                onPress={handlePlaceOrder}
+                disabled={isPlaceOrderDisabled}
+                style={styles.paymentRetryBtn}
+              >
+                <Text style={styles.paymentRetryText}>
+                  {t("common.retry")}
+                </Text>
+              </Pressable>
             </View>
-          </View>
+          )}
         </View>
       </ScrollView>
 
@@ -1622,7 +2136,7 @@ export default function CheckoutScreen({ route, navigation }) {
           <View style={[styles.cta, styles.ctaDisabled, { justifyContent: "center", flexDirection: "row" }]}>
             <ActivityIndicator size="small" color="#6EDE9A" />
             <Text style={[styles.ctaText, { color: "#6EDE9A", marginLeft: 8 }]}>
-              Calculating pricing...
+              {t("checkout.calculatingPricing")}
             </Text>
           </View>
         ) : (
@@ -1638,18 +2152,29 @@ export default function CheckoutScreen({ route, navigation }) {
               ]}
             >
               {placing
-                ? "Placing..."
+                ? paymentStage === "authorizing"
+                  ? t("checkout.processingPayment")
+                  : t("checkout.placing")
                 : !hasExplicitDeliveryLocation
-                  ? "Location not provided"
+                  ? t("checkout.locationNotProvided")
                   : !String(city || "").trim()
-                    ? "Add city to continue"
+                    ? t("checkout.addCity")
                     : !isDistanceWithinLimit && routeInfo
-                      ? `Not available beyond ${maxOrderDistanceKm} km`
+                      ? t("checkout.unavailableBeyond", {
+                          km: maxOrderDistanceKm,
+                        })
                       : !isSubtotalValid
-                        ? `Add Rs. ${(requiredMinSubtotal - subtotal).toFixed(0)} more`
+                        ? t("checkout.addMore", {
+                            amount: formatPrice(
+                              requiredMinSubtotal - subtotal,
+                            ),
+                          })
                         : finalTotal !== null
-                          ? `Place Order • ${formatPrice(finalTotal)}`
-                          : "Place Order"}
+                          ? t("checkout.actionWithTotal", {
+                              action: t(placeOrderActionKey),
+                              total: formatPrice(finalTotal),
+                            })
+                          : t("checkout.placeOrder")}
             </Text>
             {placing && (
               <ActivityIndicator
@@ -1680,22 +2205,26 @@ export default function CheckoutScreen({ route, navigation }) {
             showsVerticalScrollIndicator={false}
           >
             <View style={styles.modalCard}>
-              <Text style={styles.modalTitle}>Edit Delivery Address</Text>
+              <Text style={styles.modalTitle}>
+                {t("checkout.editAddressTitle")}
+              </Text>
 
-              <Text style={styles.inputLabel}>Street Address</Text>
+              <Text style={styles.inputLabel}>
+                {t("checkout.streetAddress")}
+              </Text>
               <TextInput
                 value={editAddress}
                 onChangeText={setEditAddress}
-                placeholder="Enter full address"
+                placeholder={t("checkout.addressPlaceholder")}
                 multiline
                 style={[styles.input, { height: 90, textAlignVertical: "top" }]}
               />
 
-              <Text style={styles.inputLabel}>City</Text>
+              <Text style={styles.inputLabel}>{t("checkout.city")}</Text>
               <TextInput
                 value={editCity}
                 onChangeText={setEditCity}
-                placeholder="Enter city"
+                placeholder={t("checkout.cityPlaceholder")}
                 style={styles.input}
               />
 
@@ -1703,15 +2232,15 @@ export default function CheckoutScreen({ route, navigation }) {
                 disabled={savingAddress}
                 onPress={async () => {
                   if (!editAddress.trim()) {
-                    setError("Address is required");
+                    setError(t("checkout.addressFieldRequired"));
                     return;
                   }
                   if (!editCity.trim()) {
-                    setError("City is required");
+                    setError(t("checkout.cityRequired"));
                     return;
                   }
                   if (!hasExplicitDeliveryLocation) {
-                    setError("Please set delivery pin first using Edit Pin");
+                    setError(t("checkout.pinFirst"));
                     return;
                   }
                   await saveAddressAndLocation({
@@ -1724,7 +2253,7 @@ export default function CheckoutScreen({ route, navigation }) {
                 style={[styles.primaryBtn, savingAddress && { opacity: 0.7 }]}
               >
                 <Text style={styles.primaryText}>
-                  {savingAddress ? "Saving..." : "Save"}
+                  {savingAddress ? t("checkout.saving") : t("common.save")}
                 </Text>
               </Pressable>
 
@@ -1732,17 +2261,97 @@ export default function CheckoutScreen({ route, navigation }) {
                 onPress={() => setShowAddressModal(false)}
                 style={styles.outlineBtn}
               >
-                <Text style={styles.outlineText}>Cancel</Text>
+                <Text style={styles.outlineText}>{t("common.cancel")}</Text>
               </Pressable>
             </View>
           </ScrollView>
         </KeyboardAvoidingView>
       </Modal>
+
+      {/* ✅ Schedule Slot Modal */}
+      <Modal
+        transparent
+        visible={showSchedulePicker}
+        animationType="slide"
+        onRequestClose={() => setShowSchedulePicker(false)}
+      >
+        <View style={styles.modalWrap}>
+          <Pressable
+            style={styles.modalBackdrop}
+            onPress={() => setShowSchedulePicker(false)}
+          />
+          <ScrollView
+            style={styles.modalSheet}
+            contentContainerStyle={styles.modalScrollContent}
+            showsVerticalScrollIndicator={false}
+          >
+            <View style={styles.modalCard}>
+              <Text style={styles.modalTitle}>
+                {t("checkout.chooseTime")}
+              </Text>
+              <Text style={[styles.muted, { fontSize: 12, marginBottom: 6 }]}>
+                {t("checkout.slotsHint")}
+              </Text>
+
+              {scheduleSlots.length === 0 ? (
+                <Text style={styles.scheduleEmptyText}>
+                  {t("checkout.noSlots")}
+                </Text>
+              ) : (
+                scheduleSlots.map((day) => (
+                  <View key={day.key}>
+                    <Text style={styles.inputLabel}>{day.label}</Text>
+                    <View style={styles.scheduleSlotGrid}>
+                      {day.slots.map((slot) => {
+                        const isSelected = slot.value === scheduledFor;
+                        return (
+                          <Pressable
+                            key={slot.value}
+                            onPress={() => {
+                              setScheduledFor(slot.value);
+                              setDeliveryTiming("later");
+                              setError("");
+                              setShowSchedulePicker(false);
+                            }}
+                            style={[
+                              styles.scheduleSlot,
+                              isSelected && styles.scheduleSlotSelected,
+                            ]}
+                          >
+                            <Text
+                              style={[
+                                styles.scheduleSlotText,
+                                isSelected && styles.scheduleSlotTextSelected,
+                              ]}
+                            >
+                              {slot.label}
+                            </Text>
+                          </Pressable>
+                        );
+                      })}
+                    </View>
+                  </View>
+                ))
+              )}
+
+              <Pressable
+                onPress={() => {
+                  setShowSchedulePicker(false);
+                  if (!scheduledFor) setDeliveryTiming("now");
+                }}
+                style={styles.outlineBtn}
+              >
+                <Text style={styles.outlineText}>{t("common.cancel")}</Text>
+              </Pressable>
+            </View>
+          </ScrollView>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
 
-function Row({ label, value, isBold, isTotal }) {
+function Row({ label, value, isBold, isTotal, isDiscount }) {
   return (
     <View style={[styles.rowBetween, { marginBottom: 8 }]}>
       <Text
@@ -1758,7 +2367,8 @@ function Row({ label, value, isBold, isTotal }) {
         style={[
           styles.rowValue, 
           isBold && { fontWeight: "900", color: TEXT },
-          isTotal && { fontSize: 22 }
+          isTotal && { fontSize: 22 },
+          isDiscount && { color: GREEN_DARK }
         ]}
       >
         {value}
@@ -1897,6 +2507,65 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  paymentOption: {
+    marginTop: 8,
+    borderWidth: 1.5,
+    borderColor: "transparent",
+  },
+  paymentOptionSelected: {
+    borderColor: GREEN,
+    backgroundColor: "#F0FDF4",
+  },
+  scheduleChangeText: { fontSize: 13, fontWeight: "800", color: GREEN },
+  scheduleSlotGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  scheduleSlot: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#fff",
+  },
+  scheduleSlotSelected: {
+    borderColor: GREEN,
+    backgroundColor: "#F0FDF4",
+  },
+  scheduleSlotText: { fontSize: 13, fontWeight: "700", color: TEXT },
+  scheduleSlotTextSelected: { color: GREEN },
+  scheduleEmptyText: {
+    color: MUTED,
+    fontSize: 13,
+    marginVertical: 16,
+    textAlign: "center",
+  },
+  paymentErrorBox: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#FEF2F2",
+    borderWidth: 1,
+    borderColor: "#FECACA",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginTop: 10,
+  },
+  paymentErrorHint: { color: "#7F1D1D", fontSize: 11, marginTop: 2 },
+  paymentRetryBtn: {
+    backgroundColor: "#B91C1C",
+    borderRadius: 999,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  paymentRetryText: { color: "#fff", fontWeight: "900", fontSize: 12 },
+
+  promoFieldWrap: {
+    marginBottom: 14,
+  },
   launchPromoBadgeWrap: {
     backgroundColor: "#ECFDF5",
     borderWidth: 1,
@@ -1944,6 +2613,12 @@ const styles = StyleSheet.create({
     marginLeft: 10,
   },
 
+  orderGroupTitle: {
+    marginTop: 10,
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#06C168",
+  },
   orderItemsWrap: {
     marginTop: 8,
     backgroundColor: "#ffffff",
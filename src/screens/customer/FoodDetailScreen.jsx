@@ -1,7 +1,6 @@
 import { Ionicons } from "@expo/vector-icons";
 import { LinearGradient } from "expo-linear-gradient";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-const GREEN = "#06C168";
 import { useEffect, useMemo, useRef, useState } from "react";
 import {
   Alert,
@@ -14,13 +13,31 @@ import {
   View,
 } from "react-native";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import SkeletonBlock from "../../components/common/SkeletonBlock";
+import DietaryBadges, {
+  DietaryConflictNote,
+} from "../../components/customer/DietaryBadges";
+import ReviewsSection from "../../components/customer/ReviewsSection";
 import { API_BASE_URL } from "../../constants/api";
+import useDietaryPreferences from "../../hooks/useDietaryPreferences";
 import { getAccessToken } from "../../lib/authStorage";
 import { prefetchImageUrls } from "../../lib/imageCache";
 import { fetchJsonWithCache, getCachedJson } from "../../lib/publicDataCache";
 import { MetaAnalytics } from "../../services/MetaAnalytics";
+import { REVIEW_TARGETS } from "../../services/reviewService";
+import { getDietaryConflicts } from "../../utils/dietaryTags";
+import {
+  buildSelectedModifiers,
+  getDefaultModifierSelection,
+  getModifierSelectionError,
+  getModifiersTotal,
+  normalizeModifierGroups,
+  toggleModifierSelection,
+} from "../../utils/foodModifiers";
+
+const GREEN = "#06C168";
 
 function FoodDetailSkeleton({ onClose, insets }) {
   return (
@@ -95,6 +112,7 @@ export default function FoodDetailScreen({ route, navigation }) {
   // react-router useParams -> RN route.params
   const { restaurantId, foodId } = route.params;
   const insets = useSafeAreaInsets();
+  const { t, formatCurrency } = useLocale();
   const restaurantCacheKey = `public:restaurant:${restaurantId}`;
   const foodCacheKey = `public:restaurant:${restaurantId}:food:${foodId}`;
   const cachedRestaurantData = getCachedJson(restaurantCacheKey, 180000);
@@ -110,9 +128,15 @@ export default function FoodDetailScreen({ route, navigation }) {
   const [error, setError] = useState("");
 
   const [selectedSize, setSelectedSize] = useState("regular");
+  const [modifierSelection, setModifierSelection] = useState({});
   const [quantity, setQuantity] = useState(1);
   const [addingToCart, setAddingToCart] = useState(false);
   const [countdown, setCountdown] = useState(null);
+  const { preferences: dietaryPreferences } = useDietaryPreferences();
+  const dietaryConflicts = useMemo(
+    () => getDietaryConflicts(food, dietaryPreferences),
+    [food, dietaryPreferences],
+  );
 
   useEffect(() => {
     if (food?.is_available === false && food.next_available_seconds > 0) {
@@ -174,7 +198,7 @@ export default function FoodDetailScreen({ route, navigation }) {
           );
           const payload = await restaurantRes.json().catch(() => ({}));
           if (!restaurantRes.ok) {
-            throw new Error(payload.message || "Restaurant not found");
+            throw new Error(payload.message || t("menu.restaurantNotFound"));
           }
           return payload;
         },
@@ -191,7 +215,7 @@ export default function FoodDetailScreen({ route, navigation }) {
           );
           const payload = await foodRes.json().catch(() => ({}));
           if (!foodRes.ok) {
-            throw new Error(payload.message || "Food not found");
+            throw new Error(payload.message || t("menu.foodNotFound"));
           }
           return payload;
         },
@@ -206,7 +230,7 @@ export default function FoodDetailScreen({ route, navigation }) {
       ]);
       setSelectedSize(foodData.food?.extra_price ? "regular" : "regular");
     } catch (e) {
-      setError(e.message || "Something went wrong");
+      setError(e.message || t("menu.genericError"));
     } finally {
       setLoading(false);
     }
@@ -224,10 +248,10 @@ export default function FoodDetailScreen({ route, navigation }) {
   }, [food]);
 
   const formatPrice = (price) => {
-    if (price === null || price === undefined) return "N/A";
+    if (price === null || price === undefined) return t("menu.priceUnknown");
     const n = Number(price);
-    if (Number.isNaN(n)) return "N/A";
-    return `Rs. ${n.toFixed(2)}`;
+    if (Number.isNaN(n)) return t("menu.priceUnknown");
+    return formatCurrency(n);
   };
 
   const unitPrice = useMemo(() => {
@@ -239,7 +263,29 @@ export default function FoodDetailScreen({ route, navigation }) {
     return Number(base) || 0;
   }, [food, selectedSize]);
 
-  const totalPrice = useMemo(() => unitPrice * quantity, [unitPrice, quantity]);
+  const modifierGroups = useMemo(
+    () => normalizeModifierGroups(food?.modifier_groups),
+    [food?.modifier_groups],
+  );
+
+  useEffect(() => {
+    setModifierSelection(getDefaultModifierSelection(modifierGroups));
+  }, [modifierGroups]);
+
+  const selectedModifiers = useMemo(
+    () => buildSelectedModifiers(modifierGroups, modifierSelection),
+    [modifierGroups, modifierSelection],
+  );
+
+  const modifierSelectionError = useMemo(
+    () => getModifierSelectionError(modifierGroups, modifierSelection),
+    [modifierGroups, modifierSelection],
+  );
+
+  const totalPrice = useMemo(
+    () => (unitPrice + getModifiersTotal(selectedModifiers)) * quantity,
+    [unitPrice, selectedModifiers, quantity],
+  );
 
   const sizeOptions = useMemo(() => {
     if (!food) return [];
@@ -247,7 +293,7 @@ export default function FoodDetailScreen({ route, navigation }) {
     const options = [
       {
         key: "regular",
-        label: food.regular_size || "Regular",
+        label: food.regular_size || t("menu.sizeRegular"),
         portion: food.regular_portion,
         currentPrice: food.offer_price || food.regular_price,
         oldPrice: food.offer_price ? food.regular_price : null,
@@ -257,7 +303,7 @@ export default function FoodDetailScreen({ route, navigation }) {
     if (food.extra_price) {
       options.push({
         key: "large",
-        label: food.extra_size || "Large",
+        label: food.extra_size || t("menu.sizeLarge"),
         portion: food.extra_portion,
         currentPrice: food.extra_offer_price || food.extra_price,
         oldPrice: food.extra_offer_price ? food.extra_price : null,
@@ -265,7 +311,7 @@ export default function FoodDetailScreen({ route, navigation }) {
     }
 
     return options;
-  }, [food]);
+  }, [food, t]);
 
   const addToCart = async ({ goToCheckout = false } = {}) => {
     try {
@@ -273,15 +319,27 @@ export default function FoodDetailScreen({ route, navigation }) {
       const role = await AsyncStorage.getItem("role");
 
       if (!token || token === "null" || token === "undefined") {
-        Alert.alert("Login required", "Please login to add items to cart", [
-          { text: "Cancel", style: "cancel" },
-          { text: "Go to Login", onPress: () => navigation.navigate("Login") },
-        ]);
+        Alert.alert(
+          t("menu.loginRequiredTitle"),
+          t("menu.loginRequiredBody"),
+          [
+            { text: t("common.cancel"), style: "cancel" },
+            {
+              text: t("menu.goToLogin"),
+              onPress: () => navigation.navigate("Login"),
+            },
+          ],
+        );
         return;
       }
 
       if (role !== "customer") {
-        Alert.alert("Not allowed", "Only customers can add items to cart");
+        Alert.alert(t("menu.notAllowedTitle"), t("menu.customersOnly"));
+        return;
+      }
+
+      if (modifierSelectionError) {
+        Alert.alert(t("menu.chooseAddOnsTitle"), modifierSelectionError);
         return;
       }
 
@@ -298,17 +356,18 @@ export default function FoodDetailScreen({ route, navigation }) {
           food_id: foodId,
           size: selectedSize,
           quantity,
+          modifiers: selectedModifiers.length > 0 ? selectedModifiers : undefined,
         }),
       });
 
       const data = await res.json().catch(() => ({}));
-      if (!res.ok) throw new Error(data.message || "Failed to add to cart");
+      if (!res.ok) throw new Error(data.message || t("menu.addFailed"));
 
       // Log AddToCart event
       MetaAnalytics.logAddToCart({
         id: foodId,
         name: food?.name,
-        price: unitPrice,
+        price: unitPrice + getModifiersTotal(selectedModifiers),
         quantity,
       });
 
@@ -324,7 +383,7 @@ export default function FoodDetailScreen({ route, navigation }) {
         restaurantId,
       });
     } catch (e) {
-      Alert.alert("Error", e.message || "Failed to add to cart");
+      Alert.alert(t("menu.errorTitle"), e.message || t("menu.addFailed"));
     } finally {
       setAddingToCart(false);
     }
@@ -340,13 +399,13 @@ export default function FoodDetailScreen({ route, navigation }) {
     return (
       <View style={[styles.container, { paddingTop: insets.top }]}>
         <View style={styles.center}>
-          <Text style={styles.errTitle}>Oops!</Text>
+          <Text style={styles.errTitle}>{t("menu.oops")}</Text>
           <Text style={styles.errText}>{error}</Text>
           <Pressable
             onPress={() => navigation.goBack()}
             style={styles.primaryBtn}
           >
-            <Text style={styles.primaryText}>Go Back</Text>
+            <Text style={styles.primaryText}>{t("menu.goBack")}</Text>
           </Pressable>
         </View>
       </View>
@@ -398,7 +457,7 @@ export default function FoodDetailScreen({ route, navigation }) {
                 <Ionicons name="restaurant" size={12} color="#fff" />
               </View>
               <Text style={styles.restaurantBadgeText}>
-                {restaurant?.restaurant_name || "Restaurant"}
+                {restaurant?.restaurant_name || t("menu.restaurant")}
               </Text>
             </View>
 
@@ -413,14 +472,18 @@ export default function FoodDetailScreen({ route, navigation }) {
                     style={{ marginRight: 6 }}
                   />
                   <Text style={styles.unavailBadgeText}>
-                    Currently Not Available
+                    {t("menu.notAvailable")}
                   </Text>
                 </View>
                 {food.available_time?.length > 0 && (
                   <Text style={styles.unavailSubText}>
                     {countdown !== null
-                      ? `Available in ${formatCountdown(countdown)}`
-                      : `Available during: ${food.available_time.join(", ")}`}
+                      ? t("menu.availableIn", {
+                          time: formatCountdown(countdown),
+                        })
+                      : t("menu.availableDuring", {
+                          times: food.available_time.join(", "),
+                        })}
                   </Text>
                 )}
               </View>
@@ -440,11 +503,16 @@ export default function FoodDetailScreen({ route, navigation }) {
             {!!food.description && (
               <Text style={styles.productDesc}>{food.description}</Text>
             )}
+            <DietaryBadges food={food} style={styles.dietaryBadges} />
+            <DietaryConflictNote
+              conflicts={dietaryConflicts}
+              style={styles.dietaryConflict}
+            />
           </View>
 
           {/* Size Selection */}
           <View style={styles.sectionContainer}>
-            <Text style={styles.sectionLabel}>SELECT SIZE</Text>
+            <Text style={styles.sectionLabel}>{t("menu.selectSize")}</Text>
             <View style={styles.sizeContainer}>
               {sizeOptions.map((option) => {
                 const isSelected = selectedSize === option.key;
@@ -489,7 +557,7 @@ export default function FoodDetailScreen({ route, navigation }) {
                             isSelected && styles.sizePortionTextActive,
                           ]}
                         >
-                          Portion {option.portion}
+                          {t("menu.portion", { portion: option.portion })}
                         </Text>
                       )}
                     </View>
@@ -520,10 +588,105 @@ export default function FoodDetailScreen({ route, navigation }) {
             </View>
           </View>
 
+          {/* Add-on groups */}
+          {modifierGroups.map((group) => {
+            const selectedIds = modifierSelection[group.id] || [];
+            const isSingle = group.max_select === 1;
+            const ruleText = group.required
+              ? group.min_select === group.max_select
+                ? t("menu.requiredExact", { count: group.min_select })
+                : t("menu.requiredRange", {
+                    min: group.min_select,
+                    max: group.max_select,
+                  })
+              : isSingle
+                ? t("menu.optional")
+                : t("menu.optionalUpTo", { max: group.max_select });
+
+            return (
+              <View key={group.id} style={styles.sectionContainer}>
+                <View style={styles.modifierHeader}>
+                  <Text style={styles.sectionLabel}>
+                    {group.name.toUpperCase()}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.modifierRule,
+                      group.required &&
+                        selectedIds.length < group.min_select &&
+                        styles.modifierRuleMissing,
+                    ]}
+                  >
+                    {ruleText}
+                  </Text>
+                </View>
+                <View style={styles.sizeContainer}>
+                  {group.options.map((option) => {
+                    const isSelected = selectedIds.includes(option.id);
+                    const isDisabled =
+                      !option.is_available ||
+                      (!isSelected &&
+                        !isSingle &&
+                        selectedIds.length >= group.max_select);
+                    const icon = isSingle
+                      ? isSelected
+                        ? "radio-button-on"
+                        : "radio-button-off"
+                      : isSelected
+                        ? "checkbox"
+                        : "square-outline";
+
+                    return (
+                      <Pressable
+                        key={option.id}
+                        disabled={isDisabled}
+                        onPress={() =>
+                          setModifierSelection((prev) =>
+                            toggleModifierSelection(prev, group, option.id),
+                          )
+                        }
+                        style={[
+                          styles.sizeOption,
+                          styles.modifierOption,
+                          isSelected && styles.sizeOptionActive,
+                          isDisabled && { opacity: 0.45 },
+                        ]}
+                      >
+                        <Ionicons
+                          name={icon}
+                          size={18}
+                          color={isSelected ? "#06C168" : "#94A3B8"}
+                          style={{ marginRight: 10 }}
+                        />
+                        <Text
+                          style={[
+                            styles.sizeOptionName,
+                            { flex: 1 },
+                            isSelected && styles.sizeOptionNameActive,
+                          ]}
+                        >
+                          {option.name}
+                          {!option.is_available
+                            ? ` ${t("menu.soldOut")}`
+                            : ""}
+                        </Text>
+                        {option.price > 0 && (
+                          <Text style={styles.modifierPrice}>
+                            +{formatPrice(option.price)}
+                          </Text>
+                        )}
+                      </Pressable>
+                    );
+                  })}
+                </View>
+              </View>
+            );
+          })}
+
           {/* Quantity Stepper */}
           <View style={styles.quantityContainer}>
             <View style={styles.quantityInner}>
-              <Text style={styles.quantityLabel}>Quantity</Text>
+              <Text style={styles.quantityLabel}>{t("menu.quantity")}</Text>
               <View style={styles.quantityStepper}>
                 <Pressable
                   onPress={() => setQuantity(Math.max(1, quantity - 1))}
@@ -559,7 +722,7 @@ export default function FoodDetailScreen({ route, navigation }) {
                 ]}
               >
                 <Text style={styles.buyNowText}>
-                  {addingToCart ? "Buying..." : "Buy Now"}
+                  {addingToCart ? t("menu.buying") : t("menu.buyNow")}
                 </Text>
               </Pressable>
               <Pressable
@@ -573,12 +736,20 @@ export default function FoodDetailScreen({ route, navigation }) {
               >
                 <Text style={styles.addToCartText}>
                   {addingToCart
-                    ? "Adding..."
-                    : `Add to Cart • ${formatPrice(totalPrice)}`}
+                    ? t("menu.adding")
+                    : t("menu.addToCartTotal", {
+                        price: formatPrice(totalPrice),
+                      })}
                 </Text>
               </Pressable>
             </View>
           </View>
+
+          <ReviewsSection
+            targetType={REVIEW_TARGETS.FOOD}
+            targetId={foodId}
+            style={styles.reviewsSection}
+          />
         </View>
       </ScrollView>
     </View>
@@ -810,6 +981,13 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     fontWeight: "400",
   },
+  dietaryBadges: {
+    marginTop: 10,
+  },
+  dietaryConflict: {
+    marginTop: 8,
+    fontSize: 12,
+  },
 
   // Size Selection
   sectionContainer: {
@@ -909,6 +1087,30 @@ const styles = StyleSheet.create({
     fontWeight: "700",
   },
 
+  // Add-ons
+  modifierHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  modifierRule: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#94A3B8",
+  },
+  modifierRuleMissing: {
+    color: "#DC2626",
+  },
+  modifierOption: {
+    paddingVertical: 12,
+  },
+  modifierPrice: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#0F172A",
+    marginLeft: 12,
+  },
+
   // Quantity
   quantityContainer: {
     paddingHorizontal: 20,
@@ -975,6 +1177,11 @@ const styles = StyleSheet.create({
     paddingTop: 16,
     paddingBottom: 6,
   },
+  reviewsSection: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    paddingBottom: 16,
+  },
   btnRow: {
     flexDirection: "row",
     gap: 12,
@@ -0,0 +1,608 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Pressable,
+  ScrollView,
+  Share,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { API_BASE_URL } from "../../constants/api";
+import useGroupCart from "../../hooks/useGroupCart";
+import { fetchJsonWithCache } from "../../lib/publicDataCache";
+import {
+  GROUP_CART_STATUS,
+  MAX_DISPLAY_NAME_LENGTH,
+  buildGroupCartInviteLink,
+  lineTotal,
+} from "../../services/groupCartService";
+
+const GREEN = "#06C168";
+
+const foodPrice = (food) =>
+  Number(food?.offer_price || food?.regular_price || food?.price || 0);
+
+function normalizeFoodsPayload(payload) {
+  if (Array.isArray(payload?.foods)) return payload.foods;
+  if (Array.isArray(payload?.data?.foods)) return payload.data.foods;
+  if (Array.isArray(payload?.data)) return payload.data;
+  return [];
+}
+
+export default function GroupCartScreen({ navigation, route }) {
+  const code = route?.params?.code;
+  const { user } = useAuth();
+  const { t, formatCurrency } = useLocale();
+  const {
+    groupCart,
+    groups,
+    me,
+    isHost,
+    editable,
+    loading,
+    error,
+    busy,
+    join,
+    addItem,
+    setQuantity,
+    setLocked,
+    checkout,
+  } = useGroupCart(code);
+
+  const [displayName, setDisplayName] = useState(user?.name || "");
+  const [foods, setFoods] = useState([]);
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  const restaurantId = groupCart?.restaurant_id;
+  const status = groupCart?.status;
+  const itemCount = (groupCart?.items || []).length;
+
+  const total = useMemo(
+    () => groups.reduce((sum, group) => sum + group.subtotal, 0),
+    [groups],
+  );
+
+  useEffect(() => {
+    if (!restaurantId || !me) return undefined;
+    let cancelled = false;
+    fetchJsonWithCache(`public:restaurant:${restaurantId}:foods`, async () => {
+      const res = await fetch(
+        `${API_BASE_URL}/public/restaurants/${restaurantId}/foods`,
+      );
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(payload.message || "Failed to fetch foods");
+      }
+      return payload;
+    })
+      .then((data) => {
+        if (!cancelled) setFoods(normalizeFoodsPayload(data));
+      })
+      .catch((err) => {
+        console.warn("[GroupCart] Menu fetch failed:", err?.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [restaurantId, me]);
+
+  const handleShare = async () => {
+    try {
+      await Share.share({
+        message: t("groupCart.inviteMessage", {
+          restaurant: groupCart?.restaurant_name || "",
+          link: buildGroupCartInviteLink(code),
+        }),
+      });
+    } catch {
+      // User dismissed the share sheet.
+    }
+  };
+
+  const handleJoin = async () => {
+    const name = displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH);
+    if (!name) return;
+    await join(name).catch(() => {});
+  };
+
+  const handleCheckout = async () => {
+    try {
+      const { cartId } = await checkout();
+      if (!cartId) throw new Error(t("groupCart.checkoutFailed"));
+      navigation.navigate("Checkout", { cartId, groupCartCode: code });
+    } catch (err) {
+      Alert.alert(t("common.error"), err?.message);
+    }
+  };
+
+  const confirmCheckout = () => {
+    Alert.alert(t("groupCart.checkoutTitle"), t("groupCart.checkoutBody"), [
+      { text: t("common.cancel"), style: "cancel" },
+      { text: t("groupCart.checkout"), onPress: handleCheckout },
+    ]);
+  };
+
+  if (loading && !groupCart) {
+    return (
+      <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+        <View style={styles.center}>
+          <ActivityIndicator color={GREEN} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (!groupCart) {
+    return (
+      <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+        <View style={styles.center}>
+          <Text style={styles.errorText}>
+            {error || t("groupCart.notFound")}
+          </Text>
+          <Pressable
+            onPress={() => navigation.goBack()}
+            style={styles.secondaryBtn}
+          >
+            <Text style={styles.secondaryBtnText}>{t("common.back")}</Text>
+          </Pressable>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const statusLabel =
+    status === GROUP_CART_STATUS.CHECKED_OUT
+      ? t("groupCart.statusCheckedOut")
+      : status === GROUP_CART_STATUS.LOCKED
+        ? t("groupCart.statusLocked")
+        : t("groupCart.statusOpen");
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+      <View style={styles.header}>
+        <Pressable
+          onPress={() => navigation.goBack()}
+          style={styles.backBtn}
+          hitSlop={10}
+        >
+          <Ionicons name="chevron-back" size={24} color="#111827" />
+        </Pressable>
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle}>{t("groupCart.title")}</Text>
+          <Text style={styles.headerSub} numberOfLines={1}>
+            {groupCart.restaurant_name || ""}
+          </Text>
+        </View>
+        <View
+          style={[
+            styles.statusPill,
+            status !== GROUP_CART_STATUS.OPEN && styles.statusPillLocked,
+          ]}
+        >
+          <Text style={styles.statusPillText}>{statusLabel}</Text>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {status !== GROUP_CART_STATUS.CHECKED_OUT ? (
+          <View style={styles.inviteCard}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.inviteLabel}>
+                {t("groupCart.inviteCode")}
+              </Text>
+              <Text style={styles.inviteCode}>{groupCart.code}</Text>
+            </View>
+            <Pressable onPress={handleShare} style={styles.shareBtn}>
+              <Ionicons name="share-social-outline" size={18} color="#fff" />
+              <Text style={styles.shareBtnText}>{t("groupCart.invite")}</Text>
+            </Pressable>
+          </View>
+        ) : (
+          <View style={styles.noticeCard}>
+            <Ionicons name="checkmark-circle" size={20} color={GREEN} />
+            <Text style={styles.noticeText}>
+              {t("groupCart.checkedOutNotice")}
+            </Text>
+          </View>
+        )}
+
+        {!me && editable ? (
+          <View style={styles.joinCard}>
+            <Text style={styles.sectionTitle}>{t("groupCart.joinTitle")}</Text>
+            <TextInput
+              value={displayName}
+              onChangeText={setDisplayName}
+              placeholder={t("groupCart.namePlaceholder")}
+              maxLength={MAX_DISPLAY_NAME_LENGTH}
+              style={styles.input}
+            />
+            <Pressable
+              onPress={handleJoin}
+              disabled={busy || !displayName.trim()}
+              style={[
+                styles.primaryBtn,
+                (busy || !displayName.trim()) && styles.disabled,
+              ]}
+            >
+              <Text style={styles.primaryBtnText}>{t("groupCart.join")}</Text>
+            </Pressable>
+          </View>
+        ) : null}
+
+        {groups.map(({ participant, items, subtotal }) => {
+          const isMe = me && String(participant.id) === String(me.id);
+          return (
+            <View key={participant.id} style={styles.personCard}>
+              <View style={styles.personHeader}>
+                <Text style={styles.personName}>
+                  {participant.display_name}
+                  {isMe ? ` ${t("groupCart.you")}` : ""}
+                </Text>
+                {participant.is_host ? (
+                  <View style={styles.hostBadge}>
+                    <Text style={styles.hostBadgeText}>
+                      {t("groupCart.host")}
+                    </Text>
+                  </View>
+                ) : null}
+                <Text style={styles.personSubtotal}>
+                  {formatCurrency(subtotal)}
+                </Text>
+              </View>
+              {items.length === 0 ? (
+                <Text style={styles.mutedText}>{t("groupCart.noItems")}</Text>
+              ) : (
+                items.map((item) => (
+                  <View key={item.id} style={styles.itemRow}>
+                    <Text style={styles.itemName} numberOfLines={1}>
+                      {item.food_name || item.name}
+                    </Text>
+                    {isMe && editable ? (
+                      <View style={styles.qtyControl}>
+                        <Pressable
+                          onPress={() =>
+                            setQuantity(item.id, item.quantity - 1).catch(
+                              () => {},
+                            )
+                          }
+                          disabled={busy}
+                          hitSlop={8}
+                        >
+                          <Ionicons
+                            name="remove-circle-outline"
+                            size={22}
+                            color="#374151"
+                          />
+                        </Pressable>
+                        <Text style={styles.qtyText}>{item.quantity}</Text>
+                        <Pressable
+                          onPress={() =>
+                            setQuantity(item.id, item.quantity + 1).catch(
+                              () => {},
+                            )
+                          }
+                          disabled={busy}
+                          hitSlop={8}
+                        >
+                          <Ionicons
+                            name="add-circle-outline"
+                            size={22}
+                            color={GREEN}
+                          />
+                        </Pressable>
+                      </View>
+                    ) : (
+                      <Text style={styles.qtyText}>x{item.quantity}</Text>
+                    )}
+                    <Text style={styles.itemPrice}>
+                      {formatCurrency(lineTotal(item))}
+                    </Text>
+                  </View>
+                ))
+              )}
+            </View>
+          );
+        })}
+
+        {me && editable ? (
+          <View style={styles.menuCard}>
+            <Pressable
+              onPress={() => setMenuOpen((open) => !open)}
+              style={styles.menuToggle}
+            >
+              <Text style={styles.sectionTitle}>
+                {t("groupCart.addItems")}
+              </Text>
+              <Ionicons
+                name={menuOpen ? "chevron-up" : "chevron-down"}
+                size={20}
+                color="#374151"
+              />
+            </Pressable>
+            {menuOpen
+              ? foods.map((food) => (
+                  <View key={food.id} style={styles.menuRow}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.itemName} numberOfLines={1}>
+                        {food.name}
+                      </Text>
+                      <Text style={styles.mutedText}>
+                        {formatCurrency(foodPrice(food))}
+                      </Text>
+                    </View>
+                    <Pressable
+                      onPress={() => addItem(food).catch(() => {})}
+                      disabled={busy}
+                      style={styles.addBtn}
+                    >
+                      <Ionicons name="add" size={18} color="#fff" />
+                    </Pressable>
+                  </View>
+                ))
+              : null}
+          </View>
+        ) : null}
+
+        {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      </ScrollView>
+
+      {status !== GROUP_CART_STATUS.CHECKED_OUT ? (
+        <View style={styles.footer}>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>
+              {t("groupCart.itemsTotal", { count: itemCount })}
+            </Text>
+            <Text style={styles.totalValue}>{formatCurrency(total)}</Text>
+          </View>
+          {isHost ? (
+            <View style={styles.hostActions}>
+              <Pressable
+                onPress={() =>
+                  setLocked(status === GROUP_CART_STATUS.OPEN).catch(() => {})
+                }
+                disabled={busy}
+                style={[styles.secondaryBtn, styles.flexBtn]}
+              >
+                <Text style={styles.secondaryBtnText}>
+                  {status === GROUP_CART_STATUS.OPEN
+                    ? t("groupCart.lock")
+                    : t("groupCart.unlock")}
+                </Text>
+              </Pressable>
+              <Pressable
+                onPress={confirmCheckout}
+                disabled={
+                  busy || status !== GROUP_CART_STATUS.LOCKED || !itemCount
+                }
+                style={[
+                  styles.primaryBtn,
+                  styles.flexBtn,
+                  (busy ||
+                    status !== GROUP_CART_STATUS.LOCKED ||
+                    !itemCount) &&
+                    styles.disabled,
+                ]}
+              >
+                {busy ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.primaryBtnText}>
+                    {t("groupCart.checkout")}
+                  </Text>
+                )}
+              </Pressable>
+            </View>
+          ) : (
+            <Text style={styles.mutedText}>
+              {status === GROUP_CART_STATUS.LOCKED
+                ? t("groupCart.lockedByHost")
+                : t("groupCart.hostChecksOut")}
+            </Text>
+          )}
+          {isHost && status === GROUP_CART_STATUS.OPEN ? (
+            <Text style={styles.hintText}>{t("groupCart.lockHint")}</Text>
+          ) : null}
+        </View>
+      ) : null}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 24,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#fff",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E5E7EB",
+  },
+  backBtn: { marginRight: 8 },
+  headerText: { flex: 1 },
+  headerTitle: { fontSize: 18, fontWeight: "800", color: "#111827" },
+  headerSub: { fontSize: 13, color: "#6B7280", marginTop: 2 },
+  statusPill: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 999,
+    backgroundColor: "#DCFCE7",
+  },
+  statusPillLocked: { backgroundColor: "#FEF3C7" },
+  statusPillText: { fontSize: 12, fontWeight: "700", color: "#111827" },
+  scrollContent: { padding: 16, paddingBottom: 32, gap: 12 },
+  inviteCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  inviteLabel: { fontSize: 12, color: "#6B7280", fontWeight: "600" },
+  inviteCode: {
+    fontSize: 22,
+    fontWeight: "900",
+    color: "#111827",
+    letterSpacing: 2,
+  },
+  shareBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    backgroundColor: GREEN,
+    borderRadius: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+  },
+  shareBtnText: { color: "#fff", fontWeight: "800" },
+  noticeCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#ECFDF5",
+    borderRadius: 14,
+    padding: 14,
+  },
+  noticeText: { flex: 1, color: "#065F46", fontWeight: "600" },
+  joinCard: {
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  sectionTitle: { fontSize: 15, fontWeight: "800", color: "#111827" },
+  input: {
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: "#D1D5DB",
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: "#111827",
+  },
+  personCard: {
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  personHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  personName: { fontSize: 15, fontWeight: "800", color: "#111827" },
+  personSubtotal: {
+    marginLeft: "auto",
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  hostBadge: {
+    backgroundColor: "#111827",
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  hostBadgeText: { color: "#fff", fontSize: 10, fontWeight: "800" },
+  itemRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    gap: 10,
+  },
+  itemName: { flex: 1, fontSize: 14, color: "#111827", fontWeight: "600" },
+  itemPrice: { fontSize: 13, color: "#374151", fontWeight: "600" },
+  qtyControl: { flexDirection: "row", alignItems: "center", gap: 8 },
+  qtyText: { fontSize: 14, fontWeight: "700", color: "#111827" },
+  mutedText: { fontSize: 13, color: "#6B7280" },
+  menuCard: {
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  menuToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  menuRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#F3F4F6",
+    marginTop: 8,
+  },
+  addBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: GREEN,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  errorText: {
+    color: "#DC2626",
+    fontWeight: "600",
+    textAlign: "center",
+    marginBottom: 12,
+  },
+  footer: {
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderTopColor: "#E5E7EB",
+    padding: 16,
+    gap: 10,
+  },
+  totalRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  totalLabel: { fontSize: 14, color: "#374151", fontWeight: "600" },
+  totalValue: { fontSize: 18, color: "#111827", fontWeight: "900" },
+  hostActions: { flexDirection: "row", gap: 10 },
+  flexBtn: { flex: 1 },
+  primaryBtn: {
+    backgroundColor: GREEN,
+    borderRadius: 12,
+    paddingVertical: 13,
+    alignItems: "center",
+    marginTop: 10,
+  },
+  primaryBtnText: { color: "#fff", fontWeight: "800" },
+  secondaryBtn: {
+    backgroundColor: "#F3F4F6",
+    borderRadius: 12,
+    paddingVertical: 13,
+    paddingHorizontal: 20,
+    alignItems: "center",
+    marginTop: 10,
+  },
+  secondaryBtnText: { color: "#374151", fontWeight: "700" },
+  disabled: { opacity: 0.5 },
+  hintText: { fontSize: 12, color: "#6B7280", textAlign: "center" },
+});
@@ -22,19 +22,30 @@ import {
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import Svg, { G, Path } from "react-native-svg";
 import { useNotifications } from "../../app/providers/NotificationProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import SkeletonBlock from "../../components/common/SkeletonBlock";
+import DietaryBadges, {
+  DietaryConflictNote,
+} from "../../components/customer/DietaryBadges";
 import OfferBanners from "../../components/customer/OfferBanners";
 import { API_BASE_URL } from "../../constants/api";
+import useDietaryPreferences from "../../hooks/useDietaryPreferences";
+import { formatCurrency } from "../../i18n";
 import { getAccessToken } from "../../lib/authStorage";
 import { prefetchImageUrls } from "../../lib/imageCache";
 import { fetchJsonWithCache, getCachedJson } from "../../lib/publicDataCache";
+import { getDietaryConflicts } from "../../utils/dietaryTags";
 import {
   fuzzySearchFoods,
   fuzzySearchRestaurants,
 } from "../../utils/fuzzySearch";
+import {
+  formatTodayHours,
+  getRestaurantOpenState,
+} from "../../utils/restaurantHours";
 
 const RESTAURANT_CARD_ESTIMATED_HEIGHT = 252;
 
@@ -174,20 +185,7 @@ function buildDeliveredOrderRanking(orders) {
 }
 
 // Format 24h time string → "11:30 AM" style
-const formatTime = (t) => {
-  if (!t) return "";
-  const [h, m] = t.split(":");
-  const hour = parseInt(h, 10);
-  const ampm = hour >= 12 ? "PM" : "AM";
-  const h12 = hour % 12 || 12;
-  return `${h12}:${m} ${ampm}`;
-};
-
-const formatPrice = (price) => {
-  const value = Number(price);
-  if (Number.isNaN(value)) return "Rs. 0.00";
-  return `Rs. ${value.toFixed(2)}`;
-};
+const formatPrice = (price) => formatCurrency(price);
 
 function getRestaurantId(item) {
   return item?.id ?? item?.restaurant_id;
@@ -375,10 +373,11 @@ const CategorySection = React.memo(function CategorySection({
   selectedCategory,
   onSelectCategory,
 }) {
+  const { t } = useLocale();
   return (
     <>
       <View style={styles.sectionRow}>
-        <Text style={styles.sectionTitle}>Category</Text>
+        <Text style={styles.sectionTitle}>{t("home.category")}</Text>
       </View>
 
       <ScrollView
@@ -420,12 +419,13 @@ const PopularDishesSection = React.memo(function PopularDishesSection({
   isLoading,
   navigation,
 }) {
+  const { t } = useLocale();
   if (!isLoading && popularFoods.length === 0) return null;
 
   return (
     <View style={styles.popularSectionContainer}>
       <View style={styles.sectionRow}>
-        <Text style={styles.sectionTitle}>Popular Dishes</Text>
+        <Text style={styles.sectionTitle}>{t("home.popularDishes")}</Text>
       </View>
       
       {isLoading ? (
@@ -491,7 +491,7 @@ const PopularDishesSection = React.memo(function PopularDishesSection({
               <View style={styles.popularCardInfo}>
                 <Text style={styles.popularFoodName} numberOfLines={1}>{food.name}</Text>
                 <Text style={styles.popularRestaurantName} numberOfLines={1}>
-                  {food.restaurants?.restaurant_name || "Restaurant"}
+                  {food.restaurants?.restaurant_name || t("menu.restaurant")}
                 </Text>
                 <Text style={styles.popularPrice}>{formatPrice(food.price)}</Text>
               </View>
@@ -506,7 +506,9 @@ const PopularDishesSection = React.memo(function PopularDishesSection({
 });
 
 export default function HomeScreen({ navigation }) {
+  const { t } = useLocale();
   const randomSortSeed = useMemo(() => `${Date.now()}-${Math.random()}`, []);
+  const { preferences: dietaryPreferences } = useDietaryPreferences();
 
   // Full data from API (not filtered)
   const [allRestaurants, setAllRestaurants] = useState(
@@ -1105,6 +1107,8 @@ export default function HomeScreen({ navigation }) {
     ({ item }) => {
       const restaurantId = getRestaurantId(item);
       if (!restaurantId) return null;
+      const openState = getRestaurantOpenState(item);
+      const todayHours = formatTodayHours(item);
 
       return (
         <Pressable
@@ -1176,19 +1180,25 @@ export default function HomeScreen({ navigation }) {
                   </Text>
                 )}
 
-                {/* Opening/Closing Time */}
-                {(item.opening_time || item.close_time) && (
-                  <Text style={styles.restaurantTiming}>
-                    {formatTime(item.opening_time)} -{" "}
-                    {formatTime(item.close_time)}
+                {/* Opening hours, or when it opens next */}
+                {!openState.isOpen &&
+                (openState.opensAt || openState.closure) ? (
+                  <Text
+                    style={[styles.restaurantTiming, styles.restaurantOpensAt]}
+                  >
+                    {openState.label}
                   </Text>
-                )}
+                ) : todayHours ? (
+                  <Text style={styles.restaurantTiming}>{todayHours}</Text>
+                ) : null}
               </View>
 
               {/* Closed badge - right side */}
-              {item.is_open === false && (
+              {!openState.isOpen && (
                 <View style={styles.closedPill}>
-                  <Text style={styles.closedPillText}>Closed</Text>
+                  <Text style={styles.closedPillText}>
+                    {t("hours.closed")}
+                  </Text>
                 </View>
               )}
             </View>
@@ -1196,7 +1206,7 @@ export default function HomeScreen({ navigation }) {
         </Pressable>
       );
     },
-    [navigation],
+    [navigation, t],
   );
 
   const renderFoodItem = useCallback(
@@ -1219,7 +1229,7 @@ export default function HomeScreen({ navigation }) {
             const restaurantName =
               item?.restaurants?.restaurant_name ||
               item?.restaurant_name ||
-              "Restaurant";
+              t("menu.restaurant");
             const hasOffer =
               item.offer_price != null &&
               Number(item.offer_price) > 0 &&
@@ -1264,6 +1274,15 @@ export default function HomeScreen({ navigation }) {
                   <Text style={styles.foodDesc} numberOfLines={2}>
                     {item.description || ""}
                   </Text>
+                  <DietaryBadges
+                    food={item}
+                    compact
+                    style={styles.foodBadges}
+                  />
+                  <DietaryConflictNote
+                    conflicts={getDietaryConflicts(item, dietaryPreferences)}
+                    style={styles.foodConflict}
+                  />
 
                   <View style={styles.foodRow}>
                     {hasOffer ? (
@@ -1281,7 +1300,9 @@ export default function HomeScreen({ navigation }) {
                       </Text>
                     )}
                     <Text style={styles.foodTime}>
-                      {item.prep_time ? `Prep ${item.prep_time}` : ""}
+                      {item.prep_time
+                        ? t("menu.prepTime", { time: item.prep_time })
+                        : ""}
                     </Text>
                   </View>
                 </View>
@@ -1291,7 +1312,7 @@ export default function HomeScreen({ navigation }) {
         </Pressable>
       </View>
     ),
-    [navigation],
+    [navigation, dietaryPreferences, t],
   );
 
   const renderDiscoveryHeader = useCallback(
@@ -1331,7 +1352,7 @@ export default function HomeScreen({ navigation }) {
                   : styles.toggleTextIdle
               }
             >
-              Restaurants
+              {t("home.restaurantsTab")}
             </Text>
           </Pressable>
 
@@ -1352,7 +1373,7 @@ export default function HomeScreen({ navigation }) {
                   : styles.toggleTextIdle
               }
             >
-              Food Items
+              {t("home.foodsTab")}
             </Text>
           </Pressable>
         </View>
@@ -1364,11 +1385,13 @@ export default function HomeScreen({ navigation }) {
         />
 
         <Text style={[styles.sectionTitle, { marginTop: 6, marginBottom: 10 }]}>
-          {activeTab === "restaurant" ? "Restaurants" : "All Food Items"}
+          {activeTab === "restaurant"
+            ? t("home.restaurantsTab")
+            : t("home.allFoods")}
         </Text>
       </>
     ),
-    [activeTab, categories, selectedCategory, onSelectCategory, popularFoods, isPopularFoodsLoading, navigation],
+    [activeTab, categories, selectedCategory, onSelectCategory, popularFoods, isPopularFoodsLoading, navigation, t],
   );
 
   const isRestaurantDataReady =
@@ -1419,22 +1442,33 @@ export default function HomeScreen({ navigation }) {
               </View>
 
               <View style={styles.promoBody}>
-                <Text style={styles.promoKicker}>Launch Offer</Text>
-                <Text style={styles.promoTitle}>Welcome to Meezo</Text>
+                <Text style={styles.promoKicker}>
+                  {t("home.promo.kicker")}
+                </Text>
+                <Text style={styles.promoTitle}>{t("home.promo.title")}</Text>
                 <Text style={styles.promoSubtitle}>
-                  Your first delivery gets a special offer.
+                  {t("home.promo.subtitle")}
                 </Text>
 
                 <View style={styles.promoPriceCard}>
-                  <Text style={styles.promoPriceTag}>Delivery fees</Text>
-                  <Text style={styles.promoPriceTag1}>Only</Text>
+                  <Text style={styles.promoPriceTag}>
+                    {t("home.promo.feesTag")}
+                  </Text>
+                  <Text style={styles.promoPriceTag1}>
+                    {t("home.promo.only")}
+                  </Text>
                   <Text style={styles.promoPriceMain}>
-                    Rs.{Number(promoConfig?.first_km_rate || 1).toFixed(0)}
-                    <Text style={styles.promoPriceSuffix}> / per km</Text>
+                    {t("home.promo.rate", {
+                      rate: Number(promoConfig?.first_km_rate || 1).toFixed(0),
+                    })}
+                    <Text style={styles.promoPriceSuffix}>
+                      {t("home.promo.perKm")}
+                    </Text>
                   </Text>
                   <Text style={styles.promoPriceSub}>
-                    Up to {Number(promoConfig?.max_km || 5).toFixed(0)}km. This
-                    offer applies only to your first order.
+                    {t("home.promo.terms", {
+                      km: Number(promoConfig?.max_km || 5).toFixed(0),
+                    })}
                   </Text>
                 </View>
 
@@ -1456,7 +1490,9 @@ export default function HomeScreen({ navigation }) {
                     style={styles.promoCtaGradient}
                   >
                     <Text style={styles.promoCtaText}>
-                      {acknowledgingPromo ? "Saving..." : "Get Started"}
+                      {acknowledgingPromo
+                        ? t("home.promo.saving")
+                        : t("home.promo.cta")}
                     </Text>
                   </LinearGradient>
                 </Pressable>
@@ -1499,7 +1535,9 @@ export default function HomeScreen({ navigation }) {
                 style={styles.searchIcon}
               />
               <View style={styles.searchInputPressArea}>
-                <Text style={styles.searchInputPlaceholder}>Search...</Text>
+                <Text style={styles.searchInputPlaceholder}>
+                  {t("home.searchPlaceholder")}
+                </Text>
               </View>
             </Pressable>
 
@@ -1730,20 +1768,27 @@ export default function HomeScreen({ navigation }) {
 }
 
 function EmptyState({ activeTab, searchQuery, serviceUnavailableConfig }) {
+  const { t } = useLocale();
   if (serviceUnavailableConfig) {
     return (
       <View style={[styles.emptyBox, { borderColor: "#FECACA", backgroundColor: "#FEF2F2", paddingVertical: 40 }]}>
         <View style={[styles.emptyIconWrap, { backgroundColor: "#FEE2E2", borderColor: "#FCA5A5", width: 80, height: 80, borderRadius: 40 }]}>
           <Ionicons name="cafe-outline" size={40} color="#EF4444" />
         </View>
-        <Text style={[styles.emptyTitle, { fontSize: 20 }]}>We'll Be Right Back</Text>
+        <Text style={[styles.emptyTitle, { fontSize: 20 }]}>
+          {t("service.unavailableTitle")}
+        </Text>
         <Text style={[styles.emptySub, { paddingHorizontal: 10 }]}>
-          {serviceUnavailableConfig.reason || "We're currently taking a short break or performing maintenance."}
+          {serviceUnavailableConfig.reason || t("service.unavailableBody")}
         </Text>
         {serviceUnavailableConfig.reopenTime && (
           <View style={{ flexDirection: "row", alignItems: "center", backgroundColor: "#fff", paddingVertical: 10, paddingHorizontal: 16, borderRadius: 12, marginTop: 12, borderWidth: 1, borderColor: "#FECACA", gap: 8 }}>
             <Ionicons name="time-outline" size={20} color="#B91C1C" />
-            <Text style={{ color: "#B91C1C", fontSize: 15, fontWeight: "600" }}>Reopening at {serviceUnavailableConfig.reopenTime}</Text>
+            <Text style={{ color: "#B91C1C", fontSize: 15, fontWeight: "600" }}>
+              {t("service.reopeningAt", {
+                time: serviceUnavailableConfig.reopenTime,
+              })}
+            </Text>
           </View>
         )}
       </View>
@@ -1752,11 +1797,11 @@ function EmptyState({ activeTab, searchQuery, serviceUnavailableConfig }) {
 
   const hasSearch = String(searchQuery || "").trim().length > 0;
   const title = hasSearch
-    ? "No matches yet"
-    : "Coming soon to your region!";
+    ? t("home.noMatchesTitle")
+    : t("home.comingSoonTitle");
   const subTitle = hasSearch
-    ? "Try another keyword, item name, or category."
-    : "We will be offering our services in your area very soon. Stay tuned!";
+    ? t("home.noMatchesBody")
+    : t("home.comingSoonBody");
   const iconName = hasSearch ? "search-outline" : "rocket-outline";
 
   return (
@@ -2190,6 +2235,10 @@ const styles = StyleSheet.create({
     marginTop: 2,
     letterSpacing: 0.2,
   },
+  restaurantOpensAt: {
+    color: "#EF4444",
+    fontWeight: "700",
+  },
   metaRow: {
     flexDirection: "row",
     alignItems: "center",
@@ -2358,6 +2407,8 @@ const styles = StyleSheet.create({
     lineHeight: 15,
     marginBottom: 6,
   },
+  foodBadges: { marginBottom: 6 },
+  foodConflict: { fontSize: 10, marginBottom: 6 },
   foodRow: {
     flexDirection: "row",
     alignItems: "center",
@@ -1,29 +1,67 @@
 import { Ionicons } from "@expo/vector-icons";
-import { useEffect, useMemo, useState } from "react";
+import * as Location from "expo-location";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import {
   FlatList,
   KeyboardAvoidingView,
   Platform,
   Pressable,
+  ScrollView,
   StyleSheet,
   Text,
   TextInput,
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
+import DietaryBadges, {
+  DietaryConflictNote,
+} from "../../components/customer/DietaryBadges";
 import { API_BASE_URL } from "../../constants/api";
+import useDietaryPreferences from "../../hooks/useDietaryPreferences";
 import { prefetchImageUrls } from "../../lib/imageCache";
 import { fetchJsonWithCache, getCachedJson } from "../../lib/publicDataCache";
 import { getAccessToken } from "../../lib/authStorage";
 import {
-  fuzzySearchFoods,
-  fuzzySearchRestaurants,
+  getDietaryConflicts,
+  hasDietaryPreferences,
+} from "../../utils/dietaryTags";
+import {
+  getFoodSearchIndex,
+  getRestaurantSearchIndex,
 } from "../../utils/fuzzySearch";
+import { calculateDistance } from "../../utils/locationUtils";
+import { getRestaurantOpenState } from "../../utils/restaurantHours";
+import { searchIndex, suggestSearchTerms } from "../../utils/searchIndex";
 import { MetaAnalytics } from "../../services/MetaAnalytics";
+import {
+  addRecentSearch,
+  clearRecentSearches,
+  getRecentSearches,
+  removeRecentSearch,
+} from "../../services/searchHistoryService";
 
 const RESTAURANTS_CACHE_KEY = "public:restaurants";
 const FOODS_CACHE_KEY = "public:foods";
+const MAX_CATEGORY_FILTERS = 12;
+
+const PRICE_FILTERS = [
+  { key: "under500", min: 0, max: 500 },
+  { key: "500to1000", min: 500, max: 1000 },
+  { key: "over1000", min: 1000, max: Infinity },
+];
+const DISTANCE_FILTERS = [2, 5, 10];
+const RATING_FILTERS = [4.5, 4, 3];
+
+const EMPTY_FILTERS = {
+  price: null,
+  distanceKm: null,
+  openNow: false,
+  category: null,
+  minRating: null,
+  matchesDiet: false,
+};
 
 function getCachedRestaurantsList() {
   const cached = getCachedJson(RESTAURANTS_CACHE_KEY, 120000);
@@ -45,7 +83,47 @@ function getRestaurantId(item) {
   return item?.id ?? item?.restaurant_id;
 }
 
+function getFoodPrice(food) {
+  const offer = Number(food?.offer_price);
+  if (Number.isFinite(offer) && offer > 0) return offer;
+  return Number(food?.regular_price ?? food?.price) || 0;
+}
+
+function getRating(item) {
+  const rating = Number(item?.rating ?? item?.average_rating ?? item?.stars);
+  return Number.isFinite(rating) ? rating : 0;
+}
+
+function normalizeCategory(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+function FilterChip({ label, active, onPress, icon }) {
+  return (
+    <Pressable
+      onPress={onPress}
+      style={[styles.filterChip, active && styles.filterChipActive]}
+    >
+      {icon ? (
+        <Ionicons
+          name={icon}
+          size={13}
+          color={active ? "#06C168" : "#64748B"}
+        />
+      ) : null}
+      <Text
+        style={[styles.filterChipText, active && styles.filterChipTextActive]}
+      >
+        {label}
+      </Text>
+    </Pressable>
+  );
+}
+
 export default function HomeSearchScreen({ navigation, route }) {
+  const { t } = useLocale();
   const initialQuery = String(route?.params?.initialQuery || "");
   const initialTab =
     route?.params?.initialTab === "food" ? "food" : "restaurant";
@@ -63,6 +141,37 @@ export default function HomeSearchScreen({ navigation, route }) {
     () => getCachedFoodsList().length === 0,
   );
   const [serviceUnavailableConfig, setServiceUnavailableConfig] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const { preferences: dietaryPreferences } = useDietaryPreferences();
+  const hasDiet = hasDietaryPreferences(dietaryPreferences);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [userLocation, setUserLocation] = useState(null);
+
+  useEffect(() => {
+    let mounted = true;
+    getRecentSearches().then((list) => {
+      if (mounted) setRecentSearches(list);
+    });
+
+    // Distance filters only use a location the app already has permission
+    // for; search never prompts.
+    Location.getForegroundPermissionsAsync()
+      .then(({ status }) =>
+        status === "granted" ? Location.getLastKnownPositionAsync() : null,
+      )
+      .then((position) => {
+        if (!mounted || !position?.coords) return;
+        setUserLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+        });
+      })
+      .catch(() => {});
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
 
   useEffect(() => {
     let mounted = true;
@@ -148,17 +257,167 @@ export default function HomeSearchScreen({ navigation, route }) {
     };
   }, []);
 
+  const restaurantsById = useMemo(() => {
+    const map = new Map();
+    allRestaurants.forEach((restaurant) => {
+      map.set(String(getRestaurantId(restaurant)), restaurant);
+    });
+    return map;
+  }, [allRestaurants]);
+
+  const categories = useMemo(() => {
+    const counts = new Map();
+    allFoods.forEach((food) => {
+      const label = String(food?.category || "").trim();
+      if (!label) return;
+      const key = normalizeCategory(label);
+      const entry = counts.get(key) || { label, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_CATEGORY_FILTERS)
+      .map((entry) => entry.label);
+  }, [allFoods]);
+
+  const restaurantIdsByCategory = useMemo(() => {
+    if (!filters.category) return null;
+    const wanted = normalizeCategory(filters.category);
+    return new Set(
+      allFoods
+        .filter((food) => normalizeCategory(food?.category) === wanted)
+        .map((food) => String(food?.restaurant_id)),
+    );
+  }, [allFoods, filters.category]);
+
+  const passesPlaceFilters = useCallback(
+    (restaurant) => {
+      if (filters.openNow && !getRestaurantOpenState(restaurant).isOpen) {
+        return false;
+      }
+      if (filters.distanceKm && userLocation) {
+        const lat = Number(restaurant?.latitude);
+        const lng = Number(restaurant?.longitude);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+        const distance = calculateDistance(
+          userLocation.latitude,
+          userLocation.longitude,
+          lat,
+          lng,
+        );
+        if (distance > filters.distanceKm) return false;
+      }
+      return true;
+    },
+    [filters.openNow, filters.distanceKm, userLocation],
+  );
+
   const filteredRestaurants = useMemo(() => {
     const text = query.trim();
-    if (!text) return allRestaurants;
-    return fuzzySearchRestaurants(allRestaurants, text);
-  }, [allRestaurants, query]);
+    const ranked = text
+      ? searchIndex(getRestaurantSearchIndex(allRestaurants), text).map(
+          (result) => result.item,
+        )
+      : allRestaurants;
+
+    return ranked.filter((restaurant) => {
+      if (!passesPlaceFilters(restaurant)) return false;
+      if (filters.minRating && getRating(restaurant) < filters.minRating) {
+        return false;
+      }
+      if (
+        restaurantIdsByCategory &&
+        !restaurantIdsByCategory.has(String(getRestaurantId(restaurant)))
+      ) {
+        return false;
+      }
+      return true;
+    });
+  }, [
+    allRestaurants,
+    query,
+    filters.minRating,
+    passesPlaceFilters,
+    restaurantIdsByCategory,
+  ]);
 
   const filteredFoods = useMemo(() => {
     const text = query.trim();
-    if (!text) return allFoods;
-    return fuzzySearchFoods(allFoods, text);
-  }, [allFoods, query]);
+    const ranked = text
+      ? searchIndex(getFoodSearchIndex(allFoods), text).map(
+          (result) => result.item,
+        )
+      : allFoods;
+    const priceFilter = PRICE_FILTERS.find((f) => f.key === filters.price);
+    const wantedCategory = normalizeCategory(filters.category);
+
+    return ranked.filter((food) => {
+      const restaurant =
+        restaurantsById.get(String(food?.restaurant_id)) || food?.restaurants;
+      if (restaurant && !passesPlaceFilters(restaurant)) return false;
+      if (priceFilter) {
+        const price = getFoodPrice(food);
+        if (price < priceFilter.min || price >= priceFilter.max) return false;
+      }
+      if (
+        wantedCategory &&
+        normalizeCategory(food?.category) !== wantedCategory
+      ) {
+        return false;
+      }
+      if (
+        filters.minRating &&
+        getRating(food) < filters.minRating &&
+        getRating(restaurant) < filters.minRating
+      ) {
+        return false;
+      }
+      if (
+        filters.matchesDiet &&
+        getDietaryConflicts(food, dietaryPreferences).length > 0
+      ) {
+        return false;
+      }
+      return true;
+    });
+  }, [
+    allFoods,
+    query,
+    filters,
+    passesPlaceFilters,
+    restaurantsById,
+    dietaryPreferences,
+  ]);
+
+  const suggestions = useMemo(() => {
+    const text = query.trim();
+    if (!text) return [];
+    const index =
+      activeTab === "restaurant"
+        ? getRestaurantSearchIndex(allRestaurants)
+        : getFoodSearchIndex(allFoods);
+    return suggestSearchTerms(index, text);
+  }, [activeTab, allFoods, allRestaurants, query]);
+
+  const hasActiveFilters =
+    filters.price !== null ||
+    filters.distanceKm !== null ||
+    filters.openNow ||
+    filters.category !== null ||
+    filters.minRating !== null ||
+    filters.matchesDiet;
+
+  const toggleFilter = (key, value) => {
+    setFilters((current) => ({
+      ...current,
+      [key]: current[key] === value ? EMPTY_FILTERS[key] : value,
+    }));
+  };
+
+  const rememberSearch = (text = query) => {
+    addRecentSearch(text).then(setRecentSearches);
+  };
 
   // Log search to Meta Analytics after user stops typing for 1.5s
   useEffect(() => {
@@ -185,7 +444,10 @@ export default function HomeSearchScreen({ navigation, route }) {
 
     return (
       <Pressable
-        onPress={() => navigation.navigate("RestaurantFoods", { restaurantId })}
+        onPress={() => {
+          rememberSearch();
+          navigation.navigate("RestaurantFoods", { restaurantId });
+        }}
         style={({ pressed }) => [styles.resultCard, pressed && styles.pressed]}
       >
         <OptimizedImage
@@ -196,7 +458,7 @@ export default function HomeSearchScreen({ navigation, route }) {
         />
         <View style={styles.resultBody}>
           <Text style={styles.resultTitle} numberOfLines={1}>
-            {item?.restaurant_name || "Restaurant"}
+            {item?.restaurant_name || t("menu.restaurant")}
           </Text>
           <Text style={styles.resultSubtitle} numberOfLines={1}>
             {item?.city || item?.cuisine || ""}
@@ -217,12 +479,14 @@ export default function HomeSearchScreen({ navigation, route }) {
       offerPrice != null &&
       Number(offerPrice) > 0 &&
       Number(offerPrice) < Number(regularPrice || 0);
+    const conflicts = getDietaryConflicts(item, dietaryPreferences);
 
     return (
       <Pressable
-        onPress={() =>
-          navigation.navigate("FoodDetail", { foodId, restaurantId })
-        }
+        onPress={() => {
+          rememberSearch();
+          navigation.navigate("FoodDetail", { foodId, restaurantId });
+        }}
         style={({ pressed }) => [styles.resultCard, pressed && styles.pressed]}
       >
         <OptimizedImage
@@ -246,6 +510,11 @@ export default function HomeSearchScreen({ navigation, route }) {
           ) : (
             <Text style={styles.resultPrice}>{formatPrice(regularPrice)}</Text>
           )}
+          <DietaryBadges food={item} compact style={styles.resultBadges} />
+          <DietaryConflictNote
+            conflicts={conflicts}
+            style={styles.resultConflict}
+          />
         </View>
       </Pressable>
     );
@@ -277,11 +546,12 @@ export default function HomeSearchScreen({ navigation, route }) {
             <TextInput
               value={query}
               onChangeText={setQuery}
-              placeholder="Search restaurants or food..."
+              placeholder={t("search.placeholder")}
               placeholderTextColor="#94A3B8"
               style={styles.searchInput}
               autoFocus
               returnKeyType="search"
+              onSubmitEditing={() => rememberSearch()}
               autoCorrect={false}
               autoCapitalize="none"
             />
@@ -307,7 +577,9 @@ export default function HomeSearchScreen({ navigation, route }) {
                 activeTab === "restaurant" && styles.toggleTextActive,
               ]}
             >
-              Restaurants ({filteredRestaurants.length})
+              {t("search.restaurantsTab", {
+                count: filteredRestaurants.length,
+              })}
             </Text>
           </Pressable>
           <Pressable
@@ -323,30 +595,163 @@ export default function HomeSearchScreen({ navigation, route }) {
                 activeTab === "food" && styles.toggleTextActive,
               ]}
             >
-              Food Items ({filteredFoods.length})
+              {t("search.foodsTab", { count: filteredFoods.length })}
             </Text>
           </Pressable>
         </View>
 
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterRow}
+          keyboardShouldPersistTaps="handled"
+          style={styles.filterScroll}
+        >
+          {hasActiveFilters ? (
+            <FilterChip
+              label={t("search.clear")}
+              icon="close"
+              onPress={() => setFilters(EMPTY_FILTERS)}
+            />
+          ) : null}
+          <FilterChip
+            label={t("search.openNow")}
+            icon="time-outline"
+            active={filters.openNow}
+            onPress={() => toggleFilter("openNow", true)}
+          />
+          {userLocation
+            ? DISTANCE_FILTERS.map((km) => (
+                <FilterChip
+                  key={`km-${km}`}
+                  label={t("search.withinKm", { km })}
+                  active={filters.distanceKm === km}
+                  onPress={() => toggleFilter("distanceKm", km)}
+                />
+              ))
+            : null}
+          {RATING_FILTERS.map((rating) => (
+            <FilterChip
+              key={`rating-${rating}`}
+              label={`${rating}+`}
+              icon="star"
+              active={filters.minRating === rating}
+              onPress={() => toggleFilter("minRating", rating)}
+            />
+          ))}
+          {activeTab === "food" && hasDiet ? (
+            <FilterChip
+              label={t("search.matchesDiet")}
+              icon="leaf-outline"
+              active={filters.matchesDiet}
+              onPress={() => toggleFilter("matchesDiet", true)}
+            />
+          ) : null}
+          {activeTab === "food"
+            ? PRICE_FILTERS.map((price) => (
+                <FilterChip
+                  key={price.key}
+                  label={t(`search.prices.${price.key}`)}
+                  active={filters.price === price.key}
+                  onPress={() => toggleFilter("price", price.key)}
+                />
+              ))
+            : null}
+        </ScrollView>
+
+        {categories.length > 0 ? (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.filterRow}
+            keyboardShouldPersistTaps="handled"
+            style={styles.filterScroll}
+          >
+            {categories.map((category) => (
+              <FilterChip
+                key={`category-${category}`}
+                label={category}
+                active={filters.category === category}
+                onPress={() => toggleFilter("category", category)}
+              />
+            ))}
+          </ScrollView>
+        ) : null}
+
+        {suggestions.length > 0 ? (
+          <View style={styles.suggestionList}>
+            {suggestions.map((suggestion) => (
+              <Pressable
+                key={suggestion}
+                onPress={() => {
+                  setQuery(suggestion);
+                  rememberSearch(suggestion);
+                }}
+                style={styles.suggestionRow}
+              >
+                <Ionicons name="search-outline" size={16} color="#94A3B8" />
+                <Text style={styles.suggestionText}>{suggestion}</Text>
+              </Pressable>
+            ))}
+          </View>
+        ) : null}
+
+        {!query.trim() && recentSearches.length > 0 ? (
+          <View style={styles.recentSection}>
+            <View style={styles.recentHeader}>
+              <Text style={styles.recentTitle}>{t("search.recentTitle")}</Text>
+              <Pressable
+                onPress={() => clearRecentSearches().then(setRecentSearches)}
+              >
+                <Text style={styles.recentClear}>{t("search.clear")}</Text>
+              </Pressable>
+            </View>
+            {recentSearches.map((recent) => (
+              <View key={recent} style={styles.suggestionRow}>
+                <Ionicons name="time-outline" size={16} color="#94A3B8" />
+                <Pressable
+                  onPress={() => setQuery(recent)}
+                  style={styles.recentTextWrap}
+                >
+                  <Text style={styles.suggestionText}>{recent}</Text>
+                </Pressable>
+                <Pressable
+                  onPress={() =>
+                    removeRecentSearch(recent).then(setRecentSearches)
+                  }
+                >
+                  <Ionicons name="close" size={16} color="#94A3B8" />
+                </Pressable>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
         {serviceUnavailableConfig ? (
           <View style={[styles.centerBox, { borderColor: "#FECACA", backgroundColor: "#FEF2F2", margin: 16, borderRadius: 16, paddingVertical: 40, flex: 0 }]}>
             <View style={{ backgroundColor: "#FEE2E2", borderColor: "#FCA5A5", borderWidth: 1, width: 80, height: 80, borderRadius: 40, alignItems: 'center', justifyContent: 'center' }}>
               <Ionicons name="cafe-outline" size={40} color="#EF4444" />
             </View>
-            <Text style={[styles.centerTitle, { fontSize: 20, color: "#1E293B", marginTop: 8 }]}>We'll Be Right Back</Text>
+            <Text style={[styles.centerTitle, { fontSize: 20, color: "#1E293B", marginTop: 8 }]}>
+              {t("service.unavailableTitle")}
+            </Text>
             <Text style={[styles.centerText, { paddingHorizontal: 10 }]}>
-              {serviceUnavailableConfig.reason || "We're currently taking a short break or performing maintenance."}
+              {serviceUnavailableConfig.reason || t("service.unavailableBody")}
             </Text>
             {serviceUnavailableConfig.reopenTime && (
               <View style={{ flexDirection: "row", alignItems: "center", backgroundColor: "#fff", paddingVertical: 10, paddingHorizontal: 16, borderRadius: 12, marginTop: 12, borderWidth: 1, borderColor: "#FECACA", gap: 8 }}>
                 <Ionicons name="time-outline" size={20} color="#B91C1C" />
-                <Text style={{ color: "#B91C1C", fontSize: 15, fontWeight: "600" }}>Reopening at {serviceUnavailableConfig.reopenTime}</Text>
+                <Text style={{ color: "#B91C1C", fontSize: 15, fontWeight: "600" }}>
+                  {t("service.reopeningAt", {
+                    time: serviceUnavailableConfig.reopenTime,
+                  })}
+                </Text>
               </View>
             )}
           </View>
         ) : isLoading ? (
           <View style={styles.centerBox}>
-            <Text style={styles.centerText}>Searching...</Text>
+            <Text style={styles.centerText}>{t("search.searching")}</Text>
           </View>
         ) : hasResults ? (
           <FlatList
@@ -364,8 +769,8 @@ export default function HomeSearchScreen({ navigation, route }) {
         ) : (
           <View style={styles.centerBox}>
             <Ionicons name="search-outline" size={34} color="#94A3B8" />
-            <Text style={styles.centerTitle}>No results found</Text>
-            <Text style={styles.centerText}>Try another keyword.</Text>
+            <Text style={styles.centerTitle}>{t("common.noResults")}</Text>
+            <Text style={styles.centerText}>{t("search.tryAnother")}</Text>
           </View>
         )}
       </KeyboardAvoidingView>
@@ -446,6 +851,74 @@ const styles = StyleSheet.create({
   toggleTextActive: {
     color: "#06C168",
   },
+  filterScroll: {
+    flexGrow: 0,
+  },
+  filterRow: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+    gap: 8,
+  },
+  filterChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: "#FFFFFF",
+  },
+  filterChipActive: {
+    borderColor: "#06C168",
+    backgroundColor: "#F0FFF6",
+  },
+  filterChipText: {
+    color: "#64748B",
+    fontSize: 12,
+    fontWeight: "700",
+  },
+  filterChipTextActive: {
+    color: "#06C168",
+  },
+  suggestionList: {
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+  },
+  suggestionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 8,
+  },
+  suggestionText: {
+    color: "#0F172A",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  recentSection: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  recentHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  recentTitle: {
+    color: "#0F172A",
+    fontSize: 14,
+    fontWeight: "800",
+  },
+  recentClear: {
+    color: "#06C168",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  recentTextWrap: {
+    flex: 1,
+  },
   listContent: {
     paddingHorizontal: 16,
     paddingBottom: 20,
@@ -497,6 +970,8 @@ const styles = StyleSheet.create({
     alignItems: "center",
     gap: 7,
   },
+  resultBadges: { marginTop: 4 },
+  resultConflict: { fontSize: 10, marginTop: 3 },
   resultOldPrice: {
     color: "#DC2626",
     fontSize: 12,
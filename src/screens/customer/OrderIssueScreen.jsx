@@ -0,0 +1,561 @@
+import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  DeviceEventEmitter,
+  Image,
+  KeyboardAvoidingView,
+  Platform,
+  Pressable,
+  ScrollView,
+  StatusBar,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import IssueTimeline from "../../components/common/IssueTimeline";
+import {
+  ISSUE_REASONS,
+  ISSUE_RESOLUTIONS,
+  MAX_ISSUE_DESCRIPTION_LENGTH,
+  MAX_ISSUE_PHOTOS,
+  ORDER_ISSUE_REPORTED_EVENT,
+  fetchOrderIssues,
+  isIssueClosed,
+  issueNeedsItems,
+  submitOrderIssue,
+  validateOrderIssue,
+} from "../../services/orderIssueService";
+
+const GREEN = "#06C168";
+
+const toAmount = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * Report a problem with a delivered order: affected items, a reason,
+ * photos and a refund or credit request. Reported issues are listed with
+ * their status timeline so the customer can follow the decision.
+ */
+export default function OrderIssueScreen({ route, navigation }) {
+  const { orderId, items = [], orderTotal } = route.params || {};
+  const { t } = useLocale();
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [reason, setReason] = useState(null);
+  const [selectedItems, setSelectedItems] = useState([]);
+  const [resolution, setResolution] = useState(ISSUE_RESOLUTIONS[0].key);
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [photos, setPhotos] = useState([]);
+
+  const maxAmount = toAmount(orderTotal);
+  const hasOpenIssue = issues.some((issue) => !isIssueClosed(issue));
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const next = await fetchOrderIssues(orderId);
+        if (!cancelled) setIssues(next);
+      } catch (error) {
+        console.warn("[OrderIssue] Fetch failed:", error?.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  // Suggested amount: the selected items, or the whole order when the
+  // complaint is about the delivery itself.
+  const suggestedAmount = useMemo(() => {
+    if (!reason) return 0;
+    if (!issueNeedsItems(reason)) return maxAmount;
+    return items
+      .filter((item) => selectedItems.includes(item.id))
+      .reduce((sum, item) => sum + toAmount(item.lineTotal), 0);
+  }, [items, maxAmount, reason, selectedItems]);
+
+  useEffect(() => {
+    setAmount(suggestedAmount ? String(suggestedAmount.toFixed(2)) : "");
+  }, [suggestedAmount]);
+
+  const toggleItem = (id) => {
+    setSelectedItems((current) =>
+      current.includes(id)
+        ? current.filter((entry) => entry !== id)
+        : [...current, id],
+    );
+  };
+
+  const addPhoto = useCallback(async () => {
+    if (photos.length >= MAX_ISSUE_PHOTOS) return;
+    try {
+      const { status } =
+        await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== "granted") {
+        Alert.alert(
+          t("orderIssue.permissionTitle"),
+          t("orderIssue.permissionBody"),
+        );
+        return;
+      }
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.7,
+      });
+      if (!result.canceled && result.assets?.[0]?.uri) {
+        setPhotos((current) =>
+          [...current, result.assets[0]].slice(0, MAX_ISSUE_PHOTOS),
+        );
+      }
+    } catch (e) {
+      console.error("Image picker error:", e);
+    }
+  }, [photos.length, t]);
+
+  const removePhoto = useCallback((uri) => {
+    setPhotos((current) => current.filter((photo) => photo.uri !== uri));
+  }, []);
+
+  const handleSubmit = async () => {
+    const issue = {
+      reason,
+      items: selectedItems,
+      description,
+      resolution,
+      amount: maxAmount ? Math.min(toAmount(amount), maxAmount) : amount,
+      photos,
+    };
+    const validationError = validateOrderIssue(issue);
+    if (validationError) {
+      Alert.alert(t("orderIssue.almostThere"), validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const created = await submitOrderIssue(orderId, issue);
+      DeviceEventEmitter.emit(ORDER_ISSUE_REPORTED_EVENT, { orderId });
+      if (created) setIssues((current) => [created, ...current]);
+      setReason(null);
+      setSelectedItems([]);
+      setDescription("");
+      setPhotos([]);
+      Alert.alert(t("orderIssue.reportedTitle"), t("orderIssue.reportedBody"));
+    } catch (error) {
+      Alert.alert(
+        t("orderIssue.errorTitle"),
+        error?.message || t("orderIssue.submitFailed"),
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderIssue = (issue) => (
+    <View key={String(issue.id)} style={st.card}>
+      <Text style={st.cardLabel}>{t("orderIssue.yourReport")}</Text>
+      <Text style={st.cardTitle}>
+        {ISSUE_REASONS.some((entry) => entry.key === issue.reason)
+          ? t(`orderIssue.reasons.${issue.reason}`)
+          : t("orderIssue.otherReason")}
+      </Text>
+      {issue.items?.length > 0 && (
+        <Text style={st.issueMeta}>
+          {issue.items
+            .map((item) => `${item.quantity || 1}× ${item.name}`)
+            .join(", ")}
+        </Text>
+      )}
+      <Text style={st.issueMeta}>
+        {toAmount(issue.approved_amount) > 0
+          ? t("orderIssue.requestedApproved", {
+              requested: toAmount(issue.requested_amount).toFixed(2),
+              approved: toAmount(issue.approved_amount).toFixed(2),
+            })
+          : t("orderIssue.requested", {
+              amount: toAmount(issue.requested_amount).toFixed(2),
+            })}
+      </Text>
+      {issue.restaurant_response?.body ? (
+        <View style={st.responseBox}>
+          <Text style={st.responseLabel}>{t("orderIssue.restaurant")}</Text>
+          <Text style={st.responseText}>{issue.restaurant_response.body}</Text>
+        </View>
+      ) : null}
+      <IssueTimeline issue={issue} />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={st.root} edges={["top"]}>
+      <StatusBar barStyle="dark-content" backgroundColor="#EDFBF2" />
+      <View style={st.header}>
+        <Pressable style={st.backBtn} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={22} color="#374151" />
+        </Pressable>
+        <Text style={st.headerTitle}>{t("orderIssue.title")}</Text>
+        <View style={{ width: 40 }} />
+      </View>
+
+      {loading ? (
+        <View style={st.center}>
+          <ActivityIndicator size="large" color={GREEN} />
+        </View>
+      ) : (
+        <KeyboardAvoidingView
+          style={{ flex: 1 }}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
+          <ScrollView
+            contentContainerStyle={st.scroll}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+          >
+            {issues.map(renderIssue)}
+
+            {hasOpenIssue ? (
+              <Text style={st.openNote}>{t("orderIssue.openNote")}</Text>
+            ) : (
+              <>
+                {/* ── Reason ── */}
+                <View style={st.card}>
+                  <Text style={st.cardLabel}>
+                    {t("orderIssue.whatWentWrong")}
+                  </Text>
+                  {ISSUE_REASONS.map((entry) => {
+                    const selected = reason === entry.key;
+                    return (
+                      <Pressable
+                        key={entry.key}
+                        style={[st.optionRow, selected && st.optionSelected]}
+                        onPress={() => setReason(entry.key)}
+                      >
+                        <Ionicons
+                          name={
+                            selected ? "radio-button-on" : "radio-button-off"
+                          }
+                          size={18}
+                          color={selected ? GREEN : "#9CA3AF"}
+                        />
+                        <Text style={st.optionText}>
+                          {t(`orderIssue.reasons.${entry.key}`)}
+                        </Text>
+                      </Pressable>
+                    );
+                  })}
+                </View>
+
+                {/* ── Items ── */}
+                {issueNeedsItems(reason) && items.length > 0 && (
+                  <View style={st.card}>
+                    <Text style={st.cardLabel}>
+                      {t("orderIssue.affectedItems")}
+                    </Text>
+                    {items.map((item) => {
+                      const selected = selectedItems.includes(item.id);
+                      return (
+                        <Pressable
+                          key={String(item.id)}
+                          style={st.itemRow}
+                          onPress={() => toggleItem(item.id)}
+                        >
+                          <Ionicons
+                            name={selected ? "checkbox" : "square-outline"}
+                            size={20}
+                            color={selected ? GREEN : "#9CA3AF"}
+                          />
+                          <Text style={st.itemName} numberOfLines={2}>
+                            {item.quantity}× {item.name}
+                          </Text>
+                          <Text style={st.itemPrice}>
+                            {t("orderIssue.lineAmount", {
+                              amount: toAmount(item.lineTotal).toFixed(2),
+                            })}
+                          </Text>
+                        </Pressable>
+                      );
+                    })}
+                  </View>
+                )}
+
+                {/* ── Details & photos ── */}
+                <View style={st.card}>
+                  <Text style={st.cardLabel}>{t("orderIssue.details")}</Text>
+                  <TextInput
+                    style={st.input}
+                    value={description}
+                    onChangeText={setDescription}
+                    placeholder={t("orderIssue.detailsPlaceholder")}
+                    placeholderTextColor="#9CA3AF"
+                    multiline
+                    maxLength={MAX_ISSUE_DESCRIPTION_LENGTH}
+                  />
+                  <View style={st.photoRow}>
+                    {photos.map((photo) => (
+                      <View key={photo.uri} style={st.photoWrap}>
+                        <Image source={{ uri: photo.uri }} style={st.photo} />
+                        <Pressable
+                          style={st.photoRemove}
+                          onPress={() => removePhoto(photo.uri)}
+                          hitSlop={6}
+                        >
+                          <Ionicons name="close" size={12} color="#fff" />
+                        </Pressable>
+                      </View>
+                    ))}
+                    {photos.length < MAX_ISSUE_PHOTOS && (
+                      <Pressable style={st.photoAdd} onPress={addPhoto}>
+                        <Ionicons
+                          name="camera-outline"
+                          size={22}
+                          color={GREEN}
+                        />
+                        <Text style={st.photoAddText}>
+                          {t("orderIssue.addPhoto")}
+                        </Text>
+                      </Pressable>
+                    )}
+                  </View>
+                </View>
+
+                {/* ── Resolution ── */}
+                <View style={st.card}>
+                  <Text style={st.cardLabel}>
+                    {t("orderIssue.whatWouldYouLike")}
+                  </Text>
+                  {ISSUE_RESOLUTIONS.map((entry) => {
+                    const selected = resolution === entry.key;
+                    return (
+                      <Pressable
+                        key={entry.key}
+                        style={[st.optionRow, selected && st.optionSelected]}
+                        onPress={() => setResolution(entry.key)}
+                      >
+                        <Ionicons
+                          name={
+                            selected ? "radio-button-on" : "radio-button-off"
+                          }
+                          size={18}
+                          color={selected ? GREEN : "#9CA3AF"}
+                        />
+                        <Text style={st.optionText}>
+                          {t(`orderIssue.resolutions.${entry.key}`)}
+                        </Text>
+                      </Pressable>
+                    );
+                  })}
+                  <Text style={st.amountLabel}>{t("orderIssue.amount")}</Text>
+                  <TextInput
+                    style={st.amountInput}
+                    value={amount}
+                    onChangeText={(text) =>
+                      setAmount(text.replace(/[^0-9.]/g, ""))
+                    }
+                    keyboardType="decimal-pad"
+                    placeholder="0.00"
+                    placeholderTextColor="#9CA3AF"
+                  />
+                  {maxAmount > 0 && (
+                    <Text style={st.amountHint}>
+                      {t("orderIssue.upTo", { amount: maxAmount.toFixed(2) })}
+                    </Text>
+                  )}
+                </View>
+
+                <Pressable
+                  style={[st.submitBtn, submitting && { opacity: 0.7 }]}
+                  onPress={handleSubmit}
+                  disabled={submitting}
+                >
+                  {submitting ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <Text style={st.submitTxt}>{t("orderIssue.submit")}</Text>
+                  )}
+                </Pressable>
+              </>
+            )}
+          </ScrollView>
+        </KeyboardAvoidingView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const st = StyleSheet.create({
+  root: { flex: 1, backgroundColor: "#EDFBF2" },
+
+  /* header */
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#EDFBF2",
+  },
+  backBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    justifyContent: "center",
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  headerTitle: { fontSize: 18, fontWeight: "700", color: "#111827" },
+
+  center: { flex: 1, alignItems: "center", justifyContent: "center" },
+  scroll: { paddingHorizontal: 16, paddingBottom: 40 },
+
+  /* cards */
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: "#E5F5EC",
+  },
+  cardLabel: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#6B7280",
+    letterSpacing: 0.8,
+    marginBottom: 6,
+  },
+  cardTitle: { fontSize: 17, fontWeight: "800", color: "#111827" },
+  issueMeta: { marginTop: 4, fontSize: 13, color: "#4B5563" },
+  responseBox: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: "#F9FAFB",
+  },
+  responseLabel: { fontSize: 11, fontWeight: "700", color: "#6B7280" },
+  responseText: { marginTop: 2, fontSize: 13, color: "#111827" },
+  openNote: {
+    marginTop: 16,
+    fontSize: 13,
+    color: "#6B7280",
+    textAlign: "center",
+    lineHeight: 19,
+  },
+
+  /* options */
+  optionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginTop: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  optionSelected: { borderColor: GREEN, backgroundColor: "#E6F9EE" },
+  optionText: { fontSize: 14, color: "#111827" },
+
+  /* items */
+  itemRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F3F4F6",
+  },
+  itemName: { flex: 1, fontSize: 14, fontWeight: "600", color: "#111827" },
+  itemPrice: { fontSize: 13, color: "#4B5563" },
+
+  input: {
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 14,
+    color: "#111827",
+    textAlignVertical: "top",
+  },
+
+  /* photos */
+  photoRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 10,
+    marginTop: 12,
+  },
+  photoWrap: { position: "relative" },
+  photo: { width: 72, height: 72, borderRadius: 10 },
+  photoRemove: {
+    position: "absolute",
+    top: -6,
+    right: -6,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: "#111827",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  photoAdd: {
+    width: 72,
+    height: 72,
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderStyle: "dashed",
+    borderColor: GREEN,
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 2,
+  },
+  photoAddText: { fontSize: 10, fontWeight: "600", color: GREEN },
+
+  /* amount */
+  amountLabel: {
+    marginTop: 14,
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  amountInput: {
+    marginTop: 6,
+    height: 46,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  amountHint: { marginTop: 4, fontSize: 12, color: "#6B7280" },
+
+  submitBtn: {
+    marginTop: 20,
+    backgroundColor: GREEN,
+    paddingVertical: 15,
+    borderRadius: 14,
+    alignItems: "center",
+  },
+  submitTxt: { color: "#fff", fontSize: 16, fontWeight: "700" },
+});
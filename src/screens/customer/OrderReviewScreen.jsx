@@ -0,0 +1,476 @@
+import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  DeviceEventEmitter,
+  Image,
+  KeyboardAvoidingView,
+  Platform,
+  Pressable,
+  ScrollView,
+  StatusBar,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import OptimizedImage from "../../components/common/OptimizedImage";
+import StarRating from "../../components/common/StarRating";
+import {
+  MAX_REVIEW_COMMENT_LENGTH,
+  MAX_REVIEW_PHOTOS,
+  ORDER_REVIEW_SUBMITTED_EVENT,
+  buildReviewContextFromOrder,
+  fetchOrderReviewContext,
+  submitOrderReview,
+  validateOrderReview,
+} from "../../services/reviewService";
+
+const GREEN = "#06C168";
+
+/**
+ * Post-delivery review: restaurant stars, comment and photos, a star rating
+ * per food, and the driver's stars and comment.
+ */
+export default function OrderReviewScreen({ route, navigation }) {
+  const { t } = useLocale();
+  const { orderId, restaurantName, items, driver } = route.params || {};
+  const [context, setContext] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [restaurantReview, setRestaurantReview] = useState({
+    rating: 0,
+    comment: "",
+  });
+  const [foodRatings, setFoodRatings] = useState({});
+  const [driverReview, setDriverReview] = useState({ rating: 0, comment: "" });
+  const [photos, setPhotos] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      let next;
+      try {
+        next = await fetchOrderReviewContext(orderId);
+      } catch (error) {
+        console.warn("[OrderReview] Context fetch failed:", error?.message);
+        next = buildReviewContextFromOrder({ restaurantName, items, driver });
+      }
+      if (!cancelled) {
+        setContext(next);
+        setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, restaurantName, items, driver]);
+
+  const addPhoto = useCallback(async () => {
+    if (photos.length >= MAX_REVIEW_PHOTOS) return;
+    try {
+      const { status } =
+        await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== "granted") {
+        Alert.alert(t("reviews.permissionTitle"), t("reviews.permissionBody"));
+        return;
+      }
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        quality: 0.7,
+      });
+      if (!result.canceled && result.assets?.[0]?.uri) {
+        setPhotos((current) =>
+          [...current, result.assets[0]].slice(0, MAX_REVIEW_PHOTOS),
+        );
+      }
+    } catch (e) {
+      console.error("Image picker error:", e);
+    }
+  }, [photos.length, t]);
+
+  const removePhoto = useCallback((uri) => {
+    setPhotos((current) => current.filter((photo) => photo.uri !== uri));
+  }, []);
+
+  const handleSubmit = useCallback(async () => {
+    const review = {
+      restaurant: restaurantReview,
+      foods: foodRatings,
+      driver: context?.driver ? driverReview : null,
+      photos,
+    };
+    const validationError = validateOrderReview(review, context);
+    if (validationError) {
+      Alert.alert(t("reviews.almostThere"), validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await submitOrderReview(orderId, review);
+      DeviceEventEmitter.emit(ORDER_REVIEW_SUBMITTED_EVENT, { orderId });
+      Alert.alert(t("reviews.submittedTitle"), t("reviews.submittedBody"), [
+        { text: t("reviews.ok"), onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      if (error?.status === 409) {
+        DeviceEventEmitter.emit(ORDER_REVIEW_SUBMITTED_EVENT, { orderId });
+        Alert.alert(
+          t("reviews.alreadyReviewedTitle"),
+          t("reviews.alreadyReviewedBody"),
+          [{ text: t("reviews.ok"), onPress: () => navigation.goBack() }],
+        );
+        return;
+      }
+      Alert.alert(
+        t("reviews.errorTitle"),
+        error?.message || t("reviews.submitFailed"),
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  }, [
+    context,
+    driverReview,
+    foodRatings,
+    navigation,
+    orderId,
+    photos,
+    restaurantReview,
+    t,
+  ]);
+
+  const renderHeader = () => (
+    <View style={st.header}>
+      <Pressable style={st.backBtn} onPress={() => navigation.goBack()}>
+        <Ionicons name="arrow-back" size={22} color="#374151" />
+      </Pressable>
+      <Text style={st.headerTitle}>{t("reviews.rateTitle")}</Text>
+      <View style={{ width: 40 }} />
+    </View>
+  );
+
+  if (loading || !context) {
+    return (
+      <SafeAreaView style={st.root} edges={["top"]}>
+        {renderHeader()}
+        <View style={st.center}>
+          <ActivityIndicator size="large" color={GREEN} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (context.reviewed) {
+    return (
+      <SafeAreaView style={st.root} edges={["top"]}>
+        {renderHeader()}
+        <View style={st.center}>
+          <Ionicons name="checkmark-circle" size={56} color={GREEN} />
+          <Text style={st.doneTitle}>{t("reviews.thanksTitle")}</Text>
+          <Text style={st.doneBody}>{t("reviews.alreadyReviewedBody")}</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={st.root} edges={["top"]}>
+      <StatusBar barStyle="dark-content" backgroundColor="#EDFBF2" />
+      {renderHeader()}
+
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={st.scroll}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        >
+          {/* ── Restaurant ── */}
+          <View style={st.card}>
+            <Text style={st.cardLabel}>{t("reviews.restaurantLabel")}</Text>
+            <Text style={st.cardTitle}>{context.restaurant?.name}</Text>
+            <StarRating
+              value={restaurantReview.rating}
+              onChange={(rating) =>
+                setRestaurantReview((current) => ({ ...current, rating }))
+              }
+              size={34}
+              style={st.stars}
+            />
+            <Text style={st.ratingLabel}>
+              {restaurantReview.rating
+                ? t(`reviews.ratingLabels.${restaurantReview.rating}`)
+                : t("reviews.tapToRate")}
+            </Text>
+            <TextInput
+              style={st.input}
+              value={restaurantReview.comment}
+              onChangeText={(comment) =>
+                setRestaurantReview((current) => ({ ...current, comment }))
+              }
+              placeholder={t("reviews.restaurantPlaceholder")}
+              placeholderTextColor="#9CA3AF"
+              multiline
+              maxLength={MAX_REVIEW_COMMENT_LENGTH}
+            />
+
+            <View style={st.photoRow}>
+              {photos.map((photo) => (
+                <View key={photo.uri} style={st.photoWrap}>
+                  <Image source={{ uri: photo.uri }} style={st.photo} />
+                  <Pressable
+                    style={st.photoRemove}
+                    onPress={() => removePhoto(photo.uri)}
+                    hitSlop={6}
+                  >
+                    <Ionicons name="close" size={12} color="#fff" />
+                  </Pressable>
+                </View>
+              ))}
+              {photos.length < MAX_REVIEW_PHOTOS && (
+                <Pressable style={st.photoAdd} onPress={addPhoto}>
+                  <Ionicons name="camera-outline" size={22} color={GREEN} />
+                  <Text style={st.photoAddText}>{t("reviews.addPhoto")}</Text>
+                </Pressable>
+              )}
+            </View>
+          </View>
+
+          {/* ── Foods ── */}
+          {context.foods.length > 0 && (
+            <View style={st.card}>
+              <Text style={st.cardLabel}>{t("reviews.itemsLabel")}</Text>
+              {context.foods.map((food) => (
+                <View key={String(food.food_id)} style={st.foodRow}>
+                  {food.image_url ? (
+                    <OptimizedImage
+                      uri={food.image_url}
+                      style={st.foodImage}
+                      cloudinaryPreset="thumbnail"
+                    />
+                  ) : (
+                    <View style={[st.foodImage, st.foodImageFallback]}>
+                      <Ionicons
+                        name="fast-food-outline"
+                        size={18}
+                        color={GREEN}
+                      />
+                    </View>
+                  )}
+                  <Text style={st.foodName} numberOfLines={2}>
+                    {food.name}
+                  </Text>
+                  <StarRating
+                    value={foodRatings[food.food_id] || 0}
+                    onChange={(rating) =>
+                      setFoodRatings((current) => ({
+                        ...current,
+                        [food.food_id]: rating,
+                      }))
+                    }
+                    size={20}
+                  />
+                </View>
+              ))}
+            </View>
+          )}
+
+          {/* ── Driver ── */}
+          {context.driver && (
+            <View style={st.card}>
+              <Text style={st.cardLabel}>{t("reviews.deliveryLabel")}</Text>
+              <Text style={st.cardTitle}>{context.driver.name}</Text>
+              <StarRating
+                value={driverReview.rating}
+                onChange={(rating) =>
+                  setDriverReview((current) => ({ ...current, rating }))
+                }
+                size={30}
+                style={st.stars}
+              />
+              <TextInput
+                style={st.input}
+                value={driverReview.comment}
+                onChangeText={(comment) =>
+                  setDriverReview((current) => ({ ...current, comment }))
+                }
+                placeholder={t("reviews.driverPlaceholder")}
+                placeholderTextColor="#9CA3AF"
+                multiline
+                maxLength={MAX_REVIEW_COMMENT_LENGTH}
+              />
+            </View>
+          )}
+
+          <Pressable
+            style={[st.submitBtn, submitting && { opacity: 0.7 }]}
+            onPress={handleSubmit}
+            disabled={submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={st.submitTxt}>{t("reviews.submit")}</Text>
+            )}
+          </Pressable>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const st = StyleSheet.create({
+  root: { flex: 1, backgroundColor: "#EDFBF2" },
+
+  /* header */
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#EDFBF2",
+  },
+  backBtn: {
+    width: 40,
+    height: 40,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    justifyContent: "center",
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.06,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  headerTitle: { fontSize: 18, fontWeight: "700", color: "#111827" },
+
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    paddingHorizontal: 32,
+  },
+  doneTitle: {
+    marginTop: 14,
+    fontSize: 18,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  doneBody: {
+    marginTop: 6,
+    fontSize: 14,
+    color: "#6B7280",
+    textAlign: "center",
+  },
+
+  scroll: { paddingHorizontal: 16, paddingBottom: 40 },
+
+  /* cards */
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: "#E5F5EC",
+  },
+  cardLabel: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#6B7280",
+    letterSpacing: 0.8,
+  },
+  cardTitle: {
+    marginTop: 4,
+    fontSize: 17,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  stars: { marginTop: 12, gap: 6 },
+  ratingLabel: {
+    marginTop: 6,
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#F59E0B",
+  },
+  input: {
+    marginTop: 12,
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 14,
+    color: "#111827",
+    textAlignVertical: "top",
+  },
+
+  /* photos */
+  photoRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 10,
+    marginTop: 12,
+  },
+  photoWrap: { position: "relative" },
+  photo: { width: 72, height: 72, borderRadius: 10 },
+  photoRemove: {
+    position: "absolute",
+    top: -6,
+    right: -6,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: "#111827",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  photoAdd: {
+    width: 72,
+    height: 72,
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderStyle: "dashed",
+    borderColor: GREEN,
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 2,
+  },
+  photoAddText: { fontSize: 10, fontWeight: "600", color: GREEN },
+
+  /* foods */
+  foodRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F3F4F6",
+  },
+  foodImage: { width: 40, height: 40, borderRadius: 10 },
+  foodImageFallback: {
+    backgroundColor: "#E6F9EE",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  foodName: { flex: 1, fontSize: 14, fontWeight: "600", color: "#111827" },
+
+  submitBtn: {
+    marginTop: 20,
+    backgroundColor: GREEN,
+    paddingVertical: 15,
+    borderRadius: 14,
+    alignItems: "center",
+  },
+  submitTxt: { color: "#fff", fontSize: 16, fontWeight: "700" },
+});
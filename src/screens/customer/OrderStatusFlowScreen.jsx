@@ -25,6 +25,7 @@ import {
   ActivityIndicator,
   Alert,
   Animated,
+  DeviceEventEmitter,
   Dimensions,
   Easing,
   Linking,
@@ -52,8 +53,19 @@ import OptimizedImage from "../../components/common/OptimizedImage";
 import OrderPlacedBackground from "../../components/customer/OrderPlacedBackground";
 import { API_BASE_URL } from "../../constants/api";
 import { useSocket } from "../../context/SocketContext";
+import OrderChatButton from "../../components/common/OrderChatButton";
+import OrderDeliveredCard from "../../components/order status/OrderDeliveredCard";
+import { DeliveryPinBlock } from "../../components/order status/OrderOnTheWayCard";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { formatTime, translate } from "../../i18n";
 import { getAccessToken } from "../../lib/authStorage";
+import { toIssueItems } from "../../services/orderIssueService";
+import { ORDER_REVIEW_SUBMITTED_EVENT } from "../../services/reviewService";
 import { fetchOSRMRoute } from "../../utils/osrmClient";
+import {
+  getOrderPickups,
+  getOrderRestaurantLabel,
+} from "../../utils/multiRestaurantBasket";
 
 const { width: SW, height: SH } = Dimensions.get("window");
 const ORDER_TOTAL_CACHE_KEY = "@order_display_totals";
@@ -339,7 +351,7 @@ function normalizeDriverInfo(driver) {
     ...driver,
     id: driverId || driver.id || "",
     driver_id: driverId || driver.driver_id || "",
-    full_name: fullName || "Assigned Driver",
+    full_name: fullName || translate("orderStatus.assignedDriver"),
     phone,
     vehicle_model: vehicleModel,
     vehicle_number: vehicleNumber,
@@ -477,6 +489,7 @@ const STEP_INDEX = {
   driver_assigned: 2,
   picked_up: 3,
   on_the_way: 4,
+  customer_unreachable: 4,
   delivered: 5,
 };
 
@@ -524,6 +537,7 @@ const DRIVER_DETAIL_STATUSES = new Set([
   "picked_up",
   "on_the_way",
   "at_customer",
+  "customer_unreachable",
 ]);
 const RESTAURANT_MARKER_HTML = `
   <div style="width:30px;height:42px;display:flex;align-items:flex-start;justify-content:center;">
@@ -582,79 +596,27 @@ function createTopArcRoute(start, end, steps = 32) {
   return points;
 }
 
-const STATUS_TEXT = {
-  placed: {
-    title: "Order Placed!",
-    subtitle: "We've received your order",
-    eta: "Waiting for restaurant...",
-  },
-  pending: {
-    title: "Preparing Your Order",
-    subtitle: "The restaurant is cooking your meal",
-    eta: "5-15 mins",
-  },
-  received: {
-    title: "Preparing Your Order",
-    subtitle: "The restaurant is cooking your meal",
-    eta: "5-15 mins",
-  },
-  preparing: {
-    title: "Preparing Your Order",
-    subtitle: "The restaurant is cooking your meal",
-    eta: "5-15 mins",
-  },
-  ready: {
-    title: "Order Ready",
-    subtitle: "Your order is ready for pickup",
-    eta: "Driver arriving soon",
-  },
-  accepted: {
-    title: "Driver Accepted",
-    subtitle: "A driver has accepted your order",
-    eta: "Calculating...",
-  },
-  driver_accepted: {
-    title: "Driver Accepted",
-    subtitle: "A driver has accepted your order",
-    eta: "Calculating...",
-  },
-  driver_assigned: {
-    title: "Driver Assigned",
-    subtitle: "A driver has assigned to your order",
-    eta: "Calculating...",
-  },
-  picked_up: {
-    title: "Order Picked Up",
-    subtitle: "Driver has picked up your order",
-    eta: "Calculating...",
-  },
-  on_the_way: {
-    title: "On The Way",
-    subtitle: "Your order is heading to you",
-    eta: "Calculating...",
-  },
-  delivered: {
-    title: "Delivered!",
-    subtitle: "Enjoy your meal",
-    eta: "Delivered",
-  },
+// Statuses that share a stage share its title and info message.
+const STATUS_STAGE = {
+  placed: "placed",
+  pending: "preparing",
+  received: "preparing",
+  preparing: "preparing",
+  ready: "ready",
+  accepted: "driverAccepted",
+  driver_accepted: "driverAccepted",
+  driver_assigned: "driverAssigned",
+  picked_up: "pickedUp",
+  on_the_way: "onTheWay",
+  customer_unreachable: "arrived",
+  delivered: "delivered",
 };
 
-const STATUS_MESSAGES = {
-  placed:
-    "Your order has been placed successfully. We're notifying the restaurant.",
-  pending: "Your delicious meal is being prepared with care.",
-  received: "Your delicious meal is being prepared with care.",
-  preparing: "Your delicious meal is being prepared with care.",
-  ready: "Your order is ready and waiting for pickup.",
-  accepted: "Your driver is on the way to pick up your order.",
-  driver_accepted: "Your driver is on the way to pick up your order.",
-  driver_assigned:
-    "A driver has been assigned and is heading to the restaurant.",
-  picked_up: "The driver will head towards you soon",
-  on_the_way: "Your driver is on the way to your location.",
-  delivered: "Your order has been delivered. Bon app\u00e9tit!",
-};
+function getStatusTitle(status) {
+  return translate(
+    `orderStatus.titles.${STATUS_STAGE[status] || STATUS_STAGE.placed}`,
+  );
+}
 
 const STATUS_SVG_PATHS = {
   placed: "M5 13l4 4L19 7",
@@ -674,6 +636,8 @@ const STATUS_SVG_PATHS = {
   picked_up: "M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z",
   on_the_way:
     "M12 22s-8-4.5-8-11.8A8 8 0 0112 2a8 8 0 018 8.2c0 7.3-8 11.8-8 11.8zM12 13a3 3 0 100-6 3 3 0 000 6z",
+  customer_unreachable:
+    "M12 22s-8-4.5-8-11.8A8 8 0 0112 2a8 8 0 018 8.2c0 7.3-8 11.8-8 11.8zM12 13a3 3 0 100-6 3 3 0 000 6z",
   delivered: "M20 6L9 17l-5-5",
 };
 
@@ -709,14 +673,6 @@ function shouldDisplayLiveDriverLocation(status) {
   return normalizeStatus(status) === "on_the_way";
 }
 
-function formatDotClockTime(date) {
-  let h = date.getHours();
-  const ampm = h >= 12 ? "p.m" : "a.m";
-  h = h % 12 || 12;
-  const m = date.getMinutes().toString().padStart(2, "0");
-  return `${h}.${m}${ampm}`;
-}
-
 /** Build ETA text using website approach with mobile-specific time format. */
 function buildEtaDisplayText(minMinutes, maxMinutes, options = {}) {
   const now = new Date();
@@ -733,19 +689,19 @@ function buildEtaDisplayText(minMinutes, maxMinutes, options = {}) {
   const start = new Date(now.getTime() + safeMin * 60000);
   const end = new Date(now.getTime() + displayMax * 60000);
 
-  const startText = formatDotClockTime(start);
-  const endText = formatDotClockTime(end);
+  const startText = formatTime(start);
+  const endText = formatTime(end);
 
   if (isOnTheWay) {
-    return `Estimated Arrival : ${endText} Insha Allah`;
+    return translate("orderStatus.etaArrival", { time: endText });
   }
 
-  return `Estimated Arrival : ${startText} - ${endText}`;
+  return translate("orderStatus.etaRange", { start: startText, end: endText });
 }
 
 function getNextStepMessage(currentStatus) {
   if (currentStatus === "placed") {
-    return "We sent your order to the restaurant. We'll notify once accepted In shaa Allah ";
+    return translate("orderStatus.nextSteps.placed");
   }
 
   if (
@@ -754,7 +710,7 @@ function getNextStepMessage(currentStatus) {
     currentStatus === "preparing" ||
     currentStatus === "ready"
   ) {
-    return "restaurant is preparing your order. we are searching nearby drivers";
+    return translate("orderStatus.nextSteps.preparing");
   }
 
   if (
@@ -762,29 +718,34 @@ function getNextStepMessage(currentStatus) {
     currentStatus === "driver_accepted" ||
     currentStatus === "driver_assigned"
   ) {
-    return "Driver is on the way to restaurant.";
+    return translate("orderStatus.nextSteps.driverAccepted");
   }
 
   if (currentStatus === "picked_up") {
-    return "The driver picked your food and have one more stops to deliver you.";
+    return translate("orderStatus.nextSteps.pickedUp");
   }
 
   if (currentStatus === "on_the_way") {
-    return "Your driver is on the way to your location.";
+    return translate("orderStatus.nextSteps.onTheWay");
+  }
+
+  if (currentStatus === "customer_unreachable") {
+    return translate("orderStatus.nextSteps.arrived");
   }
 
   if (currentStatus === "delivered") {
-    return "Your order is successfully delivered.";
+    return translate("orderStatus.nextSteps.delivered");
   }
 
   const currentIndex = STEP_INDEX[currentStatus] ?? 0;
   const nextStep = PROGRESS_STEPS[currentIndex + 1];
   if (!nextStep) {
-    return "We are finalizing your order updates.";
+    return translate("orderStatus.nextSteps.finalizing");
   }
 
-  const nextInfo = STATUS_TEXT[nextStep.key] || STATUS_TEXT.placed;
-  return `${nextInfo.title}. We will update this screen automatically.`;
+  return translate("orderStatus.nextSteps.upcoming", {
+    title: getStatusTitle(nextStep.key),
+  });
 }
 
 function getStatusScreenName(status) {
@@ -803,6 +764,7 @@ function getStatusScreenName(status) {
     case "picked_up":
       return "OrderPickedUp";
     case "on_the_way":
+    case "customer_unreachable":
       return "OrderOnTheWay";
     case "delivered":
       return "OrderDelivered";
@@ -987,6 +949,7 @@ const StatusIconBubble = React.memo(({ status }) => {
 
 /* ─── Restaurant Info Card (web-matching: circular logo + name + chevron) ─── */
 const RestaurantCard = React.memo(({ data }) => {
+  const { t } = useLocale();
   const [logoError, setLogoError] = React.useState(false);
   const logoUri =
     data.restaurantLogoUrl ||
@@ -1023,7 +986,7 @@ const RestaurantCard = React.memo(({ data }) => {
       </View>
       <View style={st.restaurantInfo}>
         <Text style={st.restaurantNameTxt} numberOfLines={1}>
-          {data.restaurantName || "Restaurant"}
+          {data.restaurantName || t("menu.restaurant")}
         </Text>
         {data.order?.cuisine && (
           <Text style={st.restaurantSubtitleTxt} numberOfLines={1}>
@@ -1038,6 +1001,7 @@ const RestaurantCard = React.memo(({ data }) => {
 
 /* ─── Order Summary Card: Restaurant + Total always visible, View Details dropdown ─── */
 const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
+  const { t, formatCurrency } = useLocale();
   const [logoError, setLogoError] = React.useState(false);
   const logoUri =
     data.restaurantLogoUrl ||
@@ -1047,6 +1011,7 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
     data.order?.restaurant?.logo;
   const initial = (data.restaurantName || "R").charAt(0).toUpperCase();
   const items = data.items || [];
+  const pickups = getOrderPickups(data.order);
   const spinAnim = useRef(new Animated.Value(expanded ? 1 : 0)).current;
 
   useEffect(() => {
@@ -1083,19 +1048,53 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
         </View>
         <View style={{ flex: 1 }}>
           <Text style={st.summaryRestaurantName} numberOfLines={1}>
-            {data.restaurantName || "Restaurant"}
+            {data.restaurantName || t("menu.restaurant")}
           </Text>
           {data.orderNumber ? (
-            <Text style={st.summaryOrderNum}>Order #{data.orderNumber}</Text>
+            <Text style={st.summaryOrderNum}>
+              {t("orders.orderNumber", { number: data.orderNumber })}
+            </Text>
           ) : null}
         </View>
       </View>
 
+      {pickups.length > 0 && (
+        <View style={st.summaryPickups}>
+          {pickups.map((pickup, index) => {
+            const pickedUp = pickup.status === "picked_up";
+            return (
+              <View
+                key={`${pickup.restaurant_id || index}`}
+                style={st.summaryPickupRow}
+              >
+                <Ionicons
+                  name={pickedUp ? "checkmark-circle" : "ellipse-outline"}
+                  size={16}
+                  color={pickedUp ? "#06C168" : "#9CA3AF"}
+                />
+                <Text style={st.summaryPickupName} numberOfLines={1}>
+                  {pickup.name ||
+                    pickup.restaurant_name ||
+                    t("menu.restaurant")}
+                </Text>
+                <Text style={st.summaryPickupStatus}>
+                  {pickedUp
+                    ? t("basket.pickedUp")
+                    : pickup.status === "ready"
+                      ? t("basket.ready")
+                      : t("basket.preparing")}
+                </Text>
+              </View>
+            );
+          })}
+        </View>
+      )}
+
       <View style={st.summaryDivider} />
 
       {/* ── Always visible: Total row ── */}
       <View style={st.summaryTotalSection}>
-        <Text style={st.summaryTotalLabel}>TOTAL</Text>
+        <Text style={st.summaryTotalLabel}>{t("orderStatus.total")}</Text>
         {(() => {
           const summaryTotal = resolveOrderDisplayTotal(
             data.order,
@@ -1105,7 +1104,7 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
 
           return (
             <Text style={st.summaryTotalVal}>
-              LKR {summaryTotal.toFixed(2)}
+              {formatCurrency(summaryTotal)}
             </Text>
           );
         })()}
@@ -1116,7 +1115,9 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
       {/* ── View Details toggle ── */}
       <Pressable style={st.viewDetailsRow} onPress={onToggle}>
         <Ionicons name="document-text-outline" size={16} color="#6B7280" />
-        <Text style={st.viewDetailsText}>View Details</Text>
+        <Text style={st.viewDetailsText}>
+          {t("orderStatus.viewDetails")}
+        </Text>
         <Animated.View style={{ transform: [{ rotate: chevronRotate }] }}>
           <Ionicons name="chevron-down" size={18} color="#9CA3AF" />
         </Animated.View>
@@ -1134,7 +1135,7 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
                     item.food_name ||
                     item.name ||
                     item.menu_item_name ||
-                    "Item";
+                    t("orderStatus.item");
                   const qty = item.quantity || 1;
                   const size =
                     item.size || item.variation || item.variant || "";
@@ -1147,7 +1148,10 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
                       ]}
                     >
                       <Text style={st.orderedItemName}>
-                        {qty}x {itemName}
+                        {t("orderStatus.itemQuantity", {
+                          quantity: qty,
+                          name: itemName,
+                        })}
                       </Text>
                       {size ? (
                         <Text style={st.orderedItemSize}>{size}</Text>
@@ -1166,6 +1170,7 @@ const OrderSummaryCard = React.memo(({ data, expanded, onToggle }) => {
 
 /* ─── Animated Info Message (web-matching: italic bold green 3D emerge) ─── */
 const InfoMessage = React.memo(({ status }) => {
+  const { t } = useLocale();
   const anim = useRef(new Animated.Value(0)).current;
   useEffect(() => {
     Animated.loop(
@@ -1198,7 +1203,9 @@ const InfoMessage = React.memo(({ status }) => {
       <Animated.Text
         style={[st.infoMsgText, { transform: [{ scale }], opacity: op }]}
       >
-        {STATUS_MESSAGES[status] || ""}
+        {STATUS_STAGE[status]
+          ? t(`orderStatus.messages.${STATUS_STAGE[status]}`)
+          : ""}
       </Animated.Text>
     </View>
   );
@@ -1572,7 +1579,8 @@ const DeliveredAnimation = React.memo(() => {
 });
 
 /* ─── Driver Card ─── */
-const DriverCard = React.memo(({ driver }) => {
+const DriverCard = React.memo(({ driver, orderId, orderStatus }) => {
+  const { t } = useLocale();
   if (!driver) {
     return (
       <View style={st.driverCard}>
@@ -1583,10 +1591,10 @@ const DriverCard = React.memo(({ driver }) => {
         </View>
         <View style={st.driverMeta}>
           <Text style={st.driverName} numberOfLines={1}>
-            Driver details
+            {t("orderStatus.driverDetails")}
           </Text>
           <Text style={st.driverRowText}>
-            We will show driver info shortly.
+            {t("orderStatus.driverPending")}
           </Text>
         </View>
       </View>
@@ -1620,7 +1628,7 @@ const DriverCard = React.memo(({ driver }) => {
 
       <View style={st.driverMeta}>
         <Text style={st.driverName} numberOfLines={1}>
-          {driver.full_name || "Your Driver"}
+          {driver.full_name || t("orderStatus.yourDriver")}
         </Text>
         {vehicleNumber && (
           <View style={st.driverRow}>
@@ -1650,20 +1658,30 @@ const DriverCard = React.memo(({ driver }) => {
         )}
       </View>
 
-      {driver.phone && (
-        <Pressable
-          style={st.callBtn}
-          onPress={() => Linking.openURL(`tel:${driver.phone}`)}
-        >
-          <Ionicons name="call" size={16} color="#fff" />
-        </Pressable>
-      )}
+      <View style={st.driverActions}>
+        <OrderChatButton
+          orderId={orderId}
+          role="customer"
+          orderStatus={orderStatus}
+          title={driver.full_name || t("orderStatus.yourDriver")}
+          subtitle={vehicleNumber || undefined}
+        />
+        {driver.phone && (
+          <Pressable
+            style={st.callBtn}
+            onPress={() => Linking.openURL(`tel:${driver.phone}`)}
+          >
+            <Ionicons name="call" size={16} color="#fff" />
+          </Pressable>
+        )}
+      </View>
     </View>
   );
 });
 
 /* ─── Vehicle Card ─── */
 const VehicleCard = React.memo(({ driver }) => {
+  const { t } = useLocale();
   if (!driver) return null;
   return (
     <View style={st.vehicleCard}>
@@ -1671,14 +1689,17 @@ const VehicleCard = React.memo(({ driver }) => {
         <Ionicons name="bicycle" size={30} color="#06C168" />
       </View>
       <View style={st.vehicleInfo}>
-        <VRow label="Vehicle" value={driver.vehicle_type || "Motorbike"} />
         <VRow
-          label="Plate"
+          label={t("orderStatus.vehicle")}
+          value={driver.vehicle_type || t("orderStatus.defaultVehicle")}
+        />
+        <VRow
+          label={t("orderStatus.plate")}
           value={driver.vehicle_number || driver.license_plate || "---"}
           bold
         />
         {driver.vehicle_color && (
-          <VRow label="Color" value={driver.vehicle_color} />
+          <VRow label={t("orderStatus.color")} value={driver.vehicle_color} />
         )}
       </View>
     </View>
@@ -1692,39 +1713,6 @@ const VRow = ({ label, value, bold }) => (
   </View>
 );
 
-/* ─── Rating Stars ─── */
-const RatingSection = React.memo(({ rating, onRate, onSubmit, submitted }) => {
-  if (submitted) {
-    return (
-      <View style={st.ratingDone}>
-        <Ionicons name="checkmark-circle" size={22} color="#06C168" />
-        <Text style={st.ratingDoneText}>Thanks for your feedback!</Text>
-      </View>
-    );
-  }
-  return (
-    <View style={st.ratingWrap}>
-      <Text style={st.ratingTitle}>How was your experience?</Text>
-      <View style={st.stars}>
-        {[1, 2, 3, 4, 5].map((v) => (
-          <Pressable key={v} onPress={() => onRate(v)} style={st.starBtn}>
-            <Ionicons
-              name={rating >= v ? "star" : "star-outline"}
-              size={36}
-              color={rating >= v ? "#F59E0B" : "#D1D5DB"}
-            />
-          </Pressable>
-        ))}
-      </View>
-      {rating > 0 && (
-        <Pressable style={st.submitRating} onPress={onSubmit}>
-          <Text style={st.submitRatingTxt}>Submit Review</Text>
-        </Pressable>
-      )}
-    </View>
-  );
-});
-
 // =============================================================================
 // MAIN COMPONENT
 // =============================================================================
@@ -1738,6 +1726,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
     params.order?.orderId ||
     null;
   const routeName = route?.name || "PlacingOrder";
+  const { t, formatCurrency } = useLocale();
   const insets = useSafeAreaInsets();
   const { height: windowHeight } = useWindowDimensions();
   const { on, off, isConnected: isSocketConnected } = useSocket();
@@ -1766,7 +1755,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
   /* ── order data (navigation or fetched) ── */
   const [orderData, setOrderData] = useState({
     restaurantName:
-      params.restaurantName || params.order?.restaurant_name || "",
+      params.restaurantName || getOrderRestaurantLabel(params.order),
     orderNumber: params.orderNumber || params.order?.order_number || "",
     address: params.address || params.order?.delivery_address || "",
     items:
@@ -1807,8 +1796,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
   const hasRouteOrderData = Boolean(params.order);
   const [loading, setLoading] = useState(!hasRouteOrderData);
   const [viewOrderExpanded, setViewOrderExpanded] = useState(false);
-  const [rating, setRating] = useState(0);
-  const [ratingSubmitted, setRatingSubmitted] = useState(false);
+  const [reviewSubmitted, setReviewSubmitted] = useState(false);
   const [phoneCopied, setPhoneCopied] = useState(false);
 
   /* ── cancel order state ── */
@@ -1819,21 +1807,23 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
   const [isCancelled, setIsCancelled] = useState(currentStatus === "cancelled");
 
   const CANCEL_REASONS = [
-    "Changed my mind",
-    "Found better option",
-    "Ordered by mistake",
-    "Delivery taking too long",
-    "Wrong items selected",
-    "Other",
+    "changedMind",
+    "betterOption",
+    "mistake",
+    "tooLong",
+    "wrongItems",
+    "other",
   ];
 
   const handleCancelOrder = async () => {
     const reason =
-      cancelReason === "Other" ? customCancelReason.trim() : cancelReason;
+      cancelReason === "other"
+        ? customCancelReason.trim()
+        : cancelReason && t(`orderStatus.cancelReasons.${cancelReason}`);
     if (!reason) {
       Alert.alert(
-        "Reason Required",
-        "Please select or type a cancellation reason.",
+        t("orderStatus.reasonRequiredTitle"),
+        t("orderStatus.reasonRequiredBody"),
       );
       return;
     }
@@ -1842,10 +1832,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
     const activeOrderId = String(orderId || orderIdRef.current || "").trim();
     if (!activeOrderId) {
       console.error("Cancel order error: orderId is missing or invalid");
-      Alert.alert(
-        "Error",
-        "Order ID is missing. Please try again or contact support.",
-      );
+      Alert.alert(t("menu.errorTitle"), t("orderStatus.missingOrderId"));
       return;
     }
 
@@ -1877,11 +1864,11 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
         setShowCancelModal(false);
         setCurrentStatus("cancelled");
         Alert.alert(
-          "Order Cancelled",
-          "Your order has been successfully cancelled.",
+          t("orderStatus.cancelledTitle"),
+          t("orderStatus.cancelledBody"),
           [
             {
-              text: "OK",
+              text: t("checkout.ok"),
               onPress: () =>
                 navigation.reset({ index: 0, routes: [{ name: "MainTabs" }] }),
             },
@@ -1894,8 +1881,8 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
         );
         setShowCancelModal(false);
         Alert.alert(
-          "Order Not Found",
-          "The order could not be found in the system. It may have already been cancelled or processed. Please refresh and try again.",
+          t("orderStatus.notFoundTitle"),
+          t("orderStatus.notFoundBody"),
         );
       } else if (res.status === 409) {
         console.warn(
@@ -1905,8 +1892,8 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
         );
         setShowCancelModal(false);
         Alert.alert(
-          "Cannot Cancel",
-          data.message || "The restaurant has already accepted your order.",
+          t("orderStatus.cannotCancelTitle"),
+          data.message || t("orderStatus.cannotCancelBody"),
         );
       } else if (res.status === 400) {
         console.error(
@@ -1916,8 +1903,8 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
         );
         setShowCancelModal(false);
         Alert.alert(
-          "Invalid Request",
-          data.message || "Unable to cancel order. Please check and try again.",
+          t("orderStatus.invalidRequestTitle"),
+          data.message || t("orderStatus.invalidRequestBody"),
         );
       } else {
         console.error(
@@ -1928,17 +1915,14 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           data,
         );
         Alert.alert(
-          "Error",
+          t("menu.errorTitle"),
           data.message ||
-            `Failed to cancel order (Error: ${res.status}). Please try again.`,
+            t("orderStatus.cancelFailed", { status: String(res.status) }),
         );
       }
     } catch (err) {
       console.error("Cancel order error:", err, "orderId:", orderId);
-      Alert.alert(
-        "Error",
-        "Network error. Please check your connection and try again.",
-      );
+      Alert.alert(t("menu.errorTitle"), t("orderStatus.networkError"));
     } finally {
       setIsCancelling(false);
     }
@@ -1979,7 +1963,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
 
   /* ── derived ── */
   const stepIndex = STEP_INDEX[currentStatus] ?? 0;
-  const info = STATUS_TEXT[currentStatus] || STATUS_TEXT.placed;
+  const statusTitle = getStatusTitle(currentStatus);
   const isCooking = COOKING_STATUSES.has(currentStatus);
   const isOTW = currentStatus === "on_the_way";
   const isDone = currentStatus === "delivered";
@@ -2147,7 +2131,6 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           latitude: Number(customerLoc.lat),
           longitude: Number(customerLoc.lng),
         },
-        profile: "driving",
         overview: "false",
       });
 
@@ -2203,6 +2186,14 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
         cacheDriverInfo(activeOrderId, realtimeDriver);
       }
 
+      // Basket orders report each restaurant's pickup as it happens.
+      if (Array.isArray(payload?.pickups)) {
+        setOrderData((prev) => ({
+          ...prev,
+          order: { ...(prev.order || {}), pickups: payload.pickups },
+        }));
+      }
+
       const locationPayload =
         payload?.driver_location || payload?.driverLocation;
       const driverLat = Number(
@@ -2502,7 +2493,9 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           }
           setOrderData({
             restaurantName:
-              o.restaurant_name || orderData.restaurantName || "Restaurant",
+              getOrderRestaurantLabel(o) ||
+              orderData.restaurantName ||
+              t("menu.restaurant"),
             orderNumber: o.order_number || orderData.orderNumber || "",
             address: o.delivery_address || orderData.address || "",
             items: o.order_items || o.items || [],
@@ -2916,23 +2909,38 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
     setTimeout(() => setPhoneCopied(false), 2000);
   }, []);
 
-  const handleSubmitRating = useCallback(async () => {
-    if (rating <= 0) return;
-    try {
-      const token = await getAccessToken();
-      await fetch(`${API_BASE_URL}/orders/${orderId}/rate`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ rating }),
-      });
-    } catch {
-      /* still mark submitted */
-    }
-    setRatingSubmitted(true);
-  }, [orderId, rating]);
+  useEffect(() => {
+    const sub = DeviceEventEmitter.addListener(
+      ORDER_REVIEW_SUBMITTED_EVENT,
+      (data) => {
+        if (String(data?.orderId) === String(orderId)) setReviewSubmitted(true);
+      },
+    );
+    return () => sub.remove();
+  }, [orderId]);
+
+  const openReview = useCallback(() => {
+    navigation.navigate("OrderReview", {
+      orderId,
+      restaurantName: orderData.restaurantName,
+      items: orderData.items,
+      driver: driverInfo,
+    });
+  }, [
+    driverInfo,
+    navigation,
+    orderData.items,
+    orderData.restaurantName,
+    orderId,
+  ]);
+
+  const openIssueReport = useCallback(() => {
+    navigation.navigate("OrderIssue", {
+      orderId,
+      items: toIssueItems(orderData.items),
+      orderTotal: orderData.totalAmount,
+    });
+  }, [navigation, orderData.items, orderData.totalAmount, orderId]);
 
   const goHome = useCallback(
     () => navigation.reset({ index: 0, routes: [{ name: "MainTabs" }] }),
@@ -2966,7 +2974,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
               fontWeight: "600",
             }}
           >
-            Loading order...
+            {t("orderStatus.loading")}
           </Text>
         </View>
         <View
@@ -3004,12 +3012,16 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
       (sum, item) => sum + (Number(item?.quantity) || 1),
       0,
     );
-    const restaurantName = orderData.restaurantName || "Restaurant";
+    const restaurantName = orderData.restaurantName || t("menu.restaurant");
     const orderNumber =
-      orderData.orderNumber || orderData.order?.order_number || "Not available";
+      orderData.orderNumber ||
+      orderData.order?.order_number ||
+      t("orderStatus.notAvailable");
     const deliveryAddress =
-      orderData.address || orderData.order?.delivery_address || "Not available";
-    const orderTotal = parseFloat(orderData.totalAmount || 0).toFixed(2);
+      orderData.address ||
+      orderData.order?.delivery_address ||
+      t("orderStatus.notAvailable");
+    const orderTotal = parseFloat(orderData.totalAmount || 0);
     const reportTopPadding = Math.max(insets.top + 26, 46);
 
     return (
@@ -3031,29 +3043,34 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
             <View style={st.reportHeroIconWrap}>
               <Ionicons name="checkmark-circle" size={56} color="#06C168" />
             </View>
-            <Text style={st.reportHeroTitle}>Thank you for your order!</Text>
+            <Text style={st.reportHeroTitle}>
+              {t("orderStatus.thankYou")}
+            </Text>
             <Text style={st.reportHeroSubtitle}>
-              Your delivery is complete and successfully delivered.
+              {t("orderStatus.deliveryComplete")}
             </Text>
             <Text style={st.reportHeroGoodNote}>
-              We hope your meal brought a smile to your day. We look forward to
-              serving you again soon.
+              {t("orderStatus.goodNote")}
             </Text>
           </View>
 
           <View style={st.reportCardBox}>
             <View style={st.reportPill}>
-              <Text style={st.reportPillTxt}>Delivery Report</Text>
+              <Text style={st.reportPillTxt}>{t("orderStatus.report")}</Text>
             </View>
 
             <View style={st.reportRow}>
-              <Text style={st.reportLabel}>Status</Text>
-              <Text style={st.reportValueSuccess}>Delivered</Text>
+              <Text style={st.reportLabel}>{t("orderStatus.status")}</Text>
+              <Text style={st.reportValueSuccess}>
+                {t("orders.delivered")}
+              </Text>
             </View>
             <View style={st.reportDivider} />
 
             <View style={st.reportRow}>
-              <Text style={st.reportLabel}>Restaurant</Text>
+              <Text style={st.reportLabel}>
+                {t("orderStatus.restaurant")}
+              </Text>
               <Text style={st.reportValue} numberOfLines={1}>
                 {restaurantName}
               </Text>
@@ -3061,7 +3078,9 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
             <View style={st.reportDivider} />
 
             <View style={st.reportRow}>
-              <Text style={st.reportLabel}>Order Number</Text>
+              <Text style={st.reportLabel}>
+                {t("orderStatus.orderNumber")}
+              </Text>
               <Text style={st.reportValue} numberOfLines={1}>
                 {orderNumber}
               </Text>
@@ -3071,27 +3090,42 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
             <View style={st.reportDivider} />
 
             <View style={st.reportRow}>
-              <Text style={st.reportLabel}>Total Paid</Text>
-              <Text style={st.reportTotal}>LKR {orderTotal}</Text>
+              <Text style={st.reportLabel}>{t("orderStatus.totalPaid")}</Text>
+              <Text style={st.reportTotal}>{formatCurrency(orderTotal)}</Text>
             </View>
             <View style={st.reportDivider} />
 
             <View style={[st.reportRow, st.reportRowTop]}>
-              <Text style={st.reportLabel}>Delivered To</Text>
+              <Text style={st.reportLabel}>
+                {t("orderStatus.deliveredTo")}
+              </Text>
               <Text style={st.reportValueAddress} numberOfLines={3}>
                 {deliveryAddress}
               </Text>
             </View>
           </View>
 
+          <OrderDeliveredCard
+            restaurantName={restaurantName}
+            driverName={driverInfo?.full_name}
+            reviewed={
+              reviewSubmitted ||
+              Boolean(orderData.order?.reviewed || orderData.order?.is_reviewed)
+            }
+            onRate={openReview}
+            onReportIssue={openIssueReport}
+          />
+
           <View style={st.actionRow}>
             <Pressable style={st.orderAgainBtn} onPress={goHome}>
               <Ionicons name="refresh" size={20} color="#fff" />
-              <Text style={st.orderAgainTxt}>Order Again</Text>
+              <Text style={st.orderAgainTxt}>
+                {t("orderStatus.orderAgain")}
+              </Text>
             </Pressable>
             <Pressable style={st.goHomeBtn} onPress={goHome}>
               <Ionicons name="home-outline" size={20} color="#06C168" />
-              <Text style={st.goHomeTxt}>Back to Home</Text>
+              <Text style={st.goHomeTxt}>{t("orderStatus.backHome")}</Text>
             </Pressable>
           </View>
         </ScrollView>
@@ -3162,7 +3196,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                     longitude: restaurantLocation.lng,
                   },
                   type: "restaurant",
-                  title: orderData.restaurantName || "Restaurant",
+                  title: orderData.restaurantName || t("menu.restaurant"),
                   emoji: "",
                   customHtml: RESTAURANT_MARKER_HTML,
                   iconSize: [30, 42],
@@ -3176,7 +3210,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                     longitude: deliveryLocation.lng,
                   },
                   type: "customer",
-                  title: "Delivery",
+                  title: t("orderStatus.delivery"),
                   emoji: "",
                   customHtml: CUSTOMER_MARKER_HTML,
                   iconSize: [30, 42],
@@ -3254,7 +3288,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
       {phoneCopied && (
         <View style={[st.toast, { top: Math.max(insets.top + 54, 90) }]}>
           <Ionicons name="checkmark-circle" size={15} color="#06C168" />
-          <Text style={st.toastTxt}>Phone number copied!</Text>
+          <Text style={st.toastTxt}>{t("orderStatus.phoneCopied")}</Text>
         </View>
       )}
 
@@ -3294,7 +3328,7 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           {/* 1) Status title + ETA */}
           <Animated.View style={{ opacity: statusFade }}>
             <Text style={[st.title, isDone && st.titleSuccess]}>
-              {info.title}
+              {statusTitle}
             </Text>
             <Text style={st.statusNextTxt}>{nextStepMessage}</Text>
             {shouldShowEstimatedArrival ? (
@@ -3306,7 +3340,21 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           <ProgressBar stepIndex={stepIndex} />
 
           {/* 3) Driver card (accepted / picked_up / on_the_way) */}
-          {shouldShowDriverSection && <DriverCard driver={driverInfo} />}
+          {shouldShowDriverSection && (
+            <DriverCard
+              driver={driverInfo}
+              orderId={orderId}
+              orderStatus={currentStatus}
+            />
+          )}
+
+          {/* Delivery PIN the customer reads out at handover */}
+          {shouldShowDriverSection && (
+            <DeliveryPinBlock
+              pin={orderData.order?.delivery_pin}
+              style={st.deliveryPinBlock}
+            />
+          )}
 
           {/* ── Delivered: premium thank-you screen ── */}
           {isDone ? (
@@ -3315,11 +3363,11 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                 <View style={st.thankYouIconCircle}>
                   <Ionicons name="checkmark-circle" size={52} color="#06C168" />
                 </View>
-                <Text style={st.thankYouTitle}>Thank you for your order!</Text>
+                <Text style={st.thankYouTitle}>
+                  {t("orderStatus.thankYou")}
+                </Text>
                 <Text style={st.thankYouBody}>
-                  Your food has been successfully delivered.{"\n"}
-                  We hope you enjoyed your meal and look forward to serving you
-                  again.
+                  {t("orderStatus.deliveredBody")}
                 </Text>
               </View>
             </>
@@ -3332,10 +3380,10 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                     <Ionicons name="location" size={18} color="#06C168" />
                     <View style={st.deliveryAddressContent}>
                       <Text style={st.deliveryAddressLabel}>
-                        DELIVERY ADDRESS
+                        {t("orderStatus.deliveryAddress")}
                       </Text>
                       <Text style={st.deliveryAddressText} numberOfLines={2}>
-                        {orderData.address || "Your delivery address"}
+                        {orderData.address || t("orderStatus.addressFallback")}
                       </Text>
                     </View>
                   </View>
@@ -3364,7 +3412,9 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                     size={20}
                     color="#DC2626"
                   />
-                  <Text style={st.cancelOrderTxt}>Cancel Order</Text>
+                  <Text style={st.cancelOrderTxt}>
+                    {t("orderStatus.cancelOrder")}
+                  </Text>
                 </Pressable>
               )}
             </>
@@ -3375,11 +3425,13 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
             <View style={st.actionRow}>
               <Pressable style={st.orderAgainBtn} onPress={goHome}>
                 <Ionicons name="refresh" size={20} color="#fff" />
-                <Text style={st.orderAgainTxt}>Order Again</Text>
+                <Text style={st.orderAgainTxt}>
+                  {t("orderStatus.orderAgain")}
+                </Text>
               </Pressable>
               <Pressable style={st.goHomeBtn} onPress={goHome}>
                 <Ionicons name="home-outline" size={20} color="#06C168" />
-                <Text style={st.goHomeTxt}>Back to Home</Text>
+                <Text style={st.goHomeTxt}>{t("orderStatus.backHome")}</Text>
               </Pressable>
             </View>
           )}
@@ -3397,9 +3449,11 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
           <View style={st.cancelModalContent}>
             <View style={st.cancelModalHeader}>
               <Ionicons name="warning-outline" size={28} color="#DC2626" />
-              <Text style={st.cancelModalTitle}>Cancel Order?</Text>
+              <Text style={st.cancelModalTitle}>
+                {t("orderStatus.cancelTitle")}
+              </Text>
               <Text style={st.cancelModalSubtitle}>
-                Please tell us why you want to cancel
+                {t("orderStatus.cancelSubtitle")}
               </Text>
             </View>
 
@@ -3432,15 +3486,15 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                       cancelReason === reason && st.cancelReasonTextActive,
                     ]}
                   >
-                    {reason}
+                    {t(`orderStatus.cancelReasons.${reason}`)}
                   </Text>
                 </Pressable>
               ))}
 
-              {cancelReason === "Other" && (
+              {cancelReason === "other" && (
                 <TextInput
                   style={st.cancelReasonInput}
-                  placeholder="Type your reason..."
+                  placeholder={t("orderStatus.reasonPlaceholder")}
                   placeholderTextColor="#9CA3AF"
                   value={customCancelReason}
                   onChangeText={setCustomCancelReason}
@@ -3456,7 +3510,9 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                 onPress={() => !isCancelling && setShowCancelModal(false)}
                 disabled={isCancelling}
               >
-                <Text style={st.cancelModalKeepTxt}>Keep Order</Text>
+                <Text style={st.cancelModalKeepTxt}>
+                  {t("orderStatus.keepOrder")}
+                </Text>
               </Pressable>
               <Pressable
                 style={[
@@ -3469,7 +3525,9 @@ export default function OrderStatusFlowScreen({ route, navigation }) {
                 {isCancelling ? (
                   <ActivityIndicator size="small" color="#fff" />
                 ) : (
-                  <Text style={st.cancelModalConfirmTxt}>Confirm Cancel</Text>
+                  <Text style={st.cancelModalConfirmTxt}>
+                    {t("orderStatus.confirmCancel")}
+                  </Text>
                 )}
               </Pressable>
             </View>
@@ -3876,6 +3934,7 @@ const st = StyleSheet.create({
   totalAmount: { fontSize: 16, color: "#06C168", fontWeight: "800" },
 
   /* ── delivery address card ── */
+  deliveryPinBlock: { marginTop: 12 },
   deliveryAddressCard: {
     backgroundColor: "#fff",
     borderRadius: 14,
@@ -3972,6 +4031,27 @@ const st = StyleSheet.create({
     height: 1,
     backgroundColor: "#F3F4F6",
   },
+  summaryPickups: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    gap: 6,
+  },
+  summaryPickupRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  summaryPickupName: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#374151",
+  },
+  summaryPickupStatus: {
+    fontSize: 12,
+    fontWeight: "500",
+    color: "#6B7280",
+  },
   /* total section (always visible) */
   summaryTotalSection: {
     flexDirection: "row",
@@ -4155,6 +4235,11 @@ const st = StyleSheet.create({
     fontWeight: "600",
     color: "#111827",
   },
+  driverActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
   callBtn: {
     width: 34,
     height: 34,
@@ -4179,33 +4264,6 @@ const st = StyleSheet.create({
     lineHeight: 26,
   },
 
-  /* ── rating ── */
-  ratingWrap: { alignItems: "center", paddingVertical: 16 },
-  ratingTitle: {
-    fontSize: 16,
-    fontWeight: "700",
-    color: "#374151",
-    marginBottom: 12,
-  },
-  stars: { flexDirection: "row", gap: 8 },
-  starBtn: { padding: 2 },
-  submitRating: {
-    marginTop: 14,
-    backgroundColor: "#06C168",
-    paddingHorizontal: 28,
-    paddingVertical: 12,
-    borderRadius: 12,
-  },
-  submitRatingTxt: { color: "#fff", fontSize: 15, fontWeight: "700" },
-  ratingDone: {
-    flexDirection: "row",
-    alignItems: "center",
-    gap: 8,
-    paddingVertical: 14,
-    justifyContent: "center",
-  },
-  ratingDoneText: { fontSize: 14, fontWeight: "600", color: "#06C168" },
-
   /* ── action buttons (delivered) ── */
   actionRow: { flexDirection: "row", gap: 12, marginTop: 16 },
   orderAgainBtn: {
@@ -23,12 +23,18 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import { SafeAreaView } from "react-native-safe-area-context";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import SkeletonBlock from "../../components/common/SkeletonBlock";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import {
   ACTIVE_STATUSES,
   PAST_STATUSES,
   getOrderStatus,
   useOrders,
 } from "../../context/OrderContext";
+import {
+  formatScheduledSlot,
+  isScheduledOrderReleased,
+} from "../../utils/deliverySchedule";
+import { translate } from "../../i18n";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 
@@ -262,25 +268,25 @@ const getStepIndex = (status) => {
 const getProgressLabel = (status) => {
   switch (status) {
     case "placed":
-      return "Order placed";
+      return translate("orders.progress.placed");
     case "pending":
     case "received":
     case "preparing":
-      return "Preparing your order";
+      return translate("orders.progress.preparing");
     case "ready":
-      return "Ready for pickup";
+      return translate("orders.progress.ready");
     case "accepted":
     case "driver_accepted":
     case "driver_assigned":
-      return "Driver assigned";
+      return translate("orders.progress.driverAssigned");
     case "picked_up":
-      return "Order picked up";
+      return translate("orders.progress.pickedUp");
     case "on_the_way":
-      return "On the way to you";
+      return translate("orders.progress.onTheWay");
     case "delivered":
-      return "Delivered";
+      return translate("orders.progress.delivered");
     default:
-      return "Order placed";
+      return translate("orders.progress.placed");
   }
 };
 
@@ -438,6 +444,12 @@ export default function OrdersScreen({ navigation }) {
     fetchOrders,
     markOrdersSeen,
   } = useOrders();
+  const {
+    t,
+    formatCurrency,
+    formatDate: formatLocaleDate,
+    formatTime: formatLocaleTime,
+  } = useLocale();
 
   const [activeTab, setActiveTab] = useState("active");
   const [pastFilter, setPastFilter] = useState("all");
@@ -469,30 +481,11 @@ export default function OrdersScreen({ navigation }) {
   }, [hasNewOrder]);
 
   // ─── Helpers ─────────────────────────────────────────────────────────────
-  const formatPrice = (p) => {
-    const n = Number(p);
-    return Number.isNaN(n) ? "Rs. 0.00" : `Rs. ${n.toFixed(2)}`;
-  };
+  const formatPrice = (p) => formatCurrency(p);
 
-  const formatDate = (ts) => {
-    if (!ts) return "";
-    const d = new Date(ts);
-    return d.toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
-  };
+  const formatDate = (ts) => (ts ? formatLocaleDate(ts) : "");
 
-  const formatTime = (ts) => {
-    if (!ts) return "";
-    const d = new Date(ts);
-    return d.toLocaleTimeString("en-US", {
-      hour: "numeric",
-      minute: "2-digit",
-      hour12: true,
-    });
-  };
+  const formatTime = (ts) => (ts ? formatLocaleTime(ts) : "");
 
   const getPastStatus = (order) => {
     const status = getOrderStatus(order);
@@ -564,7 +557,21 @@ export default function OrdersScreen({ navigation }) {
 
   const activeOrders = useMemo(
     () =>
-      (orders || []).filter((o) => ACTIVE_STATUSES.includes(getOrderStatus(o))),
+      (orders || []).filter(
+        (o) =>
+          ACTIVE_STATUSES.includes(getOrderStatus(o)) &&
+          isScheduledOrderReleased(o),
+      ),
+    [orders],
+  );
+  // Pre-orders move to Active once they are released to drivers.
+  const scheduledOrders = useMemo(
+    () =>
+      (orders || []).filter(
+        (o) =>
+          ACTIVE_STATUSES.includes(getOrderStatus(o)) &&
+          !isScheduledOrderReleased(o),
+      ),
     [orders],
   );
   const pastOrders = useMemo(
@@ -624,16 +631,26 @@ export default function OrdersScreen({ navigation }) {
               {/* Restaurant name */}
               <View style={styles.cardRow}>
                 <Text style={styles.restaurantName} numberOfLines={1}>
-                  {order.restaurant_name || "Restaurant"}
+                  {order.restaurant_name || t("orders.restaurantFallback")}
                 </Text>
               </View>
 
               {/* Order number & items */}
               <Text style={styles.orderMeta}>
-                Order #{order.order_number || "N/A"} • {itemCount} item
-                {itemCount !== 1 ? "s" : ""}
+                {t("orders.orderNumber", {
+                  number: order.order_number || "N/A",
+                })}{" "}
+                • {t("orders.itemCount", { count: itemCount })}
               </Text>
 
+              {order.scheduled_for ? (
+                <Text style={styles.scheduledMeta}>
+                  {t("orders.scheduledFor", {
+                    slot: formatScheduledSlot(order.scheduled_for),
+                  })}
+                </Text>
+              ) : null}
+
               {/* Track Order Link */}
               <Pressable
                 onPress={() => navigateToOrder(order)}
@@ -642,7 +659,9 @@ export default function OrdersScreen({ navigation }) {
                   pressed && { opacity: 0.7 },
                 ]}
               >
-                <Text style={styles.trackLinkText}>Track Order</Text>
+                <Text style={styles.trackLinkText}>
+                  {t("orders.track")}
+                </Text>
               </Pressable>
             </View>
           </View>
@@ -690,7 +709,7 @@ export default function OrdersScreen({ navigation }) {
               {/* Restaurant name */}
               <View style={styles.cardRow}>
                 <Text style={styles.pastRestaurantName} numberOfLines={1}>
-                  {order.restaurant_name || "Restaurant"}
+                  {order.restaurant_name || t("orders.restaurantFallback")}
                 </Text>
                 <View
                   style={[
@@ -708,7 +727,9 @@ export default function OrdersScreen({ navigation }) {
                       { color: isCancelled ? "#DC2626" : "#06C168" },
                     ]}
                   >
-                    {isCancelled ? "Cancelled" : "Delivered"}
+                    {isCancelled
+                      ? t("orders.cancelled")
+                      : t("orders.delivered")}
                   </Text>
                 </View>
               </View>
@@ -716,7 +737,7 @@ export default function OrdersScreen({ navigation }) {
               {/* Total + date/time */}
               <Text style={styles.pastMeta}>
                 <Text style={styles.pastStatusMetaText}>
-                  {isCancelled ? "Cancelled" : "Delivered"}
+                  {isCancelled ? t("orders.cancelled") : t("orders.delivered")}
                 </Text>
                 {" • "}
                 {hasDisplayTotal ? (
@@ -752,7 +773,9 @@ export default function OrdersScreen({ navigation }) {
                 pressed && { opacity: 0.85 },
               ]}
             >
-              <Text style={styles.viewDetailsText}>View Details</Text>
+              <Text style={styles.viewDetailsText}>
+                {t("orders.viewDetails")}
+              </Text>
             </Pressable>
           </View>
         </View>
@@ -765,16 +788,22 @@ export default function OrdersScreen({ navigation }) {
     <View style={styles.emptyContainer}>
       <View style={styles.emptyIconWrap}>
         <Text style={{ fontSize: 48 }}>
-          {activeTab === "active" ? "🛵" : "📦"}
+          {activeTab === "active" ? "🛵" : activeTab === "scheduled" ? "🗓️" : "📦"}
         </Text>
       </View>
       <Text style={styles.emptyTitle}>
-        {activeTab === "active" ? "No Active Orders" : "No Past Orders"}
+        {activeTab === "active"
+          ? t("orders.emptyActiveTitle")
+          : activeTab === "scheduled"
+            ? t("orders.emptyScheduledTitle")
+            : t("orders.emptyPastTitle")}
       </Text>
       <Text style={styles.emptySubtitle}>
         {activeTab === "active"
-          ? "You don't have any ongoing orders"
-          : "Your order history will appear here"}
+          ? t("orders.emptyActiveBody")
+          : activeTab === "scheduled"
+            ? t("orders.emptyScheduledBody")
+            : t("orders.emptyPastBody")}
       </Text>
       {activeTab === "active" && (
         <Pressable
@@ -784,7 +813,7 @@ export default function OrdersScreen({ navigation }) {
             pressed && { opacity: 0.85 },
           ]}
         >
-          <Text style={styles.browseBtnText}>Browse Restaurants</Text>
+          <Text style={styles.browseBtnText}>{t("orders.browse")}</Text>
         </Pressable>
       )}
     </View>
@@ -796,10 +825,8 @@ export default function OrdersScreen({ navigation }) {
       <View style={styles.emptyIconWrap}>
         <Text style={{ fontSize: 48 }}>🍽️</Text>
       </View>
-      <Text style={styles.emptyTitle}>Please Log In</Text>
-      <Text style={styles.emptySubtitle}>
-        Sign in to view your orders and track deliveries
-      </Text>
+      <Text style={styles.emptyTitle}>{t("orders.loginTitle")}</Text>
+      <Text style={styles.emptySubtitle}>{t("orders.loginBody")}</Text>
       <Pressable
         onPress={() => navigation.navigate("Login")}
         style={({ pressed }) => [
@@ -807,7 +834,7 @@ export default function OrdersScreen({ navigation }) {
           pressed && { opacity: 0.85 },
         ]}
       >
-        <Text style={styles.browseBtnText}>Log In</Text>
+        <Text style={styles.browseBtnText}>{t("orders.loginCta")}</Text>
       </Pressable>
     </View>
   );
@@ -826,7 +853,7 @@ export default function OrdersScreen({ navigation }) {
           >
             <Ionicons name="chevron-back" size={22} color={TEXT_DARK} />
           </Pressable>
-          <Text style={styles.headerTitle}>My Orders</Text>
+          <Text style={styles.headerTitle}>{t("orders.title")}</Text>
           <View style={styles.headerBtn} />
         </View>
         {renderNotLoggedIn()}
@@ -846,7 +873,7 @@ export default function OrdersScreen({ navigation }) {
         >
           <Ionicons name="chevron-back" size={22} color={TEXT_DARK} />
         </Pressable>
-        <Text style={styles.headerTitle}>My Orders</Text>
+        <Text style={styles.headerTitle}>{t("orders.title")}</Text>
         <View style={styles.headerBtn} />
       </View>
 
@@ -868,7 +895,25 @@ export default function OrdersScreen({ navigation }) {
                   : styles.toggleTextIdle
               }
             >
-              Active
+              {t("orders.tabActive")}
+            </Text>
+          </Pressable>
+          <Pressable
+            onPress={() => setActiveTab("scheduled")}
+            style={({ pressed }) => [
+              styles.toggleBtn,
+              activeTab === "scheduled" && styles.toggleActive,
+              pressed && { opacity: 0.8 },
+            ]}
+          >
+            <Text
+              style={
+                activeTab === "scheduled"
+                  ? styles.toggleTextActive
+                  : styles.toggleTextIdle
+              }
+            >
+              {t("orders.tabScheduled")}
             </Text>
           </Pressable>
           <Pressable
@@ -886,7 +931,7 @@ export default function OrdersScreen({ navigation }) {
                   : styles.toggleTextIdle
               }
             >
-              Past
+              {t("orders.tabPast")}
             </Text>
           </Pressable>
         </View>
@@ -930,18 +975,19 @@ export default function OrdersScreen({ navigation }) {
             </View>
           ))}
         </View>
-      ) : activeTab === "active" ? (
-        /* ── Active Orders ── */
+      ) : activeTab === "active" || activeTab === "scheduled" ? (
+        /* ── Active / Scheduled Orders ── */
         <FlatList
           ref={flatListRef}
-          data={activeOrders}
+          data={activeTab === "scheduled" ? scheduledOrders : activeOrders}
           keyExtractor={(item, index) =>
             `${getOrderRenderKey(item, index)}-${index}`
           }
           renderItem={({ item, index }) => renderActiveCard(item, index)}
           contentContainerStyle={[
             styles.listContent,
-            activeOrders.length === 0 && { flex: 1 },
+            (activeTab === "scheduled" ? scheduledOrders : activeOrders)
+              .length === 0 && { flex: 1 },
           ]}
           ListEmptyComponent={renderEmpty}
           refreshControl={
@@ -1176,6 +1222,12 @@ const styles = StyleSheet.create({
     color: TEXT_GRAY,
     marginTop: 4,
   },
+  scheduledMeta: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: PRIMARY,
+    marginTop: 4,
+  },
 
   // ── ETA Row ──
   etaRow: {
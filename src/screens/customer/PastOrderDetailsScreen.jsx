@@ -2,6 +2,7 @@ import { Ionicons } from "@expo/vector-icons";
 import React, { useEffect, useMemo, useState } from "react";
 import {
   ActivityIndicator,
+  Alert,
   Dimensions,
   Pressable,
   ScrollView,
@@ -10,7 +11,15 @@ import {
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import api from "../../services/api";
+import { computeParticipantShares } from "../../services/groupCartService";
+import { toIssueItems } from "../../services/orderIssueService";
+import {
+  addReorderLinesToCart,
+  prepareReorder,
+} from "../../services/reorderService";
+import { getOrderDiscount } from "../../utils/promoCodes";
 
 const HERO_BG = "#ECFDF5";
 const PAGE_BG = "#FFFFFF";
@@ -111,6 +120,8 @@ const normalizeOrder = (rawOrder, statusHint = "") => {
     toNumber(source?.grand_total, NaN) ||
     itemTotal;
 
+  const discount = getOrderDiscount(source);
+
   const normalizedStatusValue = String(
     source?.status ||
       source?.order_status ||
@@ -140,16 +151,21 @@ const normalizeOrder = (rawOrder, statusHint = "") => {
       source?.restaurant?.name ||
       "Restaurant",
     totalAmount,
+    discountAmount: discount.amount,
+    promoCode: discount.code,
     status: normalizedStatusValue,
     createdAt: source?.created_at || source?.placed_at || source?.ordered_at,
     deliveredAt: source?.delivered_at || source?.deliveredAt,
     cancelledAt: cancelledAtValue,
     updatedAt: source?.updated_at || source?.updatedAt,
     items: normalizedItems,
+    participantShares: computeParticipantShares(source, totalAmount),
+    raw: source,
   };
 };
 
 const PastOrderDetailsScreen = ({ navigation, route }) => {
+  const { t } = useLocale();
   const seededOrder = route?.params?.order || null;
   const routeStatusHint = route?.params?.status || route?.params?.pastStatus || "";
   const routeOrderId =
@@ -162,6 +178,7 @@ const PastOrderDetailsScreen = ({ navigation, route }) => {
     normalizeOrder(seededOrder, routeStatusHint),
   );
   const [loading, setLoading] = useState(!seededOrder && !!routeOrderId);
+  const [reordering, setReordering] = useState(false);
 
   useEffect(() => {
     let mounted = true;
@@ -212,6 +229,49 @@ const PastOrderDetailsScreen = ({ navigation, route }) => {
     };
   }, [routeOrderId, routeStatusHint]);
 
+  // Clean reorders go straight to checkout; anything that changed on the
+  // menu is reviewed on the Reorder screen first.
+  const handleReorder = async () => {
+    if (!order?.raw || reordering) return;
+    try {
+      setReordering(true);
+      const prepared = await prepareReorder(order.raw);
+      if (!prepared.clean) {
+        navigation.navigate("Reorder", {
+          restaurant: prepared.restaurant,
+          lines: prepared.lines,
+          warnings: prepared.warnings,
+        });
+        return;
+      }
+      const result = await addReorderLinesToCart(
+        prepared.restaurant.id,
+        prepared.lines,
+      );
+      if (result.added === 0) {
+        throw new Error("Could not add these items to your cart.");
+      }
+      if (result.cartId) {
+        navigation.navigate("Checkout", { cartId: result.cartId });
+      } else {
+        navigation.navigate("MainTabs", { screen: "Cart" });
+      }
+    } catch (error) {
+      Alert.alert("Reorder failed", error?.message || "Please try again.");
+    } finally {
+      setReordering(false);
+    }
+  };
+
+  const openIssueReport = () => {
+    const source = order?.raw || {};
+    navigation.navigate("OrderIssue", {
+      orderId: order?.id,
+      items: toIssueItems(source.order_items || source.items),
+      orderTotal: order?.totalAmount,
+    });
+  };
+
   const normalizedStatusText = String(order?.status || "").toLowerCase();
   const isCancelledStatus =
     String(routeStatusHint).toLowerCase().includes("cancel") ||
@@ -335,6 +395,34 @@ const PastOrderDetailsScreen = ({ navigation, route }) => {
           </Text>
         </View>
 
+        {order.discountAmount > 0 ? (
+          <View style={styles.discountRow}>
+            <Text style={styles.discountLabel}>
+              {order.promoCode ? `Promo (${order.promoCode})` : "Discount"}
+            </Text>
+            <Text style={styles.discountValue}>
+              - {formatMoney(order.discountAmount)}
+            </Text>
+          </View>
+        ) : null}
+
+        {order.participantShares.length > 0 ? (
+          <View style={styles.splitSection}>
+            <Text style={styles.splitTitle}>Split by person</Text>
+            {order.participantShares.map((entry, index) => (
+              <View key={`${entry.name}-${index}`} style={styles.splitRow}>
+                <Text style={styles.splitName} numberOfLines={1}>
+                  {entry.name}
+                  {entry.isHost ? " (host)" : ""}
+                </Text>
+                <Text style={styles.splitValue}>
+                  {formatMoney(entry.share)}
+                </Text>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
         <View style={styles.divider} />
 
         <View style={styles.itemsSection}>
@@ -362,6 +450,41 @@ const PastOrderDetailsScreen = ({ navigation, route }) => {
             <Text style={styles.noItemsText}>No item details available for this order.</Text>
           )}
         </View>
+
+        {order.items.length > 0 ? (
+          <Pressable
+            onPress={handleReorder}
+            disabled={reordering}
+            style={({ pressed }) => [
+              styles.reorderBtn,
+              (pressed || reordering) && { opacity: 0.7 },
+            ]}
+          >
+            {reordering ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <>
+                <Ionicons name="repeat" size={18} color="#FFFFFF" />
+                <Text style={styles.reorderBtnText}>Reorder</Text>
+              </>
+            )}
+          </Pressable>
+        ) : null}
+
+        {normalizedStatus === "delivered" && order.id ? (
+          <Pressable
+            onPress={openIssueReport}
+            style={({ pressed }) => [
+              styles.issueBtn,
+              pressed && { opacity: 0.7 },
+            ]}
+          >
+            <Ionicons name="alert-circle-outline" size={18} color="#DC2626" />
+            <Text style={styles.issueBtnText}>
+              {t("orderIssue.reportLink")}
+            </Text>
+          </Pressable>
+        ) : null}
       </ScrollView>
     </SafeAreaView>
   );
@@ -506,6 +629,58 @@ const styles = StyleSheet.create({
     letterSpacing: -1,
     color: "#09090B",
   },
+  discountRow: {
+    marginTop: 10,
+    paddingHorizontal: 22,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  discountLabel: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: TEXT_MUTED,
+  },
+  discountValue: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#047857",
+  },
+  splitSection: {
+    marginTop: 18,
+    marginHorizontal: 22,
+    padding: 14,
+    borderRadius: 10,
+    backgroundColor: "#F9FAFB",
+    borderWidth: 1,
+    borderColor: BORDER,
+  },
+  splitTitle: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: TEXT_MUTED,
+    letterSpacing: 0.5,
+    textTransform: "uppercase",
+    marginBottom: 6,
+  },
+  splitRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  splitName: {
+    flex: 1,
+    fontSize: 15,
+    color: TEXT_DARK,
+    fontWeight: "500",
+    marginRight: 10,
+  },
+  splitValue: {
+    fontSize: 15,
+    color: TEXT_DARK,
+    fontWeight: "700",
+  },
   divider: {
     marginTop: 20,
     marginHorizontal: 22,
@@ -560,6 +735,39 @@ const styles = StyleSheet.create({
     color: TEXT_MUTED,
     fontWeight: "500",
   },
+  reorderBtn: {
+    marginTop: 24,
+    marginHorizontal: 22,
+    height: 50,
+    borderRadius: 10,
+    backgroundColor: "#059669",
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+  },
+  reorderBtnText: {
+    fontSize: 16,
+    color: "#FFFFFF",
+    fontWeight: "700",
+  },
+  issueBtn: {
+    marginTop: 12,
+    marginHorizontal: 22,
+    height: 46,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#FECACA",
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+  },
+  issueBtnText: {
+    fontSize: 15,
+    color: "#DC2626",
+    fontWeight: "700",
+  },
 });
 
 export default PastOrderDetailsScreen;
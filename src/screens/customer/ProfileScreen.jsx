@@ -13,18 +13,34 @@ import {
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import { API_BASE_URL } from "../../constants/api";
+import useDietaryPreferences from "../../hooks/useDietaryPreferences";
 import { getAccessToken } from "../../lib/authStorage";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  ALLERGENS,
+  DIETARY_TAGS,
+  getAllergenLabel,
+  getDietaryTagLabel,
+  getSpiceLevelLabel,
+  SPICE_LEVELS,
+} from "../../utils/dietaryTags";
 
 const getProfilePicCacheKey = (userId) =>
   userId ? `@profile_pic:${String(userId)}` : "@profile_pic";
 
+const toggleKey = (list, key) =>
+  list.includes(key) ? list.filter((entry) => entry !== key) : [...list, key];
+
 /* ─────────────────────── PROFILE SCREEN ─────────────────────── */
 
 export default function ProfileScreen({ navigation }) {
   const { user, logout } = useAuth();
+  const { t, locale, locales, setLocale } = useLocale();
+  const { preferences: dietary, savePreferences: saveDietary } =
+    useDietaryPreferences();
   const profilePicCacheKey = getProfilePicCacheKey(user?.id);
   const [profilePic, setProfilePic] = useState(null);
   const [phone, setPhone] = useState(null);
@@ -116,10 +132,10 @@ export default function ProfileScreen({ navigation }) {
   );
 
   const handleLogout = useCallback(() => {
-    Alert.alert("Logout", "Are you sure you want to logout?", [
-      { text: "Cancel", style: "cancel" },
+    Alert.alert(t("profile.logoutTitle"), t("profile.logoutMessage"), [
+      { text: t("common.cancel"), style: "cancel" },
       {
-        text: "Logout",
+        text: t("profile.logout"),
         style: "destructive",
         onPress: async () => {
           setLoggingOut(true);
@@ -131,7 +147,7 @@ export default function ProfileScreen({ navigation }) {
         },
       },
     ]);
-  }, [logout]);
+  }, [logout, t]);
 
   const initial = (user?.name || "U").charAt(0).toUpperCase();
 
@@ -141,7 +157,7 @@ export default function ProfileScreen({ navigation }) {
 
       {/* ── Header ── */}
       <View style={st.header}>
-        <Text style={st.headerTitle}>Profile</Text>
+        <Text style={st.headerTitle}>{t("profile.title")}</Text>
       </View>
 
       <ScrollView
@@ -160,9 +176,11 @@ export default function ProfileScreen({ navigation }) {
             )}
             <View style={st.onlineDot} />
           </View>
-          <Text style={st.userName}>{user?.name || "User"}</Text>
+          <Text style={st.userName}>{user?.name || t("profile.defaultName")}</Text>
           <Text style={st.userSub}>
-            {profileLoading ? "Loading..." : phone || email || "Not provided"}
+            {profileLoading
+              ? t("common.loading")
+              : phone || email || t("common.notProvided")}
           </Text>
           <Pressable
             style={st.editBtn}
@@ -178,7 +196,9 @@ export default function ProfileScreen({ navigation }) {
             }
           >
             <Ionicons name="create-outline" size={16} color="#fff" />
-            <Text style={st.editBtnTxt}>Edit Profile</Text>
+            <Text style={st.editBtnTxt}>
+              {t("profile.editProfile")}
+            </Text>
           </Pressable>
         </View>
 
@@ -189,11 +209,13 @@ export default function ProfileScreen({ navigation }) {
               <Ionicons name="location" size={18} color="#06C168" />
             </View>
             <View style={{ flex: 1 }}>
-              <Text style={st.sectionTitle}>Saved Address</Text>
+              <Text style={st.sectionTitle}>
+                {t("profile.savedAddress")}
+              </Text>
               <Text style={st.sectionSubtitle} numberOfLines={2}>
                 {savedAddress?.address
                   ? `${savedAddress.address}${savedAddress?.city ? `, ${savedAddress.city}` : ""}`
-                  : "Not provided"}
+                  : t("common.notProvided")}
               </Text>
             </View>
             <Pressable
@@ -201,7 +223,7 @@ export default function ProfileScreen({ navigation }) {
               onPress={() => navigation.navigate("EditAddressDetails")}
             >
               <Text style={st.sectionActionTxt}>
-                {savedAddress?.address ? "Change" : "Add"}
+                {savedAddress?.address ? t("common.change") : t("common.add")}
               </Text>
               <Ionicons name="chevron-forward" size={14} color="#06C168" />
             </Pressable>
@@ -214,9 +236,13 @@ export default function ProfileScreen({ navigation }) {
               <Ionicons name="navigate" size={18} color="#06C168" />
             </View>
             <View style={{ flex: 1 }}>
-              <Text style={st.sectionTitle}>Delivery Location</Text>
+              <Text style={st.sectionTitle}>
+                {t("profile.deliveryLocation")}
+              </Text>
               <Text style={st.sectionSubtitle} numberOfLines={2}>
-                {hasDeliveryPin ? "Location pinned" : "Not provided"}
+                {hasDeliveryPin
+                  ? t("profile.locationPinned")
+                  : t("common.notProvided")}
               </Text>
             </View>
             <Pressable
@@ -224,49 +250,194 @@ export default function ProfileScreen({ navigation }) {
               onPress={() => navigation.navigate("AddressPicker")}
             >
               <Text style={st.sectionActionTxt}>
-                {hasDeliveryPin ? "Change" : "Add"}
+                {hasDeliveryPin ? t("common.change") : t("common.add")}
               </Text>
               <Ionicons name="chevron-forward" size={14} color="#06C168" />
             </Pressable>
           </View>
         </View>
 
+        {/* ══════ LANGUAGE ══════ */}
+        <View style={st.sectionCard}>
+          <View style={st.sectionHeader}>
+            <View style={st.sectionIconWrap}>
+              <Ionicons name="language" size={18} color="#06C168" />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={st.sectionTitle}>{t("profile.language")}</Text>
+              <Text style={st.sectionSubtitle}>
+                {t("profile.languageHint")}
+              </Text>
+            </View>
+          </View>
+          <View style={st.languageRow}>
+            {locales.map((entry) => {
+              const selected = entry.code === locale;
+              return (
+                <Pressable
+                  key={entry.code}
+                  style={[st.languageChip, selected && st.languageChipActive]}
+                  onPress={() => setLocale(entry.code)}
+                >
+                  <Text
+                    style={[
+                      st.languageChipTxt,
+                      selected && st.languageChipTxtActive,
+                    ]}
+                  >
+                    {entry.nativeLabel}
+                  </Text>
+                </Pressable>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* ══════ DIETARY PREFERENCES ══════ */}
+        <View style={st.sectionCard}>
+          <View style={st.sectionHeader}>
+            <View style={st.sectionIconWrap}>
+              <Ionicons name="leaf-outline" size={18} color="#06C168" />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text style={st.sectionTitle}>{t("profile.dietary")}</Text>
+              <Text style={st.sectionSubtitle}>
+                {t("profile.dietaryHint")}
+              </Text>
+            </View>
+          </View>
+
+          <Text style={st.dietaryLabel}>{t("profile.dietaryDiets")}</Text>
+          <View style={st.dietaryRow}>
+            {DIETARY_TAGS.map((tag) => {
+              const selected = dietary.diets.includes(tag.key);
+              return (
+                <Pressable
+                  key={tag.key}
+                  style={[st.languageChip, selected && st.languageChipActive]}
+                  onPress={() =>
+                    saveDietary({
+                      ...dietary,
+                      diets: toggleKey(dietary.diets, tag.key),
+                    })
+                  }
+                >
+                  <Text
+                    style={[
+                      st.languageChipTxt,
+                      selected && st.languageChipTxtActive,
+                    ]}
+                  >
+                    {getDietaryTagLabel(tag.key)}
+                  </Text>
+                </Pressable>
+              );
+            })}
+          </View>
+
+          <Text style={st.dietaryLabel}>{t("profile.dietaryAllergens")}</Text>
+          <View style={st.dietaryRow}>
+            {ALLERGENS.map((allergen) => {
+              const selected = dietary.avoidAllergens.includes(allergen.key);
+              return (
+                <Pressable
+                  key={allergen.key}
+                  style={[st.languageChip, selected && st.allergenChipActive]}
+                  onPress={() =>
+                    saveDietary({
+                      ...dietary,
+                      avoidAllergens: toggleKey(
+                        dietary.avoidAllergens,
+                        allergen.key,
+                      ),
+                    })
+                  }
+                >
+                  <Text
+                    style={[
+                      st.languageChipTxt,
+                      selected && st.allergenChipTxtActive,
+                    ]}
+                  >
+                    {getAllergenLabel(allergen.key)}
+                  </Text>
+                </Pressable>
+              );
+            })}
+          </View>
+
+          <Text style={st.dietaryLabel}>{t("profile.dietarySpice")}</Text>
+          <View style={st.dietaryRow}>
+            {[{ value: null, label: t("profile.dietaryAnySpice") }]
+              .concat(
+                SPICE_LEVELS.map(({ value }) => ({
+                  value,
+                  label: getSpiceLevelLabel(value),
+                })),
+              )
+              .map((level) => {
+                const selected = dietary.maxSpiceLevel === level.value;
+                return (
+                  <Pressable
+                    key={String(level.value)}
+                    style={[
+                      st.languageChip,
+                      selected && st.languageChipActive,
+                    ]}
+                    onPress={() =>
+                      saveDietary({ ...dietary, maxSpiceLevel: level.value })
+                    }
+                  >
+                    <Text
+                      style={[
+                        st.languageChipTxt,
+                        selected && st.languageChipTxtActive,
+                      ]}
+                    >
+                      {level.label}
+                    </Text>
+                  </Pressable>
+                );
+              })}
+          </View>
+        </View>
+
         {/* ══════ MENU ITEMS ══════ */}
         <View style={st.menuCard}>
           <MenuItem
             icon="notifications-outline"
-            label="Notifications"
+            label={t("profile.notifications")}
             onPress={() =>
               navigation.navigate("Home", { screen: "Notifications" })
             }
           />
           <MenuItem
             icon="help-circle-outline"
-            label="Help & Support"
+            label={t("profile.helpSupport")}
             onPress={() =>
               navigation.navigate("WebView", {
                 url: "https://jolly-sundae-255ee6.netlify.app/",
-                title: "Help & Support",
+                title: t("profile.helpSupport"),
               })
             }
           />
           <MenuItem
             icon="document-text-outline"
-            label="Terms & Conditions"
+            label={t("profile.terms")}
             onPress={() =>
               navigation.navigate("WebView", {
                 url: "https://cosmic-pika-2ec173.netlify.app",
-                title: "Terms & Conditions",
+                title: t("profile.terms"),
               })
             }
           />
           <MenuItem
             icon="shield-checkmark-outline"
-            label="Privacy Policy"
+            label={t("profile.privacy")}
             onPress={() =>
               navigation.navigate("WebView", {
                 url: "https://mellow-daifuku-051f2e.netlify.app/",
-                title: "Privacy Policy",
+                title: t("profile.privacy"),
               })
             }
           />
@@ -283,12 +454,14 @@ export default function ProfileScreen({ navigation }) {
           ) : (
             <>
               <Ionicons name="log-out-outline" size={20} color="#EF4444" />
-              <Text style={st.logoutTxt}>Logout</Text>
+              <Text style={st.logoutTxt}>{t("profile.logout")}</Text>
             </>
           )}
         </Pressable>
 
-        <Text style={st.version}>Version 1.0.0</Text>
+        <Text style={st.version}>
+          {t("profile.version", { version: "1.0.0" })}
+        </Text>
       </ScrollView>
     </SafeAreaView>
   );
@@ -412,6 +585,37 @@ const st = StyleSheet.create({
     gap: 2,
   },
   sectionActionTxt: { fontSize: 13, fontWeight: "600", color: "#06C168" },
+  languageRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 14,
+  },
+  languageChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#F9FAFB",
+  },
+  languageChipActive: { borderColor: "#06C168", backgroundColor: "#E6F9EE" },
+  languageChipTxt: { fontSize: 13, fontWeight: "600", color: "#374151" },
+  languageChipTxtActive: { color: "#06C168" },
+  dietaryLabel: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#6B7280",
+    marginTop: 14,
+  },
+  dietaryRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 8,
+  },
+  allergenChipActive: { borderColor: "#F59E0B", backgroundColor: "#FEF3C7" },
+  allergenChipTxtActive: { color: "#92400E" },
 
   /* ── menu card ── */
   menuCard: {
@@ -0,0 +1,364 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { addReorderLinesToCart } from "../../services/reorderService";
+import { getFoodSizePrice, REORDER_LINE_STATUS } from "../../utils/reorder";
+
+const GREEN = "#06C168";
+
+const sizeLabel = (food, size) =>
+  size === "large"
+    ? food?.extra_size || "Large"
+    : food?.regular_size || "Regular";
+
+/**
+ * Review step of a reorder, shown when the menu changed since the order was
+ * placed. Clean reorders skip this screen and go straight to checkout.
+ */
+export default function ReorderScreen({ navigation, route }) {
+  const { t, formatCurrency } = useLocale();
+  const restaurant = route?.params?.restaurant || {};
+  const warnings = route?.params?.warnings || [];
+  const lines = useMemo(
+    () => route?.params?.lines || [],
+    [route?.params?.lines],
+  );
+
+  const [substitutes, setSubstitutes] = useState({});
+  const [skipped, setSkipped] = useState({});
+  const [adding, setAdding] = useState(false);
+
+  const finalLines = useMemo(
+    () =>
+      lines
+        .filter((line) => !skipped[line.key])
+        .map((line) => {
+          const substitute = substitutes[line.key];
+          if (line.status !== REORDER_LINE_STATUS.UNAVAILABLE || !substitute) {
+            return line;
+          }
+          return {
+            ...line,
+            name: substitute.name,
+            food: substitute,
+            size: "regular",
+            modifiers: [],
+            unitPrice: getFoodSizePrice(substitute, "regular"),
+            status: REORDER_LINE_STATUS.OK,
+          };
+        })
+        .filter((line) => line.status !== REORDER_LINE_STATUS.UNAVAILABLE),
+    [lines, skipped, substitutes],
+  );
+
+  const total = finalLines.reduce(
+    (sum, line) => sum + line.unitPrice * line.quantity,
+    0,
+  );
+
+  const toggleSubstitute = (lineKey, food) => {
+    setSubstitutes((current) => ({
+      ...current,
+      [lineKey]:
+        String(current[lineKey]?.id) === String(food.id) ? null : food,
+    }));
+  };
+
+  const toggleSkipped = (lineKey) => {
+    setSkipped((current) => ({ ...current, [lineKey]: !current[lineKey] }));
+  };
+
+  const handleAdd = async () => {
+    if (finalLines.length === 0) return;
+    try {
+      setAdding(true);
+      const result = await addReorderLinesToCart(restaurant.id, finalLines);
+      if (result.added === 0) throw new Error(t("reorder.addFailed"));
+      if (result.failed.length > 0) {
+        Alert.alert(
+          t("reorder.partialTitle"),
+          t("reorder.partialBody", { items: result.failed.join(", ") }),
+        );
+      }
+      if (result.cartId) {
+        navigation.replace("Checkout", { cartId: result.cartId });
+      } else {
+        navigation.navigate("MainTabs", { screen: "Cart" });
+      }
+    } catch (err) {
+      Alert.alert(t("common.error"), err?.message || t("reorder.addFailed"));
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const renderChange = (line) => {
+    if (line.status === REORDER_LINE_STATUS.SIZE_CHANGED) {
+      return (
+        <Text style={styles.changeText}>
+          {t("reorder.sizeChanged", {
+            size: sizeLabel(line.food, line.size),
+          })}
+        </Text>
+      );
+    }
+    if (line.status === REORDER_LINE_STATUS.PRICE_CHANGED) {
+      return (
+        <Text style={styles.changeText}>
+          {t("reorder.priceChanged", {
+            from: formatCurrency(line.oldUnitPrice),
+            to: formatCurrency(line.unitPrice),
+          })}
+        </Text>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "left", "right"]}>
+      <View style={styles.header}>
+        <Pressable onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Ionicons name="arrow-back" size={24} color="#111827" />
+        </Pressable>
+        <View style={styles.headerText}>
+          <Text style={styles.headerTitle}>{t("reorder.title")}</Text>
+          <Text style={styles.headerSub} numberOfLines={1}>
+            {restaurant.restaurant_name || ""}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {warnings.map((warning) => (
+          <View key={warning} style={styles.warningCard}>
+            <Ionicons name="alert-circle" size={18} color="#B45309" />
+            <Text style={styles.warningText}>{warning}</Text>
+          </View>
+        ))}
+
+        <Text style={styles.sectionHint}>{t("reorder.reviewHint")}</Text>
+
+        {lines.map((line) => {
+          const unavailable = line.status === REORDER_LINE_STATUS.UNAVAILABLE;
+          const isSkipped = Boolean(skipped[line.key]);
+          const chosen = substitutes[line.key];
+
+          return (
+            <View
+              key={line.key}
+              style={[styles.lineCard, isSkipped && styles.lineCardSkipped]}
+            >
+              <View style={styles.lineRow}>
+                <Text style={styles.lineQty}>{line.quantity}×</Text>
+                <View style={styles.lineBody}>
+                  <Text
+                    style={[
+                      styles.lineName,
+                      unavailable && styles.lineNameUnavailable,
+                    ]}
+                  >
+                    {line.name}
+                  </Text>
+                  {unavailable ? (
+                    <Text style={styles.unavailableText}>
+                      {t("reorder.unavailable")}
+                    </Text>
+                  ) : (
+                    renderChange(line)
+                  )}
+                  {line.droppedModifiers.length > 0 && (
+                    <Text style={styles.changeText}>
+                      {t("reorder.addOnsRemoved", {
+                        names: line.droppedModifiers.join(", "),
+                      })}
+                    </Text>
+                  )}
+                </View>
+                {!unavailable && (
+                  <Text style={styles.linePrice}>
+                    {formatCurrency(line.unitPrice * line.quantity)}
+                  </Text>
+                )}
+              </View>
+
+              {unavailable && line.substitutes.length > 0 && !isSkipped && (
+                <View style={styles.substitutes}>
+                  <Text style={styles.substituteTitle}>
+                    {t("reorder.substituteTitle")}
+                  </Text>
+                  {line.substitutes.map((food) => {
+                    const selected = String(chosen?.id) === String(food.id);
+                    return (
+                      <Pressable
+                        key={food.id}
+                        onPress={() => toggleSubstitute(line.key, food)}
+                        style={[
+                          styles.substituteRow,
+                          selected && styles.substituteRowSelected,
+                        ]}
+                      >
+                        <Ionicons
+                          name={
+                            selected ? "radio-button-on" : "radio-button-off"
+                          }
+                          size={18}
+                          color={selected ? GREEN : "#9CA3AF"}
+                        />
+                        <Text style={styles.substituteName} numberOfLines={1}>
+                          {food.name}
+                        </Text>
+                        <Text style={styles.substitutePrice}>
+                          {formatCurrency(getFoodSizePrice(food, "regular"))}
+                        </Text>
+                      </Pressable>
+                    );
+                  })}
+                </View>
+              )}
+
+              {!unavailable && (
+                <Pressable
+                  onPress={() => toggleSkipped(line.key)}
+                  style={styles.skipBtn}
+                >
+                  <Text style={styles.skipText}>
+                    {isSkipped ? t("reorder.include") : t("reorder.skip")}
+                  </Text>
+                </Pressable>
+              )}
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <View>
+          <Text style={styles.footerLabel}>
+            {t("reorder.itemCount", { count: finalLines.length })}
+          </Text>
+          <Text style={styles.footerTotal}>{formatCurrency(total)}</Text>
+        </View>
+        <Pressable
+          onPress={handleAdd}
+          disabled={adding || finalLines.length === 0}
+          style={[
+            styles.addBtn,
+            (adding || finalLines.length === 0) && styles.addBtnDisabled,
+          ]}
+        >
+          {adding ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.addBtnText}>{t("reorder.addToCart")}</Text>
+          )}
+        </Pressable>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F9FAFB" },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#fff",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E5E7EB",
+  },
+  backBtn: { marginRight: 8 },
+  headerText: { flex: 1 },
+  headerTitle: { fontSize: 18, fontWeight: "800", color: "#111827" },
+  headerSub: { fontSize: 13, color: "#6B7280", marginTop: 2 },
+  scrollContent: { padding: 16, paddingBottom: 32, gap: 12 },
+  warningCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#FEF3C7",
+    borderRadius: 12,
+    padding: 12,
+  },
+  warningText: { flex: 1, fontSize: 13, color: "#92400E", fontWeight: "600" },
+  sectionHint: { fontSize: 13, color: "#6B7280" },
+  lineCard: {
+    backgroundColor: "#fff",
+    borderRadius: 14,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  lineCardSkipped: { opacity: 0.5 },
+  lineRow: { flexDirection: "row", alignItems: "flex-start", gap: 10 },
+  lineQty: { fontSize: 15, fontWeight: "800", color: "#111827" },
+  lineBody: { flex: 1 },
+  lineName: { fontSize: 15, fontWeight: "700", color: "#111827" },
+  lineNameUnavailable: {
+    color: "#9CA3AF",
+    textDecorationLine: "line-through",
+  },
+  unavailableText: {
+    fontSize: 12,
+    color: "#DC2626",
+    fontWeight: "600",
+    marginTop: 2,
+  },
+  changeText: {
+    fontSize: 12,
+    color: "#B45309",
+    fontWeight: "600",
+    marginTop: 2,
+  },
+  linePrice: { fontSize: 14, fontWeight: "700", color: "#111827" },
+  substitutes: { marginTop: 10, gap: 6 },
+  substituteTitle: { fontSize: 12, fontWeight: "700", color: "#6B7280" },
+  substituteRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  substituteRowSelected: { borderColor: GREEN, backgroundColor: "#ECFDF5" },
+  substituteName: { flex: 1, fontSize: 14, color: "#111827" },
+  substitutePrice: { fontSize: 13, fontWeight: "600", color: "#374151" },
+  skipBtn: { alignSelf: "flex-end", marginTop: 8 },
+  skipText: { fontSize: 13, fontWeight: "700", color: GREEN },
+  footer: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderTopColor: "#E5E7EB",
+  },
+  footerLabel: { fontSize: 12, color: "#6B7280" },
+  footerTotal: { fontSize: 18, fontWeight: "800", color: "#111827" },
+  addBtn: {
+    backgroundColor: GREEN,
+    borderRadius: 12,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    minWidth: 140,
+    alignItems: "center",
+  },
+  addBtnDisabled: { opacity: 0.5 },
+  addBtnText: { color: "#fff", fontWeight: "800", fontSize: 15 },
+});
@@ -16,18 +16,33 @@ import {
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import SkeletonBlock from "../../components/common/SkeletonBlock";
 import StaggeredFadeInUp from "../../components/common/StaggeredFadeInUp";
+import DietaryBadges, {
+  DietaryConflictNote,
+} from "../../components/customer/DietaryBadges";
+import ReviewsSection from "../../components/customer/ReviewsSection";
 import { API_BASE_URL } from "../../constants/api";
 import { useLocationContext } from "../../context/LocationContext";
 import useDebounce from "../../hooks/useDebounce";
+import useDietaryPreferences from "../../hooks/useDietaryPreferences";
+import { formatCurrency, translate } from "../../i18n";
 import { getAccessToken } from "../../lib/authStorage";
 import { prefetchImageUrls } from "../../lib/imageCache";
 import { fetchJsonWithCache } from "../../lib/publicDataCache";
 import { formatDistance } from "../../services/restaurantDistanceService";
 import { calculateDistance } from "../../utils/locationUtils";
 import { MetaAnalytics } from "../../services/MetaAnalytics";
+import { createGroupCart } from "../../services/groupCartService";
+import { REVIEW_TARGETS } from "../../services/reviewService";
+import { getDietaryConflicts } from "../../utils/dietaryTags";
+import { normalizeModifierGroups } from "../../utils/foodModifiers";
+import {
+  formatTodayHours,
+  getRestaurantOpenState,
+} from "../../utils/restaurantHours";
 
 const { width: SCREEN_WIDTH } = Dimensions.get("window");
 const CARD_GAP = 12;
@@ -36,18 +51,8 @@ const CARD_WIDTH = (SCREEN_WIDTH - CARD_PADDING * 2 - CARD_GAP) / 2;
 const GREEN = "#06C168";
 const SEARCH_DEBOUNCE_MS = 300;
 
-/** Convert "14:00" or "14:00:00" to "2:00 PM" */
-const formatTime = (t) => {
-  if (!t) return "";
-  const [h, m] = t.split(":");
-  const hour = parseInt(h, 10);
-  const ampm = hour >= 12 ? "PM" : "AM";
-  const h12 = hour % 12 || 12;
-  return `${h12}:${m} ${ampm}`;
-};
-
 const formatPrice = (price) =>
-  price ? `Rs. ${parseFloat(price).toFixed(2)}` : "N/A";
+  price ? formatCurrency(parseFloat(price)) : translate("menu.priceUnknown");
 
 function normalizeFoodsPayload(payload) {
   if (Array.isArray(payload?.foods)) return payload.foods;
@@ -75,6 +80,7 @@ function foodMatchesQuery(food, normalizedQuery) {
 
 export default function RestaurantFoodsScreen({ route, navigation }) {
   const { restaurantId } = route.params;
+  const { t } = useLocale();
   const restaurantCacheKey = `public:restaurant:${restaurantId}`;
   const foodsCacheKey = `public:restaurant:${restaurantId}:foods`;
 
@@ -96,6 +102,8 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
   // Cart
   const [cartCount, setCartCount] = useState(0);
   const [addingToCart, setAddingToCart] = useState(null);
+  const { preferences: dietaryPreferences } = useDietaryPreferences();
+  const [startingGroup, setStartingGroup] = useState(false);
 
   // Distance
   const [restaurantDistance, setRestaurantDistance] = useState(null);
@@ -125,7 +133,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
           );
           const payload = await res.json().catch(() => ({}));
           if (!res.ok) {
-            throw new Error(payload.message || "Restaurant not found");
+            throw new Error(payload.message || t("menu.restaurantNotFound"));
           }
           return payload;
         },
@@ -172,7 +180,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
             const res = await fetch(url, { signal });
             const payload = await res.json().catch(() => ({}));
             if (!res.ok) {
-              throw new Error(payload.message || "Failed to fetch foods");
+              throw new Error(payload.message || t("menu.loadFailed"));
             }
             return payload;
           },
@@ -189,7 +197,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
               const res = await fetch(url, { signal });
               const payload = await res.json().catch(() => ({}));
               if (!res.ok) {
-                throw new Error(payload.message || "Failed to fetch foods");
+                throw new Error(payload.message || t("menu.loadFailed"));
               }
               return payload;
             },
@@ -214,7 +222,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
         throw err;
       }
     },
-    [restaurantId],
+    [restaurantId, t],
   );
 
   // Initial foods load for this restaurant
@@ -257,6 +265,12 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
 
   const normalizedSearchQuery = searchQuery.trim().toLowerCase();
 
+  const openState = useMemo(
+    () => getRestaurantOpenState(restaurant),
+    [restaurant],
+  );
+  const todayHours = useMemo(() => formatTodayHours(restaurant), [restaurant]);
+
   const localFilteredFoods = useMemo(() => {
     if (!normalizedSearchQuery) return allFoodsCache;
 
@@ -380,21 +394,31 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
   const quickAddToCart = async (food) => {
     const token = await getAccessToken();
     if (!token) {
-      Alert.alert("Login required", "Please login to add items to cart");
+      Alert.alert(t("menu.loginRequiredTitle"), t("menu.loginRequiredBody"));
       return;
     }
     const role = await AsyncStorage.getItem("role");
     if (role !== "customer") {
-      Alert.alert("Error", "Only customers can add items to cart");
+      Alert.alert(t("menu.errorTitle"), t("menu.customersOnly"));
       return;
     }
-    if (restaurant?.is_open === false) {
+    if (!openState.isOpen) {
+      const name = restaurant?.restaurant_name || t("menu.thisRestaurant");
       Alert.alert(
-        "Closed",
-        `${restaurant?.restaurant_name || "This restaurant"} is currently closed`,
+        t("menu.closedTitle"),
+        openState.opensAt
+          ? t("menu.closedUntil", { name, opens: openState.label })
+          : t("menu.closedBody", { name }),
       );
       return;
     }
+    // Foods with required add-ons need a choice first; open the detail sheet.
+    if (
+      normalizeModifierGroups(food.modifier_groups).some((g) => g.required)
+    ) {
+      handleFoodPress(food);
+      return;
+    }
     try {
       setAddingToCart(food.id);
       const res = await fetch(`${API_BASE_URL}/cart/add`, {
@@ -411,7 +435,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
         }),
       });
       const data = await res.json().catch(() => ({}));
-      if (!res.ok) throw new Error(data.message || "Failed to add");
+      if (!res.ok) throw new Error(data.message || t("menu.addFailed"));
 
       // Log AddToCart event
       MetaAnalytics.logAddToCart({
@@ -425,12 +449,32 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
       fetchCartCount();
     } catch (err) {
       console.error("Add to cart error:", err);
-      Alert.alert("Error", err.message);
+      Alert.alert(t("menu.errorTitle"), err.message);
     } finally {
       setAddingToCart(null);
     }
   };
 
+  // ─── Group order ───
+  const startGroupOrder = async () => {
+    const role = await AsyncStorage.getItem("role");
+    if (role !== "customer") {
+      Alert.alert(t("menu.loginRequiredTitle"), t("menu.groupLoginBody"));
+      return;
+    }
+    try {
+      setStartingGroup(true);
+      const userName = await AsyncStorage.getItem("userName");
+      const groupCart = await createGroupCart(restaurantId, userName || "");
+      if (!groupCart?.code) throw new Error(t("menu.groupStartFailed"));
+      navigation.navigate("GroupCart", { code: groupCart.code });
+    } catch (err) {
+      Alert.alert(t("menu.errorTitle"), err.message);
+    } finally {
+      setStartingGroup(false);
+    }
+  };
+
   const handleFoodPress = (food) => {
     navigation.navigate("FoodDetail", {
       restaurantId,
@@ -530,6 +574,11 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                 {item.description}
               </Text>
             ) : null}
+            <DietaryBadges food={item} compact style={styles.foodBadges} />
+            <DietaryConflictNote
+              conflicts={getDietaryConflicts(item, dietaryPreferences)}
+              style={styles.foodConflict}
+            />
 
             {/* Price + prep time (same treatment as Home food cards) */}
             <View style={styles.priceRow}>
@@ -550,14 +599,16 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                 )}
               </View>
               <Text style={styles.foodTime}>
-                {item.prep_time ? `Prep ${item.prep_time}` : ""}
+                {item.prep_time
+                  ? t("menu.prepTime", { time: item.prep_time })
+                  : ""}
               </Text>
             </View>
           </View>
         </Pressable>
       </StaggeredFadeInUp>
     ),
-    [restaurantId, addingToCart, navigation],
+    [restaurantId, addingToCart, navigation, dietaryPreferences, t],
   );
 
   // ─── Loading / Error states ───
@@ -615,13 +666,13 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
           <View style={styles.errorIconCircle}>
             <Ionicons name="alert-circle-outline" size={32} color="#EF4444" />
           </View>
-          <Text style={styles.errorTitle}>Something went wrong</Text>
+          <Text style={styles.errorTitle}>{t("menu.genericError")}</Text>
           <Text style={styles.errorMsg}>{error}</Text>
           <Pressable
             onPress={() => navigation.goBack()}
             style={styles.errorBtn}
           >
-            <Text style={styles.errorBtnText}>Go Back</Text>
+            <Text style={styles.errorBtnText}>{t("menu.goBack")}</Text>
           </Pressable>
         </View>
       </SafeAreaView>
@@ -648,7 +699,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
             <TextInput
               value={searchQuery}
               onChangeText={setSearchQuery}
-              placeholder="Search menu items..."
+              placeholder={t("menu.searchPlaceholder")}
               placeholderTextColor="#9CA3AF"
               style={styles.headerSearchInput}
             />
@@ -742,7 +793,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                 <View style={styles.restaurantInfo}>
                   <View style={styles.nameRatingRow}>
                     <Text style={styles.restaurantName} numberOfLines={1}>
-                      {restaurant?.restaurant_name || "Restaurant"}
+                      {restaurant?.restaurant_name || t("menu.restaurant")}
                     </Text>
                     {restaurant?.rating ? (
                       <View style={styles.ratingPill}>
@@ -764,7 +815,9 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                             { color: GREEN, fontWeight: "700" },
                           ]}
                         >
-                          {formatDistance(restaurantDistance)} away
+                          {t("menu.distanceAway", {
+                            distance: formatDistance(restaurantDistance),
+                          })}
                         </Text>
                       </View>
                     )}
@@ -778,17 +831,14 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                         <Text style={styles.metaText}>{restaurant.city}</Text>
                       </View>
                     )}
-                    {restaurant?.opening_time && restaurant?.close_time && (
+                    {!!todayHours && (
                       <View style={styles.metaItem}>
                         <Ionicons
                           name="time-outline"
                           size={13}
                           color="#6B7280"
                         />
-                        <Text style={styles.metaText}>
-                          {formatTime(restaurant.opening_time)} -{" "}
-                          {formatTime(restaurant.close_time)}
-                        </Text>
+                        <Text style={styles.metaText}>{todayHours}</Text>
                       </View>
                     )}
                   </View>
@@ -802,7 +852,7 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
               </View>
 
               {/* Closed banner */}
-              {restaurant?.is_open === false && (
+              {restaurant && !openState.isOpen && (
                 <View style={styles.closedBanner}>
                   <View style={styles.closedIcon}>
                     <Ionicons
@@ -813,12 +863,12 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                   </View>
                   <View style={{ flex: 1 }}>
                     <Text style={styles.closedTitle}>
-                      Restaurant is currently closed
+                      {t("menu.closedBanner")}
                     </Text>
                     <Text style={styles.closedSub}>
-                      {restaurant.opening_time && restaurant.close_time
-                        ? `Open hours: ${formatTime(restaurant.opening_time)} - ${formatTime(restaurant.close_time)}`
-                        : "Check back later"}
+                      {openState.opensAt || openState.closure
+                        ? openState.label
+                        : t("menu.checkBackLater")}
                     </Text>
                   </View>
                 </View>
@@ -827,12 +877,28 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
 
             {/* ── Menu heading ── */}
             <View style={styles.menuRow}>
-              <Text style={styles.menuHeading}>Menu</Text>
+              <Text style={styles.menuHeading}>{t("menu.title")}</Text>
               {searchQuery ? (
                 <Text style={styles.menuCount}>
-                  • {foods.length} result{foods.length !== 1 ? "s" : ""}
+                  • {t("menu.resultCount", { count: foods.length })}
                 </Text>
               ) : null}
+              {openState.isOpen ? (
+                <Pressable
+                  onPress={startGroupOrder}
+                  disabled={startingGroup}
+                  style={styles.groupOrderBtn}
+                >
+                  {startingGroup ? (
+                    <ActivityIndicator size="small" color={GREEN} />
+                  ) : (
+                    <Ionicons name="people-outline" size={15} color={GREEN} />
+                  )}
+                  <Text style={styles.groupOrderText}>
+                    {t("menu.groupOrder")}
+                  </Text>
+                </Pressable>
+              ) : null}
             </View>
 
             {/* Foods loading */}
@@ -866,7 +932,9 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
             {/* Foods error */}
             {foodsError && !foodsLoading && (
               <View style={styles.foodsErrorBox}>
-                <Text style={styles.foodsErrorTitle}>Failed to load menu</Text>
+                <Text style={styles.foodsErrorTitle}>
+                  {t("menu.loadFailed")}
+                </Text>
                 <Text style={styles.foodsErrorMsg}>{foodsError}</Text>
               </View>
             )}
@@ -878,15 +946,24 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
               <View style={styles.emptyIconCircle}>
                 <Ionicons name="fast-food-outline" size={40} color={GREEN} />
               </View>
-              <Text style={styles.emptyTitle}>No items found</Text>
+              <Text style={styles.emptyTitle}>{t("menu.emptyTitle")}</Text>
               <Text style={styles.emptyText}>
                 {searchQuery
-                  ? "Try a different search term"
-                  : "This restaurant hasn't added menu items yet"}
+                  ? t("menu.emptySearch")
+                  : t("menu.emptyMenu")}
               </Text>
             </View>
           ) : null
         }
+        ListFooterComponent={
+          !foodsLoading && !searchQuery ? (
+            <ReviewsSection
+              targetType={REVIEW_TARGETS.RESTAURANT}
+              targetId={restaurantId}
+              style={styles.reviewsSection}
+            />
+          ) : null
+        }
       />
 
       {/* ── Floating cart button ── */}
@@ -909,9 +986,11 @@ export default function RestaurantFoodsScreen({ route, navigation }) {
                 <Ionicons name="cart" size={19} color="#fff" />
               </View>
               <View>
-                <Text style={styles.floatingCartTitle}>View cart</Text>
+                <Text style={styles.floatingCartTitle}>
+                  {t("menu.viewCart")}
+                </Text>
                 <Text style={styles.floatingCartSubtext}>
-                  {cartCount} item{cartCount !== 1 ? "s" : ""} from this restaurant
+                  {t("menu.cartCount", { count: cartCount })}
                 </Text>
               </View>
             </View>
@@ -1216,6 +1295,22 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: "#9CA3AF",
   },
+  groupOrderBtn: {
+    marginLeft: "auto",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: GREEN,
+  },
+  groupOrderText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: GREEN,
+  },
 
   /* ── Foods loading / error ── */
   foodsLoadingWrap: {
@@ -1247,6 +1342,9 @@ const styles = StyleSheet.create({
     padding: CARD_PADDING,
     paddingBottom: 112,
   },
+  reviewsSection: {
+    marginTop: 12,
+  },
   columnWrapper: {
     justifyContent: "space-between",
     marginBottom: CARD_GAP,
@@ -1349,6 +1447,8 @@ const styles = StyleSheet.create({
     lineHeight: 15,
     marginBottom: 4,
   },
+  foodBadges: { marginBottom: 4 },
+  foodConflict: { fontSize: 10, marginBottom: 4 },
   tagsRow: {
     flexDirection: "row",
     flexWrap: "wrap",
@@ -35,17 +35,34 @@ import {
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import FreeMapView from "../../components/maps/FreeMapView";
 import { DriverMapSheetLoadingSkeleton } from "../../components/driver/DriverAppLoadingSkeletons";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
+import PendingSyncBadge from "../../components/driver/PendingSyncBadge";
+import UnreachableCustomerPanel from "../../components/driver/UnreachableCustomerPanel";
+import OrderChatButton from "../../components/common/OrderChatButton";
 import { API_BASE_URL } from "../../constants/api";
+import { DRIVER_QUICK_REPLIES } from "../../services/orderChatService";
 import { getAccessToken } from "../../lib/authStorage";
+import {
+  applyQueuedStatuses,
+  getQueuedDriverActions,
+  submitDriverAction,
+} from "../../services/driverActionQueue";
+import {
+  hasArrivedAtDropoff,
+  UNDELIVERABLE_STATUS,
+} from "../../services/unreachableDeliveryService";
 import {
   approximateDistanceMeters,
   fetchOSRMRoute,
-  fetchOSRMDistanceMeters,
 } from "../../utils/osrmClient";
 import { rateLimitedFetch } from "../../utils/rateLimitedFetch";
+import {
+  getDeliveryPickups,
+  planDeliveryRoute,
+} from "../../utils/routeOptimization";
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get("window");
 
@@ -58,7 +75,6 @@ const CACHE_EXPIRY = 30000; // 30 seconds cache (active deliveries need fresher
 const LIVE_TRACKING_INTERVAL = 3000; // 3 seconds - smooth driver marker updates
 const DATA_REFRESH_THRESHOLD = 100; // Only fetch API data when driver moves 100m+
 const ACTIVE_DELIVERIES_QUERY_KEY = ["driver", "active-deliveries", "snapshot"];
-const ACTIVE_ROUTE_PROFILE = "foot";
 
 // Default driver location (Kinniya, Sri Lanka)
 const DEFAULT_DRIVER_LOCATION = {
@@ -109,18 +125,60 @@ const saveCacheData = async (data) => {
 // ============================================================================
 
 // ============================================================================
-// OSRM DISTANCE CALCULATOR
+// ROUTE PLANNER
 // ============================================================================
 
-const getOSRMDistance = async (lat1, lng1, lat2, lng2) => {
-  const distance = await fetchOSRMDistanceMeters({
-    from: { latitude: lat1, longitude: lng1 },
-    to: { latitude: lat2, longitude: lng2 },
-    profile: ACTIVE_ROUTE_PROFILE,
-    timeoutMs: 9000,
-    retries: 2,
+/**
+ * Pickup/dropoff sequence for the pickups list. Every customer stays after
+ * their own restaurant and promised ETAs are weighed in; the OSRM table is
+ * used when reachable, straight-line distances otherwise.
+ */
+const planPickupRoute = async (driverLoc, pickupsList) => {
+  const plan = await planDeliveryRoute({
+    origin: driverLoc,
+    deliveries: pickupsList,
+  });
+
+  const counters = { pickup: 0, dropoff: 0 };
+  const stops = plan.legs.map(({ stop, arrivalAt, lateMinutes }) => {
+    counters[stop.type] += 1;
+    const place =
+      stop.type === "pickup"
+        ? stop.restaurant || stop.delivery.restaurant
+        : stop.delivery.customer;
+    return {
+      key: stop.id,
+      type: stop.type,
+      deliveryId: stop.deliveryId,
+      label: `${stop.type === "pickup" ? "R" : "C"}${counters[stop.type]}`,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      name: place?.name,
+      address: place?.address,
+      order_number: stop.delivery.order_number,
+      arrivalAt,
+      lateMinutes: Math.round(lateMinutes),
+    };
   });
-  return Number.isFinite(distance) ? distance : null;
+
+  const byDeliveryId = new Map(
+    pickupsList.map((p) => [String(p.delivery_id), p]),
+  );
+  const pickupsFor = (type) =>
+    stops
+      .filter((stop) => stop.type === type)
+      .map((stop) => byDeliveryId.get(stop.deliveryId))
+      .filter(Boolean);
+
+  return {
+    driver_location: driverLoc,
+    stops,
+    optimizedRestaurants: pickupsFor("pickup"),
+    optimizedCustomers: pickupsFor("dropoff"),
+    total_deliveries: pickupsList.length,
+    estimated_minutes: plan.estimatedTime,
+    matrix_source: plan.matrixSource,
+  };
 };
 
 // ============================================================================
@@ -168,18 +226,20 @@ const decodePolyline = (encoded) => {
 
 const PickupCard = ({ pickup, index, isFirst, driverLocation }) => {
   const navigation = useNavigation();
+  const { t } = useLocale();
+  // Multi-restaurant orders list one stop per restaurant.
+  const restaurantStops = getDeliveryPickups(pickup);
 
   const formatDistance = (meters) => {
-    if (!meters) return "Calculating...";
+    if (!meters) return t("activeDeliveries.calculating");
     return meters < 1000
-      ? `${Math.round(meters)}m`
-      : `${(meters / 1000).toFixed(1)}km`;
+      ? t("navigation.meters", { value: Math.round(meters) })
+      : t("navigation.kilometers", { value: (meters / 1000).toFixed(1) });
   };
 
   const formatETA = (seconds) => {
-    if (!seconds) return "Calculating...";
-    const mins = Math.round(seconds / 60);
-    return `~${mins} min${mins !== 1 ? "s" : ""}`;
+    if (!seconds) return t("activeDeliveries.calculating");
+    return t("activeDeliveries.eta", { count: Math.round(seconds / 60) });
   };
 
   const handleNavigate = () => {
@@ -193,34 +253,69 @@ const PickupCard = ({ pickup, index, isFirst, driverLocation }) => {
     <View style={styles.deliveryCard}>
       <View style={styles.cardHeader}>
         <Text style={styles.cardTitle}>
-          {isFirst ? "🎯 Next Pickup" : `Pickup #${index + 1}`}
+          {isFirst
+            ? `🎯 ${t("activeDeliveries.nextPickup")}`
+            : t("activeDeliveries.pickupNumber", { number: index + 1 })}
         </Text>
         {isFirst && (
           <View style={styles.nextBadge}>
-            <Text style={styles.nextBadgeText}>START</Text>
+            <Text style={styles.nextBadgeText}>
+              {t("activeDeliveries.startBadge")}
+            </Text>
           </View>
         )}
       </View>
 
       {/* Restaurant Info */}
-      <View style={styles.stopSection}>
-        <View style={styles.stopIcon}>
-          <Text style={styles.stopEmoji}>🏪</Text>
-        </View>
-        <View style={styles.stopDetails}>
-          <Text style={styles.stopTitle}>
-            {pickup.restaurantname || "Unknown Restaurant"}
-          </Text>
-          <Text style={styles.stopAddress}>
-            {pickup.restaurantaddress || "No address"}
-          </Text>
-          {pickup.restaurantDistance && (
-            <Text style={styles.stopMeta}>
-              📍 {formatDistance(pickup.restaurantDistance)}
+      {restaurantStops.length > 1 ? (
+        restaurantStops.map(({ restaurant, pickedUp }, stopIndex) => (
+          <View
+            key={`${restaurant?.id || restaurant?.restaurant_id || stopIndex}`}
+            style={styles.stopSection}
+          >
+            <View style={styles.stopIcon}>
+              <Text style={styles.stopEmoji}>{pickedUp ? "✅" : "🏪"}</Text>
+            </View>
+            <View style={styles.stopDetails}>
+              <Text style={styles.stopTitle}>
+                {t("basket.driverPickup", {
+                  index: stopIndex + 1,
+                  total: restaurantStops.length,
+                })}
+                {restaurant?.name ||
+                  restaurant?.restaurant_name ||
+                  t("activeDeliveries.unknownRestaurant")}
+              </Text>
+              <Text style={styles.stopAddress}>
+                {restaurant?.address || t("activeDeliveries.noAddress")}
+              </Text>
+              {pickedUp && (
+                <Text style={styles.stopMeta}>{t("basket.collected")}</Text>
+              )}
+            </View>
+          </View>
+        ))
+      ) : (
+        <View style={styles.stopSection}>
+          <View style={styles.stopIcon}>
+            <Text style={styles.stopEmoji}>🏪</Text>
+          </View>
+          <View style={styles.stopDetails}>
+            <Text style={styles.stopTitle}>
+              {pickup.restaurantname ||
+                t("activeDeliveries.unknownRestaurant")}
             </Text>
-          )}
+            <Text style={styles.stopAddress}>
+              {pickup.restaurantaddress || t("activeDeliveries.noAddress")}
+            </Text>
+            {pickup.restaurantDistance && (
+              <Text style={styles.stopMeta}>
+                📍 {formatDistance(pickup.restaurantDistance)}
+              </Text>
+            )}
+          </View>
         </View>
-      </View>
+      )}
 
       {/* Customer Info */}
       <View style={styles.stopSection}>
@@ -228,9 +323,11 @@ const PickupCard = ({ pickup, index, isFirst, driverLocation }) => {
           <Text style={styles.stopEmoji}>📍</Text>
         </View>
         <View style={styles.stopDetails}>
-          <Text style={styles.stopTitle}>{pickup.name || "Customer"}</Text>
+          <Text style={styles.stopTitle}>
+            {pickup.name || t("activeDeliveries.customer")}
+          </Text>
           <Text style={styles.stopAddress}>
-            {pickup.delivery_location || "No address"}
+            {pickup.delivery_location || t("activeDeliveries.noAddress")}
           </Text>
           {pickup.customerDistance && (
             <Text style={styles.stopMeta}>
@@ -240,9 +337,28 @@ const PickupCard = ({ pickup, index, isFirst, driverLocation }) => {
         </View>
       </View>
 
+      <OrderChatButton
+        orderId={pickup.order_id}
+        role="driver"
+        orderStatus={pickup.status}
+        title={pickup.name || t("activeDeliveries.customer")}
+        subtitle={
+          pickup.order_number
+            ? t("orders.orderNumber", { number: pickup.order_number })
+            : ""
+        }
+        quickReplies={DRIVER_QUICK_REPLIES.map((key) =>
+          t(`orderChat.quickReplies.${key}`),
+        )}
+        label={t("activeDeliveries.chatWithCustomer")}
+        style={styles.chatButton}
+      />
+
       {/* Action Button */}
       <TouchableOpacity style={styles.startButton} onPress={handleNavigate}>
-        <Text style={styles.startButtonText}>🚗 Start Delivery</Text>
+        <Text style={styles.startButtonText}>
+          🚗 {t("activeDeliveries.startDelivery")}
+        </Text>
       </TouchableOpacity>
     </View>
   );
@@ -252,14 +368,21 @@ const PickupCard = ({ pickup, index, isFirst, driverLocation }) => {
 // DELIVERY CARD COMPONENT (Matching web version structure)
 // ============================================================================
 
-const DeliveryCard = ({ delivery, index, isFirst, driverLocation }) => {
+const DeliveryCard = ({
+  delivery,
+  index,
+  isFirst,
+  driverLocation,
+  onUndeliverable,
+}) => {
   const navigation = useNavigation();
+  const { t } = useLocale();
 
   const formatDistance = (meters) => {
-    if (!meters) return "Calculating...";
+    if (!meters) return t("activeDeliveries.calculating");
     return meters < 1000
-      ? `${Math.round(meters)}m`
-      : `${(meters / 1000).toFixed(1)}km`;
+      ? t("navigation.meters", { value: Math.round(meters) })
+      : t("navigation.kilometers", { value: (meters / 1000).toFixed(1) });
   };
 
   const handleNavigate = () => {
@@ -273,11 +396,15 @@ const DeliveryCard = ({ delivery, index, isFirst, driverLocation }) => {
     <View style={styles.deliveryCard}>
       <View style={styles.cardHeader}>
         <Text style={styles.cardTitle}>
-          {isFirst ? "🎯 Next Delivery" : `Delivery #${index + 1}`}
+          {isFirst
+            ? `🎯 ${t("activeDeliveries.nextDelivery")}`
+            : t("activeDeliveries.deliveryNumber", { number: index + 1 })}
         </Text>
         {isFirst && (
           <View style={styles.nextBadge}>
-            <Text style={styles.nextBadgeText}>START</Text>
+            <Text style={styles.nextBadgeText}>
+              {t("activeDeliveries.startBadge")}
+            </Text>
           </View>
         )}
       </View>
@@ -288,9 +415,11 @@ const DeliveryCard = ({ delivery, index, isFirst, driverLocation }) => {
           <Text style={styles.stopEmoji}>🏠</Text>
         </View>
         <View style={styles.stopDetails}>
-          <Text style={styles.stopTitle}>{delivery.name || "Customer"}</Text>
+          <Text style={styles.stopTitle}>
+            {delivery.name || t("activeDeliveries.customer")}
+          </Text>
           <Text style={styles.stopAddress}>
-            {delivery.delivery_location || "No address"}
+            {delivery.delivery_location || t("activeDeliveries.noAddress")}
           </Text>
           {delivery.customerDistance && (
             <Text style={styles.stopMeta}>
@@ -300,10 +429,37 @@ const DeliveryCard = ({ delivery, index, isFirst, driverLocation }) => {
         </View>
       </View>
 
+      <OrderChatButton
+        orderId={delivery.order_id}
+        role="driver"
+        orderStatus={delivery.status}
+        title={delivery.name || t("activeDeliveries.customer")}
+        subtitle={
+          delivery.order_number
+            ? t("orders.orderNumber", { number: delivery.order_number })
+            : ""
+        }
+        quickReplies={DRIVER_QUICK_REPLIES.map((key) =>
+          t(`orderChat.quickReplies.${key}`),
+        )}
+        label={t("activeDeliveries.chatWithCustomer")}
+        style={styles.chatButton}
+      />
+
       {/* Action Button */}
       <TouchableOpacity style={styles.startButton} onPress={handleNavigate}>
-        <Text style={styles.startButtonText}>🚗 Deliver Now</Text>
+        <Text style={styles.startButtonText}>
+          🚗 {t("activeDeliveries.deliverNow")}
+        </Text>
       </TouchableOpacity>
+
+      {isFirst && hasArrivedAtDropoff(delivery, driverLocation) && (
+        <UnreachableCustomerPanel
+          delivery={delivery}
+          driverLocation={driverLocation}
+          onUndeliverable={onUndeliverable}
+        />
+      )}
     </View>
   );
 };
@@ -316,6 +472,7 @@ export default function ActiveDeliveriesScreen({ navigation }) {
   const isFocused = useIsFocused();
   const queryClient = useQueryClient();
   const { logout } = useAuth();
+  const { t } = useLocale();
   const isFocusedRef = useRef(true);
 
   useEffect(() => {
@@ -551,7 +708,13 @@ export default function ActiveDeliveriesScreen({ navigation }) {
       if (res.ok) {
         setHasFetchedSuccessfully(true);
         setFetchError(null);
-        const list = data.pickups || [];
+        // Pickups already marked picked up offline stay out of the list.
+        const list = applyQueuedStatuses(
+          data.pickups || [],
+          await getQueuedDriverActions(),
+        ).filter(
+          (p) => !["picked_up", "on_the_way", "delivered"].includes(p.status),
+        );
         setPickups(list);
 
         if (list.length > 0) {
@@ -594,14 +757,18 @@ export default function ActiveDeliveriesScreen({ navigation }) {
           data.error || data.message || `HTTP ${res.status}: ${res.statusText}`;
         console.error("Failed to fetch pickups:", errorMsg, data);
         if (!isBackgroundRefresh && !hasFetchedSuccessfully) {
-          setFetchError(`Failed to load pickups: ${errorMsg}`);
+          setFetchError(
+            t("activeDeliveries.errors.loadPickups", { message: errorMsg }),
+          );
         }
       }
     } catch (e) {
       console.error("Fetch pickups error:", e);
       if (!isBackgroundRefresh && !hasFetchedSuccessfully) {
         setFetchError(
-          `Network error: ${e.message || "Unable to connect to server"}`,
+          t("activeDeliveries.errors.network", {
+            message: e.message || t("activeDeliveries.errors.unreachable"),
+          }),
         );
       }
     } finally {
@@ -638,15 +805,19 @@ export default function ActiveDeliveriesScreen({ navigation }) {
 
   // Build route data from pickups when full-route endpoint isn't available
   const buildRouteFromPickups = (location, pickupsList) => {
-    const restaurants = pickupsList.map((p, idx) => ({
-      id: p.delivery_id,
-      order_number: p.order_number,
-      lat: parseFloat(p.restaurant.latitude),
-      lng: parseFloat(p.restaurant.longitude),
-      name: p.restaurant.name,
-      address: p.restaurant.address,
-      label: `R${idx + 1}`,
-    }));
+    const restaurants = pickupsList
+      .flatMap((p) =>
+        getDeliveryPickups(p).map(({ restaurant }) => ({ p, restaurant })),
+      )
+      .map(({ p, restaurant }, idx) => ({
+        id: p.delivery_id,
+        order_number: p.order_number,
+        lat: parseFloat(restaurant.latitude),
+        lng: parseFloat(restaurant.longitude),
+        name: restaurant.name || restaurant.restaurant_name,
+        address: restaurant.address,
+        label: `R${idx + 1}`,
+      }));
 
     const customers = pickupsList.map((p, idx) => ({
       id: p.delivery_id,
@@ -682,7 +853,13 @@ export default function ActiveDeliveriesScreen({ navigation }) {
       if (res.ok) {
         setHasFetchedSuccessfully(true);
         setFetchError(null);
-        const list = data.deliveries || [];
+        const list = applyQueuedStatuses(
+          data.deliveries || [],
+          await getQueuedDriverActions(),
+        ).filter(
+          (d) =>
+            d.status !== "delivered" && d.status !== UNDELIVERABLE_STATUS,
+        );
         setDeliveries(list);
         setMode("deliver");
         setPickups([]);
@@ -705,17 +882,13 @@ export default function ActiveDeliveriesScreen({ navigation }) {
         // Auto-set first delivery to on_the_way when starting delivering mode
         if (list.length > 0 && list[0].status === "picked_up") {
           try {
-            await fetch(
-              `${API_BASE_URL}/driver/deliveries/${list[0].delivery_id}/status`,
-              {
-                method: "PATCH",
-                headers: {
-                  "Content-Type": "application/json",
-                  Authorization: `Bearer ${token}`,
-                },
-                body: JSON.stringify({ status: "on_the_way" }),
-              },
-            );
+            // Queued for replay when offline; a rejection surfaces through
+            // the driver action conflict alert.
+            await submitDriverAction({
+              type: "status",
+              deliveryId: list[0].delivery_id,
+              payload: { status: "on_the_way" },
+            });
             // Optimistically reflect status
             setDeliveries((prev) =>
               prev.map((d, i) =>
@@ -731,152 +904,35 @@ export default function ActiveDeliveriesScreen({ navigation }) {
           data.error || data.message || `HTTP ${res.status}: ${res.statusText}`;
         console.error("Failed to fetch deliveries route:", errorMsg, data);
         if (!isBackgroundRefresh && !hasFetchedSuccessfully) {
-          setFetchError(`Failed to load deliveries: ${errorMsg}`);
+          setFetchError(
+            t("activeDeliveries.errors.loadDeliveries", { message: errorMsg }),
+          );
         }
       }
     } catch (e) {
       console.error("Fetch deliveries route error:", e);
       if (!isBackgroundRefresh && !hasFetchedSuccessfully) {
         setFetchError(
-          `Network error: ${e.message || "Unable to connect to server"}`,
+          t("activeDeliveries.errors.network", {
+            message: e.message || t("activeDeliveries.errors.unreachable"),
+          }),
         );
       }
     }
   };
 
   // ============================================================================
-  // ROUTE OPTIMIZATION (Using OSRM for real driving distances)
+  // ROUTE OPTIMIZATION (pickup-before-dropoff, OSRM travel times)
   // ============================================================================
 
-  const getOptimizedRestaurantOrderByShortest = async (
-    pickupsList,
-    driverLoc,
-  ) => {
-    if (pickupsList.length <= 1) return pickupsList;
-
-    console.log(
-      `📍 [SMART ROUTE] Analyzing ${pickupsList.length} deliveries via OSRM...`,
-    );
-
-    const enriched = await Promise.all(
-      pickupsList.map(async (pickup) => {
-        const [distToCustomer, distFromDriver] = await Promise.all([
-          getOSRMDistance(
-            parseFloat(pickup.restaurant.latitude),
-            parseFloat(pickup.restaurant.longitude),
-            parseFloat(pickup.customer.latitude),
-            parseFloat(pickup.customer.longitude),
-          ),
-          getOSRMDistance(
-            driverLoc.latitude,
-            driverLoc.longitude,
-            parseFloat(pickup.restaurant.latitude),
-            parseFloat(pickup.restaurant.longitude),
-          ),
-        ]);
-
-        return {
-          ...pickup,
-          distToOwnCustomer: distToCustomer ?? Infinity,
-          distFromDriver: distFromDriver ?? Infinity,
-        };
-      }),
-    );
-
-    // Sort: restaurant with largest total trip first (far customers first)
-    const sorted = [...enriched].sort((a, b) => {
-      const totalA = a.distFromDriver + a.distToOwnCustomer;
-      const totalB = b.distFromDriver + b.distToOwnCustomer;
-      return totalB - totalA;
-    });
-
-    console.log(`📍 [SMART ROUTE] Pickup order (OSRM):`);
-    sorted.forEach((item, idx) => {
-      console.log(
-        `📍 [SMART ROUTE]   ${idx + 1}. ${item.restaurant.name} → ${item.customer.name} (${(item.distToOwnCustomer / 1000).toFixed(2)} km to customer)`,
-      );
-    });
-
-    return sorted;
-  };
-
-  const getOptimizedCustomerOrderByShortest = async (pickupsList) => {
-    if (pickupsList.length <= 1) return pickupsList;
-
-    const lastRestaurant = pickupsList[pickupsList.length - 1].restaurant;
-    const remaining = [...pickupsList];
-    const ordered = [];
-    let currentLat = parseFloat(lastRestaurant.latitude);
-    let currentLng = parseFloat(lastRestaurant.longitude);
-
-    console.log(
-      `📍 [SMART ROUTE] Delivery order via OSRM (starting from: ${lastRestaurant.name}):`,
-    );
-
-    while (remaining.length > 0) {
-      const distances = await Promise.all(
-        remaining.map(async (pickup) => {
-          const dist = await getOSRMDistance(
-            currentLat,
-            currentLng,
-            parseFloat(pickup.customer.latitude),
-            parseFloat(pickup.customer.longitude),
-          );
-          return dist ?? Infinity;
-        }),
-      );
-
-      let nearestIdx = 0;
-      let nearestDist = distances[0];
-      for (let i = 1; i < distances.length; i++) {
-        if (distances[i] < nearestDist) {
-          nearestDist = distances[i];
-          nearestIdx = i;
-        }
-      }
-
-      const nearest = remaining[nearestIdx];
-      ordered.push(nearest);
-
-      console.log(
-        `📍 [SMART ROUTE]   C${ordered.length}. ${nearest.customer.name} (${(nearestDist / 1000).toFixed(2)} km from current)`,
-      );
-
-      currentLat = parseFloat(nearest.customer.latitude);
-      currentLng = parseFloat(nearest.customer.longitude);
-      remaining.splice(nearestIdx, 1);
-    }
-
-    return ordered;
-  };
-
   const buildOptimizedRoute = async (driverLoc, pickupsList) => {
-    // STEP 1: Optimize restaurant order using OSRM
-    const optimizedRestaurants = await getOptimizedRestaurantOrderByShortest(
-      pickupsList,
-      driverLoc,
-    );
+    const routeData = await planPickupRoute(driverLoc, pickupsList);
 
-    // STEP 2: Optimize customer delivery order using OSRM
-    const optimizedCustomers =
-      await getOptimizedCustomerOrderByShortest(optimizedRestaurants);
-
-    console.log(`📍 [FULL ROUTE] ═══════════════════════════════════════════`);
-    console.log(`📍 [FULL ROUTE] SMART ROUTE OPTIMIZED ORDER:`);
-    console.log(
-      `📍 [FULL ROUTE]   Restaurants: ${optimizedRestaurants.map((p) => p.restaurant.name).join(" → ")}`,
-    );
     console.log(
-      `📍 [FULL ROUTE]   Customers: ${optimizedCustomers.map((p) => p.customer.name).join(" → ")}`,
+      `📍 [FULL ROUTE] Optimized order (${routeData.matrix_source}): ${routeData.stops.map((stop) => stop.label).join(" → ")}`,
     );
-    console.log(`📍 [FULL ROUTE] ═══════════════════════════════════════════`);
 
-    return {
-      driver_location: driverLoc,
-      optimizedRestaurants,
-      optimizedCustomers,
-      total_deliveries: pickupsList.length,
-    };
+    return routeData;
   };
 
   // ============================================================================
@@ -886,7 +942,7 @@ export default function ActiveDeliveriesScreen({ navigation }) {
   const handlePrimaryAction = () => {
     if (mode === "pickup") {
       if (pickups.length === 0) {
-        showToast("No pickups available", "error");
+        showToast(t("activeDeliveries.noPickups"), "error");
         return;
       }
       navigation.navigate("DriverMap", {
@@ -897,7 +953,7 @@ export default function ActiveDeliveriesScreen({ navigation }) {
     }
     if (mode === "deliver") {
       if (deliveries.length === 0) {
-        showToast("No deliveries available", "error");
+        showToast(t("activeDeliveries.noDeliveries"), "error");
         return;
       }
       navigation.navigate("DriverMap", {
@@ -942,6 +998,13 @@ export default function ActiveDeliveriesScreen({ navigation }) {
     ]).start(() => setToast(null));
   };
 
+  const handleUndeliverable = (delivery) => {
+    setDeliveries((prev) =>
+      prev.filter((d) => d.delivery_id !== delivery.delivery_id),
+    );
+    showToast(t("unreachable.sentToOperations"));
+  };
+
   // ============================================================================
   // RENDER
   // ============================================================================
@@ -979,7 +1042,9 @@ export default function ActiveDeliveriesScreen({ navigation }) {
           <View style={styles.headerContent}>
             <View style={styles.headerLeft}>
               <View style={styles.headerTitleRow}>
-                <Text style={styles.headerTitle}>Active Deliveries</Text>
+                <Text style={styles.headerTitle}>
+                  {t("activeDeliveries.title")}
+                </Text>
                 {isRefreshing && (
                   <View style={styles.headerSpinner}>
                     <ActivityIndicator size="small" color="#06C168" />
@@ -988,20 +1053,32 @@ export default function ActiveDeliveriesScreen({ navigation }) {
               </View>
               <Text style={styles.headerSubtitle}>
                 {mode === "pickup"
-                  ? `${pickups.length} pickup${pickups.length !== 1 ? "s" : ""} ready`
-                  : `${deliveries.length} deliver${deliveries.length !== 1 ? "ies" : "y"} ready`}
+                  ? t("activeDeliveries.pickupsReady", {
+                      count: pickups.length,
+                    })
+                  : t("activeDeliveries.deliveriesReady", {
+                      count: deliveries.length,
+                    })}
               </Text>
               <Text style={styles.modeLabel}>
-                Mode: {mode === "pickup" ? "Pick-up" : "Delivering"}
+                {t("activeDeliveries.mode", {
+                  mode:
+                    mode === "pickup"
+                      ? t("activeDeliveries.modes.pickup")
+                      : t("activeDeliveries.modes.deliver"),
+                })}
               </Text>
             </View>
             <Pressable
               style={styles.availableBtn}
               onPress={() => navigation.navigate("Available")}
             >
-              <Text style={styles.availableBtnText}>Available</Text>
+              <Text style={styles.availableBtnText}>
+                {t("activeDeliveries.available")}
+              </Text>
             </Pressable>
           </View>
+          <PendingSyncBadge style={styles.pendingSyncBadge} />
         </SafeAreaView>
       </DriverScreenSection>
 
@@ -1016,10 +1093,12 @@ export default function ActiveDeliveriesScreen({ navigation }) {
         ) : fetchError ? (
           <View style={styles.errorContainer}>
             <Text style={styles.errorIcon}>⚠️</Text>
-            <Text style={styles.errorTitle}>Connection Error</Text>
+            <Text style={styles.errorTitle}>
+              {t("activeDeliveries.connectionError")}
+            </Text>
             <Text style={styles.errorMessage}>{fetchError}</Text>
             <Text style={styles.errorHint}>
-              Please check your internet connection and try again
+              {t("activeDeliveries.checkConnection")}
             </Text>
             <Pressable
               style={styles.retryBtn}
@@ -1030,26 +1109,28 @@ export default function ActiveDeliveriesScreen({ navigation }) {
               }}
             >
               <Text style={styles.retryBtnIcon}>🔄</Text>
-              <Text style={styles.retryBtnText}>Retry</Text>
+              <Text style={styles.retryBtnText}>{t("common.retry")}</Text>
             </Pressable>
           </View>
         ) : !hasActiveDeliveries ? (
           <View style={styles.emptyContainer}>
             <Text style={styles.emptyIcon}>📦</Text>
             <Text style={styles.emptyTitle}>
-              {mode === "pickup" ? "No Active Pickups" : "No Active Deliveries"}
+              {mode === "pickup"
+                ? t("activeDeliveries.empty.pickupsTitle")
+                : t("activeDeliveries.empty.deliveriesTitle")}
             </Text>
             <Text style={styles.emptySubtitle}>
               {mode === "pickup"
-                ? "Accept deliveries to start picking up orders"
-                : "Pick up orders to start delivering to customers"}
+                ? t("activeDeliveries.empty.pickupsBody")
+                : t("activeDeliveries.empty.deliveriesBody")}
             </Text>
             <Pressable
               style={styles.findDeliveriesBtn}
               onPress={() => navigation.navigate("Available")}
             >
               <Text style={styles.findDeliveriesBtnText}>
-                View Available Deliveries
+                {t("activeDeliveries.empty.viewAvailable")}
               </Text>
             </Pressable>
           </View>
@@ -1091,6 +1172,7 @@ export default function ActiveDeliveriesScreen({ navigation }) {
                     index={idx}
                     isFirst={idx === 0}
                     driverLocation={driverLocation}
+                    onUndeliverable={handleUndeliverable}
                   />
                 ))}
               </View>
@@ -1113,7 +1195,9 @@ export default function ActiveDeliveriesScreen({ navigation }) {
             <Pressable style={styles.startBtn} onPress={handlePrimaryAction}>
               <Text style={styles.startBtnIcon}>📍</Text>
               <Text style={styles.startBtnText}>
-                {mode === "pickup" ? "START PICK-UP" : "START DELIVERY"}
+                {mode === "pickup"
+                  ? t("activeDeliveries.startPickup")
+                  : t("activeDeliveries.startDelivering")}
               </Text>
             </Pressable>
           </SafeAreaView>
@@ -1128,12 +1212,17 @@ export default function ActiveDeliveriesScreen({ navigation }) {
 // ============================================================================
 
 function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
+  const { t, formatTime } = useLocale();
   const mapRef = useRef(null);
   const [routeInfo, setRouteInfo] = useState(null);
   const [routePath, setRoutePath] = useState([]);
-  const [optimizedRestaurantOrder, setOptimizedRestaurantOrder] = useState([]);
-  const [optimizedCustomerOrder, setOptimizedCustomerOrder] = useState([]);
+  const [routeStops, setRouteStops] = useState([]);
   const hasFetchedDirections = useRef(false);
+  const restaurantStopCount = pickups.reduce(
+    (count, delivery) =>
+      count + Math.max(1, getDeliveryPickups(delivery).length),
+    0,
+  );
 
   // Calculate all coordinates for map fitting
   const allCoordinates = useMemo(() => {
@@ -1145,12 +1234,12 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
       });
     }
     pickups.forEach((p) => {
-      if (p.restaurant) {
+      getDeliveryPickups(p).forEach(({ restaurant }) => {
         coords.push({
-          latitude: parseFloat(p.restaurant.latitude),
-          longitude: parseFloat(p.restaurant.longitude),
+          latitude: parseFloat(restaurant.latitude),
+          longitude: parseFloat(restaurant.longitude),
         });
-      }
+      });
       if (p.customer) {
         coords.push({
           latitude: parseFloat(p.customer.latitude),
@@ -1175,135 +1264,33 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
     return { latitude: avgLat, longitude: avgLng };
   };
 
-  // Optimize routes using OSRM (matching web version)
+  // Plan the pickup/dropoff sequence, reusing the screen's plan when it
+  // covers the same deliveries.
   const optimizeRoutes = useCallback(async () => {
     if (hasFetchedDirections.current) return;
     if (!driverLocation || pickups.length === 0) return;
 
     hasFetchedDirections.current = true;
 
-    // STEP 1: Optimize restaurant order
-    const optimizedRestaurants = await getOptimizedRestaurantOrderByShortest(
-      pickups,
-      driverLocation,
-    );
-    setOptimizedRestaurantOrder(optimizedRestaurants);
-
-    // STEP 2: Optimize customer delivery order
-    const optimizedCustomers =
-      await getOptimizedCustomerOrderByShortest(optimizedRestaurants);
-    setOptimizedCustomerOrder(optimizedCustomers);
-
-    console.log(`📍 [FULL ROUTE] ═══════════════════════════════════════════`);
-    console.log(`📍 [FULL ROUTE] SMART ROUTE OPTIMIZED ORDER:`);
-    console.log(
-      `📍 [FULL ROUTE]   Restaurants: ${optimizedRestaurants.map((p) => p.restaurant.name).join(" → ")}`,
-    );
-    console.log(
-      `📍 [FULL ROUTE]   Customers: ${optimizedCustomers.map((p) => p.customer.name).join(" → ")}`,
-    );
-    console.log(`📍 [FULL ROUTE] ═══════════════════════════════════════════`);
+    const pickupIds = pickups.map((p) => String(p.delivery_id)).sort();
+    const plannedIds = [
+      ...new Set((fullRouteData?.stops || []).map((stop) => stop.deliveryId)),
+    ].sort();
+    const stops =
+      plannedIds.join(",") === pickupIds.join(",")
+        ? fullRouteData.stops
+        : (await planPickupRoute(driverLocation, pickups)).stops;
+    setRouteStops(stops);
 
     // Build waypoints for segment-by-segment routing
     const waypoints = [
       { lat: driverLocation.latitude, lng: driverLocation.longitude },
-      ...optimizedRestaurants.map((p) => ({
-        lat: parseFloat(p.restaurant.latitude),
-        lng: parseFloat(p.restaurant.longitude),
-      })),
-      ...optimizedCustomers.map((p) => ({
-        lat: parseFloat(p.customer.latitude),
-        lng: parseFloat(p.customer.longitude),
-      })),
+      ...stops.map((stop) => ({ lat: stop.latitude, lng: stop.longitude })),
     ];
 
     // Fetch segment-by-segment route (matching web version)
     await fetchSegmentBySegmentRoute(waypoints);
-  }, [driverLocation, pickups]);
-
-  // Optimize restaurant pickup order
-  const getOptimizedRestaurantOrderByShortest = async (
-    pickupsList,
-    driverLoc,
-  ) => {
-    if (pickupsList.length <= 1) return pickupsList;
-
-    const enriched = await Promise.all(
-      pickupsList.map(async (pickup) => {
-        const [distToCustomer, distFromDriver] = await Promise.all([
-          getOSRMDistance(
-            parseFloat(pickup.restaurant.latitude),
-            parseFloat(pickup.restaurant.longitude),
-            parseFloat(pickup.customer.latitude),
-            parseFloat(pickup.customer.longitude),
-          ),
-          getOSRMDistance(
-            driverLoc.latitude,
-            driverLoc.longitude,
-            parseFloat(pickup.restaurant.latitude),
-            parseFloat(pickup.restaurant.longitude),
-          ),
-        ]);
-
-        return {
-          ...pickup,
-          distToOwnCustomer: distToCustomer ?? Infinity,
-          distFromDriver: distFromDriver ?? Infinity,
-        };
-      }),
-    );
-
-    const sorted = [...enriched].sort((a, b) => {
-      const totalA = a.distFromDriver + a.distToOwnCustomer;
-      const totalB = b.distFromDriver + b.distToOwnCustomer;
-      return totalB - totalA;
-    });
-
-    return sorted;
-  };
-
-  // Optimize customer delivery order
-  const getOptimizedCustomerOrderByShortest = async (pickupsList) => {
-    if (pickupsList.length <= 1) return pickupsList;
-
-    const lastRestaurant = pickupsList[pickupsList.length - 1].restaurant;
-    const remaining = [...pickupsList];
-    const ordered = [];
-    let currentLat = parseFloat(lastRestaurant.latitude);
-    let currentLng = parseFloat(lastRestaurant.longitude);
-
-    while (remaining.length > 0) {
-      const distances = await Promise.all(
-        remaining.map(async (pickup) => {
-          const dist = await getOSRMDistance(
-            currentLat,
-            currentLng,
-            parseFloat(pickup.customer.latitude),
-            parseFloat(pickup.customer.longitude),
-          );
-          return dist ?? Infinity;
-        }),
-      );
-
-      let nearestIdx = 0;
-      let nearestDist = distances[0];
-      for (let i = 1; i < distances.length; i++) {
-        if (distances[i] < nearestDist) {
-          nearestDist = distances[i];
-          nearestIdx = i;
-        }
-      }
-
-      const nearest = remaining[nearestIdx];
-      ordered.push(nearest);
-
-      currentLat = parseFloat(nearest.customer.latitude);
-      currentLng = parseFloat(nearest.customer.longitude);
-      remaining.splice(nearestIdx, 1);
-    }
-
-    return ordered;
-  };
+  }, [driverLocation, pickups, fullRouteData]);
 
   // Fetch segment-by-segment route (matching web version exactly)
   const fetchSegmentBySegmentRoute = async (waypoints) => {
@@ -1326,11 +1313,9 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
           const route = await fetchOSRMRoute({
             from: { latitude: from.lat, longitude: from.lng },
             to: { latitude: to.lat, longitude: to.lng },
-            profile: ACTIVE_ROUTE_PROFILE,
             timeoutMs: 9000,
             retries: 2,
             overview: "full",
-            geometries: "geojson",
           });
 
           if (route?.geometry?.coordinates?.length) {
@@ -1374,8 +1359,6 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
         setRouteInfo({
           totalDistance: (totalDistance / 1000).toFixed(2),
           totalDuration: Math.ceil(totalDuration / 60),
-          optimizedRestaurants: optimizedRestaurantOrder,
-          optimizedCustomers: optimizedCustomerOrder,
           selectedMode: "OSRM_DRIVING_SEGMENTS",
         });
 
@@ -1425,11 +1408,6 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
     }
   }, [allCoordinates]);
 
-  const restOrder =
-    optimizedRestaurantOrder.length > 0 ? optimizedRestaurantOrder : pickups;
-  const custOrder =
-    optimizedCustomerOrder.length > 0 ? optimizedCustomerOrder : pickups;
-
   // Open Google Maps with navigation to coordinates
   const openGoogleMaps = (latitude, longitude, label) => {
     const scheme = Platform.select({
@@ -1454,10 +1432,18 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
     <View style={styles.fullRouteCard}>
       {/* Header */}
       <View style={styles.fullRouteHeader}>
-        <Text style={styles.fullRouteTitle}>🗺️ Full Route Overview</Text>
+        <Text style={styles.fullRouteTitle}>
+          🗺️ {t("activeDeliveries.route.title")}
+        </Text>
         <Text style={styles.fullRouteSubtitle}>
-          Driver → {pickups.length} Restaurant{pickups.length > 1 ? "s" : ""} →{" "}
-          {pickups.length} Customer{pickups.length > 1 ? "s" : ""}
+          {t("activeDeliveries.route.summary", {
+            restaurants: t("activeDeliveries.route.restaurantCount", {
+              count: restaurantStopCount,
+            }),
+            customers: t("activeDeliveries.route.customerCount", {
+              count: pickups.length,
+            }),
+          })}
         </Text>
       </View>
 
@@ -1468,17 +1454,25 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
             <Text style={styles.fullRouteStatValue}>
               {routeInfo.totalDistance}
             </Text>
-            <Text style={styles.fullRouteStatLabel}>km Total</Text>
+            <Text style={styles.fullRouteStatLabel}>
+              {t("activeDeliveries.route.kmTotal")}
+            </Text>
           </View>
           <View style={styles.fullRouteStat}>
             <Text style={styles.fullRouteStatValue}>
               {routeInfo.totalDuration}
             </Text>
-            <Text style={styles.fullRouteStatLabel}>min ETA</Text>
+            <Text style={styles.fullRouteStatLabel}>
+              {t("activeDeliveries.route.minEta")}
+            </Text>
           </View>
           <View style={styles.fullRouteStat}>
-            <Text style={styles.fullRouteStatValue}>{pickups.length * 2}</Text>
-            <Text style={styles.fullRouteStatLabel}>Stops</Text>
+            <Text style={styles.fullRouteStatValue}>
+              {restaurantStopCount + pickups.length}
+            </Text>
+            <Text style={styles.fullRouteStatLabel}>
+              {t("activeDeliveries.route.stops")}
+            </Text>
           </View>
         </View>
       )}
@@ -1508,30 +1502,16 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
                   },
                 ]
               : []),
-            ...restOrder
-              .filter((p) => p.restaurant)
-              .map((pickup, idx) => ({
-                id: `r-${pickup.delivery_id}`,
-                coordinate: {
-                  latitude: parseFloat(pickup.restaurant.latitude),
-                  longitude: parseFloat(pickup.restaurant.longitude),
-                },
-                type: "restaurant",
-                emoji: "🏪",
-                title: `R${idx + 1}`,
-              })),
-            ...custOrder
-              .filter((p) => p.customer)
-              .map((pickup, idx) => ({
-                id: `c-${pickup.delivery_id}`,
-                coordinate: {
-                  latitude: parseFloat(pickup.customer.latitude),
-                  longitude: parseFloat(pickup.customer.longitude),
-                },
-                type: "customer",
-                emoji: "📍",
-                title: `C${idx + 1}`,
-              })),
+            ...routeStops.map((stop) => ({
+              id: `${stop.type === "pickup" ? "r" : "c"}-${stop.deliveryId}`,
+              coordinate: {
+                latitude: stop.latitude,
+                longitude: stop.longitude,
+              },
+              type: stop.type === "pickup" ? "restaurant" : "customer",
+              emoji: stop.type === "pickup" ? "🏪" : "📍",
+              title: stop.label,
+            })),
           ]}
           polylines={
             routePath.length > 1
@@ -1549,133 +1529,118 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
       </View>
 
       {/* Start Navigation Button */}
-      {restOrder.length > 0 && (
+      {routeStops.length > 0 && (
         <View style={styles.startNavigationContainer}>
           <Pressable
             style={styles.startNavigationBtn}
             onPress={() => {
-              const firstStop = restOrder[0];
+              const firstStop = routeStops[0];
               openGoogleMaps(
-                parseFloat(firstStop.restaurant.latitude),
-                parseFloat(firstStop.restaurant.longitude),
-                firstStop.restaurant.name,
+                firstStop.latitude,
+                firstStop.longitude,
+                firstStop.name,
               );
             }}
           >
             <Text style={styles.startNavigationIcon}>🧭</Text>
             <Text style={styles.startNavigationText}>
-              Start Navigation to First Stop
+              {t("activeDeliveries.route.startNavigation")}
             </Text>
           </Pressable>
         </View>
       )}
 
       {/* Ordered Stops List (matching web version) */}
-      {routeInfo &&
-        routeInfo.optimizedRestaurants &&
-        routeInfo.optimizedCustomers && (
-          <View style={styles.stopsContainer}>
-            <Text style={styles.stopsTitle}>📋 Ordered Stops</Text>
-
-            {/* Driver Starting Point */}
-            <View style={[styles.stopItem, styles.stopItemDriver]}>
-              <View
-                style={[
-                  styles.stopMarker,
-                  { backgroundColor: MARKER_COLORS.driver },
-                ]}
-              >
-                <Text style={styles.stopMarkerText}>D</Text>
-              </View>
-              <View style={styles.stopContent}>
-                <Text style={styles.stopName}>
-                  Your Location (Starting Point)
-                </Text>
-                <Text style={styles.stopAddress}>Driver Position</Text>
-              </View>
-            </View>
+      {routeInfo && routeStops.length > 0 && (
+        <View style={styles.stopsContainer}>
+          <Text style={styles.stopsTitle}>
+            📋 {t("activeDeliveries.route.orderedStops")}
+          </Text>
 
-            {/* Restaurant Pickups */}
-            {routeInfo.optimizedRestaurants.map((pickup, idx) => (
-              <View
-                key={`stop-r-${idx}`}
-                style={[styles.stopItem, styles.stopItemRestaurant]}
-              >
-                <View
-                  style={[
-                    styles.stopMarker,
-                    { backgroundColor: MARKER_COLORS.restaurant },
-                  ]}
-                >
-                  <Text style={styles.stopMarkerText}>R{idx + 1}</Text>
-                </View>
-                <View style={styles.stopContent}>
-                  <Text style={styles.stopName}>
-                    🍽️ {pickup.restaurant?.name}
-                  </Text>
-                  <Text style={styles.stopAddress}>
-                    {pickup.restaurant?.address}
-                  </Text>
-                  <Text style={styles.stopOrder}>
-                    Order #{pickup.order_number}
-                  </Text>
-                </View>
-                <Pressable
-                  style={styles.navigateBtn}
-                  onPress={() =>
-                    openGoogleMaps(
-                      parseFloat(pickup.restaurant.latitude),
-                      parseFloat(pickup.restaurant.longitude),
-                      pickup.restaurant.name,
-                    )
-                  }
-                >
-                  <Text style={styles.navigateBtnIcon}>🧭</Text>
-                </Pressable>
-              </View>
-            ))}
+          {/* Driver Starting Point */}
+          <View style={[styles.stopItem, styles.stopItemDriver]}>
+            <View
+              style={[
+                styles.stopMarker,
+                { backgroundColor: MARKER_COLORS.driver },
+              ]}
+            >
+              <Text style={styles.stopMarkerText}>D</Text>
+            </View>
+            <View style={styles.stopContent}>
+              <Text style={styles.stopName}>
+                {t("activeDeliveries.route.startingPoint")}
+              </Text>
+              <Text style={styles.stopAddress}>
+                {t("activeDeliveries.route.driverPosition")}
+              </Text>
+            </View>
+          </View>
 
-            {/* Customer Deliveries */}
-            {routeInfo.optimizedCustomers.map((pickup, idx) => (
+          {/* Pickups and drop-offs in driving order */}
+          {routeStops.map((stop) => {
+            const isPickup = stop.type === "pickup";
+            return (
               <View
-                key={`stop-c-${idx}`}
-                style={[styles.stopItem, styles.stopItemCustomer]}
+                key={`stop-${stop.key}`}
+                style={[
+                  styles.stopItem,
+                  isPickup
+                    ? styles.stopItemRestaurant
+                    : styles.stopItemCustomer,
+                ]}
               >
                 <View
                   style={[
                     styles.stopMarker,
-                    { backgroundColor: MARKER_COLORS.customer },
+                    {
+                      backgroundColor: isPickup
+                        ? MARKER_COLORS.restaurant
+                        : MARKER_COLORS.customer,
+                    },
                   ]}
                 >
-                  <Text style={styles.stopMarkerText}>C{idx + 1}</Text>
+                  <Text style={styles.stopMarkerText}>{stop.label}</Text>
                 </View>
                 <View style={styles.stopContent}>
                   <Text style={styles.stopName}>
-                    👤 {pickup.customer?.name}
-                  </Text>
-                  <Text style={styles.stopAddress}>
-                    {pickup.customer?.address}
+                    {isPickup ? "🍽️" : "👤"} {stop.name}
                   </Text>
+                  <Text style={styles.stopAddress}>{stop.address}</Text>
                   <Text style={styles.stopOrder}>
-                    Order #{pickup.order_number}
+                    {t(
+                      isPickup
+                        ? "activeDeliveries.route.pickupOrder"
+                        : "activeDeliveries.route.deliverOrder",
+                      { number: stop.order_number },
+                    )}
+                    {stop.arrivalAt
+                      ? ` · ${t("activeDeliveries.route.eta", {
+                          time: formatTime(stop.arrivalAt),
+                        })}`
+                      : ""}
                   </Text>
+                  {stop.lateMinutes > 0 && (
+                    <Text style={styles.stopLate}>
+                      {t("activeDeliveries.route.late", {
+                        count: stop.lateMinutes,
+                      })}
+                    </Text>
+                  )}
                 </View>
                 <Pressable
                   style={styles.navigateBtn}
                   onPress={() =>
-                    openGoogleMaps(
-                      parseFloat(pickup.customer.latitude),
-                      parseFloat(pickup.customer.longitude),
-                      pickup.customer.name,
-                    )
+                    openGoogleMaps(stop.latitude, stop.longitude, stop.name)
                   }
                 >
                   <Text style={styles.navigateBtnIcon}>🧭</Text>
                 </Pressable>
               </View>
-            ))}
-          </View>
-        )}
+            );
+          })}
+        </View>
+      )}
 
       {/* Legend (matching web version) */}
       <View style={styles.legend}>
@@ -1686,7 +1651,9 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
               { backgroundColor: MARKER_COLORS.driver },
             ]}
           />
-          <Text style={styles.legendText}>Driver (D)</Text>
+          <Text style={styles.legendText}>
+            {t("activeDeliveries.route.legendDriver")}
+          </Text>
         </View>
         <View style={styles.legendItem}>
           <View
@@ -1695,7 +1662,9 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
               { backgroundColor: MARKER_COLORS.restaurant },
             ]}
           />
-          <Text style={styles.legendText}>Restaurant (R)</Text>
+          <Text style={styles.legendText}>
+            {t("activeDeliveries.route.legendRestaurant")}
+          </Text>
         </View>
         <View style={styles.legendItem}>
           <View
@@ -1704,7 +1673,9 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
               { backgroundColor: MARKER_COLORS.customer },
             ]}
           />
-          <Text style={styles.legendText}>Customer (C)</Text>
+          <Text style={styles.legendText}>
+            {t("activeDeliveries.route.legendCustomer")}
+          </Text>
         </View>
         <View style={styles.legendItem}>
           <View
@@ -1713,7 +1684,9 @@ function FullRouteMap({ driverLocation, pickups, fullRouteData }) {
               { backgroundColor: MARKER_COLORS.route },
             ]}
           />
-          <Text style={styles.legendText}>Route Path</Text>
+          <Text style={styles.legendText}>
+            {t("activeDeliveries.route.legendRoute")}
+          </Text>
         </View>
       </View>
     </View>
@@ -1855,6 +1828,10 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingVertical: 12,
   },
+  pendingSyncBadge: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
   headerLeft: {
     flex: 1,
   },
@@ -2150,6 +2127,12 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     marginTop: 4,
   },
+  stopLate: {
+    fontSize: 12,
+    color: "#DC2626",
+    fontWeight: "600",
+    marginTop: 2,
+  },
   navigateBtn: {
     width: 44,
     height: 44,
@@ -2394,6 +2377,10 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: "#9CA3AF",
   },
+  chatButton: {
+    marginTop: 4,
+    marginBottom: 6,
+  },
   startButton: {
     backgroundColor: "#06C168",
     borderRadius: 12,
@@ -6,6 +6,7 @@
  * - Route polylines (driver → restaurant → customer)
  * - Curved dashed lines for stacked deliveries
  * - Accept/Decline functionality
+ * - Timed offers: countdown ring per card, auto-decline on expiry
  * - Stacked delivery bonuses & tips
  * - Real-time updates via WebSocket
  * - Location tracking every 3 seconds
@@ -39,14 +40,24 @@ import {
 } from "react-native";
 import * as Clipboard from "expo-clipboard";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import FreeMapView from "../../components/maps/FreeMapView";
 import { DriverMapSheetLoadingSkeleton } from "../../components/driver/DriverAppLoadingSkeletons";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
+import OfferCountdownRing from "../../components/driver/OfferCountdownRing";
 import { API_BASE_URL } from "../../constants/api";
+import { submitDriverAction } from "../../services/driverActionQueue";
+import {
+  expireOffer,
+  getOfferTimeoutMs,
+  recordOfferOutcome,
+  trackOffers,
+} from "../../services/deliveryOfferService";
 import { useDriverDeliveryNotifications } from "../../context/DriverDeliveryNotificationContext";
 import { useSocket } from "../../context/SocketContext";
 import { approximateDistanceMeters } from "../../utils/osrmClient";
 import { rateLimitedFetch } from "../../utils/rateLimitedFetch";
+import { isScheduledOrderReleased } from "../../utils/deliverySchedule";
 import {
   DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY,
   buildDriverScopedCacheKey,
@@ -70,7 +81,7 @@ const LOCATION_MAX_RETRIES = 3;
 const LOCATION_RETRY_DELAY_MS = 1200;
 const DRIVER_DELIVERY_ACTION_EVENT = "driver:delivery_notification_action";
 const DELIVERY_COMPLETED_RECALCULATE_REASON = "delivery_completed_recalculate";
-const ACTIVE_DELIVERY_BLOCK_MESSAGE = "Complete your picked up delivery first.";
+const ACTIVE_DELIVERY_BLOCK_KEY = "availableDeliveries.activeBlock";
 const ACTIVE_DELIVERY_BLOCKING_STATUSES = new Set([
   "picked_up",
   "on_the_way",
@@ -189,11 +200,16 @@ const hasValidDeliveryCoordinates = (delivery) => {
   return Boolean(restaurantPoint && customerPoint);
 };
 
+// Pre-orders join the pool only shortly before their delivery slot.
+const isListableDelivery = (delivery) =>
+  hasValidDeliveryCoordinates(delivery) && isScheduledOrderReleased(delivery);
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
 
 export default function AvailableDeliveriesScreen({ navigation, route }) {
+  const { t } = useLocale();
   const isFocused = useIsFocused();
   const insets = useSafeAreaInsets();
   const rawTabBarHeight = useBottomTabBarHeight();
@@ -244,6 +260,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   // Initialize with cached data for instant display
   const [deliveries, setDeliveries] = useState([]);
   const [declinedIds, setDeclinedIds] = useState(new Set());
+  const [offerExpiries, setOfferExpiries] = useState({});
   const [initialLoading, setInitialLoading] = useState(
     () => !hasVisitedAvailableDeliveriesScreen,
   );
@@ -253,9 +270,9 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   const [accepting, setAccepting] = useState(null);
   const [driverLocation, setDriverLocation] = useState(null);
   const [isLocationResolved, setIsLocationResolved] = useState(false);
-  const [locationStatusMessage, setLocationStatusMessage] = useState(
-    "Loading available deliveries...",
-  );
+  const [locationStatus, setLocationStatus] = useState({
+    key: "availableDeliveries.location.loading",
+  });
   const [inDeliveringMode, setInDeliveringMode] = useState(false);
   const [currentRoute, setCurrentRoute] = useState({
     total_stops: 0,
@@ -331,7 +348,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   const syncAvailableSnapshot = useCallback(
     (nextDeliveries, options = {}) => {
       const validDeliveries = (nextDeliveries || []).filter(
-        hasValidDeliveryCoordinates,
+        isListableDelivery,
       );
       const sortedDeliveries = applyPrioritizedSort(validDeliveries);
       const nextRoute = options.currentRoute ||
@@ -389,7 +406,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           : [];
         const mutatedDeliveries = mutator(baseDeliveries);
         const validDeliveries = (mutatedDeliveries || []).filter(
-          hasValidDeliveryCoordinates,
+          isListableDelivery,
         );
         const sortedDeliveries = applyPrioritizedSort(validDeliveries);
 
@@ -548,7 +565,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   }, [deliveriesQueryKey, queryClient, applyPrioritizedSort]);
 
   const initScreen = async () => {
-    setLocationStatusMessage("Loading available deliveries...");
+    setLocationStatus({ key: "availableDeliveries.location.loading" });
 
     if (hasVisitedAvailableDeliveriesScreen) {
       setInitialLoading(false);
@@ -559,7 +576,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     const querySnapshot = queryClient.getQueryData(deliveriesQueryKey);
     if (querySnapshot?.deliveries?.length) {
       const cachedDeliveries = asArray(querySnapshot.deliveries).filter(
-        hasValidDeliveryCoordinates,
+        isListableDelivery,
       );
       setDeliveries(applyPrioritizedSort(cachedDeliveries));
       setCurrentRoute(
@@ -575,7 +592,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       const storageSnapshot = await loadCachedData(availableCacheKey);
       if (storageSnapshot?.deliveries?.length) {
         const cachedDeliveries = asArray(storageSnapshot.deliveries).filter(
-          hasValidDeliveryCoordinates,
+          isListableDelivery,
         );
         setDeliveries(applyPrioritizedSort(cachedDeliveries));
         setCurrentRoute(
@@ -598,9 +615,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     const location = await getLocation();
     if (!isValidLocation(location)) {
       if (!hydratedFromCache) {
-        setFetchError(
-          "Unable to confirm your current location. Turn on GPS and try again.",
-        );
+        setFetchError(t("availableDeliveries.location.turnOnGps"));
         // Avoid infinite skeleton when location cannot be resolved on first load.
         setHasCompletedFirstFetch(true);
         setInitialLoading(false);
@@ -673,14 +688,15 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       const { status } = await Location.requestForegroundPermissionsAsync();
       if (status !== "granted") {
         console.log("[LOCATION] Permission denied");
-        setLocationStatusMessage("Location permission is required");
+        setLocationStatus({ key: "availableDeliveries.location.permission" });
         return null;
       }
 
       for (let attempt = 1; attempt <= LOCATION_MAX_RETRIES; attempt += 1) {
-        setLocationStatusMessage(
-          `Confirming your current location (${attempt}/${LOCATION_MAX_RETRIES})...`,
-        );
+        setLocationStatus({
+          key: "availableDeliveries.location.confirming",
+          params: { attempt, max: LOCATION_MAX_RETRIES },
+        });
 
         const position = await Location.getCurrentPositionAsync({
           accuracy: Location.Accuracy.BestForNavigation,
@@ -697,7 +713,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
         const hasGoodAccuracy = accuracy <= LOCATION_MAX_ACCURACY_METERS;
 
         if (isValidLocation(candidate) && hasGoodAccuracy) {
-          setLocationStatusMessage("Location confirmed");
+          setLocationStatus({ key: "availableDeliveries.location.confirmed" });
           return candidate;
         }
 
@@ -718,16 +734,16 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           longitude: lastKnown.coords.longitude,
         };
         if (isValidLocation(fallbackLocation)) {
-          setLocationStatusMessage("Using recently confirmed location");
+          setLocationStatus({ key: "availableDeliveries.location.recent" });
           return fallbackLocation;
         }
       }
 
-      setLocationStatusMessage("Unable to confirm location");
+      setLocationStatus({ key: "availableDeliveries.location.failed" });
       return null;
     } catch (err) {
       console.error("[LOCATION] Error:", err);
-      setLocationStatusMessage("Unable to confirm location");
+      setLocationStatus({ key: "availableDeliveries.location.failed" });
       return null;
     }
   };
@@ -832,9 +848,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       }
 
       if (!isValidLocation(location)) {
-        setFetchError(
-          "Unable to confirm your location. Please enable GPS and retry.",
-        );
+        setFetchError(t("availableDeliveries.location.enableGps"));
         if (!hasCompletedFirstFetchRef.current) {
           setHasCompletedFirstFetch(true);
           setInitialLoading(false);
@@ -850,7 +864,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
         triggerReason,
       );
     },
-    [],
+    [t],
   );
 
   useEffect(() => {
@@ -918,7 +932,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
 
         currentRouteRef.current = nextRoute;
         setCurrentRoute(nextRoute);
-        setFetchError(ACTIVE_DELIVERY_BLOCK_MESSAGE);
+        setFetchError(t(ACTIVE_DELIVERY_BLOCK_KEY));
 
         const snapshot = {
           deliveries: [],
@@ -934,7 +948,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       } else {
         setInDeliveringMode(false);
         setFetchError((prev) =>
-          prev === ACTIVE_DELIVERY_BLOCK_MESSAGE ? null : prev,
+          prev === t(ACTIVE_DELIVERY_BLOCK_KEY) ? null : prev,
         );
       }
 
@@ -961,7 +975,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     }
 
     if (!isValidLocation(location)) {
-      setFetchError("Cannot fetch deliveries without a valid driver location.");
+      setFetchError(t("availableDeliveries.noDriverLocation"));
       setInitialLoading(false);
       return;
     }
@@ -1099,15 +1113,15 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       };
 
       const errorMessage = e.message.includes("NetworkError")
-        ? "No internet connection. Retrying..."
+        ? t("availableDeliveries.errors.offline")
         : e.message.includes("HTTP 504") ||
             e.message.toLowerCase().includes("504")
-          ? "Server is busy. Showing cached requests and retrying with backoff..."
+          ? t("dashboard.serverBusy")
           : e.message.includes("HTTP 500")
-            ? "Server error. Please try again."
+            ? t("availableDeliveries.errors.server")
             : e.message.includes("HTTP 401")
-              ? "Authentication failed. Please log in again."
-              : e.message || "Failed to fetch deliveries";
+              ? t("availableDeliveries.errors.auth")
+              : e.message || t("availableDeliveries.errors.fetchFailed");
 
       setFetchError(errorMessage);
       if (!hasCompletedFirstFetch) {
@@ -1312,7 +1326,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       (normalizeDeliveryId(accepting) === normalizedDeliveryId && accepting) ||
       accepting
     ) {
-      showToast("Updating requests...", "error");
+      showToast(t("availableDeliveries.updatingRequests"), "error");
       return;
     }
 
@@ -1321,12 +1335,15 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     setAccepting(normalizedDeliveryId);
     setIsLoadingAfterAccept(true);
     try {
-      const token = await AsyncStorage.getItem("token");
       const delivery =
         deliverySnapshot ||
         deliveries.find(
           (d) => normalizeDeliveryId(d?.delivery_id) === normalizedDeliveryId,
         );
+      if (delivery && !isScheduledOrderReleased(delivery)) {
+        showToast(t("driverRequests.notReleased"), "error");
+        return;
+      }
 
       const body = {
         driver_latitude: driverLocation?.latitude,
@@ -1352,21 +1369,32 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           : null,
       };
 
-      const res = await fetch(
-        `${API_BASE_URL}/driver/deliveries/${normalizedDeliveryId}/accept`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(body),
-        },
-      );
+      const result = await submitDriverAction({
+        type: "accept",
+        deliveryId: normalizedDeliveryId,
+        payload: body,
+      });
+      const data = result.data || {};
 
-      const data = await res.json();
+      if (result.queued || result.ok) {
+        void recordOfferOutcome(
+          normalizedDeliveryId,
+          "accepted",
+          "available_screen",
+        );
+      }
 
-      if (res.ok) {
+      if (result.queued) {
+        // Offline: hide the card now, the accept replays on reconnect.
+        declineDelivery(normalizedDeliveryId);
+        mutateAvailableDeliveries((prev) =>
+          prev.filter(
+            (item) =>
+              normalizeDeliveryId(item?.delivery_id) !== normalizedDeliveryId,
+          ),
+        );
+        showToast(t("driverRequests.savedOffline"));
+      } else if (result.ok) {
         declineDelivery(normalizedDeliveryId);
         mutateAvailableDeliveries((prev) =>
           prev.filter(
@@ -1384,7 +1412,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           }),
         ]);
 
-        showToast("✅ Delivery accepted!");
+        showToast(`✅ ${t("driverRequests.accepted")}`);
 
         InteractionManager.runAfterInteractions(() => {
           navigation.navigate("DriverMap", {
@@ -1398,46 +1426,122 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       } else {
         if (data?.driver_status === "suspended") {
           Alert.alert(
-            "Account Suspended",
-            data.message ||
-              "Deposit the collected money to the Meezo platform before accepting new deliveries.",
+            t("driverRequests.suspendedTitle"),
+            data.message || t("driverRequests.suspendedBody"),
           );
         }
-        showToast(data.message || "Failed to accept delivery", "error");
+        showToast(data.message || t("driverRequests.acceptFailed"), "error");
       }
     } catch (e) {
       console.error("Accept error:", e);
-      showToast("Failed to accept delivery", "error");
+      showToast(t("driverRequests.acceptFailed"), "error");
     } finally {
       setAccepting(null);
       setIsLoadingAfterAccept(false);
     }
   };
 
-  const handleDecline = (deliveryId, cardIndex) => {
-    declineDelivery(deliveryId);
-    DeviceEventEmitter.emit(DRIVER_DELIVERY_ACTION_EVENT, {
-      deliveryId: String(deliveryId),
-      action: "declined",
-      source: "available_screen",
-    });
+  const closeOffers = useCallback(
+    (deliveryIds, action) => {
+      deliveryIds.forEach((deliveryId) => {
+        declineDelivery(deliveryId);
+        DeviceEventEmitter.emit(DRIVER_DELIVERY_ACTION_EVENT, {
+          deliveryId: String(deliveryId),
+          action,
+          source: "available_screen",
+        });
+      });
 
-    setDeclinedIds((prev) => {
-      const normalizedId = normalizeDeliveryId(deliveryId);
-      if (!normalizedId) return prev;
-      return new Set([...prev, normalizedId]);
-    });
+      setDeclinedIds((prev) => {
+        const next = new Set(prev);
+        deliveryIds.forEach((deliveryId) => {
+          const normalizedId = normalizeDeliveryId(deliveryId);
+          if (normalizedId) next.add(normalizedId);
+        });
+        return next;
+      });
+    },
+    [declineDelivery],
+  );
 
-    // Keep flow continuous: move declined card to bottom and focus adjacent card.
+  const handleDecline = (deliveryId, cardIndex) => {
+    closeOffers([deliveryId], "declined");
+    void recordOfferOutcome(deliveryId, "declined", "available_screen");
+
+    // Keep flow continuous: drop the declined card and focus the next one.
+    const remaining = sortedDeliveries.length - 1;
     requestAnimationFrame(() => {
       requestAnimationFrame(() => {
         if (!flatListRef.current || typeof cardIndex !== "number") return;
-        const nextIndex = Math.max(0, cardIndex);
+        if (remaining <= 0) return;
+        const nextIndex = Math.max(0, Math.min(cardIndex, remaining - 1));
         flatListRef.current.scrollToIndex({ index: nextIndex, animated: true });
       });
     });
   };
 
+  // Offer timers: first-seen times are kept on the device, and offers the
+  // driver already declined (or let expire) stay hidden after a remount.
+  useEffect(() => {
+    let mounted = true;
+    const offers = deliveries.filter(
+      (delivery) => delivery?.can_accept !== false,
+    );
+
+    trackOffers(offers)
+      .then(({ expiries, closedIds }) => {
+        if (!mounted) return;
+        setOfferExpiries(expiries);
+        const closedOnScreen = offers
+          .map((delivery) => normalizeDeliveryId(delivery?.delivery_id))
+          .filter((id) => id && closedIds.has(id));
+        if (closedOnScreen.length === 0) return;
+        setDeclinedIds((prev) => new Set([...prev, ...closedOnScreen]));
+      })
+      .catch(() => {});
+
+    return () => {
+      mounted = false;
+    };
+  }, [deliveries]);
+
+  // Auto-decline: wake up at the next expiry and close every offer that ran
+  // out of time.
+  useEffect(() => {
+    const pending = Object.entries(offerExpiries).filter(
+      ([id]) => !declinedIds.has(id),
+    );
+    if (pending.length === 0) return undefined;
+
+    const nextExpiry = Math.min(...pending.map(([, expiresAt]) => expiresAt));
+    const timer = setTimeout(
+      () => {
+        const now = Date.now();
+        const expiredIds = pending
+          .filter(([, expiresAt]) => expiresAt <= now)
+          .map(([id]) => id);
+        if (expiredIds.length === 0) return;
+
+        closeOffers(expiredIds, "expired");
+        expiredIds.forEach((id) => {
+          // The popup owns the alert sound; dropping it stops the sound
+          // once no other offer is left.
+          declineDelivery(id);
+          void expireOffer(id, "available_screen");
+        });
+        if (isFocusedRef.current) {
+          showToast(
+            t("offers.expiredToast", { count: expiredIds.length }),
+            "error",
+          );
+        }
+      },
+      Math.max(0, nextExpiry - Date.now()),
+    );
+
+    return () => clearTimeout(timer);
+  }, [closeOffers, declineDelivery, declinedIds, offerExpiries, t]);
+
   const showToast = (message, type = "success") => {
     setToast({ message, type });
     Animated.sequence([
@@ -1458,7 +1562,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   const onRefresh = useCallback(() => {
     if (inDeliveringMode) {
       setIsRefreshing(false);
-      showToast(ACTIVE_DELIVERY_BLOCK_MESSAGE, "error");
+      showToast(t(ACTIVE_DELIVERY_BLOCK_KEY), "error");
       return;
     }
 
@@ -1476,7 +1580,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     pendingFetchRequestRef.current = null;
     // Fetch fresh location then immediately call API
     fetchDeliveriesWithCurrentLocation(false, "pull_to_refresh");
-  }, [fetchDeliveriesWithCurrentLocation, inDeliveringMode]);
+  }, [fetchDeliveriesWithCurrentLocation, inDeliveringMode, t]);
 
   const getTipAmount = useCallback((delivery) => {
     return Number.parseFloat(delivery?.pricing?.tip_amount || 0);
@@ -1503,7 +1607,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
   // RENDER HELPERS
   // ============================================================================
 
-  // Sort deliveries: non-declined first, then tip-provided first, then oldest first.
+  // Hide declined/expired offers; tip-provided first, then oldest first.
   const sortedDeliveries = useMemo(() => {
     const meta = deliveryMetaRef.current;
     const deduped = [];
@@ -1511,6 +1615,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
     for (const delivery of deliveries) {
       const normalizedId = normalizeDeliveryId(delivery?.delivery_id);
       if (!normalizedId || seen.has(normalizedId)) continue;
+      if (declinedIds.has(normalizedId)) continue;
       seen.add(normalizedId);
       deduped.push(delivery);
     }
@@ -1528,10 +1633,6 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
       const normalizedAId = normalizeDeliveryId(a.delivery_id);
       const normalizedBId = normalizeDeliveryId(b.delivery_id);
 
-      const aDeclined = normalizedAId ? declinedIds.has(normalizedAId) : false;
-      const bDeclined = normalizedBId ? declinedIds.has(normalizedBId) : false;
-      if (aDeclined !== bDeclined) return aDeclined ? 1 : -1;
-
       const aTip = getTipAmount(a);
       const bTip = getTipAmount(b);
       const aHasTip = aTip > 0;
@@ -1606,17 +1707,9 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
 
   const renderDeliveryCard = ({ item, index }) => {
     const normalizedItemId = normalizeDeliveryId(item.delivery_id);
-    const isDeclined = normalizedItemId
-      ? declinedIds.has(normalizedItemId)
-      : false;
     const displayIndex = normalizedItemId
       ? displayOrderById.get(normalizedItemId)
       : undefined;
-    const nonDeclinedBefore = sortedDeliveries.slice(0, index).filter((d) => {
-      const normalizedId = normalizeDeliveryId(d.delivery_id);
-      return normalizedId ? !declinedIds.has(normalizedId) : true;
-    }).length;
-    const isFirstNonDeclined = !isDeclined && nonDeclinedBefore === 0;
 
     return (
       <DeliveryCard
@@ -1635,10 +1728,14 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           isPostCompleteHardLoading
         }
         onAccept={handleAcceptDelivery}
+        onDecline={() => handleDecline(item.delivery_id, index)}
         onRefresh={onRefresh}
         hasActiveDeliveries={currentRoute.active_deliveries > 0}
-        isFirstDelivery={isFirstNonDeclined}
-        isDeclined={isDeclined}
+        isFirstDelivery={index === 0}
+        offerExpiresAt={
+          normalizedItemId ? offerExpiries[normalizedItemId] : undefined
+        }
+        offerDurationMs={getOfferTimeoutMs(item)}
         cardIndex={displayIndex ?? index}
         currentIndex={(displayIndex ?? index) + 1}
         totalAvailable={sortedDeliveries.length || deliveries.length}
@@ -1712,7 +1809,7 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
               fetchDeliveriesWithCurrentLocation(false, "banner_refresh")
             }
           >
-            <Text style={styles.errorRetry}>Retry</Text>
+            <Text style={styles.errorRetry}>{t("common.retry")}</Text>
           </Pressable>
         </View>
       )}
@@ -1724,7 +1821,9 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
             color="#06C168"
             style={{ marginRight: 8 }}
           />
-          <Text style={styles.syncingText}>Updating delivery requests...</Text>
+          <Text style={styles.syncingText}>
+            {t("availableDeliveries.syncing")}
+          </Text>
         </View>
       )}
 
@@ -1737,16 +1836,18 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
         {inDeliveringMode ? (
           <View style={styles.deliveringContainer}>
             <Text style={styles.deliveringEmoji}></Text>
-            <Text style={styles.deliveringTitle}>Currently Delivering</Text>
+            <Text style={styles.deliveringTitle}>
+              {t("availableDeliveries.deliveringTitle")}
+            </Text>
             <Text style={styles.deliveringSubtitle}>
-              {ACTIVE_DELIVERY_BLOCK_MESSAGE}
+              {t(ACTIVE_DELIVERY_BLOCK_KEY)}
             </Text>
             <Pressable
               style={styles.goToActiveBtn}
               onPress={() => navigation.navigate("Active")}
             >
               <Text style={styles.goToActiveBtnText}>
-                Go to Active Deliveries
+                {t("availableDeliveries.goToActive")}
               </Text>
             </Pressable>
           </View>
@@ -1765,11 +1866,13 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
           // Strictly only show empty state when: first fetch done + not syncing + truly empty
           <View style={styles.emptyContainer}>
             <Text style={styles.emptyEmoji}>📦</Text>
-            <Text style={styles.emptyTitle}>No Deliveries Near You</Text>
+            <Text style={styles.emptyTitle}>
+              {t("availableDeliveries.emptyTitle")}
+            </Text>
             <Text style={styles.emptySubtitle}>
               {currentRoute.active_deliveries >= 5
-                ? "You've reached the maximum of 5 deliveries. Complete some deliveries first."
-                : "No delivery requests available in your area right now. We'll notify you when new orders come in!"}
+                ? t("availableDeliveries.maxReached", { max: 5 })
+                : t("availableDeliveries.emptyBody")}
             </Text>
             <View style={styles.emptyButtons}>
               <Pressable
@@ -1790,7 +1893,9 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
                   fetchDeliveriesWithCurrentLocation(false, "retry_button");
                 }}
               >
-                <Text style={styles.refreshBtnText}>Refresh</Text>
+                <Text style={styles.refreshBtnText}>
+                  {t("availableDeliveries.refresh")}
+                </Text>
               </Pressable>
               {currentRoute.active_deliveries > 0 && (
                 <Pressable
@@ -1798,7 +1903,9 @@ export default function AvailableDeliveriesScreen({ navigation, route }) {
                   onPress={() => navigation.navigate("Active")}
                 >
                   <Text style={styles.viewActiveBtnText}>
-                    View Active ({currentRoute.active_deliveries})
+                    {t("availableDeliveries.viewActive", {
+                      count: currentRoute.active_deliveries,
+                    })}
                   </Text>
                 </Pressable>
               )}
@@ -1907,16 +2014,19 @@ function DeliveryCard({
   accepting,
   isSyncing = false,
   onAccept,
+  onDecline,
   onRefresh,
   onBack,
   hasActiveDeliveries,
   isFirstDelivery = false,
-  isDeclined = false,
+  offerExpiresAt,
+  offerDurationMs,
   cardIndex = 0,
   currentIndex = 1,
   totalAvailable = 1,
   isMapActive = true,
 }) {
+  const { t, formatCurrency } = useLocale();
   const safeDelivery = delivery && typeof delivery === "object" ? delivery : {};
   const {
     delivery_id,
@@ -2073,7 +2183,7 @@ function DeliveryCard({
     delivery?.pickup_address ||
     delivery?.restaurant_address ||
     restaurant?.city ||
-    "No pickup address";
+    t("availableDeliveries.card.noPickup");
 
   const dropoffAddress =
     customer?.address ||
@@ -2081,7 +2191,7 @@ function DeliveryCard({
     delivery?.delivery_address ||
     delivery?.customer_address ||
     customer?.city ||
-    "No drop-off address";
+    t("availableDeliveries.card.noDropoff");
 
   const fitCoordinates = useMemo(() => {
     const points = [];
@@ -2153,7 +2263,6 @@ function DeliveryCard({
       style={[
         styles.card,
         { height: cardHeight, maxHeight: cardHeight },
-        isDeclined && styles.cardDeclined,
         !can_accept && styles.cardDisabled,
       ]}
     >
@@ -2267,35 +2376,44 @@ function DeliveryCard({
         {/* Earnings Section (Website Parity) */}
         <View style={styles.earningsHero}>
           <Text style={styles.earningsAmount}>
-            {`Rs. ${(isStackedDelivery
-              ? extra_earnings + bonus_amount + tipAmount
-              : total_trip_earnings + tipAmount || driverEarnings
-            ).toFixed(2)}`}
+            {formatCurrency(
+              isStackedDelivery
+                ? extra_earnings + bonus_amount + tipAmount
+                : total_trip_earnings + tipAmount || driverEarnings,
+            )}
+          </Text>
+          <Text style={styles.earningsLabel}>
+            {t("availableDeliveries.card.totalEarnings")}
           </Text>
-          <Text style={styles.earningsLabel}>Total Earnings</Text>
         </View>
 
         <View style={styles.breakdownRow}>
           <View style={styles.breakdownPill}>
             <Text style={styles.breakdownPillText}>
-              Delivery: Rs.
-              {(isStackedDelivery
-                ? extra_earnings || 0
-                : total_trip_earnings || driverEarnings || 0
-              ).toFixed(0)}
+              {t("driverRequests.deliveryChip", {
+                amount: formatCurrency(
+                  isStackedDelivery
+                    ? extra_earnings || 0
+                    : total_trip_earnings || driverEarnings || 0,
+                ),
+              })}
             </Text>
           </View>
           {tipAmount > 0 && (
             <View style={[styles.breakdownPill, styles.breakdownPillDark]}>
               <Text style={styles.breakdownPillTextOnDark}>
-                Tip: Rs.{tipAmount.toFixed(0)}
+                {t("driverRequests.tipChip", {
+                  amount: formatCurrency(tipAmount),
+                })}
               </Text>
             </View>
           )}
           {Number(bonus_amount) > 0 && (
             <View style={[styles.breakdownPill, styles.breakdownPillBonus]}>
               <Text style={styles.breakdownPillTextOnDark}>
-                Bonus: Rs.{Number(bonus_amount).toFixed(0)}
+                {t("driverRequests.bonusChip", {
+                  amount: formatCurrency(bonus_amount),
+                })}
               </Text>
             </View>
           )}
@@ -2305,18 +2423,23 @@ function DeliveryCard({
           <View style={styles.statItemCompact}>
             <Ionicons name="map-outline" size={16} color="#6B7280" />
             <Text style={styles.statValueCompact}>
-              {Number(displayDistanceKm || 0).toFixed(1)} km
+              {t("driverRequests.km", {
+                distance: Number(displayDistanceKm || 0).toFixed(1),
+              })}
             </Text>
           </View>
           <View style={styles.statItemCompact}>
             <Ionicons name="time-outline" size={16} color="#6B7280" />
             <Text style={styles.statValueCompact}>
-              {Number(
-                isStackedDelivery
-                  ? extra_time_minutes || 0
-                  : estimated_time_minutes || 0,
-              ).toFixed(0)}{" "}
-              mins
+              {t("driverRequests.minutes", {
+                count: Math.round(
+                  Number(
+                    isStackedDelivery
+                      ? extra_time_minutes || 0
+                      : estimated_time_minutes || 0,
+                  ),
+                ),
+              })}
             </Text>
           </View>
         </View>
@@ -2335,7 +2458,7 @@ function DeliveryCard({
               {/* Restaurant name + phone inline */}
               <View style={styles.inlineNamePhoneRow}>
                 <Text style={styles.timelineLabel} numberOfLines={1}>
-                  Pickup:{" "}
+                  {t("availableDeliveries.card.pickup")}{" "}
                   <Text style={styles.timelineName}>{restaurant?.name}</Text>
                 </Text>
                 {restaurant?.phone ? (
@@ -2365,9 +2488,9 @@ function DeliveryCard({
               {/* Customer name + phone inline */}
               <View style={styles.inlineNamePhoneRow}>
                 <Text style={styles.timelineLabel} numberOfLines={1}>
-                  Drop-off:{" "}
+                  {t("availableDeliveries.card.dropoff")}{" "}
                   <Text style={styles.timelineName}>
-                    {customer?.name || "Customer"}
+                    {customer?.name || t("availableDeliveries.card.customer")}
                   </Text>
                 </Text>
                 {customer?.phone ? (
@@ -2390,7 +2513,9 @@ function DeliveryCard({
         {/* Order Items */}
         {order_items && order_items.length > 0 && (
           <View style={styles.orderItemsContainer}>
-            <Text style={styles.orderItemsTitle}>Order Items:</Text>
+            <Text style={styles.orderItemsTitle}>
+              {t("availableDeliveries.card.orderItems")}
+            </Text>
             {order_items.map((item, idx) => (
               <View key={idx} style={styles.orderItemRow}>
                 <Text style={styles.orderItemQty}>{item.quantity}x</Text>
@@ -2404,42 +2529,65 @@ function DeliveryCard({
 
         {/* Accept/Live Row (Website Parity) */}
         <View style={styles.acceptRow}>
-          <View style={styles.livePill}>
-            <View style={styles.liveDot} />
-            <Text style={styles.livePillText}>Live</Text>
-          </View>
+          {can_accept && offerExpiresAt ? (
+            <OfferCountdownRing
+              expiresAt={offerExpiresAt}
+              durationMs={offerDurationMs}
+              size={48}
+            />
+          ) : (
+            <View style={styles.livePill}>
+              <View style={styles.liveDot} />
+              <Text style={styles.livePillText}>{t("offers.live")}</Text>
+            </View>
+          )}
+          {can_accept && onDecline && (
+            <Pressable
+              style={styles.declineOfferBtn}
+              onPress={onDecline}
+              disabled={accepting || isSyncing}
+            >
+              <Ionicons name="close" size={22} color="#6B7280" />
+            </Pressable>
+          )}
           <Pressable
             style={[
               styles.acceptBtn,
               !can_accept && styles.acceptBtnDisabled,
-              (accepting || isSyncing || isDeclined) && styles.acceptBtnLoading,
+              (accepting || isSyncing) && styles.acceptBtnLoading,
             ]}
             onPress={() => {
-              if (accepting || isSyncing || !can_accept || isDeclined) {
+              if (accepting || isSyncing || !can_accept) {
                 return;
               }
               onAccept(delivery_id, delivery);
             }}
-            disabled={accepting || isSyncing || !can_accept || isDeclined}
+            disabled={accepting || isSyncing || !can_accept}
           >
             {accepting ? (
               <>
                 <ActivityIndicator size="small" color="#111812" />
-                <Text style={styles.acceptBtnText}>Accepting...</Text>
+                <Text style={styles.acceptBtnText}>
+                  {t("driverRequests.accepting")}
+                </Text>
               </>
             ) : isSyncing ? (
               <>
                 <ActivityIndicator size="small" color="#111812" />
-                <Text style={styles.acceptBtnText}>Updating...</Text>
+                <Text style={styles.acceptBtnText}>
+                  {t("driverRequests.updating")}
+                </Text>
               </>
             ) : !can_accept ? (
-              <Text style={styles.acceptBtnTextDisabled}>Cannot Accept</Text>
+              <Text style={styles.acceptBtnTextDisabled}>
+                {t("availableDeliveries.card.cannotAccept")}
+              </Text>
             ) : (
               <>
                 <Text style={styles.acceptBtnText}>
                   {isStackedDelivery
-                    ? "Accept Stacked Delivery"
-                    : "Accept Delivery"}
+                    ? t("availableDeliveries.card.acceptStacked")
+                    : t("availableDeliveries.card.accept")}
                 </Text>
                 <Text style={styles.acceptBtnArrow}>→</Text>
               </>
@@ -2908,9 +3056,6 @@ const styles = StyleSheet.create({
     height: SCREEN_HEIGHT,
     overflow: "hidden",
   },
-  cardDeclined: {
-    opacity: 0.6,
-  },
   cardDisabled: {
     borderWidth: 2,
     borderColor: "#FECACA",
@@ -3323,6 +3468,14 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     color: "#111812",
   },
+  declineOfferBtn: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: "#F3F4F6",
+    alignItems: "center",
+    justifyContent: "center",
+  },
   livePill: {
     flexDirection: "row",
     alignItems: "center",
@@ -36,8 +36,11 @@ import AnimatedAlert from "../../components/common/AnimatedAlert";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import { API_URL } from "../../config/env";
 import { getAccessToken } from "../../lib/authStorage";
+import { submitDriverAction } from "../../services/driverActionQueue";
+import { syncShiftReminders } from "../../services/shiftService";
 import { useDriverDeliveryNotifications } from "../../context/DriverDeliveryNotificationContext";
 import { useSocket } from "../../context/SocketContext";
 import { approximateDistanceMeters } from "../../utils/osrmClient";
@@ -49,13 +52,15 @@ import {
   DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY,
   buildDriverScopedCacheKey,
 } from "../../utils/driverRequestCache";
+import { isScheduledOrderReleased } from "../../utils/deliverySchedule";
 
-// Working time display labels
-const WORKING_TIME_LABELS = {
-  full_time: "Full Time",
-  day: "Day Shift (5AM - 7PM)",
-  night: "Night Shift (6PM - 6AM)",
-};
+// Delivery statuses with a translated label on the active delivery rows
+const ACTIVE_STATUS_LABELS = new Set([
+  "accepted",
+  "picked_up",
+  "on_the_way",
+  "at_customer",
+]);
 
 // Default driver location (Kinniya, Sri Lanka)
 const AVAILABLE_CACHE_BASE_KEY = DRIVER_AVAILABLE_DELIVERIES_CACHE_BASE_KEY;
@@ -122,6 +127,10 @@ const hasValidDeliveryCoordinates = (delivery) => {
   return Boolean(restaurantPoint && customerPoint);
 };
 
+// Pre-orders join the pool only shortly before their delivery slot.
+const isListableDelivery = (delivery) =>
+  hasValidDeliveryCoordinates(delivery) && isScheduledOrderReleased(delivery);
+
 const normalizeDeliveryId = (value) => {
   if (value == null) return null;
   const normalized = String(value).trim();
@@ -191,6 +200,7 @@ export default function DashboardScreen({ navigation, route }) {
   const queryClient = useQueryClient();
   const { on, off, isConnected } = useSocket();
   const { logout } = useAuth();
+  const { t, formatCurrency, formatDate, formatTime } = useLocale();
   const initialUiState = queryClient.getQueryData(DASHBOARD_UI_CACHE_KEY);
   const [isOnline, setIsOnline] = useState(() => {
     if (typeof initialUiState?.isOnline === "boolean") {
@@ -404,7 +414,7 @@ export default function DashboardScreen({ navigation, route }) {
     const applySnapshot = (snapshot) => {
       if (!snapshot || !Array.isArray(snapshot.deliveries)) return;
 
-      const next = snapshot.deliveries.filter(hasValidDeliveryCoordinates);
+      const next = snapshot.deliveries.filter(isListableDelivery);
       setAvailableDeliveries(next);
       setHasNearbyInitialSyncCompleted(true);
     };
@@ -836,7 +846,7 @@ export default function DashboardScreen({ navigation, route }) {
           setIsOnline(normalizedStatus === "active");
           writeDashboardUiState({ isOnline: normalizedStatus === "active" });
           setStatusMessage(
-            data.message || "Status changed due to working hours",
+            data.message || t("dashboard.statusChangedByHours"),
           );
           setTimeout(() => setStatusMessage(""), 5000);
         }
@@ -847,7 +857,7 @@ export default function DashboardScreen({ navigation, route }) {
     } finally {
       DASHBOARD_API_REQUESTS.delete("working-hours");
     }
-  }, [isFullTimeDriver, writeDashboardUiState, queryClient]);
+  }, [isFullTimeDriver, writeDashboardUiState, queryClient, t]);
 
   // ============================================================================
   // FETCH DASHBOARD DATA
@@ -934,7 +944,7 @@ export default function DashboardScreen({ navigation, route }) {
       const currentLocation =
         await resolveVerifiedDriverLocation(forceFreshLocation);
       if (!isValidLocation(currentLocation)) {
-        setNearbySyncError("Unable to confirm your location.");
+        setNearbySyncError(t("dashboard.locationUnconfirmed"));
         return;
       }
 
@@ -971,9 +981,11 @@ export default function DashboardScreen({ navigation, route }) {
         );
 
         if (!availableRes.ok) {
-          throw new Error(
-            `Available deliveries sync failed (${availableRes.status})`,
+          const syncError = new Error(
+            t("dashboard.syncFailed", { status: String(availableRes.status) }),
           );
+          syncError.status = availableRes.status;
+          throw syncError;
         }
 
         const deliveriesData = await availableRes.json();
@@ -985,7 +997,7 @@ export default function DashboardScreen({ navigation, route }) {
           hasValidDeliveryCoordinates,
         );
 
-        setAvailableDeliveries(nextAvailable);
+        setAvailableDeliveries(nextAvailable.filter(isListableDelivery));
         persistNearbyDeliveriesCache(
           nextAvailable,
           deliveriesData.current_route || {
@@ -1004,11 +1016,13 @@ export default function DashboardScreen({ navigation, route }) {
         console.error("Available deliveries background sync error:", error);
         const rawMessage = String(error?.message || "");
         const isGatewayTimeout =
-          rawMessage.includes("(504)") || rawMessage.includes(" 504");
+          error?.status === 504 ||
+          rawMessage.includes("(504)") ||
+          rawMessage.includes(" 504");
         setNearbySyncError(
           isGatewayTimeout
-            ? "Server is busy. Showing cached requests and retrying with backoff..."
-            : error.message || "Failed to update nearby requests",
+            ? t("dashboard.serverBusy")
+            : error.message || t("dashboard.updateRequestsFailed"),
         );
 
         const consecutiveFailures =
@@ -1030,7 +1044,7 @@ export default function DashboardScreen({ navigation, route }) {
         nearbySyncInFlightRef.current = false;
       }
     },
-    [persistNearbyDeliveriesCache, resolveVerifiedDriverLocation],
+    [persistNearbyDeliveriesCache, resolveVerifiedDriverLocation, t],
   );
 
   useEffect(() => {
@@ -1102,7 +1116,7 @@ export default function DashboardScreen({ navigation, route }) {
       const cachedAvailable = await loadAvailableCache(availableCacheKey);
       if (Array.isArray(cachedAvailable?.data?.deliveries) && mounted) {
         const cachedDeliveries = (cachedAvailable.data.deliveries || []).filter(
-          hasValidDeliveryCoordinates,
+          isListableDelivery,
         );
         setAvailableDeliveries(cachedDeliveries);
         setHasNearbyInitialSyncCompleted(true);
@@ -1492,6 +1506,11 @@ export default function DashboardScreen({ navigation, route }) {
     };
   }, [isFocused, isFullTimeDriver]); // ✅ Only depend on isFocused and isFullTimeDriver
 
+  // Re-arm reminders for booked shifts (bookings may change on the server)
+  useEffect(() => {
+    syncShiftReminders().catch(() => {});
+  }, []);
+
   // ============================================================================
   // TOGGLE ONLINE STATUS (Enhanced to match web version)
   // ============================================================================
@@ -1522,7 +1541,7 @@ export default function DashboardScreen({ navigation, route }) {
           setShowOverrideModal(true);
           return;
         } else {
-          showError("Cannot toggle status at this time");
+          showError(t("dashboard.cannotToggle"));
           return;
         }
       }
@@ -1533,7 +1552,7 @@ export default function DashboardScreen({ navigation, route }) {
     try {
       const token = await getAccessToken();
       if (!token) {
-        showError("Session unavailable. Please wait and try again.");
+        showError(t("dashboard.sessionUnavailable"));
         return;
       }
 
@@ -1553,18 +1572,18 @@ export default function DashboardScreen({ navigation, route }) {
         const data = await res.json();
         setIsOnline(data.status === "active");
         writeDashboardUiState({ isOnline: data.status === "active" });
-        showSuccess(`Status updated to ${data.status}`);
+        showSuccess(t("dashboard.statusUpdated", { status: data.status }));
 
         // Refresh status info and dashboard data
         fetchStatusInfo();
         fetchDashboardData();
       } else {
         const errorData = await res.json();
-        showError(errorData.message || "Failed to update status");
+        showError(errorData.message || t("dashboard.statusUpdateFailed"));
       }
     } catch (error) {
       console.error("Status toggle error:", error);
-      showError("Failed to update status");
+      showError(t("dashboard.statusUpdateFailed"));
     } finally {
       setTogglingStatus(false);
     }
@@ -1598,6 +1617,10 @@ export default function DashboardScreen({ navigation, route }) {
       const delivery = availableDeliveries.find(
         (d) => d.delivery_id === deliveryId,
       );
+      if (delivery && !isScheduledOrderReleased(delivery)) {
+        showError(t("driverRequests.notReleased"));
+        return;
+      }
 
       const body = {
         driver_latitude: driverLocation?.latitude,
@@ -1623,19 +1646,19 @@ export default function DashboardScreen({ navigation, route }) {
           : null,
       };
 
-      const res = await fetch(
-        `${API_URL}/driver/deliveries/${deliveryId}/accept`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(body),
-        },
-      );
+      const result = await submitDriverAction({
+        type: "accept",
+        deliveryId,
+        payload: body,
+      });
 
-      if (res.ok) {
+      if (result.queued) {
+        // Offline: drop the card now, the accept replays on reconnect.
+        setAvailableDeliveries((prev) =>
+          prev.filter((d) => String(d?.delivery_id) !== String(deliveryId)),
+        );
+        showSuccess(t("driverRequests.savedOffline"));
+      } else if (result.ok) {
         // Clear stale list immediately so driver sees 'Updating...' not old bonus deliveries
         setAvailableDeliveries([]);
         setHasNearbyInitialSyncCompleted(false);
@@ -1648,19 +1671,18 @@ export default function DashboardScreen({ navigation, route }) {
           navigation.navigate("DriverMap", { deliveryId });
         }, 0);
       } else {
-        const data = await res.json();
+        const data = result.data || {};
         if (data?.driver_status === "suspended") {
           Alert.alert(
-            "Account Suspended",
-            data.message ||
-              "Deposit the collected money to the Meezo platform before accepting new deliveries.",
+            t("driverRequests.suspendedTitle"),
+            data.message || t("driverRequests.suspendedBody"),
           );
         }
-        showError(data.message || "Failed to accept delivery");
+        showError(data.message || t("driverRequests.acceptFailed"));
       }
     } catch (error) {
       console.error("Accept delivery error:", error);
-      showError("Failed to accept delivery");
+      showError(t("driverRequests.acceptFailed"));
     } finally {
       setAcceptingOrder(null);
     }
@@ -1810,7 +1832,7 @@ export default function DashboardScreen({ navigation, route }) {
       delivery?.restaurant?.name ||
       delivery?.orders?.restaurant_name ||
       delivery?.restaurant_name ||
-      "Restaurant";
+      t("menu.restaurant");
     const city =
       delivery?.restaurant?.city ||
       delivery?.orders?.restaurant_city ||
@@ -1818,7 +1840,7 @@ export default function DashboardScreen({ navigation, route }) {
       delivery?.customer?.city ||
       delivery?.orders?.delivery_city ||
       null;
-    return city ? `${name}, ${city}` : name;
+    return city ? t("driverRequests.restaurantCity", { name, city }) : name;
   };
 
   const getPickupAddress = (delivery) => {
@@ -1826,7 +1848,7 @@ export default function DashboardScreen({ navigation, route }) {
       delivery?.restaurant?.address ||
       delivery?.orders?.restaurant_address ||
       delivery?.restaurant_address ||
-      "Pickup address unavailable"
+      t("driverRequests.pickupUnavailable")
     );
   };
 
@@ -1836,10 +1858,14 @@ export default function DashboardScreen({ navigation, route }) {
       delivery?.customer?.address ||
       delivery?.orders?.delivery_address ||
       delivery?.delivery_address ||
-      "Drop-off address unavailable"
+      t("driverRequests.dropoffUnavailable")
     );
   };
 
+  const workingTimeLabel = driverProfile?.working_time
+    ? t(`driverProfile.workingTimes.${driverProfile.working_time}`)
+    : "";
+
   const nearbyDeliveries = useMemo(() => {
     const seen = new Set();
     const unique = [];
@@ -1986,30 +2012,35 @@ export default function DashboardScreen({ navigation, route }) {
               <View style={styles.modalIconContainer}>
                 <Ionicons name="time-outline" size={32} color="#d97706" />
               </View>
-              <Text style={styles.modalTitle}>Outside Working Hours</Text>
+              <Text style={styles.modalTitle}>
+                {t("dashboard.outsideHoursTitle")}
+              </Text>
               <Text style={styles.modalDescription}>
-                Your working time is set to{" "}
-                <Text style={styles.modalBold}>
-                  {WORKING_TIME_LABELS[driverProfile?.working_time] ||
-                    "Unknown"}
-                </Text>
-                . You are currently outside your scheduled working hours.
+                {t("dashboard.workingTimeIs", {
+                  workingTime:
+                    workingTimeLabel || t("dashboard.unknownWorkingTime"),
+                })}{" "}
+                {t("dashboard.outsideHoursBody")}
               </Text>
               <Text style={styles.modalSubtext}>
-                Do you want to go online anyway?
+                {t("dashboard.goOnlineAnyway")}
               </Text>
               <View style={styles.modalButtons}>
                 <TouchableOpacity
                   style={styles.modalCancelButton}
                   onPress={() => setShowOverrideModal(false)}
                 >
-                  <Text style={styles.modalCancelText}>Cancel</Text>
+                  <Text style={styles.modalCancelText}>
+                    {t("common.cancel")}
+                  </Text>
                 </TouchableOpacity>
                 <TouchableOpacity
                   style={styles.modalConfirmButton}
                   onPress={handleManualOverrideConfirm}
                 >
-                  <Text style={styles.modalConfirmText}>Go Online</Text>
+                  <Text style={styles.modalConfirmText}>
+                    {t("dashboard.goOnline")}
+                  </Text>
                 </TouchableOpacity>
               </View>
             </Pressable>
@@ -2074,10 +2105,10 @@ export default function DashboardScreen({ navigation, route }) {
                 </View>
                 <View style={styles.profileInfo}>
                   <Text style={styles.profileName}>
-                    {driverProfile?.full_name || "Driver"}
+                    {driverProfile?.full_name || t("dashboard.driverFallback")}
                   </Text>
                   <Text style={styles.profileSubtext}>
-                    {WORKING_TIME_LABELS[driverProfile?.working_time] || ""}
+                    {workingTimeLabel}
                   </Text>
                 </View>
               </TouchableOpacity>
@@ -2100,13 +2131,15 @@ export default function DashboardScreen({ navigation, route }) {
                 <View style={styles.statusContent}>
                   <View style={styles.statusTextContainer}>
                     <Text style={styles.statusTitle}>
-                      Status: {isOnline ? "Online" : "Offline"}
+                      {isOnline
+                        ? t("dashboard.statusOnline")
+                        : t("dashboard.statusOffline")}
                     </Text>
                     <Text style={styles.statusSubtitle}>
                       {statusInfo?.workingTimeDescription ||
                         (isOnline
-                          ? "Receiving requests nearby"
-                          : "Not receiving requests")}
+                          ? t("dashboard.receivingRequests")
+                          : t("dashboard.notReceivingRequests"))}
                     </Text>
                   </View>
                   <TouchableOpacity
@@ -2138,8 +2171,7 @@ export default function DashboardScreen({ navigation, route }) {
                     <View style={styles.statusMessageBanner}>
                       <Ionicons name="time-outline" size={16} color="#d97706" />
                       <Text style={styles.statusMessageText}>
-                        ⏰ You are currently outside your working hours. You'll
-                        be able to accept deliveries during your scheduled time.
+                        {t("dashboard.outsideHoursNotice")}
                       </Text>
                     </View>
                   )}
@@ -2161,8 +2193,7 @@ export default function DashboardScreen({ navigation, route }) {
                           styles.statusMessageTextInfo,
                         ]}
                       >
-                        💡 You're within your working hours. Activate your
-                        status to start receiving delivery requests.
+                        {t("dashboard.withinHoursNotice")}
                       </Text>
                     </View>
                   )}
@@ -2185,7 +2216,7 @@ export default function DashboardScreen({ navigation, route }) {
                         styles.statusMessageTextSuccess,
                       ]}
                     >
-                      ✅ You are active and can receive delivery requests!
+                      {t("dashboard.activeNotice")}
                     </Text>
                   </View>
                 )}
@@ -2229,10 +2260,10 @@ export default function DashboardScreen({ navigation, route }) {
                         ]}
                       >
                         {withinWorkingHours
-                          ? "Within working hours"
+                          ? t("dashboard.withinHours")
                           : manualOverrideActive
-                            ? "Manual override active (outside working hours)"
-                            : "Outside working hours"}
+                            ? t("dashboard.manualOverride")
+                            : t("dashboard.outsideHours")}
                       </Text>
                     </View>
                   )}
@@ -2241,10 +2272,13 @@ export default function DashboardScreen({ navigation, route }) {
                 {statusInfo?.nextStatusChange && (
                   <View style={styles.nextStatusChangeInfo}>
                     <Text style={styles.nextStatusChangeText}>
-                      Next automatic status change:{" "}
-                      {new Date(
-                        statusInfo.nextStatusChange,
-                      ).toLocaleTimeString()}
+                      {t("dashboard.nextStatusChange", {
+                        time: formatTime(statusInfo.nextStatusChange, {
+                          hour: "numeric",
+                          minute: "2-digit",
+                          second: "2-digit",
+                        }),
+                      })}
                     </Text>
                   </View>
                 )}
@@ -2254,13 +2288,17 @@ export default function DashboardScreen({ navigation, route }) {
             {/* Stats Cards */}
             <View style={styles.statsRow}>
               <View style={styles.statCard}>
-                <Text style={styles.statLabel}>Today's Earnings</Text>
+                <Text style={styles.statLabel}>
+                  {t("dashboard.todayEarnings")}
+                </Text>
                 <Text style={styles.statValue}>
-                  Rs. {stats.todayEarnings.toFixed(0)}
+                  {formatCurrency(stats.todayEarnings)}
                 </Text>
               </View>
               <View style={styles.statCard}>
-                <Text style={styles.statLabel}>Today's Deliveries</Text>
+                <Text style={styles.statLabel}>
+                  {t("dashboard.todayDeliveries")}
+                </Text>
                 <Text style={styles.statValueBlack}>
                   {stats.todayDeliveries}
                 </Text>
@@ -2270,10 +2308,10 @@ export default function DashboardScreen({ navigation, route }) {
             <View style={styles.balanceToReceiveCardWrap}>
               <View style={styles.balanceToReceiveCard}>
                 <Text style={styles.balanceToReceiveLabel}>
-                  Balance to Receive
+                  {t("dashboard.balanceToReceive")}
                 </Text>
                 <Text style={styles.balanceToReceiveValue}>
-                  Rs. {balanceToReceive.toFixed(2)}
+                  {formatCurrency(balanceToReceive)}
                 </Text>
               </View>
             </View>
@@ -2283,7 +2321,9 @@ export default function DashboardScreen({ navigation, route }) {
               <>
                 <View style={styles.sectionHeader}>
                   <Text style={styles.sectionTitle}>
-                    Active Deliveries ({safeActiveDeliveries.length})
+                    {t("dashboard.activeDeliveries", {
+                      count: safeActiveDeliveries.length,
+                    })}
                   </Text>
                   <TouchableOpacity onPress={openActiveMap}>
                     <Text style={styles.sectionLink}>View All</Text>
@@ -2318,19 +2358,23 @@ export default function DashboardScreen({ navigation, route }) {
                           )
                             ? delivery.order?.delivery?.address ||
                               delivery.orders?.delivery_address ||
-                              "Customer Address"
+                              t("dashboard.customerAddress")
                             : delivery.order?.restaurant?.name ||
                               delivery.orders?.restaurant_name ||
-                              "Restaurant"}
+                              t("menu.restaurant")}
                         </Text>
                         <Text style={styles.activeDeliveryOrder}>
-                          Order #
-                          {delivery.order?.order_number ||
-                            delivery.orders?.order_number ||
-                            "N/A"}
+                          {t("dashboard.orderNumber", {
+                            number:
+                              delivery.order?.order_number ||
+                              delivery.orders?.order_number ||
+                              t("dashboard.notAvailable"),
+                          })}
                         </Text>
                         <Text style={styles.activeDeliveryStatus}>
-                          {delivery.status?.replace(/_/g, " ")}
+                          {ACTIVE_STATUS_LABELS.has(delivery.status)
+                            ? t(`dashboard.statuses.${delivery.status}`)
+                            : delivery.status?.replace(/_/g, " ")}
                         </Text>
                       </View>
                       <Ionicons
@@ -2349,8 +2393,7 @@ export default function DashboardScreen({ navigation, route }) {
                       color="#d97706"
                     />
                     <Text style={styles.warningText}>
-                      You're offline but have active deliveries. Complete these
-                      deliveries to receive your earnings.
+                      {t("dashboard.offlineWithActive")}
                     </Text>
                   </View>
                 )}
@@ -2360,7 +2403,9 @@ export default function DashboardScreen({ navigation, route }) {
             {/* Nearby Requests Header */}
             <View style={styles.sectionHeader}>
               <Text style={styles.sectionTitle}>
-                Nearby Requests ({nearbyDeliveries.length})
+                {t("dashboard.nearbyRequests", {
+                  count: nearbyDeliveries.length,
+                })}
               </Text>
               <TouchableOpacity
                 onPress={() => navigation.navigate("AvailableDeliveries")}
@@ -2380,10 +2425,10 @@ export default function DashboardScreen({ navigation, route }) {
                       color="#f59e0b"
                     />
                     <Text style={styles.emptyStateTitle}>
-                      Complete your active deliveries
+                      {t("dashboard.completeActiveTitle")}
                     </Text>
                     <Text style={styles.emptyStateSubtext}>
-                      You can go online after completing current deliveries
+                      {t("dashboard.completeActiveBody")}
                     </Text>
                   </View>
                 ) : (
@@ -2394,10 +2439,10 @@ export default function DashboardScreen({ navigation, route }) {
                       color="#cbd5e1"
                     />
                     <Text style={styles.emptyStateTitle}>
-                      You're currently offline
+                      {t("dashboard.offlineTitle")}
                     </Text>
                     <Text style={styles.emptyStateSubtext}>
-                      Go online to receive delivery requests
+                      {t("dashboard.offlineBody")}
                     </Text>
                   </View>
                 )
@@ -2406,8 +2451,7 @@ export default function DashboardScreen({ navigation, route }) {
                   <View style={styles.nearbySyncBanner}>
                     <ActivityIndicator size="small" color="#06C168" />
                     <Text style={styles.nearbySyncBannerText}>
-                      Updating nearby requests with latest available
-                      deliveries...
+                      {t("dashboard.syncingLatest")}
                     </Text>
                   </View>
                   {[1, 2, 3].map((item) => (
@@ -2428,7 +2472,7 @@ export default function DashboardScreen({ navigation, route }) {
                 <View style={styles.emptyState}>
                   <Ionicons name="warning-outline" size={52} color="#f59e0b" />
                   <Text style={styles.emptyStateTitle}>
-                    Unable to update requests
+                    {t("dashboard.updateFailedTitle")}
                   </Text>
                   <Text style={styles.emptyStateSubtext}>
                     {nearbySyncError}
@@ -2445,7 +2489,7 @@ export default function DashboardScreen({ navigation, route }) {
                     }}
                   >
                     <Text style={styles.retryNearbyButtonText}>
-                      Retry update
+                      {t("dashboard.retryUpdate")}
                     </Text>
                   </TouchableOpacity>
                 </View>
@@ -2454,9 +2498,11 @@ export default function DashboardScreen({ navigation, route }) {
                 !isNearbySyncing ? (
                 <View style={styles.emptyState}>
                   <Ionicons name="cube-outline" size={64} color="#cbd5e1" />
-                  <Text style={styles.emptyStateTitle}>No requests nearby</Text>
+                  <Text style={styles.emptyStateTitle}>
+                    {t("dashboard.noRequestsTitle")}
+                  </Text>
                   <Text style={styles.emptyStateSubtext}>
-                    New orders will appear here
+                    {t("dashboard.noRequestsBody")}
                   </Text>
                 </View>
               ) : nearbyDeliveries.length === 0 ? (
@@ -2465,7 +2511,7 @@ export default function DashboardScreen({ navigation, route }) {
                   <View style={styles.nearbySyncBanner}>
                     <ActivityIndicator size="small" color="#06C168" />
                     <Text style={styles.nearbySyncBannerText}>
-                      Updating nearby requests...
+                      {t("dashboard.syncing")}
                     </Text>
                   </View>
                   {[1, 2, 3].map((item) => (
@@ -2486,18 +2532,28 @@ export default function DashboardScreen({ navigation, route }) {
                   const tripSummary = getDistanceAndTimeSummary(delivery);
                   const chips = breakdown.isFirst
                     ? [
-                        `Delivery Rs. ${breakdown.baseAmount.toFixed(0)}`,
+                        t("driverRequests.deliveryChip", {
+                          amount: formatCurrency(breakdown.baseAmount),
+                        }),
                         breakdown.tipAmount > 0
-                          ? `Tip Rs. ${breakdown.tipAmount.toFixed(0)}`
+                          ? t("driverRequests.tipChip", {
+                              amount: formatCurrency(breakdown.tipAmount),
+                            })
                           : null,
                       ].filter(Boolean)
                     : [
-                        `Delivery Rs. ${breakdown.extraEarnings.toFixed(0)}`,
+                        t("driverRequests.deliveryChip", {
+                          amount: formatCurrency(breakdown.extraEarnings),
+                        }),
                         breakdown.bonusAmount > 0
-                          ? `Bonus Rs. ${breakdown.bonusAmount.toFixed(0)}`
+                          ? t("driverRequests.bonusChip", {
+                              amount: formatCurrency(breakdown.bonusAmount),
+                            })
                           : null,
                         breakdown.tipAmount > 0
-                          ? `Tip Rs. ${breakdown.tipAmount.toFixed(0)}`
+                          ? t("driverRequests.tipChip", {
+                              amount: formatCurrency(breakdown.tipAmount),
+                            })
                           : null,
                       ].filter(Boolean);
 
@@ -2512,21 +2568,21 @@ export default function DashboardScreen({ navigation, route }) {
                             {index === 0 && (
                               <View style={styles.newBadge}>
                                 <Text style={styles.newBadgeText}>
-                                  NEW ORDER
+                                  {t("driverRequests.newOrder")}
                                 </Text>
                               </View>
                             )}
                             {delivery.orders?.length > 1 && (
                               <View style={styles.bulkBadge}>
                                 <Text style={styles.bulkBadgeText}>
-                                  BULK ORDER
+                                  {t("driverRequests.bulkOrder")}
                                 </Text>
                               </View>
                             )}
                           </View>
 
                           <Text style={styles.earningsAmount}>
-                            Rs. {getDeliveryEarnings(delivery)}
+                            {formatCurrency(getDeliveryEarnings(delivery))}
                           </Text>
                           {chips.length > 0 && (
                             <Text style={styles.breakdownText}>
@@ -2543,7 +2599,11 @@ export default function DashboardScreen({ navigation, route }) {
                               />
                               <Text style={styles.metricText}>
                                 {tripSummary.primaryDistance > 0
-                                  ? `${breakdown.isFirst ? "" : "+"}${tripSummary.primaryDistance.toFixed(1)} km`
+                                  ? (breakdown.isFirst ? "" : "+") +
+                                    t("driverRequests.km", {
+                                      distance:
+                                        tripSummary.primaryDistance.toFixed(1),
+                                    })
                                   : "0"}
                               </Text>
                             </View>
@@ -2555,7 +2615,12 @@ export default function DashboardScreen({ navigation, route }) {
                               />
                               <Text style={styles.metricText}>
                                 {tripSummary.primaryMinutes > 0
-                                  ? `${breakdown.isFirst ? "" : "+"}${Math.round(tripSummary.primaryMinutes)} min`
+                                  ? (breakdown.isFirst ? "" : "+") +
+                                    t("driverRequests.minutes", {
+                                      count: Math.round(
+                                        tripSummary.primaryMinutes,
+                                      ),
+                                    })
                                   : "0"}
                               </Text>
                             </View>
@@ -2572,7 +2637,9 @@ export default function DashboardScreen({ navigation, route }) {
                             </Text>
                           </View>
                           <Text style={styles.estimatedTime} numberOfLines={1}>
-                            Drop-off: {getDropoffAddress(delivery)}
+                            {t("driverRequests.dropoff", {
+                              address: getDropoffAddress(delivery),
+                            })}
                           </Text>
                         </View>
                       </View>
@@ -2595,14 +2662,14 @@ export default function DashboardScreen({ navigation, route }) {
                           <>
                             <ActivityIndicator size="small" color="#fff" />
                             <Text style={styles.acceptButtonText}>
-                              Accepting...
+                              {t("driverRequests.accepting")}
                             </Text>
                           </>
                         ) : isNearbySyncing ? (
                           <>
                             <ActivityIndicator size="small" color="#fff" />
                             <Text style={styles.acceptButtonText}>
-                              Updating...
+                              {t("driverRequests.updating")}
                             </Text>
                           </>
                         ) : (
@@ -2613,7 +2680,7 @@ export default function DashboardScreen({ navigation, route }) {
                               color="#fff"
                             />
                             <Text style={styles.acceptButtonText}>
-                              Accept Request
+                              {t("driverRequests.accept")}
                             </Text>
                           </>
                         )}
@@ -2635,8 +2702,9 @@ export default function DashboardScreen({ navigation, route }) {
                   }
                 >
                   <Text style={styles.showMoreNearbyText}>
-                    Show More (+
-                    {Math.min(NEARBY_PAGE_SIZE, remainingNearbyCount)})
+                    {t("dashboard.showMore", {
+                      count: Math.min(NEARBY_PAGE_SIZE, remainingNearbyCount),
+                    })}
                   </Text>
                 </TouchableOpacity>
               )}
@@ -2644,17 +2712,23 @@ export default function DashboardScreen({ navigation, route }) {
 
             {/* Monthly Performance Section */}
             <View style={styles.sectionHeader}>
-              <Text style={styles.sectionTitle}>Monthly Performance</Text>
+              <Text style={styles.sectionTitle}>
+                {t("dashboard.monthlyPerformance")}
+              </Text>
             </View>
             <View style={styles.statsRow}>
               <View style={[styles.statCard, styles.monthlyEarningsCard]}>
-                <Text style={styles.monthlyStatLabel}>Month Earnings</Text>
+                <Text style={styles.monthlyStatLabel}>
+                  {t("dashboard.monthEarnings")}
+                </Text>
                 <Text style={styles.monthlyStatValue}>
-                  Rs. {monthlyStats.earnings.toFixed(0)}
+                  {formatCurrency(monthlyStats.earnings)}
                 </Text>
               </View>
               <View style={[styles.statCard, styles.monthlyDeliveriesCard]}>
-                <Text style={styles.monthlyStatLabel}>Month Deliveries</Text>
+                <Text style={styles.monthlyStatLabel}>
+                  {t("dashboard.monthDeliveries")}
+                </Text>
                 <Text style={styles.monthlyStatValue}>
                   {monthlyStats.deliveries}
                 </Text>
@@ -2665,7 +2739,9 @@ export default function DashboardScreen({ navigation, route }) {
             {safeRecentDeliveries.length > 0 && (
               <>
                 <View style={styles.sectionHeader}>
-                  <Text style={styles.sectionTitle}>Recent Deliveries</Text>
+                  <Text style={styles.sectionTitle}>
+                    {t("dashboard.recentDeliveries")}
+                  </Text>
                 </View>
                 <View style={styles.section}>
                   {safeRecentDeliveries.map((delivery) => (
@@ -2679,22 +2755,23 @@ export default function DashboardScreen({ navigation, route }) {
                       </View>
                       <View style={styles.recentDeliveryInfo}>
                         <Text style={styles.recentDeliveryRestaurant}>
-                          {delivery.restaurant_name || "Restaurant"}
+                          {delivery.restaurant_name || t("menu.restaurant")}
                         </Text>
                         <Text style={styles.recentDeliveryOrder}>
-                          Order #{delivery.order_number || "N/A"}
+                          {t("dashboard.orderNumber", {
+                            number:
+                              delivery.order_number ||
+                              t("dashboard.notAvailable"),
+                          })}
                         </Text>
                         <Text style={styles.recentDeliveryEarnings}>
-                          Rs.{" "}
-                          {parseFloat(delivery.driver_earnings || 0).toFixed(2)}
+                          {formatCurrency(delivery.driver_earnings)}
                         </Text>
                       </View>
                       <View style={styles.recentDeliveryTime}>
                         <Text style={styles.recentDeliveryDate}>
                           {delivery.delivered_at
-                            ? new Date(
-                                delivery.delivered_at,
-                              ).toLocaleDateString("en-US", {
+                            ? formatDate(delivery.delivered_at, {
                                 month: "short",
                                 day: "numeric",
                               })
@@ -2702,9 +2779,7 @@ export default function DashboardScreen({ navigation, route }) {
                         </Text>
                         <Text style={styles.recentDeliveryTimeText}>
                           {delivery.delivered_at
-                            ? new Date(
-                                delivery.delivered_at,
-                              ).toLocaleTimeString("en-US", {
+                            ? formatTime(delivery.delivered_at, {
                                 hour: "2-digit",
                                 minute: "2-digit",
                               })
@@ -2721,18 +2796,22 @@ export default function DashboardScreen({ navigation, route }) {
             <TouchableOpacity
               style={styles.logoutBtn}
               onPress={() =>
-                Alert.alert("Logout", "Are you sure you want to logout?", [
-                  { text: "Cancel", style: "cancel" },
-                  {
-                    text: "Logout",
-                    style: "destructive",
-                    onPress: async () => await logout(),
-                  },
-                ])
+                Alert.alert(
+                  t("profile.logoutTitle"),
+                  t("profile.logoutMessage"),
+                  [
+                    { text: t("common.cancel"), style: "cancel" },
+                    {
+                      text: t("auth.logout"),
+                      style: "destructive",
+                      onPress: async () => await logout(),
+                    },
+                  ],
+                )
               }
             >
               <Ionicons name="log-out-outline" size={20} color="#dc2626" />
-              <Text style={styles.logoutBtnText}>Logout</Text>
+              <Text style={styles.logoutBtnText}>{t("auth.logout")}</Text>
             </TouchableOpacity>
 
             <View style={{ height: 100 }} />
@@ -15,6 +15,7 @@ import {
   useSafeAreaInsets,
 } from "react-native-safe-area-context";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import OptimizedImage from "../../components/common/OptimizedImage";
 import { API_URL } from "../../config/env";
 import { getAccessToken } from "../../lib/authStorage";
@@ -84,6 +85,7 @@ function SectionRow({ icon, title, subtitle, onPress, isLast = false }) {
 
 export default function DriverAccountProfileScreen({ navigation }) {
   const { logout, user } = useAuth();
+  const { t } = useLocale();
   const queryClient = useQueryClient();
   const insets = useSafeAreaInsets();
   const [cacheHydrated, setCacheHydrated] = useState(false);
@@ -245,6 +247,18 @@ export default function DriverAccountProfileScreen({ navigation }) {
             subtitle="Accepted driver contract"
             onPress={() => navigation.navigate("DriverContract")}
           />
+          <SectionRow
+            icon="calendar-outline"
+            title={t("shifts.title")}
+            subtitle={t("shifts.menuSubtitle")}
+            onPress={() => navigation.navigate("DriverShifts")}
+          />
+          <SectionRow
+            icon="map-outline"
+            title={t("offlineMaps.title")}
+            subtitle={t("offlineMaps.menuSubtitle")}
+            onPress={() => navigation.navigate("OfflineMaps")}
+          />
           <SectionRow
             icon="shield-checkmark-outline"
             title="Privacy Policy"
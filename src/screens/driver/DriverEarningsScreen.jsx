@@ -1,8 +1,9 @@
 import { Ionicons } from "@expo/vector-icons";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
-import { useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import {
   ActivityIndicator,
+  DeviceEventEmitter,
   Dimensions,
   RefreshControl,
   ScrollView,
@@ -14,11 +15,16 @@ import {
 import { LineChart } from "react-native-chart-kit";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import { DriverDashboardLoadingSkeleton } from "../../components/driver/DriverAppLoadingSkeletons";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
 import DriverScreenHeader from "../../components/driver/DriverScreenHeader";
 import { API_URL } from "../../config/env";
 import { getAccessToken } from "../../lib/authStorage";
+import {
+  OFFER_OUTCOME_EVENT,
+  getAcceptanceStats,
+} from "../../services/deliveryOfferService";
 
 const PERIOD_OPTIONS = [
   { value: "all", label: "All Time" },
@@ -82,6 +88,9 @@ const isDateInSelectedPeriod = (dateKey, selectedPeriod, todayKey) => {
 
 const formatCurrency = (value) => `Rs ${Number(value || 0).toFixed(2)}`;
 
+const formatRate = (rate) =>
+  rate == null ? "-" : `${Math.round(Number(rate) * 100)}%`;
+
 async function authFetchJson(url) {
   const token = await getAccessToken();
   if (!token) throw new Error("No authentication token");
@@ -100,12 +109,31 @@ async function authFetchJson(url) {
 
 export default function DriverEarningsScreen({ navigation }) {
   const { user } = useAuth();
+  const { t } = useLocale();
   const userScope = String(user?.id || "anon");
   const [period, setPeriod] = useState("all");
   const [chartPeriod, setChartPeriod] = useState("week");
   const [refreshing, setRefreshing] = useState(false);
+  const [acceptance, setAcceptance] = useState(null);
   const queryClient = useQueryClient();
 
+  const loadAcceptance = useCallback(async () => {
+    try {
+      setAcceptance(await getAcceptanceStats());
+    } catch {
+      // Keep the last known rate.
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAcceptance();
+    const subscription = DeviceEventEmitter.addListener(
+      OFFER_OUTCOME_EVENT,
+      loadAcceptance,
+    );
+    return () => subscription.remove();
+  }, [loadAcceptance, userScope]);
+
   const summaryQueryKey = ["driver", userScope, "earnings", "summary", period];
   const allTimeSummaryQueryKey = [
     "driver",
@@ -175,9 +203,12 @@ export default function DriverEarningsScreen({ navigation }) {
   const onRefresh = async () => {
     setRefreshing(true);
     try {
-      await queryClient.invalidateQueries({
-        queryKey: ["driver", userScope, "earnings"],
-      });
+      await Promise.all([
+        queryClient.invalidateQueries({
+          queryKey: ["driver", userScope, "earnings"],
+        }),
+        loadAcceptance(),
+      ]);
     } finally {
       setRefreshing(false);
     }
@@ -488,6 +519,54 @@ export default function DriverEarningsScreen({ navigation }) {
               </View>
             </View>
 
+            <View style={s.todayCard}>
+              <View style={s.rowBetween}>
+                <Text style={s.sectionTitle}>
+                  {t("offers.acceptanceTitle")}
+                </Text>
+                <Text style={s.sectionDate}>{t("offers.lastDays")}</Text>
+              </View>
+
+              <Text style={s.acceptanceValue}>
+                {formatRate(acceptance?.rate)}
+              </Text>
+              <Text style={s.acceptanceHint}>
+                {acceptance?.total
+                  ? t("offers.acceptedOf", {
+                      accepted: acceptance.accepted,
+                      count: acceptance.total,
+                    })
+                  : t("offers.noneAnswered")}
+              </Text>
+
+              <View style={s.todayGrid}>
+                <View style={s.todayMetric}>
+                  <Text style={s.todayMetricLabel}>
+                    {t("offers.accepted")}
+                  </Text>
+                  <Text style={s.todayMetricValue}>
+                    {acceptance?.accepted || 0}
+                  </Text>
+                </View>
+                <View style={s.todayMetric}>
+                  <Text style={s.todayMetricLabel}>
+                    {t("offers.declined")}
+                  </Text>
+                  <Text style={s.todayMetricValue}>
+                    {acceptance?.declined || 0}
+                  </Text>
+                </View>
+                <View style={s.todayMetric}>
+                  <Text style={s.todayMetricLabel}>
+                    {t("offers.expired")}
+                  </Text>
+                  <Text style={s.todayMetricValue}>
+                    {acceptance?.expired || 0}
+                  </Text>
+                </View>
+              </View>
+            </View>
+
             <View style={s.chartCard}>
               <View style={s.rowBetween}>
                 <Text style={s.sectionTitle}>Earnings Performance</Text>
@@ -729,6 +808,13 @@ const s = StyleSheet.create({
     color: "#111827",
     fontWeight: "800",
   },
+  acceptanceValue: {
+    marginTop: 10,
+    fontSize: 30,
+    color: "#06C168",
+    fontWeight: "800",
+  },
+  acceptanceHint: { marginTop: 2, fontSize: 12, color: "#6b7280" },
   avgRow: {
     marginTop: 12,
     borderTopWidth: 1,
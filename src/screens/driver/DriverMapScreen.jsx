@@ -16,7 +16,7 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Location from "expo-location";
 import { useQueryClient } from "@tanstack/react-query";
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import {
   ActivityIndicator,
   Alert,
@@ -38,14 +38,30 @@ import {
   SafeAreaView,
   useSafeAreaInsets,
 } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
 import { DriverMapSheetLoadingSkeleton } from "../../components/driver/DriverAppLoadingSkeletons";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
+import DeliveryPinSheet from "../../components/driver/DeliveryPinSheet";
 import DeliveryProofUpload from "../../components/driver/DeliveryProofUpload";
 import FreeMapView from "../../components/maps/FreeMapView";
 import StatusTransitionOverlay from "../../components/driver/StatusTransitionOverlay";
 import SwipeToDeliver from "../../components/driver/SwipeToDeliver";
+import TurnByTurnPanel from "../../components/driver/TurnByTurnPanel";
+import PendingSyncBadge from "../../components/driver/PendingSyncBadge";
 import { API_BASE_URL } from "../../constants/api";
+import useDriverActionQueue from "../../hooks/useDriverActionQueue";
+import useTurnByTurnNavigation from "../../hooks/useTurnByTurnNavigation";
+import { translate } from "../../i18n";
 import { getAccessToken } from "../../lib/authStorage";
+import { cacheDeliveryCorridor } from "../../services/offlineTileService";
+import {
+  hasPendingDriverAction,
+  submitDriverAction,
+} from "../../services/driverActionQueue";
+import {
+  requiresDeliveryPin,
+  toHandoverPayload,
+} from "../../utils/deliveryPin";
 import {
   approximateDistanceMeters,
   fetchOSRMRoute as fetchResilientOSRMRoute,
@@ -126,7 +142,6 @@ const fetchOSRMRoute = async (fromLat, fromLng, toLat, toLng) => {
   const route = await fetchResilientOSRMRoute({
     from: { latitude: fromLat, longitude: fromLng },
     to: { latitude: toLat, longitude: toLng },
-    profile: "foot",
     timeoutMs: 10000,
     retries: 2,
     overview: "full",
@@ -146,7 +161,7 @@ const fetchOSRMRoute = async (fromLat, fromLng, toLat, toLng) => {
   return { success: false };
 };
 
-function MetricBadge({ type, value, unit }) {
+function MetricBadge({ type, label }) {
   const isDistance = type === "distance";
 
   return (
@@ -164,11 +179,17 @@ function MetricBadge({ type, value, unit }) {
           />
         )}
       </Svg>
-      <Text style={styles.metricBadgeText}>{`${value} ${unit}`}</Text>
+      <Text style={styles.metricBadgeText}>{label}</Text>
     </View>
   );
 }
 
+function formatItemSize(size) {
+  if (size === "regular") return translate("menu.sizeRegular");
+  if (size === "large") return translate("menu.sizeLarge");
+  return size.charAt(0).toUpperCase() + size.slice(1);
+}
+
 function toSafeMapTarget(latitude, longitude) {
   const lat = Number.parseFloat(latitude);
   const lng = Number.parseFloat(longitude);
@@ -182,6 +203,29 @@ function toSafeMapTarget(latitude, longitude) {
   };
 }
 
+// Navigation stops in route order: every pickup, then every drop-off.
+// Consecutive pickups at the same restaurant collapse into one stop.
+function buildNavigationStops(pickups, deliveries) {
+  const stops = [];
+  const push = (place, label) => {
+    const target = toSafeMapTarget(place?.latitude, place?.longitude);
+    if (!target || (target.latitude === 0 && target.longitude === 0)) return;
+    const last = stops[stops.length - 1];
+    if (last && approximateDistanceMeters(last, target) < 25) return;
+    stops.push({ ...target, label });
+  };
+  asArray(pickups).forEach((p) =>
+    push(
+      p.restaurant,
+      p.restaurant?.name || translate("navigation.restaurant"),
+    ),
+  );
+  asArray(deliveries).forEach((d) =>
+    push(d.customer, d.customer?.name || translate("navigation.customer")),
+  );
+  return stops;
+}
+
 function normalizeDeliveryId(value) {
   if (value == null) return null;
   const normalized = String(value).trim();
@@ -204,16 +248,16 @@ function mapActiveDeliveryToMapItem(delivery) {
   return {
     delivery_id: delivery?.id,
     order_id: delivery?.order_id,
-    order_number: order?.order_number || "N/A",
+    order_number: order?.order_number || translate("driverMap.noOrderNumber"),
     status: status || "accepted",
     restaurant: {
-      name: restaurant?.name || "Restaurant",
+      name: restaurant?.name || translate("navigation.restaurant"),
       address: restaurant?.address || "",
       latitude: restaurant?.latitude || 0,
       longitude: restaurant?.longitude || 0,
     },
     customer: {
-      name: order?.customer?.name || "Customer",
+      name: order?.customer?.name || translate("navigation.customer"),
       phone: order?.customer?.phone || "",
       address: deliveryLocation?.address || "",
       latitude: deliveryLocation?.latitude || 0,
@@ -291,6 +335,7 @@ function isFreshAccurateLiveSample(position) {
 // ============================================================================
 
 export default function DriverMapScreen({ route, navigation }) {
+  const { t } = useLocale();
   const queryClient = useQueryClient();
   const insets = useSafeAreaInsets();
   const params = route.params || {};
@@ -326,6 +371,8 @@ export default function DriverMapScreen({ route, navigation }) {
   const [targetForMap, setTargetForMap] = useState(null);
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
+  const [pinSheetVisible, setPinSheetVisible] = useState(false);
+  const { actions: queuedActions } = useDriverActionQueue();
   const [isMapRefreshing, setIsMapRefreshing] = useState(false);
   const [routeCoords, setRouteCoords] = useState([]);
   const [routeInfo, setRouteInfo] = useState(null);
@@ -336,6 +383,25 @@ export default function DriverMapScreen({ route, navigation }) {
   const [overlayStatus, setOverlayStatus] = useState("processing");
   const [overlayActionType, setOverlayActionType] = useState("pickup");
   const [overlayErrorMsg, setOverlayErrorMsg] = useState("");
+  const [navigating, setNavigating] = useState(false);
+  const [voiceMuted, setVoiceMuted] = useState(false);
+
+  const navigationStops = useMemo(
+    () => buildNavigationStops(pickups, deliveriesList),
+    [pickups, deliveriesList],
+  );
+  const guidance = useTurnByTurnNavigation({
+    enabled: navigating,
+    stops: navigationStops,
+    muted: voiceMuted,
+  });
+
+  // Keep map tiles along the remaining stops on disk for patchy coverage.
+  // The service skips the download while the stops are unchanged.
+  useEffect(() => {
+    if (!driverLocation || navigationStops.length === 0) return;
+    cacheDeliveryCorridor([driverLocation, ...navigationStops]);
+  }, [driverLocation, navigationStops]);
 
   const mapTabBarHeight = 70 + insets.bottom;
   const collapsedSheetHeight = SCREEN_HEIGHT * 0.4;
@@ -643,10 +709,10 @@ export default function DriverMapScreen({ route, navigation }) {
                     order_number:
                       d.order && d.order.order_number
                         ? d.order.order_number
-                        : "N/A",
+                        : translate("driverMap.noOrderNumber"),
                     status: d.status,
                     restaurant: (d.order && d.order.restaurant) || {
-                      name: "Restaurant",
+                      name: translate("navigation.restaurant"),
                       address: "",
                       latitude: 0,
                       longitude: 0,
@@ -656,7 +722,7 @@ export default function DriverMapScreen({ route, navigation }) {
                         (d.order &&
                           d.order.customer &&
                           d.order.customer.name) ||
-                        "Customer",
+                        translate("navigation.customer"),
                       phone:
                         (d.order &&
                           d.order.customer &&
@@ -690,10 +756,10 @@ export default function DriverMapScreen({ route, navigation }) {
                     order_number:
                       d.order && d.order.order_number
                         ? d.order.order_number
-                        : "N/A",
+                        : translate("driverMap.noOrderNumber"),
                     status: d.status,
                     restaurant: (d.order && d.order.restaurant) || {
-                      name: "Restaurant",
+                      name: translate("navigation.restaurant"),
                       address: "",
                       latitude: 0,
                       longitude: 0,
@@ -703,7 +769,7 @@ export default function DriverMapScreen({ route, navigation }) {
                         (d.order &&
                           d.order.customer &&
                           d.order.customer.name) ||
-                        "Customer",
+                        translate("navigation.customer"),
                       phone:
                         (d.order &&
                           d.order.customer &&
@@ -1146,34 +1212,25 @@ export default function DriverMapScreen({ route, navigation }) {
   // ACTIONS (Correct endpoints: /driver/deliveries/:id/status)
   // ============================================================================
 
-  const patchDeliveryStatus = async (targetId, status) => {
-    const token = await getAccessToken();
-    if (!token) {
-      throw new Error("Authentication session is unavailable");
-    }
-
-    const res = await fetch(
-      API_BASE_URL + "/driver/deliveries/" + targetId + "/status",
-      {
-        method: "PATCH",
-        headers: {
-          Authorization: "Bearer " + token,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          status,
-          latitude: driverLocation ? driverLocation.latitude : null,
-          longitude: driverLocation ? driverLocation.longitude : null,
-        }),
+  // Goes through the offline outbox: when the network is down the update is
+  // queued and { queued: true } comes back so the UI can stay optimistic.
+  const patchDeliveryStatus = async (targetId, status, extra = {}) => {
+    const result = await submitDriverAction({
+      type: "status",
+      deliveryId: targetId,
+      payload: {
+        status,
+        latitude: driverLocation ? driverLocation.latitude : null,
+        longitude: driverLocation ? driverLocation.longitude : null,
+        ...extra,
       },
-    );
+    });
 
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) {
-      throw new Error(data?.message || "Failed to update delivery status");
+    if (!result.ok) {
+      throw new Error(result.message || t("driverMap.errors.statusUpdate"));
     }
 
-    return data;
+    return result.queued ? { queued: true } : result.data;
   };
 
   const refreshMapAfterStatusAction = async () => {
@@ -1214,9 +1271,14 @@ export default function DriverMapScreen({ route, navigation }) {
       const data = await patchDeliveryStatus(targetId, "picked_up");
       
       // DEFENSIVE CHECK: Verify backend actually updated the database
-      if (!data?.delivery || !["picked_up", "on_the_way"].includes(data.delivery.status)) {
+      if (
+        !data?.queued &&
+        (!data?.delivery || !["picked_up", "on_the_way"].includes(data.delivery.status))
+      ) {
         throw new Error(
-          `Backend validation failed: delivery status is ${data?.delivery?.status || "unknown"}, expected picked_up or on_the_way. Database may not have been updated.`
+          t("driverMap.errors.pickupNotSaved", {
+            status: data?.delivery?.status || "unknown",
+          }),
         );
       }
       
@@ -1234,12 +1296,13 @@ export default function DriverMapScreen({ route, navigation }) {
 
       setOverlayStatus("success");
       overlayCallbackRef.current = async () => {
-        await refreshMapAfterStatusAction();
+        // A refetch would overwrite the optimistic state until the queue syncs.
+        if (!data?.queued) await refreshMapAfterStatusAction();
         finishStatusAction();
       };
     } catch (e) {
       console.warn("Pickup status update failed", e?.message || e);
-      setOverlayErrorMsg(e?.message || "Pickup status update failed");
+      setOverlayErrorMsg(e?.message || t("driverMap.errors.pickupFailed"));
       setOverlayStatus("error");
       overlayCallbackRef.current = async () => {
         await refreshMapAfterStatusAction();
@@ -1248,8 +1311,20 @@ export default function DriverMapScreen({ route, navigation }) {
     }
   };
 
-  const handleDelivered = async () => {
+  // Orders that need the customer's PIN open the PIN sheet first; the
+  // sheet calls handleDelivered with the PIN or the fallback proof.
+  const handleDeliverSwipe = () => {
+    if (!currentTarget || updating || isMapRefreshing) return;
+    if (requiresDeliveryPin(currentTarget)) {
+      setPinSheetVisible(true);
+      return;
+    }
+    handleDelivered();
+  };
+
+  const handleDelivered = async (handover = null) => {
     if (!currentTarget || updating || isMapRefreshing) return;
+    setPinSheetVisible(false);
 
     const actionTarget = currentTarget;
     const targetId = normalizeDeliveryId(actionTarget?.delivery_id);
@@ -1264,12 +1339,18 @@ export default function DriverMapScreen({ route, navigation }) {
     setOverlayVisible(true);
 
     try {
-      const data = await patchDeliveryStatus(targetId, "delivered");
+      const data = await patchDeliveryStatus(
+        targetId,
+        "delivered",
+        toHandoverPayload(handover),
+      );
       
       // DEFENSIVE CHECK: Verify backend actually updated the database
-      if (!data?.delivery || data.delivery.status !== "delivered") {
+      if (!data?.queued && (!data?.delivery || data.delivery.status !== "delivered")) {
         throw new Error(
-          `Backend validation failed: delivery status is ${data?.delivery?.status || "unknown"}, expected delivered. Database may not have been updated.`
+          t("driverMap.errors.deliveryNotSaved", {
+            status: data?.delivery?.status || "unknown",
+          }),
         );
       }
       
@@ -1299,12 +1380,13 @@ export default function DriverMapScreen({ route, navigation }) {
 
       setOverlayStatus("success");
       overlayCallbackRef.current = async () => {
-        await refreshMapAfterStatusAction();
+        // A refetch would overwrite the optimistic state until the queue syncs.
+        if (!data?.queued) await refreshMapAfterStatusAction();
         finishStatusAction();
       };
     } catch (e) {
       console.warn("Delivery status update failed", e?.message || e);
-      setOverlayErrorMsg(e?.message || "Delivery status update failed");
+      setOverlayErrorMsg(e?.message || t("driverMap.errors.deliveryFailed"));
       setOverlayStatus("error");
       overlayCallbackRef.current = async () => {
         await refreshMapAfterStatusAction();
@@ -1380,6 +1462,7 @@ export default function DriverMapScreen({ route, navigation }) {
     function () {
       if (
         !userInteracted &&
+        !navigating &&
         driverLocation &&
         targetForMap &&
         !hasAutoFitRef.current
@@ -1409,6 +1492,7 @@ export default function DriverMapScreen({ route, navigation }) {
       driverLocation,
       targetForMap,
       userInteracted,
+      navigating,
       routeCoords,
       sheetExpanded,
       insets.top,
@@ -1461,14 +1545,35 @@ export default function DriverMapScreen({ route, navigation }) {
         "geo:0,0?q=" + targetForMap.latitude + "," + targetForMap.longitude,
     });
     Linking.openURL(url).catch(function () {
-      Alert.alert("Error", "Could not open maps app");
+      Alert.alert(t("driverMap.errorTitle"), t("driverMap.errors.openMaps"));
     });
   };
 
+  // Keep the camera on the driver while navigating unless they pan away.
+  useEffect(
+    function () {
+      if (!navigating || userInteracted || !guidance.location) return;
+      mapRef.current?.animateToRegion?.({
+        latitude: guidance.location.latitude,
+        longitude: guidance.location.longitude,
+        latitudeDelta: 0.006,
+        longitudeDelta: 0.006,
+      });
+    },
+    [navigating, userInteracted, guidance.location],
+  );
+
+  useEffect(
+    function () {
+      if (navigating && navigationStops.length === 0) setNavigating(false);
+    },
+    [navigating, navigationStops.length],
+  );
+
   const handleCall = (phone) => {
     if (!phone) return;
     Linking.openURL("tel:" + phone).catch(function () {
-      Alert.alert("Error", "Could not make call");
+      Alert.alert(t("driverMap.errorTitle"), t("driverMap.errors.call"));
     });
   };
 
@@ -1493,7 +1598,7 @@ export default function DriverMapScreen({ route, navigation }) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.emptyEmoji}>📭</Text>
-        <Text style={styles.emptyText}>No active deliveries found</Text>
+        <Text style={styles.emptyText}>{t("driverMap.emptyTitle")}</Text>
         <Pressable
           style={styles.goBackBtn}
           onPress={() =>
@@ -1503,7 +1608,7 @@ export default function DriverMapScreen({ route, navigation }) {
             })
           }
         >
-          <Text style={styles.goBackBtnText}>Go Back</Text>
+          <Text style={styles.goBackBtnText}>{t("driverMap.goBack")}</Text>
         </Pressable>
       </View>
     );
@@ -1514,6 +1619,11 @@ export default function DriverMapScreen({ route, navigation }) {
     outputRange: [400, 0],
   });
 
+  const visibleRouteCoords =
+    navigating && guidance.routeCoords.length > 1
+      ? guidance.routeCoords
+      : routeCoords;
+
   return (
     <Animated.View
       style={[
@@ -1531,6 +1641,18 @@ export default function DriverMapScreen({ route, navigation }) {
         },
       ]}
     >
+      <DeliveryPinSheet
+        visible={pinSheetVisible}
+        deliveryId={currentTarget?.delivery_id}
+        existingProofUrl={
+          currentTarget?.delivery_proof_url ||
+          currentTarget?.proof_photo_url ||
+          null
+        }
+        onConfirm={handleDelivered}
+        onClose={() => setPinSheetVisible(false)}
+      />
+
       <StatusTransitionOverlay
         visible={overlayVisible}
         status={overlayStatus}
@@ -1576,17 +1698,17 @@ export default function DriverMapScreen({ route, navigation }) {
               : []),
           ]}
           polylines={
-            routeCoords.length > 1
+            visibleRouteCoords.length > 1
               ? [
                   {
                     id: "route-outline",
-                    coordinates: routeCoords,
+                    coordinates: visibleRouteCoords,
                     strokeColor: "#ffffff",
                     strokeWidth: 14,
                   },
                   {
                     id: "route",
-                    coordinates: routeCoords,
+                    coordinates: visibleRouteCoords,
                     strokeColor: "#2563eb",
                     strokeWidth: 9,
                   },
@@ -1597,52 +1719,72 @@ export default function DriverMapScreen({ route, navigation }) {
         />
       )}
 
-      <DriverScreenSection screenKey="DriverMap" sectionIndex={0}>
-        {/* TOP HEADER */}
-        <SafeAreaView style={styles.topContainer} edges={["top"]}>
-          <Pressable
-            style={styles.backButton}
-            onPress={() => navigation.goBack()}
-          >
-            <Text style={styles.backButtonText}>{"‹"}</Text>
-          </Pressable>
-        </SafeAreaView>
-      </DriverScreenSection>
+      {navigating ? (
+        <TurnByTurnPanel
+          guidance={guidance}
+          stopCount={navigationStops.length}
+          muted={voiceMuted}
+          onToggleMute={() => setVoiceMuted((value) => !value)}
+          onOpenExternal={openGoogleMaps}
+          onExit={() => setNavigating(false)}
+          topInset={insets.top}
+        />
+      ) : (
+        <DriverScreenSection screenKey="DriverMap" sectionIndex={0}>
+          {/* TOP HEADER */}
+          <SafeAreaView style={styles.topContainer} edges={["top"]}>
+            <Pressable
+              style={styles.backButton}
+              onPress={() => navigation.goBack()}
+            >
+              <Text style={styles.backButtonText}>{"‹"}</Text>
+            </Pressable>
+          </SafeAreaView>
+        </DriverScreenSection>
+      )}
 
       {/* NAVIGATE BUTTON */}
-      <Pressable
-        style={[
-          styles.navigateBtn,
-          {
-            bottom: sheetExpanded
-              ? SCREEN_HEIGHT * 0.6 + mapTabBarHeight + 12
-              : SCREEN_HEIGHT * 0.4 + mapTabBarHeight + 12,
-          },
-        ]}
-        onPress={openGoogleMaps}
-      >
-        <Svg
-          width={17}
-          height={17}
-          viewBox="0 0 24 24"
-          style={styles.navigateBtnIcon}
+      {!navigating && (
+        <Pressable
+          style={[
+            styles.navigateBtn,
+            {
+              bottom: sheetExpanded
+                ? SCREEN_HEIGHT * 0.6 + mapTabBarHeight + 12
+                : SCREEN_HEIGHT * 0.4 + mapTabBarHeight + 12,
+            },
+          ]}
+          onPress={() => {
+            setUserInteracted(false);
+            setNavigating(true);
+          }}
+          disabled={navigationStops.length === 0}
         >
-          <Path
-            d="M21 3 11 13"
-            stroke="#fff"
-            strokeWidth={2.4}
-            strokeLinecap="round"
-          />
-          <Path
-            d="m21 3-6.4 18-3.6-8-8-3.6L21 3Z"
-            stroke="#fff"
-            strokeWidth={2}
-            strokeLinejoin="round"
-            fill="none"
-          />
-        </Svg>
-        <Text style={styles.navigateBtnText}>Navigate</Text>
-      </Pressable>
+          <Svg
+            width={17}
+            height={17}
+            viewBox="0 0 24 24"
+            style={styles.navigateBtnIcon}
+          >
+            <Path
+              d="M21 3 11 13"
+              stroke="#fff"
+              strokeWidth={2.4}
+              strokeLinecap="round"
+            />
+            <Path
+              d="m21 3-6.4 18-3.6-8-8-3.6L21 3Z"
+              stroke="#fff"
+              strokeWidth={2}
+              strokeLinejoin="round"
+              fill="none"
+            />
+          </Svg>
+          <Text style={styles.navigateBtnText}>
+            {t("navigation.navigate")}
+          </Text>
+        </Pressable>
+      )}
 
       <Pressable
         style={[
@@ -1703,20 +1845,30 @@ export default function DriverMapScreen({ route, navigation }) {
           showsVerticalScrollIndicator={false}
           bounces={false}
         >
+          <PendingSyncBadge style={styles.pendingSyncBadge} />
+
           {mode === "pickup" ? (
             <PickupDetails
               target={currentTarget}
               onPickedUp={handlePickedUp}
               onNavigate={openGoogleMaps}
               updating={updating || isMapRefreshing}
+              pendingSync={hasPendingDriverAction(
+                queuedActions,
+                currentTarget?.delivery_id,
+              )}
               swipeTextStyle={styles.pickupSwipeText}
             />
           ) : (
             <DeliveryDetails
               target={currentTarget}
-              onDelivered={handleDelivered}
+              onDelivered={handleDeliverSwipe}
               onCall={handleCall}
               updating={updating || isMapRefreshing}
+              pendingSync={hasPendingDriverAction(
+                queuedActions,
+                currentTarget?.delivery_id,
+              )}
             />
           )}
 
@@ -1724,7 +1876,9 @@ export default function DriverMapScreen({ route, navigation }) {
           {mode === "pickup" && pickups.length > 1 && (
             <View style={styles.upcomingSection}>
               <Text style={styles.upcomingTitle}>
-                {"Upcoming Pickups (" + Math.max(0, pickups.length - 1) + ")"}
+                {t("driverMap.upcomingPickups", {
+                  count: Math.max(0, pickups.length - 1),
+                })}
               </Text>
               {pickups
                 .map((p, i) => ({ p, i }))
@@ -1743,7 +1897,7 @@ export default function DriverMapScreen({ route, navigation }) {
                         <Text style={styles.upcomingName}>
                           {(p.restaurant && p.restaurant.name) ||
                             p.restaurantname ||
-                            "Restaurant"}
+                            t("navigation.restaurant")}
                         </Text>
                         <Text style={styles.upcomingMeta}>
                           {"#" + (p.order_number || p.delivery_id)}
@@ -1759,7 +1913,9 @@ export default function DriverMapScreen({ route, navigation }) {
           {mode === "deliver" && deliveriesList.length > 1 && (
             <View style={styles.upcomingSection}>
               <Text style={styles.upcomingTitle}>
-                {"Upcoming Deliveries (" + Math.max(0, deliveriesList.length - 1) + ")"}
+                {t("driverMap.upcomingDeliveries", {
+                  count: Math.max(0, deliveriesList.length - 1),
+                })}
               </Text>
               {deliveriesList
                 .map((d, i) => ({ d, i }))
@@ -1778,7 +1934,7 @@ export default function DriverMapScreen({ route, navigation }) {
                         <Text style={styles.upcomingName}>
                           {(d.customer && d.customer.name) ||
                             d.name ||
-                            "Customer"}
+                            t("navigation.customer")}
                         </Text>
                         <Text style={styles.upcomingMeta}>
                           {"#" + (d.order_number || d.delivery_id)}
@@ -1799,7 +1955,7 @@ export default function DriverMapScreen({ route, navigation }) {
                 onPress={handleStartDelivery}
               >
                 <Text style={styles.startDeliveryBtnText}>
-                  {"🚀 START DELIVERY"}
+                  {"🚀 " + t("driverMap.startDelivery")}
                 </Text>
               </Pressable>
             )}
@@ -1818,7 +1974,7 @@ export default function DriverMapScreen({ route, navigation }) {
         ]}
       >
         <TabBarItem
-          label="Home"
+          label={t("tabs.home")}
           icon="home"
           focused={false}
           onPress={() =>
@@ -1828,7 +1984,7 @@ export default function DriverMapScreen({ route, navigation }) {
           }
         />
         <TabBarItem
-          label="Available"
+          label={t("tabs.available")}
           icon="list"
           focused={false}
           onPress={() =>
@@ -1838,13 +1994,13 @@ export default function DriverMapScreen({ route, navigation }) {
           }
         />
         <TabBarItem
-          label="Active"
+          label={t("tabs.active")}
           icon="location"
           focused={true}
           onPress={() => {}}
         />
         <TabBarItem
-          label="Earnings"
+          label={t("tabs.earnings")}
           icon="wallet"
           focused={false}
           onPress={() =>
@@ -1854,7 +2010,7 @@ export default function DriverMapScreen({ route, navigation }) {
           }
         />
         <TabBarItem
-          label="Payment"
+          label={t("tabs.payment")}
           icon="card"
           focused={false}
           onPress={() =>
@@ -1893,8 +2049,10 @@ function PickupDetails({
   onPickedUp,
   onNavigate,
   updating,
+  pendingSync,
   swipeTextStyle,
 }) {
+  const { t } = useLocale();
   let restaurant = target.restaurant || {};
   let orderItems = target.order_items || target.items || [];
 
@@ -1903,20 +2061,26 @@ function PickupDetails({
       {/* Block 1: Order number + distance + time */}
       <View style={styles.orderHeaderCard}>
         <View>
-          <Text style={styles.orderHeaderLabel}>ORDER ID</Text>
+          <Text style={styles.orderHeaderLabel}>
+            {t("driverMap.orderId")}
+          </Text>
           <Text style={styles.orderHeaderValue}>
             {"#" + (target.order_number || target.delivery_id)}
           </Text>
         </View>
         <View style={styles.orderHeaderBadges}>
           {target.distance_km ? (
-            <MetricBadge type="distance" value={target.distance_km} unit="km" />
+            <MetricBadge
+              type="distance"
+              label={t("navigation.kilometers", { value: target.distance_km })}
+            />
           ) : null}
           {target.estimated_time_minutes ? (
             <MetricBadge
               type="time"
-              value={target.estimated_time_minutes}
-              unit="min"
+              label={t("navigation.minutes", {
+                count: target.estimated_time_minutes,
+              })}
             />
           ) : null}
         </View>
@@ -1927,10 +2091,14 @@ function PickupDetails({
         <View style={styles.infoCardRow}>
           <View style={styles.infoCardMain}>
             <Text style={[styles.infoCardName, styles.pickupInfoCardName]}>
-              {restaurant.name || target.restaurantname || "Restaurant"}
+              {restaurant.name ||
+                target.restaurantname ||
+                t("navigation.restaurant")}
             </Text>
             <Text style={styles.infoCardAddress}>
-              {restaurant.address || target.restaurantaddress || "No address"}
+              {restaurant.address ||
+                target.restaurantaddress ||
+                t("activeDeliveries.noAddress")}
             </Text>
           </View>
           <Pressable style={styles.navigateIconBtn} onPress={onNavigate}>
@@ -1942,10 +2110,12 @@ function PickupDetails({
       {/* Block 3: Order items */}
       {orderItems.length > 0 && (
         <View style={styles.itemsSection}>
-          <Text style={styles.itemsSectionTitle}>ORDER ITEMS</Text>
+          <Text style={styles.itemsSectionTitle}>
+            {t("driverMap.orderItems")}
+          </Text>
           <View style={styles.itemsCard}>
             {orderItems.map(function (item, idx) {
-              let name = item.food_name || item.name || "Item";
+              let name = item.food_name || item.name || t("driverMap.item");
               let qty = item.quantity || 1;
               return (
                 <View
@@ -1962,7 +2132,7 @@ function PickupDetails({
                     <Text style={styles.itemNameText}>{name}</Text>
                     {item.size ? (
                       <Text style={styles.itemSize}>
-                        {item.size.charAt(0).toUpperCase() + item.size.slice(1)}
+                        {formatItemSize(item.size)}
                       </Text>
                     ) : null}
                   </View>
@@ -1975,13 +2145,17 @@ function PickupDetails({
 
       {/* Block 4: Customer Details before pickup */}
       <View style={styles.customerPreviewSection}>
-        <Text style={styles.itemsSectionTitle}>CUSTOMER TO DELIVER</Text>
+        <Text style={styles.itemsSectionTitle}>
+          {t("driverMap.customerToDeliver")}
+        </Text>
         <View style={styles.infoCard}>
           <Text style={[styles.infoCardName, { fontSize: 18, marginBottom: 2 }]}>
-            {target.customer?.name || target.name || "Customer"}
+            {target.customer?.name || target.name || t("navigation.customer")}
           </Text>
           <Text style={styles.infoCardAddress}>
-            {target.customer?.address || target.delivery_location || "No address"}
+            {target.customer?.address ||
+              target.delivery_location ||
+              t("activeDeliveries.noAddress")}
           </Text>
           {target.customer?.phone || target.phone ? (
             <Pressable
@@ -2003,7 +2177,8 @@ function PickupDetails({
       <SwipeToDeliver
         onSwipeComplete={onPickedUp}
         disabled={updating}
-        text="SWIPE TO PICK UP"
+        pendingSync={pendingSync}
+        text={t("driverMap.swipeToPickUp")}
         textStyle={swipeTextStyle}
         color="#06C168"
       />
@@ -2015,7 +2190,14 @@ function PickupDetails({
 // DELIVERY DETAILS
 // ============================================================================
 
-function DeliveryDetails({ target, onDelivered, onCall, updating }) {
+function DeliveryDetails({
+  target,
+  onDelivered,
+  onCall,
+  updating,
+  pendingSync,
+}) {
+  const { t, formatCurrency } = useLocale();
   let customer = target.customer || {};
   let delivItems = target.items || [];
   const existingProofUrl =
@@ -2026,20 +2208,26 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
       {/* Block 1: Order number + distance + time */}
       <View style={styles.orderHeaderCard}>
         <View>
-          <Text style={styles.orderHeaderLabel}>ORDER ID</Text>
+          <Text style={styles.orderHeaderLabel}>
+            {t("driverMap.orderId")}
+          </Text>
           <Text style={styles.orderHeaderValue}>
             {"#" + (target.order_number || target.delivery_id)}
           </Text>
         </View>
         <View style={styles.orderHeaderBadges}>
           {target.distance_km ? (
-            <MetricBadge type="distance" value={target.distance_km} unit="km" />
+            <MetricBadge
+              type="distance"
+              label={t("navigation.kilometers", { value: target.distance_km })}
+            />
           ) : null}
           {target.estimated_time_minutes ? (
             <MetricBadge
               type="time"
-              value={target.estimated_time_minutes}
-              unit="min"
+              label={t("navigation.minutes", {
+                count: target.estimated_time_minutes,
+              })}
             />
           ) : null}
         </View>
@@ -2050,10 +2238,12 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
         <View style={styles.infoCardRow}>
           <View style={styles.infoCardMain}>
             <Text style={[styles.infoCardName, styles.pickupInfoCardName]}>
-              {customer.name || target.name || "Customer"}
+              {customer.name || target.name || t("navigation.customer")}
             </Text>
             <Text style={styles.infoCardAddress}>
-              {customer.address || target.delivery_location || "No address"}
+              {customer.address ||
+                target.delivery_location ||
+                t("activeDeliveries.noAddress")}
             </Text>
             {customer.city ? (
               <Text style={styles.deliveryInfoCity}>{customer.city}</Text>
@@ -2081,7 +2271,7 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
       {target.delivery_instructions ? (
         <View style={styles.instructionsCard}>
           <Text style={styles.instructionsTitle}>
-            {"📝 Special Instructions"}
+            {"📝 " + t("driverMap.specialInstructions")}
           </Text>
           <Text style={styles.instructionsText}>
             {target.delivery_instructions}
@@ -2092,10 +2282,12 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
       {/* Block 3: Order items */}
       {delivItems.length > 0 && (
         <View style={styles.itemsSection}>
-          <Text style={styles.itemsSectionTitle}>ORDER ITEMS</Text>
+          <Text style={styles.itemsSectionTitle}>
+            {t("driverMap.orderItems")}
+          </Text>
           <View style={styles.itemsCard}>
             {delivItems.map(function (item, idx) {
-              let name = item.food_name || item.name || "Item";
+              let name = item.food_name || item.name || t("driverMap.item");
               let qty = item.quantity || 1;
               return (
                 <View
@@ -2112,7 +2304,7 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
                     <Text style={styles.itemNameText}>{name}</Text>
                     {item.size ? (
                       <Text style={styles.itemSize}>
-                        {item.size.charAt(0).toUpperCase() + item.size.slice(1)}
+                        {formatItemSize(item.size)}
                       </Text>
                     ) : null}
                   </View>
@@ -2126,22 +2318,33 @@ function DeliveryDetails({ target, onDelivered, onCall, updating }) {
       {/* Block 4: Total amount to collect */}
       <View style={styles.totalAmountCard}>
         <View>
-          <Text style={styles.totalAmountLabel}>TOTAL AMOUNT</Text>
+          <Text style={styles.totalAmountLabel}>
+            {t("driverMap.totalAmount")}
+          </Text>
           <Text style={styles.totalAmountValue}>
-            {"Rs. " +
-              parseFloat(
-                (target.pricing && target.pricing.total) ||
-                  parseFloat(target.total_amount || 0) +
-                    parseFloat(target.delivery_fee || 0),
-              ).toFixed(2)}
+            {formatCurrency(
+              (target.pricing && target.pricing.total) ||
+                parseFloat(target.total_amount || 0) +
+                  parseFloat(target.delivery_fee || 0),
+            )}
           </Text>
         </View>
       </View>
 
+      {requiresDeliveryPin(target) ? (
+        <View style={styles.pinRequiredRow}>
+          <Ionicons name="keypad-outline" size={14} color="#B45309" />
+          <Text style={styles.pinRequiredText}>
+            {t("deliveryPin.required")}
+          </Text>
+        </View>
+      ) : null}
+
       <SwipeToDeliver
         onSwipeComplete={onDelivered}
         disabled={updating}
-        text="SWIPE TO DELIVER"
+        pendingSync={pendingSync}
+        text={t("driverMap.swipeToDeliver")}
         textStyle={styles.pickupSwipeText}
         color="#EF4444"
       />
@@ -2335,6 +2538,7 @@ var styles = StyleSheet.create({
     alignSelf: "center",
   },
   sheetScroll: { flex: 1, paddingHorizontal: 18 },
+  pendingSyncBadge: { marginBottom: 12 },
 
   // Details
   detailsWrap: { paddingBottom: 10 },
@@ -2635,4 +2839,13 @@ var styles = StyleSheet.create({
     marginBottom: 4,
   },
   totalAmountValue: { fontSize: 24, fontWeight: "800", color: "#06C168" },
+
+  // Delivery PIN
+  pinRequiredRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 10,
+  },
+  pinRequiredText: { fontSize: 12, fontWeight: "700", color: "#B45309" },
 });
@@ -15,22 +15,18 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { SvgXml } from "react-native-svg";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useAuth } from "../../app/providers/AuthProvider";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import { ReviewItem, ReviewSummary } from "../../components/common/ReviewList";
 import DriverScreenSection from "../../components/driver/DriverScreenSection";
 import { NEARME_LOGO_ARTBOARD5_XML } from "../../assets/NearMeLogoArtboard5Xml";
 import { API_URL } from "../../config/env";
 import { getAccessToken } from "../../lib/authStorage";
-
-const WORKING_TIME_LABELS = {
-  full_time: "Full Time",
-  day: "Day Shift (5AM - 7PM)",
-  night: "Night Shift (6PM - 6AM)",
-  part_time_morning: "Morning Shift",
-  part_time_evening: "Evening Shift",
-};
+import { fetchDriverRatingSummary } from "../../services/reviewService";
 
 export default function DriverProfileScreen({ navigation }) {
   const queryClient = useQueryClient();
   const { logout, user } = useAuth();
+  const { t } = useLocale();
   const userScope = String(user?.id || "anon");
   const profileQueryKey = ["driver", userScope, "profile"];
 
@@ -95,6 +91,15 @@ export default function DriverProfileScreen({ navigation }) {
     },
   });
 
+  const ratingQuery = useQuery({
+    queryKey: ["driver", userScope, "rating"],
+    enabled: authReady && isProfileCompleted,
+    staleTime: 5 * 60 * 1000,
+    queryFn: fetchDriverRatingSummary,
+  });
+  const ratingSummary = ratingQuery.data?.summary;
+  const latestReviews = (ratingQuery.data?.reviews || []).slice(0, 3);
+
   useEffect(() => {
     if (!profileQuery.data) return;
     setProfile(profileQuery.data);
@@ -183,10 +188,10 @@ export default function DriverProfileScreen({ navigation }) {
   };
 
   const handleLogout = () => {
-    Alert.alert("Logout", "Are you sure you want to logout?", [
-      { text: "Cancel", style: "cancel" },
+    Alert.alert(t("profile.logoutTitle"), t("profile.logoutMessage"), [
+      { text: t("common.cancel"), style: "cancel" },
       {
-        text: "Logout",
+        text: t("profile.logout"),
         style: "destructive",
         onPress: async () => {
           await logout();
@@ -195,11 +200,20 @@ export default function DriverProfileScreen({ navigation }) {
     ]);
   };
 
+  const workingTimeKey = `driverProfile.workingTimes.${profile?.working_time}`;
+  const workingTimeLabel = !profile?.working_time
+    ? t("common.notSet")
+    : t(workingTimeKey) === workingTimeKey
+      ? profile.working_time
+      : t(workingTimeKey);
+
   if (loading) {
     return (
       <SafeAreaView style={styles.loadingContainer}>
         <ActivityIndicator size="large" color="#06C168" />
-        <Text style={styles.loadingText}>Loading profile...</Text>
+        <Text style={styles.loadingText}>
+          {t("driverProfile.loading")}
+        </Text>
       </SafeAreaView>
     );
   }
@@ -221,8 +235,12 @@ export default function DriverProfileScreen({ navigation }) {
                 <Ionicons name="arrow-back" size={20} color="#fff" />
               </TouchableOpacity>
               <View>
-                <Text style={styles.headerTitle}>My Profile</Text>
-                <Text style={styles.headerSubtitle}>Account Details</Text>
+                <Text style={styles.headerTitle}>
+                  {t("driverProfile.title")}
+                </Text>
+                <Text style={styles.headerSubtitle}>
+                  {t("driverProfile.subtitle")}
+                </Text>
               </View>
             </View>
 
@@ -236,42 +254,64 @@ export default function DriverProfileScreen({ navigation }) {
               </View>
               <View style={styles.profileHeroInfo}>
                 <Text style={styles.profileName}>
-                  {profile?.full_name || "Driver"}
+                  {profile?.full_name || t("driverProfile.defaultName")}
                 </Text>
                 <Text style={styles.profileUsername}>
-                  @ {profile?.full_name || "Driver"}
+                  @ {profile?.full_name || t("driverProfile.defaultName")}
                 </Text>
               </View>
             </View>
 
             <View style={styles.infoCard}>
-              <Text style={styles.cardTitle}>Personal Information</Text>
+              <Text style={styles.cardTitle}>
+                {t("driverProfile.myRating")}
+              </Text>
+              {ratingQuery.isLoading ? (
+                <ActivityIndicator size="small" color="#06C168" />
+              ) : ratingSummary?.count > 0 ? (
+                <>
+                  <ReviewSummary summary={ratingSummary} />
+                  {latestReviews.map((review) => (
+                    <ReviewItem key={String(review.id)} review={review} />
+                  ))}
+                </>
+              ) : (
+                <Text style={styles.ratingEmptyText}>
+                  {ratingQuery.isError
+                    ? t("driverProfile.ratingUnavailable")
+                    : t("driverProfile.ratingEmpty")}
+                </Text>
+              )}
+            </View>
+
+            <View style={styles.infoCard}>
+              <Text style={styles.cardTitle}>
+                {t("driverProfile.personalInfo")}
+              </Text>
               <InfoRow
-                label="Full Name"
+                label={t("driverProfile.fullName")}
                 value={profile?.full_name}
                 icon="person-outline"
               />
               <InfoRow
-                label="Email Address"
+                label={t("driverProfile.email")}
                 value={profile?.email}
                 icon="mail-outline"
               />
               <InfoRow
-                label="Phone Number"
+                label={t("driverProfile.phone")}
                 value={profile?.phone || profile?.phone_number}
                 icon="call-outline"
               />
             </View>
 
             <View style={styles.infoCard}>
-              <Text style={styles.cardTitle}>Work Information</Text>
+              <Text style={styles.cardTitle}>
+                {t("driverProfile.workInfo")}
+              </Text>
               <InfoRow
-                label="Working Time"
-                value={
-                  WORKING_TIME_LABELS[profile?.working_time] ||
-                  profile?.working_time ||
-                  "Not Set"
-                }
+                label={t("driverProfile.workingTime")}
+                value={workingTimeLabel}
                 icon="time-outline"
               />
               <View style={styles.infoRow}>
@@ -283,7 +323,9 @@ export default function DriverProfileScreen({ navigation }) {
                   />
                 </View>
                 <View style={styles.infoTextWrap}>
-                  <Text style={styles.infoLabel}>Status</Text>
+                  <Text style={styles.infoLabel}>
+                    {t("driverProfile.status")}
+                  </Text>
                   <View
                     style={[
                       styles.statusBadge,
@@ -299,7 +341,7 @@ export default function DriverProfileScreen({ navigation }) {
                 </View>
               </View>
               <InfoRow
-                label="Vehicle Number"
+                label={t("driverProfile.vehicleNumber")}
                 value={profile?.vehicle_number}
                 icon="bicycle-outline"
               />
@@ -310,7 +352,9 @@ export default function DriverProfileScreen({ navigation }) {
               onPress={handleLogout}
             >
               <Ionicons name="log-out-outline" size={18} color="#fff" />
-              <Text style={styles.logoutButtonText}>Logout</Text>
+              <Text style={styles.logoutButtonText}>
+                {t("profile.logout")}
+              </Text>
             </TouchableOpacity>
           </ScrollView>
         </DriverScreenSection>
@@ -629,6 +673,7 @@ const styles = StyleSheet.create({
     color: "#111827",
     marginBottom: 10,
   },
+  ratingEmptyText: { fontSize: 13, color: "#6b7280", paddingVertical: 6 },
   infoRow: {
     flexDirection: "row",
     alignItems: "flex-start",
@@ -0,0 +1,556 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  CHECK_IN_GRACE_MINUTES,
+  SHIFT_STATUSES,
+  SHIFT_STATUS_LABELS,
+  bookShiftSlot,
+  cancelShiftBooking,
+  fetchShiftCalendar,
+  formatShiftTime,
+  getBookingDays,
+  getSlotPeaks,
+  getSlotRemaining,
+  syncShiftReminders,
+  toDateKey,
+} from "../../services/shiftService";
+
+function Chip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+export default function DriverShiftsScreen({ navigation }) {
+  const { t, formatDate } = useLocale();
+  const days = useMemo(() => getBookingDays(), []);
+  const [selectedDay, setSelectedDay] = useState(days[0].key);
+  const [selectedZone, setSelectedZone] = useState(null);
+  const [zones, setZones] = useState([]);
+  const [slots, setSlots] = useState([]);
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [busySlotId, setBusySlotId] = useState(null);
+
+  const formatDayLabel = (date, index) => {
+    if (index === 0) return t("shifts.today");
+    if (index === 1) return t("shifts.tomorrow");
+    return formatDate(date, { weekday: "short", day: "2-digit" });
+  };
+
+  const formatBookingDay = (value) =>
+    formatDate(value, { weekday: "short", day: "2-digit", month: "short" });
+
+  const statusLabel = (status) =>
+    SHIFT_STATUS_LABELS[status] ? t(`shifts.statuses.${status}`) : status;
+
+  const loadData = useCallback(async () => {
+    try {
+      const calendar = await fetchShiftCalendar({
+        from: days[0].key,
+        to: days[days.length - 1].key,
+      });
+      setZones(calendar.zones);
+      setSlots(calendar.slots);
+      setBookings(calendar.bookings);
+      syncShiftReminders(calendar.bookings).catch(() => {});
+    } catch (error) {
+      Alert.alert(t("shifts.title"), error?.message || t("shifts.loadFailed"));
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [days, t]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadData();
+  };
+
+  const activeZone = selectedZone ?? zones[0]?.id ?? null;
+
+  const daySlots = useMemo(
+    () =>
+      slots
+        .filter(
+          (slot) =>
+            toDateKey(slot.starts_at) === selectedDay &&
+            String(slot.zone_id) === String(activeZone),
+        )
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)),
+    [slots, selectedDay, activeZone],
+  );
+
+  const myShifts = useMemo(
+    () =>
+      bookings
+        .filter((booking) => booking.status !== SHIFT_STATUSES.CANCELLED)
+        .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)),
+    [bookings],
+  );
+
+  const noShowCount = myShifts.filter(
+    (booking) => booking.status === SHIFT_STATUSES.NO_SHOW,
+  ).length;
+
+  const bookingForSlot = (slotId) =>
+    bookings.find(
+      (booking) =>
+        String(booking.slot_id) === String(slotId) &&
+        booking.status !== SHIFT_STATUSES.CANCELLED,
+    );
+
+  const handleBook = async (slot) => {
+    setBusySlotId(slot.id);
+    try {
+      await bookShiftSlot(slot.id);
+      await loadData();
+    } catch (error) {
+      Alert.alert(
+        t("shifts.bookTitle"),
+        error?.message || t("shifts.bookFailed"),
+      );
+      loadData();
+    } finally {
+      setBusySlotId(null);
+    }
+  };
+
+  const handleCancel = (booking) => {
+    const params = {
+      zone: booking.zone_name,
+      day: formatBookingDay(booking.starts_at),
+      time: formatShiftTime(booking),
+    };
+    Alert.alert(
+      t("shifts.cancelTitle"),
+      booking.zone_name
+        ? t("shifts.cancelZoneBody", params)
+        : t("shifts.cancelBody", params),
+      [
+        { text: t("shifts.keep"), style: "cancel" },
+        {
+          text: t("shifts.cancelTitle"),
+          style: "destructive",
+          onPress: async () => {
+            setBusySlotId(booking.slot_id);
+            try {
+              await cancelShiftBooking(booking.id);
+              await loadData();
+            } catch (error) {
+              Alert.alert(
+                t("shifts.cancelTitle"),
+                error?.message || t("shifts.cancelFailed"),
+              );
+            } finally {
+              setBusySlotId(null);
+            }
+          },
+        },
+      ],
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#10B981" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="arrow-back" size={22} color="#111827" />
+        </TouchableOpacity>
+
+        <Text style={styles.headerTitle}>{t("shifts.title")}</Text>
+
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={onRefresh}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="refresh" size={18} color="#111827" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <View style={styles.card}>
+          <View style={styles.rowBetween}>
+            <Text style={styles.cardTitle}>{t("shifts.myShifts")}</Text>
+            {noShowCount > 0 && (
+              <View style={styles.noShowBadge}>
+                <Text style={styles.noShowBadgeText}>
+                  {t("shifts.noShows", { count: noShowCount })}
+                </Text>
+              </View>
+            )}
+          </View>
+          {myShifts.length === 0 ? (
+            <Text style={styles.mutedText}>{t("shifts.noBookings")}</Text>
+          ) : (
+            myShifts.map((booking) => {
+              const noShow = booking.status === SHIFT_STATUSES.NO_SHOW;
+              const cancellable = booking.status === SHIFT_STATUSES.BOOKED;
+              return (
+                <View key={booking.id} style={styles.shiftRow}>
+                  <Ionicons
+                    name={noShow ? "alert-circle" : "calendar-outline"}
+                    size={20}
+                    color={noShow ? "#DC2626" : "#10B981"}
+                  />
+                  <View style={styles.shiftInfo}>
+                    <Text style={styles.shiftTitle}>
+                      {formatBookingDay(booking.starts_at)} ·{" "}
+                      {formatShiftTime(booking)}
+                    </Text>
+                    <Text style={styles.mutedText}>
+                      {booking.zone_name || t("shifts.zoneFallback")} ·{" "}
+                      <Text style={noShow && styles.noShowText}>
+                        {statusLabel(booking.status)}
+                      </Text>
+                    </Text>
+                  </View>
+                  {cancellable && (
+                    <TouchableOpacity
+                      onPress={() => handleCancel(booking)}
+                      disabled={busySlotId === booking.slot_id}
+                    >
+                      <Text style={styles.linkDanger}>
+                        {t("shifts.cancel")}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })
+          )}
+          <Text style={styles.hintText}>
+            {t("shifts.checkInHint", { minutes: CHECK_IN_GRACE_MINUTES })}
+          </Text>
+        </View>
+
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.chipRow}
+        >
+          {days.map((day, index) => (
+            <Chip
+              key={day.key}
+              label={formatDayLabel(day.date, index)}
+              selected={day.key === selectedDay}
+              onPress={() => setSelectedDay(day.key)}
+            />
+          ))}
+        </ScrollView>
+
+        {zones.length > 1 && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.chipRow}
+          >
+            {zones.map((zone) => (
+              <Chip
+                key={zone.id}
+                label={zone.name}
+                selected={String(zone.id) === String(activeZone)}
+                onPress={() => setSelectedZone(zone.id)}
+              />
+            ))}
+          </ScrollView>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t("shifts.availableSlots")}</Text>
+          {daySlots.length === 0 ? (
+            <Text style={styles.mutedText}>{t("shifts.noSlots")}</Text>
+          ) : (
+            daySlots.map((slot) => {
+              const booking = bookingForSlot(slot.id);
+              const remaining = getSlotRemaining(slot);
+              const peaks = getSlotPeaks(slot);
+              const started = new Date(slot.starts_at).getTime() <= Date.now();
+              const busy = busySlotId === slot.id;
+              return (
+                <View key={slot.id} style={styles.shiftRow}>
+                  <View style={styles.shiftInfo}>
+                    <View style={styles.slotTitleRow}>
+                      <Text style={styles.shiftTitle}>
+                        {formatShiftTime(slot)}
+                      </Text>
+                      {peaks.map((peak) => (
+                        <View key={peak} style={styles.peakBadge}>
+                          <Text style={styles.peakBadgeText}>
+                            {t("shifts.peak", {
+                              peak: t(`shifts.peaks.${peak}`),
+                            })}
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                    <Text style={styles.mutedText}>
+                      {t(
+                        remaining > 0
+                          ? "shifts.driversOpen"
+                          : "shifts.driversFull",
+                        {
+                          booked: slot.booked_count || 0,
+                          capacity: slot.capacity || 0,
+                          open: remaining,
+                        },
+                      )}
+                    </Text>
+                  </View>
+                  {busy ? (
+                    <ActivityIndicator size="small" color="#10B981" />
+                  ) : booking ? (
+                    booking.status === SHIFT_STATUSES.BOOKED && !started ? (
+                      <TouchableOpacity
+                        style={styles.bookedButton}
+                        onPress={() => handleCancel(booking)}
+                      >
+                        <Text style={styles.bookedButtonText}>
+                          {t("shifts.booked")}
+                        </Text>
+                      </TouchableOpacity>
+                    ) : (
+                      <Text style={styles.mutedText}>
+                        {statusLabel(booking.status)}
+                      </Text>
+                    )
+                  ) : (
+                    <TouchableOpacity
+                      style={[
+                        styles.bookButton,
+                        (remaining === 0 || started) &&
+                          styles.bookButtonDisabled,
+                      ]}
+                      onPress={() => handleBook(slot)}
+                      disabled={remaining === 0 || started}
+                    >
+                      <Text style={styles.bookButtonText}>
+                        {remaining === 0 ? t("shifts.full") : t("shifts.book")}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+    paddingHorizontal: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 10,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: "#FFFFFF",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  headerTitle: {
+    fontSize: 19,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  content: {
+    gap: 10,
+    paddingBottom: 24,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    gap: 8,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  rowBetween: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+  },
+  mutedText: {
+    fontSize: 12,
+    color: "#6B7280",
+  },
+  hintText: {
+    fontSize: 11,
+    color: "#94A3B8",
+    lineHeight: 16,
+  },
+  linkDanger: {
+    color: "#DC2626",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  chipRow: {
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#FFFFFF",
+  },
+  chipSelected: {
+    backgroundColor: "#DCFCE7",
+    borderColor: "#10B981",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#166534",
+  },
+  shiftRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#EEF2F7",
+  },
+  shiftInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  shiftTitle: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  slotTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+  peakBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    backgroundColor: "#FEF3C7",
+  },
+  peakBadgeText: {
+    fontSize: 10,
+    fontWeight: "700",
+    color: "#92400E",
+  },
+  noShowBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 999,
+    backgroundColor: "#FEE2E2",
+  },
+  noShowBadgeText: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#B91C1C",
+  },
+  noShowText: {
+    color: "#DC2626",
+    fontWeight: "700",
+  },
+  bookButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 10,
+    backgroundColor: "#10B981",
+  },
+  bookButtonDisabled: {
+    backgroundColor: "#CBD5E1",
+  },
+  bookButtonText: {
+    color: "#FFFFFF",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  bookedButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: "#10B981",
+    backgroundColor: "#ECFDF5",
+  },
+  bookedButtonText: {
+    color: "#047857",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+});
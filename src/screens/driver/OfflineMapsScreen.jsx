@@ -0,0 +1,739 @@
+import { Ionicons } from "@expo/vector-icons";
+import * as Location from "expo-location";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  DeviceEventEmitter,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useLocale } from "../../app/providers/LocaleProvider";
+import {
+  AVAILABLE_ZOOMS,
+  AVERAGE_TILE_BYTES,
+  CACHE_LIMIT_OPTIONS_MB,
+  CORRIDOR_AREA_ID,
+  MAX_AREA_TILES,
+  OFFLINE_DOWNLOAD_AVAILABLE,
+  OFFLINE_TILES_EVENT,
+  ZONE_RADIUS_OPTIONS_KM,
+  cancelTileDownload,
+  clearTileCache,
+  deleteOfflineArea,
+  downloadZone,
+  estimateZoneTiles,
+  getOfflineTileSettings,
+  getTileCacheStats,
+  isTileDownloadActive,
+  listOfflineAreas,
+  refreshOfflineArea,
+  saveOfflineTileSettings,
+} from "../../services/offlineTileService";
+
+const MB = 1024 * 1024;
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  if (value < MB) return `${Math.round(value / 1024)} KB`;
+  return `${(value / MB).toFixed(value < 10 * MB ? 1 : 0)} MB`;
+}
+
+const UPDATED_FORMAT = {
+  day: "2-digit",
+  month: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+};
+
+function toggleZoom(zooms, zoom) {
+  const next = zooms.includes(zoom)
+    ? zooms.filter((value) => value !== zoom)
+    : [...zooms, zoom];
+  return next.sort((a, b) => a - b);
+}
+
+function Chip({ label, selected, onPress, disabled }) {
+  return (
+    <TouchableOpacity
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+      disabled={disabled}
+      activeOpacity={0.8}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+export default function OfflineMapsScreen({ navigation }) {
+  const { t, formatDate } = useLocale();
+  const [loading, setLoading] = useState(true);
+  const [settings, setSettings] = useState(null);
+  const [stats, setStats] = useState({ tileCount: 0, bytes: 0, maxBytes: 0 });
+  const [areas, setAreas] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(ZONE_RADIUS_OPTIONS_KM[1]);
+  const [locating, setLocating] = useState(false);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [nextSettings, nextStats, nextAreas] = await Promise.all([
+        getOfflineTileSettings(),
+        getTileCacheStats(),
+        listOfflineAreas(),
+      ]);
+      setSettings(nextSettings);
+      setStats(nextStats);
+      setAreas(
+        [...nextAreas].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0)),
+      );
+    } catch (error) {
+      Alert.alert(
+        t("offlineMaps.errorTitle"),
+        error?.message || t("offlineMaps.loadFailed"),
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadData();
+    if (!isTileDownloadActive()) setProgress(null);
+
+    const subscription = DeviceEventEmitter.addListener(
+      OFFLINE_TILES_EVENT,
+      (event) => {
+        if (event?.status === "downloading") {
+          setProgress(event.progress);
+          return;
+        }
+        setProgress(null);
+        loadData();
+      },
+    );
+    return () => subscription.remove();
+  }, [loadData]);
+
+  const updateSettings = useCallback(async (partial) => {
+    setSettings((current) => ({ ...current, ...partial }));
+    try {
+      const saved = await saveOfflineTileSettings(partial);
+      setSettings(saved);
+    } catch (error) {
+      Alert.alert(
+        t("offlineMaps.errorTitle"),
+        error?.message || t("offlineMaps.saveFailed"),
+      );
+    }
+  }, [t]);
+
+  const areaName = useCallback(
+    (area) =>
+      area.id === CORRIDOR_AREA_ID ? t("offlineMaps.corridorArea") : area.name,
+    [t],
+  );
+
+  const zoneEstimate = useMemo(() => {
+    if (!settings) return 0;
+    return estimateZoneTiles(radiusKm, settings.zoneZooms);
+  }, [radiusKm, settings]);
+
+  const runDownload = useCallback(
+    async (start) => {
+      try {
+        const result = await start();
+        if (result?.failed) {
+          Alert.alert(
+            t("offlineMaps.incompleteTitle"),
+            t("offlineMaps.incompleteBody", {
+              failed: result.failed,
+              total: result.total,
+            }),
+          );
+        }
+      } catch (error) {
+        Alert.alert(
+          t("offlineMaps.failedTitle"),
+          error?.message || t("offlineMaps.tryAgain"),
+        );
+      }
+    },
+    [t],
+  );
+
+  const handleDownloadZone = useCallback(async () => {
+    if (!settings?.zoneZooms.length) {
+      Alert.alert(
+        t("offlineMaps.pickZoomsTitle"),
+        t("offlineMaps.pickZoomsBody"),
+      );
+      return;
+    }
+    setLocating(true);
+    let center = null;
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== "granted") {
+        throw new Error(t("offlineMaps.locationPermission"));
+      }
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced,
+      });
+      center = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      };
+    } catch (error) {
+      Alert.alert(
+        t("offlineMaps.locationTitle"),
+        error?.message || t("offlineMaps.tryAgain"),
+      );
+    } finally {
+      setLocating(false);
+    }
+    if (!center) return;
+
+    runDownload(() =>
+      downloadZone({ center, radiusKm, zooms: settings.zoneZooms }),
+    );
+  }, [radiusKm, runDownload, settings, t]);
+
+  const handleDeleteArea = useCallback(
+    (area) => {
+      Alert.alert(
+        t("offlineMaps.deleteTitle"),
+        t("offlineMaps.deleteBody", { name: areaName(area) }),
+        [
+          { text: t("common.cancel"), style: "cancel" },
+          {
+            text: t("common.delete"),
+            style: "destructive",
+            onPress: () =>
+              deleteOfflineArea(area.id)
+                .then(loadData)
+                .catch((error) =>
+                  Alert.alert(t("offlineMaps.errorTitle"), error?.message),
+                ),
+          },
+        ],
+      );
+    },
+    [areaName, loadData, t],
+  );
+
+  const handleClearAll = useCallback(() => {
+    Alert.alert(t("offlineMaps.clearTitle"), t("offlineMaps.clearBody"), [
+      { text: t("common.cancel"), style: "cancel" },
+      {
+        text: t("offlineMaps.clear"),
+        style: "destructive",
+        onPress: () =>
+          clearTileCache()
+            .then(loadData)
+            .catch((error) =>
+              Alert.alert(t("offlineMaps.errorTitle"), error?.message),
+            ),
+      },
+    ]);
+  }, [loadData, t]);
+
+  if (loading || !settings) {
+    return (
+      <SafeAreaView style={styles.loadingContainer} edges={["top", "bottom"]}>
+        <ActivityIndicator size="large" color="#10B981" />
+      </SafeAreaView>
+    );
+  }
+
+  const downloading = Boolean(progress);
+  const usedRatio = stats.maxBytes
+    ? Math.min(1, stats.bytes / stats.maxBytes)
+    : 0;
+  const zoneTooLarge = zoneEstimate > MAX_AREA_TILES;
+  const zoneDisabled =
+    !OFFLINE_DOWNLOAD_AVAILABLE || downloading || locating || zoneTooLarge;
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.goBack()}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="arrow-back" size={22} color="#111827" />
+        </TouchableOpacity>
+
+        <Text style={styles.headerTitle}>{t("offlineMaps.title")}</Text>
+
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={loadData}
+          activeOpacity={0.8}
+        >
+          <Ionicons name="refresh" size={18} color="#111827" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+      >
+        {!OFFLINE_DOWNLOAD_AVAILABLE && (
+          <View style={[styles.card, styles.noticeCard]}>
+            <View style={styles.rowBetween}>
+              <Ionicons
+                name="cloud-offline-outline"
+                size={20}
+                color="#B45309"
+              />
+              <Text style={[styles.mutedText, styles.noticeText]}>
+                {t("offlineMaps.unavailable")}
+              </Text>
+            </View>
+          </View>
+        )}
+
+        {downloading && (
+          <View style={styles.card}>
+            <View style={styles.rowBetween}>
+              <Text style={styles.cardTitle}>
+                {t("offlineMaps.downloading")}
+              </Text>
+              <TouchableOpacity onPress={cancelTileDownload}>
+                <Text style={styles.linkDanger}>{t("common.cancel")}</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.barTrack}>
+              <View
+                style={[
+                  styles.barFill,
+                  {
+                    width: `${
+                      progress.total
+                        ? Math.round((progress.done / progress.total) * 100)
+                        : 0
+                    }%`,
+                  },
+                ]}
+              />
+            </View>
+            <Text style={styles.mutedText}>
+              {t(
+                progress.failed
+                  ? "offlineMaps.progressFailed"
+                  : "offlineMaps.progress",
+                progress,
+              )}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <View style={styles.rowBetween}>
+            <Text style={styles.cardTitle}>{t("offlineMaps.storage")}</Text>
+            <Text style={styles.valueText}>
+              {formatBytes(stats.bytes)} / {formatBytes(stats.maxBytes)}
+            </Text>
+          </View>
+          <View style={styles.barTrack}>
+            <View
+              style={[
+                styles.barFill,
+                { width: `${Math.round(usedRatio * 100)}%` },
+              ]}
+            />
+          </View>
+          <Text style={styles.mutedText}>
+            {t("offlineMaps.storageHint", { count: stats.tileCount })}
+          </Text>
+          <Text style={styles.label}>{t("offlineMaps.storageLimit")}</Text>
+          <View style={styles.chipRow}>
+            {CACHE_LIMIT_OPTIONS_MB.map((mb) => (
+              <Chip
+                key={mb}
+                label={`${mb} MB`}
+                selected={settings.maxBytes === mb * MB}
+                onPress={() => updateSettings({ maxBytes: mb * MB })}
+              />
+            ))}
+          </View>
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={handleClearAll}
+            disabled={stats.tileCount === 0 && areas.length === 0}
+            activeOpacity={0.8}
+          >
+            <Ionicons name="trash-outline" size={16} color="#DC2626" />
+            <Text style={styles.secondaryButtonText}>
+              {t("offlineMaps.clearAll")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t("offlineMaps.corridor")}</Text>
+          <View style={styles.rowBetween}>
+            <View style={styles.switchText}>
+              <Text style={styles.valueText}>
+                {t("offlineMaps.autoCorridor")}
+              </Text>
+              <Text style={styles.mutedText}>
+                {t("offlineMaps.autoCorridorHint")}
+              </Text>
+            </View>
+            <Switch
+              value={OFFLINE_DOWNLOAD_AVAILABLE && settings.autoCorridor}
+              onValueChange={(value) => updateSettings({ autoCorridor: value })}
+              disabled={!OFFLINE_DOWNLOAD_AVAILABLE}
+            />
+          </View>
+          <View style={styles.rowBetween}>
+            <View style={styles.switchText}>
+              <Text style={styles.valueText}>{t("offlineMaps.wifiOnly")}</Text>
+              <Text style={styles.mutedText}>
+                {t("offlineMaps.wifiOnlyHint")}
+              </Text>
+            </View>
+            <Switch
+              value={settings.wifiOnly}
+              onValueChange={(value) => updateSettings({ wifiOnly: value })}
+            />
+          </View>
+          <Text style={styles.label}>{t("offlineMaps.corridorZooms")}</Text>
+          <View style={styles.chipRow}>
+            {AVAILABLE_ZOOMS.map((zoom) => (
+              <Chip
+                key={zoom}
+                label={String(zoom)}
+                selected={settings.corridorZooms.includes(zoom)}
+                onPress={() =>
+                  updateSettings({
+                    corridorZooms: toggleZoom(settings.corridorZooms, zoom),
+                  })
+                }
+              />
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t("offlineMaps.zone")}</Text>
+          <Text style={styles.mutedText}>
+            {t("offlineMaps.zoneHint")}
+          </Text>
+          <Text style={styles.label}>{t("offlineMaps.radius")}</Text>
+          <View style={styles.chipRow}>
+            {ZONE_RADIUS_OPTIONS_KM.map((km) => (
+              <Chip
+                key={km}
+                label={`${km} km`}
+                selected={radiusKm === km}
+                onPress={() => setRadiusKm(km)}
+              />
+            ))}
+          </View>
+          <Text style={styles.label}>{t("offlineMaps.zooms")}</Text>
+          <View style={styles.chipRow}>
+            {AVAILABLE_ZOOMS.map((zoom) => (
+              <Chip
+                key={zoom}
+                label={String(zoom)}
+                selected={settings.zoneZooms.includes(zoom)}
+                onPress={() =>
+                  updateSettings({
+                    zoneZooms: toggleZoom(settings.zoneZooms, zoom),
+                  })
+                }
+              />
+            ))}
+          </View>
+          <Text style={[styles.mutedText, zoneTooLarge && styles.errorText]}>
+            {zoneTooLarge
+              ? t("offlineMaps.errors.tooLarge")
+              : t("offlineMaps.estimate", {
+                  count: zoneEstimate,
+                  size: formatBytes(zoneEstimate * AVERAGE_TILE_BYTES),
+                })}
+          </Text>
+          <TouchableOpacity
+            style={[
+              styles.primaryButton,
+              zoneDisabled && styles.primaryButtonDisabled,
+            ]}
+            onPress={handleDownloadZone}
+            disabled={zoneDisabled}
+            activeOpacity={0.8}
+          >
+            {locating ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Ionicons name="download-outline" size={18} color="#FFFFFF" />
+            )}
+            <Text style={styles.primaryButtonText}>
+              {t("offlineMaps.downloadZone")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{t("offlineMaps.savedAreas")}</Text>
+          {areas.length === 0 ? (
+            <Text style={styles.mutedText}>
+              {t("offlineMaps.noAreas")}
+            </Text>
+          ) : (
+            areas.map((area) => (
+              <View key={area.id} style={styles.areaRow}>
+                <Ionicons
+                  name={
+                    area.id === CORRIDOR_AREA_ID
+                      ? "navigate-outline"
+                      : "location-outline"
+                  }
+                  size={20}
+                  color="#10B981"
+                />
+                <View style={styles.areaInfo}>
+                  <Text style={styles.valueText}>{areaName(area)}</Text>
+                  <Text style={styles.mutedText}>
+                    {t("offlineMaps.areaMeta", {
+                      cached: area.cachedTiles,
+                      total: area.tileCount,
+                      size: formatBytes(area.bytes),
+                      zooms: (area.zooms || []).join(", "),
+                    })}
+                  </Text>
+                  <Text style={styles.mutedText}>
+                    {t("offlineMaps.updated", {
+                      date: area.updatedAt
+                        ? formatDate(area.updatedAt, UPDATED_FORMAT)
+                        : "-",
+                    })}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => runDownload(() => refreshOfflineArea(area.id))}
+                  disabled={downloading || !OFFLINE_DOWNLOAD_AVAILABLE}
+                  activeOpacity={0.8}
+                >
+                  <Ionicons
+                    name="cloud-download-outline"
+                    size={18}
+                    color={
+                      downloading || !OFFLINE_DOWNLOAD_AVAILABLE
+                        ? "#CBD5E1"
+                        : "#111827"
+                    }
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => handleDeleteArea(area)}
+                  disabled={downloading}
+                  activeOpacity={0.8}
+                >
+                  <Ionicons
+                    name="trash-outline"
+                    size={18}
+                    color={downloading ? "#CBD5E1" : "#DC2626"}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+    paddingHorizontal: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: 10,
+  },
+  headerButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: "#FFFFFF",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+  },
+  headerTitle: {
+    fontSize: 19,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  content: {
+    gap: 10,
+    paddingBottom: 24,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    gap: 8,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "800",
+    color: "#111827",
+  },
+  rowBetween: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+  },
+  switchText: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#64748B",
+    marginTop: 4,
+  },
+  valueText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#111827",
+  },
+  noticeCard: {
+    backgroundColor: "#FFFBEB",
+    borderColor: "#FDE68A",
+  },
+  noticeText: {
+    flex: 1,
+    color: "#92400E",
+  },
+  mutedText: {
+    fontSize: 12,
+    color: "#64748B",
+    lineHeight: 17,
+  },
+  errorText: {
+    color: "#DC2626",
+  },
+  linkDanger: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#DC2626",
+  },
+  barTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#EEF2F7",
+    overflow: "hidden",
+  },
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#10B981",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#FFFFFF",
+  },
+  chipSelected: {
+    backgroundColor: "#DCFCE7",
+    borderColor: "#10B981",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#166534",
+  },
+  primaryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#10B981",
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginTop: 4,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: "#FFFFFF",
+    fontSize: 14,
+    fontWeight: "700",
+  },
+  secondaryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    gap: 6,
+    paddingVertical: 6,
+  },
+  secondaryButtonText: {
+    color: "#DC2626",
+    fontSize: 13,
+    fontWeight: "700",
+  },
+  areaRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#EEF2F7",
+  },
+  areaInfo: {
+    flex: 1,
+    gap: 2,
+  },
+  iconButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#F8FAFC",
+  },
+});
@@ -37,6 +37,7 @@ const DRIVER_DRAWER_ITEMS = [
     label: "Verify Driver",
     icon: "checkmark-circle-outline",
   },
+  { route: "ShiftCoverage", label: "Shift Coverage", icon: "calendar-outline" },
   { route: "AddDriver", label: "Add Driver", icon: "person-add-outline" },
 ];
 
@@ -73,6 +73,14 @@ const ManagerReportsScreen = ({ navigation }) => {
       iconColor: "#D97706",
       screen: "OfferManagement",
     },
+    {
+      icon: "ticket-outline",
+      title: "Promo Codes",
+      desc: "Create discount codes with limits, validity and restaurant scope",
+      iconBg: "#EDE9FE",
+      iconColor: "#7C3AED",
+      screen: "PromoCodeManagement",
+    },
   ];
 
   const reportCards = [
@@ -132,6 +140,22 @@ const ManagerReportsScreen = ({ navigation }) => {
       iconColor: "#4F46E5",
       screen: "TimeAnalytics",
     },
+    {
+      icon: "star-half-outline",
+      title: "Review Moderation",
+      desc: "Approve or hide flagged restaurant, food and driver reviews",
+      iconBg: "#FEF3C7",
+      iconColor: "#F59E0B",
+      screen: "ReviewModeration",
+    },
+    {
+      icon: "receipt-outline",
+      title: "Order Issues",
+      desc: "Approve full or partial refunds for reported order problems",
+      iconBg: "#FEE2E2",
+      iconColor: "#DC2626",
+      screen: "OrderIssues",
+    },
   ];
 
   const handleNavigate = (item) => {
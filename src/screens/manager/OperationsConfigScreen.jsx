@@ -138,6 +138,14 @@ const OperationsConfigScreen = ({ navigation }) => {
   const [launchPromoCustomers, setLaunchPromoCustomers] = useState([]);
   const [calculatorDistanceKm, setCalculatorDistanceKm] = useState("3.3");
 
+  // Section 10: Delivery PIN
+  const [deliveryPinEnabled, setDeliveryPinEnabled] = useState(false);
+  const [deliveryPinMinOrderValue, setDeliveryPinMinOrderValue] =
+    useState("0");
+
+  // Section 11: Customer Unreachable
+  const [unreachableWaitMinutes, setUnreachableWaitMinutes] = useState("10");
+
   const fetchLaunchPromoCustomers = useCallback(async () => {
     try {
       const token = await AsyncStorage.getItem("token");
@@ -233,6 +241,13 @@ const OperationsConfigScreen = ({ navigation }) => {
         String(config.launch_promo_beyond_km_rate ?? 40),
       );
 
+      setDeliveryPinEnabled(Boolean(config.delivery_pin_enabled));
+      setDeliveryPinMinOrderValue(
+        String(config.delivery_pin_min_order_value ?? 0),
+      );
+
+      setUnreachableWaitMinutes(String(config.unreachable_wait_minutes ?? 10));
+
       setIsServiceAvailable(config.is_service_available !== false);
       setServiceReopenTime(config.service_reopen_time || "");
       setServiceUnavailableReason(config.service_unavailable_reason || "");
@@ -309,6 +324,10 @@ const OperationsConfigScreen = ({ navigation }) => {
         launch_promo_max_km: parseFloat(launchPromoMaxKm) || 5,
         launch_promo_beyond_km_rate:
           parseFloat(launchPromoBeyondKmRate) || 40,
+        delivery_pin_enabled: Boolean(deliveryPinEnabled),
+        delivery_pin_min_order_value:
+          parseFloat(deliveryPinMinOrderValue) || 0,
+        unreachable_wait_minutes: parseInt(unreachableWaitMinutes) || 10,
         is_service_available: isServiceAvailable,
         service_reopen_time: serviceReopenTime,
         service_unavailable_reason: serviceUnavailableReason,
@@ -1394,6 +1413,86 @@ const OperationsConfigScreen = ({ navigation }) => {
             </View>
           </View>
 
+          {/* SECTION 10: Delivery PIN */}
+          <View style={styles.sectionCard}>
+            <View
+              style={[
+                styles.sectionHeader,
+                { backgroundColor: "rgba(245,158,11,0.08)" },
+              ]}
+            >
+              <View style={styles.sectionHeaderRow}>
+                <Ionicons name="keypad-outline" size={18} color="#D97706" />
+                <Text style={styles.sectionTitle}>Delivery PIN</Text>
+                <View style={[styles.badge, { backgroundColor: "#FEF3C7" }]}>
+                  <Text style={[styles.badgeText, { color: "#B45309" }]}>
+                    Driver Facing
+                  </Text>
+                </View>
+              </View>
+              <Text style={styles.sectionDesc}>
+                Driver must enter the customer PIN to complete delivery
+              </Text>
+            </View>
+            <View style={styles.sectionBody}>
+              <TouchableOpacity
+                style={styles.toggleRow}
+                onPress={() => setDeliveryPinEnabled((prev) => !prev)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.toggleIcon}>
+                  <Ionicons
+                    name={deliveryPinEnabled ? "checkbox" : "square-outline"}
+                    size={20}
+                    color={deliveryPinEnabled ? "#13ECB9" : "#9CA3AF"}
+                  />
+                </View>
+                <Text style={styles.toggleText}>Require delivery PIN</Text>
+              </TouchableOpacity>
+
+              {deliveryPinEnabled && (
+                <Field
+                  label="Only for orders above (LKR)"
+                  value={deliveryPinMinOrderValue}
+                  onChangeText={setDeliveryPinMinOrderValue}
+                  hint="0 = every order. Unreachable customers: photo + reason"
+                />
+              )}
+            </View>
+          </View>
+
+          {/* SECTION 11: Customer Unreachable */}
+          <View style={styles.sectionCard}>
+            <View
+              style={[
+                styles.sectionHeader,
+                { backgroundColor: "rgba(245,158,11,0.08)" },
+              ]}
+            >
+              <View style={styles.sectionHeaderRow}>
+                <Ionicons name="call-outline" size={18} color="#D97706" />
+                <Text style={styles.sectionTitle}>Customer Unreachable</Text>
+                <View style={[styles.badge, { backgroundColor: "#FEF3C7" }]}>
+                  <Text style={[styles.badgeText, { color: "#B45309" }]}>
+                    Driver Facing
+                  </Text>
+                </View>
+              </View>
+              <Text style={styles.sectionDesc}>
+                How long a driver waits before marking an order undeliverable
+              </Text>
+            </View>
+            <View style={styles.sectionBody}>
+              <Field
+                label="Wait time (minutes)"
+                value={unreachableWaitMinutes}
+                onChangeText={setUnreachableWaitMinutes}
+                keyboardType="number-pad"
+                hint="Undeliverable orders appear in Pending Deliveries"
+              />
+            </View>
+          </View>
+
           {/* Spacer */}
           <View style={{ height: 100 }} />
         </ScrollView>
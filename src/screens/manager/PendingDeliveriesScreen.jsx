@@ -16,6 +16,7 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { API_URL } from "../../config/env";
 import OptimizedImage from "../../components/common/OptimizedImage";
+import UndeliverableCaseCard from "../../components/manager/UndeliverableCaseCard";
 import pushNotificationService from "../../services/pushNotificationService";
 
 export default function PendingDeliveriesScreen() {
@@ -26,6 +27,8 @@ export default function PendingDeliveriesScreen() {
   const [submittingTip, setSubmittingTip] = useState({});
   const [successMap, setSuccessMap] = useState({});
   const [expandedId, setExpandedId] = useState(null);
+  const [undeliverable, setUndeliverable] = useState([]);
+  const [resolvingId, setResolvingId] = useState(null);
 
   // --- STOP ALARM ON FOCUS ---
   useFocusEffect(
@@ -56,6 +59,18 @@ export default function PendingDeliveriesScreen() {
           ? data.deliveries || []
           : [];
       setDeliveries(list);
+
+      // Orders a driver could not hand over; they wait here for resolution.
+      const caseRes = await fetch(
+        `${API_URL}/manager/undeliverable-deliveries`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+      const caseData = await caseRes.json().catch(() => ({}));
+      setUndeliverable(
+        caseRes.ok && Array.isArray(caseData?.deliveries)
+          ? caseData.deliveries
+          : [],
+      );
     } catch (err) {
       console.error("Failed to fetch pending deliveries:", err);
     } finally {
@@ -104,6 +119,32 @@ export default function PendingDeliveriesScreen() {
     }
   };
 
+  const handleResolve = async (deliveryId, resolution) => {
+    setResolvingId(deliveryId);
+    try {
+      const token = await AsyncStorage.getItem("token");
+      const res = await fetch(
+        `${API_URL}/manager/undeliverable-deliveries/${deliveryId}/resolve`,
+        {
+          method: "PATCH",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(resolution),
+        },
+      );
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to resolve");
+      setUndeliverable((prev) => prev.filter((d) => d.id !== deliveryId));
+      fetchDeliveries();
+    } catch (err) {
+      console.error("Failed to resolve undeliverable order:", err);
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
   const formatTime = (minutes) => {
     if (minutes < 60) return `${minutes}m`;
     const h = Math.floor(minutes / 60);
@@ -159,6 +200,26 @@ export default function PendingDeliveriesScreen() {
           />
         }
       >
+        {/* Undeliverable Orders */}
+        {undeliverable.length > 0 && (
+          <View style={styles.undeliverableSection}>
+            <Text style={styles.undeliverableTitle}>
+              Undeliverable ({undeliverable.length})
+            </Text>
+            <Text style={styles.undeliverableSub}>
+              Driver could not reach the customer
+            </Text>
+            {undeliverable.map((d) => (
+              <UndeliverableCaseCard
+                key={d.id}
+                delivery={d}
+                resolving={resolvingId === d.id}
+                onResolve={(resolution) => handleResolve(d.id, resolution)}
+              />
+            ))}
+          </View>
+        )}
+
         {/* Alert Banner */}
         {deliveries.length > 0 && (
           <View style={styles.alertBanner}>
@@ -724,6 +785,9 @@ const styles = StyleSheet.create({
   loadingContainer: { flex: 1, justifyContent: "center", alignItems: "center" },
 
   // Alert
+  undeliverableSection: { marginBottom: 8 },
+  undeliverableTitle: { fontSize: 16, fontWeight: "800", color: "#B91C1C" },
+  undeliverableSub: { fontSize: 12, color: "#618980", marginBottom: 10 },
   alertBanner: {
     flexDirection: "row",
     alignItems: "center",
@@ -42,6 +42,7 @@ const DRIVER_DRAWER_ITEMS = [
     label: "Renewed Documents",
     icon: "document-text-outline",
   },
+  { route: "ShiftCoverage", label: "Shift Coverage", icon: "calendar-outline" },
   { route: "AddDriver", label: "Add Driver", icon: "person-add-outline" },
 ];
 
@@ -0,0 +1,412 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ManagerDrawer from "../../../components/manager/ManagerDrawer";
+import ManagerHeader from "../../../components/manager/ManagerHeader";
+import {
+  createShiftSlot,
+  fetchShiftCoverage,
+  formatShiftTime,
+  getBookingDays,
+  getCoverageGaps,
+  getPeakLabel,
+  getPeakSlotTimes,
+  getSlotPeaks,
+  updateSlotCapacity,
+} from "../../../services/shiftService";
+
+const DRIVER_DRAWER_ITEMS = [
+  {
+    route: "ManagerDeposits",
+    label: "Driver Deposits",
+    icon: "receipt-outline",
+    tabTarget: "Drivers",
+  },
+  { route: "DriverPayments", label: "Driver Payments", icon: "wallet-outline" },
+  {
+    route: "DriverManagement",
+    label: "Driver Management",
+    icon: "people-outline",
+  },
+  {
+    route: "DriverVerification",
+    label: "Verify Driver",
+    icon: "checkmark-circle-outline",
+  },
+  {
+    route: "DriverRenewedDocuments",
+    label: "Renewed Documents",
+    icon: "document-text-outline",
+  },
+  { route: "ShiftCoverage", label: "Shift Coverage", icon: "calendar-outline" },
+  { route: "AddDriver", label: "Add Driver", icon: "person-add-outline" },
+];
+
+const DEFAULT_PEAK_CAPACITY = 3;
+
+function formatDayLabel(date, index) {
+  if (index === 0) return "Today";
+  if (index === 1) return "Tomorrow";
+  return date.toLocaleDateString("en-GB", { weekday: "short", day: "2-digit" });
+}
+
+const ShiftCoverageScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const days = useMemo(() => getBookingDays(), []);
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [selectedDay, setSelectedDay] = useState(days[0].key);
+  const [coverage, setCoverage] = useState({
+    zones: [],
+    slots: [],
+    noShows: [],
+  });
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setCoverage(await fetchShiftCoverage(selectedDay));
+    } catch (error) {
+      console.error("Failed to fetch shift coverage:", error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [selectedDay]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchData();
+  }, [fetchData]);
+
+  const gaps = useMemo(
+    () => getCoverageGaps(coverage.zones, coverage.slots, selectedDay),
+    [coverage, selectedDay],
+  );
+  const openGaps = gaps.filter((row) => row.uncovered || row.gap > 0);
+
+  const changeCapacity = async (slot, delta) => {
+    const next = (Number(slot.capacity) || 0) + delta;
+    if (next < (Number(slot.booked_count) || 0)) {
+      Alert.alert(
+        "Capacity",
+        "Capacity cannot be lower than the drivers already booked.",
+      );
+      return;
+    }
+    setSavingId(slot.id);
+    try {
+      await updateSlotCapacity(slot.id, next);
+      await fetchData();
+    } catch (error) {
+      Alert.alert("Capacity", error?.message || "Could not update capacity");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const addPeakSlot = async (row) => {
+    const times = getPeakSlotTimes(row.peakKey, selectedDay);
+    if (!times) return;
+    setSavingId(`${row.zoneId}:${row.peakKey}`);
+    try {
+      await createShiftSlot({
+        zoneId: row.zoneId,
+        startsAt: times.starts_at,
+        endsAt: times.ends_at,
+        capacity: DEFAULT_PEAK_CAPACITY,
+      });
+      await fetchData();
+    } catch (error) {
+      Alert.alert("Add slot", error?.message || "Could not add the slot");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const renderGap = (row) => {
+    const key = `${row.zoneId}:${row.peakKey}`;
+    return (
+      <View key={key} style={styles.gapRow}>
+        <Ionicons
+          name={row.uncovered ? "alert-circle" : "people-outline"}
+          size={18}
+          color={row.uncovered ? "#DC2626" : "#F59E0B"}
+        />
+        <View style={styles.info}>
+          <Text style={styles.name}>
+            {row.zoneName} · {row.peakLabel}
+          </Text>
+          <Text style={styles.meta}>
+            {row.uncovered
+              ? "No slot covers the whole peak"
+              : `${row.booked} / ${row.capacity} booked · ` +
+                `${row.gap} driver${row.gap !== 1 ? "s" : ""} short`}
+          </Text>
+        </View>
+        {row.uncovered &&
+          (savingId === key ? (
+            <ActivityIndicator size="small" color="#4F46E5" />
+          ) : (
+            <TouchableOpacity
+              style={styles.addButton}
+              onPress={() => addPeakSlot(row)}
+            >
+              <Ionicons name="add" size={14} color="#4F46E5" />
+              <Text style={styles.addButtonText}>Add slot</Text>
+            </TouchableOpacity>
+          ))}
+      </View>
+    );
+  };
+
+  const renderSlot = (slot) => {
+    const peaks = getSlotPeaks(slot);
+    return (
+      <View key={slot.id} style={styles.slotRow}>
+        <View style={styles.info}>
+          <Text style={styles.name}>
+            {formatShiftTime(slot)}
+            {peaks.length > 0
+              ? ` · ${peaks.map(getPeakLabel).join(", ")}`
+              : ""}
+          </Text>
+          <Text style={styles.meta}>
+            {slot.booked_count || 0} booked · {slot.checked_in_count || 0}{" "}
+            checked in
+          </Text>
+        </View>
+        {savingId === slot.id ? (
+          <ActivityIndicator size="small" color="#4F46E5" />
+        ) : (
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => changeCapacity(slot, -1)}
+            >
+              <Ionicons name="remove" size={14} color="#111827" />
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{slot.capacity || 0}</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => changeCapacity(slot, 1)}
+            >
+              <Ionicons name="add" size={14} color="#111827" />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top"]}>
+      <ManagerHeader
+        title="Shift Coverage"
+        showBack
+        onMenuPress={() => setDrawerOpen(true)}
+      />
+      <ManagerDrawer
+        visible={drawerOpen}
+        onClose={() => setDrawerOpen(false)}
+        sectionTitle="Driver Management"
+        items={DRIVER_DRAWER_ITEMS}
+        activeRoute={route.name}
+        navigation={navigation}
+      />
+
+      <View style={styles.headerPad}>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.dayRow}
+        >
+          {days.map((day, index) => {
+            const active = day.key === selectedDay;
+            return (
+              <TouchableOpacity
+                key={day.key}
+                style={[styles.dayChip, active && styles.dayChipActive]}
+                onPress={() => setSelectedDay(day.key)}
+              >
+                <Text
+                  style={[styles.dayChipText, active && styles.dayTextActive]}
+                >
+                  {formatDayLabel(day.date, index)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      </View>
+
+      {loading ? (
+        <View style={styles.emptyWrap}>
+          <ActivityIndicator size="large" color="#4F46E5" />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={() => {
+                setRefreshing(true);
+                fetchData();
+              }}
+            />
+          }
+        >
+          <Text style={styles.sectionTitle}>Peak coverage gaps</Text>
+          <View style={styles.card}>
+            {openGaps.length === 0 ? (
+              <View style={styles.gapRow}>
+                <Ionicons name="checkmark-circle" size={18} color="#06C168" />
+                <Text style={styles.meta}>
+                  Lunch and dinner are fully booked in every zone.
+                </Text>
+              </View>
+            ) : (
+              openGaps.map(renderGap)
+            )}
+          </View>
+
+          {coverage.zones.map((zone) => {
+            const zoneSlots = coverage.slots
+              .filter((slot) => String(slot.zone_id) === String(zone.id))
+              .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+            return (
+              <View key={zone.id}>
+                <Text style={styles.sectionTitle}>{zone.name}</Text>
+                <View style={styles.card}>
+                  {zoneSlots.length === 0 ? (
+                    <Text style={styles.meta}>No slots for this day.</Text>
+                  ) : (
+                    zoneSlots.map(renderSlot)
+                  )}
+                </View>
+              </View>
+            );
+          })}
+
+          <Text style={styles.sectionTitle}>No-shows</Text>
+          <View style={styles.card}>
+            {coverage.noShows.length === 0 ? (
+              <Text style={styles.meta}>No missed shifts on this day.</Text>
+            ) : (
+              coverage.noShows.map((entry) => (
+                <View key={entry.id} style={styles.gapRow}>
+                  <Ionicons name="person-remove" size={16} color="#DC2626" />
+                  <View style={styles.info}>
+                    <Text style={styles.name}>
+                      {entry.driver_name || "Unknown Driver"}
+                    </Text>
+                    <Text style={styles.meta}>
+                      {entry.zone_name || "Zone"} · {formatShiftTime(entry)}
+                    </Text>
+                  </View>
+                </View>
+              ))
+            )}
+          </View>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+export default ShiftCoverageScreen;
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: "#F8FAFC" },
+  headerPad: { paddingHorizontal: 16, paddingTop: 8, paddingBottom: 4 },
+
+  dayRow: { gap: 8 },
+  dayChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    backgroundColor: "#fff",
+  },
+  dayChipActive: { backgroundColor: "#4F46E5", borderColor: "#4F46E5" },
+  dayChipText: { fontSize: 12, fontWeight: "600", color: "#475569" },
+  dayTextActive: { color: "#fff" },
+
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#111827",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  list: { paddingHorizontal: 16, paddingBottom: 20 },
+  card: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E5E7EB",
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  gapRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+  },
+  slotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  info: { flex: 1 },
+  name: { fontSize: 13, fontWeight: "700", color: "#111816" },
+  meta: { fontSize: 11, color: "#6B7280", marginTop: 2 },
+
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: "#EEF2FF",
+  },
+  addButtonText: { fontSize: 12, fontWeight: "700", color: "#4F46E5" },
+
+  stepper: { flexDirection: "row", alignItems: "center", gap: 8 },
+  stepButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#F1F5F9",
+  },
+  stepValue: {
+    minWidth: 20,
+    textAlign: "center",
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#111827",
+  },
+
+  emptyWrap: { alignItems: "center", paddingTop: 60 },
+});
@@ -0,0 +1,662 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  FlatList,
+  Switch,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { getAccessToken } from "../../../lib/authStorage";
+import { API_BASE_URL } from "../../../constants/api";
+import {
+  PROMO_DISCOUNT_TYPES,
+  toPromoFormState,
+  toPromoPayload,
+  validatePromoDefinition,
+} from "../../../utils/promoCodes";
+
+const RestaurantScopePicker = ({ restaurants, selectedIds, onChange }) => {
+  const [modalVisible, setModalVisible] = useState(false);
+
+  const toggle = (id) => {
+    onChange(
+      selectedIds.includes(id)
+        ? selectedIds.filter((s) => s !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  const summary =
+    selectedIds.length === 0
+      ? "All restaurants"
+      : restaurants
+          .filter((r) => selectedIds.includes(String(r.id)))
+          .map((r) => r.restaurant_name || r.name)
+          .join(", ") || `${selectedIds.length} selected`;
+
+  return (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>Restaurants</Text>
+      <TouchableOpacity
+        style={styles.pickerButton}
+        onPress={() => setModalVisible(true)}
+      >
+        <Text style={styles.pickerButtonText} numberOfLines={1}>
+          {summary}
+        </Text>
+        <Ionicons name="chevron-down" size={20} color="#64748B" />
+      </TouchableOpacity>
+
+      <Modal
+        visible={modalVisible}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Valid at</Text>
+              <TouchableOpacity onPress={() => setModalVisible(false)}>
+                <Ionicons name="close" size={24} color="#0F172A" />
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              style={[
+                styles.modalItem,
+                selectedIds.length === 0 && styles.modalItemSelected,
+              ]}
+              onPress={() => onChange([])}
+            >
+              <Text
+                style={[
+                  styles.modalItemText,
+                  selectedIds.length === 0 && styles.modalItemTextSelected,
+                ]}
+              >
+                All restaurants
+              </Text>
+              {selectedIds.length === 0 && (
+                <Ionicons name="checkmark" size={20} color="#06C168" />
+              )}
+            </TouchableOpacity>
+            <FlatList
+              data={restaurants}
+              keyExtractor={(item) => String(item.id)}
+              renderItem={({ item }) => {
+                const selected = selectedIds.includes(String(item.id));
+                return (
+                  <TouchableOpacity
+                    style={[
+                      styles.modalItem,
+                      selected && styles.modalItemSelected,
+                    ]}
+                    onPress={() => toggle(String(item.id))}
+                  >
+                    <Text
+                      style={[
+                        styles.modalItemText,
+                        selected && styles.modalItemTextSelected,
+                      ]}
+                    >
+                      {item.restaurant_name || item.name}
+                    </Text>
+                    {selected && (
+                      <Ionicons name="checkmark" size={20} color="#06C168" />
+                    )}
+                  </TouchableOpacity>
+                );
+              }}
+            />
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+export default function PromoCodeFormScreen({ navigation, route }) {
+  const editingPromo = route?.params?.promo || null;
+  const [form, setForm] = useState(() => toPromoFormState(editingPromo));
+  const [restaurants, setRestaurants] = useState([]);
+  const [activePicker, setActivePicker] = useState(null); // starts_at | ends_at
+  const [loading, setLoading] = useState(false);
+
+  const updateForm = (patch) => setForm((current) => ({ ...current, ...patch }));
+
+  useEffect(() => {
+    const fetchRestaurants = async () => {
+      try {
+        const res = await fetch(
+          `${API_BASE_URL}/public/restaurants?status=active`
+        );
+        const data = await res.json();
+        if (res.ok) {
+          setRestaurants(data.restaurants || []);
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    };
+    fetchRestaurants();
+  }, []);
+
+  const handleDateChange = (event, selectedDate) => {
+    const field = activePicker;
+    setActivePicker(null);
+    if (!selectedDate || !field) return;
+    const next = new Date(selectedDate);
+    if (field === "ends_at") {
+      next.setHours(23, 59, 0, 0);
+    } else {
+      next.setHours(0, 0, 0, 0);
+    }
+    updateForm({ [field]: next });
+  };
+
+  const submitPromo = async () => {
+    const validationError = validatePromoDefinition(form);
+    if (validationError) {
+      Alert.alert("Validation", validationError);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const token = await getAccessToken();
+      const url = editingPromo
+        ? `${API_BASE_URL}/admin/promo-codes/${editingPromo.id}`
+        : `${API_BASE_URL}/admin/promo-codes`;
+      const res = await fetch(url, {
+        method: editingPromo ? "PATCH" : "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(toPromoPayload(form)),
+      });
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(data.message || "Failed to save promo code");
+      }
+
+      Alert.alert(
+        "Success",
+        editingPromo ? "Promo code updated" : "Promo code created",
+        [{ text: "OK", onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error(error);
+      Alert.alert("Error", error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isPercentage = form.discount_type === "percentage";
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backBtn}
+        >
+          <Ionicons name="arrow-back" size={24} color="#0F172A" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>
+          {editingPromo ? "Edit Promo Code" : "New Promo Code"}
+        </Text>
+        <View style={{ width: 24 }} />
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Code</Text>
+          <TextInput
+            style={[styles.input, styles.codeInput]}
+            placeholder="e.g. WELCOME20"
+            placeholderTextColor="#94A3B8"
+            value={form.code}
+            onChangeText={(value) => updateForm({ code: value.toUpperCase() })}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={20}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Discount Type</Text>
+          <View style={styles.segmentRow}>
+            {PROMO_DISCOUNT_TYPES.map((type) => {
+              const selected = form.discount_type === type.key;
+              return (
+                <TouchableOpacity
+                  key={type.key}
+                  style={[styles.segment, selected && styles.segmentSelected]}
+                  onPress={() => updateForm({ discount_type: type.key })}
+                >
+                  <Text
+                    style={[
+                      styles.segmentText,
+                      selected && styles.segmentTextSelected,
+                    ]}
+                  >
+                    {type.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        <View style={styles.fieldRow}>
+          <View style={[styles.inputGroup, styles.fieldHalf]}>
+            <Text style={styles.label}>
+              {isPercentage ? "Discount (%)" : "Discount (Rs.)"}
+            </Text>
+            <TextInput
+              style={styles.input}
+              placeholder={isPercentage ? "20" : "250"}
+              placeholderTextColor="#94A3B8"
+              value={form.discount_value}
+              onChangeText={(value) => updateForm({ discount_value: value })}
+              keyboardType="numeric"
+            />
+          </View>
+          {isPercentage && (
+            <View style={[styles.inputGroup, styles.fieldHalf]}>
+              <Text style={styles.label}>Max Discount (Rs.)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="No cap"
+                placeholderTextColor="#94A3B8"
+                value={form.max_discount}
+                onChangeText={(value) => updateForm({ max_discount: value })}
+                keyboardType="numeric"
+              />
+            </View>
+          )}
+        </View>
+
+        <View style={styles.fieldRow}>
+          <View style={[styles.inputGroup, styles.fieldHalf]}>
+            <Text style={styles.label}>Min Subtotal (Rs.)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="None"
+              placeholderTextColor="#94A3B8"
+              value={form.min_subtotal}
+              onChangeText={(value) => updateForm({ min_subtotal: value })}
+              keyboardType="numeric"
+            />
+          </View>
+          <View style={[styles.inputGroup, styles.fieldHalf]}>
+            <Text style={styles.label}>Uses per Customer</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Unlimited"
+              placeholderTextColor="#94A3B8"
+              value={form.per_user_limit}
+              onChangeText={(value) => updateForm({ per_user_limit: value })}
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Valid Period</Text>
+          <View style={styles.dateTimeRow}>
+            <TouchableOpacity
+              style={styles.dateTimeBtn}
+              onPress={() => setActivePicker("starts_at")}
+            >
+              <Ionicons name="calendar-outline" size={20} color="#06C168" />
+              <Text style={styles.dateTimeText}>
+                {form.starts_at
+                  ? form.starts_at.toLocaleDateString()
+                  : "Starts now"}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.dateTimeBtn}
+              onPress={() => setActivePicker("ends_at")}
+            >
+              <Ionicons name="flag-outline" size={20} color="#06C168" />
+              <Text style={styles.dateTimeText}>
+                {form.ends_at ? form.ends_at.toLocaleDateString() : "No end"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {form.ends_at ? (
+            <TouchableOpacity
+              onPress={() => updateForm({ ends_at: null })}
+              style={styles.clearLink}
+            >
+              <Text style={styles.clearLinkText}>Remove end date</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+
+        {activePicker && (
+          <DateTimePicker
+            value={form[activePicker] || new Date()}
+            mode="date"
+            display="default"
+            minimumDate={
+              activePicker === "ends_at" && form.starts_at
+                ? form.starts_at
+                : undefined
+            }
+            onChange={handleDateChange}
+          />
+        )}
+
+        <RestaurantScopePicker
+          restaurants={restaurants}
+          selectedIds={form.restaurant_ids}
+          onChange={(ids) => updateForm({ restaurant_ids: ids })}
+        />
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchTextWrap}>
+            <Text style={styles.switchLabel}>First order only</Text>
+            <Text style={styles.switchHint}>
+              Only customers without a completed order can use it
+            </Text>
+          </View>
+          <Switch
+            value={form.first_order_only}
+            onValueChange={(value) => updateForm({ first_order_only: value })}
+            trackColor={{ false: "#CBD5E1", true: "#86EFAC" }}
+            thumbColor={form.first_order_only ? "#06C168" : "#F8FAFC"}
+          />
+        </View>
+
+        <View style={styles.switchRow}>
+          <View style={styles.switchTextWrap}>
+            <Text style={styles.switchLabel}>Enabled</Text>
+            <Text style={styles.switchHint}>
+              Disabled codes are rejected at checkout
+            </Text>
+          </View>
+          <Switch
+            value={form.is_active}
+            onValueChange={(value) => updateForm({ is_active: value })}
+            trackColor={{ false: "#CBD5E1", true: "#86EFAC" }}
+            thumbColor={form.is_active ? "#06C168" : "#F8FAFC"}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Description (Optional)</Text>
+          <TextInput
+            style={styles.textArea}
+            placeholder="e.g. 20% off your first Meezo order"
+            placeholderTextColor="#94A3B8"
+            value={form.description}
+            onChangeText={(value) => updateForm({ description: value })}
+            multiline
+            numberOfLines={3}
+            textAlignVertical="top"
+          />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.submitBtn, loading && styles.submitBtnDisabled]}
+          onPress={submitPromo}
+          disabled={loading}
+        >
+          {loading ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.submitBtnText}>
+              {editingPromo ? "Save Changes" : "Create Promo Code"}
+            </Text>
+          )}
+        </TouchableOpacity>
+
+        <View style={{ height: 40 }} />
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8FAFC",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#0F172A",
+  },
+  backBtn: {
+    padding: 4,
+  },
+  content: {
+    padding: 16,
+  },
+  inputGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#334155",
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: "#0F172A",
+  },
+  codeInput: {
+    fontWeight: "bold",
+    letterSpacing: 1,
+  },
+  fieldRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  fieldHalf: {
+    flex: 1,
+  },
+  segmentRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  segment: {
+    flex: 1,
+    alignItems: "center",
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingVertical: 12,
+  },
+  segmentSelected: {
+    backgroundColor: "#F0FDF4",
+    borderColor: "#06C168",
+  },
+  segmentText: {
+    fontSize: 14,
+    fontWeight: "500",
+    color: "#334155",
+  },
+  segmentTextSelected: {
+    color: "#06C168",
+    fontWeight: "bold",
+  },
+  pickerButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  pickerButtonText: {
+    flex: 1,
+    fontSize: 15,
+    color: "#0F172A",
+    marginRight: 8,
+  },
+  textArea: {
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 15,
+    color: "#0F172A",
+    minHeight: 100,
+  },
+  dateTimeRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  dateTimeBtn: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingVertical: 14,
+    gap: 8,
+  },
+  dateTimeText: {
+    fontSize: 15,
+    color: "#0F172A",
+    fontWeight: "500",
+  },
+  clearLink: {
+    marginTop: 8,
+    alignSelf: "flex-end",
+  },
+  clearLinkText: {
+    fontSize: 13,
+    color: "#EF4444",
+    fontWeight: "600",
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginBottom: 12,
+  },
+  switchTextWrap: {
+    flex: 1,
+    marginRight: 12,
+  },
+  switchLabel: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#0F172A",
+  },
+  switchHint: {
+    fontSize: 12,
+    color: "#94A3B8",
+    marginTop: 2,
+  },
+  submitBtn: {
+    backgroundColor: "#06C168",
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: "center",
+    marginTop: 10,
+  },
+  submitBtnDisabled: {
+    opacity: 0.7,
+  },
+  submitBtnText: {
+    color: "#FFFFFF",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  // Modal Styles
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: "#FFFFFF",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: "70%",
+    minHeight: "40%",
+  },
+  modalHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#0F172A",
+  },
+  modalItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F8FAFC",
+  },
+  modalItemSelected: {
+    backgroundColor: "#F0FDF4",
+  },
+  modalItemText: {
+    fontSize: 16,
+    color: "#334155",
+  },
+  modalItemTextSelected: {
+    color: "#06C168",
+    fontWeight: "bold",
+  },
+});
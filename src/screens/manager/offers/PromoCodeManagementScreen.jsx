@@ -0,0 +1,345 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "@react-navigation/native";
+import { getAccessToken } from "../../../lib/authStorage";
+import { API_BASE_URL } from "../../../constants/api";
+import { formatPromoSummary, getPromoStatus } from "../../../utils/promoCodes";
+
+const STATUS_COLORS = {
+  active: { bg: "#D1FAE5", text: "#059669" },
+  scheduled: { bg: "#DBEAFE", text: "#2563EB" },
+  expired: { bg: "#FEE2E2", text: "#DC2626" },
+  inactive: { bg: "#F1F5F9", text: "#64748B" },
+};
+
+export default function PromoCodeManagementScreen({ navigation }) {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [togglingId, setTogglingId] = useState(null);
+
+  const fetchPromoCodes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const token = await getAccessToken();
+      const res = await fetch(`${API_BASE_URL}/admin/promo-codes`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setPromoCodes(data.data || data.promo_codes || []);
+      } else {
+        throw new Error(data.message || "Failed to load promo codes");
+      }
+    } catch (error) {
+      console.error(error);
+      Alert.alert("Error", "Could not load promo codes");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchPromoCodes();
+    }, [fetchPromoCodes])
+  );
+
+  const toggleActive = async (promo) => {
+    setTogglingId(promo.id);
+    try {
+      const token = await getAccessToken();
+      const res = await fetch(`${API_BASE_URL}/admin/promo-codes/${promo.id}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ is_active: !promo.is_active }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Update failed");
+      setPromoCodes((current) =>
+        current.map((p) =>
+          p.id === promo.id ? { ...p, is_active: !promo.is_active } : p
+        )
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message);
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    Alert.alert(
+      "Delete Promo Code",
+      `Delete ${promo.code}? Customers will no longer be able to use it.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              const token = await getAccessToken();
+              const res = await fetch(
+                `${API_BASE_URL}/admin/promo-codes/${promo.id}`,
+                {
+                  method: "DELETE",
+                  headers: { Authorization: `Bearer ${token}` },
+                }
+              );
+              if (res.ok) {
+                setPromoCodes((current) =>
+                  current.filter((p) => p.id !== promo.id)
+                );
+              } else {
+                const err = await res.json();
+                throw new Error(err.message || "Delete failed");
+              }
+            } catch (error) {
+              Alert.alert("Error", error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderPromoItem = ({ item }) => {
+    const status = getPromoStatus(item);
+    const colors = STATUS_COLORS[status];
+    const restaurantCount = Array.isArray(item.restaurant_ids)
+      ? item.restaurant_ids.length
+      : 0;
+
+    return (
+      <TouchableOpacity
+        style={styles.promoCard}
+        activeOpacity={0.85}
+        onPress={() => navigation.navigate("PromoCodeForm", { promo: item })}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.codeText}>{item.code}</Text>
+          <View style={[styles.statusBadge, { backgroundColor: colors.bg }]}>
+            <Text style={[styles.statusText, { color: colors.text }]}>
+              {status.toUpperCase()}
+            </Text>
+          </View>
+        </View>
+        <Text style={styles.summaryText}>{formatPromoSummary(item)}</Text>
+        {item.description ? (
+          <Text style={styles.description}>{item.description}</Text>
+        ) : null}
+
+        <View style={styles.metaRow}>
+          <Text style={styles.metaText}>
+            {restaurantCount > 0
+              ? `${restaurantCount} restaurant${restaurantCount === 1 ? "" : "s"}`
+              : "All restaurants"}
+            {item.per_user_limit ? ` · ${item.per_user_limit}x per customer` : ""}
+          </Text>
+          {item.ends_at ? (
+            <Text style={styles.metaText}>
+              Ends: {new Date(item.ends_at).toLocaleDateString()}
+            </Text>
+          ) : null}
+        </View>
+
+        <View style={styles.actionsRow}>
+          <View style={styles.toggleRow}>
+            <Switch
+              value={item.is_active !== false}
+              onValueChange={() => toggleActive(item)}
+              disabled={togglingId === item.id}
+              trackColor={{ false: "#CBD5E1", true: "#86EFAC" }}
+              thumbColor={item.is_active !== false ? "#06C168" : "#F8FAFC"}
+            />
+            <Text style={styles.toggleLabel}>
+              {item.is_active !== false ? "Enabled" : "Disabled"}
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.deleteBtn}
+            onPress={() => handleDelete(item)}
+          >
+            <Ionicons name="trash-outline" size={20} color="#EF4444" />
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top", "bottom"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => navigation.goBack()}
+          style={styles.backBtn}
+        >
+          <Ionicons name="arrow-back" size={24} color="#0F172A" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Promo Codes</Text>
+        <TouchableOpacity
+          onPress={() => navigation.navigate("PromoCodeForm")}
+          style={styles.addBtn}
+        >
+          <Ionicons name="add" size={24} color="#06C168" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.center}>
+          <ActivityIndicator size="large" color="#06C168" />
+        </View>
+      ) : promoCodes.length === 0 ? (
+        <View style={styles.center}>
+          <Ionicons name="ticket-outline" size={48} color="#CBD5E1" />
+          <Text style={styles.emptyText}>No promo codes yet</Text>
+          <Text style={styles.emptySubText}>
+            Click the + icon to create one.
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={promoCodes}
+          keyExtractor={(item) => String(item.id)}
+          renderItem={renderPromoItem}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8FAFC",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#F1F5F9",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#0F172A",
+  },
+  backBtn: {
+    padding: 4,
+  },
+  addBtn: {
+    padding: 4,
+  },
+  center: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 24,
+  },
+  emptyText: {
+    marginTop: 16,
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#64748B",
+  },
+  emptySubText: {
+    marginTop: 8,
+    fontSize: 14,
+    color: "#94A3B8",
+  },
+  listContent: {
+    padding: 16,
+  },
+  promoCard: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    marginBottom: 16,
+    padding: 16,
+    elevation: 2,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  codeText: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#0F172A",
+    letterSpacing: 1,
+  },
+  summaryText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#06C168",
+    marginTop: 6,
+  },
+  description: {
+    fontSize: 14,
+    color: "#475569",
+    marginTop: 6,
+  },
+  metaRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  metaText: {
+    fontSize: 12,
+    color: "#94A3B8",
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 99,
+  },
+  statusText: {
+    fontSize: 10,
+    fontWeight: "bold",
+  },
+  actionsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F1F5F9",
+  },
+  toggleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  toggleLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#334155",
+  },
+  deleteBtn: {
+    padding: 6,
+  },
+});
@@ -0,0 +1,376 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "@react-navigation/native";
+import { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import OrderIssueCard from "../../../components/common/OrderIssueCard";
+import ManagerHeader from "../../../components/manager/ManagerHeader";
+import {
+  ISSUE_RESOLUTIONS,
+  fetchManagerIssues,
+  resolveIssue,
+} from "../../../services/orderIssueService";
+
+const STATUS_TABS = [
+  { key: "open", label: "Awaiting decision" },
+  { key: "resolved", label: "Resolved" },
+];
+
+/** Full or partial approval (amount capped at the request) or rejection. */
+function IssueDecision({ issue, busy, onDecide }) {
+  const requested = Number(issue.requested_amount) || 0;
+  const [amount, setAmount] = useState(requested ? String(requested) : "");
+  const [resolution, setResolution] = useState(
+    issue.requested_resolution || ISSUE_RESOLUTIONS[0].key,
+  );
+  const [note, setNote] = useState("");
+
+  const value = Math.min(Number(amount) || 0, requested || Infinity);
+  const partial = requested > 0 && value > 0 && value < requested;
+
+  if (busy) {
+    return (
+      <ActivityIndicator
+        size="small"
+        color="#06C168"
+        style={styles.actionsLoader}
+      />
+    );
+  }
+
+  return (
+    <View style={styles.decision}>
+      <View style={styles.resolutionRow}>
+        {ISSUE_RESOLUTIONS.map((entry) => {
+          const active = resolution === entry.key;
+          return (
+            <TouchableOpacity
+              key={entry.key}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => setResolution(entry.key)}
+            >
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {entry.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.amountRow}>
+        <Text style={styles.amountLabel}>Approve LKR</Text>
+        <TextInput
+          style={styles.amountInput}
+          value={amount}
+          onChangeText={(text) => setAmount(text.replace(/[^0-9.]/g, ""))}
+          keyboardType="decimal-pad"
+        />
+        {partial && <Text style={styles.partialTag}>Partial</Text>}
+      </View>
+      <TextInput
+        style={styles.noteInput}
+        value={note}
+        onChangeText={setNote}
+        placeholder="Note for the customer (optional)"
+        placeholderTextColor="#94A3B8"
+      />
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[
+            styles.actionBtn,
+            styles.approveBtn,
+            !(value > 0) && styles.dim,
+          ]}
+          disabled={!(value > 0)}
+          onPress={() =>
+            onDecide(issue, { approve: true, amount: value, resolution, note })
+          }
+        >
+          <Ionicons name="checkmark" size={14} color="#059669" />
+          <Text style={[styles.actionText, { color: "#059669" }]}>
+            {partial ? "Approve partial" : "Approve"}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionBtn, styles.rejectBtn]}
+          onPress={() => onDecide(issue, { approve: false, note })}
+        >
+          <Ionicons name="close" size={14} color="#DC2626" />
+          <Text style={[styles.actionText, { color: "#DC2626" }]}>Reject</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function OrderIssuesScreen() {
+  const [status, setStatus] = useState("open");
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  const fetchIssues = useCallback(async () => {
+    try {
+      setLoading(true);
+      setIssues(await fetchManagerIssues(status));
+    } catch (error) {
+      console.error(error);
+      Alert.alert("Error", "Could not load order issues");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchIssues();
+    }, [fetchIssues]),
+  );
+
+  const applyDecision = async (issue, decision) => {
+    setUpdatingId(issue.id);
+    try {
+      await resolveIssue(issue.id, decision);
+      // The issue moves to the resolved tab.
+      setIssues((current) => current.filter((i) => i.id !== issue.id));
+    } catch (error) {
+      Alert.alert("Error", error.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const confirmDecision = (issue, decision) => {
+    if (decision.approve) {
+      applyDecision(issue, decision);
+      return;
+    }
+    Alert.alert("Reject Issue", "The customer will not be refunded.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Reject",
+        style: "destructive",
+        onPress: () => applyDecision(issue, decision),
+      },
+    ]);
+  };
+
+  const renderIssue = ({ item }) => (
+    <OrderIssueCard
+      issue={item}
+      showTimeline
+      footer={
+        status === "open" ? (
+          <IssueDecision
+            issue={item}
+            busy={updatingId === item.id}
+            onDecide={confirmDecision}
+          />
+        ) : null
+      }
+    />
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top"]}>
+      <ManagerHeader title="Order Issues" showBack onRefresh={fetchIssues} />
+
+      <View style={styles.tabs}>
+        {STATUS_TABS.map((tab) => {
+          const active = status === tab.key;
+          return (
+            <TouchableOpacity
+              key={tab.key}
+              style={[styles.tab, active && styles.tabActive]}
+              onPress={() => setStatus(tab.key)}
+            >
+              <Text style={[styles.tabText, active && styles.tabTextActive]}>
+                {tab.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {loading ? (
+        <View style={styles.center}>
+          <ActivityIndicator size="large" color="#06C168" />
+        </View>
+      ) : (
+        <FlatList
+          data={issues}
+          keyExtractor={(item) => String(item.id)}
+          renderItem={renderIssue}
+          contentContainerStyle={styles.listContent}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={
+            <View style={styles.emptyBox}>
+              <Ionicons name="receipt-outline" size={40} color="#CBD5E1" />
+              <Text style={styles.emptyText}>No issues here</Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8FAFC",
+  },
+  tabs: {
+    flexDirection: "row",
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+  },
+  tabActive: {
+    backgroundColor: "#06C168",
+    borderColor: "#06C168",
+  },
+  tabText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  tabTextActive: {
+    color: "#FFFFFF",
+  },
+  center: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  decision: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F1F5F9",
+  },
+  resolutionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    backgroundColor: "#F8FAFC",
+  },
+  chipActive: {
+    borderColor: "#06C168",
+    backgroundColor: "#ECFDF5",
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  chipTextActive: {
+    color: "#047857",
+  },
+  amountRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+  },
+  amountLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#334155",
+  },
+  amountInput: {
+    minWidth: 90,
+    height: 38,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#0F172A",
+  },
+  partialTag: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#B45309",
+  },
+  noteInput: {
+    marginTop: 10,
+    height: 40,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+    fontSize: 13,
+    color: "#0F172A",
+  },
+  actions: {
+    flexDirection: "row",
+    gap: 10,
+    marginTop: 12,
+  },
+  actionsLoader: {
+    marginTop: 12,
+    alignSelf: "flex-start",
+  },
+  actionBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  approveBtn: {
+    borderColor: "#A7F3D0",
+    backgroundColor: "#ECFDF5",
+  },
+  rejectBtn: {
+    borderColor: "#FECACA",
+    backgroundColor: "#FEF2F2",
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  dim: {
+    opacity: 0.4,
+  },
+  emptyBox: {
+    alignItems: "center",
+    paddingTop: 60,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748B",
+  },
+});
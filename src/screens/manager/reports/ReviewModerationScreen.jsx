@@ -0,0 +1,314 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "@react-navigation/native";
+import { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { ReviewItem } from "../../../components/common/ReviewList";
+import ManagerHeader from "../../../components/manager/ManagerHeader";
+import {
+  REVIEW_STATUSES,
+  fetchModerationReviews,
+  moderateReview,
+} from "../../../services/reviewService";
+
+const STATUS_TABS = [
+  { key: REVIEW_STATUSES.FLAGGED, label: "Flagged" },
+  { key: REVIEW_STATUSES.PUBLISHED, label: "Published" },
+  { key: REVIEW_STATUSES.HIDDEN, label: "Hidden" },
+];
+
+const TARGET_LABELS = {
+  restaurant: "Restaurant",
+  food: "Food",
+  driver: "Driver",
+};
+
+export default function ReviewModerationScreen() {
+  const [status, setStatus] = useState(REVIEW_STATUSES.FLAGGED);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      setReviews(await fetchModerationReviews(status));
+    } catch (error) {
+      console.error(error);
+      Alert.alert("Error", "Could not load reviews");
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchReviews();
+    }, [fetchReviews]),
+  );
+
+  const applyStatus = async (review, nextStatus) => {
+    setUpdatingId(review.id);
+    try {
+      await moderateReview(review.id, nextStatus);
+      // The review moves to another tab.
+      setReviews((current) => current.filter((r) => r.id !== review.id));
+    } catch (error) {
+      Alert.alert("Error", error.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const confirmHide = (review) => {
+    Alert.alert(
+      "Hide Review",
+      "Hidden reviews are removed from the app and from rating averages.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Hide",
+          style: "destructive",
+          onPress: () => applyStatus(review, REVIEW_STATUSES.HIDDEN),
+        },
+      ],
+    );
+  };
+
+  const renderActions = (review) => {
+    if (updatingId === review.id) {
+      return (
+        <ActivityIndicator
+          size="small"
+          color="#06C168"
+          style={styles.actionsLoader}
+        />
+      );
+    }
+    return (
+      <View style={styles.actions}>
+        {status !== REVIEW_STATUSES.PUBLISHED && (
+          <TouchableOpacity
+            style={[styles.actionBtn, styles.publishBtn]}
+            onPress={() => applyStatus(review, REVIEW_STATUSES.PUBLISHED)}
+          >
+            <Ionicons name="checkmark" size={14} color="#059669" />
+            <Text style={[styles.actionText, { color: "#059669" }]}>
+              {status === REVIEW_STATUSES.HIDDEN ? "Restore" : "Approve"}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {status !== REVIEW_STATUSES.HIDDEN && (
+          <TouchableOpacity
+            style={[styles.actionBtn, styles.hideBtn]}
+            onPress={() => confirmHide(review)}
+          >
+            <Ionicons name="eye-off-outline" size={14} color="#DC2626" />
+            <Text style={[styles.actionText, { color: "#DC2626" }]}>Hide</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderReview = ({ item }) => (
+    <View style={styles.reviewCard}>
+      <View style={styles.cardHeader}>
+        <View style={styles.targetBadge}>
+          <Text style={styles.targetBadgeText}>
+            {TARGET_LABELS[item.target_type] || "Review"}
+          </Text>
+        </View>
+        {item.restaurant_name ? (
+          <Text style={styles.restaurantName} numberOfLines={1}>
+            {item.restaurant_name}
+          </Text>
+        ) : null}
+      </View>
+      {item.flag_reason ? (
+        <View style={styles.flagRow}>
+          <Ionicons name="flag" size={12} color="#D97706" />
+          <Text style={styles.flagText}>{item.flag_reason}</Text>
+        </View>
+      ) : null}
+      <ReviewItem review={item} footer={renderActions(item)} />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={["top"]}>
+      <ManagerHeader
+        title="Review Moderation"
+        showBack
+        onRefresh={fetchReviews}
+      />
+
+      <View style={styles.tabs}>
+        {STATUS_TABS.map((tab) => {
+          const active = status === tab.key;
+          return (
+            <TouchableOpacity
+              key={tab.key}
+              style={[styles.tab, active && styles.tabActive]}
+              onPress={() => setStatus(tab.key)}
+            >
+              <Text style={[styles.tabText, active && styles.tabTextActive]}>
+                {tab.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {loading ? (
+        <View style={styles.center}>
+          <ActivityIndicator size="large" color="#06C168" />
+        </View>
+      ) : (
+        <FlatList
+          data={reviews}
+          keyExtractor={(item) => String(item.id)}
+          renderItem={renderReview}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <View style={styles.emptyBox}>
+              <Ionicons name="star-outline" size={40} color="#CBD5E1" />
+              <Text style={styles.emptyText}>No reviews here</Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8FAFC",
+  },
+  tabs: {
+    flexDirection: "row",
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "#FFFFFF",
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+  },
+  tabActive: {
+    backgroundColor: "#06C168",
+    borderColor: "#06C168",
+  },
+  tabText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  tabTextActive: {
+    color: "#FFFFFF",
+  },
+  center: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  reviewCard: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 14,
+    paddingHorizontal: 14,
+    paddingTop: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: "#E2E8F0",
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  targetBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 6,
+    backgroundColor: "#EEF2FF",
+  },
+  targetBadgeText: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#4F46E5",
+  },
+  restaurantName: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#334155",
+  },
+  flagRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 4,
+  },
+  flagText: {
+    fontSize: 12,
+    color: "#B45309",
+  },
+  actions: {
+    flexDirection: "row",
+    gap: 10,
+    marginTop: 12,
+  },
+  actionsLoader: {
+    marginTop: 12,
+    alignSelf: "flex-start",
+  },
+  actionBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 7,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  publishBtn: {
+    borderColor: "#A7F3D0",
+    backgroundColor: "#ECFDF5",
+  },
+  hideBtn: {
+    borderColor: "#FECACA",
+    backgroundColor: "#FEF2F2",
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  emptyBox: {
+    alignItems: "center",
+    paddingTop: 60,
+    gap: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748B",
+  },
+});
@@ -25,6 +25,15 @@ const authService = {
     return apiClient.post('/auth/reset-password', { token, password });
   },
 
+  // Phone accounts have no password; recovery signs them in by SMS OTP.
+  async requestPhoneOtp(phone) {
+    return apiClient.post(
+      '/auth/phone/request-otp',
+      { phone },
+      { headers: { 'x-client-platform': 'react-native' } },
+    );
+  },
+
   async refreshToken(refreshToken) {
     return apiClient.post('/auth/refresh-token', { refreshToken });
   },
@@ -34,4 +43,20 @@ const authService = {
   },
 };
 
+/**
+ * Seconds to wait before retrying a rate-limited (429) auth request.
+ * Reads Retry-After when the server sends it.
+ * @returns {number|null} null when the error is not a rate limit
+ */
+export function getRateLimitRetrySeconds(error, fallbackSeconds = 60) {
+  if (error?.response?.status !== 429) return null;
+  const header = Number(error.response.headers?.['retry-after']);
+  const bodySeconds = Number(error.response.data?.retryAfter);
+  if (Number.isFinite(header) && header > 0) return Math.ceil(header);
+  if (Number.isFinite(bodySeconds) && bodySeconds > 0) {
+    return Math.ceil(bodySeconds);
+  }
+  return fallbackSeconds;
+}
+
 export default authService;
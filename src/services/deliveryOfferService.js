@@ -0,0 +1,243 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { DeviceEventEmitter } from "react-native";
+import { apiRequest } from "../lib/apiRequest";
+import { getCurrentDriverScopedCacheKey } from "../utils/driverRequestCache";
+
+/**
+ * Timed delivery offers. Every offer expires a fixed window after this
+ * device first saw it: `offer_timeout_seconds`, or the span between the
+ * server's `offered_at` and `offer_expires_at`, or the default. Server
+ * timestamps are only ever compared with each other, so a wrong device
+ * clock cannot shorten or stretch an offer. An unanswered offer is
+ * auto-declined when it expires.
+ *
+ * Each answer is logged on the device, per driver, so closed offers stay
+ * closed, and posted to the server, which owns the acceptance rate shown on
+ * the earnings screen. Answers that could not be posted are sent again on
+ * the next answer or stats read.
+ *
+ *   seen     = { [deliveryId]: firstSeenAt }
+ *   outcomes = [{ deliveryId, outcome: "accepted" | "declined" | "expired",
+ *                 source, at, synced }]
+ */
+
+export const OFFER_OUTCOME_EVENT = "driver:offer_outcome";
+export const DEFAULT_OFFER_TIMEOUT_SECONDS = 30;
+
+const OFFER_SEEN_KEY = "@driver_offer_seen";
+const OFFER_OUTCOMES_KEY = "@driver_offer_outcomes";
+const SEEN_RETENTION_MS = 24 * 60 * 60 * 1000;
+const OUTCOME_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_OUTCOMES = 1000;
+
+const CLOSED_OUTCOMES = new Set(["declined", "expired"]);
+
+// Outcome writes run one at a time so simultaneous expiries are all kept.
+let outcomeWriteChain = Promise.resolve();
+let syncPromise = null;
+
+async function readJson(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJson(key, value) {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Ignore offer log write errors.
+  }
+}
+
+async function readOutcomes() {
+  const key = await getCurrentDriverScopedCacheKey(OFFER_OUTCOMES_KEY);
+  const outcomes = await readJson(key, []);
+  return { key, outcomes: Array.isArray(outcomes) ? outcomes : [] };
+}
+
+function writeOutcomes(update) {
+  const write = outcomeWriteChain.then(async () => {
+    const { key, outcomes } = await readOutcomes();
+    const result = update(outcomes);
+    if (result?.outcomes) await writeJson(key, result.outcomes);
+    return result?.value;
+  });
+  outcomeWriteChain = write.catch(() => false);
+  return write;
+}
+
+const offerRequest = (path, options = {}) =>
+  apiRequest(path, { errorMessage: "Offer request failed", ...options });
+
+/**
+ * Post answers the server has not acknowledged yet. Failures are left for
+ * the next call; concurrent callers share one request.
+ */
+function syncOutcomes() {
+  if (syncPromise) return syncPromise;
+
+  syncPromise = (async () => {
+    const { outcomes } = await readOutcomes();
+    const pending = outcomes.filter((entry) => !entry.synced);
+    if (pending.length === 0) return;
+
+    await offerRequest("/driver/offers/outcomes", {
+      method: "POST",
+      body: JSON.stringify({
+        outcomes: pending.map((entry) => ({
+          delivery_id: entry.deliveryId,
+          outcome: entry.outcome,
+          source: entry.source,
+          answered_at: new Date(entry.at).toISOString(),
+        })),
+      }),
+    });
+
+    const sentIds = new Set(pending.map((entry) => entry.deliveryId));
+    await writeOutcomes((current) => ({
+      outcomes: current.map((entry) =>
+        sentIds.has(entry.deliveryId) ? { ...entry, synced: true } : entry,
+      ),
+    }));
+  })()
+    .catch((error) => {
+      console.warn("[Offers] Outcome sync failed:", error?.message);
+    })
+    .finally(() => {
+      syncPromise = null;
+    });
+  return syncPromise;
+}
+
+/** How long an offer stays open, in ms, counted from first sight. */
+export function getOfferTimeoutMs(offer) {
+  const seconds = Number(offer?.offer_timeout_seconds);
+  if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+
+  const offeredAt = new Date(offer?.offered_at || "").getTime();
+  const expiresAt = new Date(offer?.offer_expires_at || "").getTime();
+  if (expiresAt > offeredAt) return expiresAt - offeredAt;
+
+  return DEFAULT_OFFER_TIMEOUT_SECONDS * 1000;
+}
+
+/** Expiry timestamp for an offer first seen at `seenAt`. */
+export function getOfferExpiry(offer, seenAt) {
+  return (Number(seenAt) || Date.now()) + getOfferTimeoutMs(offer);
+}
+
+/**
+ * Register the offers currently on screen and look up their timers. The
+ * first-seen time survives remounts, so leaving the screen does not reset
+ * a countdown.
+ * @param {Array} offers - deliveries with `delivery_id`
+ * @returns {Promise<Object>} { expiries: { [deliveryId]: expiresAt },
+ *   closedIds: Set of offers already declined or expired }
+ */
+export async function trackOffers(offers) {
+  const now = Date.now();
+  const seenKey = await getCurrentDriverScopedCacheKey(OFFER_SEEN_KEY);
+  const seen = await readJson(seenKey, {});
+  const next = {};
+  Object.entries(seen || {}).forEach(([id, seenAt]) => {
+    if (now - seenAt < SEEN_RETENTION_MS) next[id] = seenAt;
+  });
+
+  const expiries = {};
+  (offers || []).forEach((offer) => {
+    const id = String(offer?.delivery_id || "");
+    if (!id) return;
+    if (!next[id]) next[id] = now;
+    expiries[id] = getOfferExpiry(offer, next[id]);
+  });
+  await writeJson(seenKey, next);
+
+  const { outcomes } = await readOutcomes();
+  const closedIds = new Set(
+    outcomes
+      .filter((entry) => CLOSED_OUTCOMES.has(entry.outcome))
+      .map((entry) => entry.deliveryId),
+  );
+  return { expiries, closedIds };
+}
+
+/**
+ * Log how the driver answered an offer. Only the first answer per offer
+ * counts, so the popup and the list can both report without double
+ * counting.
+ * @param {string} deliveryId
+ * @param {string} outcome - "accepted" | "declined" | "expired"
+ * @param {string} source - screen or component that saw the answer
+ */
+export function recordOfferOutcome(deliveryId, outcome, source) {
+  const id = String(deliveryId || "");
+  if (!id) return Promise.resolve(false);
+
+  const now = Date.now();
+  return writeOutcomes((outcomes) => {
+    if (outcomes.some((entry) => entry.deliveryId === id)) {
+      return { value: false };
+    }
+    return {
+      value: true,
+      outcomes: [
+        ...outcomes.filter((entry) => now - entry.at < OUTCOME_RETENTION_MS),
+        {
+          deliveryId: id,
+          outcome,
+          source: source || null,
+          at: now,
+          synced: false,
+        },
+      ].slice(-MAX_OUTCOMES),
+    };
+  }).then((recorded) => {
+    if (recorded) {
+      DeviceEventEmitter.emit(OFFER_OUTCOME_EVENT, {
+        deliveryId: id,
+        outcome,
+      });
+      void syncOutcomes();
+    }
+    return recorded;
+  });
+}
+
+/**
+ * Auto-decline an offer that ran out of time. The caller also drops the
+ * offer's popup, which silences the alert sound once no offer is left.
+ */
+export function expireOffer(deliveryId, source) {
+  return recordOfferOutcome(deliveryId, "expired", source);
+}
+
+/**
+ * Acceptance rate over recent offers, as counted by the server. Answers
+ * still waiting on this device are posted first.
+ * @param {Object} options - { sinceMs } window length, defaults to 30 days
+ * @returns {Promise<Object>} { accepted, declined, expired, total, rate }
+ *   with rate in 0..1, or null before any offer was answered
+ */
+export async function getAcceptanceStats({ sinceMs } = {}) {
+  await syncOutcomes();
+  const since = new Date(Date.now() - (sinceMs || OUTCOME_RETENTION_MS));
+  const query = encodeURIComponent(since.toISOString());
+  const data = await offerRequest(`/driver/offers/acceptance?since=${query}`);
+  const stats = data?.stats || data || {};
+  const count = (value) => Math.max(0, Number(value) || 0);
+  const accepted = count(stats.accepted);
+  const declined = count(stats.declined);
+  const expired = count(stats.expired);
+  const total = count(stats.total) || accepted + declined + expired;
+  return {
+    accepted,
+    declined,
+    expired,
+    total,
+    rate: total ? accepted / total : null,
+  };
+}
@@ -0,0 +1,343 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { DeviceEventEmitter } from "react-native";
+import { API_BASE_URL } from "../constants/api";
+import { translate } from "../i18n";
+import { refreshAccessToken } from "../lib/apiAuthFetch";
+import { getAccessToken } from "../lib/authStorage";
+import { isTransientFetchError } from "../utils/rateLimitedFetch";
+
+/**
+ * Durable outbox for driver actions (status transitions, accepts, proof
+ * uploads). Actions that cannot reach the server are stored in AsyncStorage
+ * and replayed in order once connectivity returns; screens update
+ * optimistically and read the queue to show a "pending sync" state.
+ *
+ *   action = { id, type: "status" | "accept" | "proof", deliveryId, payload,
+ *              createdAt, attempts }
+ */
+
+export const DRIVER_ACTION_QUEUE_EVENT = "driver:action_queue_changed";
+export const DRIVER_ACTION_CONFLICT_EVENT = "driver:action_conflict";
+export const DRIVER_ACTION_AUTH_FAILED_EVENT = "driver:action_auth_failed";
+
+const ACTION_QUEUE_KEY = "@driver_action_queue";
+const MAX_QUEUED_ACTIONS = 50;
+const ACTION_TIMEOUT_MS = 20000;
+const PROOF_TIMEOUT_MS = 60000;
+// Server answers that mean "try again later" rather than "rejected".
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429]);
+
+let flushPromise = null;
+// Reported once until an action goes through or the queue is cleared, so
+// repeated flushes with a dead session do not alert on every attempt.
+let authFailureReported = false;
+let actionIdCounter = 0;
+// Every read-modify-write of the stored queue runs on this chain, so an
+// action queued during a flush (or a logout clear) is never overwritten.
+let queueChain = Promise.resolve();
+
+function createActionId() {
+  actionIdCounter += 1;
+  return `act_${Date.now().toString(36)}_${actionIdCounter}`;
+}
+
+async function readQueuedActions() {
+  try {
+    const raw = await AsyncStorage.getItem(ACTION_QUEUE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+async function writeQueuedActions(queue) {
+  const next = Array.isArray(queue) ? queue : [];
+  try {
+    await AsyncStorage.setItem(ACTION_QUEUE_KEY, JSON.stringify(next));
+  } catch {
+    // Ignore queue write errors.
+  }
+  DeviceEventEmitter.emit(DRIVER_ACTION_QUEUE_EVENT, { actions: next });
+  return next;
+}
+
+/**
+ * Apply `update(queue)` to the stored queue as one step of queueChain.
+ * `update` returns the next queue, or undefined to leave it unchanged.
+ */
+function mutateQueue(update) {
+  const step = queueChain.then(async () => {
+    const queue = await readQueuedActions();
+    const next = update(queue);
+    return next === undefined ? queue : writeQueuedActions(next);
+  });
+  queueChain = step.catch(() => {});
+  return step;
+}
+
+function buildRequest(action, token) {
+  const url = `${API_BASE_URL}/driver/deliveries/${action.deliveryId}`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  if (action.type === "proof") {
+    const formData = new FormData();
+    formData.append("file", {
+      uri: action.payload.uri,
+      name: `delivery_proof_${action.deliveryId}.jpg`,
+      type: action.payload.mimeType || "image/jpeg",
+    });
+    formData.append("client_action_id", action.id);
+    return [`${url}/proof`, { method: "POST", headers, body: formData }];
+  }
+
+  const body = JSON.stringify({
+    ...action.payload,
+    client_action_id: action.id,
+    client_created_at: new Date(action.createdAt).toISOString(),
+  });
+  headers["Content-Type"] = "application/json";
+
+  if (action.type === "accept") {
+    return [`${url}/accept`, { method: "POST", headers, body }];
+  }
+  return [`${url}/status`, { method: "PATCH", headers, body }];
+}
+
+/**
+ * One request attempt. Resolves to { res, data }, or { retryable } when the
+ * request never got an answer.
+ */
+async function sendAction(action, token) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(
+    () => controller.abort(),
+    action.type === "proof" ? PROOF_TIMEOUT_MS : ACTION_TIMEOUT_MS,
+  );
+
+  try {
+    const [url, options] = buildRequest(action, token);
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    const data = await res.json().catch(() => ({}));
+    return { res, data };
+  } catch (error) {
+    if (
+      error?.name === "AbortError" ||
+      isTransientFetchError(error) ||
+      error instanceof TypeError
+    ) {
+      return { retryable: true };
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function sessionExpiredResult() {
+  const message = translate("driverSync.sessionExpired");
+  return { ok: false, authFailed: true, message, data: { message } };
+}
+
+/**
+ * Send one action. Resolves to { ok, data } on success, { retryable } when
+ * the request should stay queued, { authFailed, message } when the session
+ * could not be renewed, or { conflict, message, httpStatus } when the
+ * server rejected it (e.g. a stale status transition).
+ */
+async function performAction(action) {
+  const token = await getAccessToken();
+  if (!token) return { ok: false, retryable: true };
+
+  let attempt = await sendAction(action, token);
+  if (attempt.res?.status === 401) {
+    // Replays can run long after the token expired; renew it once rather
+    // than leave the action blocking the front of the queue.
+    const refreshed = await refreshAccessToken();
+    if (!refreshed.ok) return sessionExpiredResult();
+    attempt = await sendAction(action, refreshed.token);
+    if (attempt.res?.status === 401) return sessionExpiredResult();
+  }
+  if (attempt.retryable) return { ok: false, retryable: true };
+
+  const { res, data } = attempt;
+  if (res.ok) return { ok: true, data };
+
+  if (res.status >= 500 || RETRYABLE_HTTP_STATUSES.has(res.status)) {
+    return { ok: false, retryable: true };
+  }
+  return {
+    ok: false,
+    conflict: true,
+    httpStatus: res.status,
+    message: data?.message || translate("driverSync.rejected"),
+    data,
+  };
+}
+
+export async function getQueuedDriverActions() {
+  return readQueuedActions();
+}
+
+export function hasPendingDriverAction(actions, deliveryId) {
+  const id = String(deliveryId || "");
+  return (actions || []).some((action) => action.deliveryId === id);
+}
+
+/**
+ * Overlay queued status transitions on a server list so a refetch made
+ * before the queue has synced does not undo the optimistic state.
+ */
+export function applyQueuedStatuses(deliveries, actions) {
+  const latest = new Map();
+  (actions || []).forEach((action) => {
+    if (action.type === "status" && action.payload?.status) {
+      latest.set(action.deliveryId, action.payload.status);
+    }
+  });
+  if (latest.size === 0) return deliveries;
+
+  return (deliveries || []).map((delivery) => {
+    const status = latest.get(String(delivery?.delivery_id));
+    return status ? { ...delivery, status } : delivery;
+  });
+}
+
+/**
+ * Append an action. A full queue is never trimmed, since dropping a status
+ * transition would desync the delivery; the new action is refused instead.
+ * @returns {Promise<boolean>} false when the queue is full
+ */
+async function enqueueAction(action) {
+  let added = false;
+  await mutateQueue((queue) => {
+    if (queue.length >= MAX_QUEUED_ACTIONS) return undefined;
+    added = true;
+    return [...queue, action];
+  });
+  return added;
+}
+
+function queueFullResult(action) {
+  const message = translate("driverSync.queueFull");
+  console.warn("[driverActionQueue] Queue full, refusing", action.type);
+  return { ok: false, overflow: true, message, data: { message }, action };
+}
+
+/**
+ * Replay queued actions in order. Stops at the first action that still
+ * cannot be delivered so later transitions never overtake earlier ones.
+ * A rejected action is dropped along with the queued actions for the same
+ * delivery, and DRIVER_ACTION_CONFLICT_EVENT is emitted for the UI. When
+ * the session cannot be renewed the queue is kept and
+ * DRIVER_ACTION_AUTH_FAILED_EVENT is emitted instead. The queue is re-read
+ * after every replay, so actions added meanwhile are kept.
+ */
+export function flushDriverActionQueue() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    let queue = await readQueuedActions();
+    let delivered = 0;
+
+    while (queue.length > 0) {
+      const action = queue[0];
+      let result;
+      try {
+        result = await performAction(action);
+      } catch (error) {
+        console.warn("[driverActionQueue] Replay error:", error?.message);
+        result = { ok: false, retryable: true };
+      }
+
+      if (result.retryable) {
+        queue = await mutateQueue((current) =>
+          current.map((item) =>
+            item.id === action.id
+              ? { ...item, attempts: (item.attempts || 0) + 1 }
+              : item,
+          ),
+        );
+        break;
+      }
+
+      if (result.authFailed) {
+        if (!authFailureReported) {
+          authFailureReported = true;
+          DeviceEventEmitter.emit(DRIVER_ACTION_AUTH_FAILED_EVENT, {
+            action,
+            message: result.message,
+          });
+        }
+        break;
+      }
+      authFailureReported = false;
+
+      if (result.conflict) {
+        queue = await mutateQueue((current) =>
+          current.filter((item) => item.deliveryId !== action.deliveryId),
+        );
+        DeviceEventEmitter.emit(DRIVER_ACTION_CONFLICT_EVENT, {
+          action,
+          message: result.message,
+          httpStatus: result.httpStatus,
+        });
+      } else {
+        queue = await mutateQueue((current) =>
+          current.filter((item) => item.id !== action.id),
+        );
+        delivered += 1;
+      }
+    }
+
+    return { delivered, pending: queue.length };
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
+
+/**
+ * Send an action now, or queue it when offline (or when earlier actions are
+ * still waiting, to keep the order).
+ * @returns {Promise<Object>} { ok, data } | { ok: true, queued: true } |
+ *   { ok: false, conflict: true, message } |
+ *   { ok: false, authFailed: true, message } when the session expired |
+ *   { ok: false, overflow: true, message } when the queue is full
+ */
+export async function submitDriverAction({ type, deliveryId, payload = {} }) {
+  const action = {
+    id: createActionId(),
+    type,
+    deliveryId: String(deliveryId),
+    payload,
+    createdAt: Date.now(),
+    attempts: 0,
+  };
+
+  const queue = await readQueuedActions();
+  if (queue.length > 0) {
+    if (!(await enqueueAction(action))) return queueFullResult(action);
+    flushDriverActionQueue().catch(() => {});
+    return { ok: true, queued: true, action };
+  }
+
+  const result = await performAction(action);
+  if (result.retryable) {
+    if (!(await enqueueAction(action))) return queueFullResult(action);
+    return { ok: true, queued: true, action };
+  }
+  return { ...result, action };
+}
+
+export function clearDriverActionQueue() {
+  authFailureReported = false;
+  const step = queueChain.then(async () => {
+    await AsyncStorage.removeItem(ACTION_QUEUE_KEY).catch(() => {});
+    DeviceEventEmitter.emit(DRIVER_ACTION_QUEUE_EVENT, { actions: [] });
+  });
+  queueChain = step.catch(() => {});
+  return step;
+}
@@ -6,6 +6,7 @@ const ACTIVE_DELIVERY_STATUSES = new Set([
   "picked_up",
   "on_the_way",
   "at_customer",
+  "customer_unreachable",
 ]);
 
 const cacheByToken = new Map();
@@ -0,0 +1,253 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as ExpoLinking from "expo-linking";
+import { apiRequest } from "../lib/apiRequest";
+
+/**
+ * Shared cart for group orders. A host opens a group cart for one
+ * restaurant and shares an invite link; everyone who joins adds their own
+ * items under their display name. The server broadcasts every change to the
+ * group_cart room on the shared socket (SocketContext). Only the host can
+ * lock the cart and check out, which turns it into a regular /cart the
+ * normal checkout screen can place.
+ *
+ *   groupCart = { code, restaurant_id, restaurant_name, host_user_id,
+ *                 status: "open" | "locked" | "checked_out",
+ *                 participants: [{ id, user_id, display_name, is_host }],
+ *                 items: [{ id, participant_id, food_id, food_name, size,
+ *                           quantity, unit_price, line_total }] }
+ */
+
+export const GROUP_CART_EVENTS = {
+  JOIN: "group_cart:join",
+  LEAVE: "group_cart:leave",
+  UPDATED: "group_cart:updated",
+  CLOSED: "group_cart:closed",
+};
+
+export const GROUP_CART_STATUS = {
+  OPEN: "open",
+  LOCKED: "locked",
+  CHECKED_OUT: "checked_out",
+};
+
+export const MAX_DISPLAY_NAME_LENGTH = 40;
+const GROUP_CART_LINK_PATH = "group-cart";
+const ACTIVE_GROUP_CART_KEY = "@group_cart:active";
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const roundMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+/** nearmemobile://group-cart?code=ABC123 (exp:// in Expo Go). */
+export function buildGroupCartInviteLink(code) {
+  return ExpoLinking.createURL(GROUP_CART_LINK_PATH, {
+    queryParams: { code: String(code) },
+  });
+}
+
+/** @returns {string|null} The invite code from a group cart link. */
+export function getGroupCartCodeFromUrl(url) {
+  if (!url) return null;
+  const parsed = ExpoLinking.parse(url);
+  const path = String(parsed?.path || parsed?.hostname || "").toLowerCase();
+  if (!path.includes(GROUP_CART_LINK_PATH)) return null;
+  const code = parsed?.queryParams?.code;
+  return code ? String(code).trim().toUpperCase() : null;
+}
+
+export function isGroupCartEditable(groupCart) {
+  return groupCart?.status === GROUP_CART_STATUS.OPEN;
+}
+
+export function lineTotal(item) {
+  if (item?.line_total != null) return toNumber(item.line_total);
+  return toNumber(item?.unit_price) * toNumber(item?.quantity);
+}
+
+/**
+ * Group items under their participant, host first, then in join order.
+ * @returns {Array<{ participant: Object, items: Array, subtotal: number }>}
+ */
+export function groupItemsByParticipant(groupCart) {
+  const participants = Array.isArray(groupCart?.participants)
+    ? groupCart.participants
+    : [];
+  const items = Array.isArray(groupCart?.items) ? groupCart.items : [];
+
+  return [...participants]
+    .sort((a, b) => Number(Boolean(b.is_host)) - Number(Boolean(a.is_host)))
+    .map((participant) => {
+      const own = items.filter(
+        (item) => String(item.participant_id) === String(participant.id),
+      );
+      return {
+        participant,
+        items: own,
+        subtotal: roundMoney(
+          own.reduce((sum, item) => sum + lineTotal(item), 0),
+        ),
+      };
+    });
+}
+
+/**
+ * Each person's share of a placed group order. The server sends
+ * `participant_shares` when it has them; otherwise fees, discounts and
+ * taxes are split in proportion to each person's item subtotal, and the
+ * rounding remainder goes to the host so the shares add up to the total.
+ * @param {Object} order - Raw order with group_cart participants/items
+ * @param {number} total - The order total shown on the receipt
+ * @returns {Array<{ name: string, isHost: boolean, subtotal: number,
+ *   share: number }>}
+ */
+export function computeParticipantShares(order, total) {
+  const groupCart = order?.group_cart || order?.groupCart;
+  if (!groupCart) return [];
+
+  if (Array.isArray(order?.participant_shares)) {
+    return order.participant_shares.map((share) => ({
+      name: share.display_name || share.name || "Guest",
+      isHost: Boolean(share.is_host),
+      subtotal: roundMoney(share.subtotal),
+      share: roundMoney(share.share ?? share.amount),
+    }));
+  }
+
+  const groups = groupItemsByParticipant(groupCart).filter(
+    (group) => group.items.length > 0,
+  );
+  const itemsTotal = groups.reduce((sum, group) => sum + group.subtotal, 0);
+  if (!groups.length || itemsTotal <= 0) return [];
+
+  const orderTotal = toNumber(total) || itemsTotal;
+  const shares = groups.map((group) => ({
+    name: group.participant.display_name || "Guest",
+    isHost: Boolean(group.participant.is_host),
+    subtotal: group.subtotal,
+    share: roundMoney((group.subtotal / itemsTotal) * orderTotal),
+  }));
+
+  const remainder = roundMoney(
+    orderTotal - shares.reduce((sum, entry) => sum + entry.share, 0),
+  );
+  if (remainder !== 0) {
+    const target = shares.find((entry) => entry.isHost) || shares[0];
+    target.share = roundMoney(target.share + remainder);
+  }
+  return shares;
+}
+
+/** Remember the group cart this device is in so it can be reopened. */
+export async function getActiveGroupCartCode() {
+  try {
+    return await AsyncStorage.getItem(ACTIVE_GROUP_CART_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export async function setActiveGroupCartCode(code) {
+  try {
+    if (code) {
+      await AsyncStorage.setItem(ACTIVE_GROUP_CART_KEY, String(code));
+    } else {
+      await AsyncStorage.removeItem(ACTIVE_GROUP_CART_KEY);
+    }
+  } catch {
+    // Ignore storage errors.
+  }
+}
+
+const groupCartRequest = (path, options = {}) =>
+  apiRequest(`/group-carts${path}`, {
+    errorMessage: "Group cart request failed",
+    ...options,
+  });
+
+const unwrap = (data) => data?.group_cart || data?.groupCart || null;
+
+export async function createGroupCart(restaurantId, displayName) {
+  const data = await groupCartRequest("", {
+    method: "POST",
+    body: JSON.stringify({
+      restaurant_id: restaurantId,
+      display_name: displayName,
+    }),
+  });
+  return unwrap(data);
+}
+
+export async function fetchGroupCart(code) {
+  return unwrap(await groupCartRequest(`/${encodeURIComponent(code)}`));
+}
+
+export async function joinGroupCart(code, displayName) {
+  const data = await groupCartRequest(`/${encodeURIComponent(code)}/join`, {
+    method: "POST",
+    body: JSON.stringify({ display_name: displayName }),
+  });
+  return unwrap(data);
+}
+
+export async function leaveGroupCart(code) {
+  const data = await groupCartRequest(`/${encodeURIComponent(code)}/leave`, {
+    method: "POST",
+  });
+  return unwrap(data);
+}
+
+export async function addGroupCartItem(code, { foodId, size, quantity }) {
+  const data = await groupCartRequest(`/${encodeURIComponent(code)}/items`, {
+    method: "POST",
+    body: JSON.stringify({
+      food_id: foodId,
+      size: size || "regular",
+      quantity: quantity || 1,
+    }),
+  });
+  return unwrap(data);
+}
+
+export async function updateGroupCartItem(code, itemId, quantity) {
+  const data = await groupCartRequest(
+    `/${encodeURIComponent(code)}/items/${itemId}`,
+    { method: "PATCH", body: JSON.stringify({ quantity }) },
+  );
+  return unwrap(data);
+}
+
+export async function removeGroupCartItem(code, itemId) {
+  const data = await groupCartRequest(
+    `/${encodeURIComponent(code)}/items/${itemId}`,
+    { method: "DELETE" },
+  );
+  return unwrap(data);
+}
+
+/** Host only. A locked cart stops participants from changing items. */
+export async function setGroupCartLocked(code, locked) {
+  const data = await groupCartRequest(`/${encodeURIComponent(code)}/lock`, {
+    method: "POST",
+    body: JSON.stringify({ locked: Boolean(locked) }),
+  });
+  return unwrap(data);
+}
+
+/**
+ * Host only. Copies every participant's items into the host's cart for the
+ * restaurant and returns that cart id for the regular checkout screen.
+ * @returns {Promise<{ cartId: string, groupCart: Object }>}
+ */
+export async function checkoutGroupCart(code) {
+  const data = await groupCartRequest(
+    `/${encodeURIComponent(code)}/checkout`,
+    { method: "POST" },
+  );
+  return {
+    cartId: data?.cart_id || data?.cartId || data?.cart?.id || null,
+    groupCart: unwrap(data),
+  };
+}
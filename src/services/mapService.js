@@ -3,11 +3,12 @@
  * 
  * Same logic as website - 100% FREE:
  * - OpenStreetMap tiles (no API key)
- * - OSRM routing (no API key)
+ * - Routing via the configured provider (services/routingProvider)
  * - Haversine distance calculation
  */
 
 import { calculateDeliveryFee as calculateDeliveryFeeFromConfig } from "../lib/feeConfig";
+import { fetchRoute } from "./routingProvider";
 
 // ============================================================================
 // OSRM ROUTE FETCHING (Same as Website)
@@ -19,18 +20,17 @@ import { calculateDeliveryFee as calculateDeliveryFeeFromConfig } from "../lib/f
  */
 export async function getOSRMRoute(startLat, startLng, endLat, endLng) {
   try {
-    // OSRM uses [lng, lat] format
-    const url = `https://router.project-osrm.org/route/v1/foot/${startLng},${startLat};${endLng},${endLat}?overview=full&geometries=geojson`;
+    const route = await fetchRoute({
+      points: [
+        { latitude: startLat, longitude: startLng },
+        { latitude: endLat, longitude: endLng },
+      ],
+    });
     
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (data.code !== "Ok" || !data.routes?.length) {
+    if (!route) {
       return { success: false, error: "No route found" };
     }
     
-    const route = data.routes[0];
-    
     // Convert OSRM coordinates [lng, lat] to React Native format { latitude, longitude }
     const coordinates = route.geometry.coordinates.map(([lng, lat]) => ({
       latitude: lat,
@@ -60,22 +60,12 @@ export async function getMultiStopRoute(waypoints) {
       return { success: false, error: "Need at least 2 waypoints" };
     }
     
-    // Build OSRM waypoints string: lng,lat;lng,lat;lng,lat
-    const waypointsStr = waypoints
-      .map(wp => `${wp.longitude},${wp.latitude}`)
-      .join(";");
-    
-    const url = `https://router.project-osrm.org/route/v1/foot/${waypointsStr}?overview=full&geometries=geojson&steps=true`;
+    const route = await fetchRoute({ points: waypoints, steps: true });
     
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (data.code !== "Ok" || !data.routes?.length) {
+    if (!route) {
       return { success: false, error: "No route found" };
     }
     
-    const route = data.routes[0];
-    
     // Convert coordinates
     const coordinates = route.geometry.coordinates.map(([lng, lat]) => ({
       latitude: lat,
@@ -0,0 +1,100 @@
+/**
+ * Local stand-in for the payment backend. Enabled with
+ * EXPO_PUBLIC_PAYMENT_GATEWAY=mock so the card / wallet checkout flow can be
+ * exercised end-to-end without charging anything.
+ */
+
+const MOCK_LATENCY_MS = 600;
+const MOCK_WALLET_BALANCE = 5000;
+
+const intents = new Map();
+let walletBalance = MOCK_WALLET_BALANCE;
+let intentSequence = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function buildHostedCheckoutHtml(intent, returnUrl) {
+  const back = (status) =>
+    `${returnUrl}?status=${status}&intent_id=${encodeURIComponent(intent.id)}`;
+
+  return `<!DOCTYPE html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>
+  body{font-family:-apple-system,Roboto,sans-serif;margin:0;padding:24px;background:#F9FAFB;color:#111827}
+  .card{background:#fff;border-radius:16px;padding:20px;box-shadow:0 2px 8px rgba(0,0,0,.08)}
+  h2{margin:0 0 4px}p{color:#6B7280;margin:0 0 16px}
+  input{width:100%;box-sizing:border-box;padding:12px;border:1px solid #E5E7EB;border-radius:10px;margin-bottom:12px;font-size:16px}
+  button{width:100%;padding:14px;border:0;border-radius:999px;font-weight:800;font-size:15px;margin-top:8px}
+  .pay{background:#06C168;color:#fff}.fail{background:#FEE2E2;color:#B91C1C}.cancel{background:#F3F4F6;color:#374151}
+</style></head>
+<body><div class="card">
+  <h2>Test card payment</h2>
+  <p>Amount: Rs. ${Number(intent.amount || 0).toFixed(2)} &middot; no real charge</p>
+  <input value="4242 4242 4242 4242" />
+  <button class="pay" onclick="location.href='${back("succeeded")}'">Pay</button>
+  <button class="fail" onclick="location.href='${back("failed")}'">Simulate decline</button>
+  <button class="cancel" onclick="location.href='${back("cancelled")}'">Cancel</button>
+</div></body></html>`;
+}
+
+const mockPaymentGateway = {
+  name: "mock",
+
+  async getAvailableMethods() {
+    return null;
+  },
+
+  async getWalletBalance() {
+    await sleep(MOCK_LATENCY_MS / 2);
+    return walletBalance;
+  },
+
+  async createIntent({ method, amount, returnUrl }) {
+    await sleep(MOCK_LATENCY_MS);
+    intentSequence += 1;
+
+    const intent = {
+      id: `mock_pi_${Date.now()}_${intentSequence}`,
+      payment_method: method,
+      amount: Number(amount) || 0,
+      status: "requires_confirmation",
+    };
+
+    if (method === "card") {
+      intent.status = "requires_action";
+      intent.checkout_html = buildHostedCheckoutHtml(intent, returnUrl);
+    }
+
+    intents.set(intent.id, intent);
+    return { ...intent };
+  },
+
+  async confirmIntent(intentId, { checkoutStatus } = {}) {
+    await sleep(MOCK_LATENCY_MS);
+    const intent = intents.get(intentId);
+    if (!intent) {
+      return { id: intentId, status: "failed", failure_reason: "Unknown payment." };
+    }
+
+    if (intent.payment_method === "wallet") {
+      if (walletBalance < intent.amount) {
+        intent.status = "failed";
+        intent.failure_code = "insufficient_funds";
+        intent.failure_reason = "Not enough wallet balance for this order.";
+      } else {
+        walletBalance = Number((walletBalance - intent.amount).toFixed(2));
+        intent.status = "succeeded";
+      }
+    } else if (checkoutStatus === "succeeded") {
+      intent.status = "succeeded";
+    } else {
+      intent.status = "failed";
+      intent.failure_code = "card_declined";
+      intent.failure_reason = "Your card was declined.";
+    }
+
+    return { ...intent };
+  },
+};
+
+export default mockPaymentGateway;
@@ -0,0 +1,633 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { Directory, File, Paths } from "expo-file-system";
+import { DeviceEventEmitter } from "react-native";
+import { MAP_TILE_URL } from "../config/env";
+import { translate } from "../i18n";
+import { OSM_TILE_URL } from "./mapService";
+import { fetchRoute } from "./routingProvider";
+
+/**
+ * Offline map tiles for the driver's delivery corridor and usual zone.
+ * Areas are downloaded ahead of time at the chosen zoom levels into the
+ * document directory. The Leaflet maps ask for every tile through
+ * readCachedTile and only go to the network on a miss, so a downloaded area
+ * keeps working without coverage. The cache is capped by size and evicts the
+ * least recently shown tiles first.
+ *
+ * Downloading needs a tile server configured through MAP_TILE_URL. The
+ * public OpenStreetMap servers forbid bulk downloading and prefetching, so
+ * with the OSM fallback the maps only show tiles live and nothing is saved.
+ *
+ *   area = { id, kind: "corridor" | "zone", name, zooms, tiles: [tileKey],
+ *            center, radiusKm, signature, createdAt, updatedAt }
+ *   index.tiles[tileKey] = { size, lastUsed, areas: [areaId] }
+ *
+ * tileKey is "z/x/y".
+ */
+
+export const OFFLINE_TILES_EVENT = "map:offline_tiles_changed";
+export const CORRIDOR_AREA_ID = "corridor";
+
+export const TILE_URL_TEMPLATE = MAP_TILE_URL || OSM_TILE_URL;
+export const OFFLINE_DOWNLOAD_AVAILABLE = Boolean(MAP_TILE_URL);
+
+export const AVAILABLE_ZOOMS = [11, 12, 13, 14, 15, 16, 17, 18];
+export const CACHE_LIMIT_OPTIONS_MB = [100, 200, 500];
+export const ZONE_RADIUS_OPTIONS_KM = [3, 5, 10];
+export const MAX_AREA_TILES = 5000;
+// Rough PNG tile size, for estimates before anything is downloaded.
+export const AVERAGE_TILE_BYTES = 18 * 1024;
+
+const DEFAULT_SETTINGS = {
+  autoCorridor: false,
+  wifiOnly: false,
+  corridorZooms: [14, 15, 16, 17],
+  zoneZooms: [12, 13, 14, 15, 16],
+  maxBytes: 200 * 1024 * 1024,
+};
+
+const SETTINGS_KEY = "@offline_tiles_settings";
+const INDEX_KEY = "@offline_tiles_index";
+const AREAS_KEY = "@offline_tile_areas";
+const TILE_DIRECTORY_NAME = "map-tiles";
+
+const CORRIDOR_BUFFER_METERS = 400;
+const CORRIDOR_REFRESH_MS = 6 * 60 * 60 * 1000;
+// Screens call cacheDeliveryCorridor on every location fix.
+const CORRIDOR_RETRY_MS = 60 * 1000;
+const DOWNLOAD_CONCURRENCY = 2;
+const INDEX_PERSIST_DELAY_MS = 3000;
+// Evict down to this share of the limit so the next view does not evict
+// again straight away.
+const EVICTION_TARGET_RATIO = 0.9;
+const TILE_HEADERS = { "User-Agent": "NearMe-App/1.0" };
+const TILE_MIME = /\.jpe?g(\?|$)/i.test(TILE_URL_TEMPLATE)
+  ? "image/jpeg"
+  : "image/png";
+
+const METERS_PER_DEGREE = 111320;
+const EARTH_CIRCUMFERENCE_METERS = 40075016.686;
+
+let indexCache = null;
+let indexLoadPromise = null;
+let persistTimer = null;
+let activeDownload = null;
+let cancelRequested = false;
+let lastCorridorAttempt = { signature: null, at: 0 };
+
+function getTileDirectory() {
+  const directory = new Directory(Paths.document, TILE_DIRECTORY_NAME);
+  if (!directory.exists) directory.create({ intermediates: true });
+  return directory;
+}
+
+function removeTileDirectory() {
+  try {
+    const directory = new Directory(Paths.document, TILE_DIRECTORY_NAME);
+    if (directory.exists) directory.delete();
+  } catch {
+    // Recreated on the next download.
+  }
+}
+
+function getTileFile(key) {
+  return new File(getTileDirectory(), `${key.replace(/\//g, "_")}.tile`);
+}
+
+function buildTileUrl(key) {
+  const [z, x, y] = key.split("/");
+  const subdomain = "abc"[(Number(x) + Number(y)) % 3];
+  return TILE_URL_TEMPLATE.replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{s}", subdomain)
+    .replace("{r}", "");
+}
+
+function emitChange(payload) {
+  DeviceEventEmitter.emit(OFFLINE_TILES_EVENT, payload);
+}
+
+// ============================================================================
+// TILE MATH
+// ============================================================================
+
+function toTileX(longitude, zoom) {
+  return Math.floor(((longitude + 180) / 360) * 2 ** zoom);
+}
+
+function toTileY(latitude, zoom) {
+  const rad = (latitude * Math.PI) / 180;
+  const mercator = Math.log(Math.tan(rad) + 1 / Math.cos(rad));
+  return Math.floor(((1 - mercator / Math.PI) / 2) * 2 ** zoom);
+}
+
+function addBoundsTiles(keys, bounds, zoom) {
+  const max = 2 ** zoom - 1;
+  const clamp = (value) => Math.min(max, Math.max(0, value));
+  const minX = clamp(toTileX(bounds.west, zoom));
+  const maxX = clamp(toTileX(bounds.east, zoom));
+  const minY = clamp(toTileY(bounds.north, zoom));
+  const maxY = clamp(toTileY(bounds.south, zoom));
+  for (let x = minX; x <= maxX; x += 1) {
+    for (let y = minY; y <= maxY; y += 1) {
+      keys.add(`${zoom}/${x}/${y}`);
+    }
+  }
+}
+
+function boundsAround(point, meters) {
+  const dLat = meters / METERS_PER_DEGREE;
+  const cosLat = Math.cos((point.latitude * Math.PI) / 180);
+  const dLng = meters / (METERS_PER_DEGREE * Math.max(0.01, cosLat));
+  return {
+    north: point.latitude + dLat,
+    south: point.latitude - dLat,
+    east: point.longitude + dLng,
+    west: point.longitude - dLng,
+  };
+}
+
+function distanceMeters(a, b) {
+  const avgLatRad = ((a.latitude + b.latitude) / 2) * (Math.PI / 180);
+  const dLat = (b.latitude - a.latitude) * METERS_PER_DEGREE;
+  const dLng =
+    (b.longitude - a.longitude) * METERS_PER_DEGREE * Math.cos(avgLatRad);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+/** Tile keys covering a circle around `center`. */
+export function tilesForZone(center, radiusKm, zooms) {
+  const keys = new Set();
+  const bounds = boundsAround(center, radiusKm * 1000);
+  zooms.forEach((zoom) => addBoundsTiles(keys, bounds, zoom));
+  return [...keys];
+}
+
+/** Tile keys covering a buffer on both sides of a path. */
+export function tilesForPath(path, bufferMeters, zooms) {
+  const keys = new Set();
+  const samples = [];
+  path.forEach((point, index) => {
+    const previous = path[index - 1];
+    if (previous) {
+      // Sample long segments so the buffer has no gaps between vertices.
+      const steps = Math.floor(distanceMeters(previous, point) / bufferMeters);
+      for (let i = 1; i <= steps; i += 1) {
+        const t = i / (steps + 1);
+        samples.push({
+          latitude:
+            previous.latitude + (point.latitude - previous.latitude) * t,
+          longitude:
+            previous.longitude + (point.longitude - previous.longitude) * t,
+        });
+      }
+    }
+    samples.push(point);
+  });
+  samples.forEach((point) => {
+    const bounds = boundsAround(point, bufferMeters);
+    zooms.forEach((zoom) => addBoundsTiles(keys, bounds, zoom));
+  });
+  return [...keys];
+}
+
+/** Approximate tile count for a zone, before its center is known. */
+export function estimateZoneTiles(radiusKm, zooms, latitude = 0) {
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  return zooms.reduce((total, zoom) => {
+    const tileMeters = (EARTH_CIRCUMFERENCE_METERS * cosLat) / 2 ** zoom;
+    const across = Math.ceil((radiusKm * 2000) / tileMeters) + 1;
+    return total + across * across;
+  }, 0);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+async function readJson(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJson(key, value) {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Ignore storage write errors.
+  }
+}
+
+async function loadIndex() {
+  if (indexCache) return indexCache;
+  if (!indexLoadPromise) {
+    indexLoadPromise = readJson(INDEX_KEY, null).then((stored) => {
+      if (stored?.source === TILE_URL_TEMPLATE && stored.tiles) {
+        indexCache = stored;
+      } else {
+        // Untracked files would sit outside the size cap, and tiles from
+        // another tile server would mix two map styles.
+        removeTileDirectory();
+        indexCache = { source: TILE_URL_TEMPLATE, tiles: {} };
+      }
+      indexLoadPromise = null;
+      return indexCache;
+    });
+  }
+  return indexLoadPromise;
+}
+
+async function persistIndex() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  if (indexCache) await writeJson(INDEX_KEY, indexCache);
+}
+
+function persistIndexSoon() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    persistIndex();
+  }, INDEX_PERSIST_DELAY_MS);
+}
+
+function deleteTile(index, key) {
+  try {
+    const file = getTileFile(key);
+    if (file.exists) file.delete();
+  } catch {
+    // A missing file is already gone.
+  }
+  delete index.tiles[key];
+}
+
+async function readAreas() {
+  const areas = await readJson(AREAS_KEY, []);
+  return Array.isArray(areas) ? areas : [];
+}
+
+export async function getOfflineTileSettings() {
+  const stored = await readJson(SETTINGS_KEY, {});
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+export async function saveOfflineTileSettings(partial) {
+  const next = { ...(await getOfflineTileSettings()), ...partial };
+  await writeJson(SETTINGS_KEY, next);
+  if (partial.maxBytes) await enforceCacheLimit(next.maxBytes);
+  emitChange({ status: "settings" });
+  return next;
+}
+
+/**
+ * Drop least recently used tiles until the cache fits `maxBytes`.
+ * @returns {number} Evicted tile count
+ */
+export async function enforceCacheLimit(maxBytes) {
+  const index = await loadIndex();
+  const entries = Object.entries(index.tiles);
+  let total = entries.reduce((sum, [, entry]) => sum + (entry.size || 0), 0);
+  if (total <= maxBytes) return 0;
+
+  const target = maxBytes * EVICTION_TARGET_RATIO;
+  let evicted = 0;
+  entries.sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+  for (const [key, entry] of entries) {
+    if (total <= target) break;
+    deleteTile(index, key);
+    total -= entry.size || 0;
+    evicted += 1;
+  }
+  await persistIndex();
+  return evicted;
+}
+
+// ============================================================================
+// READ
+// ============================================================================
+
+/**
+ * Cached tile as a data URI, or null on a miss. Marks the tile as used for
+ * LRU eviction.
+ */
+export async function readCachedTile(z, x, y) {
+  const index = await loadIndex();
+  const key = `${z}/${x}/${y}`;
+  const entry = index.tiles[key];
+  if (!entry) return null;
+
+  try {
+    const file = getTileFile(key);
+    if (!file.exists) {
+      delete index.tiles[key];
+      persistIndexSoon();
+      return null;
+    }
+    const base64 = await file.base64();
+    entry.lastUsed = Date.now();
+    persistIndexSoon();
+    return `data:${TILE_MIME};base64,${base64}`;
+  } catch {
+    return null;
+  }
+}
+
+/** Whether any tile is saved, so the maps can skip the cache lookups. */
+export async function hasCachedTiles() {
+  const index = await loadIndex();
+  for (const key in index.tiles) {
+    if (index.tiles[key]) return true;
+  }
+  return false;
+}
+
+/** @returns {Object} { tileCount, bytes, maxBytes } */
+export async function getTileCacheStats() {
+  const [index, settings] = await Promise.all([
+    loadIndex(),
+    getOfflineTileSettings(),
+  ]);
+  const entries = Object.values(index.tiles);
+  return {
+    tileCount: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+    maxBytes: settings.maxBytes,
+  };
+}
+
+/**
+ * Downloaded areas with what is still on disk after eviction.
+ * @returns {Array} [{ ...area, tileCount, cachedTiles, bytes }] (no tiles)
+ */
+export async function listOfflineAreas() {
+  const [index, areas] = await Promise.all([loadIndex(), readAreas()]);
+  return areas.map(({ tiles = [], ...area }) => {
+    let cachedTiles = 0;
+    let bytes = 0;
+    tiles.forEach((key) => {
+      const entry = index.tiles[key];
+      if (!entry) return;
+      cachedTiles += 1;
+      bytes += entry.size || 0;
+    });
+    return { ...area, tileCount: tiles.length, cachedTiles, bytes };
+  });
+}
+
+export function isTileDownloadActive() {
+  return Boolean(activeDownload);
+}
+
+// ============================================================================
+// DOWNLOAD
+// ============================================================================
+
+async function downloadTile(key) {
+  const file = await File.downloadFileAsync(
+    buildTileUrl(key),
+    getTileFile(key),
+    { headers: TILE_HEADERS, idempotent: true },
+  );
+  return file.size || 0;
+}
+
+async function runAreaDownload(area) {
+  const settings = await getOfflineTileSettings();
+  if (area.tiles.length > MAX_AREA_TILES) {
+    throw new Error(translate("offlineMaps.errors.tooLarge"));
+  }
+  if (area.tiles.length * AVERAGE_TILE_BYTES > settings.maxBytes) {
+    throw new Error(translate("offlineMaps.errors.noSpace"));
+  }
+
+  const index = await loadIndex();
+  const areas = await readAreas();
+  const previous = areas.find((entry) => entry.id === area.id);
+  const nextKeys = new Set(area.tiles);
+
+  // Tiles that left this area stay cached until evicted, just unowned.
+  (previous?.tiles || []).forEach((key) => {
+    const entry = index.tiles[key];
+    if (entry && !nextKeys.has(key)) {
+      entry.areas = (entry.areas || []).filter((id) => id !== area.id);
+    }
+  });
+
+  const now = Date.now();
+  const queue = [...area.tiles];
+  const progress = {
+    areaId: area.id,
+    done: 0,
+    failed: 0,
+    total: queue.length,
+  };
+  cancelRequested = false;
+  emitChange({ status: "downloading", progress: { ...progress } });
+
+  const worker = async () => {
+    while (queue.length && !cancelRequested) {
+      const key = queue.shift();
+      let entry = index.tiles[key];
+      if (!entry || !getTileFile(key).exists) {
+        try {
+          entry = { size: await downloadTile(key), lastUsed: now, areas: [] };
+          index.tiles[key] = entry;
+        } catch {
+          entry = null;
+          progress.failed += 1;
+        }
+      }
+      if (entry) {
+        entry.lastUsed = Math.max(entry.lastUsed || 0, now);
+        if (!entry.areas.includes(area.id)) entry.areas.push(area.id);
+      }
+      progress.done += 1;
+      if (progress.done % 10 === 0 || !queue.length) {
+        emitChange({ status: "downloading", progress: { ...progress } });
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: DOWNLOAD_CONCURRENCY }, () => worker()),
+  );
+
+  const saved = {
+    ...previous,
+    ...area,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+  };
+  await writeJson(AREAS_KEY, [
+    ...areas.filter((entry) => entry.id !== area.id),
+    saved,
+  ]);
+  await persistIndex();
+  await enforceCacheLimit(settings.maxBytes);
+
+  const result = { ...progress, cancelled: cancelRequested };
+  cancelRequested = false;
+  return result;
+}
+
+/**
+ * Download (or refresh) an area's tiles. One download runs at a time.
+ * @param {Object} area - { id, kind, name, zooms, tiles, ...meta }
+ * @returns {Object} { areaId, done, failed, total, cancelled }
+ */
+export function downloadOfflineArea(area) {
+  if (!OFFLINE_DOWNLOAD_AVAILABLE) {
+    return Promise.reject(
+      new Error(translate("offlineMaps.errors.noTileServer")),
+    );
+  }
+  if (activeDownload) {
+    return Promise.reject(new Error(translate("offlineMaps.errors.busy")));
+  }
+  activeDownload = runAreaDownload(area).finally(() => {
+    activeDownload = null;
+    emitChange({ status: "idle" });
+  });
+  return activeDownload;
+}
+
+export function cancelTileDownload() {
+  if (activeDownload) cancelRequested = true;
+}
+
+/**
+ * Save the driver's usual zone: a circle around `center`.
+ * @param {Object} options - { center, radiusKm, zooms, name }
+ */
+export function downloadZone({ center, radiusKm, zooms, name }) {
+  return downloadOfflineArea({
+    id: `zone_${Date.now().toString(36)}`,
+    kind: "zone",
+    name: name || translate("offlineMaps.zoneName", { km: radiusKm }),
+    zooms,
+    center,
+    radiusKm,
+    tiles: tilesForZone(center, radiusKm, zooms),
+  });
+}
+
+/** Re-download an area with its original tiles, e.g. after eviction. */
+export async function refreshOfflineArea(areaId) {
+  const area = (await readAreas()).find((entry) => entry.id === areaId);
+  if (!area) throw new Error("Area not found");
+  return downloadOfflineArea(area);
+}
+
+async function canAutoDownload(settings) {
+  if (!OFFLINE_DOWNLOAD_AVAILABLE) return false;
+  if (!settings.autoCorridor || activeDownload) return false;
+  try {
+    const network = await NetInfo.fetch();
+    if (!network.isConnected || network.isInternetReachable === false) {
+      return false;
+    }
+    return !settings.wifiOnly || network.type === "wifi";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep the active delivery corridor on disk: tiles along the route from the
+ * driver through every remaining stop. Skipped when the stops have not
+ * changed recently, auto-download is off or the network does not allow it.
+ * @param {Array} points - [driverLocation, ...stops] as { latitude, longitude }
+ */
+export async function cacheDeliveryCorridor(points) {
+  const valid = (points || []).filter(
+    (p) => Number.isFinite(p?.latitude) && Number.isFinite(p?.longitude),
+  );
+  if (valid.length < 2) return null;
+
+  const signature = valid
+    .slice(1)
+    .map((p) => `${p.latitude.toFixed(3)},${p.longitude.toFixed(3)}`)
+    .join("|");
+  if (
+    lastCorridorAttempt.signature === signature &&
+    Date.now() - lastCorridorAttempt.at < CORRIDOR_RETRY_MS
+  ) {
+    return null;
+  }
+  lastCorridorAttempt = { signature, at: Date.now() };
+
+  const settings = await getOfflineTileSettings();
+  const current = (await readAreas()).find((a) => a.id === CORRIDOR_AREA_ID);
+  if (
+    current?.signature === signature &&
+    Date.now() - (current.updatedAt || 0) < CORRIDOR_REFRESH_MS
+  ) {
+    return null;
+  }
+  if (!(await canAutoDownload(settings))) return null;
+
+  const route = await fetchRoute({ points: valid, retries: 1 });
+  const path = route?.geometry?.coordinates?.length
+    ? route.geometry.coordinates.map(([longitude, latitude]) => ({
+        latitude,
+        longitude,
+      }))
+    : valid;
+
+  // Very long corridors drop the most detailed zooms until they fit.
+  const zooms = [...settings.corridorZooms].sort((a, b) => a - b);
+  let tiles = tilesForPath(path, CORRIDOR_BUFFER_METERS, zooms);
+  while (zooms.length > 1 && tiles.length > MAX_AREA_TILES) {
+    zooms.pop();
+    tiles = tilesForPath(path, CORRIDOR_BUFFER_METERS, zooms);
+  }
+
+  return downloadOfflineArea({
+    id: CORRIDOR_AREA_ID,
+    kind: "corridor",
+    name: "Active delivery corridor",
+    zooms,
+    signature,
+    tiles,
+  }).catch((err) => {
+    console.warn("[offlineTiles] Corridor download failed:", err.message);
+    return null;
+  });
+}
+
+/** Remove an area and every tile no other area still uses. */
+export async function deleteOfflineArea(areaId) {
+  const [index, areas] = await Promise.all([loadIndex(), readAreas()]);
+  const area = areas.find((entry) => entry.id === areaId);
+  if (!area) return;
+
+  (area.tiles || []).forEach((key) => {
+    const entry = index.tiles[key];
+    if (!entry) return;
+    entry.areas = (entry.areas || []).filter((id) => id !== areaId);
+    if (!entry.areas.length) deleteTile(index, key);
+  });
+  await writeJson(AREAS_KEY, areas.filter((entry) => entry.id !== areaId));
+  await persistIndex();
+  emitChange({ status: "idle" });
+}
+
+export async function clearTileCache() {
+  if (activeDownload) {
+    cancelTileDownload();
+    await activeDownload.catch(() => null);
+  }
+  removeTileDirectory();
+  indexCache = { source: TILE_URL_TEMPLATE, tiles: {} };
+  await persistIndex();
+  await writeJson(AREAS_KEY, []);
+  emitChange({ status: "idle" });
+}
@@ -0,0 +1,151 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { apiRequest } from "../lib/apiRequest";
+
+/**
+ * Order-scoped chat between the customer and the assigned driver. Messages
+ * travel over the shared socket (SocketContext) and are persisted by the
+ * server; REST is used for history and as a send fallback while the socket
+ * is down. A local copy per order keeps the thread and the read marker
+ * available offline.
+ *
+ *   message = { id, client_id, order_id, sender_role: "customer" | "driver",
+ *               body, quick_reply, created_at, status?: "sending" | "failed" }
+ */
+
+export const ORDER_CHAT_EVENTS = {
+  JOIN: "chat:join",
+  LEAVE: "chat:leave",
+  SEND: "chat:send",
+  MESSAGE: "chat:message",
+  READ: "chat:read",
+  CLOSED: "chat:closed",
+};
+
+// Keys under orderChat.quickReplies; sent in the driver's language.
+export const DRIVER_QUICK_REPLIES = [
+  "outside",
+  "cantFindGate",
+  "atRestaurant",
+  "runningLate",
+  "mainEntrance",
+];
+
+export const MAX_CHAT_MESSAGE_LENGTH = 500;
+// The chat ends with the order; DELIVERED is the normal way out.
+const CHAT_CLOSED_STATUSES = new Set([
+  "delivered",
+  "cancelled",
+  "canceled",
+  "rejected",
+]);
+const CHAT_CACHE_PREFIX = "@order_chat:";
+
+let clientIdCounter = 0;
+
+export function createChatClientId() {
+  clientIdCounter += 1;
+  return `msg_${Date.now().toString(36)}_${clientIdCounter}`;
+}
+
+export function isOrderChatOpen(status) {
+  return !CHAT_CLOSED_STATUSES.has(
+    String(status || "")
+      .trim()
+      .toLowerCase(),
+  );
+}
+
+const messageKey = (message) =>
+  String(message?.client_id || message?.id || "");
+
+const toTime = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : 0;
+};
+
+/**
+ * Merge server and local messages. The server copy of a message replaces the
+ * optimistic one with the same client_id.
+ */
+export function mergeChatMessages(existing, incoming) {
+  const byKey = new Map();
+  [...(existing || []), ...(incoming || [])].forEach((message) => {
+    const key = messageKey(message);
+    if (!key) return;
+    const previous = byKey.get(key);
+    byKey.set(
+      key,
+      previous ? { ...previous, ...message, status: message.status } : message,
+    );
+  });
+  return [...byKey.values()].sort(
+    (a, b) => toTime(a.created_at) - toTime(b.created_at),
+  );
+}
+
+/** Messages from the other party newer than the read marker. */
+export function countUnreadMessages(messages, role, lastReadAt) {
+  const readTime = toTime(lastReadAt);
+  return (messages || []).filter(
+    (message) =>
+      message.sender_role !== role && toTime(message.created_at) > readTime,
+  ).length;
+}
+
+export async function readCachedChat(orderId) {
+  try {
+    const raw = await AsyncStorage.getItem(`${CHAT_CACHE_PREFIX}${orderId}`);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return {
+      messages: Array.isArray(parsed?.messages) ? parsed.messages : [],
+      lastReadAt: parsed?.lastReadAt || null,
+    };
+  } catch {
+    return { messages: [], lastReadAt: null };
+  }
+}
+
+export async function writeCachedChat(orderId, { messages, lastReadAt }) {
+  try {
+    await AsyncStorage.setItem(
+      `${CHAT_CACHE_PREFIX}${orderId}`,
+      JSON.stringify({ messages, lastReadAt }),
+    );
+  } catch {
+    // Ignore cache write errors.
+  }
+}
+
+export async function clearCachedChat(orderId) {
+  await AsyncStorage.removeItem(`${CHAT_CACHE_PREFIX}${orderId}`).catch(
+    () => {},
+  );
+}
+
+const chatRequest = (orderId, options = {}) =>
+  apiRequest(`/orders/${orderId}/chat`, {
+    errorMessage: "Chat request failed",
+    ...options,
+  });
+
+/** @returns {Promise<Object>} { messages, closed } */
+export async function fetchOrderChat(orderId) {
+  const data = await chatRequest(orderId);
+  return {
+    messages: Array.isArray(data?.messages) ? data.messages : [],
+    closed: Boolean(data?.closed),
+  };
+}
+
+/** REST fallback used when the socket is not connected. */
+export async function postOrderChatMessage(orderId, message) {
+  const data = await chatRequest(orderId, {
+    method: "POST",
+    body: JSON.stringify({
+      client_id: message.client_id,
+      body: message.body,
+      quick_reply: Boolean(message.quick_reply),
+    }),
+  });
+  return data?.message || null;
+}
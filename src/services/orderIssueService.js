@@ -0,0 +1,221 @@
+import { translate } from "../i18n";
+import { apiRequest, appendPhotos } from "../lib/apiRequest";
+
+/**
+ * Post-delivery issue reports. A customer picks the affected items, a reason
+ * and photos and asks for a refund or wallet credit. The restaurant admin
+ * responds, then a manager approves a full or partial amount or rejects it.
+ * Every step is appended to the issue's timeline, which the customer follows
+ * from the order.
+ *
+ *   issue = { id, order_id, order_number, restaurant_name, customer_name,
+ *             reason, items: [{ order_item_id, name, quantity }],
+ *             description, photos: [url], requested_resolution,
+ *             requested_amount, approved_amount, status,
+ *             restaurant_response?: { body, accepts_fault, created_at },
+ *             timeline: [{ status, note, actor, created_at }], created_at }
+ */
+
+export const ISSUE_REASONS = [
+  { key: "missing_item", label: "Missing item" },
+  { key: "wrong_item", label: "Wrong item" },
+  { key: "damaged", label: "Damaged or spilled" },
+  { key: "quality", label: "Poor food quality" },
+  { key: "late", label: "Arrived very late" },
+];
+
+export const ISSUE_RESOLUTIONS = [
+  { key: "refund", label: "Refund to payment method" },
+  { key: "credit", label: "Wallet credit" },
+];
+
+export const ISSUE_STATUSES = {
+  SUBMITTED: "submitted",
+  RESTAURANT_RESPONDED: "restaurant_responded",
+  APPROVED: "approved",
+  PARTIALLY_APPROVED: "partially_approved",
+  REJECTED: "rejected",
+  REFUNDED: "refunded",
+};
+
+export const ISSUE_STATUS_LABELS = {
+  submitted: "Submitted",
+  restaurant_responded: "Restaurant responded",
+  approved: "Approved",
+  partially_approved: "Partially approved",
+  rejected: "Rejected",
+  refunded: "Refunded",
+};
+
+const CLOSED_STATUSES = [
+  ISSUE_STATUSES.APPROVED,
+  ISSUE_STATUSES.PARTIALLY_APPROVED,
+  ISSUE_STATUSES.REJECTED,
+  ISSUE_STATUSES.REFUNDED,
+];
+
+// Emitted with { orderId } after an issue is reported.
+export const ORDER_ISSUE_REPORTED_EVENT = "order:issue-reported";
+
+export const MAX_ISSUE_PHOTOS = 4;
+export const MAX_ISSUE_DESCRIPTION_LENGTH = 500;
+export const MAX_ISSUE_RESPONSE_LENGTH = 500;
+
+// Items are only needed when the reason is about specific items.
+const ITEM_REASONS = ["missing_item", "wrong_item", "damaged", "quality"];
+
+export const issueNeedsItems = (reason) => ITEM_REASONS.includes(reason);
+
+export const isIssueClosed = (issue) => CLOSED_STATUSES.includes(issue?.status);
+
+export function getIssueReasonLabel(reason) {
+  return ISSUE_REASONS.find((entry) => entry.key === reason)?.label || "Issue";
+}
+
+/**
+ * Selectable items for the report screen from raw order items.
+ * @returns {Array} [{ id, name, quantity, lineTotal }]
+ */
+export function toIssueItems(rawItems) {
+  return (rawItems || [])
+    .map((item) => {
+      const quantity = Number(item?.quantity) || 1;
+      const unitPrice = Number(item?.unit_price ?? item?.price) || 0;
+      return {
+        id: item?.id || item?.order_item_id,
+        name: item?.food_name || item?.name || item?.food?.name || "Item",
+        quantity,
+        lineTotal:
+          Number(item?.line_total ?? item?.total_price ?? item?.subtotal) ||
+          unitPrice * quantity,
+      };
+    })
+    .filter((item) => item.id);
+}
+
+/**
+ * Oldest-first timeline; the submission entry is synthesised when the
+ * server has not sent a timeline yet.
+ */
+export function getIssueTimeline(issue) {
+  const entries = Array.isArray(issue?.timeline) ? [...issue.timeline] : [];
+  if (!entries.length && issue?.created_at) {
+    entries.push({
+      status: ISSUE_STATUSES.SUBMITTED,
+      created_at: issue.created_at,
+    });
+  }
+  return entries.sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at),
+  );
+}
+
+/** First thing the report is missing, as a message; "" when complete. */
+export function validateOrderIssue({ reason, items, resolution, amount }) {
+  if (!reason) return translate("orderIssue.validation.reason");
+  if (issueNeedsItems(reason) && !(items || []).length) {
+    return translate("orderIssue.validation.items");
+  }
+  if (!resolution) return translate("orderIssue.validation.resolution");
+  if (!(Number(amount) > 0)) {
+    return translate("orderIssue.validation.amount");
+  }
+  return "";
+}
+
+const issueRequest = (path, options = {}) =>
+  apiRequest(path, { errorMessage: "Issue request failed", ...options });
+
+const toIssueList = (data) =>
+  Array.isArray(data?.issues)
+    ? data.issues
+    : Array.isArray(data?.data)
+      ? data.data
+      : [];
+
+/** Issues the signed-in customer reported on an order, newest first. */
+export async function fetchOrderIssues(orderId) {
+  return toIssueList(await issueRequest(`/orders/${orderId}/issues`));
+}
+
+/**
+ * Report an issue. `items` are order item ids; `photos` are local
+ * image-picker assets.
+ */
+export async function submitOrderIssue(
+  orderId,
+  { reason, items = [], description, resolution, amount, photos = [] },
+) {
+  const formData = new FormData();
+  formData.append(
+    "issue",
+    JSON.stringify({
+      reason,
+      order_item_ids: issueNeedsItems(reason) ? items : [],
+      description: String(description || "")
+        .trim()
+        .slice(0, MAX_ISSUE_DESCRIPTION_LENGTH),
+      requested_resolution: resolution,
+      requested_amount: Number(amount) || 0,
+    }),
+  );
+  appendPhotos(formData, photos, {
+    namePrefix: `issue_${orderId}`,
+    max: MAX_ISSUE_PHOTOS,
+  });
+
+  const data = await issueRequest(`/orders/${orderId}/issues`, {
+    method: "POST",
+    body: formData,
+  });
+  return data?.issue || null;
+}
+
+/** Issues raised against the admin's restaurant. */
+export async function fetchAdminIssues({ openOnly = false } = {}) {
+  return toIssueList(
+    await issueRequest(`/admin/order-issues${openOnly ? "?open=true" : ""}`),
+  );
+}
+
+export async function respondToIssue(issueId, { body, acceptsFault }) {
+  const data = await issueRequest(`/admin/order-issues/${issueId}/response`, {
+    method: "POST",
+    body: JSON.stringify({
+      body: String(body || "")
+        .trim()
+        .slice(0, MAX_ISSUE_RESPONSE_LENGTH),
+      accepts_fault: Boolean(acceptsFault),
+    }),
+  });
+  return data?.issue || null;
+}
+
+export async function fetchManagerIssues(status) {
+  return toIssueList(
+    await issueRequest(
+      `/manager/order-issues${status ? `?status=${status}` : ""}`,
+    ),
+  );
+}
+
+/**
+ * Manager decision. An approved amount below the requested one is recorded
+ * as a partial approval by the server.
+ * @param {Object} decision - { approve, amount, resolution, note }
+ */
+export async function resolveIssue(
+  issueId,
+  { approve, amount, resolution, note },
+) {
+  const data = await issueRequest(`/manager/order-issues/${issueId}`, {
+    method: "PATCH",
+    body: JSON.stringify({
+      decision: approve ? "approve" : "reject",
+      approved_amount: approve ? Number(amount) || 0 : 0,
+      resolution: approve ? resolution : undefined,
+      note: note || undefined,
+    }),
+  });
+  return data?.issue || null;
+}
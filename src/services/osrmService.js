@@ -1,36 +1,33 @@
 /**
  * OSRM Service
- * Handles all OSRM (Open Source Routing Machine) API calls
+ * Route, matrix and road-snap helpers that throw on failure. Requests go
+ * through the configured routing provider (OSRM, Valhalla or GraphHopper),
+ * so results keep the OSRM shape whichever server answers.
  */
 
-const OSRM_BASE_URL = 'https://router.project-osrm.org';
+import { fetchMatrix, fetchNearest, fetchRoute } from './routingProvider';
 
 /**
  * Get route between two points
  * @param {Object} origin - { latitude, longitude }
  * @param {Object} destination - { latitude, longitude }
- * @param {Object} options - { profile, overview, geometries, steps }
+ * @param {Object} options - { profile, overview, steps }
  * @returns {Object} Route data
  */
 export const getRoute = async (origin, destination, options = {}) => {
-  const {
-    profile = 'driving',
-    overview = 'full',
-    geometries = 'geojson',
-    steps = false,
-  } = options;
+  const { profile, overview = 'full', steps = false } = options;
 
-  const coords = `${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}`;
-  const url = `${OSRM_BASE_URL}/route/v1/${profile}/${coords}?overview=${overview}&geometries=${geometries}&steps=${steps}`;
+  const route = await fetchRoute({
+    points: [origin, destination],
+    profile,
+    overview,
+    steps,
+  });
 
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data.code !== 'Ok' || !data.routes?.length) {
-    throw new Error(data.message || 'No route found');
+  if (!route) {
+    throw new Error('No route found');
   }
 
-  const route = data.routes[0];
   return {
     distance: route.distance, // meters
     duration: route.duration, // seconds
@@ -46,29 +43,21 @@ export const getRoute = async (origin, destination, options = {}) => {
  * @returns {Object} Route data with legs
  */
 export const getMultiStopRoute = async (waypoints, options = {}) => {
-  const {
-    profile = 'driving',
-    overview = 'full',
-    geometries = 'geojson',
-    steps = true,
-  } = options;
+  const { profile, overview = 'full', steps = true } = options;
 
   if (waypoints.length < 2) throw new Error('At least 2 waypoints required');
 
-  const coords = waypoints
-    .map((wp) => `${wp.longitude},${wp.latitude}`)
-    .join(';');
-
-  const url = `${OSRM_BASE_URL}/route/v1/${profile}/${coords}?overview=${overview}&geometries=${geometries}&steps=${steps}`;
+  const route = await fetchRoute({
+    points: waypoints,
+    profile,
+    overview,
+    steps,
+  });
 
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data.code !== 'Ok' || !data.routes?.length) {
-    throw new Error(data.message || 'No route found');
+  if (!route) {
+    throw new Error('No route found');
   }
 
-  const route = data.routes[0];
   return {
     distance: route.distance,
     duration: route.duration,
@@ -85,28 +74,23 @@ export const getMultiStopRoute = async (waypoints, options = {}) => {
 /**
  * Get distance matrix between multiple points
  * @param {Array} sources - Array of { latitude, longitude }
- * @param {Array} destinations - Array of { latitude, longitude }
+ * @param {Array} destinations - Array of { latitude, longitude }; omit (or pass
+ *   the same array) for a square all-to-all matrix
+ * @param {Object} options - { profile }
  * @returns {Object} { distances, durations }
  */
-export const getDistanceMatrix = async (sources, destinations) => {
-  const allPoints = [...sources, ...destinations];
-  const coords = allPoints.map((p) => `${p.longitude},${p.latitude}`).join(';');
-
-  const sourceIndices = sources.map((_, i) => i).join(';');
-  const destIndices = destinations.map((_, i) => i + sources.length).join(';');
+export const getDistanceMatrix = async (sources, destinations = sources, options = {}) => {
+  const { profile } = options;
 
-  const url = `${OSRM_BASE_URL}/table/v1/driving/${coords}?sources=${sourceIndices}&destinations=${destIndices}`;
+  const matrix = await fetchMatrix({ sources, destinations, profile });
 
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data.code !== 'Ok') {
-    throw new Error(data.message || 'Distance matrix failed');
+  if (!matrix) {
+    throw new Error('Distance matrix failed');
   }
 
   return {
-    durations: data.durations, // seconds
-    distances: data.distances, // meters (if available)
+    durations: matrix.durations, // seconds
+    distances: matrix.distances, // meters (if available)
   };
 };
 
@@ -116,22 +100,13 @@ export const getDistanceMatrix = async (sources, destinations) => {
  * @returns {Object} Snapped coordinate
  */
 export const getNearestRoad = async (point) => {
-  const url = `${OSRM_BASE_URL}/nearest/v1/driving/${point.longitude},${point.latitude}?number=1`;
-
-  const response = await fetch(url);
-  const data = await response.json();
+  const nearest = await fetchNearest({ point });
 
-  if (data.code !== 'Ok' || !data.waypoints?.length) {
+  if (!nearest) {
     throw new Error('No nearby road found');
   }
 
-  const wp = data.waypoints[0];
-  return {
-    latitude: wp.location[1],
-    longitude: wp.location[0],
-    name: wp.name,
-    distance: wp.distance,
-  };
+  return nearest;
 };
 
 export default {
@@ -0,0 +1,245 @@
+import { DeviceEventEmitter } from "react-native";
+import { API_BASE_URL } from "../constants/api";
+import { PAYMENT_GATEWAY } from "../config/env";
+import { getAccessToken } from "../lib/authStorage";
+import { translate } from "../i18n";
+import mockPaymentGateway from "./mockPaymentGateway";
+
+export const PAYMENT_METHODS = {
+  CASH: "cash",
+  CARD: "card",
+  WALLET: "wallet",
+};
+
+// Hosted checkout pages redirect here when they finish; WebViewScreen
+// intercepts the navigation instead of loading it.
+export const PAYMENT_RETURN_URL = "nearmemobile://payment-return";
+export const PAYMENT_RESULT_EVENT = "payment:hosted_checkout_result";
+
+const HOSTED_CHECKOUT_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const PAYMENT_METHOD_OPTIONS = [
+  {
+    id: PAYMENT_METHODS.CASH,
+    icon: "cash-outline",
+    requiresIntent: false,
+  },
+  {
+    id: PAYMENT_METHODS.CARD,
+    icon: "card-outline",
+    requiresIntent: true,
+  },
+  {
+    id: PAYMENT_METHODS.WALLET,
+    icon: "wallet-outline",
+    requiresIntent: true,
+  },
+];
+
+export function getPaymentMethodOption(methodId) {
+  return (
+    PAYMENT_METHOD_OPTIONS.find((option) => option.id === methodId) ||
+    PAYMENT_METHOD_OPTIONS[0]
+  );
+}
+
+export function paymentMethodRequiresIntent(methodId) {
+  return Boolean(getPaymentMethodOption(methodId).requiresIntent);
+}
+
+export class PaymentError extends Error {
+  constructor(message, { code = "payment_failed", retryable = true } = {}) {
+    super(message);
+    this.name = "PaymentError";
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+async function requestJson(path, { method = "GET", body } = {}) {
+  const token = await getAccessToken();
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const message =
+      data?.message || translate("checkout.errors.requestFailed");
+    throw new PaymentError(message, {
+      code: data?.code || "payment_request_failed",
+      retryable: res.status >= 500 || res.status === 409,
+    });
+  }
+  return data;
+}
+
+const remotePaymentGateway = {
+  name: "remote",
+
+  async getAvailableMethods() {
+    const data = await requestJson("/payments/methods");
+    return Array.isArray(data?.methods) ? data.methods : null;
+  },
+
+  async getWalletBalance() {
+    const data = await requestJson("/customer/wallet");
+    return Number(data?.wallet?.balance ?? data?.balance ?? 0);
+  },
+
+  async createIntent({ cartId, method, amount, quoteToken, returnUrl }) {
+    const data = await requestJson("/payments/intents", {
+      method: "POST",
+      body: {
+        cartId,
+        payment_method: method,
+        amount,
+        quote_token: quoteToken || undefined,
+        return_url: returnUrl,
+      },
+    });
+    return data?.intent || null;
+  },
+
+  async confirmIntent(intentId, { checkoutStatus } = {}) {
+    const data = await requestJson(`/payments/intents/${intentId}/confirm`, {
+      method: "POST",
+      body: { checkout_status: checkoutStatus || undefined },
+    });
+    return data?.intent || null;
+  },
+};
+
+export function getPaymentGateway() {
+  return PAYMENT_GATEWAY === "mock" ? mockPaymentGateway : remotePaymentGateway;
+}
+
+/**
+ * Resolve which payment methods can be offered. Falls back to every known
+ * method when the backend does not publish a list.
+ */
+export async function fetchAvailablePaymentMethods() {
+  try {
+    const methods = await getPaymentGateway().getAvailableMethods();
+    if (!methods) return PAYMENT_METHOD_OPTIONS.map((option) => option.id);
+
+    const enabled = methods
+      .map((m) => String(m?.id || m || "").toLowerCase())
+      .filter((id) => PAYMENT_METHOD_OPTIONS.some((o) => o.id === id));
+    return enabled.length > 0 ? enabled : [PAYMENT_METHODS.CASH];
+  } catch {
+    return [PAYMENT_METHODS.CASH];
+  }
+}
+
+export async function fetchWalletBalance() {
+  try {
+    const balance = await getPaymentGateway().getWalletBalance();
+    return Number.isFinite(balance) ? balance : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wait for WebViewScreen to report the outcome of a hosted checkout page.
+ * Resolves with "succeeded", "failed" or "cancelled" (also when the customer
+ * backs out of the page without finishing).
+ */
+export function waitForHostedCheckoutResult(intentId) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const subscription = DeviceEventEmitter.addListener(
+      PAYMENT_RESULT_EVENT,
+      (event) => {
+        if (event?.intentId && String(event.intentId) !== String(intentId)) {
+          return;
+        }
+        clearTimeout(timer);
+        subscription.remove();
+        resolve(parsePaymentReturnUrl(event?.url)?.status || "cancelled");
+      },
+    );
+
+    timer = setTimeout(() => {
+      subscription.remove();
+      resolve("cancelled");
+    }, HOSTED_CHECKOUT_TIMEOUT_MS);
+  });
+}
+
+export function parsePaymentReturnUrl(url) {
+  const raw = String(url || "");
+  if (!raw.startsWith(PAYMENT_RETURN_URL)) return null;
+
+  const query = raw.split("?")[1] || "";
+  const params = {};
+  query.split("&").forEach((pair) => {
+    if (!pair) return;
+    const [key, value = ""] = pair.split("=");
+    params[decodeURIComponent(key)] = decodeURIComponent(value);
+  });
+
+  const status = String(params.status || "").toLowerCase();
+  return {
+    status: ["succeeded", "failed"].includes(status) ? status : "cancelled",
+    intentId: params.intent_id || null,
+  };
+}
+
+/**
+ * Run a payment method through intent -> (hosted checkout) -> confirm.
+ * Returns the confirmed intent; throws PaymentError when the payment does
+ * not succeed. Cash orders never reach this.
+ */
+export async function authorizePayment({
+  cartId,
+  method,
+  amount,
+  quoteToken,
+  openHostedCheckout,
+}) {
+  const gateway = getPaymentGateway();
+
+  const intent = await gateway.createIntent({
+    cartId,
+    method,
+    amount,
+    quoteToken,
+    returnUrl: PAYMENT_RETURN_URL,
+  });
+  if (!intent?.id) {
+    throw new PaymentError(translate("checkout.errors.startFailed"));
+  }
+
+  let checkoutStatus;
+  if (intent.checkout_url || intent.checkout_html) {
+    if (typeof openHostedCheckout !== "function") {
+      throw new PaymentError(translate("checkout.errors.cardUnavailable"));
+    }
+    const resultPromise = waitForHostedCheckoutResult(intent.id);
+    openHostedCheckout(intent);
+    checkoutStatus = await resultPromise;
+
+    if (checkoutStatus === "cancelled") {
+      throw new PaymentError(translate("checkout.errors.cancelled"), {
+        code: "payment_cancelled",
+      });
+    }
+  }
+
+  const confirmed = await gateway.confirmIntent(intent.id, { checkoutStatus });
+  if (confirmed?.status !== "succeeded") {
+    throw new PaymentError(
+      confirmed?.failure_reason || translate("checkout.errors.declined"),
+      { code: confirmed?.failure_code || "payment_declined" },
+    );
+  }
+
+  return confirmed;
+}
@@ -21,6 +21,7 @@ import * as Device from "expo-device";
 import * as Notifications from "expo-notifications";
 import { Alert, Linking, Platform } from "react-native";
 import { API_URL } from "../config/env";
+import { isScheduledOrderReleased } from "../utils/deliverySchedule";
 import alarmService from "./alarmService";
 
 // Detect if running in Expo Go (no native push support since SDK 53)
@@ -128,6 +129,16 @@ Notifications.setNotificationHandler({
       }
     }
 
+    // Pre-orders are not offered to drivers before their release time.
+    if (type === "new_delivery" && !isScheduledOrderReleased(data)) {
+      return {
+        shouldShowBanner: false,
+        shouldShowList: false,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+      };
+    }
+
     return {
       shouldShowBanner: !isAlarmPulse, // no banner for alarm pulses
       shouldShowList: !isAlarmPulse,
@@ -0,0 +1,154 @@
+import { DeviceEventEmitter } from "react-native";
+import { API_BASE_URL } from "../constants/api";
+import { getAccessToken } from "../lib/authStorage";
+import { fetchPublicFeeConfig } from "../lib/feeConfig";
+import { fetchJsonWithCache } from "../lib/publicDataCache";
+import {
+  getReorderWarnings,
+  isReorderClean,
+  reconcileReorderItems,
+  REORDER_LINE_STATUS,
+} from "../utils/reorder";
+
+/**
+ * Reorder a past order. The menu, restaurant and fee config are always
+ * fetched fresh (the cached copies may predate a price change), reconciled
+ * against the old order lines and then added back through /cart/add one
+ * line at a time, exactly like adding them by hand.
+ */
+
+const orderRestaurantId = (order) =>
+  order?.restaurant_id || order?.restaurantId || order?.restaurant?.id;
+
+const orderItems = (order) =>
+  Array.isArray(order?.order_items)
+    ? order.order_items
+    : Array.isArray(order?.items)
+      ? order.items
+      : [];
+
+async function fetchPublicJson(cacheKey, path, fallbackMessage) {
+  return fetchJsonWithCache(
+    cacheKey,
+    async () => {
+      const res = await fetch(`${API_BASE_URL}${path}`);
+      const payload = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(payload.message || fallbackMessage);
+      return payload;
+    },
+    { ttlMs: 0, forceRefresh: true },
+  );
+}
+
+async function fetchDropoff() {
+  const token = await getAccessToken();
+  if (!token) return null;
+  try {
+    const res = await fetch(`${API_BASE_URL}/cart/customer-profile`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json().catch(() => ({}));
+    const latitude = Number(data?.customer?.latitude);
+    const longitude = Number(data?.customer?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load everything needed to reorder and reconcile it.
+ * @param {Object} order - Raw order from /orders/:id
+ * @returns {Promise<Object>} { restaurant, lines, warnings, clean }
+ */
+export async function prepareReorder(order) {
+  const restaurantId = orderRestaurantId(order);
+  if (!restaurantId) throw new Error("This order has no restaurant.");
+  if (orderItems(order).length === 0) {
+    throw new Error("This order has no items to reorder.");
+  }
+
+  const [restaurantData, foodsData, feeConfig, dropoff] = await Promise.all([
+    fetchPublicJson(
+      `public:restaurant:${restaurantId}`,
+      `/public/restaurants/${restaurantId}`,
+      "Restaurant not found",
+    ),
+    fetchPublicJson(
+      `public:restaurant:${restaurantId}:foods`,
+      `/public/restaurants/${restaurantId}/foods`,
+      "Failed to fetch foods",
+    ),
+    fetchPublicFeeConfig(),
+    fetchDropoff(),
+  ]);
+
+  const restaurant = restaurantData?.restaurant || restaurantData || {};
+  const foods = Array.isArray(foodsData?.foods)
+    ? foodsData.foods
+    : Array.isArray(foodsData?.data?.foods)
+      ? foodsData.data.foods
+      : Array.isArray(foodsData?.data)
+        ? foodsData.data
+        : [];
+
+  const lines = reconcileReorderItems(orderItems(order), foods);
+  const warnings = getReorderWarnings(
+    restaurant,
+    dropoff,
+    feeConfig?.max_order_distance_km,
+  );
+
+  return {
+    restaurant: { ...restaurant, id: restaurant.id || restaurantId },
+    lines,
+    warnings,
+    clean: isReorderClean(lines) && warnings.length === 0,
+  };
+}
+
+/**
+ * Add reconciled lines to the cart. Unavailable lines are skipped.
+ * @returns {Promise<Object>} { cartId, added, failed: [name] }
+ */
+export async function addReorderLinesToCart(restaurantId, lines) {
+  const token = await getAccessToken();
+  if (!token) throw new Error("Please login to add items to cart");
+
+  let cartId = null;
+  let added = 0;
+  const failed = [];
+
+  for (const line of lines || []) {
+    if (line.status === REORDER_LINE_STATUS.UNAVAILABLE || !line.food) {
+      continue;
+    }
+    try {
+      const res = await fetch(`${API_BASE_URL}/cart/add`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          restaurant_id: restaurantId,
+          food_id: line.food.id,
+          size: line.size,
+          quantity: line.quantity,
+          modifiers: line.modifiers.length > 0 ? line.modifiers : undefined,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || "Failed to add");
+      cartId = data.cartId || data.cart_id || data.cart?.id || cartId;
+      added += 1;
+    } catch (err) {
+      console.warn("[Reorder] Add failed:", line.name, err?.message);
+      failed.push(line.name);
+    }
+  }
+
+  if (added > 0) DeviceEventEmitter.emit("cart:changed");
+  return { cartId, added, failed };
+}
@@ -0,0 +1,243 @@
+import { API_BASE_URL } from "../constants/api";
+import { translate } from "../i18n";
+import { apiRequest, appendPhotos } from "../lib/apiRequest";
+
+/**
+ * Ratings and reviews for restaurants, foods and drivers. A delivered order
+ * is reviewed once: one restaurant review, a star rating per food and an
+ * optional driver review. Restaurant admins can reply to their reviews and
+ * managers moderate what is published.
+ *
+ *   review = { id, order_id, target_type: "restaurant" | "food" | "driver",
+ *              target_id, rating, comment, photos: [url], customer_name,
+ *              created_at, status, reply?: { body, created_at } }
+ */
+
+export const REVIEW_TARGETS = {
+  RESTAURANT: "restaurant",
+  FOOD: "food",
+  DRIVER: "driver",
+};
+
+export const REVIEW_STATUSES = {
+  PUBLISHED: "published",
+  FLAGGED: "flagged",
+  HIDDEN: "hidden",
+};
+
+// Emitted with { orderId } after a review is submitted.
+export const ORDER_REVIEW_SUBMITTED_EVENT = "order:reviewed";
+
+export const MAX_REVIEW_PHOTOS = 3;
+export const MAX_REVIEW_COMMENT_LENGTH = 500;
+export const MAX_REVIEW_REPLY_LENGTH = 500;
+
+const clampRating = (value) => {
+  const rating = Math.round(Number(value) || 0);
+  return Math.min(5, Math.max(0, rating));
+};
+
+/** @returns {Object} { average, count, breakdown: { 1..5: count } } */
+export function normalizeReviewSummary(summary) {
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  const source = summary?.breakdown || {};
+  Object.keys(breakdown).forEach((star) => {
+    breakdown[star] = Number(source[star]) || 0;
+  });
+  const average = Number(summary?.average ?? summary?.rating);
+  return {
+    average: Number.isFinite(average) ? average : 0,
+    count: Number(summary?.count ?? summary?.total) || 0,
+    breakdown,
+  };
+}
+
+export function formatRatingAverage(average) {
+  const value = Number(average);
+  return Number.isFinite(value) && value > 0
+    ? value.toFixed(1)
+    : translate("reviews.new");
+}
+
+/**
+ * What can be reviewed on an order, built from the tracked order when the
+ * server context is unavailable.
+ */
+export function buildReviewContextFromOrder({ restaurantName, items, driver }) {
+  const foods = [];
+  const seen = new Set();
+  (items || []).forEach((item) => {
+    const foodId = item?.food_id || item?.foodId || item?.food?.id;
+    if (!foodId || seen.has(String(foodId))) return;
+    seen.add(String(foodId));
+    foods.push({
+      food_id: foodId,
+      name:
+        item.food_name ||
+        item.name ||
+        item.food?.name ||
+        translate("reviews.itemFallback"),
+      image_url: item.image_url || item.food?.image_url || null,
+    });
+  });
+
+  return {
+    reviewed: false,
+    restaurant: {
+      name: restaurantName || translate("reviews.restaurantFallback"),
+    },
+    foods,
+    driver: driver?.id || driver?.driver_id
+      ? {
+          id: driver.id || driver.driver_id,
+          name: driver.full_name || translate("reviews.driverFallback"),
+        }
+      : null,
+  };
+}
+
+/** Client-side checks before submitting; returns an error message or "". */
+export function validateOrderReview({ restaurant, foods, driver }, context) {
+  if (!clampRating(restaurant?.rating)) {
+    return translate("reviews.validation.restaurant");
+  }
+  if (context?.driver && !clampRating(driver?.rating)) {
+    return translate("reviews.validation.driver");
+  }
+  const unrated = (context?.foods || []).some(
+    (food) => !clampRating(foods?.[food.food_id]),
+  );
+  if (unrated) return translate("reviews.validation.foods");
+  return "";
+}
+
+const reviewRequest = (path, options = {}) =>
+  apiRequest(path, { errorMessage: "Review request failed", ...options });
+
+const toReviewList = (data) =>
+  Array.isArray(data?.reviews)
+    ? data.reviews
+    : Array.isArray(data?.data)
+      ? data.data
+      : [];
+
+/** @returns {Promise<Object>} { reviewed, restaurant, foods, driver } */
+export async function fetchOrderReviewContext(orderId) {
+  const data = await reviewRequest(`/orders/${orderId}/review`);
+  return {
+    reviewed: Boolean(data?.reviewed),
+    restaurant: data?.restaurant || { name: "Restaurant" },
+    foods: Array.isArray(data?.foods) ? data.foods : [],
+    driver: data?.driver || null,
+  };
+}
+
+/**
+ * Submit an order review. `foods` maps food_id -> rating; `photos` are local
+ * image-picker assets attached to the restaurant review.
+ */
+export async function submitOrderReview(
+  orderId,
+  { restaurant, foods, driver, photos = [] },
+) {
+  const formData = new FormData();
+  formData.append(
+    "review",
+    JSON.stringify({
+      restaurant: {
+        rating: clampRating(restaurant?.rating),
+        comment: String(restaurant?.comment || "")
+          .trim()
+          .slice(0, MAX_REVIEW_COMMENT_LENGTH),
+      },
+      foods: Object.entries(foods || {}).map(([foodId, rating]) => ({
+        food_id: foodId,
+        rating: clampRating(rating),
+      })),
+      driver: driver
+        ? {
+            rating: clampRating(driver.rating),
+            comment: String(driver.comment || "")
+              .trim()
+              .slice(0, MAX_REVIEW_COMMENT_LENGTH),
+          }
+        : null,
+    }),
+  );
+  appendPhotos(formData, photos, {
+    namePrefix: `review_${orderId}`,
+    max: MAX_REVIEW_PHOTOS,
+  });
+
+  return reviewRequest(`/orders/${orderId}/review`, {
+    method: "POST",
+    body: formData,
+  });
+}
+
+/**
+ * Public reviews for a restaurant or a food.
+ * @returns {Promise<Object>} { reviews, summary }
+ */
+export async function fetchTargetReviews(targetType, targetId, { limit } = {}) {
+  const base =
+    targetType === REVIEW_TARGETS.FOOD
+      ? `/public/foods/${targetId}/reviews`
+      : `/public/restaurants/${targetId}/reviews`;
+  const res = await fetch(
+    `${API_BASE_URL}${base}${limit ? `?limit=${limit}` : ""}`,
+  );
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || "Failed to load reviews");
+  return {
+    reviews: toReviewList(data),
+    summary: normalizeReviewSummary(data?.summary),
+  };
+}
+
+/** Signed-in driver's rating summary with their latest reviews. */
+export async function fetchDriverRatingSummary() {
+  const data = await reviewRequest("/driver/reviews/summary");
+  return {
+    reviews: toReviewList(data),
+    summary: normalizeReviewSummary(data?.summary),
+  };
+}
+
+/** Reviews of the admin's restaurant and its foods. */
+export async function fetchAdminReviews({ unrepliedOnly = false } = {}) {
+  const data = await reviewRequest(
+    `/admin/reviews${unrepliedOnly ? "?unreplied=true" : ""}`,
+  );
+  return {
+    reviews: toReviewList(data),
+    summary: normalizeReviewSummary(data?.summary),
+  };
+}
+
+export async function replyToReview(reviewId, body) {
+  const data = await reviewRequest(`/admin/reviews/${reviewId}/reply`, {
+    method: "POST",
+    body: JSON.stringify({
+      body: String(body || "")
+        .trim()
+        .slice(0, MAX_REVIEW_REPLY_LENGTH),
+    }),
+  });
+  return data?.review || null;
+}
+
+export async function fetchModerationReviews(status) {
+  const data = await reviewRequest(
+    `/manager/reviews${status ? `?status=${status}` : ""}`,
+  );
+  return toReviewList(data);
+}
+
+export async function moderateReview(reviewId, status, note) {
+  const data = await reviewRequest(`/manager/reviews/${reviewId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ status, note: note || undefined }),
+  });
+  return data?.review || null;
+}
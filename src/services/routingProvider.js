@@ -0,0 +1,582 @@
+/**
+ * Routing Provider
+ * Single entry point for route, distance-matrix and road-snap requests.
+ *
+ * The backend (OSRM, Valhalla or GraphHopper), its failover URL list and the
+ * vehicle profile come from config/env (ROUTING_* env vars or app config
+ * extra), so a self-hosted or local server can stand in for the public ones.
+ * Each URL in the list is tried in order, and the whole list is retried with
+ * a growing delay before giving up.
+ *
+ * Every adapter normalises its response to the OSRM route shape the app
+ * already reads, with meters and seconds for every provider:
+ *   { distance, duration, geometry: { type, coordinates: [[lng, lat]] },
+ *     legs: [{ distance, duration, steps: [{ distance, duration, name,
+ *       maneuver: { type, modifier, location: [lng, lat], exit } }] }] }
+ */
+
+import {
+  ROUTING_API_KEY,
+  ROUTING_PROFILE,
+  ROUTING_PROVIDER,
+  ROUTING_URLS,
+} from "../config/env";
+
+const PROFILE_ALIASES = {
+  driving: "car",
+  walking: "foot",
+  cycling: "bicycle",
+  motorcycle: "motorbike",
+};
+
+// App profiles per provider; anything else is passed through unchanged so
+// a custom server profile can be named directly.
+const PROVIDER_PROFILES = {
+  osrm: {
+    motorbike: "driving",
+    car: "driving",
+    bicycle: "cycling",
+    foot: "foot",
+  },
+  valhalla: {
+    motorbike: "motorcycle",
+    car: "auto",
+    bicycle: "bicycle",
+    foot: "pedestrian",
+  },
+  graphhopper: {
+    motorbike: "scooter",
+    car: "car",
+    bicycle: "bike",
+    foot: "foot",
+  },
+};
+
+// Valhalla maneuver type -> OSRM [type, modifier]
+const VALHALLA_MANEUVERS = {
+  1: ["depart", ""],
+  2: ["depart", "right"],
+  3: ["depart", "left"],
+  4: ["arrive", ""],
+  5: ["arrive", "right"],
+  6: ["arrive", "left"],
+  7: ["new name", "straight"],
+  8: ["continue", "straight"],
+  9: ["turn", "slight right"],
+  10: ["turn", "right"],
+  11: ["turn", "sharp right"],
+  12: ["turn", "uturn"],
+  13: ["turn", "uturn"],
+  14: ["turn", "sharp left"],
+  15: ["turn", "left"],
+  16: ["turn", "slight left"],
+  17: ["on ramp", "straight"],
+  18: ["on ramp", "right"],
+  19: ["on ramp", "left"],
+  20: ["off ramp", "slight right"],
+  21: ["off ramp", "slight left"],
+  22: ["continue", "straight"],
+  23: ["fork", "slight right"],
+  24: ["fork", "slight left"],
+  25: ["merge", "straight"],
+  26: ["roundabout", ""],
+  27: ["exit roundabout", ""],
+  37: ["merge", "slight right"],
+  38: ["merge", "slight left"],
+};
+
+// GraphHopper instruction sign -> OSRM [type, modifier]
+const GRAPHHOPPER_SIGNS = {
+  "-98": ["turn", "uturn"],
+  "-8": ["turn", "uturn"],
+  "-7": ["fork", "slight left"],
+  "-6": ["exit roundabout", ""],
+  "-3": ["turn", "sharp left"],
+  "-2": ["turn", "left"],
+  "-1": ["turn", "slight left"],
+  0: ["continue", "straight"],
+  1: ["turn", "slight right"],
+  2: ["turn", "right"],
+  3: ["turn", "sharp right"],
+  4: ["arrive", ""],
+  5: ["arrive", ""],
+  6: ["roundabout", ""],
+  7: ["fork", "slight right"],
+  8: ["turn", "uturn"],
+};
+
+const GRAPHHOPPER_LEG_END_SIGNS = [4, 5];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toLngLat = (point) => `${point.longitude},${point.latitude}`;
+
+const keyParam = (name) =>
+  ROUTING_API_KEY ? `${name}=${encodeURIComponent(ROUTING_API_KEY)}` : "";
+
+const withQuery = (url, ...params) => {
+  const query = params.filter(Boolean).join("&");
+  return query ? `${url}?${query}` : url;
+};
+
+const postJson = (url, body) => ({
+  url,
+  init: {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  },
+});
+
+const metersBetween = (a, b) => {
+  const avgLatRad = ((a.latitude + b.latitude) / 2) * (Math.PI / 180);
+  const dLat = (b.latitude - a.latitude) * 111320;
+  const dLng = (b.longitude - a.longitude) * 111320 * Math.cos(avgLatRad);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+};
+
+/** Google encoded polyline (Valhalla uses precision 6) -> [[lng, lat]] */
+export const decodePolyline = (encoded, precision = 6) => {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readDelta = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index) - 63;
+      index += 1;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readDelta();
+    lng += readDelta();
+    coordinates.push([lng / factor, lat / factor]);
+  }
+  return coordinates;
+};
+
+const fetchJsonWithTimeout = async (url, timeoutMs, init = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const requestWithFailover = async (buildRequest, parse, options) => {
+  const { timeoutMs, retries, retryDelayMs } = options;
+
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    for (const baseUrl of ROUTING_URLS) {
+      const { url, init } = buildRequest(baseUrl);
+      const data = await fetchJsonWithTimeout(url, timeoutMs, init);
+      let result = null;
+      try {
+        result = data ? parse(data) : null;
+      } catch (err) {
+        console.warn("[routingProvider] Unreadable response:", err.message);
+      }
+      if (result) return result;
+    }
+
+    if (attempt < retries) {
+      await sleep(retryDelayMs * (attempt + 1));
+    }
+  }
+
+  return null;
+};
+
+// ============================================================================
+// OSRM
+// ============================================================================
+
+const osrmAdapter = {
+  routeRequest: (baseUrl, points, { profile, overview, steps }) => {
+    const coords = points.map(toLngLat).join(";");
+    return {
+      url: `${baseUrl}/route/v1/${profile}/${coords}?overview=${overview}&geometries=geojson&steps=${steps}`,
+    };
+  },
+
+  parseRoute: (data) =>
+    data?.code === "Ok" && data.routes?.[0] ? data.routes[0] : null,
+
+  matrixRequest: (baseUrl, sources, destinations, { profile, square }) => {
+    const allPoints = square ? sources : [...sources, ...destinations];
+    let query = "annotations=duration,distance";
+    if (!square) {
+      const sourceIndices = sources.map((_, i) => i).join(";");
+      const destIndices = destinations
+        .map((_, i) => i + sources.length)
+        .join(";");
+      query += `&sources=${sourceIndices}&destinations=${destIndices}`;
+    }
+    const coords = allPoints.map(toLngLat).join(";");
+    return { url: `${baseUrl}/table/v1/${profile}/${coords}?${query}` };
+  },
+
+  parseMatrix: (data) =>
+    data?.code === "Ok" && data.durations
+      ? { durations: data.durations, distances: data.distances }
+      : null,
+
+  nearestRequest: (baseUrl, point, { profile }) => ({
+    url: `${baseUrl}/nearest/v1/${profile}/${toLngLat(point)}?number=1`,
+  }),
+
+  parseNearest: (data) => {
+    const wp = data?.code === "Ok" ? data.waypoints?.[0] : null;
+    if (!wp) return null;
+    return {
+      latitude: wp.location[1],
+      longitude: wp.location[0],
+      name: wp.name,
+      distance: wp.distance,
+    };
+  },
+};
+
+// ============================================================================
+// VALHALLA
+// ============================================================================
+
+const toValhallaLocation = (point) => ({
+  lat: point.latitude,
+  lon: point.longitude,
+});
+
+const toValhallaStep = (maneuver, shape) => {
+  const [type, modifier] = VALHALLA_MANEUVERS[maneuver.type] || [
+    "turn",
+    "straight",
+  ];
+  return {
+    distance: (maneuver.length || 0) * 1000,
+    duration: maneuver.time || 0,
+    name: (maneuver.street_names || []).join(", "),
+    maneuver: {
+      type,
+      modifier,
+      location: shape[maneuver.begin_shape_index] || shape[0],
+      exit: maneuver.roundabout_exit_count || undefined,
+      instruction: maneuver.instruction || "",
+    },
+  };
+};
+
+const valhallaAdapter = {
+  routeRequest: (baseUrl, points, { profile, steps }) =>
+    postJson(withQuery(`${baseUrl}/route`, keyParam("api_key")), {
+      locations: points.map(toValhallaLocation),
+      costing: profile,
+      directions_options: {
+        units: "kilometers",
+        directions_type: steps ? "instructions" : "none",
+      },
+    }),
+
+  parseRoute: (data, { overview, steps }) => {
+    const trip = data?.trip;
+    if (!trip?.legs?.length) return null;
+
+    const coordinates = [];
+    const legs = trip.legs.map((leg) => {
+      const shape = decodePolyline(leg.shape || "", 6);
+      coordinates.push(...(coordinates.length ? shape.slice(1) : shape));
+      return {
+        distance: (leg.summary?.length || 0) * 1000,
+        duration: leg.summary?.time || 0,
+        steps: steps
+          ? (leg.maneuvers || []).map((m) => toValhallaStep(m, shape))
+          : [],
+      };
+    });
+
+    return {
+      distance: (trip.summary?.length || 0) * 1000,
+      duration: trip.summary?.time || 0,
+      geometry:
+        overview === "false"
+          ? undefined
+          : { type: "LineString", coordinates },
+      legs,
+    };
+  },
+
+  matrixRequest: (baseUrl, sources, destinations, { profile }) =>
+    postJson(withQuery(`${baseUrl}/sources_to_targets`, keyParam("api_key")), {
+      sources: sources.map(toValhallaLocation),
+      targets: destinations.map(toValhallaLocation),
+      costing: profile,
+      units: "kilometers",
+    }),
+
+  parseMatrix: (data) => {
+    const rows = data?.sources_to_targets;
+    if (!Array.isArray(rows)) return null;
+    return {
+      durations: rows.map((row) => row.map((cell) => cell?.time ?? null)),
+      distances: rows.map((row) =>
+        row.map((cell) =>
+          cell?.distance == null ? null : cell.distance * 1000,
+        ),
+      ),
+    };
+  },
+
+  nearestRequest: (baseUrl, point, { profile }) =>
+    postJson(withQuery(`${baseUrl}/locate`, keyParam("api_key")), {
+      locations: [toValhallaLocation(point)],
+      costing: profile,
+      verbose: true,
+    }),
+
+  parseNearest: (data, point) => {
+    const edge = data?.[0]?.edges?.[0];
+    if (!edge) return null;
+    const snapped = {
+      latitude: edge.correlated_lat,
+      longitude: edge.correlated_lon,
+    };
+    return {
+      ...snapped,
+      name: edge.edge_info?.names?.[0] || "",
+      distance: metersBetween(point, snapped),
+    };
+  },
+};
+
+// ============================================================================
+// GRAPHHOPPER
+// ============================================================================
+
+const toGraphHopperStep = (instruction, coordinates, isFirst) => {
+  const [type, modifier] = isFirst
+    ? ["depart", ""]
+    : GRAPHHOPPER_SIGNS[instruction.sign] || ["turn", "straight"];
+  return {
+    distance: instruction.distance || 0,
+    duration: (instruction.time || 0) / 1000,
+    name: instruction.street_name || "",
+    maneuver: {
+      type,
+      modifier,
+      location: coordinates[instruction.interval?.[0]] || coordinates[0],
+      exit: instruction.exit_number || undefined,
+      instruction: instruction.text || "",
+    },
+  };
+};
+
+const graphHopperRouteUrl = (baseUrl, points, profile, calcPoints) =>
+  withQuery(
+    `${baseUrl}/route`,
+    ...points.map((p) => `point=${p.latitude},${p.longitude}`),
+    `profile=${profile}`,
+    "points_encoded=false",
+    // Instructions are always requested: via points are only visible there,
+    // and legs are split on them.
+    "instructions=true",
+    `calc_points=${calcPoints}`,
+    keyParam("key"),
+  );
+
+const graphHopperAdapter = {
+  routeRequest: (baseUrl, points, { profile, overview, steps }) => ({
+    url: graphHopperRouteUrl(
+      baseUrl,
+      points,
+      profile,
+      overview !== "false" || steps,
+    ),
+  }),
+
+  parseRoute: (data, { overview, steps }) => {
+    const path = data?.paths?.[0];
+    if (!path) return null;
+
+    const coordinates = path.points?.coordinates || [];
+    const legs = [];
+    let leg = { distance: 0, duration: 0, steps: [] };
+    (path.instructions || []).forEach((instruction, index) => {
+      leg.distance += instruction.distance || 0;
+      leg.duration += (instruction.time || 0) / 1000;
+      leg.steps.push(toGraphHopperStep(instruction, coordinates, index === 0));
+      if (GRAPHHOPPER_LEG_END_SIGNS.includes(instruction.sign)) {
+        legs.push(leg);
+        leg = { distance: 0, duration: 0, steps: [] };
+      }
+    });
+    if (leg.steps.length) legs.push(leg);
+
+    return {
+      distance: path.distance || 0,
+      duration: (path.time || 0) / 1000,
+      geometry:
+        overview === "false"
+          ? undefined
+          : { type: "LineString", coordinates },
+      legs: steps ? legs : legs.map((entry) => ({ ...entry, steps: [] })),
+    };
+  },
+
+  matrixRequest: (baseUrl, sources, destinations, { profile }) =>
+    postJson(withQuery(`${baseUrl}/matrix`, keyParam("key")), {
+      from_points: sources.map((p) => [p.longitude, p.latitude]),
+      to_points: destinations.map((p) => [p.longitude, p.latitude]),
+      out_arrays: ["times", "distances"],
+      profile,
+    }),
+
+  parseMatrix: (data) =>
+    Array.isArray(data?.times)
+      ? { durations: data.times, distances: data.distances }
+      : null,
+
+  // No snap endpoint: a zero-length route reports the snapped waypoint.
+  nearestRequest: (baseUrl, point, { profile }) => ({
+    url: graphHopperRouteUrl(baseUrl, [point, point], profile, false),
+  }),
+
+  parseNearest: (data, point) => {
+    const path = data?.paths?.[0];
+    const location = path?.snapped_waypoints?.coordinates?.[0];
+    if (!location) return null;
+    const snapped = { latitude: location[1], longitude: location[0] };
+    return {
+      ...snapped,
+      name: path.instructions?.[0]?.street_name || "",
+      distance: metersBetween(point, snapped),
+    };
+  },
+};
+
+const ADAPTERS = {
+  osrm: osrmAdapter,
+  valhalla: valhallaAdapter,
+  graphhopper: graphHopperAdapter,
+};
+
+const getProviderName = () =>
+  ADAPTERS[ROUTING_PROVIDER] ? ROUTING_PROVIDER : "osrm";
+
+/**
+ * Provider-specific profile for an app profile ("motorbike", "car",
+ * "bicycle", "foot"); defaults to the configured ROUTING_PROFILE.
+ */
+export const resolveProfile = (profile) => {
+  const key = String(profile || ROUTING_PROFILE).toLowerCase();
+  const appProfile = PROFILE_ALIASES[key] || key;
+  return PROVIDER_PROFILES[getProviderName()][appProfile] || key;
+};
+
+/**
+ * Route through two or more points, in OSRM shape.
+ * @param {Object} options - { points: [{ latitude, longitude }], profile,
+ *   overview ("full" | "false"), steps, timeoutMs, retries, retryDelayMs }
+ * @returns {Object|null} Route, or null when every server failed
+ */
+export const fetchRoute = async ({
+  points,
+  profile,
+  overview = "full",
+  steps = false,
+  timeoutMs = 10000,
+  retries = 2,
+  retryDelayMs = 700,
+}) => {
+  if (!Array.isArray(points) || points.length < 2 || points.some((p) => !p)) {
+    return null;
+  }
+
+  const adapter = ADAPTERS[getProviderName()];
+  const options = {
+    profile: resolveProfile(profile),
+    overview: String(overview),
+    steps: Boolean(steps),
+  };
+
+  return requestWithFailover(
+    (baseUrl) => adapter.routeRequest(baseUrl, points, options),
+    (data) => adapter.parseRoute(data, options),
+    { timeoutMs, retries, retryDelayMs },
+  );
+};
+
+/**
+ * Travel matrix from every source to every destination.
+ * @param {Object} options - { sources, destinations (defaults to sources),
+ *   profile, timeoutMs, retries, retryDelayMs }
+ * @returns {Object|null} { durations (seconds), distances (meters) }
+ */
+export const fetchMatrix = async ({
+  sources,
+  destinations = sources,
+  profile,
+  timeoutMs = 10000,
+  retries = 1,
+  retryDelayMs = 700,
+}) => {
+  if (!sources?.length || !destinations?.length) return null;
+
+  const adapter = ADAPTERS[getProviderName()];
+  const options = {
+    profile: resolveProfile(profile),
+    square: destinations === sources,
+  };
+
+  return requestWithFailover(
+    (baseUrl) =>
+      adapter.matrixRequest(baseUrl, sources, destinations, options),
+    (data) => adapter.parseMatrix(data),
+    { timeoutMs, retries, retryDelayMs },
+  );
+};
+
+/**
+ * Nearest routable road point.
+ * @param {Object} options - { point, profile, timeoutMs, retries }
+ * @returns {Object|null} { latitude, longitude, name, distance }
+ */
+export const fetchNearest = async ({
+  point,
+  profile,
+  timeoutMs = 8000,
+  retries = 1,
+  retryDelayMs = 700,
+}) => {
+  if (!point) return null;
+
+  const adapter = ADAPTERS[getProviderName()];
+  const options = { profile: resolveProfile(profile) };
+
+  return requestWithFailover(
+    (baseUrl) => adapter.nearestRequest(baseUrl, point, options),
+    (data) => adapter.parseNearest(data, point),
+    { timeoutMs, retries, retryDelayMs },
+  );
+};
+
+export default {
+  fetchRoute,
+  fetchMatrix,
+  fetchNearest,
+  resolveProfile,
+};
@@ -0,0 +1,51 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { normalizeSearchText } from "../utils/searchIndex";
+
+/**
+ * Recent searches on this device, newest first. Queries are de-duplicated
+ * by their normalised text so "Kottu" and "kottu " count once.
+ */
+
+const RECENT_SEARCHES_KEY = "@search:recent";
+export const MAX_RECENT_SEARCHES = 8;
+
+export async function getRecentSearches() {
+  try {
+    const raw = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function addRecentSearch(query) {
+  const text = String(query || "").trim();
+  if (text.length < 2) return getRecentSearches();
+
+  const key = normalizeSearchText(text);
+  const current = await getRecentSearches();
+  const next = [
+    text,
+    ...current.filter((entry) => normalizeSearchText(entry) !== key),
+  ].slice(0, MAX_RECENT_SEARCHES);
+
+  try {
+    await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.warn("[Search] Could not save recent search:", error?.message);
+  }
+  return next;
+}
+
+export async function removeRecentSearch(query) {
+  const current = await getRecentSearches();
+  const next = current.filter((entry) => entry !== query);
+  await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(next));
+  return next;
+}
+
+export async function clearRecentSearches() {
+  await AsyncStorage.removeItem(RECENT_SEARCHES_KEY);
+  return [];
+}
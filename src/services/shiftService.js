@@ -0,0 +1,483 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Notifications from "expo-notifications";
+import { translate } from "../i18n";
+import { apiRequest } from "../lib/apiRequest";
+import { getCurrentDriverScopedCacheKey } from "../utils/driverRequestCache";
+
+/**
+ * Driver shift booking per delivery zone. Managers set how many drivers
+ * each zone needs per time slot; drivers book slots up to that capacity.
+ * Being online when a booked shift opens checks the driver in (see
+ * watchShiftCheckIn), and the server flags a booked shift with no check-in
+ * by the end of the grace period as a no-show. Reminders before each booked
+ * shift are local notifications scheduled on the driver's device and are
+ * cancelled on logout.
+ *
+ *   slot    = { id, zone_id, zone_name, starts_at, ends_at, capacity,
+ *               booked_count, checked_in_count, is_booked, booking_id }
+ *   booking = { id, slot_id, zone_id, zone_name, starts_at, ends_at,
+ *               status, checked_in_at }
+ */
+
+export const SHIFT_STATUSES = {
+  BOOKED: "booked",
+  CHECKED_IN: "checked_in",
+  COMPLETED: "completed",
+  NO_SHOW: "no_show",
+  CANCELLED: "cancelled",
+};
+
+export const SHIFT_STATUS_LABELS = {
+  booked: "Booked",
+  checked_in: "Checked in",
+  completed: "Completed",
+  no_show: "No-show",
+  cancelled: "Cancelled",
+};
+
+// Peak hours every zone should be staffed for, in local time.
+export const PEAK_WINDOWS = [
+  { key: "lunch", label: "Lunch", start: "11:30", end: "14:00" },
+  { key: "dinner", label: "Dinner", start: "18:30", end: "21:30" },
+];
+
+export const SHIFT_REMINDER_MINUTES = [60, 15];
+export const CHECK_IN_GRACE_MINUTES = 15;
+export const BOOKING_DAYS_AHEAD = 7;
+
+const SHIFT_REMINDERS_KEY = "@driver_shift_reminders";
+const SHIFT_REMINDER_TYPE = "shift_reminder";
+const PEAK_SAMPLE_MINUTES = 30;
+const MINUTE_MS = 60 * 1000;
+const CHECK_IN_RETRY_MS = MINUTE_MS;
+// Longest single wait before the next shift is looked up again.
+const MAX_CHECK_IN_WAIT_MS = 6 * 60 * MINUTE_MS;
+
+let checkInOnline = false;
+let checkInTimer = null;
+let checkInRun = 0;
+
+// ============================================================================
+// DATES & SLOTS
+// ============================================================================
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/** Local calendar day as "YYYY-MM-DD". */
+export function toDateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** Today and the following days as { key, date } for the day picker. */
+export function getBookingDays(count = BOOKING_DAYS_AHEAD) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(today);
+    date.setDate(today.getDate() + index);
+    return { key: toDateKey(date), date };
+  });
+}
+
+const toTime = (value) => new Date(value).getTime();
+
+function atLocalTime(dateKey, hhmm) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hours, minutes] = hhmm.split(":").map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
+
+/** "11:00 – 14:00" */
+export function formatShiftTime(shift) {
+  const format = (value) =>
+    new Date(value).toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  return `${format(shift.starts_at)} – ${format(shift.ends_at)}`;
+}
+
+export function getSlotRemaining(slot) {
+  const capacity = Number(slot?.capacity) || 0;
+  return Math.max(0, capacity - (Number(slot?.booked_count) || 0));
+}
+
+export function getPeakLabel(peakKey) {
+  return PEAK_WINDOWS.find((peak) => peak.key === peakKey)?.label || peakKey;
+}
+
+/** Keys of the peak windows a slot overlaps, e.g. ["lunch"]. */
+export function getSlotPeaks(slot) {
+  const start = toTime(slot.starts_at);
+  const end = toTime(slot.ends_at);
+  const dateKey = toDateKey(slot.starts_at);
+  return PEAK_WINDOWS.filter(
+    (peak) =>
+      start < atLocalTime(dateKey, peak.end) &&
+      end > atLocalTime(dateKey, peak.start),
+  ).map((peak) => peak.key);
+}
+
+/**
+ * Staffing for each zone's lunch and dinner peaks on a day. The peak is
+ * sampled every 30 minutes; `booked` and `capacity` are the weakest sample
+ * and `gap` the most drivers missing at any point. Peaks with no slot at
+ * some point are `uncovered`.
+ * @returns {Array} [{ zoneId, zoneName, peakKey, peakLabel, booked,
+ *   capacity, gap, uncovered }] with the worst gaps first
+ */
+export function getCoverageGaps(zones, slots, dateKey) {
+  const rows = [];
+  (zones || []).forEach((zone) => {
+    const zoneSlots = (slots || []).filter(
+      (slot) => String(slot.zone_id) === String(zone.id),
+    );
+
+    PEAK_WINDOWS.forEach((peak) => {
+      const from = atLocalTime(dateKey, peak.start);
+      const to = atLocalTime(dateKey, peak.end);
+      let booked = Infinity;
+      let capacity = Infinity;
+      let gap = 0;
+      let uncovered = false;
+
+      for (let t = from; t < to; t += PEAK_SAMPLE_MINUTES * MINUTE_MS) {
+        const active = zoneSlots.filter(
+          (slot) => toTime(slot.starts_at) <= t && toTime(slot.ends_at) > t,
+        );
+        const sampleCapacity = active.reduce(
+          (sum, slot) => sum + (Number(slot.capacity) || 0),
+          0,
+        );
+        const sampleBooked = active.reduce(
+          (sum, slot) => sum + (Number(slot.booked_count) || 0),
+          0,
+        );
+        if (sampleCapacity === 0) uncovered = true;
+        booked = Math.min(booked, sampleBooked);
+        capacity = Math.min(capacity, sampleCapacity);
+        gap = Math.max(gap, sampleCapacity - sampleBooked);
+      }
+
+      rows.push({
+        zoneId: zone.id,
+        zoneName: zone.name,
+        peakKey: peak.key,
+        peakLabel: peak.label,
+        booked: Number.isFinite(booked) ? booked : 0,
+        capacity: Number.isFinite(capacity) ? capacity : 0,
+        gap,
+        uncovered,
+      });
+    });
+  });
+
+  return rows.sort(
+    (a, b) => Number(b.uncovered) - Number(a.uncovered) || b.gap - a.gap,
+  );
+}
+
+/** Slot times for a peak on a day, used when a manager fills a gap. */
+export function getPeakSlotTimes(peakKey, dateKey) {
+  const peak = PEAK_WINDOWS.find((entry) => entry.key === peakKey);
+  if (!peak) return null;
+  return {
+    starts_at: new Date(atLocalTime(dateKey, peak.start)).toISOString(),
+    ends_at: new Date(atLocalTime(dateKey, peak.end)).toISOString(),
+  };
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+const shiftRequest = (path, options = {}) =>
+  apiRequest(path, { errorMessage: "Shift request failed", ...options });
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Zones, bookable slots and the driver's own bookings between two days.
+ * @returns {Promise<Object>} { zones, slots, bookings }
+ */
+export async function fetchShiftCalendar({ from, to }) {
+  const data = await shiftRequest(`/driver/shifts?from=${from}&to=${to}`);
+  return {
+    zones: asList(data?.zones),
+    slots: asList(data?.slots),
+    bookings: asList(data?.bookings),
+  };
+}
+
+/** The driver's upcoming bookings and recent no-shows. */
+export async function fetchMyShiftBookings() {
+  const data = await shiftRequest("/driver/shifts/bookings");
+  return asList(data?.bookings);
+}
+
+export async function bookShiftSlot(slotId) {
+  const data = await shiftRequest(`/driver/shifts/slots/${slotId}/book`, {
+    method: "POST",
+  });
+  if (checkInOnline) watchShiftCheckIn(true);
+  return data?.booking || null;
+}
+
+export async function cancelShiftBooking(bookingId) {
+  await shiftRequest(`/driver/shifts/bookings/${bookingId}`, {
+    method: "DELETE",
+  });
+  await cancelReminders(bookingId);
+  if (checkInOnline) watchShiftCheckIn(true);
+}
+
+/** Booking the driver should be working right now, if any. */
+export function findCurrentShift(bookings, now = Date.now()) {
+  return (
+    asList(bookings).find(
+      (booking) =>
+        booking.status === SHIFT_STATUSES.BOOKED &&
+        toTime(booking.starts_at) - CHECK_IN_GRACE_MINUTES * MINUTE_MS <= now &&
+        toTime(booking.ends_at) > now,
+    ) || null
+  );
+}
+
+function checkIn(booking) {
+  return shiftRequest(`/driver/shifts/bookings/${booking.id}/check-in`, {
+    method: "POST",
+  });
+}
+
+function clearCheckInTimer() {
+  if (checkInTimer) clearTimeout(checkInTimer);
+  checkInTimer = null;
+}
+
+/**
+ * Follow the driver's online state. Going online checks in to the shift
+ * that is open now, and while online each later booked shift is checked in
+ * as its check-in window opens. Fed by the app-wide online state rather
+ * than a screen, so it keeps working whichever screen is open.
+ * @param {boolean} online
+ */
+export async function watchShiftCheckIn(online) {
+  checkInOnline = Boolean(online);
+  checkInRun += 1;
+  const run = checkInRun;
+  clearCheckInTimer();
+  if (!checkInOnline) return;
+
+  const schedule = (delayMs) => {
+    if (run !== checkInRun) return;
+    checkInTimer = setTimeout(
+      () => watchShiftCheckIn(true),
+      Math.min(Math.max(delayMs, 0), MAX_CHECK_IN_WAIT_MS),
+    );
+  };
+
+  let bookings;
+  try {
+    bookings = await fetchMyShiftBookings();
+  } catch (error) {
+    if (error?.message === "Not signed in") return;
+    schedule(CHECK_IN_RETRY_MS);
+    return;
+  }
+  if (run !== checkInRun) return;
+
+  const current = findCurrentShift(bookings);
+  if (current) {
+    try {
+      await checkIn(current);
+    } catch (error) {
+      console.warn("[Shifts] Check-in failed:", error?.message);
+      schedule(CHECK_IN_RETRY_MS);
+      return;
+    }
+  }
+
+  const now = Date.now();
+  const opensAt = asList(bookings)
+    .filter(
+      (booking) =>
+        booking.status === SHIFT_STATUSES.BOOKED && booking !== current,
+    )
+    .map(
+      (booking) =>
+        toTime(booking.starts_at) - CHECK_IN_GRACE_MINUTES * MINUTE_MS,
+    )
+    .filter((time) => time > now)
+    .sort((a, b) => a - b)[0];
+  if (opensAt) schedule(opensAt - now + 1000);
+}
+
+/**
+ * Coverage for a day across all zones, for the manager view.
+ * @returns {Promise<Object>} { zones, slots, noShows }
+ */
+export async function fetchShiftCoverage(dateKey) {
+  const data = await shiftRequest(`/manager/shifts/coverage?date=${dateKey}`);
+  return {
+    zones: asList(data?.zones),
+    slots: asList(data?.slots),
+    noShows: asList(data?.no_shows),
+  };
+}
+
+export async function createShiftSlot({ zoneId, startsAt, endsAt, capacity }) {
+  const data = await shiftRequest("/manager/shifts/slots", {
+    method: "POST",
+    body: JSON.stringify({
+      zone_id: zoneId,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      capacity: Math.max(1, Number(capacity) || 1),
+    }),
+  });
+  return data?.slot || null;
+}
+
+/** Capacity cannot drop below the drivers already booked. */
+export async function updateSlotCapacity(slotId, capacity) {
+  const data = await shiftRequest(`/manager/shifts/slots/${slotId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ capacity: Math.max(0, Number(capacity) || 0) }),
+  });
+  return data?.slot || null;
+}
+
+// ============================================================================
+// REMINDERS
+// ============================================================================
+
+const getRemindersKey = () =>
+  getCurrentDriverScopedCacheKey(SHIFT_REMINDERS_KEY);
+
+async function readReminders() {
+  try {
+    const raw = await AsyncStorage.getItem(await getRemindersKey());
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeReminders(reminders) {
+  try {
+    await AsyncStorage.setItem(
+      await getRemindersKey(),
+      JSON.stringify(reminders),
+    );
+  } catch {
+    // Ignore reminder bookkeeping errors.
+  }
+}
+
+async function cancelReminders(bookingId) {
+  const reminders = await readReminders();
+  const ids = reminders[bookingId] || [];
+  await Promise.all(
+    ids.map((id) =>
+      Notifications.cancelScheduledNotificationAsync(id).catch(() => {}),
+    ),
+  );
+  delete reminders[bookingId];
+  await writeReminders(reminders);
+}
+
+async function scheduleReminders(booking) {
+  const startsAt = toTime(booking.starts_at);
+  const where = booking.zone_name || translate("shifts.reminderZoneFallback");
+  const ids = [];
+  for (const minutes of SHIFT_REMINDER_MINUTES) {
+    const fireAt = startsAt - minutes * MINUTE_MS;
+    if (fireAt <= Date.now()) continue;
+    const lead =
+      minutes >= 60
+        ? translate("eta.hours", { count: minutes / 60 })
+        : translate("eta.minutes", { count: minutes });
+    try {
+      ids.push(
+        await Notifications.scheduleNotificationAsync({
+          content: {
+            title: translate("shifts.reminderTitle", { lead }),
+            body: translate("shifts.reminderBody", {
+              zone: where,
+              time: formatShiftTime(booking),
+              minutes: CHECK_IN_GRACE_MINUTES,
+            }),
+            data: { type: SHIFT_REMINDER_TYPE, bookingId: booking.id },
+            sound: true,
+          },
+          trigger: { type: "date", date: new Date(fireAt) },
+        }),
+      );
+    } catch (error) {
+      console.warn("[Shifts] Could not schedule reminder:", error?.message);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Keep one set of local reminders per upcoming booked shift. Reminders for
+ * cancelled or past shifts are removed.
+ * @param {Array} [bookings] - defaults to the driver's bookings from the API
+ */
+export async function syncShiftReminders(bookings) {
+  const list = bookings || (await fetchMyShiftBookings());
+  const reminders = await readReminders();
+  const upcoming = new Map(
+    asList(list)
+      .filter(
+        (booking) =>
+          booking.status === SHIFT_STATUSES.BOOKED &&
+          toTime(booking.starts_at) > Date.now(),
+      )
+      .map((booking) => [String(booking.id), booking]),
+  );
+
+  const next = {};
+  for (const [bookingId, ids] of Object.entries(reminders)) {
+    if (upcoming.has(bookingId)) {
+      next[bookingId] = ids;
+      continue;
+    }
+    await Promise.all(
+      asList(ids).map((id) =>
+        Notifications.cancelScheduledNotificationAsync(id).catch(() => {}),
+      ),
+    );
+  }
+  for (const [bookingId, booking] of upcoming) {
+    if (!next[bookingId]) next[bookingId] = await scheduleReminders(booking);
+  }
+  await writeReminders(next);
+  return next;
+}
+
+/**
+ * Cancel every scheduled shift reminder and stop checking in, on logout.
+ * Reminders are found through expo-notifications rather than storage, so
+ * this still works after the session's storage has been wiped.
+ */
+export async function clearShiftSession() {
+  watchShiftCheckIn(false);
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(
+      scheduled
+        .filter((entry) => entry?.content?.data?.type === SHIFT_REMINDER_TYPE)
+        .map((entry) =>
+          Notifications.cancelScheduledNotificationAsync(
+            entry.identifier,
+          ).catch(() => {}),
+        ),
+    );
+  } catch (error) {
+    console.warn("[Shifts] Could not cancel reminders:", error?.message);
+  }
+}
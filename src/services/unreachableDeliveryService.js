@@ -0,0 +1,177 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { API_BASE_URL } from "../constants/api";
+import { getAccessToken } from "../lib/authStorage";
+import { openPhone } from "../platform/linking";
+import { approximateDistanceMeters } from "../utils/osrmClient";
+import { submitDriverAction } from "./driverActionQueue";
+
+/**
+ * "Arrived – customer unreachable" workflow. The driver flags the delivery
+ * (the server pushes a notification to the customer), waits out the
+ * configured timer while calling, and can then mark it undeliverable with a
+ * photo and GPS fix. Undeliverable orders land in the manager's pending
+ * deliveries for resolution.
+ *
+ * Status changes go through the driver action queue so they survive a weak
+ * connection. The timer start and call count are also kept on the device:
+ *
+ *   cases = { [deliveryId]: { startedAt, callAttempts } }
+ */
+
+export const UNREACHABLE_STATUS = "customer_unreachable";
+export const UNDELIVERABLE_STATUS = "undeliverable";
+export const DEFAULT_UNREACHABLE_WAIT_MINUTES = 10;
+// How close to the drop-off the driver must be to count as arrived.
+export const ARRIVAL_RADIUS_METERS = 150;
+
+const UNREACHABLE_CASES_KEY = "@driver_unreachable_cases";
+
+async function readCases() {
+  try {
+    const raw = await AsyncStorage.getItem(UNREACHABLE_CASES_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeCases(cases) {
+  try {
+    await AsyncStorage.setItem(UNREACHABLE_CASES_KEY, JSON.stringify(cases));
+  } catch {
+    // Ignore case write errors; the server keeps its own copy.
+  }
+}
+
+async function updateCase(deliveryId, updater) {
+  const id = String(deliveryId);
+  const cases = await readCases();
+  const next = updater(cases[id] || null);
+  if (next) cases[id] = next;
+  else delete cases[id];
+  await writeCases(cases);
+  return next;
+}
+
+function toLocationPayload(location) {
+  return {
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    accuracy: location?.accuracy ?? null,
+  };
+}
+
+export function getUnreachableWaitMs(delivery) {
+  const minutes = Number(delivery?.unreachable_wait_minutes);
+  return (
+    (Number.isFinite(minutes) && minutes > 0
+      ? minutes
+      : DEFAULT_UNREACHABLE_WAIT_MINUTES) * 60000
+  );
+}
+
+/**
+ * Whether the driver is at the drop-off: the delivery is already marked
+ * at_customer (or unreachable), or the driver is within
+ * ARRIVAL_RADIUS_METERS of the customer.
+ */
+export function hasArrivedAtDropoff(delivery, driverLocation) {
+  if (["at_customer", UNREACHABLE_STATUS].includes(delivery?.status)) {
+    return true;
+  }
+  return (
+    approximateDistanceMeters(driverLocation, delivery?.customer) <=
+    ARRIVAL_RADIUS_METERS
+  );
+}
+
+/**
+ * Local case for a delivery, filled in from the server fields when the
+ * case was started on another device or before a reinstall.
+ * @returns {Promise<Object|null>} { startedAt, callAttempts } or null
+ */
+export async function getUnreachableCase(delivery) {
+  const id = String(delivery?.delivery_id || "");
+  if (!id) return null;
+  const local = (await readCases())[id] || null;
+  const serverStartedAt = delivery?.unreachable_since
+    ? new Date(delivery.unreachable_since).getTime()
+    : null;
+
+  if (!local && !serverStartedAt && delivery?.status !== UNREACHABLE_STATUS) {
+    return null;
+  }
+  return {
+    startedAt: local?.startedAt || serverStartedAt || Date.now(),
+    callAttempts: Math.max(
+      local?.callAttempts || 0,
+      Number(delivery?.call_attempts) || 0,
+    ),
+  };
+}
+
+export async function startUnreachableCase(delivery, location) {
+  const result = await submitDriverAction({
+    type: "status",
+    deliveryId: delivery.delivery_id,
+    payload: { status: UNREACHABLE_STATUS, ...toLocationPayload(location) },
+  });
+  if (!result.ok) {
+    throw new Error(result.message || "Could not flag the customer");
+  }
+  return updateCase(delivery.delivery_id, (current) => ({
+    startedAt: current?.startedAt || Date.now(),
+    callAttempts: current?.callAttempts || 0,
+  }));
+}
+
+/**
+ * Count a call attempt and open the dialer. Logging is best effort: a
+ * failed log must never stop the driver from calling.
+ */
+export async function callUnreachableCustomer(delivery, phone) {
+  const next = await updateCase(delivery.delivery_id, (current) => ({
+    startedAt: current?.startedAt || Date.now(),
+    callAttempts: (current?.callAttempts || 0) + 1,
+  }));
+
+  const url = `${API_BASE_URL}/driver/deliveries/${delivery.delivery_id}`;
+  getAccessToken()
+    .then((token) =>
+      fetch(`${url}/call-attempts`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ attempted_at: new Date().toISOString() }),
+      }),
+    )
+    .catch(() => {});
+
+  if (phone) await openPhone(phone);
+  return next;
+}
+
+export async function markUndeliverable(delivery, { proofUrl, location }) {
+  const unreachableCase = await getUnreachableCase(delivery);
+  const result = await submitDriverAction({
+    type: "status",
+    deliveryId: delivery.delivery_id,
+    payload: {
+      status: UNDELIVERABLE_STATUS,
+      proof_url: proofUrl,
+      call_attempts: unreachableCase?.callAttempts || 0,
+      waited_seconds: unreachableCase
+        ? Math.round((Date.now() - unreachableCase.startedAt) / 1000)
+        : 0,
+      ...toLocationPayload(location),
+    },
+  });
+  if (!result.ok) {
+    throw new Error(result.message || "Could not mark as undeliverable");
+  }
+  await updateCase(delivery.delivery_id, () => null);
+  return result;
+}
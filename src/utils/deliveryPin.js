@@ -0,0 +1,56 @@
+/**
+ * Delivery PIN handshake. When the operations config requires it for an
+ * order, the customer sees `order.delivery_pin` while the driver is on the
+ * way and the driver only sees `delivery.requires_delivery_pin`. The
+ * driver sends the PIN the customer reads out with the "delivered" status;
+ * the server checks it.
+ *
+ * If the customer can't be reached the driver may deliver without the PIN
+ * by sending `handover_fallback: { reason, proof_url }` instead. A photo
+ * still waiting in the offline queue is sent as `proof_action_id` (the
+ * `client_action_id` of its upload) so the server can attach it later.
+ */
+
+export const DELIVERY_PIN_LENGTH = 4;
+
+export const PIN_FALLBACK_REASONS = [
+  { key: "no_answer" },
+  { key: "left_at_door" },
+  { key: "handed_to_other" },
+  { key: "pin_unknown" },
+];
+
+export function requiresDeliveryPin(delivery) {
+  return Boolean(
+    delivery?.requires_delivery_pin || delivery?.delivery_pin_required,
+  );
+}
+
+/** Digits only, cut to the PIN length. */
+export function sanitizeDeliveryPin(value) {
+  return String(value || "")
+    .replace(/\D/g, "")
+    .slice(0, DELIVERY_PIN_LENGTH);
+}
+
+export function isCompleteDeliveryPin(value) {
+  return sanitizeDeliveryPin(value).length === DELIVERY_PIN_LENGTH;
+}
+
+/**
+ * Extra fields for the "delivered" status update.
+ * @param {Object} handover - { pin } or
+ *   { fallback: { reason, proofUrl, proofActionId } }
+ */
+export function toHandoverPayload(handover) {
+  if (!handover) return {};
+  if (handover.fallback) {
+    const { reason, proofUrl, proofActionId } = handover.fallback;
+    return {
+      handover_fallback: proofActionId
+        ? { reason, proof_action_id: proofActionId }
+        : { reason, proof_url: proofUrl || null },
+    };
+  }
+  return { delivery_pin: sanitizeDeliveryPin(handover.pin) };
+}
@@ -0,0 +1,195 @@
+/**
+ * Scheduled ("Deliver later") orders. Checkout builds the selectable slots
+ * from the restaurant opening hours and the cart foods' menu windows; the
+ * order lists use the release helpers to keep pre-orders out of the normal
+ * flow until shortly before the slot. The server should withhold unreleased
+ * orders from drivers too; the driver app checks release wherever an offer
+ * surfaces (lists, popups, pushes and accepts) as a fallback.
+ *
+ *   order.scheduled_for = ISO timestamp of the requested delivery slot
+ */
+
+import { formatDate, formatTime, translate } from "../i18n";
+import { isOpenBySchedule } from "./restaurantHours";
+
+export const SLOT_INTERVAL_MINUTES = 30;
+// Earliest slot offered is at least this far from now.
+export const MIN_SCHEDULE_LEAD_MINUTES = 45;
+export const MAX_SCHEDULE_DAYS_AHEAD = 3;
+// Drivers only see a scheduled order this long before its slot.
+export const DRIVER_RELEASE_LEAD_MINUTES = 30;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Mirrors the manager system-config defaults (decimal hours).
+export const DEFAULT_MENU_HOURS = {
+  breakfast: { start: 5.0, end: 11.98 },
+  lunch: { start: 12.01, end: 18.0 },
+  dinner: { start: 18.0, end: 5.0 },
+};
+
+const toDecimalHour = (value, fallback) => {
+  const n = Number.parseFloat(value);
+  return Number.isFinite(n) && n >= 0 && n < 24 ? n : fallback;
+};
+
+/** Read menu windows from the restaurant_{meal}_{start|end} config keys. */
+export function normalizeMenuHours(config = {}) {
+  const hours = {};
+  Object.keys(DEFAULT_MENU_HOURS).forEach((meal) => {
+    hours[meal] = {
+      start: toDecimalHour(
+        config?.[`restaurant_${meal}_start`] ?? config?.menu_hours?.[meal]?.start,
+        DEFAULT_MENU_HOURS[meal].start,
+      ),
+      end: toDecimalHour(
+        config?.[`restaurant_${meal}_end`] ?? config?.menu_hours?.[meal]?.end,
+        DEFAULT_MENU_HOURS[meal].end,
+      ),
+    };
+  });
+  return hours;
+}
+
+/** Inclusive window check that also handles overnight ranges (22:00-02:00). */
+export function isWithinDailyWindow(minuteOfDay, startMinute, endMinute) {
+  if (startMinute == null || endMinute == null) return true;
+  if (startMinute === endMinute) return true;
+  if (startMinute < endMinute) {
+    return minuteOfDay >= startMinute && minuteOfDay <= endMinute;
+  }
+  return minuteOfDay >= startMinute || minuteOfDay <= endMinute;
+}
+
+const getItemAvailableTimes = (item) => {
+  const times = item?.available_time ?? item?.food?.available_time;
+  return Array.isArray(times) ? times : [];
+};
+
+const isItemServedAt = (item, minuteOfDay, menuHours) => {
+  const meals = getItemAvailableTimes(item);
+  // Items without menu windows are served whenever the restaurant is open.
+  if (meals.length === 0) return true;
+  return meals.some((meal) => {
+    const window = menuHours[meal];
+    if (!window) return false;
+    return isWithinDailyWindow(
+      minuteOfDay,
+      Math.round(window.start * 60),
+      Math.round(window.end * 60),
+    );
+  });
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const formatDayLabel = (date, now) => {
+  const dayDiff = Math.round(
+    (startOfDay(date).getTime() - startOfDay(now).getTime()) / 86400000,
+  );
+  if (dayDiff === 0) return translate("checkout.today");
+  if (dayDiff === 1) return translate("checkout.tomorrow");
+  return formatDate(date, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+/**
+ * Future delivery slots for a cart, grouped by day:
+ *   [{ key, label, slots: [{ value, label }] }]
+ * A slot is offered only when the restaurant's weekly hours (and closures)
+ * have it open and every item in the cart is on the menu at that time.
+ */
+export function buildScheduleSlots({
+  restaurant,
+  items = [],
+  menuHours = DEFAULT_MENU_HOURS,
+  now = new Date(),
+} = {}) {
+  const intervalMs = SLOT_INTERVAL_MINUTES * 60000;
+  const earliest = Math.ceil(
+    (now.getTime() + MIN_SCHEDULE_LEAD_MINUTES * 60000) / intervalMs,
+  ) * intervalMs;
+
+  const days = [];
+  for (let offset = 0; offset < MAX_SCHEDULE_DAYS_AHEAD; offset += 1) {
+    const day = startOfDay(now);
+    day.setDate(day.getDate() + offset);
+
+    const slots = [];
+    for (
+      let minute = 0;
+      minute < MINUTES_PER_DAY;
+      minute += SLOT_INTERVAL_MINUTES
+    ) {
+      const slot = new Date(day);
+      slot.setMinutes(minute);
+      if (slot.getTime() < earliest) continue;
+      if (!isOpenBySchedule(restaurant, slot)) continue;
+      if (!items.every((item) => isItemServedAt(item, minute, menuHours))) {
+        continue;
+      }
+      slots.push({ value: slot.toISOString(), label: formatTime(slot) });
+    }
+
+    if (slots.length > 0) {
+      days.push({
+        key: day.toISOString(),
+        label: formatDayLabel(day, now),
+        slots,
+      });
+    }
+  }
+  return days;
+}
+
+/** True when the chosen slot is still one checkout would offer. */
+export function isScheduleSlotValid(value, options = {}) {
+  if (!value) return false;
+  return buildScheduleSlots(options).some((day) =>
+    day.slots.some((slot) => slot.value === value),
+  );
+}
+
+export function getScheduledFor(orderLike) {
+  const raw =
+    orderLike?.scheduled_for ??
+    orderLike?.order?.scheduled_for ??
+    orderLike?.orders?.scheduled_for;
+  if (!raw) return null;
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function isScheduledOrder(orderLike) {
+  return getScheduledFor(orderLike) !== null;
+}
+
+/**
+ * Scheduled orders are held back until DRIVER_RELEASE_LEAD_MINUTES before
+ * their slot; "now" orders are always released.
+ */
+export function isScheduledOrderReleased(orderLike, now = Date.now()) {
+  const scheduledFor = getScheduledFor(orderLike);
+  if (!scheduledFor) return true;
+  return (
+    scheduledFor.getTime() - DRIVER_RELEASE_LEAD_MINUTES * 60000 <=
+    Number(now)
+  );
+}
+
+/** "Tomorrow, 7:30 PM" */
+export function formatScheduledSlot(value, now = new Date()) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return translate("checkout.slot", {
+    day: formatDayLabel(date, now),
+    time: formatTime(date),
+  });
+}
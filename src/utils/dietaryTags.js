@@ -0,0 +1,191 @@
+/**
+ * Dietary and allergen tags on foods, from a fixed vocabulary so admins,
+ * badges and customer filters all agree on the same keys:
+ *
+ *   food.dietary_tags = ["vegetarian", "halal"]
+ *   food.spice_level  = 0 | 1 | 2 | 3 | null (not set)
+ *   food.allergens    = ["nuts", "dairy"]
+ *
+ * Customer preferences are stored per user on the device:
+ *
+ *   prefs = { diets: ["vegetarian"], avoidAllergens: ["nuts"],
+ *             maxSpiceLevel: 1 | null }
+ *
+ * The `label` fields are the English names used by the admin editor;
+ * customer-facing text goes through the `dietary` translations.
+ */
+
+import { translate } from "../i18n";
+
+export const DIETARY_TAGS = [
+  { key: "vegetarian", label: "Vegetarian", short: "Veg" },
+  { key: "vegan", label: "Vegan", short: "Vegan" },
+  { key: "halal", label: "Halal", short: "Halal" },
+  { key: "gluten_free", label: "Gluten-free", short: "GF" },
+];
+
+export const SPICE_LEVELS = [
+  { value: 0, label: "Not spicy" },
+  { value: 1, label: "Mild" },
+  { value: 2, label: "Medium" },
+  { value: 3, label: "Hot" },
+];
+
+export const ALLERGENS = [
+  { key: "nuts", label: "Nuts" },
+  { key: "dairy", label: "Dairy" },
+  { key: "egg", label: "Egg" },
+  { key: "gluten", label: "Gluten" },
+  { key: "seafood", label: "Seafood" },
+  { key: "soy", label: "Soy" },
+  { key: "sesame", label: "Sesame" },
+];
+
+export const EMPTY_DIETARY_PREFERENCES = {
+  diets: [],
+  avoidAllergens: [],
+  maxSpiceLevel: null,
+};
+
+export const DIETARY_PREFERENCES_CHANGED_EVENT = "dietary:changed";
+
+const DIET_KEYS = new Set(DIETARY_TAGS.map((tag) => tag.key));
+const ALLERGEN_KEYS = new Set(ALLERGENS.map((allergen) => allergen.key));
+
+// A vegan dish also satisfies a vegetarian customer.
+const DIET_SATISFIED_BY = {
+  vegetarian: ["vegetarian", "vegan"],
+};
+
+const toKeyList = (value, allowed) => {
+  const list = Array.isArray(value) ? value : [];
+  return Array.from(
+    new Set(
+      list
+        .map((entry) => String(entry || "").trim().toLowerCase())
+        .filter((entry) => allowed.has(entry)),
+    ),
+  );
+};
+
+const toSpiceLevel = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const level = Math.round(Number(value));
+  if (!Number.isFinite(level)) return null;
+  return Math.min(3, Math.max(0, level));
+};
+
+export const getDietaryTagLabel = (key, { short = false } = {}) =>
+  translate(`dietary.${short ? "short" : "tags"}.${key}`);
+
+export const getAllergenLabel = (key) => translate(`dietary.allergens.${key}`);
+
+export const getSpiceLevelLabel = (value) =>
+  translate(`dietary.spice.${value}`);
+
+/** Tags of a food, with anything outside the vocabulary dropped. */
+export function normalizeFoodDietary(food) {
+  return {
+    dietaryTags: toKeyList(food?.dietary_tags, DIET_KEYS),
+    spiceLevel: toSpiceLevel(food?.spice_level),
+    allergens: toKeyList(food?.allergens, ALLERGEN_KEYS),
+  };
+}
+
+/** Payload fields for POST/PUT /admin/foods. */
+export function toDietaryPayload({ dietaryTags, spiceLevel, allergens }) {
+  return {
+    dietary_tags: toKeyList(dietaryTags, DIET_KEYS),
+    spice_level: toSpiceLevel(spiceLevel),
+    allergens: toKeyList(allergens, ALLERGEN_KEYS),
+  };
+}
+
+export function normalizeDietaryPreferences(prefs) {
+  return {
+    diets: toKeyList(prefs?.diets, DIET_KEYS),
+    avoidAllergens: toKeyList(prefs?.avoidAllergens, ALLERGEN_KEYS),
+    maxSpiceLevel: toSpiceLevel(prefs?.maxSpiceLevel),
+  };
+}
+
+export function hasDietaryPreferences(prefs) {
+  const normalized = normalizeDietaryPreferences(prefs);
+  return (
+    normalized.diets.length > 0 ||
+    normalized.avoidAllergens.length > 0 ||
+    normalized.maxSpiceLevel !== null
+  );
+}
+
+/**
+ * Badges to show on a food card, diet tags first.
+ * @returns {Array} [{ key, label, type: "diet" | "spice" | "allergen" }]
+ */
+export function getFoodDietaryBadges(food, { short = false } = {}) {
+  const { dietaryTags, spiceLevel, allergens } = normalizeFoodDietary(food);
+  const badges = dietaryTags.map((key) => ({
+    key,
+    label: getDietaryTagLabel(key, { short }),
+    type: "diet",
+  }));
+
+  if (spiceLevel) {
+    badges.push({
+      key: `spice-${spiceLevel}`,
+      label: "🌶".repeat(spiceLevel),
+      type: "spice",
+    });
+  }
+
+  allergens.forEach((key) => {
+    badges.push({ key, label: getAllergenLabel(key), type: "allergen" });
+  });
+
+  return badges;
+}
+
+/**
+ * Why a food does not fit the customer's preferences. Diets are strict: a
+ * food that is not tagged for the diet conflicts with it.
+ * @returns {string[]} e.g. ["Not marked Halal", "Contains Nuts"]
+ */
+export function getDietaryConflicts(food, prefs) {
+  const { diets, avoidAllergens, maxSpiceLevel } =
+    normalizeDietaryPreferences(prefs);
+  if (!diets.length && !avoidAllergens.length && maxSpiceLevel === null) {
+    return [];
+  }
+
+  const { dietaryTags, spiceLevel, allergens } = normalizeFoodDietary(food);
+  const conflicts = [];
+
+  diets.forEach((diet) => {
+    const accepted = DIET_SATISFIED_BY[diet] || [diet];
+    if (!accepted.some((key) => dietaryTags.includes(key))) {
+      conflicts.push(
+        translate("dietary.notMarked", { diet: getDietaryTagLabel(diet) }),
+      );
+    }
+  });
+
+  avoidAllergens.forEach((key) => {
+    if (allergens.includes(key)) {
+      conflicts.push(
+        translate("dietary.contains", { allergen: getAllergenLabel(key) }),
+      );
+    }
+  });
+
+  if (
+    maxSpiceLevel !== null &&
+    spiceLevel !== null &&
+    spiceLevel > maxSpiceLevel
+  ) {
+    conflicts.push(
+      translate("dietary.tooSpicy", { level: getSpiceLevelLabel(spiceLevel) }),
+    );
+  }
+
+  return conflicts;
+}
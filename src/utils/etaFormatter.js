@@ -1,29 +1,33 @@
 /**
  * ETA Formatter Utility
- * Formats estimated time of arrival for display
+ * Formats estimated time of arrival for display in the active locale
  */
 
+import { formatTime, translate } from '../i18n';
+
 /**
  * Format minutes into a human-readable ETA string
  * @param {number} minutes - ETA in minutes
  * @returns {string} Formatted ETA string
  */
 export const formatETA = (minutes) => {
-  if (!minutes || minutes <= 0) return 'Arriving soon';
+  if (!minutes || minutes <= 0) return translate('eta.arrivingSoon');
 
-  if (minutes < 1) return 'Less than a minute';
+  if (minutes < 1) return translate('eta.lessThanMinute');
   if (minutes < 60) {
-    const rounded = Math.round(minutes);
-    return `${rounded} min${rounded !== 1 ? 's' : ''}`;
+    return translate('eta.minutes', { count: Math.round(minutes) });
   }
 
   const hours = Math.floor(minutes / 60);
   const remainingMins = Math.round(minutes % 60);
 
   if (remainingMins === 0) {
-    return `${hours} hr${hours !== 1 ? 's' : ''}`;
+    return translate('eta.hours', { count: hours });
   }
-  return `${hours} hr${hours !== 1 ? 's' : ''} ${remainingMins} min${remainingMins !== 1 ? 's' : ''}`;
+  return translate('eta.hoursAndMinutes', {
+    hours: translate('eta.hours', { count: hours }),
+    minutes: translate('eta.minutes', { count: remainingMins }),
+  });
 };
 
 /**
@@ -37,14 +41,16 @@ export const formatRelativeTime = (timestamp) => {
   const diffMs = now - time;
   const diffMins = Math.floor(diffMs / 60000);
 
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffMins < 1) return translate('time.justNow');
+  if (diffMins < 60) return translate('time.minutesAgo', { count: diffMins });
 
   const diffHours = Math.floor(diffMins / 60);
-  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffHours < 24) {
+    return translate('time.hoursAgo', { count: diffHours });
+  }
 
   const diffDays = Math.floor(diffHours / 24);
-  return `${diffDays}d ago`;
+  return translate('time.daysAgo', { count: diffDays });
 };
 
 /**
@@ -65,9 +71,10 @@ export const calculateETAFromDistance = (distanceKm, avgSpeedKmh = 30) => {
  * @returns {string}
  */
 export const formatETARange = (minMinutes, maxMinutes) => {
-  const min = Math.round(minMinutes);
-  const max = Math.round(maxMinutes);
-  return `${min}-${max} mins`;
+  return translate('eta.range', {
+    min: Math.round(minMinutes),
+    max: Math.round(maxMinutes),
+  });
 };
 
 /**
@@ -83,18 +90,14 @@ export const formatETAClockTime = (etaRangeMin, etaRangeMax, options = {}) => {
   const arriveEarly = new Date(now.getTime() + etaRangeMin * 60000);
   const arriveLate = new Date(now.getTime() + etaRangeMax * 60000);
 
-  const fmt = (d) =>
-    d.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-    });
-
   if (etaRangeMin === etaRangeMax || options.isOnTheWay) {
-    return fmt(arriveEarly);
+    return formatTime(arriveEarly);
   }
 
-  return `${fmt(arriveEarly)} - ${fmt(arriveLate)}`;
+  return translate('eta.clockRange', {
+    start: formatTime(arriveEarly),
+    end: formatTime(arriveLate),
+  });
 };
 
 export default {
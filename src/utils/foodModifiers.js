@@ -0,0 +1,215 @@
+/**
+ * Modifier groups ("Choose spice level", "Extra cheese +Rs.80") attached to
+ * foods. Shared by the admin product form, FoodDetailScreen, cart/checkout
+ * price math and the admin order views so every screen reads the same shape:
+ *
+ *   food.modifier_groups = [{
+ *     id, name, required, min_select, max_select,
+ *     options: [{ id, name, price, is_available }],
+ *   }]
+ *
+ *   cartItem.modifiers = [{ group_id, group_name, option_id, option_name, price }]
+ */
+
+import { translate } from "../i18n";
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+let localIdCounter = 0;
+export const createModifierLocalId = (prefix = "mod") => {
+  localIdCounter += 1;
+  return `${prefix}_${Date.now().toString(36)}_${localIdCounter}`;
+};
+
+export function normalizeModifierGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+
+  return groups
+    .map((group) => {
+      const options = Array.isArray(group?.options)
+        ? group.options
+            .map((option) => ({
+              id: String(option?.id ?? ""),
+              name: String(option?.name || "").trim(),
+              price: Math.max(0, toNumber(option?.price)),
+              is_available: option?.is_available !== false,
+            }))
+            .filter((option) => option.id && option.name)
+        : [];
+
+      const required = Boolean(group?.required);
+      const minSelect = Math.max(
+        required ? 1 : 0,
+        Math.floor(toNumber(group?.min_select, required ? 1 : 0)),
+      );
+      const maxSelect = Math.max(
+        minSelect || 1,
+        Math.floor(toNumber(group?.max_select, 1)),
+      );
+
+      return {
+        id: String(group?.id ?? ""),
+        name: String(group?.name || "").trim(),
+        required: required || minSelect > 0,
+        min_select: minSelect,
+        max_select: Math.min(maxSelect, Math.max(options.length, 1)),
+        options,
+      };
+    })
+    .filter((group) => group.id && group.name && group.options.length > 0);
+}
+
+/**
+ * Validate groups typed into the admin product form. Returns an error
+ * message or "" when the definition can be saved.
+ */
+export function validateModifierGroupsDefinition(groups) {
+  for (const group of Array.isArray(groups) ? groups : []) {
+    const label = String(group?.name || "").trim();
+    if (!label) return "Every add-on group needs a name";
+
+    const options = Array.isArray(group?.options) ? group.options : [];
+    if (options.length === 0) return `Add at least one option to "${label}"`;
+
+    for (const option of options) {
+      if (!String(option?.name || "").trim()) {
+        return `Every option in "${label}" needs a name`;
+      }
+      const price = String(option?.price ?? "").trim();
+      if (price && (!Number.isFinite(Number(price)) || Number(price) < 0)) {
+        return `Enter a valid price for "${option.name}"`;
+      }
+    }
+
+    const min = toNumber(group?.min_select, 0);
+    const max = toNumber(group?.max_select, 1);
+    if (min < 0 || max < 1 || min > max) {
+      return `Check the min / max selections for "${label}"`;
+    }
+    if (min > options.length) {
+      return `"${label}" asks for more selections than it has options`;
+    }
+  }
+  return "";
+}
+
+export function toggleModifierSelection(selection, group, optionId) {
+  const current = Array.isArray(selection?.[group.id])
+    ? selection[group.id]
+    : [];
+
+  let next;
+  if (current.includes(optionId)) {
+    next = current.filter((id) => id !== optionId);
+  } else if (group.max_select === 1) {
+    next = [optionId];
+  } else if (current.length >= group.max_select) {
+    return selection;
+  } else {
+    next = [...current, optionId];
+  }
+
+  return { ...(selection || {}), [group.id]: next };
+}
+
+/** Pre-select the first option of required single-choice groups. */
+export function getDefaultModifierSelection(groups) {
+  const selection = {};
+  for (const group of groups || []) {
+    if (group.min_select === 1 && group.max_select === 1) {
+      const first = group.options.find((o) => o.is_available);
+      if (first) selection[group.id] = [first.id];
+    }
+  }
+  return selection;
+}
+
+/** Returns the first unmet group rule, or "" when the selection is valid. */
+export function getModifierSelectionError(groups, selection) {
+  for (const group of groups || []) {
+    const count = (selection?.[group.id] || []).length;
+    if (count < group.min_select) {
+      return group.min_select === 1
+        ? translate("menu.modifiers.chooseOne", { group: group.name })
+        : translate("menu.modifiers.chooseAtLeast", {
+            count: group.min_select,
+            group: group.name,
+          });
+    }
+    if (count > group.max_select) {
+      return translate("menu.modifiers.chooseUpTo", {
+        count: group.max_select,
+        group: group.name,
+      });
+    }
+  }
+  return "";
+}
+
+/** Flatten a { groupId: [optionId] } selection into the cart payload shape. */
+export function buildSelectedModifiers(groups, selection) {
+  const result = [];
+  for (const group of groups || []) {
+    for (const optionId of selection?.[group.id] || []) {
+      const option = group.options.find((o) => o.id === optionId);
+      if (!option) continue;
+      result.push({
+        group_id: group.id,
+        group_name: group.name,
+        option_id: option.id,
+        option_name: option.name,
+        price: option.price,
+      });
+    }
+  }
+  return result;
+}
+
+export function getModifiersTotal(modifiers) {
+  if (!Array.isArray(modifiers)) return 0;
+  return modifiers.reduce((sum, m) => sum + Math.max(0, toNumber(m?.price)), 0);
+}
+
+/** Base (size) price plus selected add-ons, for one unit of a cart item. */
+export function getCartItemUnitPrice(item) {
+  const base = toNumber(item?.unit_price ?? item?.price);
+  if (item?.modifiers_included_in_unit_price) return base;
+  return base + getModifiersTotal(item?.modifiers);
+}
+
+export function getCartItemLineTotal(item) {
+  const qty = toNumber(item?.quantity, 0);
+  return getCartItemUnitPrice(item) * Math.max(0, qty);
+}
+
+/**
+ * Cart subtotal. The server's cart_total is authoritative; the sum of item
+ * line totals with add-ons is only a fallback for carts without one (e.g.
+ * right after an optimistic quantity change clears it).
+ */
+export function calculateCartSubtotal(cart) {
+  const raw = cart?.cart_total;
+  if (raw != null && raw !== "" && Number.isFinite(Number(raw))) {
+    return Number(raw);
+  }
+  const items = Array.isArray(cart?.items) ? cart.items : [];
+  return Number(
+    items.reduce((sum, item) => sum + getCartItemLineTotal(item), 0).toFixed(2),
+  );
+}
+
+/** "Spicy, Extra cheese (+Rs.80)" — used under item names in lists. */
+export function formatModifiersSummary(modifiers) {
+  if (!Array.isArray(modifiers) || modifiers.length === 0) return "";
+  return modifiers
+    .map((m) => {
+      const price = toNumber(m?.price);
+      const name = m?.option_name || m?.name || "";
+      return price > 0 ? `${name} (+Rs.${price.toFixed(0)})` : name;
+    })
+    .filter(Boolean)
+    .join(", ");
+}
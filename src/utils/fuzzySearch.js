@@ -3,8 +3,13 @@
  * Handles spelling mistakes in search queries using Levenshtein distance algorithm
  * 
  * Example: "koththu" will match "kottu", "manue" will match "menu"
+ *
+ * Restaurant and food search go through the prebuilt index in searchIndex.js;
+ * fuzzyMatch/fuzzySearchFilter remain for one-off comparisons.
  */
 
+import { buildSearchIndex, searchIndex } from "./searchIndex";
+
 /**
  * Calculate Levenshtein distance between two strings
  * This measures how many single-character edits are needed to change one word into another
@@ -151,42 +156,78 @@ export function fuzzySearchFilter(items, searchQuery, getSearchFields, threshold
   return itemsWithScores.map(({ item }) => item);
 }
 
+const RESTAURANT_SEARCH_FIELDS = [
+  { get: (restaurant) => restaurant?.restaurant_name, weight: 3, name: true },
+  { get: (restaurant) => restaurant?.cuisine, weight: 2 },
+  { get: (restaurant) => restaurant?.description, weight: 1 },
+  { get: (restaurant) => restaurant?.address, weight: 0.5 },
+  { get: (restaurant) => restaurant?.city, weight: 0.5 },
+];
+
+const FOOD_SEARCH_FIELDS = [
+  { get: (food) => food?.name, weight: 3, name: true },
+  { get: (food) => food?.category, weight: 2 },
+  {
+    get: (food) =>
+      food?.restaurant_name || food?.restaurants?.restaurant_name,
+    weight: 1.5,
+  },
+  { get: (food) => food?.description, weight: 1 },
+];
+
+// Indexes are rebuilt only when a new list arrives, not on every keystroke.
+const restaurantIndexes = new WeakMap();
+const foodIndexes = new WeakMap();
+
+function getCachedIndex(cache, items, fields) {
+  let index = cache.get(items);
+  if (!index) {
+    index = buildSearchIndex(items, fields);
+    cache.set(items, index);
+  }
+  return index;
+}
+
+/** Search index over a restaurants list (cached per list). */
+export function getRestaurantSearchIndex(restaurants) {
+  return getCachedIndex(
+    restaurantIndexes,
+    Array.isArray(restaurants) ? restaurants : [],
+    RESTAURANT_SEARCH_FIELDS,
+  );
+}
+
+/** Search index over a foods list (cached per list). */
+export function getFoodSearchIndex(foods) {
+  return getCachedIndex(
+    foodIndexes,
+    Array.isArray(foods) ? foods : [],
+    FOOD_SEARCH_FIELDS,
+  );
+}
+
 /**
- * Search restaurants with fuzzy matching
+ * Search restaurants, best match first
  * @param {Array} restaurants - Array of restaurant objects
  * @param {string} searchQuery - Search query
- * @returns {Array} - Filtered restaurants
+ * @returns {Array} - Matching restaurants
  */
 export function fuzzySearchRestaurants(restaurants, searchQuery) {
-  return fuzzySearchFilter(
-    restaurants,
-    searchQuery,
-    (restaurant) => [
-      restaurant.restaurant_name,
-      restaurant.cuisine,
-      restaurant.description,
-      restaurant.address,
-    ],
-    0.55 // Lower threshold for restaurants (more lenient)
+  if (!searchQuery || !searchQuery.trim()) return restaurants;
+  return searchIndex(getRestaurantSearchIndex(restaurants), searchQuery).map(
+    (result) => result.item,
   );
 }
 
 /**
- * Search foods with fuzzy matching
+ * Search foods, best match first
  * @param {Array} foods - Array of food objects
  * @param {string} searchQuery - Search query
- * @returns {Array} - Filtered foods
+ * @returns {Array} - Matching foods
  */
 export function fuzzySearchFoods(foods, searchQuery) {
-  return fuzzySearchFilter(
-    foods,
-    searchQuery,
-    (food) => [
-      food.name,
-      food.description,
-      food.category,
-      food?.restaurants?.restaurant_name,
-    ],
-    0.55 // Lower threshold for foods (more lenient)
+  if (!searchQuery || !searchQuery.trim()) return foods;
+  return searchIndex(getFoodSearchIndex(foods), searchQuery).map(
+    (result) => result.item,
   );
 }
@@ -0,0 +1,139 @@
+/**
+ * Multi-restaurant basket: carts from a few nearby restaurants checked out
+ * together as one order. The driver collects from every restaurant and then
+ * makes a single drop-off, so the delivery fee is charged once on the routed
+ * multi-stop distance instead of once per restaurant.
+ *
+ *   order.pickups = [{ restaurant_id, name, address, latitude, longitude,
+ *                      status: "pending" | "ready" | "picked_up" }]
+ */
+
+import { translate } from "../i18n";
+import { getRestaurantOpenState } from "./restaurantHours";
+import { calculateDistance } from "./locationUtils";
+
+export const MAX_BASKET_RESTAURANTS = 3;
+// Every restaurant in a basket must be this close to the others.
+export const MAX_PICKUP_SPREAD_KM = 3;
+
+const toPoint = (restaurant) => {
+  const latitude = Number(restaurant?.latitude);
+  const longitude = Number(restaurant?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+};
+
+const distanceKm = (a, b) =>
+  calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+const permutations = (list) => {
+  if (list.length <= 1) return [list];
+  return list.flatMap((item, index) =>
+    permutations([...list.slice(0, index), ...list.slice(index + 1)]).map(
+      (rest) => [item, ...rest],
+    ),
+  );
+};
+
+/**
+ * Why these carts cannot be checked out together, or "" when they can.
+ * @param {Array} carts - Carts from GET /cart ({ restaurant, items })
+ * @param {Object} [options] - { ignoreHours } for pre-orders
+ * @returns {string}
+ */
+export function getBasketBlockReason(carts, { ignoreHours = false } = {}) {
+  const list = Array.isArray(carts) ? carts : [];
+  if (list.length < 2) return translate("basket.pickTwo");
+  if (list.length > MAX_BASKET_RESTAURANTS) {
+    return translate("basket.fullBody", { count: MAX_BASKET_RESTAURANTS });
+  }
+
+  const points = list.map((cart) => toPoint(cart?.restaurant));
+  if (points.some((point) => !point)) {
+    return translate("basket.noLocation");
+  }
+
+  for (let i = 0; i < points.length; i += 1) {
+    for (let j = i + 1; j < points.length; j += 1) {
+      if (distanceKm(points[i], points[j]) > MAX_PICKUP_SPREAD_KM) {
+        return translate("basket.tooFar", {
+          first:
+            list[i].restaurant?.restaurant_name ||
+            translate("basket.someRestaurant"),
+          second:
+            list[j].restaurant?.restaurant_name ||
+            translate("basket.anotherRestaurant"),
+        });
+      }
+    }
+  }
+
+  const closed = ignoreHours
+    ? null
+    : list.find((cart) => !getRestaurantOpenState(cart?.restaurant).isOpen);
+  if (closed) {
+    const name =
+      closed.restaurant?.restaurant_name || translate("basket.someRestaurant");
+    return translate("basket.closed", { name });
+  }
+
+  return "";
+}
+
+/**
+ * Pickup order with the shortest straight-line path that ends at the
+ * customer. Baskets are small, so every order is tried.
+ * @param {Array} carts - Carts with restaurant coordinates
+ * @param {Object} dropoff - { latitude, longitude }
+ * @returns {Array} The same carts in pickup order
+ */
+export function orderBasketPickups(carts, dropoff) {
+  const list = (Array.isArray(carts) ? carts : []).filter((cart) =>
+    toPoint(cart?.restaurant),
+  );
+  const destination = toPoint(dropoff);
+  if (list.length <= 1 || !destination) return list;
+
+  let best = list;
+  let bestKm = Infinity;
+  permutations(list).forEach((candidate) => {
+    const stops = [
+      ...candidate.map((cart) => toPoint(cart.restaurant)),
+      destination,
+    ];
+    let total = 0;
+    for (let i = 1; i < stops.length; i += 1) {
+      total += distanceKm(stops[i - 1], stops[i]);
+    }
+    if (total < bestKm) {
+      best = candidate;
+      bestKm = total;
+    }
+  });
+  return best;
+}
+
+/** "Pizza Hut + KFC" for headers and the tracking screen. */
+export function formatBasketRestaurantNames(carts) {
+  return (Array.isArray(carts) ? carts : [])
+    .map((cart) => cart?.restaurant?.restaurant_name)
+    .filter(Boolean)
+    .join(" + ");
+}
+
+/** Pickups of a basket order, or [] for a single-restaurant order. */
+export function getOrderPickups(order) {
+  const pickups = Array.isArray(order?.pickups)
+    ? order.pickups.filter(Boolean)
+    : [];
+  return pickups.length > 1 ? pickups : [];
+}
+
+/** Restaurant label for an order: every pickup for basket orders. */
+export function getOrderRestaurantLabel(order) {
+  const names = getOrderPickups(order)
+    .map((pickup) => pickup.name || pickup.restaurant_name)
+    .filter(Boolean);
+  return names.length ? names.join(" + ") : order?.restaurant_name || "";
+}
@@ -1,13 +1,8 @@
-const OSRM_BASE_URLS = [
-  "https://router.project-osrm.org",
-  "https://routing.openstreetmap.de/routed-foot",
-];
+import { fetchRoute } from "../services/routingProvider";
 
 const DISTANCE_CACHE_TTL_MS = 30 * 1000;
 const distanceCache = new Map();
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
 const toPointKey = (point) =>
   `${Number(point?.longitude).toFixed(6)},${Number(point?.latitude).toFixed(6)}`;
 
@@ -28,21 +23,6 @@ const setCachedDistance = (cacheKey, value) => {
   });
 };
 
-const fetchJsonWithTimeout = async (url, timeoutMs) => {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(url, { signal: controller.signal });
-    if (!response.ok) return null;
-    return await response.json();
-  } catch {
-    return null;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-};
-
 export const approximateDistanceMeters = (from, to) => {
   if (!from || !to) return Infinity;
 
@@ -68,46 +48,42 @@ export const approximateDistanceMeters = (from, to) => {
   return Math.sqrt(dLat * dLat + dLng * dLng);
 };
 
+/**
+ * Route in OSRM shape from the configured routing provider, which owns the
+ * server failover list and retries. `profile` defaults to ROUTING_PROFILE.
+ */
 export const fetchOSRMRoute = async ({
   from,
   to,
-  profile = "foot",
+  profile,
   timeoutMs = 10000,
   retries = 2,
   retryDelayMs = 700,
   overview = "full",
-  geometries = "geojson",
+  via = [],
+  steps = false,
 }) => {
   if (!from || !to) return null;
 
-  const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
-
-  for (let attempt = 0; attempt <= retries; attempt += 1) {
-    for (const baseUrl of OSRM_BASE_URLS) {
-      const url = `${baseUrl}/route/v1/${profile}/${coordinates}?overview=${overview}&geometries=${geometries}&steps=false`;
-      const data = await fetchJsonWithTimeout(url, timeoutMs);
-
-      if (data?.code === "Ok" && data?.routes?.[0]) {
-        return data.routes[0];
-      }
-    }
-
-    if (attempt < retries) {
-      await sleep(retryDelayMs * (attempt + 1));
-    }
-  }
-
-  return null;
+  return fetchRoute({
+    points: [from, ...via, to],
+    profile,
+    overview,
+    steps,
+    timeoutMs,
+    retries,
+    retryDelayMs,
+  });
 };
 
 export const fetchOSRMDistanceMeters = async ({
   from,
   to,
-  profile = "foot",
+  profile,
   timeoutMs = 8000,
   retries = 1,
 }) => {
-  const cacheKey = `${profile}:${toPointKey(from)}:${toPointKey(to)}`;
+  const cacheKey = `${profile || "default"}:${toPointKey(from)}:${toPointKey(to)}`;
   const cached = getCachedDistance(cacheKey);
   if (Number.isFinite(cached)) {
     return cached;
@@ -120,7 +96,6 @@ export const fetchOSRMDistanceMeters = async ({
     timeoutMs,
     retries,
     overview: "false",
-    geometries: "geojson",
   });
 
   if (!route || !Number.isFinite(route.distance)) {
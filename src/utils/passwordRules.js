@@ -0,0 +1,62 @@
+/**
+ * Password strength rules shared by the reset-password flow.
+ * The backend enforces the same minimum; the rest drive the strength meter.
+ */
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+export const PASSWORD_RULES = [
+  {
+    key: "length",
+    labelKey: "auth.recovery.ruleLength",
+    test: (value) => value.length >= PASSWORD_MIN_LENGTH,
+  },
+  {
+    key: "letter",
+    labelKey: "auth.recovery.ruleLetter",
+    test: (value) => /[a-z]/i.test(value),
+  },
+  {
+    key: "number",
+    labelKey: "auth.recovery.ruleNumber",
+    test: (value) => /\d/.test(value),
+  },
+  {
+    key: "mixedCase",
+    labelKey: "auth.recovery.ruleMixedCase",
+    test: (value) => /[a-z]/.test(value) && /[A-Z]/.test(value),
+  },
+  {
+    key: "symbol",
+    labelKey: "auth.recovery.ruleSymbol",
+    test: (value) => /[^a-z0-9]/i.test(value),
+  },
+];
+
+// length, letter and number are required; the others only raise strength.
+const REQUIRED_RULES = new Set(["length", "letter", "number"]);
+
+/**
+ * Check a password against PASSWORD_RULES.
+ * @param {string} password
+ * @returns {{ rules: Array<{key: string, labelKey: string, passed: boolean,
+ *   required: boolean}>, strength: "weak"|"fair"|"strong", isValid: boolean }}
+ */
+export function evaluatePassword(password) {
+  const value = String(password || "");
+  const rules = PASSWORD_RULES.map((rule) => ({
+    key: rule.key,
+    labelKey: rule.labelKey,
+    required: REQUIRED_RULES.has(rule.key),
+    passed: rule.test(value),
+  }));
+
+  const isValid = rules.every((rule) => !rule.required || rule.passed);
+  const passedCount = rules.filter((rule) => rule.passed).length;
+
+  let strength = "weak";
+  if (isValid && passedCount === rules.length) strength = "strong";
+  else if (isValid) strength = "fair";
+
+  return { rules, strength, isValid };
+}
@@ -0,0 +1,214 @@
+/**
+ * Promo codes. Managers create codes in the offers section; customers enter
+ * one in the cart or at checkout and the server validates it as part of the
+ * `/orders/quote` response, which is the only source of the discount amount.
+ *
+ *   promo = { id, code, discount_type: "percentage" | "flat", discount_value,
+ *             min_subtotal, max_discount, per_user_limit, starts_at, ends_at,
+ *             restaurant_ids: [] (empty = every restaurant),
+ *             first_order_only, is_active }
+ *
+ *   quote.promo = { code, applied, discount_amount, message }
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { translate } from "../i18n";
+
+export const PROMO_DISCOUNT_TYPES = [
+  { key: "percentage", label: "Percentage (%)" },
+  { key: "flat", label: "Flat amount (Rs.)" },
+];
+
+const APPLIED_PROMO_KEY = "@applied_promo_codes";
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+/** Codes are matched case-insensitively and without surrounding spaces. */
+export function normalizePromoCode(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "");
+}
+
+export function isPromoCodeFormatValid(value) {
+  return PROMO_CODE_PATTERN.test(normalizePromoCode(value));
+}
+
+const toAmount = (value) => {
+  const n = Number.parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Validate the manager form (numbers still as strings). Returns an error
+ * message or "" when the code can be saved.
+ */
+export function validatePromoDefinition(form) {
+  if (!isPromoCodeFormatValid(form?.code)) {
+    return "Code must be 3-20 letters, numbers, - or _";
+  }
+
+  const value = toAmount(form?.discount_value);
+  if (value === null || value <= 0) return "Enter a discount value";
+  if (form?.discount_type === "percentage" && value > 100) {
+    return "Percentage discount cannot exceed 100%";
+  }
+
+  for (const field of ["min_subtotal", "max_discount", "per_user_limit"]) {
+    const raw = String(form?.[field] ?? "").trim();
+    if (raw && (toAmount(raw) === null || toAmount(raw) < 0)) {
+      return "Limits must be positive numbers";
+    }
+  }
+
+  const startsAt = form?.starts_at ? new Date(form.starts_at) : null;
+  const endsAt = form?.ends_at ? new Date(form.ends_at) : null;
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return "End date must be after the start date";
+  }
+  return "";
+}
+
+/** Manager form state -> API payload. */
+export function toPromoPayload(form) {
+  const optionalAmount = (value) => {
+    const n = toAmount(value);
+    return n !== null && n > 0 ? n : null;
+  };
+  const perUserLimit = Number.parseInt(form?.per_user_limit, 10);
+
+  return {
+    code: normalizePromoCode(form.code),
+    description: String(form.description || "").trim(),
+    discount_type: form.discount_type === "flat" ? "flat" : "percentage",
+    discount_value: toAmount(form.discount_value),
+    min_subtotal: optionalAmount(form.min_subtotal),
+    max_discount:
+      form.discount_type === "flat" ? null : optionalAmount(form.max_discount),
+    per_user_limit:
+      Number.isFinite(perUserLimit) && perUserLimit > 0 ? perUserLimit : null,
+    starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+    ends_at: form.ends_at ? new Date(form.ends_at).toISOString() : null,
+    restaurant_ids: Array.isArray(form.restaurant_ids)
+      ? form.restaurant_ids
+      : [],
+    first_order_only: Boolean(form.first_order_only),
+    is_active: form.is_active !== false,
+  };
+}
+
+/** API promo -> manager form state (numbers as strings). */
+export function toPromoFormState(promo) {
+  const asText = (value) => (value != null ? String(value) : "");
+  return {
+    code: promo?.code || "",
+    description: promo?.description || "",
+    discount_type: promo?.discount_type === "flat" ? "flat" : "percentage",
+    discount_value: asText(promo?.discount_value),
+    min_subtotal: asText(promo?.min_subtotal),
+    max_discount: asText(promo?.max_discount),
+    per_user_limit: asText(promo?.per_user_limit),
+    starts_at: promo?.starts_at ? new Date(promo.starts_at) : new Date(),
+    ends_at: promo?.ends_at ? new Date(promo.ends_at) : null,
+    restaurant_ids: Array.isArray(promo?.restaurant_ids)
+      ? promo.restaurant_ids.map(String)
+      : [],
+    first_order_only: Boolean(promo?.first_order_only),
+    is_active: promo?.is_active !== false,
+  };
+}
+
+/** "active" | "scheduled" | "expired" | "inactive" */
+export function getPromoStatus(promo, now = new Date()) {
+  if (promo?.is_active === false) return "inactive";
+  const time = new Date(now).getTime();
+  if (promo?.ends_at && new Date(promo.ends_at).getTime() <= time) {
+    return "expired";
+  }
+  if (promo?.starts_at && new Date(promo.starts_at).getTime() > time) {
+    return "scheduled";
+  }
+  return "active";
+}
+
+/** "20% off up to Rs. 300 · min Rs. 1000" */
+export function formatPromoSummary(promo) {
+  const value = toAmount(promo?.discount_value) || 0;
+  const parts = [
+    promo?.discount_type === "flat"
+      ? `Rs. ${value.toFixed(0)} off`
+      : `${value}% off${
+          toAmount(promo?.max_discount)
+            ? ` up to Rs. ${toAmount(promo.max_discount).toFixed(0)}`
+            : ""
+        }`,
+  ];
+  if (toAmount(promo?.min_subtotal)) {
+    parts.push(`min Rs. ${toAmount(promo.min_subtotal).toFixed(0)}`);
+  }
+  if (promo?.first_order_only) parts.push("first order only");
+  return parts.join(" · ");
+}
+
+/**
+ * Promo result from a quote:
+ *   { code, applied, discountAmount, message }
+ * or null when no code was sent.
+ */
+export function getQuotePromo(quote) {
+  const promo = quote?.promo;
+  if (!promo) return null;
+  const discount = Number(promo.discount_amount ?? quote?.pricing?.discount_amount);
+  const applied = Boolean(promo.applied) && Number.isFinite(discount);
+  return {
+    code: normalizePromoCode(promo.code),
+    applied,
+    discountAmount: applied ? Number(discount.toFixed(2)) : 0,
+    message:
+      promo.message ||
+      (applied ? "" : translate("promoCode.notApplicable")),
+  };
+}
+
+/** Discount recorded on a placed order, for receipts. */
+export function getOrderDiscount(orderLike) {
+  const source = orderLike?.order || orderLike;
+  const amount = Number(source?.discount_amount ?? source?.promo_discount);
+  return {
+    code: normalizePromoCode(source?.promo_code),
+    amount: Number.isFinite(amount) && amount > 0 ? amount : 0,
+  };
+}
+
+async function readAppliedPromos() {
+  try {
+    const raw = await AsyncStorage.getItem(APPLIED_PROMO_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Code the customer entered for a cart, kept until checkout completes. */
+export async function getAppliedPromoCode(cartId) {
+  if (!cartId) return "";
+  const applied = await readAppliedPromos();
+  return applied[String(cartId)] || "";
+}
+
+export async function setAppliedPromoCode(cartId, code) {
+  if (!cartId) return;
+  const applied = await readAppliedPromos();
+  const normalized = normalizePromoCode(code);
+  if (normalized) {
+    applied[String(cartId)] = normalized;
+  } else {
+    delete applied[String(cartId)];
+  }
+  try {
+    await AsyncStorage.setItem(APPLIED_PROMO_KEY, JSON.stringify(applied));
+  } catch {
+    // Ignore storage errors; the code is still passed through navigation.
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Reorder reconciliation: match the lines of a past order against the
+ * restaurant's current menu before they go back into the cart.
+ *
+ *   line = {
+ *     key, name, quantity, food, size, modifiers,
+ *     oldUnitPrice, unitPrice,
+ *     status: "ok" | "price_changed" | "size_changed" | "unavailable",
+ *     droppedModifiers: [option_name],
+ *     substitutes: [food],
+ *   }
+ *
+ * Prices are compared per unit including add-ons, the same way the cart
+ * totals them.
+ */
+
+import { calculateDistance } from "./locationUtils";
+import { getModifiersTotal, normalizeModifierGroups } from "./foodModifiers";
+import { getRestaurantOpenState } from "./restaurantHours";
+
+export const REORDER_LINE_STATUS = {
+  OK: "ok",
+  PRICE_CHANGED: "price_changed",
+  SIZE_CHANGED: "size_changed",
+  UNAVAILABLE: "unavailable",
+};
+
+const MAX_SUBSTITUTES = 3;
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const normalizeText = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const foodCategory = (food) =>
+  normalizeText(food?.category_name || food?.category);
+
+const isFoodAvailable = (food) => Boolean(food) && food.is_available !== false;
+
+/** Price of one unit of a food in the given size ("regular" or "large"). */
+export function getFoodSizePrice(food, size) {
+  if (size === "large" && food?.extra_price) {
+    return toNumber(food.extra_offer_price || food.extra_price);
+  }
+  return toNumber(food?.offer_price || food?.regular_price || food?.price);
+}
+
+/**
+ * Old orders store either the cart size key or the size label shown at the
+ * time ("Large", "Family"). Map it back to the key the cart accepts.
+ */
+function resolveOrderedSize(item, food) {
+  const raw = normalizeText(
+    item?.size ||
+      item?.selected_size ||
+      item?.portion_size ||
+      item?.variant_name ||
+      item?.item_size,
+  );
+  if (!raw || raw === "regular") return "regular";
+  if (raw === "large" || raw === normalizeText(food?.extra_size)) {
+    return "large";
+  }
+  return "regular";
+}
+
+/** Keep only add-ons the food still offers, at today's prices. */
+function reconcileModifiers(modifiers, food) {
+  const groups = normalizeModifierGroups(food?.modifier_groups);
+  const kept = [];
+  const dropped = [];
+
+  (Array.isArray(modifiers) ? modifiers : []).forEach((modifier) => {
+    const group = groups.find(
+      (g) => g.id === String(modifier?.group_id ?? ""),
+    );
+    const option = group?.options.find(
+      (o) => o.id === String(modifier?.option_id ?? ""),
+    );
+    if (!group || !option || !option.is_available) {
+      dropped.push(modifier?.option_name || modifier?.name || "Add-on");
+      return;
+    }
+    kept.push({
+      group_id: group.id,
+      group_name: group.name,
+      option_id: option.id,
+      option_name: option.name,
+      price: option.price,
+    });
+  });
+
+  return { kept, dropped };
+}
+
+/**
+ * Available foods from the same category, closest in price first. Only
+ * foods that can be added without choosing add-ons are offered.
+ */
+export function findSubstitutes(food, foods, targetPrice) {
+  const category = foodCategory(food);
+  if (!category) return [];
+
+  return (Array.isArray(foods) ? foods : [])
+    .filter(
+      (candidate) =>
+        isFoodAvailable(candidate) &&
+        String(candidate.id) !== String(food?.id) &&
+        foodCategory(candidate) === category &&
+        // Required add-ons need a choice the reorder flow cannot make.
+        !normalizeModifierGroups(candidate.modifier_groups).some(
+          (group) => group.required,
+        ),
+    )
+    .sort(
+      (a, b) =>
+        Math.abs(getFoodSizePrice(a, "regular") - targetPrice) -
+        Math.abs(getFoodSizePrice(b, "regular") - targetPrice),
+    )
+    .slice(0, MAX_SUBSTITUTES);
+}
+
+/**
+ * Compare each ordered item with the current menu.
+ * @param {Array} orderItems - order_items of the past order
+ * @param {Array} foods - Current foods from /public/restaurants/:id/foods
+ * @returns {Array} Reconciled lines (see module header)
+ */
+export function reconcileReorderItems(orderItems, foods) {
+  const menu = Array.isArray(foods) ? foods : [];
+
+  return (Array.isArray(orderItems) ? orderItems : []).map((item, index) => {
+    const foodId = item?.food_id ?? item?.foodId ?? item?.food?.id;
+    const food =
+      menu.find((candidate) => String(candidate.id) === String(foodId)) ||
+      null;
+    const quantity = Math.max(1, Math.floor(toNumber(item?.quantity, 1)));
+    const name =
+      item?.name || item?.food_name || item?.item_name || food?.name || "Item";
+    const oldModifiers = Array.isArray(item?.modifiers) ? item.modifiers : [];
+    const oldUnitPrice =
+      toNumber(item?.unit_price ?? item?.price) +
+      (item?.modifiers_included_in_unit_price
+        ? 0
+        : getModifiersTotal(oldModifiers));
+
+    const base = {
+      key: `${foodId ?? "item"}-${index}`,
+      name,
+      quantity,
+      food,
+      oldUnitPrice,
+      droppedModifiers: [],
+      substitutes: [],
+    };
+
+    if (!isFoodAvailable(food)) {
+      return {
+        ...base,
+        size: "regular",
+        modifiers: [],
+        unitPrice: 0,
+        status: REORDER_LINE_STATUS.UNAVAILABLE,
+        substitutes: findSubstitutes(
+          food || { id: foodId, category: item?.category },
+          menu,
+          oldUnitPrice,
+        ),
+      };
+    }
+
+    const orderedSize = resolveOrderedSize(item, food);
+    const size =
+      orderedSize === "large" && !food.extra_price ? "regular" : orderedSize;
+    const { kept, dropped } = reconcileModifiers(oldModifiers, food);
+    const unitPrice = getFoodSizePrice(food, size) + getModifiersTotal(kept);
+
+    let status = REORDER_LINE_STATUS.OK;
+    if (size !== orderedSize) status = REORDER_LINE_STATUS.SIZE_CHANGED;
+    else if (oldUnitPrice > 0 && Math.abs(unitPrice - oldUnitPrice) >= 0.01) {
+      status = REORDER_LINE_STATUS.PRICE_CHANGED;
+    }
+
+    return {
+      ...base,
+      size,
+      modifiers: kept,
+      droppedModifiers: dropped,
+      unitPrice,
+      status,
+    };
+  });
+}
+
+/** True when every line can go into the cart exactly as ordered before. */
+export function isReorderClean(lines) {
+  return (
+    Array.isArray(lines) &&
+    lines.length > 0 &&
+    lines.every(
+      (line) =>
+        line.status === REORDER_LINE_STATUS.OK &&
+        line.droppedModifiers.length === 0,
+    )
+  );
+}
+
+/**
+ * Reasons the restaurant may not take this order right now. Warnings do
+ * not block the reorder: the cart is still rebuilt for later.
+ * @param {Object} restaurant - From /public/restaurants/:id
+ * @param {Object|null} dropoff - { latitude, longitude } of the saved address
+ * @param {number} maxDistanceKm - feeConfig.max_order_distance_km
+ * @returns {string[]}
+ */
+export function getReorderWarnings(restaurant, dropoff, maxDistanceKm) {
+  const warnings = [];
+  const name = restaurant?.restaurant_name || "This restaurant";
+
+  const openState = getRestaurantOpenState(restaurant);
+  if (!openState.isOpen) {
+    warnings.push(
+      `${name} is closed right now${
+        openState.opensAt ? `. ${openState.label}.` : "."
+      }`,
+    );
+  }
+
+  const lat = Number(restaurant?.latitude);
+  const lng = Number(restaurant?.longitude);
+  const limit = toNumber(maxDistanceKm, 25);
+  if (
+    dropoff &&
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    Number.isFinite(Number(dropoff.latitude)) &&
+    Number.isFinite(Number(dropoff.longitude))
+  ) {
+    const distance = calculateDistance(
+      Number(dropoff.latitude),
+      Number(dropoff.longitude),
+      lat,
+      lng,
+    );
+    if (distance > limit) {
+      warnings.push(
+        `${name} is ${distance.toFixed(1)} km from your current address. ` +
+          `We deliver up to ${limit} km.`,
+      );
+    }
+  }
+
+  return warnings;
+}
@@ -0,0 +1,301 @@
+/**
+ * Restaurant opening hours. Replaces the single opening_time/close_time pair
+ * with a weekly schedule (split shifts allowed) plus date-specific closures:
+ *
+ *   restaurant.weekly_hours = {
+ *     mon: [{ open: "11:00", close: "15:00" }, { open: "18:30", close: "23:00" }],
+ *     sun: [],            // closed all day
+ *     ...
+ *   }
+ *   restaurant.closures = [{ date: "2026-12-25", reason: "Christmas" }]
+ *
+ * Restaurants that have not set weekly_hours yet fall back to the legacy
+ * opening_time/close_time pair on every day. A shift whose close is earlier
+ * than its open runs past midnight.
+ */
+
+import { formatDate, translate } from "../i18n";
+
+export const WEEKDAYS = [
+  { key: "sun", label: "Sunday", short: "Sun" },
+  { key: "mon", label: "Monday", short: "Mon" },
+  { key: "tue", label: "Tuesday", short: "Tue" },
+  { key: "wed", label: "Wednesday", short: "Wed" },
+  { key: "thu", label: "Thursday", short: "Thu" },
+  { key: "fri", label: "Friday", short: "Fri" },
+  { key: "sat", label: "Saturday", short: "Sat" },
+];
+
+export const MAX_SHIFTS_PER_DAY = 3;
+// How far ahead to look for the next opening before giving up.
+const NEXT_OPENING_LOOKAHEAD_DAYS = 14;
+
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)/;
+
+/** "08:30" / "8:30:00" -> minutes since midnight, or null. */
+export function parseClockToMinutes(value) {
+  const match = String(value || "")
+    .trim()
+    .match(CLOCK_PATTERN);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const toClock = (value) => {
+  const minutes = parseClockToMinutes(value);
+  if (minutes === null) return "";
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+};
+
+/** "18:30" -> "6:30 PM" */
+export function formatClock(value) {
+  const minutes = parseClockToMinutes(value);
+  if (minutes === null) return "";
+  const hour = Math.floor(minutes / 60);
+  const ampm = hour >= 12 ? "PM" : "AM";
+  return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, "0")} ${ampm}`;
+}
+
+/** Local calendar date as "YYYY-MM-DD". */
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+const normalizeShifts = (shifts) =>
+  (Array.isArray(shifts) ? shifts : [])
+    .map((shift) => ({ open: toClock(shift?.open), close: toClock(shift?.close) }))
+    .filter((shift) => shift.open && shift.close && shift.open !== shift.close)
+    .sort((a, b) => a.open.localeCompare(b.open));
+
+export function hasWeeklyHours(restaurant) {
+  const weekly = restaurant?.weekly_hours;
+  return Boolean(
+    weekly &&
+      typeof weekly === "object" &&
+      WEEKDAYS.some((day) => Array.isArray(weekly[day.key])),
+  );
+}
+
+/** Always returns all seven days; legacy restaurants repeat their one pair. */
+export function normalizeWeeklyHours(restaurant) {
+  const weekly = {};
+  if (hasWeeklyHours(restaurant)) {
+    WEEKDAYS.forEach((day) => {
+      weekly[day.key] = normalizeShifts(restaurant.weekly_hours[day.key]);
+    });
+    return weekly;
+  }
+
+  const legacy = normalizeShifts([
+    { open: restaurant?.opening_time, close: restaurant?.close_time },
+  ]);
+  WEEKDAYS.forEach((day) => {
+    weekly[day.key] = legacy;
+  });
+  return weekly;
+}
+
+export function normalizeClosures(closures) {
+  return (Array.isArray(closures) ? closures : [])
+    .map((closure) => ({
+      date: String(closure?.date || "").slice(0, 10),
+      reason: String(closure?.reason || "").trim(),
+    }))
+    .filter((closure) => /^\d{4}-\d{2}-\d{2}$/.test(closure.date))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** True when the restaurant publishes any hours at all. */
+export function hasOpeningHours(restaurant) {
+  const weekly = normalizeWeeklyHours(restaurant);
+  return WEEKDAYS.some((day) => weekly[day.key].length > 0);
+}
+
+const getClosure = (restaurant, date) => {
+  const key = toDateKey(date);
+  return (
+    normalizeClosures(restaurant?.closures).find((c) => c.date === key) || null
+  );
+};
+
+const atMinute = (day, minute) => {
+  const d = new Date(day);
+  d.setHours(0, 0, 0, 0);
+  d.setMinutes(minute);
+  return d;
+};
+
+/**
+ * Concrete open intervals that start on the given calendar day, as
+ * [{ start: Date, end: Date }]. Closures remove the whole day.
+ */
+function getIntervalsStartingOn(restaurant, day, weekly) {
+  if (getClosure(restaurant, day)) return [];
+  const shifts = weekly[WEEKDAYS[new Date(day).getDay()].key] || [];
+  return shifts.map((shift) => {
+    const open = parseClockToMinutes(shift.open);
+    let close = parseClockToMinutes(shift.close);
+    if (close <= open) close += 24 * 60;
+    return { start: atMinute(day, open), end: atMinute(day, close) };
+  });
+}
+
+/**
+ * Schedule-only check (ignores the manual open/closed toggle). Restaurants
+ * without any hours are treated as always open.
+ */
+export function isOpenBySchedule(restaurant, at = new Date()) {
+  if (!hasOpeningHours(restaurant)) return true;
+  const weekly = normalizeWeeklyHours(restaurant);
+  const time = new Date(at).getTime();
+  const yesterday = new Date(at);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  // Yesterday's overnight shift may still be running.
+  return [yesterday, new Date(at)].some((day) =>
+    getIntervalsStartingOn(restaurant, day, weekly).some(
+      (interval) =>
+        time >= interval.start.getTime() && time < interval.end.getTime(),
+    ),
+  );
+}
+
+export function getNextOpening(restaurant, from = new Date()) {
+  if (!hasOpeningHours(restaurant)) return null;
+  const weekly = normalizeWeeklyHours(restaurant);
+  const time = new Date(from).getTime();
+
+  for (let offset = 0; offset <= NEXT_OPENING_LOOKAHEAD_DAYS; offset += 1) {
+    const day = new Date(from);
+    day.setDate(day.getDate() + offset);
+    const next = getIntervalsStartingOn(restaurant, day, weekly).find(
+      (interval) => interval.start.getTime() > time,
+    );
+    if (next) return next.start;
+  }
+  return null;
+}
+
+const formatOpeningDate = (date, now) => {
+  const time = formatClock(
+    `${date.getHours()}:${String(date.getMinutes()).padStart(2, "0")}`,
+  );
+  const dayDiff = Math.round(
+    (atMinute(date, 0).getTime() - atMinute(now, 0).getTime()) / 86400000,
+  );
+  if (dayDiff === 0) return translate("hours.opensAt", { time });
+  if (dayDiff === 1) return translate("hours.opensTomorrow", { time });
+  const day =
+    dayDiff < 7
+      ? formatDate(date, { weekday: "long" })
+      : formatDate(date, { month: "short", day: "numeric" });
+  return translate("hours.opensOn", { day, time });
+};
+
+/**
+ * Combined open state used by the customer cards and checkout:
+ *   { isOpen, label, opensAt, closure }
+ * `is_open === false` from the server (manual toggle) always wins. `label`
+ * is translated; it only says more than "Closed" when `opensAt` or
+ * `closure` is set.
+ */
+export function getRestaurantOpenState(restaurant, now = new Date()) {
+  const closure = getClosure(restaurant, now);
+  const scheduleOpen = isOpenBySchedule(restaurant, now);
+  const manuallyClosed = restaurant?.is_open === false;
+
+  if (scheduleOpen && !manuallyClosed) {
+    return { isOpen: true, label: "", opensAt: null, closure: null };
+  }
+
+  const opensAt = scheduleOpen ? null : getNextOpening(restaurant, now);
+  let label = translate("hours.closed");
+  if (opensAt) {
+    label = formatOpeningDate(opensAt, new Date(now));
+  } else if (closure) {
+    label = closure.reason
+      ? translate("hours.closedTodayReason", { reason: closure.reason })
+      : translate("hours.closedToday");
+  }
+
+  return { isOpen: false, label, opensAt, closure };
+}
+
+/** Today's shifts, e.g. "11:00 AM - 3:00 PM, 6:30 PM - 11:00 PM". */
+export function formatTodayHours(restaurant, now = new Date()) {
+  if (!hasOpeningHours(restaurant)) return "";
+  if (getClosure(restaurant, now)) return "Closed today";
+  const weekly = normalizeWeeklyHours(restaurant);
+  const shifts = weekly[WEEKDAYS[new Date(now).getDay()].key] || [];
+  if (shifts.length === 0) return "Closed today";
+  return shifts
+    .map((shift) => `${formatClock(shift.open)} - ${formatClock(shift.close)}`)
+    .join(", ");
+}
+
+/**
+ * Legacy opening_time/close_time derived from the weekly schedule, so older
+ * clients that only read the pair keep showing sensible hours.
+ */
+export function summarizeWeeklyHours(weeklyHours) {
+  const shifts = WEEKDAYS.flatMap((day) =>
+    normalizeShifts(weeklyHours?.[day.key]),
+  );
+  if (shifts.length === 0) return { opening_time: "", close_time: "" };
+
+  const opening = shifts.reduce((min, s) => (s.open < min ? s.open : min), "24:00");
+  const overnight = shifts.filter((s) => s.close < s.open);
+  const closing = (overnight.length > 0 ? overnight : shifts).reduce(
+    (max, s) => (s.close > max ? s.close : max),
+    "00:00",
+  );
+  return { opening_time: opening, close_time: closing };
+}
+
+/**
+ * Validate the admin schedule form. Returns an error message or "" when the
+ * schedule can be saved.
+ */
+export function validateOpeningHours(weeklyHours, closures) {
+  for (const day of WEEKDAYS) {
+    const shifts = Array.isArray(weeklyHours?.[day.key])
+      ? weeklyHours[day.key]
+      : [];
+    if (shifts.length > MAX_SHIFTS_PER_DAY) {
+      return `${day.label} can have at most ${MAX_SHIFTS_PER_DAY} shifts`;
+    }
+    for (const shift of shifts) {
+      const open = parseClockToMinutes(shift?.open);
+      const close = parseClockToMinutes(shift?.close);
+      if (open === null || close === null) {
+        return `Enter ${day.label} times as HH:MM (24-hour)`;
+      }
+      if (open === close) {
+        return `${day.label} shift must close after it opens`;
+      }
+    }
+
+    const sorted = normalizeShifts(shifts);
+    for (let i = 1; i < sorted.length; i += 1) {
+      const prev = sorted[i - 1];
+      const prevClose = parseClockToMinutes(prev.close);
+      const prevOpen = parseClockToMinutes(prev.open);
+      if (prevClose < prevOpen || prevClose > parseClockToMinutes(sorted[i].open)) {
+        return `${day.label} shifts overlap`;
+      }
+    }
+  }
+
+  for (const closure of Array.isArray(closures) ? closures : []) {
+    const date = String(closure?.date || "").trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      return "Enter closure dates as YYYY-MM-DD";
+    }
+  }
+  return "";
+}
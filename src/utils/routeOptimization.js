@@ -3,8 +3,18 @@
  * Optimizes delivery routes for multiple stops
  */
 
+import { getDistanceMatrix } from '../services/osrmService';
 import { calculateDistance } from './locationUtils';
 
+// Offline fallback: straight-line km are stretched to approximate roads.
+const ROAD_DISTANCE_FACTOR = 1.3;
+const FALLBACK_SPEED_KMH = 25;
+const DEFAULT_SERVICE_MINUTES = { pickup: 4, dropoff: 3 };
+// Each minute past a promised ETA costs this many minutes of driving.
+const LATE_MINUTE_WEIGHT = 3;
+const MAX_IMPROVEMENT_PASSES = 50;
+const MATRIX_TIMEOUT_MS = 8000;
+
 /**
  * Optimize route order using nearest-neighbor heuristic
  * @param {Object} origin - Starting point { latitude, longitude }
@@ -83,47 +93,454 @@ export const clusterDeliveries = (deliveries, radiusKm = 3) => {
   return clusters;
 };
 
+const toPoint = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  return Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? { latitude, longitude }
+    : null;
+};
+
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const ts = new Date(value).getTime();
+  return Number.isFinite(ts) ? ts : null;
+};
+
+const PICKED_UP_STATUSES = [
+  'picked_up',
+  'on_the_way',
+  'at_customer',
+  'customer_unreachable',
+];
+
 /**
- * Calculate the optimal pickup order for multiple restaurants
- * @param {Object} driverLocation - { latitude, longitude }
- * @param {Array} pickups - Array of restaurant pickup locations
- * @param {Array} dropoffs - Array of delivery dropoff locations
- * @returns {Object} { pickupOrder, dropoffOrder, estimatedTime, totalDistance }
+ * Restaurants a delivery collects from. Multi-restaurant orders list every
+ * stop in `pickups`; single orders only have `restaurant`.
+ * @returns {Array} { restaurant, pickedUp }
  */
-export const calculateOptimalRoute = (driverLocation, pickups, dropoffs) => {
-  // Optimize pickup order first
-  const optimizedPickups = optimizeRouteOrder(driverLocation, pickups);
-
-  // Then optimize dropoff order starting from last pickup
-  const lastPickup = optimizedPickups[optimizedPickups.length - 1] || driverLocation;
-  const optimizedDropoffs = optimizeRouteOrder(lastPickup, dropoffs);
-
-  // Calculate total distance
-  const allStops = [driverLocation, ...optimizedPickups, ...optimizedDropoffs];
-  let totalDistance = 0;
-  for (let i = 0; i < allStops.length - 1; i++) {
-    totalDistance += calculateDistance(
-      allStops[i].latitude,
-      allStops[i].longitude,
-      allStops[i + 1].latitude,
-      allStops[i + 1].longitude
+export const getDeliveryPickups = (delivery) => {
+  const deliveryPickedUp = PICKED_UP_STATUSES.includes(
+    String(delivery?.status || '').toLowerCase()
+  );
+  if (Array.isArray(delivery?.pickups) && delivery.pickups.length > 0) {
+    return delivery.pickups.map((pickup) => ({
+      restaurant: pickup?.restaurant || pickup,
+      pickedUp:
+        deliveryPickedUp ||
+        Boolean(pickup?.picked_up_at) ||
+        String(pickup?.status || '').toLowerCase() === 'picked_up',
+    }));
+  }
+  return delivery?.restaurant
+    ? [{ restaurant: delivery.restaurant, pickedUp: deliveryPickedUp }]
+    : [];
+};
+
+/**
+ * Expand deliveries into pickup / dropoff stops.
+ * Deliveries that are already picked up only contribute a dropoff; a
+ * multi-restaurant delivery contributes one pickup per restaurant left.
+ * @param {Array} deliveries - { delivery_id, status, restaurant, customer, ... }
+ * @returns {Array} Stops { id, type, deliveryId, latitude, longitude, promisedAt, delivery }
+ */
+export const buildDeliveryStops = (deliveries = []) => {
+  const stops = [];
+
+  deliveries.forEach((delivery, index) => {
+    const deliveryId = String(delivery?.delivery_id ?? delivery?.id ?? index);
+    const dropoffPoint = toPoint(
+      delivery?.customer?.latitude,
+      delivery?.customer?.longitude
     );
+    const pickups = getDeliveryPickups(delivery);
+
+    pickups.forEach(({ restaurant, pickedUp }, pickupIndex) => {
+      const pickupPoint = toPoint(restaurant?.latitude, restaurant?.longitude);
+      if (!pickupPoint || pickedUp) return;
+      stops.push({
+        id:
+          pickups.length > 1
+            ? `pickup-${deliveryId}-${pickupIndex}`
+            : `pickup-${deliveryId}`,
+        type: 'pickup',
+        deliveryId,
+        name: restaurant?.name || restaurant?.restaurant_name,
+        ...pickupPoint,
+        restaurant,
+        delivery,
+      });
+    });
+    if (dropoffPoint) {
+      stops.push({
+        id: `dropoff-${deliveryId}`,
+        type: 'dropoff',
+        deliveryId,
+        name: delivery?.customer?.name,
+        ...dropoffPoint,
+        promisedAt: toTimestamp(
+          delivery?.promised_delivery_at ??
+            delivery?.estimated_delivery_time ??
+            delivery?.scheduled_for
+        ),
+        delivery,
+      });
+    }
+  });
+
+  return stops;
+};
+
+/**
+ * Straight-line travel matrix used when OSRM is unreachable.
+ * @param {Array} points - Array of { latitude, longitude }
+ * @returns {Object} { durations (seconds), distances (meters) }
+ */
+export const buildHaversineMatrix = (points, speedKmh = FALLBACK_SPEED_KMH) => {
+  const distances = points.map((from) =>
+    points.map(
+      (to) =>
+        calculateDistance(
+          from.latitude,
+          from.longitude,
+          to.latitude,
+          to.longitude
+        ) *
+        ROAD_DISTANCE_FACTOR *
+        1000
+    )
+  );
+  const durations = distances.map((row) =>
+    row.map((meters) => (meters / 1000 / speedKmh) * 3600)
+  );
+  return { durations, distances };
+};
+
+const isCompleteMatrix = (matrix, size) =>
+  Array.isArray(matrix) &&
+  matrix.length === size &&
+  matrix.every(
+    (row) =>
+      Array.isArray(row) &&
+      row.length === size &&
+      row.every((value) => Number.isFinite(value))
+  );
+
+/**
+ * Travel matrix between all points: OSRM table when available, haversine
+ * otherwise (offline, timeout or unroutable points).
+ * @returns {Object} { durations, distances, source: 'osrm' | 'haversine' }
+ */
+export const fetchTravelMatrix = async (points, options = {}) => {
+  const { getMatrix = getDistanceMatrix, profile } = options;
+  const fallback = () => ({
+    ...buildHaversineMatrix(points),
+    source: 'haversine',
+  });
+
+  if (points.length < 2) return fallback();
+
+  let timeoutId;
+  try {
+    const result = await Promise.race([
+      getMatrix(points, points, { profile }),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(
+          () => reject(new Error('Distance matrix timeout')),
+          MATRIX_TIMEOUT_MS
+        );
+      }),
+    ]);
+
+    if (!isCompleteMatrix(result?.durations, points.length)) return fallback();
+
+    const distances = isCompleteMatrix(result?.distances, points.length)
+      ? result.distances
+      : buildHaversineMatrix(points).distances;
+    return { durations: result.durations, distances, source: 'osrm' };
+  } catch (err) {
+    console.warn('[routeOptimization] Using haversine matrix:', err.message);
+    return fallback();
+  } finally {
+    clearTimeout(timeoutId);
   }
+};
+
+// Planned pickups per delivery; a dropoff waits for all of them.
+const countPickups = (stops) => {
+  const counts = new Map();
+  stops.forEach((stop) => {
+    if (stop.type !== 'pickup') return;
+    counts.set(stop.deliveryId, (counts.get(stop.deliveryId) || 0) + 1);
+  });
+  return counts;
+};
+
+const isDropoffReady = (stop, pickupCounts, picked) =>
+  (picked.get(stop.deliveryId) || 0) >=
+  (pickupCounts.get(stop.deliveryId) || 0);
 
-  // Estimate time at 30km/h average + 5min per stop
-  const travelMinutes = (totalDistance / 30) * 60;
-  const stopMinutes = (optimizedPickups.length + optimizedDropoffs.length) * 5;
+const markPicked = (stop, picked) => {
+  picked.set(stop.deliveryId, (picked.get(stop.deliveryId) || 0) + 1);
+};
+
+// Every dropoff must come after its own pickups (when they are planned).
+const isSequenceFeasible = (sequence, pickupCounts) => {
+  const picked = new Map();
+  for (const stop of sequence) {
+    if (stop.type === 'pickup') {
+      markPicked(stop, picked);
+    } else if (!isDropoffReady(stop, pickupCounts, picked)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Walk a sequence through the matrix. Matrix index 0 is the origin and
+ * stop.matrixIndex points at the stop's row.
+ */
+const evaluateSequence = (sequence, matrix, startTime) => {
+  let position = 0;
+  let clock = startTime;
+  let durationSec = 0;
+  let distanceM = 0;
+  let lateMinutes = 0;
+
+  const legs = sequence.map((stop) => {
+    const legDuration = matrix.durations[position][stop.matrixIndex];
+    const legDistance = matrix.distances[position][stop.matrixIndex];
+    durationSec += legDuration;
+    distanceM += legDistance;
+    clock += legDuration * 1000;
+
+    const arrivalAt = clock;
+    const lateBy =
+      stop.type === 'dropoff' && stop.promisedAt
+        ? Math.max(0, (arrivalAt - stop.promisedAt) / 60000)
+        : 0;
+    lateMinutes += lateBy;
+
+    const serviceSec = stop.serviceMinutes * 60;
+    clock += serviceSec * 1000;
+    durationSec += serviceSec;
+    position = stop.matrixIndex;
+
+    return {
+      stop,
+      arrivalAt,
+      distance: legDistance,
+      duration: legDuration,
+      lateMinutes: lateBy,
+    };
+  });
+
+  return {
+    legs,
+    durationSec,
+    distanceM,
+    lateMinutes,
+    cost: durationSec / 60 + lateMinutes * LATE_MINUTE_WEIGHT,
+  };
+};
+
+// Nearest feasible neighbour; ties go to the tighter promise.
+const buildInitialSequence = (stops, matrix, pickupCounts) => {
+  const remaining = [...stops];
+  const sequence = [];
+  const picked = new Map();
+  let position = 0;
+
+  while (remaining.length > 0) {
+    let bestIndex = -1;
+    for (let i = 0; i < remaining.length; i += 1) {
+      const stop = remaining[i];
+      const ready =
+        stop.type === 'pickup' || isDropoffReady(stop, pickupCounts, picked);
+      if (!ready) continue;
+
+      if (bestIndex === -1) {
+        bestIndex = i;
+        continue;
+      }
+      const best = remaining[bestIndex];
+      const diff =
+        matrix.durations[position][stop.matrixIndex] -
+        matrix.durations[position][best.matrixIndex];
+      if (
+        diff < 0 ||
+        (diff === 0 &&
+          (stop.promisedAt || Infinity) < (best.promisedAt || Infinity))
+      ) {
+        bestIndex = i;
+      }
+    }
+
+    const [next] = remaining.splice(bestIndex, 1);
+    if (next.type === 'pickup') markPicked(next, picked);
+    sequence.push(next);
+    position = next.matrixIndex;
+  }
+
+  return sequence;
+};
+
+// Or-opt: move a run of 1-2 stops elsewhere. 2-opt: reverse a segment.
+const improveSequence = (initial, matrix, pickupCounts, startTime) => {
+  let best = initial;
+  let bestCost = evaluateSequence(best, matrix, startTime).cost;
+  const tryCandidate = (candidate) => {
+    if (!isSequenceFeasible(candidate, pickupCounts)) return false;
+    const cost = evaluateSequence(candidate, matrix, startTime).cost;
+    if (cost < bestCost - 1e-6) {
+      best = candidate;
+      bestCost = cost;
+      return true;
+    }
+    return false;
+  };
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass += 1) {
+    let improved = false;
+    const n = best.length;
+
+    for (let runLength = 1; runLength <= 2 && !improved; runLength += 1) {
+      for (let i = 0; i + runLength <= n && !improved; i += 1) {
+        const run = best.slice(i, i + runLength);
+        const rest = [...best.slice(0, i), ...best.slice(i + runLength)];
+        for (let j = 0; j <= rest.length && !improved; j += 1) {
+          if (j === i) continue;
+          improved = tryCandidate([
+            ...rest.slice(0, j),
+            ...run,
+            ...rest.slice(j),
+          ]);
+        }
+      }
+    }
+
+    for (let i = 0; i < n - 1 && !improved; i += 1) {
+      for (let j = i + 1; j < n && !improved; j += 1) {
+        improved = tryCandidate([
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ]);
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+/**
+ * Pickup-before-dropoff route optimizer.
+ * @param {Object} options - { origin, stops, matrix, startTime }
+ *   stops come from buildDeliveryStops (or any { type, deliveryId, ... });
+ *   matrix rows are [origin, ...stops].
+ * @returns {Object} { sequence, legs, totalDistance (km), estimatedTime (min), lateStops }
+ */
+export const optimizeDeliverySequence = ({
+  origin,
+  stops = [],
+  matrix,
+  startTime = Date.now(),
+}) => {
+  const indexed = stops.map((stop, i) => ({
+    serviceMinutes: DEFAULT_SERVICE_MINUTES[stop.type] ?? 0,
+    ...stop,
+    matrixIndex: i + 1,
+  }));
+  const travel = matrix || buildHaversineMatrix([origin, ...indexed]);
+  const pickupCounts = countPickups(indexed);
+
+  const initial = buildInitialSequence(indexed, travel, pickupCounts);
+  const sequence =
+    indexed.length > 2
+      ? improveSequence(initial, travel, pickupCounts, startTime)
+      : initial;
+  const result = evaluateSequence(sequence, travel, startTime);
+
+  return {
+    sequence,
+    legs: result.legs,
+    totalDistance: Math.round((result.distanceM / 1000) * 100) / 100,
+    estimatedTime: Math.ceil(result.durationSec / 60),
+    lateStops: result.legs.filter((leg) => leg.lateMinutes > 0),
+  };
+};
+
+/**
+ * Plan a multi-delivery route end to end: build stops, fetch the travel
+ * matrix (OSRM, falling back to haversine) and optimize.
+ * @param {Object} options - { origin, deliveries | stops, profile, getMatrix }
+ * @returns {Promise<Object>} optimizeDeliverySequence result plus matrixSource
+ */
+export const planDeliveryRoute = async (options = {}) => {
+  const { origin, deliveries, profile, getMatrix } = options;
+  const stops = options.stops || buildDeliveryStops(deliveries);
+  if (!origin || stops.length === 0) {
+    return {
+      sequence: stops,
+      legs: [],
+      totalDistance: 0,
+      estimatedTime: 0,
+      lateStops: [],
+      matrixSource: null,
+    };
+  }
+
+  const matrix = await fetchTravelMatrix([origin, ...stops], {
+    profile,
+    getMatrix,
+  });
+  return {
+    ...optimizeDeliverySequence({ origin, stops, matrix }),
+    matrixSource: matrix.source,
+  };
+};
+
+/**
+ * Calculate the optimal pickup / dropoff route for multiple deliveries
+ * (offline, haversine-based). Each dropoff stays after its own pickup.
+ * @param {Object} driverLocation - { latitude, longitude }
+ * @param {Array} pickups - Array of restaurant pickup locations ({ deliveryId } links pairs)
+ * @param {Array} dropoffs - Array of delivery dropoff locations
+ * @returns {Object} { pickupOrder, dropoffOrder, sequence, estimatedTime, totalDistance }
+ */
+export const calculateOptimalRoute = (driverLocation, pickups, dropoffs) => {
+  const withIds = (list, type) =>
+    (list || []).map((stop, i) => ({
+      ...stop,
+      type,
+      deliveryId: String(stop.deliveryId ?? stop.delivery_id ?? stop.id ?? i),
+    }));
+  const stops = [
+    ...withIds(pickups, 'pickup'),
+    ...withIds(dropoffs, 'dropoff'),
+  ];
+  const plan = optimizeDeliverySequence({ origin: driverLocation, stops });
 
   return {
-    pickupOrder: optimizedPickups,
-    dropoffOrder: optimizedDropoffs,
-    totalDistance: Math.round(totalDistance * 100) / 100,
-    estimatedTime: Math.ceil(travelMinutes + stopMinutes),
+    pickupOrder: plan.sequence.filter((s) => s.type === 'pickup'),
+    dropoffOrder: plan.sequence.filter((s) => s.type === 'dropoff'),
+    sequence: plan.sequence,
+    totalDistance: plan.totalDistance,
+    estimatedTime: plan.estimatedTime,
   };
 };
 
 export default {
   optimizeRouteOrder,
   clusterDeliveries,
+  getDeliveryPickups,
+  buildDeliveryStops,
+  buildHaversineMatrix,
+  fetchTravelMatrix,
+  optimizeDeliverySequence,
+  planDeliveryRoute,
   calculateOptimalRoute,
 };
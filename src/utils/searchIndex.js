@@ -0,0 +1,268 @@
+/**
+ * In-memory search index for the public restaurants and foods lists.
+ *
+ * The index is built once per data set: every field is split into words,
+ * each word is folded to a transliteration key ("koththu", "kotthu" and
+ * "kottu" all become "kotu") and stored in a postings map with the field's
+ * weight. A query then only touches the vocabulary, not every item:
+ *
+ *   - exact key match        -> 1.0
+ *   - prefix of a key        -> 0.5 .. 0.9 (longer prefixes score higher)
+ *   - 1-2 edits from a key   -> 0.6 / 0.45 (typo tolerance)
+ *
+ * Each query word must match something. An item's score is the sum of its
+ * best match per query word times the field weight, so a hit in the name
+ * outranks the same hit in the description.
+ */
+
+const PREFIX_MIN_LENGTH = 2;
+const NAME_PREFIX_BONUS = 0.5;
+
+// Romanised Sinhala and Tamil spell the same sound several ways. Fold the
+// common variants to one form before indexing or searching.
+const TRANSLITERATION_RULES = [
+  [/th/g, "t"],
+  [/dh/g, "d"],
+  [/kh/g, "k"],
+  [/gh/g, "g"],
+  [/bh/g, "b"],
+  [/ph/g, "p"],
+  [/sh/g, "s"],
+  [/zh/g, "l"],
+  [/ck/g, "k"],
+  [/q/g, "k"],
+  [/w/g, "v"],
+  [/ee/g, "i"],
+  [/oo/g, "u"],
+  [/iy/g, "i"],
+];
+
+/** Lowercase, drop accents and punctuation. */
+export function normalizeSearchText(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    // Keep Latin letters, digits and the Sinhala and Tamil blocks.
+    .replace(/[^a-z0-9\u0D80-\u0DFF\u0B80-\u0BFF]+/g, " ")
+    .trim();
+}
+
+/** Transliteration key for one normalised word. */
+export function toSearchKey(word) {
+  let key = String(word || "");
+  if (!/^[a-z]+$/.test(key)) return key;
+  TRANSLITERATION_RULES.forEach(([pattern, replacement]) => {
+    key = key.replace(pattern, replacement);
+  });
+  // Doubled letters ("kottu", "parotta") are spelt either way.
+  return key.replace(/(.)\1+/g, "$1");
+}
+
+function splitWords(value) {
+  const text = normalizeSearchText(value);
+  return text ? text.split(" ") : [];
+}
+
+function maxEditsFor(key) {
+  if (key.length <= 3) return 0;
+  if (key.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Edit distance counting a swap of two neighbouring letters ("freid") as
+ * one edit. Gives up as soon as it exceeds max.
+ */
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+      if (
+        beforePrevious &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Build an index over a list.
+ * @param {Array} items - Restaurants or foods
+ * @param {Array} fields - [{ get: (item) => string, weight, name? }]; the
+ *   field marked `name: true` feeds suggestions and the name bonus
+ * @returns {Object} Opaque index for searchIndex() / suggestSearchTerms()
+ */
+export function buildSearchIndex(items, fields) {
+  const list = Array.isArray(items) ? items : [];
+  const postings = new Map();
+  const displayTerms = new Map();
+  const names = [];
+
+  list.forEach((item, itemIndex) => {
+    fields.forEach((field) => {
+      const value = field.get(item);
+      if (field.name) names[itemIndex] = normalizeSearchText(value);
+
+      splitWords(value).forEach((word) => {
+        const key = toSearchKey(word);
+        if (!key) return;
+
+        let docs = postings.get(key);
+        if (!docs) {
+          docs = new Map();
+          postings.set(key, docs);
+        }
+        docs.set(itemIndex, Math.max(docs.get(itemIndex) || 0, field.weight));
+
+        if (field.name && word.length > 2 && !displayTerms.has(key)) {
+          displayTerms.set(key, word);
+        }
+      });
+    });
+  });
+
+  return {
+    items: list,
+    postings,
+    keys: Array.from(postings.keys()).sort(),
+    displayTerms,
+    names,
+  };
+}
+
+/** Index keys matching one query key, with their match quality. */
+function matchKeys(index, queryKey) {
+  const matches = new Map();
+  const exact = index.postings.has(queryKey);
+  if (exact) matches.set(queryKey, 1);
+
+  if (queryKey.length >= PREFIX_MIN_LENGTH) {
+    for (
+      let i = lowerBound(index.keys, queryKey);
+      i < index.keys.length && index.keys[i].startsWith(queryKey);
+      i += 1
+    ) {
+      const key = index.keys[i];
+      if (key !== queryKey) {
+        matches.set(key, 0.5 + 0.4 * (queryKey.length / key.length));
+      }
+    }
+  }
+
+  const maxEdits = maxEditsFor(queryKey);
+  if (!exact && maxEdits > 0) {
+    index.keys.forEach((key) => {
+      if (matches.has(key) || key[0] !== queryKey[0]) return;
+      const distance = boundedEditDistance(queryKey, key, maxEdits);
+      if (distance <= maxEdits) {
+        matches.set(key, distance === 1 ? 0.6 : 0.45);
+      }
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Ranked search.
+ * @param {Object} index - From buildSearchIndex()
+ * @param {string} query - What the user typed
+ * @returns {Array} [{ item, score }] best first; [] for an empty query
+ */
+export function searchIndex(index, query) {
+  const queryKeys = splitWords(query).map(toSearchKey).filter(Boolean);
+  if (!index || queryKeys.length === 0) return [];
+
+  let scores = null;
+  for (const queryKey of queryKeys) {
+    const best = new Map();
+    matchKeys(index, queryKey).forEach((quality, key) => {
+      index.postings.get(key).forEach((weight, itemIndex) => {
+        const score = quality * weight;
+        if (score > (best.get(itemIndex) || 0)) best.set(itemIndex, score);
+      });
+    });
+
+    if (scores === null) {
+      scores = best;
+    } else {
+      const next = new Map();
+      scores.forEach((total, itemIndex) => {
+        if (best.has(itemIndex)) {
+          next.set(itemIndex, total + best.get(itemIndex));
+        }
+      });
+      scores = next;
+    }
+    if (scores.size === 0) return [];
+  }
+
+  const normalizedQuery = normalizeSearchText(query);
+  return Array.from(scores, ([itemIndex, score]) => ({
+    item: index.items[itemIndex],
+    score:
+      index.names[itemIndex]?.startsWith(normalizedQuery)
+        ? score + NAME_PREFIX_BONUS
+        : score,
+  })).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Completions for the word being typed, taken from item names.
+ * @returns {string[]} Full query suggestions, e.g. "chicken kottu"
+ */
+export function suggestSearchTerms(index, query, limit = 5) {
+  const words = splitWords(query);
+  if (!index || words.length === 0) return [];
+
+  const head = words.slice(0, -1).join(" ");
+  const lastKey = toSearchKey(words[words.length - 1]);
+  const suggestions = [];
+
+  matchKeys(index, lastKey).forEach((quality, key) => {
+    const term = index.displayTerms.get(key);
+    if (!term) return;
+    suggestions.push({
+      text: head ? `${head} ${term}` : term,
+      rank: quality * 100 + index.postings.get(key).size,
+    });
+  });
+
+  return suggestions
+    .sort((a, b) => b.rank - a.rank)
+    .map((entry) => entry.text)
+    .filter((text) => text !== normalizeSearchText(query))
+    .slice(0, limit);
+}
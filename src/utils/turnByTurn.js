@@ -0,0 +1,287 @@
+/**
+ * Turn-by-turn helpers for the driver's in-app navigation. Works on an OSRM
+ * route requested with `steps=true` and `geometries=geojson` through every
+ * remaining stop, so each leg ends at one pickup or drop-off.
+ *
+ *   step = { id, legIndex, type, modifier, exit, name, distance, duration,
+ *            location: { latitude, longitude }, coordIndex, instruction,
+ *            icon }
+ *
+ * `coordIndex` is the step's maneuver position on the route polyline, which
+ * lets progress be measured along the road instead of as the crow flies.
+ * Instructions are built in the active app language.
+ */
+
+import { translate } from "../i18n";
+
+const METERS_PER_DEGREE = 111320;
+
+const MODIFIER_KEYS = {
+  uturn: "uturn",
+  "sharp right": "sharpRight",
+  right: "right",
+  "slight right": "slightRight",
+  straight: "straight",
+  "slight left": "slightLeft",
+  left: "left",
+  "sharp left": "sharpLeft",
+};
+
+const MODIFIER_ICONS = {
+  uturn: "arrow-undo",
+  "sharp right": "arrow-forward",
+  right: "arrow-forward",
+  "slight right": "arrow-forward",
+  straight: "arrow-up",
+  "slight left": "arrow-back",
+  left: "arrow-back",
+  "sharp left": "arrow-back",
+};
+
+/** Planar distance in meters; accurate enough at street scale. */
+export const distanceMeters = (a, b) => {
+  if (!a || !b) return Infinity;
+  const avgLatRad = ((a.latitude + b.latitude) / 2) * (Math.PI / 180);
+  const dLat = (b.latitude - a.latitude) * METERS_PER_DEGREE;
+  const dLng =
+    (b.longitude - a.longitude) * METERS_PER_DEGREE * Math.cos(avgLatRad);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+};
+
+/** "350 m", "1.2 km" */
+export const formatStepDistance = (meters) => {
+  const value = Number(meters);
+  if (!Number.isFinite(value) || value < 0) return "";
+  if (value < 1000) {
+    return translate("navigation.meters", {
+      value: Math.max(10, Math.round(value / 10) * 10),
+    });
+  }
+  return translate("navigation.kilometers", {
+    value: (value / 1000).toFixed(1),
+  });
+};
+
+/** Spoken form of formatStepDistance. */
+export const speakStepDistance = (meters) => {
+  const value = Number(meters) || 0;
+  if (value < 1000) {
+    return translate("navigation.metersSpoken", {
+      value: Math.max(10, Math.round(value / 10) * 10),
+    });
+  }
+  return translate("navigation.kilometersSpoken", {
+    value: (value / 1000).toFixed(1),
+  });
+};
+
+const modifierText = (modifier, fallbackKey) =>
+  translate(`navigation.modifiers.${MODIFIER_KEYS[modifier] || fallbackKey}`);
+
+const onto = (instruction, name) =>
+  name ? translate("navigation.onto", { instruction, name }) : instruction;
+
+const roundaboutExit = (exit) =>
+  translate("navigation.roundaboutExit", {
+    ordinal:
+      exit <= 8
+        ? translate(`navigation.ordinals.${exit}`)
+        : translate("navigation.ordinals.other", { exit }),
+  });
+
+export function buildStepInstruction(step, stopLabel) {
+  const { type, modifier, name, exit } = step;
+  switch (type) {
+    case "depart":
+      return name
+        ? translate("navigation.departOn", { name })
+        : translate("navigation.depart");
+    case "arrive":
+      return stopLabel
+        ? translate("navigation.arriveAt", { stop: stopLabel })
+        : translate("navigation.arrived");
+    case "roundabout":
+    case "rotary":
+    case "exit roundabout":
+    case "exit rotary":
+      return onto(
+        exit ? roundaboutExit(exit) : translate("navigation.roundabout"),
+        name,
+      );
+    case "continue":
+    case "new name":
+      return name
+        ? translate("navigation.continueOn", { name })
+        : modifierText("straight");
+    case "fork":
+      return onto(
+        translate(
+          modifier?.includes("left")
+            ? "navigation.forkLeft"
+            : "navigation.forkRight",
+        ),
+        name,
+      );
+    case "merge":
+      return onto(translate("navigation.merge"), name);
+    case "end of road":
+      return onto(
+        translate("navigation.endOfRoad", {
+          maneuver: modifierText(modifier, "turn").toLowerCase(),
+        }),
+        name,
+      );
+    default:
+      return onto(modifierText(modifier, "continue"), name);
+  }
+}
+
+export function getManeuverIcon(step) {
+  if (!step) return "navigate";
+  if (step.type === "arrive") return "flag";
+  if (step.type === "depart") return "navigate";
+  if (step.type?.includes("roundabout") || step.type?.includes("rotary")) {
+    return "sync";
+  }
+  return MODIFIER_ICONS[step.modifier] || "arrow-up";
+}
+
+/** Route polyline as map coordinates with cumulative meters per vertex. */
+export function toRoutePath(route) {
+  const coords = (route?.geometry?.coordinates || []).map((c) => ({
+    latitude: c[1],
+    longitude: c[0],
+  }));
+  const cumulative = [0];
+  for (let i = 1; i < coords.length; i += 1) {
+    cumulative.push(
+      cumulative[i - 1] + distanceMeters(coords[i - 1], coords[i]),
+    );
+  }
+  return { coords, cumulative };
+}
+
+function nearestVertex(point, coords, fromIndex) {
+  let best = fromIndex;
+  let bestDistance = Infinity;
+  for (let i = fromIndex; i < coords.length; i += 1) {
+    const d = distanceMeters(point, coords[i]);
+    if (d < bestDistance) {
+      best = i;
+      bestDistance = d;
+      if (d < 1) break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Flatten the legs' steps in route order.
+ * @param {Array} stopLabels - one label per leg, used for "arrive" steps
+ */
+export function buildNavigationSteps(route, coords, stopLabels = []) {
+  const steps = [];
+  let searchFrom = 0;
+  (route?.legs || []).forEach((leg, legIndex) => {
+    (leg.steps || []).forEach((raw, stepIndex) => {
+      const [lng, lat] = raw.maneuver?.location || [];
+      const location = { latitude: lat, longitude: lng };
+      const coordIndex = nearestVertex(location, coords, searchFrom);
+      searchFrom = coordIndex;
+
+      const step = {
+        id: `${legIndex}:${stepIndex}`,
+        legIndex,
+        type: raw.maneuver?.type || "",
+        modifier: raw.maneuver?.modifier || "",
+        exit: raw.maneuver?.exit || null,
+        name: raw.name || "",
+        distance: raw.distance || 0,
+        duration: raw.duration || 0,
+        location,
+        coordIndex,
+      };
+      step.instruction = buildStepInstruction(step, stopLabels[legIndex]);
+      step.icon = getManeuverIcon(step);
+      steps.push(step);
+    });
+  });
+  return steps;
+}
+
+function projectOnSegment(point, a, b) {
+  const cosLat = Math.cos(point.latitude * (Math.PI / 180));
+  const ax = a.longitude * cosLat;
+  const ay = a.latitude;
+  const dx = b.longitude * cosLat - ax;
+  const dy = b.latitude - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq
+    ? Math.max(
+        0,
+        Math.min(
+          1,
+          ((point.longitude * cosLat - ax) * dx + (point.latitude - ay) * dy) /
+            lengthSq,
+        ),
+      )
+    : 0;
+  const projected = {
+    latitude: a.latitude + (b.latitude - a.latitude) * t,
+    longitude: a.longitude + (b.longitude - a.longitude) * t,
+  };
+  return { t, distance: distanceMeters(point, projected) };
+}
+
+/**
+ * Where the driver is on the route. Searches a window ahead of the last
+ * known position first so a road running back alongside itself does not
+ * snap progress backwards.
+ * @returns {Object} { index, along, offRouteMeters }
+ */
+export function locateOnRoute(point, path, hintIndex = 0) {
+  const { coords, cumulative } = path;
+  if (!point || coords.length < 2) {
+    return { index: 0, along: 0, offRouteMeters: Infinity };
+  }
+
+  const scan = (from, to) => {
+    const start = Math.max(0, from);
+    const end = Math.min(to, coords.length - 1);
+    let best = {
+      index: start,
+      along: cumulative[start],
+      offRouteMeters: Infinity,
+    };
+    for (let i = start; i < end; i += 1) {
+      const { t, distance } = projectOnSegment(point, coords[i], coords[i + 1]);
+      if (distance < best.offRouteMeters) {
+        best = {
+          index: i,
+          along: cumulative[i] + (cumulative[i + 1] - cumulative[i]) * t,
+          offRouteMeters: distance,
+        };
+      }
+    }
+    return best;
+  };
+
+  const near = scan(hintIndex - 5, hintIndex + 80);
+  if (near.offRouteMeters < 30) return near;
+  const full = scan(0, coords.length);
+  return full.offRouteMeters < near.offRouteMeters ? full : near;
+}
+
+/**
+ * Upcoming maneuver for a position along the route.
+ * @returns {Object} { stepIndex, distanceToManeuver }
+ */
+export function getUpcomingStep(steps, path, along) {
+  for (let i = 0; i < steps.length; i += 1) {
+    const maneuverAlong = path.cumulative[steps[i].coordIndex] ?? 0;
+    if (maneuverAlong > along + 5) {
+      return { stepIndex: i, distanceToManeuver: maneuverAlong - along };
+    }
+  }
+  return { stepIndex: steps.length - 1, distanceToManeuver: 0 };
+}